@@ -18,9 +18,65 @@ import { debitSchoolInk } from '../../server/school-wallet.js'
 // node:crypto 顯式匯入——Vercel Node 18+ 全域 crypto 是 WebCrypto、沒有 randomBytes(2026-07-31 踩雷)
 import nodeCrypto from 'node:crypto'
 import { MODEL_PRO } from '../../server/ai/model-config.js'
-import { resolveSemanticScopeKey, normSemanticValue } from '../../server/ai/semantic-score-table.js'
+import { resolveSemanticScopeKey, normSemanticValue, loadSemanticTable } from '../../server/ai/semantic-score-table.js'
 import { computeInkPointsFromTokens } from '../../server/ink-session.js'
 import { trackingContext } from '../../server/ink-usage-tracker.js'
+import {
+  GRADING_JOB_KINDS,
+  GRADING_JOB_STATUS,
+  enqueueGradingJobs,
+  runGradingJobWorker,
+  requeueGradingJobs,
+  cancelGradingJobs,
+  summarizeGradingJobs,
+  assertLeaseHeld
+} from '../../server/grading-queue.js'
+import { summarizeGradingProgress } from '../../server/ai/grading-progress.js'
+import { prepareAnswerKeyForWrite } from '../../server/ai/answer-key-schema.js'
+import { importAnswerKeyFromFiles } from '../../server/answer-key-import.js'
+import { computeItemAnalysis, DISTRACTOR_CATEGORIES } from '../../server/item-analysis.js'
+import { decideDeterministic } from '../../server/ai/deterministic-compare.js'
+import {
+  EXAM_FRAMEWORKS,
+  examDimensionAxis,
+  examDimensionsFor,
+  examFrameworkForGrade,
+  normalizeExamDimension,
+  normalizeExamSubject,
+  resolveAssignmentExamContext
+} from '../../server/exam-frameworks.js'
+import { checkExamBlueprint } from '../../server/exam-blueprint.js'
+import {
+  ANSWER_KEY_AUDIT_MIN_N,
+  isAnswerKeyAuditEnabled,
+  detectAnswerKeySuspects,
+  matchesSuspectedAnswer
+} from '../../server/answer-key-audit.js'
+import { recordConceptMastery, toConceptMasteryView, conceptObservationsFromGrading, FAIL_RATE } from '../../server/concept-mastery.js'
+import {
+  parsePrerequisiteImport,
+  findPrerequisiteCycle,
+  buildRemediationPath,
+  loadPrerequisiteEdges,
+  loadConceptLabels,
+  loadConceptWeakness
+} from '../../server/concept-prerequisites.js'
+import { detectPageQuad, isLocalDewarpEnabled } from '../../server/ai/local-perspective.js'
+import {
+  isScanSplitEnabled,
+  SCAN_CONFIRM_REASONS,
+  MAX_SCAN_PAGES,
+  normalizeScanPage,
+  splitMultiPageImage,
+  identifyScanPages,
+  segmentScanPages,
+  resolveScanPapers,
+  markDuplicateStudents,
+  buildPaperImage
+} from '../../server/scan-split.js'
+import { isScanQrEnabled, decodeScanQr, routeScanPagesByQr } from '../../server/scan-qr.js'
+import { isUploadQualityGateEnabled, analyzeUploadQuality, analyzePageQuality } from '../../server/ai/upload-quality.js'
+import { isImageFingerprintEnabled, computeImageFingerprint, findFingerprintConflicts } from '../../server/image-fingerprint.js'
 import {
   resolveTeacherCampusIdentity,
   buildTeacherVisibility,
@@ -234,15 +290,24 @@ function preserveAnalysisFields(incoming, existingRaw) {
     out.kpTips = existing.kpTips
   }
   // 逐題 analysis（用 id 對應）
+  // 2026-10-19 印卡寫回的 anchorHint（answer-key-export）同理：client 沒帶這個 key 就沿用 server 端的值
   const exById = new Map((Array.isArray(existing.questions) ? existing.questions : [])
     .map((q) => [String(q?.id ?? q?.questionId ?? ''), q]))
   if (Array.isArray(out.questions) && exById.size > 0) {
     out.questions = out.questions.map((q) => {
       const ex = exById.get(String(q?.id ?? q?.questionId ?? ''))
-      if (!hasAnalysis(q?.analysis) && hasAnalysis(ex?.analysis)) return { ...q, analysis: ex.analysis }
-      return q
+      let merged = q
+      if (!hasAnalysis(q?.analysis) && hasAnalysis(ex?.analysis)) merged = { ...merged, analysis: ex.analysis }
+      if (q && q.anchorHint === undefined && typeof ex?.anchorHint === 'string') merged = { ...merged, anchorHint: ex.anchorHint }
+      return merged
     })
   }
+  // 2026-10-19 劃記卡描述（bubbleSheet）：卡已經印出去了，client 同步不帶就保留；
+  //   但卡上的題號要全部還在（題目被刪/改號 = 舊卡對不上，寧可不讀卡、走原流程）
+  if (out.bubbleSheet === undefined && existing.bubbleSheet && Array.isArray(existing.bubbleSheet.items)) {
+    const ids = new Set((Array.isArray(out.questions) ? out.questions : []).map((q) => String(q?.id ?? q?.questionId ?? '')))
+    if (existing.bubbleSheet.items.every((it) => ids.has(String(it?.questionId ?? '')))) out.bubbleSheet = existing.bubbleSheet
+  }
   return out
 }
 
@@ -1557,6 +1622,8 @@ async function applySubmissionStateTransitions(supabaseDb, ownerId, submissionRo
   ]
 
   if (!assignmentIds.length || !studentIds.length) return
+  // 2026-10-19 跨作業概念精熟度（fail-open、不影響狀態轉換）
+  await recordConceptMastery(supabaseDb, ownerId, submissionRows)
 
   const { data: existingRows, error: existingError } = await supabaseDb
     .from('assignment_student_state')
@@ -1578,6 +1645,8 @@ async function applySubmissionStateTransitions(supabaseDb, ownerId, submissionRo
     ownerId,
     assignmentIds
   )
+  // 2026-10-19 答案卷疑似有誤(answer_key_alerts open)的作業:新卷先不派訂正(fail-open,查不到 = 照常)
+  const answerKeyAlertsByAssignment = await loadOpenAnswerKeyAlerts(supabaseDb, ownerId, assignmentIds)
 
   // Track processed correction submission IDs within this sync cycle to prevent double-counting
   const processedCorrectionSubIds = new Set()
@@ -1684,6 +1753,17 @@ async function applySubmissionStateTransitions(supabaseDb, ownerId, submissionRo
     const studentSelfGrade = options?.studentSelfGrade === true && source !== 'student_correction'
     let status = hasMistakes ? ((dispatchActive || autoDispatch || studentSelfGrade) ? 'correction_required' : 'graded') : 'graded'
     let lastStatusReason = undefined
+    // 已在訂正流程的學生不動(上面 Layer 2 守門);只擋「這次才要進訂正」的原卷
+    let heldByAnswerKeyAlert = false
+    if (
+      status === 'correction_required' &&
+      source !== 'student_correction' &&
+      !CORRECTION_ACTIVE_STATUSES.includes(existingStatus) &&
+      answerKeyAlertsByAssignment.has(assignmentId)
+    ) {
+      status = 'graded'
+      heldByAnswerKeyAlert = true
+    }
 
     if (source === 'student_correction') {
       // Guard: skip if this correction submission was already processed or is being processed
@@ -1785,7 +1865,9 @@ async function applySubmissionStateTransitions(supabaseDb, ownerId, submissionRo
             sourceImageUrl: row.image_url
           }
         )
-        if (!dispatchActive && !autoDispatch) {
+        if (heldByAnswerKeyAlert) {
+          lastStatusReason = '答案卷疑似有誤，訂正暫緩派發'
+        } else if (!dispatchActive && !autoDispatch) {
           lastStatusReason = '已批改完成，待教師派發訂正'
         }
       } else {
@@ -1806,7 +1888,7 @@ async function applySubmissionStateTransitions(supabaseDb, ownerId, submissionRo
 
     // Explicitly clear old explanation text for terminal/no-action states.
     // `undefined` would be dropped by compactObject and keep stale DB value.
-    if (status === 'graded' || status === 'correction_passed') {
+    if ((status === 'graded' && !heldByAnswerKeyAlert) || status === 'correction_passed') {
       lastStatusReason = null
     }
 
@@ -2115,6 +2197,17 @@ async function handleCorrectionDashboard(req, res) {
       user.id,
       assignmentId
     )
+    // 2026-10-19 作答圖指紋警示（重複圖 / 共用手寫 / 疑似別份作業）：整份列表 + 每位學生掛上自己的代碼
+    const imageIntegrityWarnings =
+      (await loadImageIntegrityWarnings(supabaseDb, user.id, [assignmentId])).get(assignmentId) ?? []
+    const imageWarningCodesByStudentId = new Map()
+    for (const w of imageIntegrityWarnings) {
+      for (const sid of w.studentIds) {
+        const codes = imageWarningCodesByStudentId.get(sid) ?? new Set()
+        codes.add(w.code)
+        imageWarningCodesByStudentId.set(sid, codes)
+      }
+    }
 
     const students = (studentsResult.data || [])
       .map((student) => {
@@ -2139,7 +2232,8 @@ async function handleCorrectionDashboard(req, res) {
           disputedQuestionCount: disputedCountByStudentId.get(student.id) || 0,
           latestMistakeCount: latestMistakes.length,
           lastStatusReason: state?.last_status_reason || '',
-          lastGradedSubmissionId: state?.last_graded_submission_id || latestSubmission?.id || null
+          lastGradedSubmissionId: state?.last_graded_submission_id || latestSubmission?.id || null,
+          imageWarnings: [...(imageWarningCodesByStudentId.get(student.id) ?? [])]
         }
       })
       .sort((a, b) => {
@@ -2163,7 +2257,8 @@ async function handleCorrectionDashboard(req, res) {
       assignmentTitle: assignment.title,
       dispatchActive,
       dispatchReadyCount,
-      students
+      students,
+      imageIntegrityWarnings
     })
   } catch (err) {
     res.status(500).json({
@@ -2539,6 +2634,10 @@ async function handleDisputeResolve(req, res) {
             .eq('owner_id', user.id)
           if (updErr) {
             console.warn('[dispute-resolve] submission grading_result update failed:', updErr.message)
+          } else {
+            await recordConceptMastery(supabaseDb, user.id, [
+              { assignment_id: assignmentId, student_id: studentId, grading_result: newGr, graded_at: subRow.graded_at }
+            ])
           }
         }
       } catch (err) {
@@ -2656,6 +2755,14 @@ async function handleImportTemplate(req, res) {
     if (findErr) throw new Error(findErr.message)
     if (!source) { res.status(404).json({ error: '找不到此分享碼的答案卷' }); return }
 
+    // 2026-10-19 answer_key schema：來源（可能是別人的舊資料）先 migrate 再驗；不合格不複製（圖檔也不搬）
+    const preparedAk = prepareAnswerKeyForWrite(source.answer_key, { logTag: '[import-template]', entityId: `template ${source.id}` })
+    if (!preparedAk.ok) {
+      res.status(422).json({ error: '此答案卷格式有誤，請原作者重新儲存後再分享', schemaErrors: preparedAk.errors.slice(0, 20) })
+      return
+    }
+    source.answer_key = preparedAk.answerKey
+
     // 產生新的短碼給複製品
     const newShareCode = 'AK-' + Math.random().toString(36).substring(2, 8).toUpperCase()
     const newId = `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`
@@ -2762,6 +2869,100 @@ async function handleImportTemplate(req, res) {
   }
 }
 
+// ═══ 結構化考卷檔匯入(2026-10-19):QTI 2.x / Moodle XML / CSV → answer_key ══════════════
+// POST { format?: 'qti'|'moodle'|'csv', files: [{ name, content }] | content, filename?, save?: { name, domain, docType, folder, schoolId } }
+//   → { format, answerKey, summary, warnings, schemaWarnings, template? }
+// 不帶 save = 只預覽(前端讓老師確認題型/答案後再存);帶 save = 直接建一份答案卷模板(同 import-template 的欄位)。
+// 檔案已有正解 → 完全不走 answer_key.extract(PRO),沒有讀錯題型/漏題的問題。轉換規則見 server/answer-key-import.js。
+const ANSWER_KEY_IMPORT_MAX_FILES = 50
+
+async function handleAnswerKeyImport(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' })
+    return
+  }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+
+  const body = parseJsonBody(req)
+  const files = Array.isArray(body?.files)
+    ? body.files.slice(0, ANSWER_KEY_IMPORT_MAX_FILES)
+    : (typeof body?.content === 'string' ? [{ name: body?.filename, content: body.content }] : [])
+  if (files.length === 0) { res.status(400).json({ error: '請上傳考卷檔（QTI / Moodle XML / CSV）' }); return }
+
+  const { format, answerKey, warnings } = importAnswerKeyFromFiles({ format: body?.format, files })
+  if (!answerKey) {
+    res.status(422).json({ error: '檔案裡沒有可匯入的題目', format, warnings })
+    return
+  }
+  const prepared = prepareAnswerKeyForWrite(answerKey, { logTag: '[answer-key-import]', entityId: `owner ${user.id}` })
+  if (!prepared.ok) {
+    res.status(422).json({ error: '匯入結果未通過答案卷格式檢查', format, warnings, schemaErrors: prepared.errors.slice(0, 20) })
+    return
+  }
+  const questions = prepared.answerKey.questions
+  const byCategory = {}
+  for (const q of questions) byCategory[q.questionCategory] = (byCategory[q.questionCategory] ?? 0) + 1
+  const result = {
+    format,
+    answerKey: prepared.answerKey,
+    summary: { questionCount: questions.length, totalScore: prepared.answerKey.totalScore, byCategory },
+    warnings,
+    schemaWarnings: prepared.warnings
+  }
+
+  const save = body?.save && typeof body.save === 'object' ? body.save : null
+  if (!save) { res.status(200).json(result); return }
+
+  try {
+    const supabaseDb = getSupabaseAdmin()
+    // 學校歸屬同 import-template:該校行政或 admin 才能標成學校答案卷
+    let schoolId = null
+    const requestedSchoolId = typeof save.schoolId === 'string' ? save.schoolId.trim() : ''
+    if (requestedSchoolId) {
+      const actor = await resolveSchoolActorContext(supabaseDb, user.id)
+      if (actor.isAdminUser || actor.schoolIds.includes(requestedSchoolId)) schoolId = requestedSchoolId
+    }
+    const nowIso = new Date().toISOString()
+    const name = (typeof save.name === 'string' && save.name.trim()) || (files[0]?.name ? String(files[0].name).replace(/\.[^.]+$/, '') : '匯入的答案卷')
+    const row = {
+      id: `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+      owner_id: user.id,
+      name: name.slice(0, 120),
+      domain: typeof save.domain === 'string' ? save.domain : null,
+      doc_type: typeof save.docType === 'string' ? save.docType : null,
+      folder: typeof save.folder === 'string' ? save.folder : null,
+      answer_key: prepared.answerKey,
+      question_count: questions.length,
+      total_score: prepared.answerKey.totalScore,
+      share_code: 'AK-' + Math.random().toString(36).substring(2, 8).toUpperCase(),
+      school_id: schoolId,
+      created_at: nowIso,
+      updated_at: nowIso
+    }
+    const { error: insertErr } = await supabaseDb.from('answer_key_templates').insert(row)
+    if (insertErr) throw new Error(insertErr.message)
+    res.status(200).json({
+      ...result,
+      template: {
+        id: row.id,
+        name: row.name,
+        domain: row.domain ?? undefined,
+        docType: row.doc_type ?? undefined,
+        folder: row.folder ?? undefined,
+        answerKey: row.answer_key,
+        shareCode: row.share_code,
+        questionCount: row.question_count,
+        totalScore: row.total_score,
+        schoolId: schoolId ?? undefined,
+        updatedAt: nowIso
+      }
+    })
+  } catch (err) {
+    res.status(500).json({ error: err instanceof Error ? err.message : '匯入失敗' })
+  }
+}
+
 // ═══ 同卷跨班比較(2026-08-11 任務②:跨 owner 唯讀匿名匯總) ═══════════════════
 // POST { assignmentId } → { classCount, byCode, byQuestion, answers, responses } — 同卷全體(含呼叫者本班)的「匿名彙總」:
 //   byCode     = 逐課綱指標 {full,partial,wrong,total,label}(概念雷達疊圖)
@@ -2866,6 +3067,88 @@ async function handleTemplateUsage(req, res) {
   }
 }
 
+// 考卷血緣家族(exam-compare / item-analysis 共用):
+//   錨點(作業或答案卷)→ 血緣根 → 根 + 所有指向根的複製品 → 用這些答案卷批改的作業(同校閘 + 版本閘)。
+//   回 { forbidden } | { anchorTemplateId: null } | { anchorTemplateId, anchorAnswerKey, assignments, divergedCount }
+async function resolveExamFamily(supabaseDb, userId, { assignmentId = '', templateId = '' }) {
+  let anchorTemplateId
+  if (templateId) {
+    const { data: tpl } = await supabaseDb
+      .from('answer_key_templates').select('id, owner_id')
+      .eq('id', templateId).maybeSingle()
+    if (!tpl || tpl.owner_id !== userId) return { forbidden: true }
+    anchorTemplateId = tpl.id
+  } else {
+    const { data: anchor } = await supabaseDb
+      .from('assignments').select('id, owner_id, answer_key_template_id')
+      .eq('id', assignmentId).maybeSingle()
+    if (!anchor || anchor.owner_id !== userId) return { forbidden: true }
+    if (!anchor.answer_key_template_id) return { anchorTemplateId: null }
+    anchorTemplateId = anchor.answer_key_template_id
+  }
+
+  // 血緣家族:根 + 所有指向根的複製品
+  let rootId = anchorTemplateId
+  try {
+    const { data: tpl } = await supabaseDb
+      .from('answer_key_templates').select('source_template_id')
+      .eq('id', rootId).maybeSingle()
+    if (tpl?.source_template_id) rootId = tpl.source_template_id
+  } catch { /* 血緣欄位未建 → 家族=自己 */ }
+  let familyIds = [rootId]
+  try {
+    const { data: fam } = await supabaseDb
+      .from('answer_key_templates').select('id').eq('source_template_id', rootId).limit(50)
+    familyIds = [...new Set([rootId, ...(fam ?? []).map((r) => r.id)])]
+  } catch { /* fail-open */ }
+  if (!familyIds.includes(anchorTemplateId)) familyIds.push(anchorTemplateId)
+
+  const { data: asgsRaw } = await supabaseDb
+    .from('assignments')
+    .select('id, owner_id, classroom_id, title, answer_key, concept_tags, answer_key_template_id')
+    .in('answer_key_template_id', familyIds)
+    .limit(30)
+  const asgs = asgsRaw ?? []
+
+  // 同校閘:跨 owner 只留與呼叫者同校的 active 老師
+  const crossOwners = [...new Set(asgs.map((a) => a.owner_id).filter((o) => o && o !== userId))]
+  const allowedOwners = new Set([userId])
+  if (crossOwners.length) {
+    const { data: mine } = await supabaseDb
+      .from('school_teachers').select('school_id')
+      .eq('teacher_user_id', userId).eq('status', 'active')
+    const mySchools = (mine ?? []).map((r) => r.school_id)
+    if (mySchools.length) {
+      const { data: peers } = await supabaseDb
+        .from('school_teachers').select('teacher_user_id')
+        .in('school_id', mySchools).in('teacher_user_id', crossOwners).eq('status', 'active')
+      for (const p of peers ?? []) allowedOwners.add(p.teacher_user_id)
+    }
+  }
+  let kept = asgs.filter((a) => allowedOwners.has(a.owner_id))
+
+  // 2026-08-13 版本閘（user 拍板「答案卷是起點，分歧就是不同版本，不比」）：
+  //   血緣家族只保證「同一份卷的後代」，不保證內容仍相同——任何一方重新解析或改題號／配分，
+  //   逐題聚合就會把不同的題當成同一題合併（byQuestion 是拿題號當 key），而且完全無聲。
+  //   指紋直接從各班實際批改用的 answer_key 現算（本來就撈出來了），不存欄位＝不會走鐘，
+  //   比對的也正是「這個班批改時用的那份」而非模板現況。
+  //   分歧者整班排除（含概念層）：user 拍板一致性優先，不做部分搶救。
+  //   指紋一律從「答案卷」算：assignments.answer_key 是伺服器反向同步下來的副本，
+  //   同步時機不一定跟模板一致，拿它比會出現「內容其實相同卻判成分歧」。
+  const { data: famTpls } = await supabaseDb
+    .from('answer_key_templates').select('id, answer_key').in('id', familyIds)
+  const fpByTpl = new Map((famTpls ?? []).map((r) => [r.id, answerKeyFingerprint(r.answer_key)]))
+  const anchorAnswerKey = (famTpls ?? []).find((r) => r.id === anchorTemplateId)?.answer_key ?? null
+  const anchorFp = fpByTpl.get(anchorTemplateId) ?? null
+  let divergedCount = 0
+  if (anchorFp) {
+    const sameVersion = kept.filter((a) => fpByTpl.get(a.answer_key_template_id) === anchorFp)
+    divergedCount = kept.length - sameVersion.length
+    kept = sameVersion
+  }
+  return { anchorTemplateId, anchorAnswerKey, assignments: kept, divergedCount }
+}
+
 async function handleExamCompare(req, res) {
   if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
   const { user } = await getAuthUser(req, res)
@@ -2875,71 +3158,12 @@ async function handleExamCompare(req, res) {
   if (!assignmentId) { res.status(400).json({ error: 'Missing assignmentId' }); return }
   const supabaseDb = getSupabaseAdmin()
   try {
-    const { data: anchor } = await supabaseDb
-      .from('assignments').select('id, owner_id, answer_key_template_id')
-      .eq('id', assignmentId).maybeSingle()
-    if (!anchor || anchor.owner_id !== user.id) { res.status(403).json({ error: 'Forbidden' }); return }
-    if (!anchor.answer_key_template_id) { res.status(200).json({ classes: [] }); return }
-
-    // 血緣家族:根 + 所有指向根的複製品
-    let rootId = anchor.answer_key_template_id
-    try {
-      const { data: tpl } = await supabaseDb
-        .from('answer_key_templates').select('source_template_id')
-        .eq('id', rootId).maybeSingle()
-      if (tpl?.source_template_id) rootId = tpl.source_template_id
-    } catch { /* 血緣欄位未建 → 家族=自己 */ }
-    let familyIds = [rootId]
-    try {
-      const { data: fam } = await supabaseDb
-        .from('answer_key_templates').select('id').eq('source_template_id', rootId).limit(50)
-      familyIds = [...new Set([rootId, ...(fam ?? []).map((r) => r.id)])]
-    } catch { /* fail-open */ }
-
-    const { data: asgsRaw } = await supabaseDb
-      .from('assignments')
-      .select('id, owner_id, classroom_id, title, answer_key, concept_tags, answer_key_template_id')
-      .in('answer_key_template_id', familyIds)
-      .limit(30)
-    const asgs = asgsRaw ?? []
-
-    // 同校閘:跨 owner 只留與呼叫者同校的 active 老師
-    const crossOwners = [...new Set(asgs.map((a) => a.owner_id).filter((o) => o && o !== user.id))]
-    const allowedOwners = new Set([user.id])
-    if (crossOwners.length) {
-      const { data: mine } = await supabaseDb
-        .from('school_teachers').select('school_id')
-        .eq('teacher_user_id', user.id).eq('status', 'active')
-      const mySchools = (mine ?? []).map((r) => r.school_id)
-      if (mySchools.length) {
-        const { data: peers } = await supabaseDb
-          .from('school_teachers').select('teacher_user_id')
-          .in('school_id', mySchools).in('teacher_user_id', crossOwners).eq('status', 'active')
-        for (const p of peers ?? []) allowedOwners.add(p.teacher_user_id)
-      }
-    }
-    let kept = asgs.filter((a) => allowedOwners.has(a.owner_id))
-    if (kept.length === 0) { res.status(200).json({ classCount: 0 }); return }
-
-    // 2026-08-13 版本閘（user 拍板「答案卷是起點，分歧就是不同版本，不比」）：
-    //   血緣家族只保證「同一份卷的後代」，不保證內容仍相同——任何一方重新解析或改題號／配分，
-    //   逐題聚合就會把不同的題當成同一題合併（byQuestion 是拿題號當 key），而且完全無聲。
-    //   指紋直接從各班實際批改用的 answer_key 現算（本來就撈出來了），不存欄位＝不會走鐘，
-    //   比對的也正是「這個班批改時用的那份」而非模板現況。
-    //   分歧者整班排除（含概念層）：user 拍板一致性優先，不做部分搶救。
-    //   指紋一律從「答案卷」算：assignments.answer_key 是伺服器反向同步下來的副本，
-    //   同步時機不一定跟模板一致，拿它比會出現「內容其實相同卻判成分歧」。
-    const { data: famTpls } = await supabaseDb
-      .from('answer_key_templates').select('id, answer_key').in('id', familyIds)
-    const fpByTpl = new Map((famTpls ?? []).map((r) => [r.id, answerKeyFingerprint(r.answer_key)]))
-    const anchorAsg = kept.find((a) => a.id === assignmentId)
-    const anchorFp = anchorAsg ? fpByTpl.get(anchorAsg.answer_key_template_id) : null
-    let divergedCount = 0
-    if (anchorFp) {
-      const sameVersion = kept.filter((a) => fpByTpl.get(a.answer_key_template_id) === anchorFp)
-      divergedCount = kept.length - sameVersion.length
-      kept = sameVersion
-    }
+    const family = await resolveExamFamily(supabaseDb, user.id, { assignmentId })
+    if (family.forbidden) { res.status(403).json({ error: 'Forbidden' }); return }
+    if (!family.anchorTemplateId) { res.status(200).json({ classes: [] }); return }
+    if (family.assignments.length === 0) { res.status(200).json({ classCount: 0 }); return }
+    const kept = family.assignments
+    const divergedCount = family.divergedCount
 
     const BLANKS = new Set(['', '未作答', '無法辨識'])
     const byCode = {}
@@ -3043,165 +3267,1109 @@ async function handleExamCompare(req, res) {
   }
 }
 
-// ── 成績統計：直接從 Supabase 取分數 ────────────────────────────────────
-async function handleGetGradebookScores(req, res) {
-  if (req.method !== 'GET') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+// 血緣家族各班的作答向量(item-analysis / 答案卷錯誤偵測共用):
+//   每位學生取最新一次批改(同一作業重交只算一次);作答值優先用老師確認過的 final_answers。
+//   答案卷沒有的題號(子題拆分)照 detail 補進 questions(就地修改)。
+//   meta[i] = 第 i 份作答的 { assignmentId, studentId, submissionId }(只給伺服器內部用,不可回給前端)
+async function collectExamFamilyResponses(supabaseDb, assignments, questions) {
+  const known = new Set(questions.map((q) => q.id))
+  const responses = []
+  const meta = []
+  let classCount = 0
+  for (const a of assignments) {
+    const { data: subs } = await supabaseDb
+      .from('submissions').select('id, student_id, graded_at, grading_result, final_answers, source')
+      .eq('assignment_id', a.id)
+    const latest = new Map()
+    for (const sub of subs ?? []) {
+      if (sub.source === 'student_correction' || !sub.grading_result) continue
+      const key = sub.student_id || `anon:${latest.size}`
+      const prev = latest.get(key)
+      if (!prev || (Number(sub.graded_at) || 0) > (Number(prev.graded_at) || 0)) latest.set(key, sub)
+    }
+    let counted = false
+    for (const sub of latest.values()) {
+      let gr = sub.grading_result
+      if (typeof gr === 'string') { try { gr = JSON.parse(gr) } catch { continue } }
+      const details = Array.isArray(gr?.details) ? gr.details : []
+      if (details.length === 0) continue
+      const finalByQid = new Map(
+        (Array.isArray(sub.final_answers) ? sub.final_answers : [])
+          .map((fa) => [String(fa?.questionId ?? ''), fa?.finalStudentAnswer])
+      )
+      const row = new Map()
+      for (const d of details) {
+        const qid = String(d?.questionId ?? '')
+        if (!qid) continue
+        if (!known.has(qid)) {
+          known.add(qid)
+          questions.push({ id: qid, category: d?.questionType || null, maxScore: null, answer: '', optionCount: 0 })
+        }
+        const maxRaw = Number(d?.maxScore)
+        row.set(qid, {
+          score: Number(d?.score) || 0,
+          max: Number.isFinite(maxRaw) && maxRaw > 0 ? maxRaw : null,
+          answer: String(finalByQid.get(qid) ?? d?.studentAnswer ?? d?.studentFinalAnswer ?? '').trim()
+        })
+      }
+      responses.push(row)
+      meta.push({ assignmentId: a.id, studentId: sub.student_id ?? null, submissionId: sub.id })
+      counted = true
+    }
+    if (counted) classCount++
+  }
+  return { responses, meta, classCount }
+}
+
+// ═══ 試題分析(2026-10-19):難度 / 鑑別度 / 點二系列 / KR-20・α / 選項誘答力 ══════════════════
+// POST { assignmentId | templateId } → { classCount, divergedCount, n, reliability, items[], warnings[] }
+//   範圍同 exam-compare:血緣家族中「與錨點同版本、同校老師」的所有班級(resolveExamFamily)。
+//   每位學生取最新一次批改(同一作業重交只算一次);作答值優先用老師確認過的 final_answers。
+//   只回彙總數字、不回任何學生或班級識別。計算見 server/item-analysis.js。
+async function handleItemAnalysis(req, res) {
+  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
   const { user } = await getAuthUser(req, res)
   if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
-  const classroomId = req.query?.classroomId
-  if (!classroomId) { res.status(400).json({ error: 'Missing classroomId' }); return }
+  const body = parseJsonBody(req)
+  const assignmentId = String(body?.assignmentId ?? '').trim()
+  const templateId = String(body?.templateId ?? '').trim()
+  if (!assignmentId && !templateId) { res.status(400).json({ error: 'Missing assignmentId/templateId' }); return }
   const supabaseDb = getSupabaseAdmin()
   try {
-    // 取該班級的所有 assignment IDs
-    const { data: assignments, error: aErr } = await supabaseDb
-      .from('assignments')
-      .select('id')
-      .eq('owner_id', user.id)
-      .eq('classroom_id', classroomId)
-    if (aErr) throw aErr
-    const assignmentIds = (assignments || []).map(a => a.id)
-    if (assignmentIds.length === 0) {
-      res.status(200).json({ scores: [] })
-      return
-    }
-    // 取所有 submissions 的分數
-    const { data: subs, error: sErr } = await supabaseDb
-      .from('submissions')
-      .select('id, assignment_id, student_id, score, ai_score, score_source, graded_at, status')
-      .eq('owner_id', user.id)
-      .in('assignment_id', assignmentIds)
-    if (sErr) throw sErr
-    res.status(200).json({ scores: subs || [] })
+    const family = await resolveExamFamily(supabaseDb, user.id, { assignmentId, templateId })
+    if (family.forbidden) { res.status(403).json({ error: 'Forbidden' }); return }
+    if (!family.anchorTemplateId) { res.status(422).json({ error: '作業沒有綁定答案卷' }); return }
+
+    let akQuestions = []
+    try {
+      const ak = typeof family.anchorAnswerKey === 'string' ? JSON.parse(family.anchorAnswerKey) : family.anchorAnswerKey
+      akQuestions = Array.isArray(ak?.questions) ? ak.questions : []
+    } catch { /* ignore */ }
+    const questions = akQuestions
+      .filter((q) => q?.id)
+      .map((q) => ({
+        id: String(q.id),
+        category: q.questionCategory || null,
+        maxScore: Number(q.maxScore) || null,
+        answer: q.answer ?? '',
+        optionCount: Array.isArray(q.options) ? q.options.length : 0
+      }))
+    const { responses, classCount } = await collectExamFamilyResponses(supabaseDb, family.assignments, questions)
+    const analysis = computeItemAnalysis({ questions, responses })
+    res.status(200).json({ classCount, divergedCount: family.divergedCount, ...analysis })
   } catch (err) {
-    res.status(500).json({ error: err instanceof Error ? err.message : '取得分數失敗' })
+    console.error('[item-analysis] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'item-analysis failed' })
   }
 }
 
-// ── 清除作業的批改結果 ────────────────────────────────────────────────────
-// ── 直接儲存批改結果到 Supabase（不依賴 sync push）────────────────────
-// ═══ 批改輪歷史快照(2026-08-10、批改品質 dashboard 資料層)═══════════════════════
-//   A/B/C 模型(user 拍板):A=單輪健康度、B=跨輪一致性、C=不一致格眼球裁決。
-//   重批會覆蓋 grading_result/phase_a_state → B/C 的唯一資料來源就是這裡存的逐格快照。
-//   每卷保留最近 HISTORY_KEEP 輪、寫入 fail-open(絕不影響批改儲存)。DDL 見 local-only/ddl-grading-run-history.sql。
-const HISTORY_KEEP = 5
-const HISTORY_CONFIG_KEYS = [
-  'READ_SHEET', 'READ_MEDIA_RES', 'TYPE_SPLIT_READ', 'ENG_TEXT_READ_HIGHRES',
-  'ESCALATION_CHAIN', 'ZERO_REVIEW_TAIL', 'GLYPH_JUDGE_ALL', 'GZ_SKIP_READ',
-  'MODEL_PRO', 'MODEL_FLASH', 'JUDGE_MODEL', 'WQPDF_MARK_READ', 'WQPDF_MARK_TIGHT_CHOICE',
-  'CHARERR_VOTES', 'SHORTANS_CHARERR', 'ENGLISH_TEXT_READ_PRO', 'MATH_TEXT_READ_PRO'
-]
-function historyConfigFingerprint() {
-  const cfg = {}
-  for (const k of HISTORY_CONFIG_KEYS) { const v = process.env[k]; if (v !== undefined && v !== '') cfg[k] = String(v) }
-  return cfg
-}
-function historyReadOf(ra) {
-  if (!ra || typeof ra !== 'object') return null
-  const out = { v: String(ra.studentAnswer ?? ra.studentAnswerRaw ?? '').slice(0, 120), st: String(ra.status ?? '') }
-  if (Array.isArray(ra.partValues) && ra.partValues.length > 0) {
-    out.p = ra.partValues.slice(0, 12).map((x) => ({ s: String(x?.subId ?? ''), v: String(x?.student ?? '').slice(0, 40) }))
-  }
-  return out
-}
-function historyCellOf(d, chainByQid) {
-  const qid = String(d?.questionId ?? '')
-  const cell = {
-    qid,
-    type: d?.questionType ?? null,
-    ok: d?.isCorrect === true,
-    score: Number.isFinite(Number(d?.score)) ? Number(d.score) : null,
-    max: Number.isFinite(Number(d?.maxScore)) ? Number(d.maxScore) : null,
-    ans: String(d?.studentAnswer ?? '').slice(0, 120),
-    r1: historyReadOf(d?.readAnswer1),
-    r2: historyReadOf(d?.readAnswer2),
-    cons: d?.consistencyStatus ?? null,
-    conf: Number.isFinite(Number(d?.confidence)) ? Number(d.confidence) : null,
-    sysConf: Number.isFinite(Number(d?.systemConfidence)) ? Number(d.systemConfidence) : null,
-    journey: d?.confidenceJourney ? String(d.confidenceJourney).slice(0, 60) : null,
-    // 2026-08-15：兩讀分歧後「最終採用哪一讀」——批改品質頁要能交代 unstable 的收斂結果
-    src: d?.finalAnswerSource ? String(d.finalAnswerSource).slice(0, 24) : null,
-    bbox: d?.answerBbox ?? null,
-    errType: d?.errorType ?? null,
-    reason: d?.reason ? String(d.reason).slice(0, 100) : null
-  }
-  if (Array.isArray(d?.glyphVotes) && d.glyphVotes.length > 0) cell.votes = d.glyphVotes.slice(0, 6).map((v) => String(v).slice(0, 40))
-  const ch = chainByQid?.get?.(qid)
-  if (ch) {
-    cell.chain = {
-      level: String(ch.level ?? ''),
-      adopted: String(ch.adopted ?? '').slice(0, 60),
-      picks: [ch.r1p, ch.r2p, ch.r3p, ch.r4p].filter((x) => x !== undefined).map((x) => String(x ?? '').slice(0, 40)),
-      conf: ch.chainConfidence ?? null
-    }
-  }
-  return cell
-}
-// entries: [{ submissionId, assignmentId, ownerId, gradedAt, gradedBy, totalScore, gradingResult }]
-async function saveGradingRunHistory(supabaseDb, entries) {
+// ═══ 答案卷錯誤偵測(2026-10-19):Phase B 後的統計檢查 → answer_key_alerts(server/answer-key-audit.js)═══════
+//   觸發:save-grading(AI 輪完成才跑,手動改分不跑)、grading_jobs 整班 Phase B 跑完最後一卷。
+//   範圍:本班 + 同版本血緣家族(resolveExamFamily;樣本大、單班偏差小),affected 只列本班學生。
+//     save-grading 在請求內同步跑 → familyScope:false 只看本班(不每存一次就掃整個家族);
+//     整班 Phase B 跑完(grading_jobs,背景)才掃整個家族。
+//   警示未處理前(status=open)= blocking:訂正不自動派發、correction-dispatch-toggle 開啟要 force。
+//   fail-open:表不存在 / 任何失敗只 warn,絕不影響批改。
+async function auditAnswerKeyAfterPhaseB(supabaseDb, ownerId, assignmentId, { familyScope = true } = {}) {
+  if (!isAnswerKeyAuditEnabled() || !assignmentId) return null
   try {
-    const valid = (entries || []).filter((e) => e?.submissionId && e?.assignmentId && Array.isArray(e?.gradingResult?.details) && e.gradingResult.details.length > 0)
-    if (valid.length === 0) return
-    // 鏈裁決摘要(NR 格才有):JSON path 只抓 escalationChain、不拉整個 phase_a_state
-    const chainBySub = new Map()
+    const { data: asg } = await supabaseDb
+      .from('assignments').select('id, owner_id, answer_key, answer_key_template_id')
+      .eq('id', assignmentId).eq('owner_id', ownerId).maybeSingle()
+    if (!asg?.answer_key) return null
+    let assignments = [asg]
+    let answerKey = asg.answer_key
+    if (familyScope && asg.answer_key_template_id) {
+      const family = await resolveExamFamily(supabaseDb, ownerId, { assignmentId })
+      if (family.assignments?.length) {
+        assignments = family.assignments.some((a) => a.id === asg.id) ? family.assignments : [asg, ...family.assignments]
+        answerKey = family.anchorAnswerKey ?? answerKey
+      }
+    }
+    let akQuestions = []
     try {
-      const { data: chainRows } = await supabaseDb
-        .from('submissions')
-        .select('id, phase_a_state->escalationChain')
-        .in('id', valid.map((e) => e.submissionId))
-      for (const r of chainRows || []) {
-        const recs = r?.escalationChain?.records
-        if (Array.isArray(recs) && recs.length > 0) chainBySub.set(r.id, new Map(recs.map((x) => [String(x.questionId), x])))
-      }
-    } catch (e) { console.warn('[run-history] chain fetch failed (non-fatal):', e?.message) }
-    const gitSha = String(process.env.VERCEL_GIT_COMMIT_SHA || '').slice(0, 7) || null
-    const config = historyConfigFingerprint()
-    const rows = valid.map((e) => ({
-      submission_id: e.submissionId,
-      assignment_id: e.assignmentId,
-      owner_id: e.ownerId ?? null,
-      graded_at: Number(e.gradedAt) || Date.now(),
-      graded_by: e.gradedBy ?? 'teacher',
-      total_score: Number.isFinite(Number(e.totalScore)) ? Number(e.totalScore) : null,
-      git_sha: gitSha,
-      config,
-      cells: e.gradingResult.details.map((d) => historyCellOf(d, chainBySub.get(e.submissionId)))
+      const ak = typeof answerKey === 'string' ? JSON.parse(answerKey) : answerKey
+      akQuestions = Array.isArray(ak?.questions) ? ak.questions.filter((q) => q?.id) : []
+    } catch { /* ignore */ }
+    const questions = akQuestions.map((q) => ({
+      id: String(q.id),
+      category: q.questionCategory || null,
+      maxScore: Number(q.maxScore) || null,
+      answer: q.answer ?? '',
+      optionCount: Array.isArray(q.options) ? q.options.length : 0
     }))
-    const { error: insErr } = await supabaseDb.from('grading_run_history').insert(rows)
-    if (insErr) { console.warn('[run-history] insert failed (non-fatal):', insErr.message); return }
-    // 汰舊:每卷只留最近 HISTORY_KEEP 輪
-    for (const e of valid) {
+    const { responses, meta } = await collectExamFamilyResponses(supabaseDb, assignments, questions)
+
+    let semanticTable = new Map()
+    const semanticQids = akQuestions
+      .filter((q) => Array.isArray(q.rubricsDimensions) && q.rubricsDimensions.length > 0)
+      .map((q) => String(q.id))
+    if (semanticQids.length) {
       try {
-        const { data: old } = await supabaseDb
-          .from('grading_run_history')
-          .select('id')
-          .eq('submission_id', e.submissionId)
-          .order('graded_at', { ascending: false })
-          .range(HISTORY_KEEP, HISTORY_KEEP + 49)
-        if (old?.length) await supabaseDb.from('grading_run_history').delete().in('id', old.map((x) => x.id))
-      } catch (e2) { console.warn('[run-history] retention failed (non-fatal):', e2?.message) }
+        semanticTable = await loadSemanticTable(supabaseDb, await resolveSemanticScopeKey(supabaseDb, assignmentId), semanticQids)
+      } catch (e) {
+        console.warn('[answer-key-audit] semantic table load failed (non-fatal):', e?.message)
+      }
     }
-    console.log(`[run-history] 已存 ${rows.length} 卷批改輪快照`)
-  } catch (e) {
-    console.warn('[run-history] failed (non-fatal):', e?.message)
+    const { n, suspects } = detectAnswerKeySuspects({ questions, responses, semanticTable })
+
+    const { data: existing, error: exErr } = await supabaseDb
+      .from('answer_key_alerts').select('id, question_id, status')
+      .eq('owner_id', ownerId).eq('assignment_id', assignmentId)
+    if (exErr) throw new Error(exErr.message)
+    const statusByQ = new Map((existing ?? []).map((r) => [r.question_id, r.status]))
+    const nowIso = new Date().toISOString()
+    const rows = []
+    for (const sp of suspects) {
+      // 老師判定「不是答案卷的問題」→ 不再重開
+      if (statusByQ.get(sp.questionId) === 'dismissed') continue
+      const q = questions.find((x) => x.id === sp.questionId)
+      const useSemantic = (semanticTable.get(sp.questionId)?.size ?? 0) > 0
+      const affected = []
+      meta.forEach((m, i) => {
+        if (m.assignmentId !== assignmentId) return
+        const a = responses[i].get(sp.questionId)
+        const max = a?.max ?? q?.maxScore
+        if (!a || (max && a.score >= max)) return
+        if (matchesSuspectedAnswer(q?.category, a.answer, sp.suspectedKey, useSemantic)) {
+          affected.push({ studentId: m.studentId, submissionId: m.submissionId })
+        }
+      })
+      rows.push({
+        owner_id: ownerId,
+        assignment_id: assignmentId,
+        question_id: sp.questionId,
+        status: 'open',
+        current_answer: sp.currentAnswer,
+        suspected_answer: sp.suspectedAnswer,
+        confidence: sp.confidence,
+        signals: sp.signals,
+        stats: sp.stats,
+        affected,
+        sample_count: n,
+        resolution: null,
+        resolved_by: null,
+        resolved_at: null,
+        detected_at: nowIso,
+        updated_at: nowIso
+      })
+    }
+    if (rows.length) {
+      const { error: upErr } = await supabaseDb
+        .from('answer_key_alerts').upsert(rows, { onConflict: 'owner_id,assignment_id,question_id' })
+      if (upErr) throw new Error(upErr.message)
+    }
+    // 重批 / 樣本變多後不再可疑的 open 警示自動結案(樣本不足時不動,免得人一少就全部消失)
+    if (n >= ANSWER_KEY_AUDIT_MIN_N) {
+      const stale = (existing ?? [])
+        .filter((r) => r.status === 'open' && !suspects.some((sp) => sp.questionId === r.question_id))
+        .map((r) => r.id)
+      if (stale.length) {
+        await supabaseDb.from('answer_key_alerts')
+          .update({ status: 'resolved', resolution: { by: 'auto', note: '重新偵測後已不再可疑' }, resolved_at: nowIso, updated_at: nowIso })
+          .in('id', stale)
+      }
+    }
+    if (rows.length) console.log(`[answer-key-audit] ${assignmentId} n=${n} suspects=${rows.map((r) => r.question_id).join(',')}`)
+    return { n, opened: rows.length }
+  } catch (err) {
+    console.warn('[answer-key-audit] failed (fail-open):', err?.message)
+    return null
   }
 }
 
-async function handleSaveGrading(req, res) {
-  // 2026-08-08 分段計時：批改完成後結果 modal 會等這支端點回來才顯示（user 拍板「等結算完一次出現」），
-  //   user 回報有可感知的停頓。這支端點是一長串序列往返，先量出各段耗時再決定要優化哪一段——
-  //   不要盲修。timings 同時 log 到 server 並回在 response（前端 console 印出來、免開 Vercel）。
-  const T0 = Date.now()
-  const marks = {}
-  const mark = (k) => { marks[k] = Date.now() - T0 }
-  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
-  const { user } = await getAuthUser(req, res)
-  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
-  mark('auth')
-  const body = parseJsonBody(req)
-  const submissions = Array.isArray(body?.submissions) ? body.submissions : []
-  if (submissions.length === 0) { res.status(400).json({ error: 'Missing submissions' }); return }
-  const bodyBytes = (() => { try { return JSON.stringify(body).length } catch { return -1 } })()
-  const supabaseDb = getSupabaseAdmin()
+// 作業 → 未處理的答案卷警示(blocking 判斷用;表不存在 = 沒有警示)
+async function loadOpenAnswerKeyAlerts(supabaseDb, ownerId, assignmentIds) {
+  const out = new Map()
+  if (!isAnswerKeyAuditEnabled() || !assignmentIds?.length) return out
+  try {
+    const { data, error } = await supabaseDb
+      .from('answer_key_alerts')
+      .select('id, assignment_id, question_id, current_answer, suspected_answer, confidence')
+      .eq('owner_id', ownerId).in('assignment_id', assignmentIds).eq('status', 'open')
+    if (error) throw new Error(error.message)
+    for (const r of data ?? []) {
+      const list = out.get(r.assignment_id) ?? []
+      list.push({
+        alertId: r.id, questionId: r.question_id, currentAnswer: r.current_answer,
+        suspectedAnswer: r.suspected_answer, confidence: r.confidence
+      })
+      out.set(r.assignment_id, list)
+    }
+  } catch (err) {
+    console.warn('[answer-key-audit] load open alerts failed (fail-open):', err?.message)
+  }
+  return out
+}
+
+// GET ?assignmentId= → { alerts[{ id, questionId, status, currentAnswer, suspectedAnswer, confidence, signals, stats, affected, ... }] }
+// POST { alertId, decision: 'dismiss', note? }                          → 不是答案卷的問題,之後不再重開
+// POST { alertId, decision: 'apply', answer?, mode?: 'replace'|'accept_both' }
+//   → 改答案卷(模板是 SSoT:有綁模板就改模板 + 同模板的所有作業),逐卷用 decideDeterministic 重判該題,
+//     分數有變的卷走 reconcilePhaseBRegrade(同 reconcile-phase-b-regrade:保留訂正 / 申訴成果)。
+//   answer 省略 = 偵測到的可疑答案;mode 省略 = 選擇 / 是非題 replace、其餘 accept_both(「舊答案或新答案」)。
+//   code 判不動的卷列在 undecided(回 submissionIds,前端再排 phase_b 重批);grading_result 壞掉的列在 skipped、
+//   老師手動改過該題的列在 manualOverrides(都不動)。先全部規劃完才寫入,警示最後才結案 → 失敗可重按。
+const ANSWER_KEY_REPLACE_CATEGORIES = new Set([...DISTRACTOR_CATEGORIES, 'true_false', 'single_check', 'multi_check', 'circle_select_one'])
+
+async function handleAnswerKeyAlerts(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    if (req.method === 'GET') {
+      const assignmentId = String(req.query?.assignmentId ?? '').trim()
+      if (!assignmentId) { res.status(400).json({ error: 'Missing assignmentId' }); return }
+      const { data, error } = await supabaseDb
+        .from('answer_key_alerts')
+        .select('id, question_id, status, current_answer, suspected_answer, confidence, signals, stats, affected, sample_count, resolution, detected_at, resolved_at')
+        .eq('owner_id', user.id).eq('assignment_id', assignmentId)
+        .order('detected_at', { ascending: false })
+      if (error) throw new Error(error.message)
+      res.status(200).json({
+        alerts: (data ?? []).map((r) => ({
+          id: r.id, questionId: r.question_id, status: r.status,
+          currentAnswer: r.current_answer, suspectedAnswer: r.suspected_answer, confidence: r.confidence,
+          signals: r.signals ?? [], stats: r.stats ?? null, affected: r.affected ?? [], sampleCount: r.sample_count,
+          resolution: r.resolution ?? null, detectedAt: r.detected_at, resolvedAt: r.resolved_at
+        }))
+      })
+      return
+    }
+
+    const body = parseJsonBody(req)
+    const alertId = String(body?.alertId ?? '').trim()
+    const decision = body?.decision
+    if (!alertId || !['apply', 'dismiss'].includes(decision)) { res.status(400).json({ error: 'Missing alertId/decision' }); return }
+    const { data: alert } = await supabaseDb
+      .from('answer_key_alerts').select('id, assignment_id, question_id, status, current_answer, suspected_answer')
+      .eq('id', alertId).eq('owner_id', user.id).maybeSingle()
+    if (!alert) { res.status(404).json({ error: '找不到此警示' }); return }
+    if (alert.status !== 'open') { res.status(409).json({ error: 'ALERT_NOT_OPEN', message: '此警示已處理過' }); return }
+    const nowIso = new Date().toISOString()
+
+    if (decision === 'dismiss') {
+      const note = typeof body?.note === 'string' ? body.note.trim().slice(0, 200) : ''
+      await supabaseDb.from('answer_key_alerts').update({
+        status: 'dismissed', resolution: { by: 'teacher', decision: 'dismiss', ...(note ? { note } : {}) },
+        resolved_by: user.id, resolved_at: nowIso, updated_at: nowIso
+      }).eq('id', alert.id)
+      res.status(200).json({ success: true, status: 'dismissed' })
+      return
+    }
+
+    const { data: asg } = await supabaseDb
+      .from('assignments').select('id, answer_key, answer_key_template_id')
+      .eq('id', alert.assignment_id).eq('owner_id', user.id).maybeSingle()
+    if (!asg?.answer_key) { res.status(404).json({ error: '找不到作業或答案卷' }); return }
+    let akSource = asg.answer_key
+    let templateOwned = false
+    if (asg.answer_key_template_id) {
+      const { data: tpl } = await supabaseDb
+        .from('answer_key_templates').select('id, answer_key')
+        .eq('id', asg.answer_key_template_id).eq('owner_id', user.id).maybeSingle()
+      if (tpl?.answer_key) { akSource = tpl.answer_key; templateOwned = true }
+    }
+    const ak = typeof akSource === 'string' ? JSON.parse(akSource) : akSource
+    const qid = alert.question_id
+    const q = (ak?.questions ?? []).find((x) => String(x?.id) === qid)
+    if (!q) { res.status(422).json({ error: `答案卷找不到第 ${qid} 題` }); return }
+    const newAnswer = String(body?.answer ?? alert.suspected_answer ?? '').trim()
+    if (!newAnswer) { res.status(400).json({ error: 'Missing answer' }); return }
+    const category = String(q.questionCategory ?? '')
+    const mode = body?.mode === 'replace' || body?.mode === 'accept_both'
+      ? body.mode
+      : ANSWER_KEY_REPLACE_CATEGORIES.has(category) ? 'replace' : 'accept_both'
+    const oldAnswer = String(q.answer ?? '').trim()
+    // accept_both 要冪等:重試 / 重按時舊答案已含新答案 → 不再接一次(免得變成「舊或新或新」)
+    const oldAlternatives = oldAnswer.split('或').map((s) => s.trim()).filter(Boolean)
+    const nextAnswer = mode === 'replace' || !oldAnswer
+      ? newAnswer
+      : oldAlternatives.includes(newAnswer) ? oldAnswer : `${oldAnswer}或${newAnswer}`
+    const updatedQ = { ...q, answer: nextAnswer }
+    const prepared = prepareAnswerKeyForWrite(
+      { ...ak, questions: ak.questions.map((x) => (String(x?.id) === qid ? updatedQ : x)) },
+      { logTag: '[answer-key-alerts]', entityId: `assignment ${asg.id}` }
+    )
+    if (!prepared.ok) { res.status(422).json({ error: '改過的答案卷未通過格式檢查', schemaErrors: prepared.errors.slice(0, 20) }); return }
+    const updatedAk = prepared.answerKey
+
+    // 範圍:模板是反向同步的 SSoT → 模板 + 同模板的所有作業(全抓,不設上限,免得後面的作業留在舊答案);
+    //   沒有模板(或不是自己的)只改這份作業
+    let targetIds = [asg.id]
+    if (templateOwned) {
+      const { data: sibs, error: sibErr } = await fetchAllPaginated(() => supabaseDb.from('assignments').select('id')
+        .eq('owner_id', user.id).eq('answer_key_template_id', asg.answer_key_template_id).order('id'))
+      if (sibErr) throw new Error(sibErr.message)
+      targetIds = [...new Set([asg.id, ...(sibs ?? []).map((r) => r.id)])]
+    }
+
+    // 先規劃、後寫入:逐卷重判該題(每位學生最新一份原卷;訂正卷不動)全部算完才動 DB,
+    //   讀不到 / 解析失敗的卷列在 skipped,不讓一筆壞資料把整個套用炸成 500、也不會寫到一半。
+    //   老師手動改過該題(detail._editedAt)→ 不覆蓋,列在 manualOverrides;整卷是人工分數(score_source=manual)
+    //   時重判其他題也保留 manual 標記。
+    const plans = []
+    const undecided = []
+    const skipped = []
+    const manualOverrides = []
+    for (const aid of targetIds) {
+      const { data: subs, error: subsErr } = await fetchAllPaginated(() => supabaseDb
+        .from('submissions').select('id, student_id, graded_at, grading_result, final_answers, source, status, score_source')
+        .eq('owner_id', user.id).eq('assignment_id', aid).order('id'))
+      if (subsErr) throw new Error(subsErr.message)
+      const latest = new Map()
+      for (const sub of subs ?? []) {
+        if (!sub.student_id || !sub.grading_result || sub.source === 'student_correction' || sub.status === 'superseded') continue
+        const prev = latest.get(sub.student_id)
+        if (!prev || (Number(sub.graded_at) || 0) > (Number(prev.graded_at) || 0)) latest.set(sub.student_id, sub)
+      }
+      for (const sub of latest.values()) {
+        const ref = { assignmentId: aid, studentId: sub.student_id, submissionId: sub.id }
+        let gr
+        try {
+          gr = typeof sub.grading_result === 'string' ? JSON.parse(sub.grading_result) : sub.grading_result
+        } catch {
+          skipped.push({ ...ref, reason: 'MALFORMED_GRADING_RESULT' })
+          continue
+        }
+        const details = Array.isArray(gr?.details) ? gr.details : []
+        const d = details.find((x) => String(x?.questionId ?? '') === qid)
+        if (!d) continue
+        if (d._editedAt) { manualOverrides.push(ref); continue }
+        const fa = (Array.isArray(sub.final_answers) ? sub.final_answers : []).find((x) => String(x?.questionId ?? '') === qid)
+        const studentAnswer = fa?.finalStudentAnswer ?? d.studentAnswer ?? d.studentFinalAnswer ?? ''
+        const verdict = decideDeterministic({ question: updatedQ, studentAnswer, answerKey: updatedAk, status: 'read' })
+        if (!verdict) { undecided.push(ref); continue }
+        const max = Number(d.maxScore) || Number(updatedQ.maxScore) || 0
+        const score = verdict.verdict === 'equal' ? max : Math.min(max, Math.max(0, Number(verdict.score) || 0))
+        if (score === (Number(d.score) || 0)) continue
+        const reason = `答案卷第 ${qid} 題更正後重新判定（${verdict.by}）`
+        const newDetail = { ...d, score, isCorrect: score >= max && max > 0, reason, comment: reason }
+        const mistakes = Array.isArray(gr.mistakes) ? gr.mistakes : []
+        const isMistake = (m) => String((m?.id || m?.questionId) ?? '').trim() === qid
+        let newMistakes = mistakes.filter((m) => !isMistake(m))
+        // mistakes 是空的 = 由 details 推導(見 parseMistakesFromGradingResult),不能只塞這一題
+        if (!newDetail.isCorrect && mistakes.length > 0) newMistakes = [...newMistakes, { id: qid, question: qid, reason }]
+        const newGrade = {
+          ...gr,
+          details: details.map((x) => (x === d ? newDetail : x)),
+          ...(Array.isArray(gr.mistakes) ? { mistakes: newMistakes } : {})
+        }
+        plans.push({ ...ref, newGrade, scoreSource: sub.score_source === 'manual' ? 'manual' : 'ai' })
+      }
+    }
+
+    // 寫入順序:模板 → 作業 → 逐卷重判 → 最後才結案警示。中途失敗警示仍是 open,
+    //   老師重按一次:答案已是新的(accept_both 不重複接)、已重判的卷分數相同會略過 → 從斷點接著做。
+    if (templateOwned) {
+      const { error: tplErr } = await supabaseDb.from('answer_key_templates')
+        .update({ answer_key: updatedAk, updated_at: nowIso })
+        .eq('id', asg.answer_key_template_id).eq('owner_id', user.id)
+      if (tplErr) throw new Error(tplErr.message)
+    }
+    for (const chunk of chunkArray(targetIds, IN_CLAUSE_CHUNK_SIZE)) {
+      const { error: akErr } = await supabaseDb.from('assignments')
+        .update({ answer_key: updatedAk, updated_at: nowIso })
+        .eq('owner_id', user.id).in('id', chunk)
+      if (akErr) throw new Error(akErr.message)
+    }
+    let regraded = 0
+    for (const plan of plans) {
+      await reconcilePhaseBRegrade(supabaseDb, user.id, {
+        assignmentId: plan.assignmentId, studentId: plan.studentId, submissionId: plan.submissionId,
+        newGrade: plan.newGrade, scoreSource: plan.scoreSource
+      })
+      regraded++
+    }
+    for (const chunk of chunkArray(targetIds, IN_CLAUSE_CHUNK_SIZE)) {
+      const { error: resolveErr } = await supabaseDb.from('answer_key_alerts').update({
+        status: 'resolved',
+        resolution: { by: 'teacher', decision: 'apply', previousAnswer: oldAnswer, answer: updatedQ.answer, mode },
+        resolved_by: user.id, resolved_at: nowIso, updated_at: nowIso
+      }).eq('owner_id', user.id).in('assignment_id', chunk).eq('question_id', qid).eq('status', 'open')
+      if (resolveErr) throw new Error(resolveErr.message)
+    }
+    console.log(`[answer-key-alerts] apply ${alert.assignment_id} q=${qid} mode=${mode} assignments=${targetIds.length} regraded=${regraded} undecided=${undecided.length} skipped=${skipped.length} manual=${manualOverrides.length}`)
+    res.status(200).json({
+      success: true, status: 'resolved', answer: updatedQ.answer, mode,
+      assignmentIds: targetIds, regraded, undecided, skipped, manualOverrides
+    })
+  } catch (err) {
+    console.error('[answer-key-alerts] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'answer-key-alerts failed' })
+  }
+}
+
+// ═══ 考試向度彙總(2026-10-19):逐向度答對率(每位學生 / 每班)→ 向度雷達圖 ══════════════════════
+// POST { assignmentId | assignmentIds[] }(同一科、同學段;不同的列在 skippedAssignments)
+//   → { framework, frameworkName, subject, axes[], classes[], students[], coverage, skippedAssignments }
+//   題目向度:answer_key analysis.examDimension 優先、concept_tags[qid].examDimension 次之(tag_concepts 寫的),
+//   一律經 normalizeExamDimension 收斂;cap 聚到學習表現類別。答對率 = Σ得分 / Σ配分(部分給分照比例)。
+//   每位學生每份作業取最新一次批改。只收呼叫者自己的作業。
+const EXAM_DIMENSION_MAX_ASSIGNMENTS = 20
+
+async function handleExamDimensionSummary(req, res) {
+  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  const body = parseJsonBody(req)
+  const ids = [...new Set([
+    ...(Array.isArray(body?.assignmentIds) ? body.assignmentIds : []),
+    body?.assignmentId
+  ].map((v) => String(v ?? '').trim()).filter(Boolean))].slice(0, EXAM_DIMENSION_MAX_ASSIGNMENTS)
+  if (ids.length === 0) { res.status(400).json({ error: 'Missing assignmentId' }); return }
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    const { data: asgs } = await supabaseDb
+      .from('assignments').select('id, owner_id, classroom_id, answer_key, concept_tags')
+      .in('id', ids)
+    if (!asgs?.length || asgs.some((a) => a.owner_id !== user.id)) { res.status(403).json({ error: 'Forbidden' }); return }
+
+    const ctxById = new Map()
+    for (const a of asgs) ctxById.set(a.id, await resolveAssignmentExamContext(supabaseDb, a.id))
+    const first = asgs.map((a) => ctxById.get(a.id)).find(Boolean)
+    if (!first) { res.status(422).json({ error: '作業沒有科目或班級年級,無法決定考試框架' }); return }
+    const sameCtx = (c) => c && c.framework === first.framework && c.subject === first.subject
+    const used = asgs.filter((a) => sameCtx(ctxById.get(a.id)))
+    const skippedAssignments = asgs.filter((a) => !sameCtx(ctxById.get(a.id))).map((a) => a.id)
+
+    const axes = examDimensionsFor(first.framework, first.subject).map((d) => ({ code: d.code, label: d.label }))
+    const addTo = (acc, axis, score, max) => {
+      const e = acc[axis] ?? (acc[axis] = { score: 0, max: 0, questionCount: 0 })
+      e.score += score
+      e.max += max
+      e.questionCount++
+    }
+    const finish = (acc) => Object.fromEntries(Object.entries(acc).map(([k, e]) => [k, {
+      score: Math.round(e.score * 100) / 100,
+      max: Math.round(e.max * 100) / 100,
+      rate: e.max > 0 ? Math.round((e.score / e.max) * 1000) / 1000 : null,
+      questionCount: e.questionCount
+    }]))
+
+    const byClass = new Map()
+    const byStudent = new Map()
+    let totalQuestions = 0
+    let taggedQuestions = 0
+    for (const a of used) {
+      const ctx = ctxById.get(a.id)
+      let akQs = []
+      try {
+        const ak = typeof a.answer_key === 'string' ? JSON.parse(a.answer_key) : a.answer_key
+        akQs = Array.isArray(ak?.questions) ? ak.questions : []
+      } catch { /* ignore */ }
+      const tags = a.concept_tags && typeof a.concept_tags === 'object' ? a.concept_tags : {}
+      const axisByQid = new Map()
+      for (const q of akQs) {
+        const qid = String(q?.id ?? '')
+        if (!qid) continue
+        totalQuestions++
+        const an = q?.analysis
+        const fromAk = an?.examFramework === ctx.framework ? an.examDimension : null
+        const tag = tags[qid]
+        const code = normalizeExamDimension(ctx.framework, ctx.subject, fromAk || tag?.examDimension || tag?.exam_dimension)
+        const axis = examDimensionAxis(ctx.framework, ctx.subject, code)
+        if (axis) { axisByQid.set(qid, axis.code); taggedQuestions++ }
+      }
+      if (axisByQid.size === 0) continue
+
+      const { data: subs } = await supabaseDb
+        .from('submissions').select('student_id, graded_at, grading_result, source')
+        .eq('assignment_id', a.id)
+      const latest = new Map()
+      for (const sub of subs ?? []) {
+        if (sub.source === 'student_correction' || !sub.grading_result || !sub.student_id) continue
+        const prev = latest.get(sub.student_id)
+        if (!prev || (Number(sub.graded_at) || 0) > (Number(prev.graded_at) || 0)) latest.set(sub.student_id, sub)
+      }
+      const classKey = a.classroom_id || ''
+      const cls = byClass.get(classKey) ?? { students: new Set(), acc: {} }
+      byClass.set(classKey, cls)
+      for (const sub of latest.values()) {
+        let gr = sub.grading_result
+        if (typeof gr === 'string') { try { gr = JSON.parse(gr) } catch { continue } }
+        const stu = byStudent.get(sub.student_id) ?? { classroomId: a.classroom_id, acc: {} }
+        byStudent.set(sub.student_id, stu)
+        cls.students.add(sub.student_id)
+        for (const d of gr?.details ?? []) {
+          const axis = axisByQid.get(String(d?.questionId ?? ''))
+          const max = Number(d?.maxScore)
+          if (!axis || !Number.isFinite(max) || max <= 0) continue
+          const score = Math.min(max, Math.max(0, Number(d?.score) || 0))
+          addTo(stu.acc, axis, score, max)
+          addTo(cls.acc, axis, score, max)
+        }
+      }
+    }
+
+    const studentIds = [...byStudent.keys()]
+    const classIds = [...byClass.keys()].filter(Boolean)
+    const [{ data: stuRows }, { data: clsRows }] = await Promise.all([
+      studentIds.length
+        ? supabaseDb.from('students').select('id, name, seat_number').in('id', studentIds)
+        : Promise.resolve({ data: [] }),
+      classIds.length
+        ? supabaseDb.from('classrooms').select('id, name').in('id', classIds)
+        : Promise.resolve({ data: [] })
+    ])
+    const stuById = new Map((stuRows ?? []).map((r) => [r.id, r]))
+    const clsName = new Map((clsRows ?? []).map((r) => [r.id, r.name]))
+
+    res.status(200).json({
+      framework: first.framework,
+      frameworkName: EXAM_FRAMEWORKS[first.framework],
+      subject: first.subject,
+      axes,
+      classes: [...byClass.entries()].map(([classroomId, c]) => ({
+        classroomId: classroomId || null,
+        name: clsName.get(classroomId) ?? null,
+        studentCount: c.students.size,
+        byAxis: finish(c.acc)
+      })),
+      students: studentIds
+        .map((id) => ({
+          studentId: id,
+          name: stuById.get(id)?.name ?? null,
+          seatNumber: stuById.get(id)?.seat_number ?? null,
+          classroomId: byStudent.get(id).classroomId ?? null,
+          byAxis: finish(byStudent.get(id).acc)
+        }))
+        .sort((x, y) => (Number(x.seatNumber) || 0) - (Number(y.seatNumber) || 0)),
+      coverage: { taggedQuestions, totalQuestions },
+      skippedAssignments
+    })
+  } catch (err) {
+    console.error('[exam-dimension-summary] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'exam-dimension-summary failed' })
+  }
+}
+
+// ═══ 命題藍圖對照(2026-10-19):答案卷 vs 該學段升學考試的試卷結構(批改前就能跑)═══════════════
+// POST { templateId | assignmentId, framework?, grade?, subject? }
+//   → server/exam-blueprint.js checkExamBlueprint 的結果(題型比例、向度覆蓋、findings)
+//   框架:body.framework > body.grade > 作業班級年級 > 答案卷 analysis.examFramework 多數決;
+//   科目:body.subject > domain。答案卷模板沒有班級 → 通常靠前端帶 grade 或 kp-save 已寫入的 examFramework。
+async function handleExamBlueprintCheck(req, res) {
+  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  const body = parseJsonBody(req)
+  const templateId = String(body?.templateId ?? '').trim()
+  const assignmentId = String(body?.assignmentId ?? '').trim()
+  if (!templateId && !assignmentId) { res.status(400).json({ error: 'Missing templateId/assignmentId' }); return }
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    const { data: row } = templateId
+      ? await supabaseDb.from('answer_key_templates').select('id, owner_id, domain, answer_key').eq('id', templateId).maybeSingle()
+      : await supabaseDb.from('assignments').select('id, owner_id, domain, answer_key, concept_tags').eq('id', assignmentId).maybeSingle()
+    if (!row || row.owner_id !== user.id) { res.status(403).json({ error: 'Forbidden' }); return }
+
+    let akQs = []
+    try {
+      const ak = typeof row.answer_key === 'string' ? JSON.parse(row.answer_key) : row.answer_key
+      akQs = Array.isArray(ak?.questions) ? ak.questions.filter((q) => q?.id) : []
+    } catch { /* ignore */ }
+    if (akQs.length === 0) { res.status(422).json({ error: '答案卷沒有題目' }); return }
+
+    const asgCtx = assignmentId ? await resolveAssignmentExamContext(supabaseDb, assignmentId) : null
+    const tally = new Map()
+    for (const q of akQs) {
+      const fw = q?.analysis?.examFramework
+      if (EXAM_FRAMEWORKS[fw]) tally.set(fw, (tally.get(fw) ?? 0) + 1)
+    }
+    const tagged = [...tally.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null
+    const framework = (EXAM_FRAMEWORKS[body?.framework] ? body.framework : null) ||
+      examFrameworkForGrade(body?.grade) || asgCtx?.framework || tagged
+    const subject = normalizeExamSubject(body?.subject) || asgCtx?.subject || normalizeExamSubject(row.domain)
+    if (!framework || !subject) {
+      res.status(422).json({ error: '無法決定學段或科目,請帶 grade / subject', framework, subject })
+      return
+    }
+
+    const tags = row.concept_tags && typeof row.concept_tags === 'object' ? row.concept_tags : {}
+    const questions = akQs.map((q) => {
+      const qid = String(q.id)
+      const an = q.analysis
+      const tag = tags[qid]
+      const fromAk = an?.examFramework === framework ? an.examDimension : null
+      return {
+        id: qid,
+        category: q.questionCategory || null,
+        maxScore: Number(q.maxScore) || null,
+        dimension: normalizeExamDimension(framework, subject, fromAk || tag?.examDimension || tag?.exam_dimension)
+      }
+    })
+    res.status(200).json(checkExamBlueprint({ framework, subject, questions }))
+  } catch (err) {
+    console.error('[exam-blueprint-check] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'exam-blueprint-check failed' })
+  }
+}
+
+// ═══ 概念精熟度熱圖(2026-10-19):班級學生 × 概念(server/concept-mastery.js 的長期估計)═══════════════
+// GET ?classroomId=&minEvidence=
+//   → { concepts[{ code, label, studentCount, meanMastery, strugglingCount }](平均精熟度低的在前),
+//       students[{ studentId, name, seatNumber, cells{ code → { mastery, evidenceCount, consecutiveFailures, struggling } } }],
+//       struggling[{ studentId, name, seatNumber, code, label, consecutiveFailures }](連續 ≥ 3 份作業未過) }
+//   minEvidence:證據題數少於此的格子不列(預設 1)。只收呼叫者自己的班級。
+async function handleConceptMasteryHeatmap(req, res) {
+  if (req.method !== 'GET') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  const classroomId = String(req.query?.classroomId ?? '').trim()
+  if (!classroomId) { res.status(400).json({ error: 'Missing classroomId' }); return }
+  const minEvidence = Math.max(1, Number(req.query?.minEvidence) || 1)
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    const { data: cls } = await supabaseDb
+      .from('classrooms').select('id, owner_id').eq('id', classroomId).maybeSingle()
+    if (!cls || cls.owner_id !== user.id) { res.status(403).json({ error: 'Forbidden' }); return }
+    const { data: stuRows, error: stuErr } = await supabaseDb
+      .from('students').select('id, name, seat_number').eq('owner_id', user.id).eq('classroom_id', classroomId)
+    if (stuErr) throw new Error(stuErr.message)
+    const students = (stuRows || []).sort((a, b) => (Number(a.seat_number) || 0) - (Number(b.seat_number) || 0))
+    if (students.length === 0) { res.status(200).json({ concepts: [], students: [], struggling: [] }); return }
+
+    const { data: rows, error } = await supabaseDb
+      .from('student_concept_mastery')
+      .select('student_id, concept_code, concept_label, mastery, evidence_count, consecutive_failures, observations, last_observed_at')
+      .eq('owner_id', user.id)
+      .in('student_id', students.map((s) => s.id))
+    if (error) throw new Error(error.message)
+
+    const now = Date.now()
+    const cellsByStudent = new Map()
+    const conceptAcc = new Map()
+    const struggling = []
+    const stuById = new Map(students.map((s) => [s.id, s]))
+    for (const row of rows || []) {
+      if ((Number(row.evidence_count) || 0) < minEvidence) continue
+      const v = toConceptMasteryView(row, now)
+      const cells = cellsByStudent.get(row.student_id) ?? {}
+      cellsByStudent.set(row.student_id, cells)
+      cells[v.code] = { mastery: v.mastery, evidenceCount: v.evidenceCount, consecutiveFailures: v.consecutiveFailures, struggling: v.struggling }
+      const c = conceptAcc.get(v.code) ?? { code: v.code, label: v.label, studentCount: 0, sum: 0, strugglingCount: 0 }
+      c.studentCount++
+      c.sum += v.mastery
+      if (v.struggling) {
+        c.strugglingCount++
+        const s = stuById.get(row.student_id)
+        struggling.push({ studentId: row.student_id, name: s?.name ?? null, seatNumber: s?.seat_number ?? null, code: v.code, label: v.label, consecutiveFailures: v.consecutiveFailures })
+      }
+      conceptAcc.set(v.code, c)
+    }
+
+    res.status(200).json({
+      concepts: [...conceptAcc.values()]
+        .map((c) => ({ code: c.code, label: c.label, studentCount: c.studentCount, meanMastery: Math.round((c.sum / c.studentCount) * 1000) / 1000, strugglingCount: c.strugglingCount }))
+        .sort((a, b) => a.meanMastery - b.meanMastery),
+      students: students.map((s) => ({ studentId: s.id, name: s.name, seatNumber: s.seat_number ?? null, cells: cellsByStudent.get(s.id) ?? {} })),
+      struggling: struggling.sort((a, b) => b.consecutiveFailures - a.consecutiveFailures || (Number(a.seatNumber) || 0) - (Number(b.seatNumber) || 0))
+    })
+  } catch (err) {
+    console.error('[concept-mastery-heatmap] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'concept-mastery-heatmap failed' })
+  }
+}
+
+// ═══ 概念先備關係(2026-10-19):匯入 / 列出(server/concept-prerequisites.js)═══════════════
+// GET ?subject=              → { subject, edges[{ from, to, note, source }] }
+// POST { subject, content, format?: 'csv'|'json', mode?: 'merge'|'replace', dryRun? }(admin)
+//   → { subject, mode, imported, skipped[{ code, reason }], warnings[], dryRun }
+//   subject:concept_map.subject(math / chinese / nature_phy …);也收單一科的 domain(數學 → math)。
+//   代碼不在 concept_map 的邊略過並列在 skipped;整張圖(merge = 既有 + 新匯入)有環 → 422 + cycle。
+//   replace:先 upsert 新的邊、成功後才刪掉不在新集合的舊邊——中途失敗最多多留幾條舊邊,不會整科清空。
+//   格式見 docs/概念先備關係匯入格式.md。
+const CONCEPT_SUBJECTS = new Set(['chinese', 'english', 'math', 'science', 'nature_bio', 'nature_chem', 'nature_earth', 'nature_phy', 'social'])
+
+function resolveConceptSubject(raw) {
+  const v = String(raw ?? '').trim()
+  if (CONCEPT_SUBJECTS.has(v)) return v
+  const mapped = mapDomainToSubjects(v)
+  return mapped?.length === 1 ? mapped[0] : null
+}
+
+async function handleConceptPrerequisites(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    if (req.method === 'GET') {
+      const subject = resolveConceptSubject(req.query?.subject)
+      if (!subject) { res.status(400).json({ error: 'Invalid subject' }); return }
+      const { data, error } = await supabaseDb
+        .from('concept_prerequisites').select('from_code, to_code, note, source').eq('subject', subject)
+        .order('to_code', { ascending: true })
+      if (error) throw new Error(error.message)
+      res.status(200).json({
+        subject,
+        edges: (data || []).map((r) => ({ from: r.from_code, to: r.to_code, note: r.note ?? null, source: r.source ?? null }))
+      })
+      return
+    }
+
+    const { data: profile } = await supabaseDb.from('profiles').select('role').eq('id', user.id).maybeSingle()
+    if (profile?.role !== 'admin') { res.status(403).json({ error: 'Forbidden' }); return }
+    const body = parseJsonBody(req)
+    const subject = resolveConceptSubject(body?.subject)
+    if (!subject) { res.status(400).json({ error: 'Invalid subject' }); return }
+    const mode = body?.mode === 'replace' ? 'replace' : 'merge'
+    const format = body?.format === 'csv' || body?.format === 'json' ? body.format : undefined
+    const { edges: parsed, warnings } = parsePrerequisiteImport(body?.content, { format })
+    if (parsed.length === 0) { res.status(400).json({ error: '沒有可匯入的先備關係', warnings }); return }
+
+    // 代碼要在 concept_map(跨年級可以,跨科不行——自然科四分科互相引用算同一科)
+    const subjectFamily = mapDomainToSubjects('自然').includes(subject) ? mapDomainToSubjects('自然') : [subject]
+    const codes = [...new Set(parsed.flatMap((e) => [e.from, e.to]))]
+    const known = new Set()
+    for (let i = 0; i < codes.length; i += 500) {
+      const { data, error } = await supabaseDb
+        .from('concept_map').select('code').in('subject', subjectFamily).in('code', codes.slice(i, i + 500))
+      if (error) throw new Error(error.message)
+      for (const r of data || []) known.add(r.code)
+    }
+    const skipped = codes.filter((c) => !known.has(c)).map((code) => ({ code, reason: 'concept_map 查無此代碼' }))
+    const edges = parsed.filter((e) => known.has(e.from) && known.has(e.to))
+
+    const { data: existingRows, error: existingErr } = await fetchAllPaginated(() => supabaseDb
+      .from('concept_prerequisites').select('from_code, to_code').eq('subject', subject)
+      .order('from_code', { ascending: true }).order('to_code', { ascending: true }))
+    if (existingErr) throw new Error(existingErr.message)
+    const existing = (existingRows || []).map((r) => ({ from: r.from_code, to: r.to_code }))
+    const cycle = findPrerequisiteCycle(mode === 'merge' ? [...existing, ...edges] : edges)
+    if (cycle) {
+      res.status(422).json({ error: `先備關係有環：${cycle.join(' → ')}`, cycle, warnings, skipped })
+      return
+    }
+
+    if (!body?.dryRun && edges.length > 0) {
+      const now = new Date().toISOString()
+      const { error: upErr } = await supabaseDb.from('concept_prerequisites').upsert(
+        edges.map((e) => ({
+          subject, from_code: e.from, to_code: e.to, note: e.note,
+          source: 'import', created_by: user.id, created_at: now
+        })),
+        { onConflict: 'subject,from_code,to_code' }
+      )
+      if (upErr) throw new Error(upErr.message)
+      if (mode === 'replace') {
+        const keep = new Set(edges.map((e) => `${e.from}|${e.to}`))
+        const staleByFrom = new Map()
+        for (const e of existing) {
+          if (keep.has(`${e.from}|${e.to}`)) continue
+          if (!staleByFrom.has(e.from)) staleByFrom.set(e.from, [])
+          staleByFrom.get(e.from).push(e.to)
+        }
+        for (const [from, tos] of staleByFrom) {
+          for (const chunk of chunkArray(tos, IN_CLAUSE_CHUNK_SIZE)) {
+            const { error: delErr } = await supabaseDb
+              .from('concept_prerequisites').delete().eq('subject', subject).eq('from_code', from).in('to_code', chunk)
+            if (delErr) throw new Error(delErr.message)
+          }
+        }
+      }
+    }
+    res.status(200).json({ subject, mode, imported: edges.length, skipped, warnings, dryRun: !!body?.dryRun })
+  } catch (err) {
+    console.error('[concept-prerequisites] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'concept-prerequisites failed' })
+  }
+}
+
+// ═══ 補救路徑(2026-10-19):未過概念 → 沿先備往回找病根 → 依序補救 ═══════════════
+// POST { studentId } | { classroomId }, concepts?: string[]
+//   → { scope: 'student'|'class', targets[], path[{ code, label, role, mastery, evidenceCount, feeds[] }],
+//       rootCauses[], unverified[{ code, label, feeds[] }] }
+//   弱不弱看 student_concept_mastery(班級 = 全班平均,見 loadConceptWeakness)。
+//   concepts 省略 → 取目前弱的概念當起點(精熟度最低的 MAX_REMEDIATION_TARGETS 個)。
+//   role:root_cause(從這裡開始補)/ intermediate / target(未過的概念本身)。
+const MAX_REMEDIATION_TARGETS = 8
+
+async function handleRemediationPath(req, res) {
+  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  const body = parseJsonBody(req)
+  const studentId = typeof body?.studentId === 'string' ? body.studentId.trim() : ''
+  const classroomId = typeof body?.classroomId === 'string' ? body.classroomId.trim() : ''
+  if (!studentId && !classroomId) { res.status(400).json({ error: 'Missing studentId or classroomId' }); return }
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    let studentIds = []
+    if (studentId) {
+      const { data: stu } = await supabaseDb.from('students').select('id, owner_id').eq('id', studentId).maybeSingle()
+      if (!stu || stu.owner_id !== user.id) { res.status(403).json({ error: 'Forbidden' }); return }
+      studentIds = [stu.id]
+    } else {
+      const { data: cls } = await supabaseDb.from('classrooms').select('id, owner_id').eq('id', classroomId).maybeSingle()
+      if (!cls || cls.owner_id !== user.id) { res.status(403).json({ error: 'Forbidden' }); return }
+      const { data: stuRows, error: stuErr } = await supabaseDb
+        .from('students').select('id').eq('owner_id', user.id).eq('classroom_id', classroomId)
+      if (stuErr) throw new Error(stuErr.message)
+      studentIds = (stuRows || []).map((s) => s.id)
+    }
+
+    const weakness = await loadConceptWeakness(supabaseDb, user.id, studentIds)
+    let targets = Array.isArray(body?.concepts)
+      ? [...new Set(body.concepts.map((c) => String(c ?? '').trim()).filter(Boolean))].slice(0, MAX_REMEDIATION_TARGETS)
+      : [...weakness.entries()].filter(([, w]) => w.weak).sort((a, b) => a[1].mastery - b[1].mastery)
+        .slice(0, MAX_REMEDIATION_TARGETS).map(([code]) => code)
+    const scope = studentId ? 'student' : 'class'
+    if (targets.length === 0) {
+      res.status(200).json({ scope, targets: [], path: [], rootCauses: [], unverified: [] })
+      return
+    }
+    const edges = await loadPrerequisiteEdges(supabaseDb, targets)
+    const labels = await loadConceptLabels(supabaseDb, [...targets, ...edges.map((e) => e.from)])
+    for (const [code, w] of weakness) if (!labels.has(code) && w.label) labels.set(code, w.label)
+    const out = buildRemediationPath({ targets, edges, weakness: (code) => weakness.get(code) ?? null, labels })
+    targets = targets.filter((t) => out.path.some((p) => p.code === t))
+    res.status(200).json({ scope, targets, ...out })
+  } catch (err) {
+    console.error('[remediation-path] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'remediation-path failed' })
+  }
+}
+
+// ── 成績統計：直接從 Supabase 取分數 ────────────────────────────────────
+async function handleGetGradebookScores(req, res) {
+  if (req.method !== 'GET') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  const classroomId = req.query?.classroomId
+  if (!classroomId) { res.status(400).json({ error: 'Missing classroomId' }); return }
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    // 取該班級的所有 assignment IDs
+    const { data: assignments, error: aErr } = await supabaseDb
+      .from('assignments')
+      .select('id')
+      .eq('owner_id', user.id)
+      .eq('classroom_id', classroomId)
+    if (aErr) throw aErr
+    const assignmentIds = (assignments || []).map(a => a.id)
+    if (assignmentIds.length === 0) {
+      res.status(200).json({ scores: [] })
+      return
+    }
+    // 取所有 submissions 的分數
+    const { data: subs, error: sErr } = await supabaseDb
+      .from('submissions')
+      .select('id, assignment_id, student_id, score, ai_score, score_source, graded_at, status')
+      .eq('owner_id', user.id)
+      .in('assignment_id', assignmentIds)
+    if (sErr) throw sErr
+    res.status(200).json({ scores: subs || [] })
+  } catch (err) {
+    res.status(500).json({ error: err instanceof Error ? err.message : '取得分數失敗' })
+  }
+}
+
+// ── 清除作業的批改結果 ────────────────────────────────────────────────────
+// ── 直接儲存批改結果到 Supabase（不依賴 sync push）────────────────────
+// ═══ 批改輪歷史快照(2026-08-10、批改品質 dashboard 資料層)═══════════════════════
+//   A/B/C 模型(user 拍板):A=單輪健康度、B=跨輪一致性、C=不一致格眼球裁決。
+//   重批會覆蓋 grading_result/phase_a_state → B/C 的唯一資料來源就是這裡存的逐格快照。
+//   每卷保留最近 HISTORY_KEEP 輪、寫入 fail-open(絕不影響批改儲存)。DDL 見 local-only/ddl-grading-run-history.sql。
+const HISTORY_KEEP = 5
+const HISTORY_CONFIG_KEYS = [
+  'READ_SHEET', 'READ_MEDIA_RES', 'TYPE_SPLIT_READ', 'ENG_TEXT_READ_HIGHRES',
+  'ESCALATION_CHAIN', 'ZERO_REVIEW_TAIL', 'GLYPH_JUDGE_ALL', 'GZ_SKIP_READ',
+  'MODEL_PRO', 'MODEL_FLASH', 'JUDGE_MODEL', 'WQPDF_MARK_READ', 'WQPDF_MARK_TIGHT_CHOICE',
+  'CHARERR_VOTES', 'SHORTANS_CHARERR', 'ENGLISH_TEXT_READ_PRO', 'MATH_TEXT_READ_PRO'
+]
+function historyConfigFingerprint() {
+  const cfg = {}
+  for (const k of HISTORY_CONFIG_KEYS) { const v = process.env[k]; if (v !== undefined && v !== '') cfg[k] = String(v) }
+  return cfg
+}
+function historyReadOf(ra) {
+  if (!ra || typeof ra !== 'object') return null
+  const out = { v: String(ra.studentAnswer ?? ra.studentAnswerRaw ?? '').slice(0, 120), st: String(ra.status ?? '') }
+  if (Array.isArray(ra.partValues) && ra.partValues.length > 0) {
+    out.p = ra.partValues.slice(0, 12).map((x) => ({ s: String(x?.subId ?? ''), v: String(x?.student ?? '').slice(0, 40) }))
+  }
+  return out
+}
+function historyCellOf(d, chainByQid) {
+  const qid = String(d?.questionId ?? '')
+  const cell = {
+    qid,
+    type: d?.questionType ?? null,
+    ok: d?.isCorrect === true,
+    score: Number.isFinite(Number(d?.score)) ? Number(d.score) : null,
+    max: Number.isFinite(Number(d?.maxScore)) ? Number(d.maxScore) : null,
+    ans: String(d?.studentAnswer ?? '').slice(0, 120),
+    r1: historyReadOf(d?.readAnswer1),
+    r2: historyReadOf(d?.readAnswer2),
+    cons: d?.consistencyStatus ?? null,
+    conf: Number.isFinite(Number(d?.confidence)) ? Number(d.confidence) : null,
+    sysConf: Number.isFinite(Number(d?.systemConfidence)) ? Number(d.systemConfidence) : null,
+    journey: d?.confidenceJourney ? String(d.confidenceJourney).slice(0, 60) : null,
+    // 2026-08-15：兩讀分歧後「最終採用哪一讀」——批改品質頁要能交代 unstable 的收斂結果
+    src: d?.finalAnswerSource ? String(d.finalAnswerSource).slice(0, 24) : null,
+    bbox: d?.answerBbox ?? null,
+    errType: d?.errorType ?? null,
+    reason: d?.reason ? String(d.reason).slice(0, 100) : null
+  }
+  if (Array.isArray(d?.glyphVotes) && d.glyphVotes.length > 0) cell.votes = d.glyphVotes.slice(0, 6).map((v) => String(v).slice(0, 40))
+  const ch = chainByQid?.get?.(qid)
+  if (ch) {
+    cell.chain = {
+      level: String(ch.level ?? ''),
+      adopted: String(ch.adopted ?? '').slice(0, 60),
+      picks: [ch.r1p, ch.r2p, ch.r3p, ch.r4p].filter((x) => x !== undefined).map((x) => String(x ?? '').slice(0, 40)),
+      conf: ch.chainConfidence ?? null
+    }
+  }
+  return cell
+}
+// entries: [{ submissionId, assignmentId, ownerId, gradedAt, gradedBy, totalScore, gradingResult }]
+async function saveGradingRunHistory(supabaseDb, entries) {
+  try {
+    const valid = (entries || []).filter((e) => e?.submissionId && e?.assignmentId && Array.isArray(e?.gradingResult?.details) && e.gradingResult.details.length > 0)
+    if (valid.length === 0) return
+    // 鏈裁決摘要(NR 格才有):JSON path 只抓 escalationChain、不拉整個 phase_a_state
+    const chainBySub = new Map()
+    // 2026-10-19 分流政策:Phase A 實際 model 在 phase_a_state.modelRouting、Phase B 在 grading_result.modelRouting
+    const phaseARoutingBySub = new Map()
+    try {
+      const { data: chainRows } = await supabaseDb
+        .from('submissions')
+        .select('id, phase_a_state->escalationChain, phase_a_state->modelRouting')
+        .in('id', valid.map((e) => e.submissionId))
+      for (const r of chainRows || []) {
+        const recs = r?.escalationChain?.records
+        if (Array.isArray(recs) && recs.length > 0) chainBySub.set(r.id, new Map(recs.map((x) => [String(x.questionId), x])))
+        if (r?.modelRouting) phaseARoutingBySub.set(r.id, r.modelRouting)
+      }
+    } catch (e) { console.warn('[run-history] chain fetch failed (non-fatal):', e?.message) }
+    const gitSha = String(process.env.VERCEL_GIT_COMMIT_SHA || '').slice(0, 7) || null
+    const config = historyConfigFingerprint()
+    const configOf = (e) => {
+      const phaseA = phaseARoutingBySub.get(e.submissionId) ?? null
+      const phaseB = e.gradingResult?.modelRouting ?? null
+      return phaseA || phaseB ? { ...config, modelRouting: { phaseA, phaseB } } : config
+    }
+    const rows = valid.map((e) => ({
+      submission_id: e.submissionId,
+      assignment_id: e.assignmentId,
+      owner_id: e.ownerId ?? null,
+      graded_at: Number(e.gradedAt) || Date.now(),
+      graded_by: e.gradedBy ?? 'teacher',
+      total_score: Number.isFinite(Number(e.totalScore)) ? Number(e.totalScore) : null,
+      git_sha: gitSha,
+      config: configOf(e),
+      cells: e.gradingResult.details.map((d) => historyCellOf(d, chainBySub.get(e.submissionId)))
+    }))
+    const { error: insErr } = await supabaseDb.from('grading_run_history').insert(rows)
+    if (insErr) { console.warn('[run-history] insert failed (non-fatal):', insErr.message); return }
+    // 汰舊:每卷只留最近 HISTORY_KEEP 輪
+    for (const e of valid) {
+      try {
+        const { data: old } = await supabaseDb
+          .from('grading_run_history')
+          .select('id')
+          .eq('submission_id', e.submissionId)
+          .order('graded_at', { ascending: false })
+          .range(HISTORY_KEEP, HISTORY_KEEP + 49)
+        if (old?.length) await supabaseDb.from('grading_run_history').delete().in('id', old.map((x) => x.id))
+      } catch (e2) { console.warn('[run-history] retention failed (non-fatal):', e2?.message) }
+    }
+    console.log(`[run-history] 已存 ${rows.length} 卷批改輪快照`)
+  } catch (e) {
+    console.warn('[run-history] failed (non-fatal):', e?.message)
+  }
+}
+
+// 固定扣除:AI 輪完成整筆扣(save-grading 與 grading_jobs 的 Phase B 共用)。
+//   chargeCands=[{ id, gradedAt }](本輪 AI 完成的卷);回 billing 摘要或 null(未啟用/無候選)
+async function chargeFlatGradingActions(supabaseDb, { ownerId, actorProfileId, chargeCands, mark = () => {}, logTag = '[flat-billing]' }) {
+  if (!FLAT_BILLING_ENABLED || !chargeCands?.length) return null
+  let billing = null
+  try {
+    const candIds = chargeCands.map((c) => c.id)
+    const { data: rows } = await supabaseDb
+      .from('submissions')
+      .select('id, assignment_id, charged_graded_at')
+      .eq('owner_id', ownerId)
+      .in('id', candIds)
+    mark('chargeSelect')
+    const gradedAtById = new Map(chargeCands.map((c) => [c.id, c.gradedAt]))
+    const toCharge = (rows ?? []).filter(
+      (r) => gradedAtById.get(r.id) && Number(r.charged_graded_at || 0) !== gradedAtById.get(r.id)
+    )
+    if (toCharge.length > 0) {
+      const aids = [...new Set(toCharge.map((r) => r.assignment_id).filter(Boolean))]
+      const { data: asgs } = await supabaseDb
+        .from('assignments').select('id, total_questions').in('id', aids)
+      const qById = new Map((asgs ?? []).map((a) => [a.id, a.total_questions]))
+      mark('asgSelect')
+      // 2026-08-04 修正:計費對象按「考卷」解析(學校考卷→校錢包、其餘→個人),
+      //   同一次儲存混到兩種 scope 時分組各扣各的。
+      const targets = await resolveBillingTargetsByAssignment(supabaseDb, ownerId, aids)
+      mark('targets')
+      const groups = new Map()
+      for (const r of toCharge) {
+        const t = targets.get(r.assignment_id) ?? { scope: 'personal', id: ownerId }
+        const k = `${t.scope}:${t.id}`
+        const g = groups.get(k) ?? { target: t, points: 0, rows: [] }
+        g.points += gradingActionPoints(qById.get(r.assignment_id))
+        g.rows.push(r)
+        groups.set(k, g)
+      }
+      let totalPoints = 0, papersCharged = 0, lastScope = null, lastBalance = null
+      for (const g of groups.values()) {
+        const charge = await chargeFlatPoints(supabaseDb, {
+          target: g.target, points: g.points, actorProfileId, reason: 'grading_action',
+          metadata: { papers: g.rows.length, assignmentIds: [...new Set(g.rows.map((r) => r.assignment_id))] }
+        })
+        mark('debit')
+        if (charge.ok) {
+          // ⚠ 逐卷序列 UPDATE：31 卷就是 31 次往返（可改成按 gradedAt 分組後 .in() 批次更新）
+          for (const r of g.rows) {
+            await supabaseDb.from('submissions')
+              .update({ charged_graded_at: gradedAtById.get(r.id) })
+              .eq('id', r.id).eq('owner_id', ownerId)
+          }
+          mark('stampCharged')
+          totalPoints += g.points; papersCharged += g.rows.length
+          lastScope = g.target.scope; lastBalance = charge.balance
+          console.log(`${logTag} flat-billed ${g.points} pts (${g.rows.length} papers, ${g.target.scope})`)
+        } else {
+          console.warn(`${logTag} flat charge failed (fail-open, will retry next round)`)
+        }
+      }
+      if (papersCharged > 0) {
+        billing = { points: totalPoints, papers: papersCharged, scope: lastScope, balanceAfter: lastBalance }
+      }
+    } else {
+      billing = { points: 0, papers: 0, scope: null, alreadyCharged: true }
+    }
+  } catch (err) {
+    console.warn(`${logTag} flat billing error (fail-open):`, err?.message)
+  }
+  return billing
+}
+
+async function handleSaveGrading(req, res) {
+  // 2026-08-08 分段計時：批改完成後結果 modal 會等這支端點回來才顯示（user 拍板「等結算完一次出現」），
+  //   user 回報有可感知的停頓。這支端點是一長串序列往返，先量出各段耗時再決定要優化哪一段——
+  //   不要盲修。timings 同時 log 到 server 並回在 response（前端 console 印出來、免開 Vercel）。
+  const T0 = Date.now()
+  const marks = {}
+  const mark = (k) => { marks[k] = Date.now() - T0 }
+  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  mark('auth')
+  const body = parseJsonBody(req)
+  const submissions = Array.isArray(body?.submissions) ? body.submissions : []
+  if (submissions.length === 0) { res.status(400).json({ error: 'Missing submissions' }); return }
+  const bodyBytes = (() => { try { return JSON.stringify(body).length } catch { return -1 } })()
+  const supabaseDb = getSupabaseAdmin()
   const chargeCands = []
   try {
     // 2026-06-02: 老師端尊重學生「先批先贏」鎖——若該卷正由學生自助批改中（鎖新鮮），
@@ -3306,73 +4474,12 @@ async function handleSaveGrading(req, res) {
     // ── 2026-08-04 固定扣除:AI 輪完成整筆扣(冪等靠 charged_graded_at)──
     //   同輪重存(graded_at 沒變)不重扣;重批(graded_at 變新)再扣一次。
     //   扣款失敗 fail-open(不擋存檔、不標記 → 下輪 AI 完成時會再試)。
-    let billing = null
-    if (FLAT_BILLING_ENABLED && chargeCands.length > 0) {
-      try {
-        const candIds = chargeCands.map((c) => c.id)
-        const { data: rows } = await supabaseDb
-          .from('submissions')
-          .select('id, assignment_id, charged_graded_at')
-          .eq('owner_id', user.id)
-          .in('id', candIds)
-        mark('chargeSelect')
-        const gradedAtById = new Map(chargeCands.map((c) => [c.id, c.gradedAt]))
-        const toCharge = (rows ?? []).filter(
-          (r) => gradedAtById.get(r.id) && Number(r.charged_graded_at || 0) !== gradedAtById.get(r.id)
-        )
-        if (toCharge.length > 0) {
-          const aids = [...new Set(toCharge.map((r) => r.assignment_id).filter(Boolean))]
-          const { data: asgs } = await supabaseDb
-            .from('assignments').select('id, total_questions').in('id', aids)
-          const qById = new Map((asgs ?? []).map((a) => [a.id, a.total_questions]))
-          mark('asgSelect')
-          // 2026-08-04 修正:計費對象按「考卷」解析(學校考卷→校錢包、其餘→個人),
-          //   同一次儲存混到兩種 scope 時分組各扣各的。
-          const targets = await resolveBillingTargetsByAssignment(supabaseDb, user.id, aids)
-          mark('targets')
-          const groups = new Map()
-          for (const r of toCharge) {
-            const t = targets.get(r.assignment_id) ?? { scope: 'personal', id: user.id }
-            const k = `${t.scope}:${t.id}`
-            const g = groups.get(k) ?? { target: t, points: 0, rows: [] }
-            g.points += gradingActionPoints(qById.get(r.assignment_id))
-            g.rows.push(r)
-            groups.set(k, g)
-          }
-          let totalPoints = 0, papersCharged = 0, lastScope = null, lastBalance = null
-          for (const g of groups.values()) {
-            const charge = await chargeFlatPoints(supabaseDb, {
-              target: g.target, points: g.points, actorProfileId: user.id, reason: 'grading_action',
-              metadata: { papers: g.rows.length, assignmentIds: [...new Set(g.rows.map((r) => r.assignment_id))] }
-            })
-            mark('debit')
-            if (charge.ok) {
-              // ⚠ 逐卷序列 UPDATE：31 卷就是 31 次往返（可改成按 gradedAt 分組後 .in() 批次更新）
-              for (const r of g.rows) {
-                await supabaseDb.from('submissions')
-                  .update({ charged_graded_at: gradedAtById.get(r.id) })
-                  .eq('id', r.id).eq('owner_id', user.id)
-              }
-              mark('stampCharged')
-              totalPoints += g.points; papersCharged += g.rows.length
-              lastScope = g.target.scope; lastBalance = charge.balance
-              console.log(`[save-grading] flat-billed ${g.points} pts (${g.rows.length} papers, ${g.target.scope})`)
-            } else {
-              console.warn('[save-grading] flat charge failed (fail-open, will retry next round)')
-            }
-          }
-          if (papersCharged > 0) {
-            billing = { points: totalPoints, papers: papersCharged, scope: lastScope, balanceAfter: lastBalance }
-          }
-        } else {
-          billing = { points: 0, papers: 0, scope: null, alreadyCharged: true }
-        }
-      } catch (err) {
-        console.warn('[save-grading] flat billing error (fail-open):', err?.message)
-      }
-    }
+    const billing = await chargeFlatGradingActions(supabaseDb, {
+      ownerId: user.id, actorProfileId: user.id, chargeCands, mark, logTag: '[save-grading]'
+    })
     // ── 批改輪歷史快照(fail-open;判準同 chargeCands=「AI 輪完成」,手動改分不記)──
     if (chargeCands.length > 0) {
+      let auditAssignmentIds = []
       try {
         const { data: metaRows } = await supabaseDb
           .from('submissions')
@@ -3380,6 +4487,7 @@ async function handleSaveGrading(req, res) {
           .eq('owner_id', user.id)
           .in('id', chargeCands.map((c) => c.id))
         const aidById = new Map((metaRows || []).map((r) => [r.id, r.assignment_id]))
+        auditAssignmentIds = [...new Set([...aidById.values()].filter(Boolean))]
         const bodyById = new Map(submissions.filter((x) => x?.id).map((x) => [x.id, x]))
         await saveGradingRunHistory(supabaseDb, chargeCands.map((c) => {
           const src = bodyById.get(c.id)
@@ -3395,6 +4503,11 @@ async function handleSaveGrading(req, res) {
         }))
       } catch (e) { console.warn('[run-history] save-grading hook failed (non-fatal):', e?.message) }
       mark('history')
+      // ── 2026-10-19 答案卷錯誤偵測(AI 輪完成才跑;fail-open;只看存的這份作業,家族範圍交給 grading_jobs)──
+      for (const aid of auditAssignmentIds) {
+        await auditAnswerKeyAfterPhaseB(supabaseDb, user.id, aid, { familyScope: false })
+      }
+      mark('answerKeyAudit')
     }
     mark('total')
     // 分段耗時（累計毫秒，相鄰兩段相減＝該段耗時）。papers/bodyKB 一起帶，才知道是不是量的問題。
@@ -3758,145 +4871,154 @@ async function handleReconcilePhaseBRegrade(req, res) {
   }
   const supabaseDb = getSupabaseAdmin()
   try {
-    const now = new Date().toISOString()
-    // 1) 目前每題的訂正/申訴狀態（優先序 disputed > open > resolved）
-    const { data: items } = await supabaseDb
-      .from('correction_question_items')
-      .select('question_id, status, dispute_note, dispute_rejected_at')
-      .eq('owner_id', user.id).eq('assignment_id', assignmentId).eq('student_id', studentId)
-      .in('status', ['open', 'disputed', 'resolved'])
-    const rank = { disputed: 3, open: 2, resolved: 1 }
-    const itemByQ = new Map()
-    for (const it of items || []) {
-      const q = String(it.question_id || '').trim(); if (!q) continue
-      const prev = itemByQ.get(q)
-      if (!prev || (rank[it.status] || 0) > (rank[prev.status] || 0)) itemByQ.set(q, it)
-    }
-    const oldStateOf = (q) => {
-      const it = itemByQ.get(q)
-      if (!it) return 'none'
-      if (it.status === 'disputed') return 'disputed'
-      if (it.status === 'open') return 'open'
-      if (it.status === 'resolved') return (it.dispute_note && !it.dispute_rejected_at) ? 'appeal_won' : 'corrected'
-      return 'none'
-    }
-    // 2) 新一輪的錯題集合
-    // ⚠️ mistakes 欄位名是 `id`（非 questionId）、且 explain 沒跑時 mistakes 可能為空 →
-    //    一律用 canonical normalizer（讀 id||questionId、無 mistakes 時從 details isCorrect=false 推導）。
-    const newMistakeList = parseMistakesFromGradingResult(newGrade)
-    const newMistakeByQ = new Map(newMistakeList.map((m) => [String(m.questionId || '').trim(), m]))
-    const newMistakeQs = new Set([...newMistakeByQ.keys()].filter(Boolean))
-    const allQs = new Set([...itemByQ.keys(), ...newMistakeQs])
-
-    // 3) 逐題決策（見 §5 矩陣）
-    const newOpen = []          // none + 現在錯：對→錯、新錯題
-    const resolveOpen = []      // open + 現在對：錯→對、結案
-    const autoVindicate = []    // disputed + 現在對：申訴自動平反 → 該題給對
-    const appealOverride = []   // appeal_won + 現在錯：老師已接受、不被覆蓋 → 該題給對
-    for (const q of allQs) {
-      const st = oldStateOf(q)
-      const wrong = newMistakeQs.has(q)
-      if (st === 'none' && wrong) newOpen.push(q)
-      else if (st === 'open' && !wrong) resolveOpen.push(q)
-      else if (st === 'disputed' && !wrong) autoVindicate.push(q)
-      else if (st === 'appeal_won' && wrong) appealOverride.push(q)
-      // 其餘（open+錯、disputed+錯、corrected、appeal_won+對）一律不動，保留現狀
-    }
-
-    // 4) 調整 grade：autoVindicate + appealOverride 的題目改成「正確、滿分」、移出 mistakes、重算分
-    const makeCorrect = new Set([...autoVindicate, ...appealOverride])
-    let adjusted = newGrade
-    if (makeCorrect.size > 0) {
-      const newDetails = (newGrade.details || []).map((d) => {
-        const q = String(d?.questionId || '').trim()
-        if (!makeCorrect.has(q)) return d
-        const ms = Number.isFinite(Number(d?.maxScore)) ? Number(d.maxScore) : 0
-        const reason = appealOverride.includes(q)
-          ? '申訴通過（老師已接受、重新批改不覆蓋）'
-          : '申訴通過（重新批改判定正確而自動通過）'
-        return { ...d, score: ms, isCorrect: ms > 0, reason, comment: reason }
-      })
-      const newMistakes = (Array.isArray(newGrade.mistakes) ? newGrade.mistakes : [])
-        .filter((m) => !makeCorrect.has(String((m?.id || m?.questionId) || '').trim()))
-      adjusted = { ...newGrade, details: newDetails, mistakes: newMistakes }
-    }
-    const finalScore = (adjusted.details || []).reduce((s, d) => s + (Number.isFinite(Number(d?.score)) ? Number(d.score) : 0), 0)
-    adjusted = { ...adjusted, totalScore: finalScore }
-
-    // 5) 存回原卷
-    const { error: subErr } = await supabaseDb.from('submissions').update({
-      score: finalScore, ai_score: finalScore, grading_result: adjusted,
-      score_source: 'ai', status: 'graded', updated_at: now
-    }).eq('id', submissionId).eq('owner_id', user.id)
-    if (subErr) throw new Error(subErr.message)
-
-    // 6) 套用 item 動作：結案(resolveOpen) + 自動平反(autoVindicate) → resolved
-    const toResolve = [...resolveOpen, ...autoVindicate]
-    if (toResolve.length > 0) {
-      await supabaseDb.from('correction_question_items')
-        .update({ status: 'resolved', updated_at: now })
-        .eq('owner_id', user.id).eq('assignment_id', assignmentId).eq('student_id', studentId)
-        .in('question_id', toResolve).in('status', ['open', 'disputed'])
-    }
-    // 新錯題（原本對、重批變錯）：開新 attempt_no=0 open 列。
-    // 帶上 bbox/hint/student_answer（從 normalizer 來、訂正 UI 與 lazy crop 需要）；
-    // delete-then-insert 避免跟殘列的 (…,attempt_no,question_id) 唯一鍵衝突。
-    if (newOpen.length > 0) {
-      await supabaseDb.from('correction_question_items')
-        .delete().eq('owner_id', user.id).eq('assignment_id', assignmentId).eq('student_id', studentId)
-        .in('question_id', newOpen)
-      const rows = newOpen.map((q) => {
-        const m = newMistakeByQ.get(q) || {}
-        return compactObject({
-          owner_id: user.id, assignment_id: assignmentId, student_id: studentId, attempt_no: 0,
-          question_id: q,
-          question_text: m.questionText || undefined,
-          mistake_reason: m.reason || undefined,
-          hint_text: m.hintText || undefined,
-          accessor_result: compactObject({
-            source_submission_id: submissionId,
-            question_bbox: normalizeBbox(m.questionBbox),
-            answer_bbox: normalizeBbox(m.answerBbox),
-            student_answer_raw: m.studentAnswerRaw || undefined
-          }),
-          status: 'open'
-        })
-      })
-      await supabaseDb.from('correction_question_items').insert(rows)
-    }
+    const out = await reconcilePhaseBRegrade(supabaseDb, user.id, { assignmentId, studentId, submissionId, newGrade })
+    res.status(200).json({ success: true, ...out })
+  } catch (err) {
+    res.status(500).json({ error: err instanceof Error ? err.message : 'Phase B 調和失敗' })
+  }
+}
 
-    // 7) 重算 assignment_student_state.status（沿用 dispute-resolve 的判定）
-    const { data: remain } = await supabaseDb.from('correction_question_items')
-      .select('status').eq('owner_id', user.id).eq('assignment_id', assignmentId).eq('student_id', studentId)
-      .in('status', ['open', 'disputed'])
-    const openN = (remain || []).filter((r) => r.status === 'open').length
-    const dispN = (remain || []).filter((r) => r.status === 'disputed').length
-    const wasInCorrection = itemByQ.size > 0
-    // 2026-06-01: 只有「學生真的交過訂正(correction_attempt_count>0)」才算「已完成訂正」。
-    //   老師重批把錯題清掉、但學生沒做任何訂正(attempts=0) → 回 graded、不誤標已完成訂正。
-    //   (尤其原本的「錯」常是 AI 批錯、重批後消失，學生根本沒訂正過。)
-    const { data: stRow } = await supabaseDb.from('assignment_student_state')
-      .select('correction_attempt_count')
-      .eq('owner_id', user.id).eq('assignment_id', assignmentId).eq('student_id', studentId)
-      .maybeSingle()
-    const attemptCount = clampInteger(stRow?.correction_attempt_count, 0, 99, 0)
-    let st2
-    if (openN > 0) st2 = 'correction_required'
-    else if (dispN > 0) st2 = 'correction_pending_review'
-    else if (wasInCorrection && attemptCount > 0) st2 = 'correction_passed'  // 學生真的訂正完成
-    else st2 = 'graded'  // 從沒訂正、或老師重批清掉錯題(學生沒做) → 一般已批改
-    await upsertAssignmentStudentState(supabaseDb, user.id, assignmentId, studentId, compactObject({
-      status: st2,
-      last_status_reason: st2 === 'correction_passed' ? null : '老師重新批改、已逐題調和訂正/申訴狀態'
-    }))
+// 調和本體(reconcile-phase-b-regrade 端點與 answer-key-alerts 的「改答案重判」共用)。
+async function reconcilePhaseBRegrade(supabaseDb, ownerId, { assignmentId, studentId, submissionId, newGrade, scoreSource = 'ai' }) {
+  const now = new Date().toISOString()
+  // 1) 目前每題的訂正/申訴狀態（優先序 disputed > open > resolved）
+  const { data: items } = await supabaseDb
+    .from('correction_question_items')
+    .select('question_id, status, dispute_note, dispute_rejected_at')
+    .eq('owner_id', ownerId).eq('assignment_id', assignmentId).eq('student_id', studentId)
+    .in('status', ['open', 'disputed', 'resolved'])
+  const rank = { disputed: 3, open: 2, resolved: 1 }
+  const itemByQ = new Map()
+  for (const it of items || []) {
+    const q = String(it.question_id || '').trim(); if (!q) continue
+    const prev = itemByQ.get(q)
+    if (!prev || (rank[it.status] || 0) > (rank[prev.status] || 0)) itemByQ.set(q, it)
+  }
+  const oldStateOf = (q) => {
+    const it = itemByQ.get(q)
+    if (!it) return 'none'
+    if (it.status === 'disputed') return 'disputed'
+    if (it.status === 'open') return 'open'
+    if (it.status === 'resolved') return (it.dispute_note && !it.dispute_rejected_at) ? 'appeal_won' : 'corrected'
+    return 'none'
+  }
+  // 2) 新一輪的錯題集合
+  // ⚠️ mistakes 欄位名是 `id`（非 questionId）、且 explain 沒跑時 mistakes 可能為空 →
+  //    一律用 canonical normalizer（讀 id||questionId、無 mistakes 時從 details isCorrect=false 推導）。
+  const newMistakeList = parseMistakesFromGradingResult(newGrade)
+  const newMistakeByQ = new Map(newMistakeList.map((m) => [String(m.questionId || '').trim(), m]))
+  const newMistakeQs = new Set([...newMistakeByQ.keys()].filter(Boolean))
+  const allQs = new Set([...itemByQ.keys(), ...newMistakeQs])
+
+  // 3) 逐題決策（見 §5 矩陣）
+  const newOpen = []          // none + 現在錯：對→錯、新錯題
+  const resolveOpen = []      // open + 現在對：錯→對、結案
+  const autoVindicate = []    // disputed + 現在對：申訴自動平反 → 該題給對
+  const appealOverride = []   // appeal_won + 現在錯：老師已接受、不被覆蓋 → 該題給對
+  for (const q of allQs) {
+    const st = oldStateOf(q)
+    const wrong = newMistakeQs.has(q)
+    if (st === 'none' && wrong) newOpen.push(q)
+    else if (st === 'open' && !wrong) resolveOpen.push(q)
+    else if (st === 'disputed' && !wrong) autoVindicate.push(q)
+    else if (st === 'appeal_won' && wrong) appealOverride.push(q)
+    // 其餘（open+錯、disputed+錯、corrected、appeal_won+對）一律不動，保留現狀
+  }
+
+  // 4) 調整 grade：autoVindicate + appealOverride 的題目改成「正確、滿分」、移出 mistakes、重算分
+  const makeCorrect = new Set([...autoVindicate, ...appealOverride])
+  let adjusted = newGrade
+  if (makeCorrect.size > 0) {
+    const newDetails = (newGrade.details || []).map((d) => {
+      const q = String(d?.questionId || '').trim()
+      if (!makeCorrect.has(q)) return d
+      const ms = Number.isFinite(Number(d?.maxScore)) ? Number(d.maxScore) : 0
+      const reason = appealOverride.includes(q)
+        ? '申訴通過（老師已接受、重新批改不覆蓋）'
+        : '申訴通過（重新批改判定正確而自動通過）'
+      return { ...d, score: ms, isCorrect: ms > 0, reason, comment: reason }
+    })
+    const newMistakes = (Array.isArray(newGrade.mistakes) ? newGrade.mistakes : [])
+      .filter((m) => !makeCorrect.has(String((m?.id || m?.questionId) || '').trim()))
+    adjusted = { ...newGrade, details: newDetails, mistakes: newMistakes }
+  }
+  const finalScore = (adjusted.details || []).reduce((s, d) => s + (Number.isFinite(Number(d?.score)) ? Number(d.score) : 0), 0)
+  adjusted = { ...adjusted, totalScore: finalScore }
+
+  // 5) 存回原卷
+  const { error: subErr } = await supabaseDb.from('submissions').update({
+    score: finalScore, ai_score: finalScore, grading_result: adjusted,
+    score_source: scoreSource, status: 'graded', updated_at: now
+  }).eq('id', submissionId).eq('owner_id', ownerId)
+  if (subErr) throw new Error(subErr.message)
+  await recordConceptMastery(supabaseDb, ownerId, [
+    { assignment_id: assignmentId, student_id: studentId, grading_result: adjusted }
+  ])
 
-    console.log(`[reconcile-phase-b] ${assignmentId}/${studentId} newOpen=${newOpen.length} resolved=${resolveOpen.length} vindicate=${autoVindicate.length} appealKeep=${appealOverride.length} → ${st2} score=${finalScore}`)
-    res.status(200).json({
-      success: true, gradingResult: adjusted, score: finalScore, newStatus: st2,
-      reconcile: { newWrong: newOpen, resolved: resolveOpen, autoVindicated: autoVindicate, appealKept: appealOverride }
+  // 6) 套用 item 動作：結案(resolveOpen) + 自動平反(autoVindicate) → resolved
+  const toResolve = [...resolveOpen, ...autoVindicate]
+  if (toResolve.length > 0) {
+    await supabaseDb.from('correction_question_items')
+      .update({ status: 'resolved', updated_at: now })
+      .eq('owner_id', ownerId).eq('assignment_id', assignmentId).eq('student_id', studentId)
+      .in('question_id', toResolve).in('status', ['open', 'disputed'])
+  }
+  // 新錯題（原本對、重批變錯）：開新 attempt_no=0 open 列。
+  // 帶上 bbox/hint/student_answer（從 normalizer 來、訂正 UI 與 lazy crop 需要）；
+  // delete-then-insert 避免跟殘列的 (…,attempt_no,question_id) 唯一鍵衝突。
+  if (newOpen.length > 0) {
+    await supabaseDb.from('correction_question_items')
+      .delete().eq('owner_id', ownerId).eq('assignment_id', assignmentId).eq('student_id', studentId)
+      .in('question_id', newOpen)
+    const rows = newOpen.map((q) => {
+      const m = newMistakeByQ.get(q) || {}
+      return compactObject({
+        owner_id: ownerId, assignment_id: assignmentId, student_id: studentId, attempt_no: 0,
+        question_id: q,
+        question_text: m.questionText || undefined,
+        mistake_reason: m.reason || undefined,
+        hint_text: m.hintText || undefined,
+        accessor_result: compactObject({
+          source_submission_id: submissionId,
+          question_bbox: normalizeBbox(m.questionBbox),
+          answer_bbox: normalizeBbox(m.answerBbox),
+          student_answer_raw: m.studentAnswerRaw || undefined
+        }),
+        status: 'open'
+      })
     })
-  } catch (err) {
-    res.status(500).json({ error: err instanceof Error ? err.message : 'Phase B 調和失敗' })
+    await supabaseDb.from('correction_question_items').insert(rows)
+  }
+
+  // 7) 重算 assignment_student_state.status（沿用 dispute-resolve 的判定）
+  const { data: remain } = await supabaseDb.from('correction_question_items')
+    .select('status').eq('owner_id', ownerId).eq('assignment_id', assignmentId).eq('student_id', studentId)
+    .in('status', ['open', 'disputed'])
+  const openN = (remain || []).filter((r) => r.status === 'open').length
+  const dispN = (remain || []).filter((r) => r.status === 'disputed').length
+  const wasInCorrection = itemByQ.size > 0
+  // 2026-06-01: 只有「學生真的交過訂正(correction_attempt_count>0)」才算「已完成訂正」。
+  //   老師重批把錯題清掉、但學生沒做任何訂正(attempts=0) → 回 graded、不誤標已完成訂正。
+  //   (尤其原本的「錯」常是 AI 批錯、重批後消失，學生根本沒訂正過。)
+  const { data: stRow } = await supabaseDb.from('assignment_student_state')
+    .select('correction_attempt_count')
+    .eq('owner_id', ownerId).eq('assignment_id', assignmentId).eq('student_id', studentId)
+    .maybeSingle()
+  const attemptCount = clampInteger(stRow?.correction_attempt_count, 0, 99, 0)
+  let st2
+  if (openN > 0) st2 = 'correction_required'
+  else if (dispN > 0) st2 = 'correction_pending_review'
+  else if (wasInCorrection && attemptCount > 0) st2 = 'correction_passed'  // 學生真的訂正完成
+  else st2 = 'graded'  // 從沒訂正、或老師重批清掉錯題(學生沒做) → 一般已批改
+  await upsertAssignmentStudentState(supabaseDb, ownerId, assignmentId, studentId, compactObject({
+    status: st2,
+    last_status_reason: st2 === 'correction_passed' ? null : '老師重新批改、已逐題調和訂正/申訴狀態'
+  }))
+
+  console.log(`[reconcile-phase-b] ${assignmentId}/${studentId} newOpen=${newOpen.length} resolved=${resolveOpen.length} vindicate=${autoVindicate.length} appealKeep=${appealOverride.length} → ${st2} score=${finalScore}`)
+  return {
+    gradingResult: adjusted, score: finalScore, newStatus: st2,
+    reconcile: { newWrong: newOpen, resolved: resolveOpen, autoVindicated: autoVindicate, appealKept: appealOverride }
   }
 }
 
@@ -4243,6 +5365,20 @@ async function handleCorrectionDispatchToggle(req, res) {
     )
     const enable = action === 'start' ? true : action === 'stop' ? false : !currentlyActive
 
+    // 2026-10-19 答案卷疑似有誤(answer_key_alerts open)→ 先擋派發,免得全班訂正一題其實是對的題目;
+    //   老師確認要派(body.force)才放行
+    if (enable && body.force !== true) {
+      const openAlerts = (await loadOpenAnswerKeyAlerts(supabaseDb, user.id, [assignmentId])).get(assignmentId) ?? []
+      if (openAlerts.length > 0) {
+        res.status(409).json({
+          error: 'ANSWER_KEY_SUSPECT',
+          message: `答案卷第 ${openAlerts.map((a) => a.questionId).join('、')} 題疑似有誤，請先確認答案卷再派發訂正`,
+          answerKeyAlerts: openAlerts
+        })
+        return
+      }
+    }
+
     if (!enable) {
       const nowIso = new Date().toISOString()
 
@@ -5388,6 +6524,7 @@ async function handleSync(req, res) {
       syncTimerEnd('students')
 
       syncTimer('assignments')
+      const answerKeySchemaRejections = []
       // 2026-07-20 先撈既有 answer_key，寫入時保留 analysis/kpTips（防 client 沒帶這些欄位就整包覆蓋擦掉）。
       const asgIdsForMerge = assignments.filter((a) => a?.id && a?.classroomId).map((a) => a.id)
       const existingAsgAk = new Map()
@@ -5402,7 +6539,16 @@ async function handleSync(req, res) {
         (a) => {
           const scoringMode =
             normalizeScoringMode(a.scoringMode ?? a.scoring_mode) ?? undefined
-          const mergedAk = a.answerKey != null ? preserveAnalysisFields(a.answerKey, existingAsgAk.get(a.id)) : undefined
+          let mergedAk = a.answerKey != null ? preserveAnalysisFields(a.answerKey, existingAsgAk.get(a.id)) : undefined
+          // 2026-10-19 answer_key schema：migrate 到最新版再驗；不合格 → 這列不寫 answer_key（其餘欄位照寫）
+          if (mergedAk != null) {
+            const prepared = prepareAnswerKeyForWrite(mergedAk, { logTag: '[SYNC]', entityId: `assignment ${a.id}` })
+            if (prepared.ok) mergedAk = prepared.answerKey
+            else {
+              answerKeySchemaRejections.push({ kind: 'assignment', id: a.id, errors: prepared.errors.slice(0, 20) })
+              mergedAk = undefined
+            }
+          }
           return compactObject({
             id: a.id,
             classroom_id: a.classroomId,
@@ -5417,7 +6563,7 @@ async function handleSync(req, res) {
             ) ?? undefined,
             prior_weight_types: a.priorWeightTypes ?? undefined,
             answer_key: mergedAk ?? undefined,
-            total_questions: countAkQuestions(a.answerKey) ?? undefined,
+            total_questions: (mergedAk !== undefined ? countAkQuestions(mergedAk) : null) ?? undefined,
             answer_key_template_id: a.answerKeyTemplateId ?? a.answer_key_template_id ?? undefined,
             concept_tags: a.conceptTags ?? undefined,
             student_upload_enabled: a.studentUploadEnabled ?? a.student_upload_enabled ?? undefined,
@@ -5461,6 +6607,17 @@ async function handleSync(req, res) {
             return true
           })
         : []
+      // 2026-10-19 answer_key schema：模板不合格整列不寫（模板是反向同步的 SSoT、寫壞會擴散到所有引用的作業）
+      const preparedTplAk = new Map()
+      for (let i = incomingTemplates.length - 1; i >= 0; i -= 1) {
+        const t = incomingTemplates[i]
+        const prepared = prepareAnswerKeyForWrite(t.answerKey ?? t.answer_key, { logTag: '[SYNC]', entityId: `template ${t.id}` })
+        if (prepared.ok) preparedTplAk.set(t.id, prepared.answerKey)
+        else {
+          answerKeySchemaRejections.push({ kind: 'template', id: t.id, errors: prepared.errors.slice(0, 20) })
+          incomingTemplates.splice(i, 1)
+        }
+      }
       if (incomingTemplates.length > 0) {
         // 2026-07-20 先撈既有模板 answer_key，保留 analysis/kpTips；merged 版同時用於模板 upsert 與下面的反向同步。
         const existingTplAk = new Map()
@@ -5473,7 +6630,7 @@ async function handleSync(req, res) {
           }
         }
         const mergedTplAk = new Map(incomingTemplates.map((t) =>
-          [t.id, preserveAnalysisFields(t.answerKey ?? t.answer_key, existingTplAk.get(t.id))]))
+          [t.id, preserveAnalysisFields(preparedTplAk.get(t.id), existingTplAk.get(t.id))]))
         const templateRows = incomingTemplates.map((t) => compactObject({
           id: t.id,
           owner_id: user.id,
@@ -5752,6 +6909,8 @@ async function handleSync(req, res) {
             // 多頁合併頁界：持久化老師端 mergePageBlobs 算的真界，修好「sync 把 pageBreaks 洗掉」
             // 的老問題（之前只能靠 staged-grading 的 orientation smart-fallback 補救）。
             page_breaks: Array.isArray(s.pageBreaks) ? s.pageBreaks : undefined,
+            // 2026-10-19 老師勾選「這批卷子已經用紅筆改過」才濾紅筆（staged-grading teacher-ink），不從來源 / 紅色比例猜
+            teacher_marked: typeof s.teacherMarked === 'boolean' ? s.teacherMarked : undefined,
             // source whitelist：避免 client 寫入意外值。
             // teacher_student_upload 為 legacy（UnifiedImportPage 舊行為），保留向下相容；
             // 新上傳一律走 teacher_scan / teacher_camera 區分 PDF / 相機。
@@ -5963,8 +7122,20 @@ async function handleSync(req, res) {
         submissions: submissions.length,
         folders: folders.length,
         customColumns: gradebookCustomColumns.length,
-        customScores: gradebookCustomScores.length
+        customScores: gradebookCustomScores.length,
+        answerKeySchemaRejections: answerKeySchemaRejections.length
       })
+      // 2026-10-19 有答案卷被 schema 擋下 → 422(其餘資料已寫入、重送安全):
+      //   不能回 success,前端會當作同步完成、老師改的答案卷就默默沒了
+      if (answerKeySchemaRejections.length > 0) {
+        res.status(422).json({
+          success: false,
+          code: 'ANSWER_KEY_SCHEMA_REJECTED',
+          error: `有 ${answerKeySchemaRejections.length} 份答案卷格式不符、未儲存,請修正後再同步(其他資料已同步)`,
+          answerKeySchemaRejections
+        })
+        return
+      }
       res.status(200).json({ success: true })
     } catch (err) {
       console.error('[SYNC] POST error', {
@@ -6016,7 +7187,8 @@ async function handleSubmission(req, res) {
       contentType,
       thumbBase64,
       thumbContentType,
-      source: rawSource
+      source: rawSource,
+      teacherMarked
     } = body || {}
 
     if (!submissionId || !assignmentId || !studentId || !createdAt || !imageBase64) {
@@ -6194,6 +7366,8 @@ async function handleSubmission(req, res) {
           thumb_url: thumbFilePath ?? undefined,
           status: 'synced',
           source: submissionSource,
+          // 老師明確標記「已用紅筆改過」才濾紅筆
+          teacher_marked: teacherMarked === true ? true : undefined,
           round: 0,
           actor_user_id: user.id,
           created_at: timestamp,
@@ -6221,6 +7395,8 @@ async function handleSubmission(req, res) {
       }
     )
 
+    await recordSubmissionFingerprint(supabaseDb, { ownerId: user.id, assignmentId, submissionId })
+
     console.log('✅ [資料庫] 新 submission 寫入成功')
     console.log('🎉 [完成] PDF 上傳流程完成:', {
       submissionId,
@@ -6305,6 +7481,682 @@ async function deleteSubmissionAssets(supabaseDb, submissionId) {
     ])
 }
 
+// ── 作答圖指紋（2026-10-19，server/image-fingerprint.js）──────────────────────────────
+//   寫入 submission 圖後排一筆 grading_jobs（kind=fingerprint），背景下載圖算 page / region hash 存 image_fingerprints
+//   （每位學生每份作業一列）；該作業第一次有作答圖時順便算答案卷版面。上傳請求本身不下載、不算圖。
+//   讀取端（correction-dashboard / assignment-state-summary）讀 image_integrity_warnings 快取，
+//   指紋有變（image_fingerprints.updated_at 比快取新）才重算；指紋工作跑完也會先把快取算好。
+//   在批改前就列出重複圖、共用手寫區塊、疑似別份作業的卷子（severity=notice 的只是整頁相似提示）。全程 fail-open：算不出來 / 表不存在都不擋上傳。
+const IMAGE_FINGERPRINT_OTHER_LAYOUT_LIMIT = 50
+
+async function ensureAnswerSheetFingerprint(supabaseDb, ownerId, assignment) {
+  const paths = Array.isArray(assignment?.answer_sheet_image_paths) ? assignment.answer_sheet_image_paths.filter(Boolean) : []
+  if (!paths.length) return
+  const { data: existing } = await supabaseDb
+    .from('image_fingerprints')
+    .select('id')
+    .eq('owner_id', ownerId)
+    .eq('assignment_id', assignment.id)
+    .eq('kind', 'answer_sheet')
+    .maybeSingle()
+  if (existing) return
+  const pages = []
+  for (const path of paths) {
+    const buffer = await downloadStorageBuffer(supabaseDb, path)
+    if (!buffer) return
+    pages.push(...(await computeImageFingerprint(buffer)).pages)
+  }
+  await supabaseDb.from('image_fingerprints').upsert(
+    { owner_id: ownerId, assignment_id: assignment.id, kind: 'answer_sheet', student_id: '', pages, updated_at: new Date().toISOString() },
+    { onConflict: 'owner_id,assignment_id,kind,student_id' }
+  )
+}
+
+// 上傳端只排工作（同一張卷已在排 = dedupe 略過）；排不進去只 warn
+async function recordSubmissionFingerprint(supabaseDb, { ownerId, assignmentId, submissionId }) {
+  if (!isImageFingerprintEnabled()) return
+  try {
+    await enqueueGradingJobs(supabaseDb, [{
+      kind: GRADING_JOB_KINDS.FINGERPRINT, ownerId, assignmentId, submissionId, priority: -2, maxAttempts: 2
+    }])
+  } catch (err) {
+    console.warn('[image-fingerprint] enqueue failed (fail-open):', err?.message, { submissionId })
+  }
+}
+
+// grading_jobs kind=fingerprint：下載卷圖 → 指紋 → 答案卷版面 → 重算本作業的警示快取
+async function runSubmissionFingerprintJob(supabaseDb, job) {
+  const [{ data: assignment }, { data: sub }] = await Promise.all([
+    supabaseDb
+      .from('assignments')
+      .select('id, total_pages, answer_sheet_image_paths')
+      .eq('id', job.assignment_id)
+      .eq('owner_id', job.owner_id)
+      .maybeSingle(),
+    supabaseDb
+      .from('submissions')
+      .select('id, student_id, image_url, page_breaks, source')
+      .eq('id', job.submission_id)
+      .eq('owner_id', job.owner_id)
+      .maybeSingle()
+  ])
+  // 卷已被刪 / 換掉：沒東西可算，不算失敗
+  if (!assignment || !sub?.student_id) return { skipped: true }
+  const image = await downloadStorageBuffer(supabaseDb, sub.image_url || `submissions/${sub.id}.webp`)
+  if (!image) throw new Error('卷圖下載失敗')
+  const { pages } = await computeImageFingerprint(image, {
+    pageBreaks: Array.isArray(sub.page_breaks) && sub.page_breaks.length ? sub.page_breaks : null,
+    pageCount: Number.isFinite(assignment.total_pages) && assignment.total_pages > 0 ? assignment.total_pages : 1
+  })
+  const { error } = await supabaseDb.from('image_fingerprints').upsert(
+    {
+      owner_id: job.owner_id,
+      assignment_id: assignment.id,
+      kind: 'submission',
+      student_id: sub.student_id,
+      submission_id: sub.id,
+      source: sub.source ?? null,
+      pages,
+      updated_at: new Date().toISOString()
+    },
+    { onConflict: 'owner_id,assignment_id,kind,student_id' }
+  )
+  if (error) throw new Error(error.message)
+  await ensureAnswerSheetFingerprint(supabaseDb, job.owner_id, assignment)
+  const warnings = (await loadImageIntegrityWarnings(supabaseDb, job.owner_id, [assignment.id])).get(assignment.id) ?? []
+  return { pages: pages.length, warnings: warnings.length }
+}
+
+// assignmentId → [{ code, label, studentIds, page, ... }]（只放有警示的作業）；直接從指紋算、不碰快取
+async function computeImageIntegrityWarnings(supabaseDb, ownerId, assignmentIds) {
+  const out = new Map()
+  const [ownResult, layoutResult] = await Promise.all([
+    fetchAllPaginated(() => supabaseDb
+      .from('image_fingerprints')
+      .select('assignment_id, kind, student_id, submission_id, pages')
+      .eq('owner_id', ownerId)
+      .in('assignment_id', assignmentIds)
+      .order('id')),
+    supabaseDb
+      .from('image_fingerprints')
+      .select('assignment_id, pages')
+      .eq('owner_id', ownerId)
+      .eq('kind', 'answer_sheet')
+      .order('updated_at', { ascending: false })
+      .limit(IMAGE_FINGERPRINT_OTHER_LAYOUT_LIMIT)
+  ])
+  if (ownResult.error) throw new Error(ownResult.error.message)
+  if (layoutResult.error) throw new Error(layoutResult.error.message)
+  const layouts = new Map((layoutResult.data ?? []).map((r) => [r.assignment_id, r.pages]))
+  const byAssignment = new Map()
+  for (const r of ownResult.data ?? []) {
+    if (r.kind === 'answer_sheet') { layouts.set(r.assignment_id, r.pages); continue }
+    const list = byAssignment.get(r.assignment_id) ?? []
+    list.push({ studentId: r.student_id, submissionId: r.submission_id, pages: r.pages })
+    byAssignment.set(r.assignment_id, list)
+  }
+  const layoutIds = [...layouts.keys()]
+  const { data: titleRows } = layoutIds.length
+    ? await supabaseDb.from('assignments').select('id, title').eq('owner_id', ownerId).in('id', layoutIds)
+    : { data: [] }
+  const titleById = new Map((titleRows ?? []).map((r) => [r.id, r.title]))
+  for (const [assignmentId, entries] of byAssignment) {
+    const warnings = findFingerprintConflicts(entries, {
+      ownLayout: layouts.get(assignmentId) ?? null,
+      otherLayouts: layoutIds
+        .filter((id) => id !== assignmentId)
+        .map((id) => ({ assignmentId: id, title: titleById.get(id), pages: layouts.get(id) }))
+    })
+    if (warnings.length) out.set(assignmentId, warnings)
+  }
+  return out
+}
+
+// 讀快取：快取的 source_updated_at = 算的當下「本作業指紋最新 updated_at」與「owner 最新答案卷版面 updated_at」較大者
+//   （別份作業的答案卷版面會影響 WRONG_ASSIGNMENT_LAYOUT）；對不上才重算並寫回。快取表不存在 = 每次現算。
+async function loadImageIntegrityWarnings(supabaseDb, ownerId, assignmentIds) {
+  const out = new Map()
+  if (!isImageFingerprintEnabled() || !assignmentIds?.length) return out
+  try {
+    const [stampResult, layoutStampResult, cacheResult] = await Promise.all([
+      fetchAllPaginated(() => supabaseDb
+        .from('image_fingerprints')
+        .select('assignment_id, updated_at')
+        .eq('owner_id', ownerId)
+        .in('assignment_id', assignmentIds)
+        .order('id')),
+      supabaseDb
+        .from('image_fingerprints')
+        .select('updated_at')
+        .eq('owner_id', ownerId)
+        .eq('kind', 'answer_sheet')
+        .order('updated_at', { ascending: false })
+        .limit(1),
+      supabaseDb
+        .from('image_integrity_warnings')
+        .select('assignment_id, warnings, source_updated_at')
+        .eq('owner_id', ownerId)
+        .in('assignment_id', assignmentIds)
+    ])
+    if (stampResult.error) throw new Error(stampResult.error.message)
+    if (layoutStampResult.error) throw new Error(layoutStampResult.error.message)
+    const layoutStamp = Date.parse(layoutStampResult.data?.[0]?.updated_at ?? '') || 0
+    const stampById = new Map()
+    for (const r of stampResult.data ?? []) {
+      stampById.set(r.assignment_id, Math.max(stampById.get(r.assignment_id) ?? layoutStamp, Date.parse(r.updated_at) || 0))
+    }
+    const cacheAvailable = !cacheResult.error
+    const cacheById = new Map((cacheResult.data ?? []).map((r) => [r.assignment_id, r]))
+    const stale = []
+    for (const [assignmentId, stamp] of stampById) {
+      const cached = cacheById.get(assignmentId)
+      if (cached && (Date.parse(cached.source_updated_at) || 0) === stamp) {
+        if (Array.isArray(cached.warnings) && cached.warnings.length) out.set(assignmentId, cached.warnings)
+      } else {
+        stale.push(assignmentId)
+      }
+    }
+    if (!stale.length) return out
+    const computed = await computeImageIntegrityWarnings(supabaseDb, ownerId, stale)
+    for (const [assignmentId, warnings] of computed) out.set(assignmentId, warnings)
+    if (cacheAvailable) {
+      const nowIso = new Date().toISOString()
+      const { error: cacheError } = await supabaseDb.from('image_integrity_warnings').upsert(
+        stale.map((assignmentId) => ({
+          owner_id: ownerId,
+          assignment_id: assignmentId,
+          warnings: computed.get(assignmentId) ?? [],
+          source_updated_at: new Date(stampById.get(assignmentId)).toISOString(),
+          updated_at: nowIso
+        })),
+        { onConflict: 'owner_id,assignment_id' }
+      )
+      if (cacheError) console.warn('[image-fingerprint] cache write failed (fail-open):', cacheError.message)
+    }
+  } catch (err) {
+    console.warn('[image-fingerprint] load warnings failed (fail-open):', err?.message)
+  }
+  return out
+}
+
+// ── 整班掃描拆卷（2026-10-19，server/scan-split.js）────────────────────────────
+//   body 上限 4.5mb 放不下整班 → 分兩段：op=pages 分批上傳頁面（暫存 scan-ingest/<ownerId>/<batchId>/NNN.webp）、
+//   op=split 讀表頭 + 切卷 + 建 submission（source=teacher_scan、帶 page_breaks）。
+//   split 每次最多處理 SCAN_SPLIT_PAGES_PER_CALL 頁（表頭 OCR 一頁最壞 20 秒，整班 200 頁一次做完會超過函式時限）：
+//     回 nextPage / nextPaperIndex，前端帶 fromPage / paperIndexStart 再叫一次，直到 nextPage = null。
+//     每份卷子處理完就寫 scan_ingest_items → 逾時重叫同一段時，已處理的卷子略過（可續跑）。
+//   信心不足的卷子寫 scan_ingest_items（pending），老師 op=confirm 指定學生 / op=discard 丟棄；GET 列佇列與暫存圖。
+//   學生已經有卷子（沒批改也一樣）→ 不自動蓋掉，列成 pending（EXISTING_SUBMISSION），老師確認時帶 replaceExisting 才蓋。
+//   有 QR 貼條（server/scan-qr.js、api/report/scan-labels.js 印）的頁先依 QR 歸戶，表頭 OCR 只處理剩下的頁。
+//     QR 在 op=pages 上傳時逐頁解好（NNN.qr.json），split 每次都看整批歸戶 → 同一位學生的頁被拆在不同段也組得回同一份；
+//     此時 fromPage / nextPage 是「已處理頁數」的進度，不是掃描檔頁碼。
+//   暫存路徑帶 owner：batchId 只是前端產生的字串，別的老師猜到 / 撞到同一個 batchId 也讀不到、蓋不掉別人的頁。
+const SCAN_BATCH_ID_PATTERN = /^scan_\d{10,16}_[a-z0-9]{4,12}$/
+const SCAN_SPLIT_PAGES_PER_CALL = 30
+const scanPagePath = (ownerId, batchId, index) => `scan-ingest/${ownerId}/${batchId}/${String(index).padStart(3, '0')}.webp`
+const scanPaperPath = (ownerId, batchId, paperIndex, thumb = false) =>
+  `scan-ingest/${ownerId}/${batchId}/paper-${String(paperIndex).padStart(3, '0')}${thumb ? '-thumb' : ''}.webp`
+
+// 每頁的 QR 解碼結果（op=pages 上傳時解、split 整批一次讀回）：{ qr: {assignmentId, studentId, page, pageCount} | null }
+const scanQrPath = (ownerId, batchId, index) => `scan-ingest/${ownerId}/${batchId}/${String(index).padStart(3, '0')}.qr.json`
+
+async function storeScanQrDecode(supabaseDb, ownerId, batchId, index, buffer) {
+  const qr = await decodeScanQr(buffer).catch(() => null)
+  const { error } = await supabaseDb.storage
+    .from(HOMEWORK_IMAGES_BUCKET)
+    .upload(scanQrPath(ownerId, batchId, index), Buffer.from(JSON.stringify({ qr })), { contentType: 'application/json', upsert: true })
+  if (error) console.warn('[scan-ingest] qr decode store failed (decode again at split):', error.message)
+  return qr
+}
+
+// 整批每頁的 QR；沒存到解碼結果的頁（上傳時存失敗）就地下載重解、補存（頁檔處理完會刪，下一段要靠存下的結果）
+async function loadScanQrDecodes(supabaseDb, ownerId, batchId, pageCount) {
+  const decoded = new Array(pageCount).fill(null)
+  const LIM = 6
+  let i = 0
+  await Promise.all(Array.from({ length: Math.min(LIM, pageCount) }, async () => {
+    while (i < pageCount) {
+      const idx = i++
+      const stored = await downloadStorageBuffer(supabaseDb, scanQrPath(ownerId, batchId, idx))
+      if (stored) {
+        try { decoded[idx] = JSON.parse(stored.toString('utf8'))?.qr ?? null; continue } catch { /* 重解 */ }
+      }
+      const page = await downloadStorageBuffer(supabaseDb, scanPagePath(ownerId, batchId, idx))
+      if (page) decoded[idx] = await storeScanQrDecode(supabaseDb, ownerId, batchId, idx, page)
+    }
+  }))
+  return decoded
+}
+
+async function downloadStorageBuffer(supabaseDb, path) {
+  const { data, error } = await supabaseDb.storage.from(HOMEWORK_IMAGES_BUCKET).download(path)
+  if (error || !data) return null
+  return Buffer.from(await data.arrayBuffer())
+}
+
+// 學生已有卷子就不建：拆卷是批次動作，不默默蓋掉舊卷（未批改的可能是學生自己傳的、已批改的有成績）。
+//   老師確認時才能 replaceUngraded / replaceGraded 蓋掉（同 handleSubmission 的刪舊卷流程）
+async function createScanSubmission(supabaseDb, {
+  ownerId, actorUserId, assignmentId, studentId, image, thumb, pageBreaks, teacherMarked = false, replaceUngraded = false, replaceGraded = false
+}) {
+  const { data: latestRows, error: latestError } = await supabaseDb
+    .from('submissions')
+    .select('id, status, graded_at')
+    .eq('owner_id', ownerId)
+    .eq('assignment_id', assignmentId)
+    .eq('student_id', studentId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+  if (latestError) throw new Error(latestError.message)
+  const latest = latestRows?.[0]
+  if (latest?.id) {
+    const latestIsGraded = (latest.graded_at !== null && latest.graded_at !== undefined) ||
+      String(latest.status || '').toLowerCase() === 'graded'
+    if (latestIsGraded && !replaceGraded) return { ok: false, code: 'ALREADY_GRADED' }
+    if (!latestIsGraded && !replaceUngraded) return { ok: false, code: 'EXISTING_SUBMISSION' }
+    await supabaseDb
+      .from('deleted_records')
+      .upsert(
+        { owner_id: ownerId, table_name: 'submissions', record_id: latest.id, deleted_at: new Date().toISOString() },
+        { onConflict: 'owner_id,table_name,record_id' }
+      )
+    await supabaseDb.from('submissions').delete().eq('id', latest.id).eq('owner_id', ownerId)
+    await deleteSubmissionAssets(supabaseDb, latest.id)
+  }
+
+  const submissionId = generateSubmissionId()
+  const { filePath, thumbFilePath } = await uploadSubmissionAssets(
+    supabaseDb,
+    submissionId,
+    image.toString('base64'),
+    'image/webp',
+    thumb ? thumb.toString('base64') : null,
+    'image/webp'
+  )
+  const { error: insertError } = await supabaseDb
+    .from('submissions')
+    .insert(
+      compactObject({
+        id: submissionId,
+        assignment_id: assignmentId,
+        student_id: studentId,
+        image_url: filePath,
+        thumb_url: thumbFilePath ?? undefined,
+        status: 'synced',
+        source: 'teacher_scan',
+        teacher_marked: teacherMarked ? true : undefined,
+        round: 0,
+        page_breaks: pageBreaks?.length ? pageBreaks : undefined,
+        actor_user_id: actorUserId,
+        owner_id: ownerId
+      })
+    )
+  if (insertError) {
+    await deleteSubmissionAssets(supabaseDb, submissionId)
+    throw new Error(insertError.message)
+  }
+  const preferences = await getTeacherPreferences(supabaseDb, ownerId)
+  await upsertAssignmentStudentState(supabaseDb, ownerId, assignmentId, studentId, {
+    status: 'uploaded',
+    current_submission_id: submissionId,
+    upload_locked: false,
+    correction_attempt_limit: preferences.max_correction_attempts
+  })
+  await recordSubmissionFingerprint(supabaseDb, { ownerId, assignmentId, submissionId })
+  return { ok: true, submissionId }
+}
+
+function toScanItemView(row) {
+  return {
+    id: row.id,
+    batchId: row.batch_id,
+    paperIndex: row.paper_index,
+    pageStart: row.page_start,
+    pageCount: row.page_count,
+    pages: Array.isArray(row.page_indexes) ? row.page_indexes : null,
+    routedBy: row.routed_by ?? 'header',
+    status: row.status,
+    reason: row.reason ?? null,
+    reasonLabel: row.reason ? SCAN_CONFIRM_REASONS[row.reason] ?? row.reason : null,
+    confidence: row.confidence ?? null,
+    headerText: row.header_text ?? null,
+    parsed: row.parsed ?? null,
+    candidates: row.candidates ?? [],
+    studentId: row.student_id ?? null,
+    submissionId: row.submission_id ?? null,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at ?? null
+  }
+}
+
+async function handleScanIngest(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  const { user } = await getAuthUser(req, res)
+  if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+  if (!isScanSplitEnabled()) { res.status(404).json({ error: '整班掃描拆卷未啟用', code: 'SCAN_SPLIT_DISABLED' }); return }
+  const supabaseDb = getSupabaseAdmin()
+  try {
+    if (req.method === 'GET') {
+      const itemId = String(req.query?.itemId ?? '').trim()
+      if (itemId) {
+        // 待確認卷子的合併圖（thumb=1 → 縮圖）
+        const { data: item } = await supabaseDb
+          .from('scan_ingest_items').select('id, staged_image_path, staged_thumb_path')
+          .eq('id', itemId).eq('owner_id', user.id).maybeSingle()
+        const path = parseBooleanParam(req.query?.thumb) ? item?.staged_thumb_path : item?.staged_image_path
+        const buffer = path ? await downloadStorageBuffer(supabaseDb, path) : null
+        if (!buffer) { res.status(404).json({ error: '找不到暫存圖' }); return }
+        res.setHeader('Content-Type', 'image/webp')
+        res.status(200).send(buffer)
+        return
+      }
+      const assignmentId = String(req.query?.assignmentId ?? '').trim()
+      if (!assignmentId) { res.status(400).json({ error: 'Missing assignmentId' }); return }
+      let query = supabaseDb
+        .from('scan_ingest_items').select('*')
+        .eq('owner_id', user.id).eq('assignment_id', assignmentId)
+      const status = String(req.query?.status ?? 'pending').trim()
+      if (status !== 'all') query = query.eq('status', status)
+      const { data, error } = await query.order('created_at', { ascending: false }).order('paper_index', { ascending: true }).limit(300)
+      if (error) throw new Error(error.message)
+      res.status(200).json({ items: (data ?? []).map(toScanItemView) })
+      return
+    }
+
+    const body = parseJsonBody(req)
+    const op = String(body?.op ?? '')
+    const nowIso = new Date().toISOString()
+
+    if (op === 'confirm' || op === 'discard') {
+      const itemId = String(body?.itemId ?? '').trim()
+      if (!itemId) { res.status(400).json({ error: 'Missing itemId' }); return }
+      const { data: item } = await supabaseDb
+        .from('scan_ingest_items').select('*')
+        .eq('id', itemId).eq('owner_id', user.id).maybeSingle()
+      if (!item) { res.status(404).json({ error: '找不到這份掃描卷' }); return }
+      if (item.status !== 'pending') { res.status(409).json({ error: '這份掃描卷已處理過', code: 'SCAN_ITEM_NOT_PENDING' }); return }
+      const stagedPaths = [item.staged_image_path, item.staged_thumb_path].filter(Boolean)
+
+      if (op === 'discard') {
+        await supabaseDb.from('scan_ingest_items').update({ status: 'discarded', resolved_by: user.id, resolved_at: nowIso }).eq('id', item.id)
+        if (stagedPaths.length) await supabaseDb.storage.from(HOMEWORK_IMAGES_BUCKET).remove(stagedPaths)
+        res.status(200).json({ success: true, status: 'discarded' })
+        return
+      }
+
+      const studentId = String(body?.studentId ?? '').trim()
+      if (!studentId) { res.status(400).json({ error: 'Missing studentId' }); return }
+      const { data: assignment } = await supabaseDb
+        .from('assignments').select('id, classroom_id')
+        .eq('id', item.assignment_id).eq('owner_id', user.id).maybeSingle()
+      if (!assignment) { res.status(404).json({ error: 'Assignment not found' }); return }
+      const { data: student } = await supabaseDb
+        .from('students').select('id')
+        .eq('id', studentId).eq('owner_id', user.id).eq('classroom_id', assignment.classroom_id).maybeSingle()
+      if (!student) { res.status(422).json({ error: '這位學生不在作業的班級裡' }); return }
+      const image = item.staged_image_path ? await downloadStorageBuffer(supabaseDb, item.staged_image_path) : null
+      if (!image) { res.status(410).json({ error: '暫存圖已不存在，請重新上傳掃描檔', code: 'SCAN_STAGED_MISSING' }); return }
+      const thumb = item.staged_thumb_path ? await downloadStorageBuffer(supabaseDb, item.staged_thumb_path) : null
+      const created = await createScanSubmission(supabaseDb, {
+        ownerId: user.id,
+        actorUserId: user.id,
+        assignmentId: item.assignment_id,
+        studentId,
+        image,
+        thumb,
+        pageBreaks: Array.isArray(item.page_breaks) ? item.page_breaks : [],
+        teacherMarked: item.teacher_marked === true,
+        replaceUngraded: body?.replaceExisting === true || body?.replaceGraded === true,
+        replaceGraded: body?.replaceGraded === true
+      })
+      if (!created.ok) {
+        res.status(409).json({ error: SCAN_CONFIRM_REASONS[created.code] ?? created.code, code: created.code })
+        return
+      }
+      await supabaseDb.from('scan_ingest_items').update({
+        status: 'created', student_id: studentId, submission_id: created.submissionId,
+        staged_image_path: null, staged_thumb_path: null, resolved_by: user.id, resolved_at: nowIso
+      }).eq('id', item.id)
+      if (stagedPaths.length) await supabaseDb.storage.from(HOMEWORK_IMAGES_BUCKET).remove(stagedPaths)
+      res.status(200).json({ success: true, status: 'created', submissionId: created.submissionId })
+      return
+    }
+
+    if (op !== 'pages' && op !== 'split') { res.status(400).json({ error: 'Invalid op' }); return }
+    const assignmentId = String(body?.assignmentId ?? '').trim()
+    if (!assignmentId) { res.status(400).json({ error: 'Missing assignmentId' }); return }
+    const { data: assignment, error: assignmentError } = await supabaseDb
+      .from('assignments').select('id, classroom_id, total_pages')
+      .eq('id', assignmentId).eq('owner_id', user.id).maybeSingle()
+    if (assignmentError) throw new Error(assignmentError.message)
+    if (!assignment) { res.status(404).json({ error: 'Assignment not found' }); return }
+
+    if (op === 'pages') {
+      // 頁面：pages=[{imageBase64}]（前端把 PDF 逐頁轉圖）或 fileBase64（多頁 TIFF）；startIndex = 這批第一頁在整份掃描的頁碼（0 起）
+      const batchId = SCAN_BATCH_ID_PATTERN.test(String(body?.batchId ?? ''))
+        ? body.batchId
+        : `scan_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`
+      const startIndex = clampInteger(body?.startIndex, 0, MAX_SCAN_PAGES - 1, 0)
+      let buffers = []
+      const filePayload = normalizeBase64Input(body?.fileBase64)
+      if (filePayload) {
+        buffers = await splitMultiPageImage(Buffer.from(filePayload, 'base64'))
+      } else if (Array.isArray(body?.pages)) {
+        for (const p of body.pages) {
+          const normalized = normalizeBase64Input(p?.imageBase64)
+          if (!normalized) { res.status(400).json({ error: `第 ${startIndex + buffers.length + 1} 頁沒有圖` }); return }
+          buffers.push(await normalizeScanPage(Buffer.from(normalized, 'base64')))
+        }
+      }
+      if (!buffers.length) { res.status(400).json({ error: 'Missing pages' }); return }
+      if (startIndex + buffers.length > MAX_SCAN_PAGES) { res.status(413).json({ error: `一次最多 ${MAX_SCAN_PAGES} 頁` }); return }
+      for (let i = 0; i < buffers.length; i += 1) {
+        const { error: uploadError } = await supabaseDb.storage
+          .from(HOMEWORK_IMAGES_BUCKET)
+          .upload(scanPagePath(user.id, batchId, startIndex + i), buffers[i], { contentType: 'image/webp', upsert: true })
+        if (uploadError) throw new Error(`第 ${startIndex + i + 1} 頁上傳失敗: ${uploadError.message}`)
+        if (isScanQrEnabled()) await storeScanQrDecode(supabaseDb, user.id, batchId, startIndex + i, buffers[i])
+      }
+      res.status(200).json({ batchId, stored: buffers.length, nextIndex: startIndex + buffers.length })
+      return
+    }
+
+    // op === 'split'：從進度 fromPage 接著做一段（見下方 QR / 表頭的分段方式），卷子不會被切在兩次之間
+    const batchId = String(body?.batchId ?? '')
+    if (!SCAN_BATCH_ID_PATTERN.test(batchId)) { res.status(400).json({ error: 'Invalid batchId' }); return }
+    const pageCount = clampInteger(body?.pageCount, 1, MAX_SCAN_PAGES, 0)
+    if (!pageCount) { res.status(400).json({ error: 'Missing pageCount' }); return }
+    // 每份頁數：答案卷已知頁數（assignments.total_pages）；沒有設定才用前端帶的
+    const pagesPerPaper = Number.isFinite(assignment.total_pages) && assignment.total_pages > 0
+      ? assignment.total_pages
+      : clampInteger(body?.pagesPerPaper, 1, 20, 1)
+    const fromPage = clampInteger(body?.fromPage, 0, pageCount - 1, 0)
+    const paperIndexStart = clampInteger(body?.paperIndexStart, 0, MAX_SCAN_PAGES, 0)
+    // 老師上傳時勾「這疊卷子已經用紅筆改過」→ 建出來的卷才濾紅筆 / 讀老師評分
+    const teacherMarked = body?.teacherMarked === true
+    const chunkPages = Math.max(pagesPerPaper, Math.floor(SCAN_SPLIT_PAGES_PER_CALL / pagesPerPaper) * pagesPerPaper)
+    const { data: stuRows, error: stuError } = await supabaseDb
+      .from('students').select('id, name, seat_number')
+      .eq('owner_id', user.id).eq('classroom_id', assignment.classroom_id)
+    if (stuError) throw new Error(stuError.message)
+    const roster = (stuRows ?? []).map((s) => ({ id: s.id, name: s.name, seatNumber: Number.isFinite(s.seat_number) ? s.seat_number : null }))
+
+    // QR 貼條（server/scan-qr.js）先、而且看整批：op=pages 上傳時已逐頁解好 QR 存在暫存區，這裡一次讀回整批歸戶，
+    //   同一位學生的頁散在紙堆哪裡都會組回同一份（分段各自歸戶會切成兩個半份、永遠合不起來）。
+    //   沒有 QR 的頁才分段讀表頭。頁碼一律是整份掃描檔的頁序（0 起）。
+    let allQrPapers = []
+    let headerPool = Array.from({ length: pageCount }, (_, i) => i)
+    if (isScanQrEnabled()) {
+      const decoded = await loadScanQrDecodes(supabaseDb, user.id, batchId, pageCount)
+      if (decoded.some(Boolean)) {
+        const routed = routeScanPagesByQr(decoded, { assignmentId, pagesPerPaper, rosterIds: new Set(roster.map((s) => s.id)) })
+        allQrPapers = routed.papers.map((p) => ({ ...p, routedBy: 'qr', match: null }))
+        headerPool = routed.unrouted
+      }
+    }
+    // 進度 fromPage / nextPage = 已處理的頁數：先 QR 卷（整份為單位），再表頭頁（每份頁數的整數倍為單位）；一次只做其中一種
+    const qrPageTotal = allQrPapers.reduce((n, p) => n + p.pages.length, 0)
+    let qrPapers = []
+    let headerPageIndexes = []
+    let processed = 0
+    if (fromPage < qrPageTotal) {
+      let offset = 0
+      for (const p of allQrPapers) {
+        if (offset >= fromPage && (qrPapers.length === 0 || processed + p.pages.length <= SCAN_SPLIT_PAGES_PER_CALL)) {
+          qrPapers.push(p)
+          processed += p.pages.length
+        } else if (offset >= fromPage) {
+          break
+        }
+        offset += p.pages.length
+      }
+    } else {
+      const headerStart = fromPage - qrPageTotal
+      headerPageIndexes = headerPool.slice(headerStart, headerStart + chunkPages)
+      processed = headerPageIndexes.length
+    }
+    const progressTo = Math.min(pageCount, fromPage + processed)
+    const pageIndexes = [...qrPapers.flatMap((p) => p.pages), ...headerPageIndexes]
+    const bufByPage = new Map()
+    for (const i of pageIndexes) {
+      const buf = await downloadStorageBuffer(supabaseDb, scanPagePath(user.id, batchId, i))
+      if (!buf) { res.status(422).json({ error: `找不到第 ${i + 1} 頁，請重新上傳`, code: 'SCAN_PAGE_MISSING' }); return }
+      bufByPage.set(i, buf)
+    }
+
+    const headerMatches = headerPageIndexes.length
+      ? await identifyScanPages(headerPageIndexes.map((i) => bufByPage.get(i)), roster)
+      : []
+    const headerPapers = resolveScanPapers(
+      segmentScanPages({ matches: headerMatches, pagesPerPaper, pageIndexes: headerPageIndexes }),
+      pagesPerPaper
+    ).map((p) => ({ ...p, routedBy: 'header' }))
+    const papers = markDuplicateStudents([...qrPapers, ...headerPapers])
+      .sort((a, b) => Math.min(...a.pages) - Math.min(...b.pages))
+      .map((p, index) => ({ ...p, index: paperIndexStart + index }))
+
+    // 續跑：同一段逾時後重叫，已寫進佇列的卷子（created / pending / discarded）不再處理
+    let queuePersisted = true
+    const handled = new Set()
+    if (papers.length) {
+      const { data: doneRows, error: doneError } = await supabaseDb
+        .from('scan_ingest_items').select('paper_index')
+        .eq('owner_id', user.id).eq('batch_id', batchId).in('paper_index', papers.map((p) => p.index))
+      if (doneError) {
+        queuePersisted = false
+        console.warn('[scan-ingest] queue read failed (fail-open):', doneError.message)
+      }
+      for (const r of doneRows ?? []) handled.add(r.paper_index)
+    }
+    // 佇列表不存在（DDL 還沒跑）→ 高信心的卷照建，待確認的只回在 response（fail-open）
+    const persistItem = async (itemRow) => {
+      if (!queuePersisted) return
+      const { error: queueError } = await supabaseDb
+        .from('scan_ingest_items')
+        .upsert(itemRow, { onConflict: 'owner_id,batch_id,paper_index' })
+      if (queueError) {
+        queuePersisted = false
+        console.warn('[scan-ingest] queue write failed (fail-open):', queueError.message)
+      }
+    }
+    const created = []
+    const pending = []
+    let resumed = 0
+    for (const paper of papers) {
+      if (handled.has(paper.index)) { resumed += 1; continue }
+      const built = await buildPaperImage(paper.pages.map((i) => bufByPage.get(i)))
+      const firstHeader = paper.routedBy === 'header' ? headerMatches[headerPageIndexes.indexOf(paper.pages[0])] : null
+      const scanPages = paper.pages
+      const row = {
+        owner_id: user.id,
+        assignment_id: assignmentId,
+        batch_id: batchId,
+        paper_index: paper.index,
+        page_start: scanPages[0],
+        page_count: scanPages.length,
+        page_indexes: scanPages,
+        routed_by: paper.routedBy,
+        confidence: paper.routedBy === 'qr' ? (paper.status === 'auto' ? 'high' : 'medium') : paper.match?.confidence ?? 'none',
+        header_text: paper.match?.headerText ?? firstHeader?.headerText ?? null,
+        parsed: paper.routedBy === 'qr'
+          ? { qr: true, missingPages: paper.missingPages, duplicatePages: paper.duplicatePages }
+          : paper.match ? { seatNumber: paper.match.seatNumber, name: paper.match.name } : null,
+        candidates: paper.match?.candidates ?? [],
+        page_breaks: built.pageBreaks,
+        teacher_marked: teacherMarked
+      }
+      let reason = paper.reason
+      if (paper.status === 'auto') {
+        const result = await createScanSubmission(supabaseDb, {
+          ownerId: user.id,
+          actorUserId: user.id,
+          assignmentId,
+          studentId: paper.studentId,
+          image: built.image,
+          thumb: built.thumb,
+          pageBreaks: built.pageBreaks,
+          teacherMarked
+        })
+        if (result.ok) {
+          await persistItem({ ...row, status: 'created', student_id: paper.studentId, submission_id: result.submissionId, resolved_at: nowIso })
+          created.push({ paperIndex: paper.index, studentId: paper.studentId, submissionId: result.submissionId, pages: scanPages, routedBy: paper.routedBy })
+          continue
+        }
+        reason = result.code
+      }
+      // 待確認：合併圖先暫存，老師確認後才搬成 submission
+      const imagePath = scanPaperPath(user.id, batchId, paper.index)
+      const thumbPath = scanPaperPath(user.id, batchId, paper.index, true)
+      const bucket = supabaseDb.storage.from(HOMEWORK_IMAGES_BUCKET)
+      const { error: stageError } = await bucket.upload(imagePath, built.image, { contentType: 'image/webp', upsert: true })
+      if (stageError) throw new Error(`暫存第 ${paper.index + 1} 份失敗: ${stageError.message}`)
+      const { error: thumbError } = await bucket.upload(thumbPath, built.thumb, { contentType: 'image/webp', upsert: true })
+      // 已有卷子 / 已批改 / QR 缺頁重複頁 / 同一人兩份：知道是誰，預填給老師確認
+      const suggested = paper.studentId ?? null
+      await persistItem({
+        ...row,
+        status: 'pending',
+        reason,
+        student_id: suggested,
+        staged_image_path: imagePath,
+        staged_thumb_path: thumbError ? null : thumbPath
+      })
+      pending.push({
+        paperIndex: paper.index,
+        pages: scanPages,
+        routedBy: paper.routedBy,
+        reason,
+        reasonLabel: SCAN_CONFIRM_REASONS[reason] ?? reason,
+        studentId: suggested,
+        confidence: row.confidence,
+        parsed: row.parsed,
+        candidates: row.candidates
+      })
+    }
+
+    await supabaseDb.storage
+      .from(HOMEWORK_IMAGES_BUCKET)
+      .remove(pageIndexes.map((i) => scanPagePath(user.id, batchId, i)))
+
+    const nextPage = progressTo < pageCount ? progressTo : null
+    // QR 解碼結果每次都要整批重新歸戶，做完最後一段才清
+    if (nextPage === null) {
+      await supabaseDb.storage
+        .from(HOMEWORK_IMAGES_BUCKET)
+        .remove(Array.from({ length: pageCount }, (_, i) => scanQrPath(user.id, batchId, i)))
+    }
+    const nextPaperIndex = paperIndexStart + papers.length
+    console.log(`[scan-ingest] assignment=${assignmentId} batch=${batchId} progress=${fromPage}-${progressTo}/${pageCount} per=${pagesPerPaper} papers=${papers.length} qr=${qrPapers.length} created=${created.length} pending=${pending.length} resumed=${resumed}`)
+    res.status(200).json({
+      batchId, pageCount, pagesPerPaper, fromPage, nextPage, nextPaperIndex,
+      papers: papers.length, created, pending, resumed, queuePersisted
+    })
+  } catch (err) {
+    console.error('[scan-ingest] failed:', err instanceof Error ? err.message : String(err))
+    res.status(500).json({ error: err instanceof Error ? err.message : 'scan-ingest failed' })
+  }
+}
+
 async function handleTeacherPreferences(req, res) {
   const { user } = await getAuthUser(req, res)
   if (!user) {
@@ -6981,6 +8833,22 @@ async function handleStudentOverview(req, res) {
       .flat()
       .sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0))
 
+    // 2026-10-19 跨作業概念精熟度（主要班級那位老師名下;連續未過的排前面)。表不存在 → 空陣列
+    let conceptMastery = []
+    try {
+      const { data: masteryRows, error: masteryErr } = await supabaseDb
+        .from('student_concept_mastery')
+        .select('concept_code, concept_label, mastery, evidence_count, consecutive_failures, observations, last_observed_at')
+        .eq('owner_id', primaryClassroom.ownerId)
+        .eq('student_id', primaryStudentContext.id)
+      if (masteryErr) throw new Error(masteryErr.message)
+      conceptMastery = (masteryRows || [])
+        .map((row) => toConceptMasteryView(row))
+        .sort((a, b) => b.consecutiveFailures - a.consecutiveFailures || a.mastery - b.mastery)
+    } catch (err) {
+      console.warn('[student-overview] concept mastery unavailable:', err?.message)
+    }
+
     res.status(200).json({
       classrooms: classroomOptions,
       activeClassroomKey: primaryClassroom.key,
@@ -6998,7 +8866,8 @@ async function handleStudentOverview(req, res) {
         lockUploadAfterGraded: primaryPreferences.lock_upload_after_graded,
         requireFullPageCount: primaryPreferences.require_full_page_count
       },
-      assignments: assignmentItems
+      assignments: assignmentItems,
+      conceptMastery
     })
   } catch (err) {
     res.status(500).json({
@@ -7224,13 +9093,55 @@ async function handleStudentSubmission(req, res) {
           })
           return
         }
-      }
-      if (correctionCount >= correctionLimit) {
-        res.status(409).json({
-          error: '已超過可自主訂正次數，請找老師協助',
-          code: 'CORRECTION_LIMIT_REACHED'
-        })
-        return
+      }
+      if (correctionCount >= correctionLimit) {
+        res.status(409).json({
+          error: '已超過可自主訂正次數，請找老師協助',
+          code: 'CORRECTION_LIMIT_REACHED'
+        })
+        return
+      }
+    }
+
+    // 2026-10-19 照片品質關卡（server/ai/upload-quality.js）：糊 / 反光 / 拍太遠 / 切到 / 太斜 / 解析度不足
+    //   當場退回、附具體重拍指示，不等 classify / read 失敗才回 FRIENDLY_FAIL.LOCATE（也不白跑一輪批改）。
+    //   分析出錯 → 放行（fail-open）；提醒等級的問題不擋，只回在 response 的 qualityWarnings。
+    let qualityWarnings = []
+    if (isUploadQualityGateEnabled()) {
+      try {
+        let blocking = []
+        if (mode === 'upload') {
+          const report = await analyzeUploadQuality(Buffer.from(normalizedImagePayload, 'base64'), {
+            pageBreaks: sanitizedPageBreaks,
+            pageCount,
+            answerKey: assignment.answer_key
+          })
+          blocking = report.blocking
+          qualityWarnings = report.warnings
+        } else {
+          for (const img of correctionImages) {
+            const normalized = normalizeBase64Input(img?.imageBase64)
+            if (!normalized || !img.questionId) continue
+            const { issues } = await analyzePageQuality(Buffer.from(normalized, 'base64'), {
+              crop: true,
+              label: `第 ${img.questionId} 題`
+            })
+            blocking.push(...issues.filter((x) => x.severity === 'block').map((x) => ({ ...x, questionId: img.questionId })))
+            qualityWarnings.push(...issues.filter((x) => x.severity === 'warn').map((x) => ({ ...x, questionId: img.questionId })))
+          }
+        }
+        if (blocking.length > 0) {
+          console.log(`${submitDbgPrefix} 422 reason=upload_quality mode=${mode} issues=${JSON.stringify(blocking.map((x) => [x.code, x.page || x.questionId || 0, x.metric]))}`)
+          res.status(422).json({
+            error: [...new Set(blocking.map((x) => x.message))].join('\n'),
+            code: 'UPLOAD_QUALITY_REJECTED',
+            issues: blocking.map(({ code, page, questionId, message }) => compactObject({ code, page: page || undefined, questionId, message }))
+          })
+          return
+        }
+      } catch (err) {
+        console.warn('[student-submission] upload quality gate skipped:', err?.message || err)
+        qualityWarnings = []
       }
     }
 
@@ -7408,6 +9319,10 @@ async function handleStudentSubmission(req, res) {
       })
     )
 
+    if (mode === 'upload') {
+      await recordSubmissionFingerprint(supabaseDb, { ownerId, assignmentId, submissionId })
+    }
+
     let correctionResult = null
     if (mode === 'correction') {
       // ── 同步批改：直接呼叫 AI recheck，不再透過 cron ──
@@ -7600,7 +9515,8 @@ async function handleStudentSubmission(req, res) {
       source,
       round,
       correctionResult,
-      classroomKey: buildStudentClassroomKey(studentContext)
+      classroomKey: buildStudentClassroomKey(studentContext),
+      ...(qualityWarnings.length ? { qualityWarnings: qualityWarnings.map(({ code, page, questionId, message }) => compactObject({ code, page: page || undefined, questionId, message })) } : {})
     })
   } catch (err) {
     console.error('[STUDENT-SUBMISSION] outer catch:', err?.message, err?.stack?.split('\n').slice(0, 3).join(' | '))
@@ -7632,6 +9548,93 @@ async function handleStudentSubmission(req, res) {
   }
 }
 
+// 學生訂正單卷重批(process-grading cron 與 grading_jobs 的 recheck 工作共用)。
+// 失敗 throw(呼叫端決定重試/失敗);NO_RECHECK_IMAGES = 上傳不完整、重試無用
+async function gradeCorrectionSubmission({ supabaseDb, submission, assignment }) {
+  const { data: imageBlob, error: downloadError } = await supabaseDb.storage
+    .from('homework-images')
+    .download(submission.image_url)
+
+  if (downloadError || !imageBlob) {
+    throw new Error(`Image download failed: ${downloadError?.message || 'empty blob'}`)
+  }
+
+  const arrayBuffer = await imageBlob.arrayBuffer()
+  const base64 = Buffer.from(arrayBuffer).toString('base64')
+
+  // Use Recheck Agent — correction submissions must provide per-question images
+  const { data: openItems } = await supabaseDb
+    .from('correction_question_items')
+    .select('question_id, question_text, mistake_reason, hint_text')
+    .eq('owner_id', submission.owner_id)
+    .eq('assignment_id', submission.assignment_id)
+    .eq('student_id', submission.student_id)
+    .eq('status', 'open')
+
+  // If all remaining questions were disputed (no open items), skip AI recheck and
+  // set state to correction_pending_review — no grading failure should occur here.
+  if (!openItems?.length) {
+    await supabaseDb
+      .from('submissions')
+      .update({ status: 'graded', score: 0, updated_at: new Date().toISOString() })
+      .eq('id', submission.id)
+    await upsertAssignmentStudentState(
+      supabaseDb, submission.owner_id, submission.assignment_id, submission.student_id,
+      { status: 'correction_pending_review', last_status_reason: '所有題目已申訴，等待老師審閱' }
+    )
+    return { score: 0, allDisputed: true }
+  }
+
+  const recheckFolder = await supabaseDb.storage.from(HOMEWORK_IMAGES_BUCKET)
+    .list(`corrections/${submission.id}`)
+  const hasRecheckImages = recheckFolder.data?.length > 0
+
+  if (!hasRecheckImages) {
+    throw Object.assign(new Error('訂正照片未正確上傳，請重新拍攝每題作答後再送出。'), { code: 'NO_RECHECK_IMAGES' })
+  }
+
+  const gradingResult = await runRecheckGrading({ supabaseDb, submission, assignment, correctionItems: openItems })
+
+  const gradedAt = Date.now()
+  const totalScore = toNumber(gradingResult?.totalScore) ?? 0
+  const feedback =
+    Array.isArray(gradingResult?.suggestions) && gradingResult.suggestions.length > 0
+      ? String(gradingResult.suggestions[0] || '')
+      : undefined
+
+  await supabaseDb
+    .from('submissions')
+    .update(
+      compactObject({
+        status: 'graded',
+        score: totalScore,
+        feedback,
+        grading_result: gradingResult,
+        graded_at: gradedAt,
+        updated_at: new Date().toISOString()
+      })
+    )
+    .eq('id', submission.id)
+    .eq('owner_id', submission.owner_id)
+
+  await applySubmissionStateTransitions(supabaseDb, submission.owner_id, [
+    {
+      id: submission.id,
+      assignment_id: submission.assignment_id,
+      student_id: submission.student_id,
+      status: 'graded',
+      source: submission.source,
+      graded_at: gradedAt,
+      grading_result: gradingResult,
+      image_url: submission.image_url,
+      updated_at: new Date().toISOString()
+    }
+  ])
+
+  console.log('[PROCESS-GRADING] graded submission', submission.id, 'score:', totalScore)
+  return { score: totalScore }
+}
+
 async function handleProcessPendingGrading(req, res) {
   const secret = req.headers['x-cron-secret'] || req.query?.secret
   if (!secret || secret !== process.env.CRON_SECRET) {
@@ -7705,119 +9708,585 @@ async function handleProcessPendingGrading(req, res) {
     }
 
     try {
-      const { data: imageBlob, error: downloadError } = await supabaseDb.storage
-        .from('homework-images')
-        .download(submission.image_url)
-
-      if (downloadError || !imageBlob) {
-        throw new Error(`Image download failed: ${downloadError?.message || 'empty blob'}`)
-      }
-
-      const arrayBuffer = await imageBlob.arrayBuffer()
-      const base64 = Buffer.from(arrayBuffer).toString('base64')
-
-      // Use Recheck Agent — correction submissions must provide per-question images
-      const { data: openItems } = await supabaseDb
-        .from('correction_question_items')
-        .select('question_id, question_text, mistake_reason, hint_text')
-        .eq('owner_id', submission.owner_id)
-        .eq('assignment_id', submission.assignment_id)
-        .eq('student_id', submission.student_id)
-        .eq('status', 'open')
-
-      // If all remaining questions were disputed (no open items), skip AI recheck and
-      // set state to correction_pending_review — no grading failure should occur here.
-      if (!openItems?.length) {
+      await gradeCorrectionSubmission({ supabaseDb, submission, assignment })
+      processed++
+    } catch (err) {
+      console.error('[PROCESS-GRADING] Error grading', submission.id, err?.message)
+      const isRetry = originalStatuses.get(submission.id) === 'pending_grading_retry'
+      const isInvalidUpload = err?.code === 'NO_RECHECK_IMAGES'
+      if (isRetry || isInvalidUpload) {
+        // Permanent failure: second failure or invalid upload (no recheck images)
         await supabaseDb
           .from('submissions')
-          .update({ status: 'graded', score: 0, updated_at: new Date().toISOString() })
+          .update({ status: 'grading_failed', updated_at: new Date().toISOString() })
+          .eq('id', submission.id)
+        // Wrap separately so a state-update failure does not leave assignment stuck at correction_in_progress
+        try {
+          await upsertAssignmentStudentState(supabaseDb, submission.owner_id, submission.assignment_id, submission.student_id, {
+            status: 'correction_required',
+            last_status_reason: isInvalidUpload ? err.message : 'AI 批改失敗，請重新送出訂正'
+          })
+        } catch (stateErr) {
+          console.error('[PROCESS-GRADING] Failed to reset assignment state after grading failure', submission.id, stateErr?.message)
+        }
+      } else {
+        // First failure → retry once more next minute
+        await supabaseDb
+          .from('submissions')
+          .update({ status: 'pending_grading_retry', updated_at: new Date().toISOString() })
           .eq('id', submission.id)
-        await upsertAssignmentStudentState(
-          supabaseDb, submission.owner_id, submission.assignment_id, submission.student_id,
-          { status: 'correction_pending_review', last_status_reason: '所有題目已申訴，等待老師審閱' }
-        )
-        processed++
-        return
       }
+    }
+  })
+
+  res.status(200).json({ processed, queued: pendingRows.length })
+}
+
+// ============================================================
+// 2026-10-19 通用批改工作佇列(grading_jobs;佇列本體見 server/grading-queue.js)
+//   整班批改不再塞在 proxy request 裡:老師送出 = 每卷排一筆 phase_a(chainPhaseB 時讀完自動排 phase_b),
+//   tick(vercel.json cron 每分鐘)搶 lease 執行;function 被砍 → lease 過期 → 下個 tick 接手 = 可靠續跑。
+//   GET  ?batchId= | ?assignmentId=        → 工作列表 + 進度摘要(只看自己的)
+//   POST mode=enqueue { kind, assignmentId, submissionIds? }  kind: grade | phase_a | phase_b | recheck | report
+//   GET ?mode=tick(Vercel Cron)/ POST mode=tick → 跑一輪 worker(只限 cron secret 或系統 admin;會跑所有 owner 的工作)
+//   POST mode=retry  { batchId? | jobIds? } → 死信/取消的重新排入
+//   POST mode=cancel { batchId? | jobIds? } → 取消還沒開始的
+// 計費:Phase B 存檔後走 chargeFlatGradingActions(同 save-grading 的固定扣除、冪等靠 charged_graded_at)。
+// ============================================================
+const GRADING_JOB_ENQUEUE_LIMIT = 200
 
-      const recheckFolder = await supabaseDb.storage.from(HOMEWORK_IMAGES_BUCKET)
-        .list(`corrections/${submission.id}`)
-      const hasRecheckImages = recheckFolder.data?.length > 0
+// Vercel Cron 打 GET、帶 Authorization: Bearer <CRON_SECRET>;手動 / 外部排程帶 x-cron-secret
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET
+  if (!secret) return false
+  return req.headers['x-cron-secret'] === secret || req.headers.authorization === `Bearer ${secret}`
+}
+
+async function handleGradingJobs(req, res) {
+  const supabaseDb = getSupabaseAdmin()
+  const isCron = isCronRequest(req)
+
+  if (req.method === 'GET' && !(isCron && req.query.mode === 'tick')) {
+    const { user } = await getAuthUser(req, res)
+    if (!user) {
+      res.status(401).json({ error: 'Unauthorized' })
+      return
+    }
+    const batchId = typeof req.query.batchId === 'string' ? req.query.batchId.trim() : ''
+    const assignmentId = typeof req.query.assignmentId === 'string' ? req.query.assignmentId.trim() : ''
+    if (!batchId && !assignmentId) {
+      res.status(400).json({ error: 'Missing batchId or assignmentId' })
+      return
+    }
+    let query = supabaseDb
+      .from('grading_jobs')
+      .select('id, kind, assignment_id, submission_id, batch_id, status, attempts, max_attempts, run_after, last_error, result, created_at, updated_at, finished_at')
+      .eq('owner_id', user.id)
+      .neq('kind', GRADING_JOB_KINDS.FINGERPRINT)
+      .order('created_at', { ascending: false })
+      .limit(GRADING_JOB_ENQUEUE_LIMIT * 2)
+    query = batchId ? query.eq('batch_id', batchId) : query.eq('assignment_id', assignmentId)
+    const { data: jobs, error } = await query
+    if (error) {
+      res.status(500).json({ error: error.message })
+      return
+    }
+    res.status(200).json({ jobs: jobs ?? [], summary: summarizeGradingJobs(jobs) })
+    return
+  }
+
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' })
+    return
+  }
+  const body = req.method === 'POST' ? parseJsonBody(req) : {}
+  const mode = req.method === 'GET' ? 'tick' : typeof body?.mode === 'string' ? body.mode : ''
+  let user = null
+  if (!isCron) {
+    const auth = await getAuthUser(req, res)
+    if (!auth.user) {
+      res.status(401).json({ error: 'Unauthorized' })
+      return
+    }
+    user = auth.user
+  }
 
-      if (!hasRecheckImages) {
-        throw Object.assign(new Error('訂正照片未正確上傳，請重新拍攝每題作答後再送出。'), { code: 'NO_RECHECK_IMAGES' })
+  if (mode === 'tick') {
+    // tick 會跑所有 owner 的工作:只給 cron 與系統 admin(手動補跑)
+    if (!isCron) {
+      const { data: profile } = await supabaseDb.from('profiles').select('role').eq('id', user.id).maybeSingle()
+      if (profile?.role !== 'admin') {
+        res.status(403).json({ error: 'Forbidden' })
+        return
       }
+    }
+    try {
+      const stats = await runGradingJobWorker({
+        supabaseAdmin: supabaseDb,
+        handlers: buildGradingJobHandlers(supabaseDb),
+        onDead: (job, error) => handleDeadGradingJob(supabaseDb, job, error)
+      })
+      console.log('[grading-jobs] tick', JSON.stringify(stats))
+      res.status(200).json(stats)
+    } catch (err) {
+      console.error('[grading-jobs] tick failed:', err?.message)
+      res.status(500).json({ error: err?.message || 'tick failed' })
+    }
+    return
+  }
 
-      const gradingResult = await runRecheckGrading({ supabaseDb, submission, assignment, correctionItems: openItems })
+  if (!user) {
+    res.status(400).json({ error: 'cron 只能 tick' })
+    return
+  }
+  const jobIds = Array.isArray(body?.jobIds) ? body.jobIds.map(String).filter(Boolean).slice(0, GRADING_JOB_ENQUEUE_LIMIT) : []
+  const batchId = typeof body?.batchId === 'string' ? body.batchId.trim() : ''
 
-      const gradedAt = Date.now()
-      const totalScore = toNumber(gradingResult?.totalScore) ?? 0
-      const feedback =
-        Array.isArray(gradingResult?.suggestions) && gradingResult.suggestions.length > 0
-          ? String(gradingResult.suggestions[0] || '')
-          : undefined
+  if (mode === 'retry' || mode === 'cancel') {
+    if (!jobIds.length && !batchId) {
+      res.status(400).json({ error: '缺少 batchId 或 jobIds' })
+      return
+    }
+    try {
+      const fn = mode === 'retry' ? requeueGradingJobs : cancelGradingJobs
+      const count = await fn(supabaseDb, { ids: jobIds, batchId: batchId || null, ownerId: user.id })
+      res.status(200).json({ ok: true, count })
+    } catch (err) {
+      res.status(500).json({ error: err?.message || `${mode} failed` })
+    }
+    return
+  }
 
-      await supabaseDb
+  if (mode !== 'enqueue') {
+    res.status(400).json({ error: 'Unknown mode' })
+    return
+  }
+  const kind = typeof body?.kind === 'string' ? body.kind : ''
+  const assignmentId = typeof body?.assignmentId === 'string' ? body.assignmentId.trim() : ''
+  // school_grade 只由學校代批建立(扣學校點數)、fingerprint 只由上傳端排,老師端不能直接排
+  const internalKinds = [GRADING_JOB_KINDS.SCHOOL_GRADE, GRADING_JOB_KINDS.FINGERPRINT]
+  const enqueueableKinds = ['grade', ...Object.values(GRADING_JOB_KINDS).filter((k) => !internalKinds.includes(k))]
+  if (!enqueueableKinds.includes(kind) || !assignmentId) {
+    res.status(400).json({ error: '缺少或不支援的 kind / assignmentId' })
+    return
+  }
+  const { data: assignment } = await supabaseDb
+    .from('assignments')
+    .select('id, owner_id')
+    .eq('id', assignmentId)
+    .eq('owner_id', user.id)
+    .maybeSingle()
+  if (!assignment) {
+    res.status(404).json({ error: '找不到此作業' })
+    return
+  }
+
+  let specs = []
+  if (kind === GRADING_JOB_KINDS.REPORT) {
+    specs = [{ kind, ownerId: user.id, actorId: user.id, assignmentId, priority: -1 }]
+  } else {
+    const requestedIds = Array.isArray(body?.submissionIds)
+      ? body.submissionIds.map(String).filter(Boolean).slice(0, GRADING_JOB_ENQUEUE_LIMIT)
+      : []
+    let subQuery = supabaseDb
+      .from('submissions')
+      .select('id, status, source')
+      .eq('assignment_id', assignmentId)
+      .eq('owner_id', user.id)
+      .limit(GRADING_JOB_ENQUEUE_LIMIT)
+    if (requestedIds.length) subQuery = subQuery.in('id', requestedIds)
+    if (kind === GRADING_JOB_KINDS.RECHECK) {
+      subQuery = subQuery.eq('source', 'student_correction').in('status', ['pending_grading', 'pending_grading_retry'])
+    } else {
+      subQuery = subQuery.or('source.is.null,source.neq.student_correction')
+      // 沒指定卷 = 整班待批(同學校代批 job 的選卷條件)
+      if (!requestedIds.length) subQuery = subQuery.in('status', ['synced', 'grading_failed'])
+    }
+    const { data: subs, error: subErr } = await subQuery
+    if (subErr) {
+      res.status(500).json({ error: subErr.message })
+      return
+    }
+    const jobKind = kind === 'grade' ? GRADING_JOB_KINDS.PHASE_A : kind
+    specs = (subs ?? []).map((s) => ({
+      kind: jobKind,
+      ownerId: user.id,
+      actorId: user.id,
+      assignmentId,
+      submissionId: s.id,
+      // Phase B 排前面:已讀完的卷先出分,老師不用等整班 Phase A 跑完
+      priority: jobKind === GRADING_JOB_KINDS.PHASE_B ? 1 : 0,
+      payload: kind === 'grade' ? { chainPhaseB: true } : {}
+    }))
+  }
+  if (specs.length === 0) {
+    res.status(400).json({ error: '沒有可排入的卷(已批完或尚未匯入)' })
+    return
+  }
+  try {
+    const out = await enqueueGradingJobs(supabaseDb, specs, batchId ? { batchId } : undefined)
+    res.status(200).json({ ok: true, batchId: out.batchId, enqueued: out.jobs.length, skipped: out.skipped.length })
+  } catch (err) {
+    res.status(500).json({ error: `排入批改工作失敗:${err?.message || err}` })
+  }
+}
+
+function gradingJobError(message, code) {
+  return Object.assign(new Error(message), { code, retryable: false })
+}
+
+// 每個工作都在自己的 trackingContext 裡跑(token 用量記到 owner、assignment/submission 對得上)
+function runGradingJobTracked(supabaseDb, job, fn) {
+  return trackingContext.run(
+    {
+      supabaseAdmin: supabaseDb,
+      actorUserId: job.actor_id || job.owner_id,
+      billingUserId: job.owner_id,
+      isAdmin: false,
+      inkSessionId: null,
+      assignmentId: job.assignment_id || undefined,
+      submissionId: job.submission_id || undefined
+    },
+    fn
+  )
+}
+
+async function loadGradingJobContext(supabaseDb, job) {
+  const [{ data: assignment }, { data: sub }] = await Promise.all([
+    supabaseDb
+      .from('assignments')
+      .select('id, owner_id, title, answer_key, answer_sheet_mode, answer_key_template_id, total_pages, domain')
+      .eq('id', job.assignment_id)
+      .eq('owner_id', job.owner_id)
+      .maybeSingle(),
+    supabaseDb
+      .from('submissions')
+      .select('id, owner_id, assignment_id, student_id, image_url, page_breaks, source, teacher_marked, status, final_answers, grading_lock')
+      .eq('id', job.submission_id)
+      .eq('owner_id', job.owner_id)
+      .maybeSingle()
+  ])
+  if (!assignment || !sub) throw gradingJobError('作業或卷已不存在', 'NOT_FOUND')
+  if (!assignment.answer_key) throw gradingJobError('作業沒有答案卷,無法批改', 'NO_ANSWER_KEY')
+  const apiKey = getEnvValue('SYSTEM_GEMINI_API_KEY') || getEnvValue('SECRET_API_KEY')
+  if (!apiKey) throw new Error('Server API Key 未設定')
+  const answerKeyImages = await schoolJobFetchAnswerSheetImages(supabaseDb, assignment.id)
+  const bookletImages =
+    assignment.answer_sheet_mode === 'answer_only' ? await schoolJobFetchBookletImages(supabaseDb, assignment) : []
+  const contents = await loadSubmissionImageContents(supabaseDb, sub)
+  const internalContext = buildSubmissionJobInternalContext({
+    requestId: `gj-${String(job.id).slice(-6)}-${String(sub.id).slice(-6)}`,
+    ownerId: job.owner_id, sub, assignment, answerKeyImages, bookletImages
+  })
+  return { apiKey, assignment, sub, contents, internalContext }
+}
+
+function buildGradingJobHandlers(supabaseDb) {
+  return {
+    [GRADING_JOB_KINDS.PHASE_A]: async (job, { signal }) => {
+      const ctx = await loadGradingJobContext(supabaseDb, job)
+      const answerKeyStr =
+        typeof ctx.assignment.answer_key === 'string' ? ctx.assignment.answer_key : JSON.stringify(ctx.assignment.answer_key)
+      const { phaseAData, finalAnswers } = await runGradingJobTracked(supabaseDb, job, () =>
+        runSubmissionPhaseA({
+          supabaseDb, apiKey: ctx.apiKey, ownerId: job.owner_id, sub: ctx.sub, assignment: ctx.assignment,
+          answerKeyStr, contents: ctx.contents, internalContext: ctx.internalContext, signal
+        })
+      )
+      assertLeaseHeld(signal)
+      if (job.payload?.chainPhaseB) {
+        await enqueueGradingJobs(supabaseDb, [{
+          kind: GRADING_JOB_KINDS.PHASE_B, ownerId: job.owner_id, actorId: job.actor_id,
+          assignmentId: job.assignment_id, submissionId: job.submission_id, priority: 1
+        }], { batchId: job.batch_id })
+      }
+      const questionResults = Array.isArray(phaseAData?.questionResults) ? phaseAData.questionResults : []
+      return {
+        questions: questionResults.length,
+        needsReview: questionResults.filter((qr) => qr?.arbiterResult?.arbiterStatus === 'needs_review').length,
+        finalAnswers: finalAnswers.length
+      }
+    },
+
+    [GRADING_JOB_KINDS.PHASE_B]: async (job, { signal }) => {
+      const ctx = await loadGradingJobContext(supabaseDb, job)
+      // 同 save-grading:學生自助批改中(鎖新鮮)不覆蓋
+      if (isLockFresh(ctx.sub.grading_lock) && ctx.sub.grading_lock?.by === 'student') {
+        return { skipped: 'student_lock' }
+      }
+      const finalAnswers = Array.isArray(job.payload?.finalAnswers)
+        ? job.payload.finalAnswers
+        : Array.isArray(ctx.sub.final_answers) ? ctx.sub.final_answers : []
+      const { score, gradedAt, gradingResult } = await runGradingJobTracked(supabaseDb, job, () =>
+        runSubmissionPhaseBAndSave({
+          supabaseDb, apiKey: ctx.apiKey, ownerId: job.owner_id, sub: ctx.sub, assignment: ctx.assignment,
+          contents: ctx.contents, internalContext: ctx.internalContext, finalAnswers, signal
+        })
+      )
+      const billing = await chargeFlatGradingActions(supabaseDb, {
+        ownerId: job.owner_id, actorProfileId: job.actor_id || job.owner_id,
+        chargeCands: [{ id: ctx.sub.id, gradedAt }], logTag: '[grading-jobs]'
+      })
+      await saveGradingRunHistory(supabaseDb, [{
+        submissionId: ctx.sub.id, assignmentId: ctx.assignment.id, ownerId: job.owner_id,
+        gradedAt, gradedBy: 'teacher', totalScore: score, gradingResult
+      }])
+      // 2026-10-19 答案卷錯誤偵測:整班最後一卷批完才跑(還有 A/B 在排 / 在跑 = 樣本不完整,等最後一卷)
+      const { data: pendingJobs, error: pendingErr } = await supabaseDb
+        .from('grading_jobs').select('id')
+        .eq('owner_id', job.owner_id).eq('assignment_id', ctx.assignment.id)
+        .in('kind', [GRADING_JOB_KINDS.PHASE_A, GRADING_JOB_KINDS.PHASE_B])
+        .in('status', [GRADING_JOB_STATUS.QUEUED, GRADING_JOB_STATUS.RUNNING])
+        .neq('id', job.id).limit(1)
+      if (!pendingErr && (pendingJobs ?? []).length === 0) {
+        await auditAnswerKeyAfterPhaseB(supabaseDb, job.owner_id, ctx.assignment.id)
+      }
+      return { score, ...(billing ? { billedPoints: billing.points } : {}) }
+    },
+
+    [GRADING_JOB_KINDS.RECHECK]: async (job) => {
+      // 跟 process-grading cron 搶同一批 pending 卷:條件式改 grading_in_progress,搶不到 = 別人在批
+      //   重試輪(attempts>1)卷會停在上一輪留下的 grading_in_progress,也算自己的
+      const claimable = ['pending_grading', 'pending_grading_retry', ...(Number(job.attempts) > 1 ? ['grading_in_progress'] : [])]
+      const { data: claimed } = await supabaseDb
         .from('submissions')
-        .update(
-          compactObject({
-            status: 'graded',
-            score: totalScore,
-            feedback,
-            grading_result: gradingResult,
-            graded_at: gradedAt,
-            updated_at: new Date().toISOString()
-          })
+        .update({ status: 'grading_in_progress', updated_at: new Date().toISOString() })
+        .eq('id', job.submission_id)
+        .eq('owner_id', job.owner_id)
+        .in('status', claimable)
+        .select('id, owner_id, assignment_id, student_id, image_url, source, round, status')
+      const submission = claimed?.[0]
+      if (!submission) return { skipped: 'not_pending' }
+      const { data: assignment } = await supabaseDb
+        .from('assignments')
+        .select('id, owner_id, classroom_id, total_pages, answer_key, title, domain')
+        .eq('id', submission.assignment_id)
+        .maybeSingle()
+      if (!assignment) throw gradingJobError('作業已不存在', 'NOT_FOUND')
+      return gradeCorrectionSubmission({ supabaseDb, submission, assignment })
+    },
+
+    [GRADING_JOB_KINDS.SCHOOL_GRADE]: async (job, { signal }) => {
+      const schoolJobId = job.payload?.schoolJobId
+      const { data: schoolJob } = schoolJobId
+        ? await supabaseDb
+            .from('school_grading_jobs')
+            .select('id, school_id, status, actor_profile_id')
+            .eq('id', schoolJobId)
+            .maybeSingle()
+        : { data: null }
+      if (!schoolJob) throw gradingJobError('代批工作已不存在', 'NOT_FOUND')
+      const finish = async (result) => {
+        await refreshSchoolGradingJob(supabaseDb, schoolJob.id, { id: job.id, status: GRADING_JOB_STATUS.SUCCEEDED, result })
+        return result
+      }
+      if (!['queued', 'running'].includes(schoolJob.status)) return finish({ skipped: schoolJob.status })
+      // 餘額守門(入口 balance>0;單卷成本造成的小幅負值由 debitSchoolInk 容忍)
+      const { data: schoolRow } = await supabaseDb.from('schools').select('ink_balance').eq('id', schoolJob.school_id).maybeSingle()
+      const balance = typeof schoolRow?.ink_balance === 'number' ? schoolRow.ink_balance : 0
+      if (balance <= 0) {
+        await pauseSchoolGradingJob(supabaseDb, schoolJob.id, balance)
+        return finish({ skipped: 'paused_insufficient' })
+      }
+      const ctx = await loadGradingJobContext(supabaseDb, job)
+      if (!['synced', 'grading_failed'].includes(ctx.sub.status)) return finish({ skipped: 'not_pending' })
+      const answerKeyStr =
+        typeof ctx.assignment.answer_key === 'string' ? ctx.assignment.answer_key : JSON.stringify(ctx.assignment.answer_key)
+      const costAcc = { points: 0, calls: 0 }
+      let score = null
+      try {
+        score = await trackingContext.run(
+          {
+            supabaseAdmin: supabaseDb,
+            actorUserId: schoolJob.actor_profile_id || job.owner_id,
+            billingUserId: schoolJob.actor_profile_id || job.owner_id,
+            isAdmin: false,
+            inkSessionId: null,
+            assignmentId: ctx.assignment.id,
+            submissionId: ctx.sub.id,
+            billingScope: 'school',
+            schoolId: schoolJob.school_id,
+            schoolCost: costAcc
+          },
+          async () => {
+            const common = {
+              supabaseDb, apiKey: ctx.apiKey, ownerId: job.owner_id, sub: ctx.sub, assignment: ctx.assignment,
+              contents: ctx.contents, internalContext: ctx.internalContext, signal
+            }
+            const { finalAnswers } = await runSubmissionPhaseA({ ...common, answerKeyStr })
+            return (await runSubmissionPhaseBAndSave({ ...common, finalAnswers })).score
+          }
         )
-        .eq('id', submission.id)
-        .eq('owner_id', submission.owner_id)
+      } finally {
+        await chargeSchoolGradingCost(supabaseDb, schoolJob, job, costAcc)
+      }
+      return finish({ graded: true, score, inkPoints: costAcc.points })
+    },
+
+    [GRADING_JOB_KINDS.FINGERPRINT]: (job) => runSubmissionFingerprintJob(supabaseDb, job),
+
+    [GRADING_JOB_KINDS.REPORT]: async (job) => {
+      const out = await generateAssignmentSummary({ supabaseDb, ownerId: job.owner_id, assignmentId: job.assignment_id })
+      if (out.httpStatus === 402) throw gradingJobError(out.body?.error || '墨水不足', 'INSUFFICIENT_INK')
+      if (out.httpStatus >= 300) throw new Error(out.body?.error || `report failed status=${out.httpStatus}`)
+      return { status: out.body?.status ?? null, success: out.body?.success === true }
+    }
+  }
+}
+
+// 死信收尾:卷標 grading_failed(老師端卡片才會出現「重批」);訂正卷同 cron 的永久失敗處理
+async function handleDeadGradingJob(supabaseDb, job, error) {
+  // 指紋算不出來不影響卷的批改狀態（fail-open）
+  if (!job.submission_id || job.kind === GRADING_JOB_KINDS.FINGERPRINT) return
+  await supabaseDb
+    .from('submissions')
+    .update({ status: 'grading_failed', updated_at: new Date().toISOString() })
+    .eq('id', job.submission_id)
+    .eq('owner_id', job.owner_id)
+  if (job.kind === GRADING_JOB_KINDS.SCHOOL_GRADE && job.payload?.schoolJobId) {
+    await refreshSchoolGradingJob(supabaseDb, job.payload.schoolJobId)
+    return
+  }
+  if (job.kind !== GRADING_JOB_KINDS.RECHECK) return
+  const { data: sub } = await supabaseDb
+    .from('submissions')
+    .select('assignment_id, student_id')
+    .eq('id', job.submission_id)
+    .maybeSingle()
+  if (!sub?.student_id) return
+  await upsertAssignmentStudentState(supabaseDb, job.owner_id, sub.assignment_id, sub.student_id, {
+    status: 'correction_required',
+    last_status_reason: error?.code === 'NO_RECHECK_IMAGES' ? error.message : 'AI 批改失敗，請重新送出訂正'
+  })
+}
+
+// ============================================================
+// 2026-10-19 批改進度串流(事件由 server/ai/grading-progress.js 寫進 grading_progress_events)
+//   GET ?pipelineRunId= | ?requestId=(逗號分隔) | ?submissionIds=(逗號分隔) | ?assignmentId=
+//       &after=<事件 id 游標>
+//   Accept: text/event-stream → SSE(id = 事件 id,斷線重連帶 Last-Event-ID 接續;run_end 全到齊或逾時就收)
+//   其餘 → long-poll:有新事件立即回、沒有就最多等 GRADING_PROGRESS_POLL_WAIT_MS
+//   只看自己作業的事件(owner_id = 作業 owner)
+// ============================================================
+const GRADING_PROGRESS_POLL_INTERVAL_MS = 1000
+const GRADING_PROGRESS_POLL_WAIT_MS = 20_000
+const GRADING_PROGRESS_SSE_MAX_MS = 240_000
+const GRADING_PROGRESS_SSE_PING_MS = 15_000
+const GRADING_PROGRESS_PAGE = 200
+const GRADING_PROGRESS_MAX_KEYS = 60
+// assignment 範圍沒給游標時只回最近這段(不然會把整份作業歷史全倒出來)
+const GRADING_PROGRESS_ASSIGNMENT_WINDOW_MS = 30 * 60 * 1000
+
+function splitProgressKeys(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .slice(0, GRADING_PROGRESS_MAX_KEYS)
+}
 
-      await applySubmissionStateTransitions(supabaseDb, submission.owner_id, [
-        {
-          id: submission.id,
-          assignment_id: submission.assignment_id,
-          student_id: submission.student_id,
-          status: 'graded',
-          source: submission.source,
-          graded_at: gradedAt,
-          grading_result: gradingResult,
-          image_url: submission.image_url,
-          updated_at: new Date().toISOString()
-        }
-      ])
+async function fetchGradingProgressEvents(supabaseDb, { ownerId, filter, after }) {
+  let query = supabaseDb
+    .from('grading_progress_events')
+    .select('id, pipeline_run_id, request_id, assignment_id, submission_id, route, event_type, stage, stage_group, status, latency_ms, detail, created_at')
+    .eq('owner_id', ownerId)
+    .gt('id', after)
+    .order('id', { ascending: true })
+    .limit(GRADING_PROGRESS_PAGE)
+  if (filter.pipelineRunId) query = query.eq('pipeline_run_id', filter.pipelineRunId)
+  else if (filter.requestIds.length) query = query.in('request_id', filter.requestIds)
+  else if (filter.submissionIds.length) query = query.in('submission_id', filter.submissionIds)
+  else query = query.eq('assignment_id', filter.assignmentId)
+  if (!after && filter.since) query = query.gte('created_at', filter.since)
+  const { data, error } = await query
+  if (error) throw error
+  return data ?? []
+}
+
+async function handleGradingProgress(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' })
+    return
+  }
+  const { user } = await getAuthUser(req, res)
+  if (!user) {
+    res.status(401).json({ error: 'Unauthorized' })
+    return
+  }
+  const filter = {
+    pipelineRunId: typeof req.query.pipelineRunId === 'string' ? req.query.pipelineRunId.trim() : '',
+    requestIds: splitProgressKeys(req.query.requestId),
+    submissionIds: splitProgressKeys(req.query.submissionIds),
+    assignmentId: typeof req.query.assignmentId === 'string' ? req.query.assignmentId.trim() : '',
+    since: null
+  }
+  if (!filter.pipelineRunId && !filter.requestIds.length && !filter.submissionIds.length && !filter.assignmentId) {
+    res.status(400).json({ error: 'Missing pipelineRunId / requestId / submissionIds / assignmentId' })
+    return
+  }
+  if (!filter.pipelineRunId && !filter.requestIds.length && !filter.submissionIds.length) {
+    filter.since = new Date(Date.now() - GRADING_PROGRESS_ASSIGNMENT_WINDOW_MS).toISOString()
+  }
+  const lastEventId = req.headers['last-event-id']
+  let after = Number(lastEventId ?? req.query.after) || 0
+  const supabaseDb = getSupabaseAdmin()
+  const wantsSse = String(req.headers.accept || '').includes('text/event-stream')
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
 
-      console.log('[PROCESS-GRADING] graded submission', submission.id, 'score:', totalScore)
-      processed++
-    } catch (err) {
-      console.error('[PROCESS-GRADING] Error grading', submission.id, err?.message)
-      const isRetry = originalStatuses.get(submission.id) === 'pending_grading_retry'
-      const isInvalidUpload = err?.code === 'NO_RECHECK_IMAGES'
-      if (isRetry || isInvalidUpload) {
-        // Permanent failure: second failure or invalid upload (no recheck images)
-        await supabaseDb
-          .from('submissions')
-          .update({ status: 'grading_failed', updated_at: new Date().toISOString() })
-          .eq('id', submission.id)
-        // Wrap separately so a state-update failure does not leave assignment stuck at correction_in_progress
-        try {
-          await upsertAssignmentStudentState(supabaseDb, submission.owner_id, submission.assignment_id, submission.student_id, {
-            status: 'correction_required',
-            last_status_reason: isInvalidUpload ? err.message : 'AI 批改失敗，請重新送出訂正'
-          })
-        } catch (stateErr) {
-          console.error('[PROCESS-GRADING] Failed to reset assignment state after grading failure', submission.id, stateErr?.message)
-        }
-      } else {
-        // First failure → retry once more next minute
-        await supabaseDb
-          .from('submissions')
-          .update({ status: 'pending_grading_retry', updated_at: new Date().toISOString() })
-          .eq('id', submission.id)
+  if (!wantsSse) {
+    const startedAt = Date.now()
+    try {
+      let events = await fetchGradingProgressEvents(supabaseDb, { ownerId: user.id, filter, after })
+      while (events.length === 0 && Date.now() - startedAt < GRADING_PROGRESS_POLL_WAIT_MS) {
+        await sleep(GRADING_PROGRESS_POLL_INTERVAL_MS)
+        events = await fetchGradingProgressEvents(supabaseDb, { ownerId: user.id, filter, after })
       }
+      if (events.length) after = events[events.length - 1].id
+      res.status(200).json({ events, cursor: after, submissions: summarizeGradingProgress(events) })
+    } catch (err) {
+      res.status(500).json({ error: err?.message || 'progress query failed' })
     }
-  })
+    return
+  }
 
-  res.status(200).json({ processed, queued: pendingRows.length })
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  let closed = false
+  req.on('close', () => { closed = true })
+  res.write('retry: 3000\n\n')
+  // 單一 run(pipelineRunId / requestId)收到 run_end 就可以收;submissions / assignment 範圍由前端自己判斷何時關
+  const expectedRunEnds = filter.pipelineRunId ? 1 : filter.requestIds.length
+  const endedRuns = new Set()
+  const startedAt = Date.now()
+  let lastWriteAt = Date.now()
+  try {
+    while (!closed && Date.now() - startedAt < GRADING_PROGRESS_SSE_MAX_MS) {
+      const events = await fetchGradingProgressEvents(supabaseDb, { ownerId: user.id, filter, after })
+      for (const e of events) {
+        res.write(`id: ${e.id}\nevent: progress\ndata: ${JSON.stringify(e)}\n\n`)
+        after = e.id
+        if (e.event_type === 'run_end') endedRuns.add(e.request_id || e.pipeline_run_id)
+      }
+      if (events.length) lastWriteAt = Date.now()
+      if (expectedRunEnds > 0 && endedRuns.size >= expectedRunEnds) {
+        res.write(`event: end\ndata: ${JSON.stringify({ cursor: after })}\n\n`)
+        break
+      }
+      if (events.length === GRADING_PROGRESS_PAGE) continue
+      if (Date.now() - lastWriteAt >= GRADING_PROGRESS_SSE_PING_MS) {
+        res.write(': ping\n\n')
+        lastWriteAt = Date.now()
+      }
+      await sleep(GRADING_PROGRESS_POLL_INTERVAL_MS)
+    }
+  } catch (err) {
+    if (!closed) res.write(`event: error\ndata: ${JSON.stringify({ error: err?.message || 'progress query failed' })}\n\n`)
+  }
+  res.end()
 }
 
 async function handleStudentCorrections(req, res) {
@@ -8165,8 +10634,9 @@ async function handleGradingResults(req, res) {
 
 // ============================================================
 // 2026-07-30 Step 4b:學校統一批改 job(server-side、代 owner、扣學校錢包)
-// grading job=一個作業的代批工作;tick=一次 ≤200s 的處理迴圈(前端驅動、可重入),
-// lease 防併發、學校點數不足自動暫停(儲值後下一次 tick 自動續跑)。
+// grading job=一個作業的代批工作;2026-10-19 起實際執行走通用佇列 grading_jobs(kind=school_grade,
+// 一卷一筆、batch_id=代批工作 id),school_grading_jobs 只留母紀錄(進度 / 扣點 / 狀態);
+// 學校點數不足自動暫停(取消還沒跑的卷;儲值後 tick 把待批卷重新排入)。
 // 批改本體=把老師 client 的組裝搬到 server:下載合併卷圖→Phase A(單體)→從
 // arbiterDecisions 重建 finalAnswers(鏡像 client rebuildFinalAnswersFromPhaseAState、
 // 全數 ai_read1)→Phase B fromCache(skipExplain)→save(同 handleSaveGrading 欄位
@@ -8174,9 +10644,6 @@ async function handleGradingResults(req, res) {
 // 計費:ALS billingScope='school' 逐 call 累加(ink-usage-tracker),每卷結束
 // 原子扣 schools.ink_balance+一筆 school_ink_ledger(reason='grading_job')。
 // ============================================================
-const SCHOOL_JOB_TIME_BUDGET_MS = 200_000
-const SCHOOL_JOB_LEASE_MS = 290_000
-
 async function resolveSchoolActorContext(supabaseAdmin, userId) {
   const [{ data: profile }, { data: saRows }] = await Promise.all([
     supabaseAdmin.from('profiles').select('role').eq('id', userId).maybeSingle(),
@@ -8258,8 +10725,131 @@ async function schoolJobFetchBookletImages(supabaseAdmin, assignment) {
 
 // 原子扣學校點數:共用 server/school-wallet.js 的 debitSchoolInk(2026-07-31 抽出、proxy 學校計費共用)
 
-// 單卷端到端:下載卷圖 → Phase A → finalAnswers → Phase B fromCache → 存檔+state transitions
-async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assignment, answerKeyStr, answerKeyImages, bookletImages }) {
+// 2026-10-19 代批走 grading_jobs:每張待批卷排一筆 school_grade(batch_id = 代批工作 id)。
+//   儲值後續跑也走這裡:已死信的卷(本次代批已判定失敗)不再重排,其餘待批卷 enqueue 自動去重
+async function enqueueSchoolGradingSubmissions(supabaseDb, schoolJob) {
+  const [{ data: subs, error }, { data: deadJobs }] = await Promise.all([
+    supabaseDb
+      .from('submissions')
+      .select('id, student_id')
+      .eq('assignment_id', schoolJob.assignment_id)
+      .eq('owner_id', schoolJob.owner_id)
+      .in('status', ['synced', 'grading_failed'])
+      .or('source.is.null,source.neq.student_correction')
+      .order('created_at', { ascending: true })
+      .limit(2000),
+    supabaseDb
+      .from('grading_jobs')
+      .select('submission_id')
+      .eq('batch_id', schoolJob.id)
+      .eq('kind', GRADING_JOB_KINDS.SCHOOL_GRADE)
+      .eq('status', GRADING_JOB_STATUS.DEAD)
+  ])
+  if (error) throw error
+  const deadIds = new Set((deadJobs ?? []).map((j) => j.submission_id))
+  const specs = (subs ?? [])
+    .filter((sub) => !deadIds.has(sub.id))
+    .map((sub) => ({
+      kind: GRADING_JOB_KINDS.SCHOOL_GRADE,
+      ownerId: schoolJob.owner_id,
+      actorId: schoolJob.actor_profile_id || schoolJob.owner_id,
+      assignmentId: schoolJob.assignment_id,
+      submissionId: sub.id,
+      payload: { schoolJobId: schoolJob.id, schoolId: schoolJob.school_id, studentId: sub.student_id ?? null }
+    }))
+  return enqueueGradingJobs(supabaseDb, specs, { batchId: schoolJob.id })
+}
+
+// 點數不足:母紀錄標暫停、撤掉還沒開始的卷(在跑的讓它跑完)
+async function pauseSchoolGradingJob(supabaseDb, schoolJobId, balance) {
+  await supabaseDb
+    .from('school_grading_jobs')
+    .update({
+      status: 'paused_insufficient',
+      last_error: `學校點數不足(目前 ${balance} 點),儲值後會自動續跑`,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', schoolJobId)
+    .in('status', ['queued', 'running'])
+  await cancelGradingJobs(supabaseDb, { batchId: schoolJobId })
+}
+
+// 代批累計點數:同一代批工作的卷並行在跑,樂觀鎖 ×4(同 debitSchoolInk)
+async function addSchoolJobInkPoints(supabaseDb, schoolJobId, points) {
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const { data: row } = await supabaseDb.from('school_grading_jobs').select('ink_points').eq('id', schoolJobId).maybeSingle()
+    if (!row) return
+    const before = Number(row.ink_points) || 0
+    const { data: updated } = await supabaseDb
+      .from('school_grading_jobs')
+      .update({ ink_points: before + points, updated_at: new Date().toISOString() })
+      .eq('id', schoolJobId)
+      .eq('ink_points', before)
+      .select('id')
+    if (updated?.length) return
+  }
+  console.warn('[school-job] ink_points optimistic-lock exhausted jobId=', schoolJobId)
+}
+
+// 每卷結束扣學校點數(失敗卷已消耗的 AI call 也照扣);扣到見底 → 暫停
+async function chargeSchoolGradingCost(supabaseDb, schoolJob, job, costAcc) {
+  if (!(costAcc.points > 0)) return
+  const debit = await debitSchoolInk(supabaseDb, {
+    schoolId: schoolJob.school_id,
+    points: costAcc.points,
+    actorProfileId: schoolJob.actor_profile_id,
+    reason: 'grading_job',
+    metadata: { jobId: schoolJob.id, gradingJobId: job.id, submissionId: job.submission_id, assignmentId: job.assignment_id, calls: costAcc.calls }
+  })
+  await addSchoolJobInkPoints(supabaseDb, schoolJob.id, costAcc.points)
+  if (debit.ok && typeof debit.balance === 'number' && debit.balance <= 0) {
+    await pauseSchoolGradingJob(supabaseDb, schoolJob.id, debit.balance)
+  }
+}
+
+/**
+ * 母紀錄進度 = 該 batch 的 school_grade 工作現況(並行的卷各自回報、不互相覆蓋計數)。
+ * @param {{ id: string, status: string, result?: object }|null} self - 呼叫端自己這筆工作的結案狀態(DB 裡還是 running)
+ * @returns {Promise<object|null>} 更新後的 school_grading_jobs 列
+ */
+async function refreshSchoolGradingJob(supabaseDb, schoolJobId, self = null) {
+  const [{ data: schoolJob }, { data: rows }] = await Promise.all([
+    supabaseDb.from('school_grading_jobs').select('*').eq('id', schoolJobId).maybeSingle(),
+    supabaseDb
+      .from('grading_jobs')
+      .select('id, status, result, last_error, submission_id, payload')
+      .eq('batch_id', schoolJobId)
+      .eq('kind', GRADING_JOB_KINDS.SCHOOL_GRADE)
+      .limit(2000)
+  ])
+  if (!schoolJob) return null
+  let done = 0
+  let active = 0
+  const failedItems = []
+  for (const raw of rows ?? []) {
+    const r = self && raw.id === self.id ? { ...raw, ...self } : raw
+    if (r.status === GRADING_JOB_STATUS.QUEUED || r.status === GRADING_JOB_STATUS.RUNNING) active += 1
+    else if (r.status === GRADING_JOB_STATUS.SUCCEEDED && r.result?.graded) done += 1
+    else if (r.status === GRADING_JOB_STATUS.DEAD) {
+      failedItems.push({ submissionId: r.submission_id, studentId: r.payload?.studentId ?? null, error: String(r.last_error || '').slice(0, 300) })
+    }
+  }
+  const patch = { done_count: done, failed_count: failedItems.length, failed_items: failedItems, updated_at: new Date().toISOString() }
+  await supabaseDb.from('school_grading_jobs').update(patch).eq('id', schoolJobId)
+  let status = schoolJob.status
+  if ((status === 'queued' || status === 'running') && active === 0) {
+    status = failedItems.length > 0 ? 'completed_with_errors' : 'completed'
+    // 條件式:同時被取消 / 暫停的不蓋掉
+    await supabaseDb
+      .from('school_grading_jobs')
+      .update({ status, lease_until: null, updated_at: patch.updated_at })
+      .eq('id', schoolJobId)
+      .in('status', ['queued', 'running'])
+  }
+  return { ...schoolJob, ...patch, status }
+}
+
+async function loadSubmissionImageContents(supabaseDb, sub) {
   const imagePath = sub.image_url || `submissions/${sub.id}.webp`
   const { data: blob, error: dlErr } = await supabaseDb.storage.from('homework-images').download(imagePath)
   if (dlErr || !blob) throw new Error(`卷圖下載失敗:${dlErr?.message || 'empty'}`)
@@ -8267,24 +10857,29 @@ async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assign
   const mimeType = imagePath.endsWith('.webp')
     ? 'image/webp'
     : imagePath.endsWith('.png') ? 'image/png' : 'image/jpeg'
-  const contents = [{ role: 'user', parts: [{ inlineData: { mimeType, data: base64 } }] }]
+  return [{ role: 'user', parts: [{ inlineData: { mimeType, data: base64 } }] }]
+}
 
-  const pageBreaks = Array.isArray(sub.page_breaks) && sub.page_breaks.length > 0 ? sub.page_breaks : undefined
-  const answerSheetMode = assignment.answer_sheet_mode === 'answer_only' ? 'answer_only' : 'with_questions'
-  const baseInternal = {
-    requestId: `job-${String(job.id).slice(-6)}-${String(sub.id).slice(-6)}`,
+function buildSubmissionJobInternalContext({ requestId, ownerId, sub, assignment, answerKeyImages, bookletImages }) {
+  return {
+    requestId,
     enableStagedGrading: true,
     answerKeyImages,
-    answerSheetMode,
+    answerSheetMode: assignment.answer_sheet_mode === 'answer_only' ? 'answer_only' : 'with_questions',
     questionBookletImages: bookletImages,
     domainHint: assignment.domain || undefined,
-    ownerId: job.owner_id,
+    ownerId,
     assignmentId: assignment.id,
     submissionId: sub.id,
     assignmentTotalPages: assignment.total_pages != null ? Number(assignment.total_pages) : null
   }
+}
 
-  // Phase A 單體(內含 classify/read/arbiter;3-endpoint split 是 client UI 分段用)
+// Phase A 單體(內含 classify/read/arbiter;3-endpoint split 是 client UI 分段用)
+// → finalAnswers 寫回 submissions(Phase B fromCache / 老師複查的預設值)
+// signal:grading_jobs 的 lease 被收走時 abort(寫入前檢查,不覆蓋接手 worker 的結果)
+async function runSubmissionPhaseA({ supabaseDb, apiKey, ownerId, sub, assignment, answerKeyStr, contents, internalContext, signal = null }) {
+  const pageBreaks = Array.isArray(sub.page_breaks) && sub.page_breaks.length > 0 ? sub.page_breaks : undefined
   const phaseARes = await runAiPipeline({
     apiKey,
     model: MODEL_PRO,
@@ -8294,13 +10889,14 @@ async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assign
       assignmentId: assignment.id,
       submissionId: sub.id,
       submissionSource: sub.source || 'teacher_scan',
+      ...(sub.teacher_marked === true ? { teacherMarked: true } : {}),
       ...(pageBreaks ? { pageBreaks } : {}),
       ...(sub.status === 'grading_failed' ? { clearForRerun: true } : {}),
       ...(assignment.domain ? { domain: assignment.domain } : {})
     },
     requestedRouteKey: 'grading.phase_a',
     routeHint: { hasAnswerKeyPayload: true },
-    internalContext: baseInternal
+    internalContext
   })
   const phaseAText = phaseARes?.data?.candidates?.[0]?.content?.parts?.[0]?.text || ''
   let phaseAData = null
@@ -8323,13 +10919,18 @@ async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assign
       finalAnswers.push({ questionId: qr.questionId, finalStudentAnswer: fa, finalAnswerSource: 'ai_read1' })
     }
   }
+  assertLeaseHeld(signal)
   await supabaseDb
     .from('submissions')
     .update({ final_answers: finalAnswers, updated_at: new Date().toISOString() })
     .eq('id', sub.id)
-    .eq('owner_id', job.owner_id)
+    .eq('owner_id', ownerId)
+
+  return { phaseAData, finalAnswers }
+}
 
-  // Phase B fromCache(accessor;explain 已 on-demand 化)
+// Phase B fromCache(accessor;explain 已 on-demand 化)→ 存檔 + state transitions
+async function runSubmissionPhaseBAndSave({ supabaseDb, apiKey, ownerId, sub, assignment, contents, internalContext, finalAnswers, signal = null }) {
   const phaseBRes = await runAiPipeline({
     apiKey,
     model: MODEL_PRO,
@@ -8340,11 +10941,15 @@ async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assign
       assignmentId: assignment.id,
       submissionId: sub.id,
       finalAnswers,
+      // 2026-10-19 紅筆濾除 / 老師評分讀取要知道「老師標記已改過」與頁界（同 Phase A）
+      submissionSource: sub.source || 'teacher_scan',
+      ...(sub.teacher_marked === true ? { teacherMarked: true } : {}),
+      ...(Array.isArray(sub.page_breaks) && sub.page_breaks.length > 0 ? { pageBreaks: sub.page_breaks } : {}),
       ...(assignment.domain ? { domain: assignment.domain } : {})
     },
     requestedRouteKey: 'grading.phase_b',
     routeHint: {},
-    internalContext: baseInternal
+    internalContext
   })
   const bStatus = Number(phaseBRes?.status) || 500
   if (bStatus < 200 || bStatus >= 300) {
@@ -8361,6 +10966,7 @@ async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assign
   delete gradingResult._internal
   const totalScore = toNumber(gradingResult?.totalScore) ?? 0
 
+  assertLeaseHeld(signal)
   const gradedAt = Date.now()
   const { error: saveErr } = await supabaseDb
     .from('submissions')
@@ -8376,11 +10982,11 @@ async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assign
       updated_at: new Date().toISOString()
     })
     .eq('id', sub.id)
-    .eq('owner_id', job.owner_id)
+    .eq('owner_id', ownerId)
   if (saveErr) throw new Error(`存檔失敗:${saveErr.message}`)
 
   try {
-    await applySubmissionStateTransitions(supabaseDb, job.owner_id, [
+    await applySubmissionStateTransitions(supabaseDb, ownerId, [
       {
         id: sub.id,
         assignment_id: assignment.id,
@@ -8396,7 +11002,7 @@ async function processSchoolJobSubmission({ supabaseDb, apiKey, job, sub, assign
     console.warn('[school-job] state transitions failed (non-fatal):', e?.message)
   }
 
-  return { score: totalScore }
+  return { score: totalScore, gradedAt, gradingResult }
 }
 
 // ============================================================
@@ -9835,8 +12441,7 @@ async function handleSchoolGradingJob(req, res) {
   const mode = typeof body?.mode === 'string' ? body.mode : ''
 
   // tick 支援 cron secret(無 user、兜底續跑);create/cancel 一定要 user
-  const cronSecret = process.env.CRON_SECRET
-  const isCron = Boolean(cronSecret && req.headers['x-cron-secret'] === cronSecret)
+  const isCron = isCronRequest(req)
   let user = null
   if (!isCron) {
     const auth = await getAuthUser(req, res)
@@ -9925,6 +12530,16 @@ async function handleSchoolGradingJob(req, res) {
       res.status(500).json({ error: `建立代批工作失敗:${insErr.message}` })
       return
     }
+    try {
+      await enqueueSchoolGradingSubmissions(supabaseDb, { id: jobId, school_id: schoolId, assignment_id: assignmentId, owner_id: assignment.owner_id, actor_profile_id: user.id })
+    } catch (e) {
+      await supabaseDb
+        .from('school_grading_jobs')
+        .update({ status: 'completed_with_errors', last_error: `排入批改工作失敗:${e?.message || e}`, updated_at: new Date().toISOString() })
+        .eq('id', jobId)
+      res.status(500).json({ error: `排入批改工作失敗:${e?.message || e}` })
+      return
+    }
     res.status(200).json({ ok: true, jobId, totalCount: count })
     return
   }
@@ -9950,19 +12565,20 @@ async function handleSchoolGradingJob(req, res) {
         .from('school_grading_jobs')
         .update({ status: 'cancelled', lease_until: null, updated_at: new Date().toISOString() })
         .eq('id', jobId)
+      // 還沒開始的卷撤掉;已在跑的讓它跑完(同 grading_jobs cancel)
+      await cancelGradingJobs(supabaseDb, { batchId: jobId })
     }
     res.status(200).json({ ok: true })
     return
   }
 
+  // tick:批改本身由 grading-jobs cron 跑;這裡只負責「點數不足暫停 → 儲值後續跑」與回報進度
   if (mode === 'tick') {
     const jobIdReq = String(body.jobId || '').trim()
-    const nowIso = new Date().toISOString()
     let query = supabaseDb
       .from('school_grading_jobs')
       .select('*')
       .in('status', ['queued', 'running', 'paused_insufficient'])
-      .or(`lease_until.is.null,lease_until.lt.${nowIso}`)
       .order('created_at', { ascending: true })
       .limit(5)
     if (jobIdReq) query = query.eq('id', jobIdReq)
@@ -9981,175 +12597,40 @@ async function handleSchoolGradingJob(req, res) {
       return
     }
 
-    // 餘額守門:paused_insufficient 在儲值後也由此自動復跑
-    const { data: schoolRow } = await supabaseDb.from('schools').select('ink_balance').eq('id', job.school_id).maybeSingle()
-    const startBalance = typeof schoolRow?.ink_balance === 'number' ? schoolRow.ink_balance : 0
-    if (startBalance <= 0) {
-      await supabaseDb
-        .from('school_grading_jobs')
-        .update({
-          status: 'paused_insufficient',
-          lease_until: null,
-          last_error: `學校點數不足(目前 ${startBalance} 點),儲值後會自動續跑`,
-          updated_at: nowIso
-        })
-        .eq('id', job.id)
-      res.status(200).json({ jobId: job.id, status: 'paused_insufficient', balance: startBalance })
-      return
-    }
-
-    // 搶 lease(樂觀:只有 lease 過期/空者搶得到)
-    const leaseUntil = new Date(Date.now() + SCHOOL_JOB_LEASE_MS).toISOString()
-    const { data: leased } = await supabaseDb
-      .from('school_grading_jobs')
-      .update({ status: 'running', lease_until: leaseUntil, last_error: null, updated_at: nowIso })
-      .eq('id', job.id)
-      .or(`lease_until.is.null,lease_until.lt.${nowIso}`)
-      .select('*')
-    if (!leased?.length) {
-      res.status(200).json({ jobId: job.id, busy: true })
-      return
-    }
-    job = leased[0]
-
-    const { data: assignment } = await supabaseDb
-      .from('assignments')
-      .select('id, owner_id, classroom_id, title, answer_key, answer_sheet_mode, answer_key_template_id, total_pages, domain')
-      .eq('id', job.assignment_id)
-      .maybeSingle()
-    const apiKey = getEnvValue('SYSTEM_GEMINI_API_KEY') || getEnvValue('SECRET_API_KEY')
-    if (!assignment?.answer_key || !apiKey) {
-      const reason = !apiKey ? 'Server API Key 未設定' : '作業沒有答案卷,無法代批'
-      await supabaseDb
+    if (job.status === 'paused_insufficient') {
+      const { data: schoolRow } = await supabaseDb.from('schools').select('ink_balance').eq('id', job.school_id).maybeSingle()
+      const balance = typeof schoolRow?.ink_balance === 'number' ? schoolRow.ink_balance : 0
+      if (balance <= 0) {
+        res.status(200).json({ jobId: job.id, status: 'paused_insufficient', balance })
+        return
+      }
+      // 條件式改回 running:兩個 tick 同時看到暫停只有一個會重新排入
+      const { data: resumed } = await supabaseDb
         .from('school_grading_jobs')
-        .update({ status: 'completed_with_errors', last_error: reason, lease_until: null, updated_at: new Date().toISOString() })
+        .update({ status: 'running', last_error: null, updated_at: new Date().toISOString() })
         .eq('id', job.id)
-      res.status(200).json({ jobId: job.id, status: 'completed_with_errors', error: reason })
-      return
-    }
-    const answerKeyStr =
-      typeof assignment.answer_key === 'string' ? assignment.answer_key : JSON.stringify(assignment.answer_key)
-    const answerKeyImages = await schoolJobFetchAnswerSheetImages(supabaseDb, assignment.id)
-    const bookletImages =
-      assignment.answer_sheet_mode === 'answer_only' ? await schoolJobFetchBookletImages(supabaseDb, assignment) : []
-
-    const startMs = Date.now()
-    const failedItems = Array.isArray(job.failed_items) ? [...job.failed_items] : []
-    const failedIds = new Set(failedItems.map((f) => f?.submissionId).filter(Boolean))
-    let done = job.done_count || 0
-    let failed = job.failed_count || 0
-    let points = job.ink_points || 0
-    let finalStatus = 'running'
-    let processedThisTick = 0
-
-    while (Date.now() - startMs < SCHOOL_JOB_TIME_BUDGET_MS) {
-      const { data: subs } = await supabaseDb
-        .from('submissions')
-        .select('id, owner_id, assignment_id, student_id, image_url, page_breaks, source, status')
-        .eq('assignment_id', assignment.id)
-        .eq('owner_id', job.owner_id)
-        .in('status', ['synced', 'grading_failed'])
-        .or('source.is.null,source.neq.student_correction')
-        .order('created_at', { ascending: true })
-        .limit(20)
-      const next = (subs ?? []).find((s) => !failedIds.has(s.id))
-      if (!next) {
-        finalStatus = failed > 0 ? 'completed_with_errors' : 'completed'
-        break
-      }
-
-      const costAcc = { points: 0, calls: 0 }
-      try {
-        await trackingContext.run(
-          {
-            supabaseAdmin: supabaseDb,
-            actorUserId: job.actor_profile_id || job.owner_id,
-            billingUserId: job.actor_profile_id || job.owner_id,
-            isAdmin: false,
-            inkSessionId: null,
-            assignmentId: assignment.id,
-            submissionId: next.id,
-            billingScope: 'school',
-            schoolId: job.school_id,
-            schoolCost: costAcc
-          },
-          () =>
-            processSchoolJobSubmission({
-              supabaseDb, apiKey, job, sub: next, assignment, answerKeyStr, answerKeyImages, bookletImages
-            })
-        )
-        done += 1
-      } catch (e) {
-        failed += 1
-        failedIds.add(next.id)
-        failedItems.push({ submissionId: next.id, studentId: next.student_id, error: String(e?.message || e).slice(0, 300) })
-        console.warn('[school-job] submission failed:', next.id, e?.message)
+        .eq('status', 'paused_insufficient')
+        .select('*')
+      if (resumed?.length) {
+        job = resumed[0]
         try {
-          await supabaseDb
-            .from('submissions')
-            .update({ status: 'grading_failed', updated_at: new Date().toISOString() })
-            .eq('id', next.id)
-            .eq('owner_id', job.owner_id)
-        } catch { /* non-fatal */ }
-      }
-      processedThisTick += 1
-
-      // 每卷結束扣學校點數(失敗卷已消耗的 AI call 也照扣)
-      if (costAcc.points > 0) {
-        const debit = await debitSchoolInk(supabaseDb, {
-          schoolId: job.school_id,
-          points: costAcc.points,
-          actorProfileId: job.actor_profile_id,
-          reason: 'grading_job',
-          metadata: { jobId: job.id, submissionId: next.id, assignmentId: assignment.id, calls: costAcc.calls }
-        })
-        points += costAcc.points
-        if (debit.ok && typeof debit.balance === 'number' && debit.balance <= 0) {
-          finalStatus = 'paused_insufficient'
+          await enqueueSchoolGradingSubmissions(supabaseDb, job)
+        } catch (e) {
+          res.status(500).json({ error: `重新排入批改工作失敗:${e?.message || e}` })
+          return
         }
       }
-
-      await supabaseDb
-        .from('school_grading_jobs')
-        .update({
-          done_count: done,
-          failed_count: failed,
-          ink_points: points,
-          failed_items: failedItems,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', job.id)
-
-      if (finalStatus === 'paused_insufficient') break
-    }
-
-    const patch = {
-      done_count: done,
-      failed_count: failed,
-      ink_points: points,
-      failed_items: failedItems,
-      lease_until: null,
-      updated_at: new Date().toISOString()
-    }
-    if (finalStatus === 'completed' || finalStatus === 'completed_with_errors') {
-      patch.status = finalStatus
-    } else if (finalStatus === 'paused_insufficient') {
-      patch.status = 'paused_insufficient'
-      patch.last_error = '學校點數不足,儲值後會自動續跑'
-    } else {
-      patch.status = 'running'
     }
-    await supabaseDb.from('school_grading_jobs').update(patch).eq('id', job.id)
+    job = (await refreshSchoolGradingJob(supabaseDb, job.id)) || job
 
     res.status(200).json({
       jobId: job.id,
-      status: patch.status,
-      done,
-      failed,
+      status: job.status,
+      done: job.done_count || 0,
+      failed: job.failed_count || 0,
       totalCount: job.total_count,
-      inkPoints: points,
-      processedThisTick,
-      hasMore: patch.status === 'running'
+      inkPoints: job.ink_points || 0,
+      hasMore: ['queued', 'running'].includes(job.status)
     })
     return
   }
@@ -11555,6 +14036,10 @@ export default async function handler(req, res) {
     await handleStudentSubmission(req, res)
     return
   }
+  if (action === 'scan-ingest') {
+    await handleScanIngest(req, res)
+    return
+  }
   if (action === 'student-corrections') {
     await handleStudentCorrections(req, res)
     return
@@ -11575,6 +14060,14 @@ export default async function handler(req, res) {
     await handleProcessPendingGrading(req, res)
     return
   }
+  if (action === 'grading-jobs') {
+    await handleGradingJobs(req, res)
+    return
+  }
+  if (action === 'grading-progress') {
+    await handleGradingProgress(req, res)
+    return
+  }
   if (action === 'correction-dashboard') {
     await handleCorrectionDashboard(req, res)
     return
@@ -11654,10 +14147,42 @@ const log = document.getElementById('log');
     await handleImportTemplate(req, res)
     return
   }
+  if (action === 'answer-key-import') {
+    await handleAnswerKeyImport(req, res)
+    return
+  }
   if (action === 'exam-compare') {
     await handleExamCompare(req, res)
     return
   }
+  if (action === 'answer-key-alerts') {
+    await handleAnswerKeyAlerts(req, res)
+    return
+  }
+  if (action === 'item-analysis') {
+    await handleItemAnalysis(req, res)
+    return
+  }
+  if (action === 'exam-dimension-summary') {
+    await handleExamDimensionSummary(req, res)
+    return
+  }
+  if (action === 'exam-blueprint-check') {
+    await handleExamBlueprintCheck(req, res)
+    return
+  }
+  if (action === 'concept-mastery-heatmap') {
+    await handleConceptMasteryHeatmap(req, res)
+    return
+  }
+  if (action === 'concept-prerequisites') {
+    await handleConceptPrerequisites(req, res)
+    return
+  }
+  if (action === 'remediation-path') {
+    await handleRemediationPath(req, res)
+    return
+  }
   if (action === 'template-usage') {
     await handleTemplateUsage(req, res)
     return
@@ -11786,6 +14311,10 @@ const log = document.getElementById('log');
     await handlePdfClassifyTemplate(req, res)
     return
   }
+  if (action === 'detect-page-corners') {
+    await handleDetectPageCorners(req, res)
+    return
+  }
   res.status(404).json({ error: 'Not Found' })
 }
 
@@ -11904,7 +14433,7 @@ async function handleGetAssignmentSummary(req, res) {
   const [{ data, error }, { data: latestSubRow }] = await Promise.all([
     supabaseDb
       .from('assignment_summaries')
-      .select('status, class_summary, class_suggestion, minority_summary, minority_suggestion, student_summaries, error_groups, sample_count, updated_at, error_message')
+      .select('status, class_summary, class_suggestion, minority_summary, minority_suggestion, student_summaries, error_groups, remediation_paths, sample_count, updated_at, error_message')
       .eq('owner_id', user.id)
       .eq('assignment_id', assignmentId)
       .maybeSingle(),
@@ -11948,12 +14477,18 @@ async function handleRefreshAssignmentSummary(req, res) {
     return
   }
 
-  const supabaseDb = getSupabaseAdmin()
+  const out = await generateAssignmentSummary({ supabaseDb: getSupabaseAdmin(), ownerId: user.id, assignmentId })
+  res.status(out.httpStatus).json(out.body)
+}
+
+// 班級報告(assignment_summaries)生成本體:refresh-assignment-summary 端點與 grading_jobs 的 report 工作共用。
+// 回 { httpStatus, body };失敗時 assignment_summaries 一律落 failed(不會卡 running)
+async function generateAssignmentSummary({ supabaseDb, ownerId, assignmentId }) {
   const nowIso = new Date().toISOString()
   const traceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
   const logPrefix = `[refresh-assignment-summary][${traceId}]`
 
-  console.log(`${logPrefix} start owner=${user.id} assignment=${assignmentId}`)
+  console.log(`${logPrefix} start owner=${ownerId} assignment=${assignmentId}`)
 
   // ── 同步執行：等 Gemini 完成後再回傳，避免 Vercel 背景執行不可靠導致卡 running ──
   try {
@@ -11962,7 +14497,7 @@ async function handleRefreshAssignmentSummary(req, res) {
       .from('submissions')
       .select('id, student_id, grading_result, status')
       .eq('assignment_id', assignmentId)
-      .eq('owner_id', user.id)
+      .eq('owner_id', ownerId)
       .in('status', ['graded', 'correction_passed', 'correction_pending_review'])
 
     if (subErr) {
@@ -11976,12 +14511,11 @@ async function handleRefreshAssignmentSummary(req, res) {
       await supabaseDb
         .from('assignment_summaries')
         .upsert(
-          { owner_id: user.id, assignment_id: assignmentId, status: 'failed',
+          { owner_id: ownerId, assignment_id: assignmentId, status: 'failed',
             error_message: '尚無批改資料', updated_at: new Date().toISOString() },
           { onConflict: 'owner_id,assignment_id' }
         )
-      res.status(200).json({ success: false, status: 'failed', error: '尚無批改資料' })
-      return
+      return { httpStatus: 200, body: { success: false, status: 'failed', error: '尚無批改資料' } }
     }
 
     // 2. 取得學生姓名
@@ -12008,9 +14542,9 @@ async function handleRefreshAssignmentSummary(req, res) {
     // 同時拉 answer_sheet_image_paths / question_booklet_image_paths 供 3b 取題目圖
     const { data: assignment, error: assignmentErr } = await supabaseDb
       .from('assignments')
-      .select('answer_key, answer_sheet_image_paths, question_booklet_image_paths, answer_sheet_mode, answer_key_template_id')
+      .select('answer_key, concept_tags, answer_sheet_image_paths, question_booklet_image_paths, answer_sheet_mode, answer_key_template_id')
       .eq('id', assignmentId)
-      .eq('owner_id', user.id)
+      .eq('owner_id', ownerId)
       .maybeSingle()
 
     if (assignmentErr) {
@@ -12165,6 +14699,66 @@ async function handleRefreshAssignmentSummary(req, res) {
     }))
     const errorCount = cappedStudentErrors.length
 
+    // 3d. 2026-10-19 先備概念追溯：全班 ≥ 半數未過的概念 → 沿先備關係往回找病根（server/concept-prerequisites.js）
+    //     弱不弱看全班 student_concept_mastery 的長期精熟度；表不存在 / 沒有先備資料 = 不附這段（fail-open）
+    let remediationPaths = null
+    let remediationContext = ''
+    try {
+      const conceptFails = new Map()
+      for (const sub of submissions) {
+        const byConcept = conceptObservationsFromGrading({
+          gradingResult: sub.grading_result, conceptTags: assignment?.concept_tags, answerKey: assignment?.answer_key
+        })
+        for (const [code, o] of byConcept) {
+          const e = conceptFails.get(code) ?? { label: o.label, failed: 0, total: 0 }
+          e.total++
+          if (o.max > 0 && o.score / o.max < FAIL_RATE) e.failed++
+          conceptFails.set(code, e)
+        }
+      }
+      const targets = [...conceptFails.entries()]
+        .filter(([, e]) => e.failed >= 2 && e.failed / e.total >= 0.5)
+        .sort((a, b) => b[1].failed / b[1].total - a[1].failed / a[1].total)
+        .slice(0, 5)
+        .map(([code]) => code)
+      if (targets.length > 0) {
+        const edges = await loadPrerequisiteEdges(supabaseDb, targets)
+        if (edges.length > 0) {
+          const weakness = await loadConceptWeakness(supabaseDb, ownerId, studentIds)
+          const labels = await loadConceptLabels(supabaseDb, [...targets, ...edges.map((e) => e.from)])
+          for (const code of targets) if (!labels.has(code)) labels.set(code, conceptFails.get(code).label)
+          // 本份作業的未過概念一定算弱（就算長期精熟度還沒掉下來）
+          const out = buildRemediationPath({
+            targets, edges, labels,
+            weakness: (code) => targets.includes(code)
+              ? { ...(weakness.get(code) ?? {}), weak: true }
+              : weakness.get(code) ?? null
+          })
+          if (out.path.length > targets.length || out.unverified.length > 0) {
+            remediationPaths = {
+              targets: targets.map((code) => {
+                const e = conceptFails.get(code)
+                return { code, label: labels.get(code) ?? e.label, failedCount: e.failed, studentCount: e.total }
+              }),
+              ...out
+            }
+            const roleText = { root_cause: '病根', intermediate: '中間概念', target: '本次未過' }
+            const stepLines = out.path.map((p, i) => {
+              const masteryStr = typeof p.mastery === 'number' ? `，全班平均精熟度 ${p.mastery}` : ''
+              const feedsStr = p.feeds.length ? ` → 影響 ${p.feeds.join('、')}` : ''
+              return `  ${i + 1}. ${p.code}${p.label ? ` ${p.label}` : ''}（${roleText[p.role]}${masteryStr}）${feedsStr}`
+            }).join('\n')
+            const unverifiedStr = out.unverified.length
+              ? `\n尚無作業證據的先備概念（建議先做小診斷確認）：${out.unverified.map((u) => `${u.code}${u.label ? ` ${u.label}` : ''}`).join('、')}`
+              : ''
+            remediationContext = `\n先備概念追溯（依課綱先備關係與全班歷次作業精熟度推得，補救順序由上到下）：\n${stepLines}${unverifiedStr}\n`
+          }
+        }
+      }
+    } catch (e) {
+      console.warn(`${logPrefix} remediation path failed (non-fatal):`, e?.message)
+    }
+
     // 4. 建立 AI prompt
     const conceptContext = Object.keys(conceptByQuestion).length > 0
       ? `\n作業涵蓋的課綱概念：\n${Object.entries(conceptByQuestion).map(([qId, c]) => `第${qId}題：${c.code} ${c.label}`).join('\n')}\n`
@@ -12216,7 +14810,7 @@ ${pageLines}
     }
 
     const prompt = `你是台灣國小/國中老師的教學助理。以下是一份作業的批改結果，共 ${sampleCount} 位學生，其中 ${errorCount} 位有錯誤。
-${imageGuide}${conceptContext}
+${imageGuide}${conceptContext}${remediationContext}
 學生錯誤明細：
 ${studentLines || '（無錯誤）'}
 
@@ -12246,6 +14840,7 @@ ${studentLines || '（無錯誤）'}
 - minority_summary 說明少數人特有的問題模式
 - student_summaries 只列出有錯誤的學生
 - 若有課綱概念代碼（如 N-4-12），請在摘要中引用讓老師知道是哪個單元
+- 若有「先備概念追溯」，class_suggestion 請從病根概念開始安排補救順序，不要只建議重做錯題
 - class_suggestion 和 minority_suggestion 要具體可執行，不要太籠統
 - ⚠️ 若附有作業原卷圖片，務必查看圖片中的題目內容。根據題幹、選項、以及學生的錯誤答案，推論學生最可能的迷思概念。例如：看到選擇題問「哪個是直角三角形？」而學生選了等腰三角形的選項 → 推論「學生混淆直角三角形和等腰三角形的判斷標準」。題號前綴對應圖片頁碼（1-開頭的題目看第1張圖）。`
 
@@ -12253,23 +14848,22 @@ ${studentLines || '（無錯誤）'}
     const apiKey = getEnvValue('SYSTEM_GEMINI_API_KEY') || getEnvValue('SECRET_API_KEY')
     if (!apiKey) throw new Error('Server API Key missing')
 
-    // 5a. 墨水 balance check：報告為老師專屬功能、billingUserId = user.id
+    // 5a. 墨水 balance check：報告為老師專屬功能、billingUserId = ownerId
     // 不接 ink_session（session 是給批改用、報告獨立 call）
     let isAdminUser = false
     let balanceBeforeCharge = 0
     try {
       const { data: profile } = await supabaseDb
-        .from('profiles').select('ink_balance, role').eq('id', user.id).maybeSingle()
+        .from('profiles').select('ink_balance, role').eq('id', ownerId).maybeSingle()
       isAdminUser = profile?.role === 'admin'
       balanceBeforeCharge = typeof profile?.ink_balance === 'number' ? profile.ink_balance : 0
       if (!isAdminUser && balanceBeforeCharge <= 0) {
         await supabaseDb.from('assignment_summaries').upsert(
-          { owner_id: user.id, assignment_id: assignmentId, status: 'failed',
+          { owner_id: ownerId, assignment_id: assignmentId, status: 'failed',
             error_message: '墨水不足、請先補充再生成報告', updated_at: new Date().toISOString() },
           { onConflict: 'owner_id,assignment_id' }
         )
-        res.status(402).json({ success: false, error: '墨水不足、請先補充再生成報告' })
-        return
+        return { httpStatus: 402, body: { success: false, error: '墨水不足、請先補充再生成報告' } }
       }
     } catch (e) {
       console.warn(`${logPrefix} ink balance check failed (non-fatal):`, e?.message)
@@ -12289,7 +14883,7 @@ ${studentLines || '（無錯誤）'}
             try { const ak = typeof assignment.answer_key === 'string' ? JSON.parse(assignment.answer_key) : assignment.answer_key; return ak?.questions || [] } catch { return [] }
           })()
           const runTracked = (fn) => trackingContext.run(
-            { supabaseAdmin: supabaseDb, actorUserId: user.id, billingUserId: user.id, isAdmin: isAdminUser, inkSessionId: null, assignmentId, submissionId: null },
+            { supabaseAdmin: supabaseDb, actorUserId: ownerId, billingUserId: ownerId, isAdmin: isAdminUser, inkSessionId: null, assignmentId, submissionId: null },
             fn
           )
           const { locations, source } = await getOrComputeBookletLocations({
@@ -12345,8 +14939,8 @@ ${studentLines || '（無錯誤）'}
     const pipelineResult = await trackingContext.run(
       {
         supabaseAdmin: supabaseDb,
-        actorUserId: user.id,
-        billingUserId: user.id,
+        actorUserId: ownerId,
+        billingUserId: ownerId,
         isAdmin: isAdminUser,
         inkSessionId: null,
         assignmentId: assignmentId,
@@ -12435,9 +15029,9 @@ ${studentLines || '（無錯誤）'}
           const nextBalance = Math.max(0, balanceBeforeCharge - cost.points)
           await supabaseDb.from('profiles')
             .update({ ink_balance: nextBalance, updated_at: new Date().toISOString() })
-            .eq('id', user.id)
+            .eq('id', ownerId)
           await supabaseDb.from('ink_ledger').insert({
-            user_id: user.id,
+            user_id: ownerId,
             delta: -cost.points,
             reason: 'report_teacher_summary',
             metadata: {
@@ -12469,13 +15063,12 @@ ${studentLines || '（無錯誤）'}
       console.error(`${logPrefix} JSON parse failed: ${parseErr.message}`)
       console.error(`${logPrefix} raw text sample (first 800 chars):`, cleanText.slice(0, 800))
       await supabaseDb.from('assignment_summaries').upsert(
-        { owner_id: user.id, assignment_id: assignmentId, status: 'failed',
+        { owner_id: ownerId, assignment_id: assignmentId, status: 'failed',
           error_message: `AI 回傳格式無法解析: ${parseErr.message}`,
           updated_at: new Date().toISOString() },
         { onConflict: 'owner_id,assignment_id' }
       )
-      res.status(502).json({ success: false, error: 'AI 回傳格式無法解析、請重試一次' })
-      return
+      return { httpStatus: 502, body: { success: false, error: 'AI 回傳格式無法解析、請重試一次' } }
     }
 
     // 6. 寫入 assignment_summaries
@@ -12483,7 +15076,7 @@ ${studentLines || '（無錯誤）'}
       .from('assignment_summaries')
       .upsert(
         {
-          owner_id: user.id,
+          owner_id: ownerId,
           assignment_id: assignmentId,
           status: 'ready',
           class_summary: parsed.class_summary || null,
@@ -12492,6 +15085,7 @@ ${studentLines || '（無錯誤）'}
           minority_suggestion: parsed.minority_suggestion || null,
           student_summaries: Array.isArray(parsed.student_summaries) ? parsed.student_summaries : [],
           error_groups: Array.isArray(parsed.error_groups) ? parsed.error_groups : [],
+          remediation_paths: remediationPaths,
           sample_count: sampleCount,
           error_message: null,
           generated_at: new Date().toISOString(),
@@ -12509,7 +15103,7 @@ ${studentLines || '（無錯誤）'}
     }
 
     console.log(`${logPrefix} done`)
-    res.status(200).json({ success: true, status: 'ready' })
+    return { httpStatus: 200, body: { success: true, status: 'ready' } }
 
   } catch (err) {
     console.error(`${logPrefix} error`, getErrorDiagnostics(err))
@@ -12518,7 +15112,7 @@ ${studentLines || '（無錯誤）'}
       .from('assignment_summaries')
       .upsert(
         {
-          owner_id: user.id,
+          owner_id: ownerId,
           assignment_id: assignmentId,
           status: 'failed',
           error_message: errMsg,
@@ -12526,7 +15120,7 @@ ${studentLines || '（無錯誤）'}
         },
         { onConflict: 'owner_id,assignment_id' }
       )
-    res.status(500).json({ success: false, error: errMsg })
+    return { httpStatus: 500, body: { success: false, error: errMsg } }
   }
 }
 
@@ -12611,7 +15205,13 @@ async function handleAssignmentStateSummary(req, res) {
     })
   }
 
-  res.status(200).json({ byAssignment })
+  // 2026-10-19 答案卷疑似有誤(blocking 警示):assignmentId → [{ alertId, questionId, currentAnswer, suspectedAnswer, confidence }]
+  const openAlerts = await loadOpenAnswerKeyAlerts(supabaseDb, user.id, assignmentIds)
+  const answerKeyAlerts = Object.fromEntries(openAlerts)
+  // 2026-10-19 作答圖指紋警示：assignmentId → [{ code, label, studentIds, page, ... }]（批改前就看得到）
+  const imageIntegrityWarnings = Object.fromEntries(await loadImageIntegrityWarnings(supabaseDb, user.id, assignmentIds))
+
+  res.status(200).json({ byAssignment, answerKeyAlerts, imageIntegrityWarnings })
 }
 
 // ─────────────────────────────────────────────────────────
@@ -13063,6 +15663,52 @@ async function handleUpdateAi3ForensicLog(req, res) {
   }
 }
 
+// ═══ 紙張四角偵測(2026-10-19):本地 sharp、不扣點、零模型 call ══════════════════════════
+// POST { imageBase64 }(data URL 或純 base64;前端先縮到長邊 ~1600 再送,避免超過 body 上限)
+//   → { ok: true, fullFrame, corners: [{x,y}×4 normalized、TL,TR,BR,BL], confidence, source: 'local' }
+//   → { ok: false, reason, fallback: 'perspective.detect_corners' }:本地找不到紙(背景太亮、紙被手擋住),
+//     前端照舊走 AI route 偵測。偵測演算法見 server/ai/local-perspective.js。
+async function handleDetectPageCorners(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' })
+    return
+  }
+  const { user } = await getAuthUser(req, res)
+  if (!user) {
+    res.status(401).json({ error: 'Unauthorized' })
+    return
+  }
+  const body = parseJsonBody(req)
+  const raw = ensureStr(body.imageBase64).replace(/^data:[^;]+;base64,/, '')
+  if (!raw) {
+    res.status(400).json({ error: 'imageBase64 is required' })
+    return
+  }
+  const fallback = AI_ROUTE_KEYS.PERSPECTIVE_DETECT_CORNERS
+  if (!isLocalDewarpEnabled()) {
+    res.status(200).json({ ok: false, reason: 'disabled', fallback })
+    return
+  }
+  try {
+    const result = await detectPageQuad(Buffer.from(raw, 'base64'))
+    if (!result.ok) {
+      res.status(200).json({ ok: false, reason: result.reason, fallback })
+      return
+    }
+    res.status(200).json({
+      ok: true,
+      fullFrame: result.fullFrame === true,
+      corners: result.fullFrame ? [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }] : result.corners,
+      confidence: result.confidence,
+      source: 'local'
+    })
+  } catch (err) {
+    // 圖壞掉 / 格式不支援 → 一樣叫前端走 AI,不擋上傳
+    console.warn('[detect-page-corners] local detection failed:', err?.message)
+    res.status(200).json({ ok: false, reason: 'decode_failed', fallback })
+  }
+}
+
 function ensureStr(val) {
   return typeof val === 'string' ? val.trim() : String(val ?? '')
 }
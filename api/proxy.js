@@ -13,6 +13,12 @@ import { getEnvValue } from '../server/_env.js'
 import { runAiPipeline } from '../server/ai/orchestrator.js'
 import { MODEL_FLASH } from '../server/ai/model-config.js'
 import { resolveBillingUserId } from '../server/billing-user.js'
+import {
+  buildExamDimensionPromptSection,
+  examFrameworkForGrade,
+  normalizeExamSubject,
+  resolveAssignmentExamContext
+} from '../server/exam-frameworks.js'
 import { debitSchoolInk } from '../server/school-wallet.js'
 import crypto from 'crypto'
 
@@ -795,6 +801,29 @@ export default async function handler(req, res) {
     }
   }
 
+  // 2026-10-19 考試向度（server/exam-frameworks.js）：概念標記 / 知識點歸類順便標「考什麼能力」，不多打一次 AI。
+  //   依班級年級 + 作業科目選框架（國小學力檢測 / 會考 / 學測），把候選向度附在最後一則 user 訊息；
+  //   沒有 assignmentId 時吃 payload.grade + payload.domain；兩者都沒有或該科沒有向度清單 → 不附、流程照舊。
+  //   kp_tagging 只附在帶題本的歸類 call（kpTips 那支純文字 call 不輸出逐題結果）。
+  const examFieldName = routeKey === 'answer_key.tag_concepts' ? 'exam_dimension'
+    : needsBookletForKpTagging ? 'examDimension' : null
+  if (examFieldName) {
+    let examCtx = payload?.assignmentId ? await resolveAssignmentExamContext(supabaseAdmin, payload.assignmentId) : null
+    if (!examCtx) {
+      const framework = examFrameworkForGrade(payload?.grade)
+      const subject = normalizeExamSubject(payload?.domain)
+      if (framework && subject) examCtx = { framework, subject, grade: Number(payload.grade) }
+    }
+    const section = examCtx ? buildExamDimensionPromptSection({ ...examCtx, fieldName: examFieldName }) : ''
+    const cloned = section ? JSON.parse(JSON.stringify(processedContents)) : null
+    const lastUser = cloned ? [...cloned].reverse().find((c) => c?.role === 'user' && Array.isArray(c?.parts)) : null
+    if (lastUser) {
+      lastUser.parts.push({ text: section })
+      processedContents = cloned
+      console.log(`🎯 [ExamDimension] 附加 ${examCtx.framework}/${examCtx.subject} 向度清單 routeKey=${routeKey}`)
+    }
+  }
+
   try {
     // 2026-05-22: trackingContext 把 user / billing / admin / session 等 ALS 鋪好
     // 各層 callGeminiGenerateContent 完成後可直接呼叫 recordTokenUsage()、不必每層手動傳
@@ -0,0 +1,133 @@
+// 答案卷匯出（2026-10-19）：把 answer_key_templates / assignments 的答案卷轉成開放格式或可列印答案卡。
+//   POST { templateId | assignmentId, format: 'qti' | 'csv' | 'pdf' | 'bubble', title?, applyAnchors? }
+//     qti → IMS QTI 2.1 content package（zip）；csv → docs/答案卷檔案匯入格式.md 的欄位（可再匯入）
+//     pdf → 單頁 A4 答案卡（server/answer-key-export.js 版面 + server/_pdf.js 渲染）
+//       applyAnchors=true → 把答案卡的 anchorHint 寫回來源答案卷（經 prepareAnswerKeyForWrite），
+//       之後用這張卡收的作業走 answer_only cell-anchor 定位。超過一頁 → 422、不印（answer_only 只吃一張圖）。
+//     bubble → 劃記卡 PDF（四角定位方塊 + 圓圈格、只排選項代號題，其他題號回在 X-Bubble-Excluded）；
+//       applyAnchors=true 寫回 bubbleSheet 描述，Phase A 見到就先用 server/ai/bubble-reader.js 讀卡（零模型 call）。
+//     兩種卡 applyAnchors 都會把 answer_sheet_mode 設成 answer_only（卡上沒有題目，本來就是純答案卡）；
+//       劃記卡有題目沒上卡時例外：學生還要另交作答，作答模式不動。
+//     寫回在 PDF 渲染成功之後：渲染失敗不會留下一張沒印出來的卡的定位資料。
+//   owner 驗證 + service_role（同 kp-save）。
+import { handleCors } from '../../server/_cors.js'
+import { getAuthUser } from '../../server/_auth.js'
+import { getSupabaseAdmin } from '../../server/_supabase.js'
+import { renderHtmlToPdf } from '../../server/_pdf.js'
+import { prepareAnswerKeyForWrite } from '../../server/ai/answer-key-schema.js'
+import {
+  applyAnswerSheetAnchors,
+  applyBubbleSheet,
+  buildAnswerKeyCsv,
+  buildAnswerSheetHtml,
+  buildAnswerSheetLayout,
+  buildBubbleSheetHtml,
+  buildBubbleSheetLayout,
+  buildQtiPackage
+} from '../../server/answer-key-export.js'
+
+const FORMATS = new Set(['qti', 'csv', 'pdf', 'bubble'])
+
+function contentDisposition(name, ext) {
+  const base = String(name || 'answer-key').replace(/[\\/:*?"<>|\r\n]+/g, '_').slice(0, 80) || 'answer-key'
+  return `attachment; filename="answer-key.${ext}"; filename*=UTF-8''${encodeURIComponent(`${base}.${ext}`)}`
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res)) return
+  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  try {
+    const { user } = await getAuthUser(req, res)
+    if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+    const supabaseAdmin = getSupabaseAdmin()
+
+    const templateId = String(req.body?.templateId ?? '').trim()
+    const assignmentId = String(req.body?.assignmentId ?? '').trim()
+    const format = String(req.body?.format ?? '').trim().toLowerCase()
+    if (!FORMATS.has(format)) { res.status(400).json({ error: 'format must be qti | csv | pdf | bubble' }); return }
+    if (!templateId && !assignmentId) { res.status(400).json({ error: 'Missing templateId/assignmentId' }); return }
+
+    const table = templateId ? 'answer_key_templates' : 'assignments'
+    const entityId = templateId || assignmentId
+    const { data: row } = await supabaseAdmin
+      .from(table).select(templateId ? 'id, owner_id, name, answer_key' : 'id, owner_id, title, answer_key')
+      .eq('id', entityId).maybeSingle()
+    if (!row || row.owner_id !== user.id) { res.status(403).json({ error: 'Forbidden' }); return }
+    const name = (typeof req.body?.title === 'string' && req.body.title.trim()) || row.name || row.title || ''
+
+    if (format === 'csv') {
+      const { csv, notReimportable } = buildAnswerKeyCsv(row.answer_key)
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+      res.setHeader('Content-Disposition', contentDisposition(name, 'csv'))
+      if (notReimportable.length) res.setHeader('X-Not-Reimportable', notReimportable.slice(0, 50).map(encodeURIComponent).join(','))
+      res.setHeader('Cache-Control', 'no-store')
+      res.status(200).send(csv)
+      return
+    }
+
+    if (format === 'qti') {
+      const { zip, itemCount } = buildQtiPackage(row.answer_key, { title: name })
+      if (itemCount === 0) { res.status(422).json({ error: '答案卷沒有題目' }); return }
+      res.setHeader('Content-Type', 'application/zip')
+      res.setHeader('Content-Length', zip.length)
+      res.setHeader('Content-Disposition', contentDisposition(name, 'zip'))
+      res.setHeader('Cache-Control', 'no-store')
+      res.status(200).send(zip)
+      return
+    }
+
+    let html
+    let annotated
+    let anchorCount
+    let excluded = []
+    if (format === 'bubble') {
+      const { sheet, error, excluded: bubbleExcluded } = buildBubbleSheetLayout(row.answer_key)
+      if (error) { res.status(422).json({ error, excluded: bubbleExcluded }); return }
+      html = buildBubbleSheetHtml(sheet, { title: name })
+      annotated = () => applyBubbleSheet(row.answer_key, sheet)
+      anchorCount = sheet.items.length
+      excluded = bubbleExcluded
+    } else {
+      const layout = buildAnswerSheetLayout(row.answer_key)
+      if (layout.error) { res.status(422).json({ error: layout.error }); return }
+      if (!layout.fitsOnePage) {
+        res.status(422).json({ error: `答案卡超過一頁（估計 ${layout.estimatedHeightMm}mm），請拆成兩份作業`, estimatedHeightMm: layout.estimatedHeightMm })
+        return
+      }
+      html = buildAnswerSheetHtml(layout, { title: name })
+      annotated = () => applyAnswerSheetAnchors(row.answer_key, layout.anchorHints)
+      anchorCount = Object.keys(layout.anchorHints).length
+    }
+
+    const pdf = await renderHtmlToPdf(html)
+
+    let anchorsApplied = 0
+    if (req.body?.applyAnchors === true) {
+      const prepared = prepareAnswerKeyForWrite(annotated(), {
+        logTag: '[report/answer-key-export]', entityId: `${templateId ? 'template' : 'assignment'} ${entityId}`
+      })
+      if (!prepared.ok) { res.status(422).json({ error: 'answer_key schema invalid', schemaErrors: prepared.errors.slice(0, 20) }); return }
+      const { error: upErr } = await supabaseAdmin
+        .from(table)
+        .update({
+          answer_key: prepared.answerKey,
+          ...(excluded.length === 0 ? { answer_sheet_mode: 'answer_only' } : {}),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', entityId)
+      if (upErr) { res.status(500).json({ error: upErr.message }); return }
+      anchorsApplied = anchorCount
+    }
+
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Length', pdf.length)
+    res.setHeader('Content-Disposition', contentDisposition(name, 'pdf'))
+    res.setHeader('X-Anchors-Applied', String(anchorsApplied))
+    if (excluded.length) res.setHeader('X-Bubble-Excluded', excluded.slice(0, 50).map(encodeURIComponent).join(','))
+    res.setHeader('Cache-Control', 'no-store')
+    res.status(200).send(pdf)
+  } catch (err) {
+    console.error('[report/answer-key-export] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'answer-key export failed' })
+  }
+}
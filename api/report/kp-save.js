@@ -1,20 +1,35 @@
 // 知識點歸類寫入（2026-07-22、進階報告升級流程）：把 AI 歸類結果外科手術式合併進 answer_key。
-//   POST { assignmentId, items:[{questionId, topic, knowledgePoints, ability, cnaArea, note}], kpTips:{kp:tip} }
+//   POST { assignmentId, items:[{questionId, topic, knowledgePoints, ability, cnaArea, note, examDimension?}], kpTips:{kp:tip} }
 //   ⚠ 只寫 questions[].analysis 與頂層 kpTips、其他欄位一律不碰（answer/bbox/crop metadata 都不動）——
 //     不可能發生「歸類寫入把答案卷擦掉」的事故。owner 驗證 + service_role。
 //   同時鏡寫 template（若 template.answer_key 有 questions 且 id 對得上）——同卷其他班共用、一次付費全班受益。
+//   2026-10-19 寫入前只驗這次寫的 analysis / kpTips（answer-key-schema.js validateAnswerKeyAnalysisFields）：
+//     其他欄位照原樣寫回、不 migrate，舊版答案卷其他欄位不合新 schema 也不影響歸類寫入；
+//     寫的欄位不合格 → 422 帶 schemaErrors、不寫；模板不合格只跳過鏡寫。
+//   2026-10-19 items 可帶 examDimension（考試向度、server/exam-frameworks.js）：框架由班級年級 + 作業科目決定，
+//     值收斂到該框架代碼、對不上就不寫；這次沒帶 → 保留原本的向度（重跑歸類不會把老師改過的向度洗掉）。
 import { handleCors } from '../../server/_cors.js'
 import { getAuthUser } from '../../server/_auth.js'
 import { getSupabaseAdmin } from '../../server/_supabase.js'
+import { validateAnswerKeyAnalysisFields } from '../../server/ai/answer-key-schema.js'
+import { normalizeExamDimension, resolveAssignmentExamContext } from '../../server/exam-frameworks.js'
 
 const parseAk = (v) => { if (!v) return null; if (typeof v === 'string') { try { return JSON.parse(v) } catch { return null } } return v }
 
-function mergeAnalysis(ak, byId, kpTips) {
+function examFieldsOf(it, prev, examCtx) {
+  const dim = examCtx ? normalizeExamDimension(examCtx.framework, examCtx.subject, it.examDimension) : null
+  if (dim) return { examFramework: examCtx.framework, examDimension: dim }
+  if (prev?.examFramework && prev?.examDimension) return { examFramework: prev.examFramework, examDimension: prev.examDimension }
+  return {}
+}
+
+function mergeAnalysis(ak, byId, kpTips, examCtx = null) {
   if (!ak || !Array.isArray(ak.questions)) return 0
   let hit = 0
   for (const q of ak.questions) {
     const it = byId.get(String(q?.id ?? '').trim())
     if (!it) continue
+    const prev = q.analysis && typeof q.analysis === 'object' ? q.analysis : null
     q.analysis = {
       topic: String(it.topic ?? '').slice(0, 60),
       knowledgePoints: (Array.isArray(it.knowledgePoints) ? it.knowledgePoints : []).map((k) => String(k).slice(0, 60)).slice(0, 4),
@@ -23,6 +38,7 @@ function mergeAnalysis(ak, byId, kpTips) {
       ...(it.ability ? { ability: String(it.ability).slice(0, 30) } : {}),
       ...(it.cnaArea ? { cnaArea: String(it.cnaArea).slice(0, 30) } : {}),
       ...(it.note ? { note: String(it.note).slice(0, 120) } : {}),
+      ...examFieldsOf(it, prev, examCtx),
     }
     hit++
   }
@@ -63,8 +79,11 @@ export default async function handler(req, res) {
     if (!ak || !Array.isArray(ak.questions) || ak.questions.length === 0) {
       res.status(400).json({ error: 'answer_key has no questions' }); return
     }
-    const hit = mergeAnalysis(ak, byId, kpTips)
+    const examCtx = await resolveAssignmentExamContext(supabaseAdmin, assignmentId)
+    const hit = mergeAnalysis(ak, byId, kpTips, examCtx)
     if (hit === 0) { res.status(400).json({ error: 'No questionId matched answer_key' }); return }
+    const checked = validateAnswerKeyAnalysisFields(ak, byId.keys())
+    if (!checked.ok) { res.status(422).json({ error: 'answer_key schema invalid', schemaErrors: checked.errors.slice(0, 20) }); return }
     const { error: upErr } = await supabaseAdmin
       .from('assignments')
       .update({ answer_key: ak, updated_at: new Date().toISOString() })
@@ -81,13 +100,14 @@ export default async function handler(req, res) {
         if (tpl && tpl.owner_id === user.id) {
           const tplAk = parseAk(tpl.answer_key)
           if (tplAk && Array.isArray(tplAk.questions) && tplAk.questions.length) {
-            tplHit = mergeAnalysis(tplAk, byId, kpTips)
+            tplHit = mergeAnalysis(tplAk, byId, kpTips, examCtx)
+            if (tplHit > 0 && !validateAnswerKeyAnalysisFields(tplAk, byId.keys()).ok) tplHit = 0
             if (tplHit > 0) await supabaseAdmin.from('answer_key_templates').update({ answer_key: tplAk }).eq('id', tpl.id)
           }
         }
       } catch { /* template 鏡寫失敗不影響主寫入 */ }
     }
-    res.status(200).json({ saved: hit, templateSaved: tplHit, kpTipsSaved: Object.keys(kpTips).length })
+    res.status(200).json({ saved: hit, templateSaved: tplHit, kpTipsSaved: Object.keys(kpTips).length, examFramework: examCtx?.framework ?? null })
   } catch (err) {
     console.error('[report/kp-save] failed:', err?.message)
     res.status(500).json({ error: err instanceof Error ? err.message : 'kp-save failed' })
@@ -5,29 +5,86 @@
 //   ⚠指紋不可用 assignment.updated_at（sync/任何寫入都會 bump、報告幾分鐘就假失效）——
 //     改用 answer_key「內容雜湊」，只有答案卷真的變才失效。graded_at 抓重批改。
 //   截圖不進此表（免費、由 /api/report/crops 現切）。存取一律 service_role + owner 驗證。
+//   2026-10-19：POST 時 server 依批改結果決定性算出會考等級段落（server/cap-proficiency.js），
+//     寫進 diagnosis.capProficiency（含免責聲明）——不經 AI、前端不用自己組。
 import crypto from 'node:crypto'
 import { handleCors } from '../../server/_cors.js'
 import { getAuthUser } from '../../server/_auth.js'
 import { getSupabaseAdmin } from '../../server/_supabase.js'
+import { CAP_PROFICIENCY_VERSION, computeCapProficiency } from '../../server/cap-proficiency.js'
+import { normalizeExamDimension, resolveAssignmentExamContext } from '../../server/exam-frameworks.js'
 
 // 答案卷「答案內容」指紋：只取影響報告對錯的欄位（每題 id + answer + parts 答案），
 //   ⚠不可含整個 answer_key——批改會回寫 bbox/crop/alignment 等 metadata、害整個雜湊變、報告全假失效。
 //   只有老師真的改「答案」才會變。跨讀取穩定。
-function akFingerprint(ak) {
+//   2026-10-19：再納入 analysis.examDimension（會考等級段落的向度依據）與 CAP_PROFICIENCY_VERSION
+//     （等級描述 / 門檻改版 → 舊報告標 stale）。上線當下屬一次性失效（同 07-22 graded_fp 換格式）。
+//     assignments.concept_tags 的向度（答案卷沒標時的後備）也算：有標才放進指紋（t），沒標的作業指紋不變。
+function akFingerprint(ak, conceptTags) {
   let obj = ak
   if (typeof ak === 'string') { try { obj = JSON.parse(ak) } catch { obj = null } }
   const qs = Array.isArray(obj?.questions) ? obj.questions : []
-  const core = qs.map((q) => ({
-    id: String(q?.id ?? q?.questionId ?? ''),
-    a: String(q?.answer ?? q?.referenceAnswer ?? ''),
-    p: Array.isArray(q?.parts) ? q.parts.map((pp) => `${pp?.subId ?? ''}=${pp?.answer ?? ''}`) : [],
-  }))
-  return crypto.createHash('sha1').update(JSON.stringify(core)).digest('hex')
+  const tags = conceptTags && typeof conceptTags === 'object' ? conceptTags : {}
+  const core = qs.map((q) => {
+    const id = String(q?.id ?? q?.questionId ?? '')
+    const tagged = String(tags[id]?.examDimension ?? tags[id]?.exam_dimension ?? '')
+    return {
+      id,
+      a: String(q?.answer ?? q?.referenceAnswer ?? ''),
+      p: Array.isArray(q?.parts) ? q.parts.map((pp) => `${pp?.subId ?? ''}=${pp?.answer ?? ''}`) : [],
+      d: String(q?.analysis?.examDimension ?? ''),
+      ...(tagged ? { t: tagged } : {}),
+    }
+  })
+  return crypto.createHash('sha1').update(JSON.stringify({ core, cap: CAP_PROFICIENCY_VERSION })).digest('hex')
+}
+
+// 每生最新一次批改 → 會考等級段落（server/cap-proficiency.js）。只給國中（框架 = cap）：
+//   國小（saa）/ 高中（gsat）/ 年級不明的班級 → 空 Map（不附段落，會考等級套在非國中生身上是錯的）。
+//   向度：答案卷 analysis.examDimension（框架相符）優先、concept_tags 次之，同 exam-dimension-summary。
+async function buildCapProficiencyByStudent(supabaseAdmin, asg, studentIds) {
+  const out = new Map()
+  const ctx = await resolveAssignmentExamContext(supabaseAdmin, asg.id)
+  if (ctx?.framework !== 'cap' || studentIds.length === 0) return out
+  const subject = ctx.subject
+
+  const dimensionByQid = new Map()
+  let akQs = []
+  try {
+    const ak = typeof asg.answer_key === 'string' ? JSON.parse(asg.answer_key) : asg.answer_key
+    akQs = Array.isArray(ak?.questions) ? ak.questions : []
+  } catch { /* ignore */ }
+  const tags = asg.concept_tags && typeof asg.concept_tags === 'object' ? asg.concept_tags : {}
+  for (const q of akQs) {
+    const qid = String(q?.id ?? '')
+    if (!qid) continue
+    const fromAk = q?.analysis?.examFramework === ctx.framework ? q.analysis.examDimension : null
+    const code = normalizeExamDimension(ctx.framework, subject, fromAk || tags[qid]?.examDimension || tags[qid]?.exam_dimension)
+    if (code) dimensionByQid.set(qid, code)
+  }
+
+  const { data: subs } = await supabaseAdmin
+    .from('submissions').select('student_id, graded_at, grading_result, source')
+    .eq('assignment_id', asg.id).in('student_id', studentIds)
+  const latest = new Map()
+  for (const sub of subs ?? []) {
+    if (sub.source === 'student_correction' || !sub.grading_result) continue
+    const sid = String(sub.student_id)
+    const prev = latest.get(sid)
+    if (!prev || (Number(sub.graded_at) || 0) > (Number(prev.graded_at) || 0)) latest.set(sid, sub)
+  }
+  for (const [sid, sub] of latest) {
+    let gr = sub.grading_result
+    if (typeof gr === 'string') { try { gr = JSON.parse(gr) } catch { continue } }
+    const cap = computeCapProficiency({ subject, framework: ctx.framework, dimensionByQid, details: gr?.details })
+    if (cap) out.set(sid, cap)
+  }
+  return out
 }
 
 async function loadAssignment(supabaseAdmin, assignmentId, userId) {
   const { data: asg } = await supabaseAdmin
-    .from('assignments').select('id, owner_id, answer_key').eq('id', assignmentId).maybeSingle()
+    .from('assignments').select('id, owner_id, answer_key, concept_tags').eq('id', assignmentId).maybeSingle()
   if (!asg || asg.owner_id !== userId) return null
   return asg
 }
@@ -80,7 +137,7 @@ export default async function handler(req, res) {
       const { data: subs } = await supabaseAdmin
         .from('submissions').select('student_id, graded_at, score').eq('assignment_id', assignmentId)
       const gradedNow = new Map((subs ?? []).map((s) => [String(s.student_id), `${s.graded_at}|${s.score ?? ''}`]))
-      const akNow = akFingerprint(asg.answer_key)
+      const akNow = akFingerprint(asg.answer_key, asg.concept_tags)
 
       const items = cached.map((r) => {
         const sid = String(r.student_id)
@@ -110,18 +167,28 @@ export default async function handler(req, res) {
       const { data: subs } = await supabaseAdmin
         .from('submissions').select('student_id, graded_at, score').eq('assignment_id', assignmentId)
       const gradedNow = new Map((subs ?? []).map((s) => [String(s.student_id), `${s.graded_at}|${s.score ?? ''}`]))
-      const akFp = akFingerprint(asg.answer_key)
+      const akFp = akFingerprint(asg.answer_key, asg.concept_tags)
+      // 會考等級段落算不出來（例如作業沒有科目）不擋存檔、只是不附
+      let capByStudent = new Map()
+      try {
+        const sids = [...new Set(rawItems.map((it) => String(it?.studentId ?? '').trim()).filter(Boolean))]
+        capByStudent = await buildCapProficiencyByStudent(supabaseAdmin, asg, sids)
+      } catch (e) { console.warn('[parent-cache] cap proficiency failed (fail-open):', e?.message) }
 
       const now = new Date().toISOString()
       const rows = rawItems
         .map((it) => {
           const sid = String(it?.studentId ?? '').trim()
           if (!sid) return null
+          const diagnosis = it?.diagnosis && typeof it.diagnosis === 'object' ? { ...it.diagnosis } : {}
+          delete diagnosis.capProficiency
+          const cap = capByStudent.get(sid)
+          if (cap) diagnosis.capProficiency = cap
           return {
             assignment_id: assignmentId,
             student_id: sid,
             owner_id: user.id,
-            diagnosis: it?.diagnosis && typeof it.diagnosis === 'object' ? it.diagnosis : {},
+            diagnosis,
             comment: typeof it?.comment === 'string' ? it.comment : null,
             graded_fp: gradedNow.get(sid) ?? null,
             answer_key_fp: akFp,
@@ -0,0 +1,66 @@
+// 學生 QR 貼條 PDF（2026-10-19）：每位學生 × 每一頁一張，內容 = 作業 id + 學生 id + 頁碼（server/scan-qr.js）。
+//   POST { assignmentId, layout?: 'labels' | 'strips', studentIds?: string[] }
+//     labels → A4 24 格貼紙（70 × 37mm）；strips → A4 六條裁切條
+//     studentIds 省略 = 作業班級全部學生；頁數 = assignments.total_pages（沒設定 = 1）
+//   貼好 QR 的掃描檔進 data action scan-ingest 時直接依 QR 歸戶、重排，不靠表頭 OCR。
+//   owner 驗證 + service_role（同 answer-key-export）；PDF 經 server/_pdf.js 渲染。
+import { handleCors } from '../../server/_cors.js'
+import { getAuthUser } from '../../server/_auth.js'
+import { getSupabaseAdmin } from '../../server/_supabase.js'
+import { renderHtmlToPdf } from '../../server/_pdf.js'
+import { buildScanLabelsHtml, SCAN_LABEL_LAYOUTS } from '../../server/scan-qr.js'
+
+// 一次最多印這麼多張（單一 PDF 太大 puppeteer 會超時；整校請分班印）
+const MAX_LABELS = 2400
+
+function contentDisposition(name) {
+  const base = String(name || 'scan-labels').replace(/[\\/:*?"<>|\r\n]+/g, '_').slice(0, 80) || 'scan-labels'
+  return `attachment; filename="scan-labels.pdf"; filename*=UTF-8''${encodeURIComponent(`${base}-QR貼條.pdf`)}`
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res)) return
+  if (req.method !== 'POST') { res.status(405).json({ error: 'Method Not Allowed' }); return }
+  try {
+    const { user } = await getAuthUser(req, res)
+    if (!user) { res.status(401).json({ error: 'Unauthorized' }); return }
+    const supabaseAdmin = getSupabaseAdmin()
+
+    const assignmentId = String(req.body?.assignmentId ?? '').trim()
+    if (!assignmentId) { res.status(400).json({ error: 'Missing assignmentId' }); return }
+    const layout = String(req.body?.layout ?? 'labels').trim()
+    if (!SCAN_LABEL_LAYOUTS[layout]) { res.status(400).json({ error: 'layout must be labels | strips' }); return }
+
+    const { data: asg } = await supabaseAdmin
+      .from('assignments').select('id, owner_id, title, classroom_id, total_pages')
+      .eq('id', assignmentId).maybeSingle()
+    if (!asg || asg.owner_id !== user.id) { res.status(403).json({ error: 'Forbidden' }); return }
+
+    const { data: stuRows, error: stuErr } = await supabaseAdmin
+      .from('students').select('id, name, seat_number')
+      .eq('owner_id', user.id).eq('classroom_id', asg.classroom_id)
+    if (stuErr) { res.status(500).json({ error: stuErr.message }); return }
+    const wanted = Array.isArray(req.body?.studentIds) ? new Set(req.body.studentIds.map(String)) : null
+    const students = (stuRows ?? [])
+      .filter((s) => !wanted || wanted.has(s.id))
+      .map((s) => ({ id: s.id, name: s.name, seatNumber: Number.isFinite(s.seat_number) ? s.seat_number : null }))
+    if (!students.length) { res.status(422).json({ error: '沒有學生可以印' }); return }
+    const pageCount = Number.isFinite(asg.total_pages) && asg.total_pages > 0 ? asg.total_pages : 1
+    if (students.length * pageCount > MAX_LABELS) {
+      res.status(422).json({ error: `一次最多 ${MAX_LABELS} 張貼條（${students.length} 人 × ${pageCount} 頁），請分批印` })
+      return
+    }
+
+    const { html, labelCount } = await buildScanLabelsHtml({ assignmentId, title: asg.title ?? '', pageCount, students, layout })
+    const pdf = await renderHtmlToPdf(html)
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Length', pdf.length)
+    res.setHeader('Content-Disposition', contentDisposition(asg.title))
+    res.setHeader('X-Label-Count', String(labelCount))
+    res.setHeader('Cache-Control', 'no-store')
+    res.status(200).send(pdf)
+  } catch (err) {
+    console.error('[report/scan-labels] failed:', err?.message)
+    res.status(500).json({ error: err instanceof Error ? err.message : 'scan labels failed' })
+  }
+}
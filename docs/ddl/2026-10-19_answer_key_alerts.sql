@@ -0,0 +1,43 @@
+-- 答案卷錯誤警示（2026-10-19）
+-- 背景：答案卷某題標錯 → 全班同一題都被判錯、訂正也照派，以前要等家長來問才發現。
+--       Phase B 存檔後對「本班 + 同版本血緣家族」做統計檢查（server/answer-key-audit.js）：
+--       高分組反而答錯、同一個非標答答案佔多數、查表制把多數人的答案凍結成低分。
+--       本表＝每份作業每題一列可疑警示。
+--
+-- 寫入：api/data/[action].js auditAnswerKeyAfterPhaseB（save-grading AI 輪完成、grading_jobs 整班最後一卷；fail-open）
+--   ・status：open（blocking）/ dismissed（老師判定不是答案卷的問題，之後不再重開）/ resolved（已改答案卷，或重新偵測後不再可疑）
+--   ・signals：[{code, message}]；stats：難度 / 鑑別度 / 可疑答案佔比
+--   ・affected：本班「答可疑答案而被扣分」的學生 [{studentId, submissionId}]
+--   ・resolution：改答案的結果 {by, decision, previousAnswer, answer, mode} 或 dismiss 的 {note}
+-- 讀取 / 處理：data action answer-key-alerts（GET 列表、POST apply / dismiss）、assignment-state-summary（answerKeyAlerts）
+-- blocking：open 期間 correction-dispatch-toggle 開啟回 409 ANSWER_KEY_SUSPECT（force 才放行），
+--   applySubmissionStateTransitions 不把新卷轉成 correction_required
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（API 經 server）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（程式端 fail-open，表不存在 = 不偵測、不擋）
+
+create table if not exists public.answer_key_alerts (
+  id                uuid        primary key default gen_random_uuid(),
+  owner_id          uuid        not null,               -- 作業 owner（老師）
+  assignment_id     text        not null,
+  question_id       text        not null,
+  status            text        not null default 'open' check (status in ('open', 'dismissed', 'resolved')),
+  current_answer    text,
+  suspected_answer  text,
+  confidence        text,                               -- high / medium
+  signals           jsonb       not null default '[]'::jsonb,
+  stats             jsonb,
+  affected          jsonb       not null default '[]'::jsonb,
+  sample_count      integer     not null default 0,     -- 偵測時家族總樣本數
+  detected_at       timestamptz not null default now(),
+  resolved_at       timestamptz,
+  resolved_by       uuid,
+  resolution        jsonb,
+  updated_at        timestamptz not null default now(),
+  unique (owner_id, assignment_id, question_id)
+);
+
+create index if not exists answer_key_alerts_open_idx on public.answer_key_alerts (owner_id, assignment_id)
+  where status = 'open';
+
+alter table public.answer_key_alerts enable row level security;
@@ -0,0 +1,32 @@
+-- 概念先備關係圖（2026-10-19）
+-- 背景：concept_map 只有「每年級每科一串代碼」，沒有先後關係；學生 N-5-4 不會，病根常在 N-4-x。
+--       班級報告的建議卻停在症狀題（「複習第 12 題」）。本表＝人工審訂的先備邊，可跨年級。
+--
+-- 寫入：data action concept-prerequisites（admin 匯入 CSV / JSON，格式見 docs/概念先備關係匯入格式.md）
+--   ・from_code = 先備（要先學會的）、to_code = 依賴它的概念；兩端都必須在 concept_map
+--   ・匯入時整張圖檢查環，有環整批拒收（程式端檢查，DB 不擋）
+-- 讀取：server/concept-prerequisites.js（remediation-path、generateAssignmentSummary 的先備概念追溯）
+--
+-- assignment_summaries.remediation_paths：班級報告的補救路徑
+--   { targets[{ code, label, failedCount, studentCount }], path[{ code, label, role, mastery, evidenceCount, feeds }],
+--     rootCauses[], unverified[] }；沒有先備資料 = null
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（API 經 server）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（assignment-summary 會 select remediation_paths）
+
+create table if not exists public.concept_prerequisites (
+  subject     text        not null,               -- concept_map.subject（math / chinese / nature_phy …）
+  from_code   text        not null,               -- 先備概念
+  to_code     text        not null,               -- 依賴先備的概念
+  note        text,
+  source      text        not null default 'import',
+  created_by  uuid,
+  created_at  timestamptz not null default now(),
+  primary key (subject, from_code, to_code)
+);
+
+create index if not exists concept_prerequisites_to_idx on public.concept_prerequisites (to_code);
+
+alter table public.concept_prerequisites enable row level security;
+
+alter table public.assignment_summaries add column if not exists remediation_paths jsonb;
@@ -0,0 +1,145 @@
+-- 通用批改工作佇列（2026-10-19）
+-- 背景：批改跑在 api/proxy.js 的 request 裡（maxDuration 300s），一班 40+ 張卷常撞 timeout、
+--       批到一半的班沒有可靠的續跑點；只有學生訂正有 cron 式佇列（process-grading 每次撈 10 筆
+--       pending_grading），school_grading_jobs 又是另一套 tick loop。
+--       本表＝Phase A / Phase B / 訂正重批 / 班級報告 / 學校代批共用的一條佇列，一列＝一個工作單位。
+--       學校代批：school_grading_jobs 只留母紀錄（進度 / 扣點 / 暫停），每卷一筆 kind='school_grade'、
+--       batch_id = school_grading_jobs.id。
+--       作答圖指紋：上傳後每卷一筆 kind='fingerprint'（背景算 image_fingerprints，不計入批改進度）。
+--       tick 由 Vercel Cron（vercel.json crons，每分鐘）打 action=grading-jobs&mode=tick。
+--
+-- 生命週期：queued → running →（succeeded | queued 退避重試 | dead 死信 | cancelled）
+--   ・lease：worker 搶到時寫 lease_until + leased_by；執行中 heartbeat 延長 lease。
+--            function 被砍（timeout/部署）→ heartbeat 停 → lease 過期 → 下一個 tick 重新搶（算一次 attempt）
+--   ・重試：失敗且 attempts < max_attempts → 回 queued、run_after = 指數退避
+--   ・死信：attempts 用完或不可重試錯誤 → dead（保留 last_error，老師 / admin 可一鍵 retry）
+--   ・per-owner 併發：同一 owner 同時 running（lease 未過期）的工作數上限由 claim 參數決定，
+--            一位老師丟 40 張卷不會吃光整個 worker、其他老師照排得到
+--
+-- dedupe_key：同一張卷同一種工作同時只能有一筆 queued/running（partial unique index）
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（API 經 server）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式
+
+create table if not exists public.grading_jobs (
+  id            text        primary key,              -- 'gj_' + base36
+  kind          text        not null,                 -- 'phase_a' | 'phase_b' | 'recheck' | 'report' | 'school_grade' | 'fingerprint'
+  owner_id      uuid        not null,                 -- 作業 owner（計費 / 併發歸屬）
+  actor_id      uuid,                                 -- 誰排的工作
+  assignment_id text,
+  submission_id text,
+  batch_id      text,                                 -- 同一次「整班送出」共用，進度查詢用
+  payload       jsonb       not null default '{}'::jsonb,
+  status        text        not null default 'queued',
+  priority      integer     not null default 0,       -- 大者先跑（Phase B 比 Phase A 先，讓已讀完的卷先出分）
+  attempts      integer     not null default 0,
+  max_attempts  integer     not null default 4,
+  run_after     timestamptz not null default now(),
+  lease_until   timestamptz,
+  leased_by     text,
+  heartbeat_at  timestamptz,
+  last_error    text,
+  result        jsonb,
+  dedupe_key    text,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  finished_at   timestamptz,
+  constraint grading_jobs_kind_chk check (kind in ('phase_a', 'phase_b', 'recheck', 'report', 'school_grade', 'fingerprint')),
+  constraint grading_jobs_status_chk check (status in ('queued', 'running', 'succeeded', 'dead', 'cancelled'))
+);
+
+create unique index if not exists grading_jobs_dedupe_active_uniq
+  on public.grading_jobs (dedupe_key)
+  where dedupe_key is not null and status in ('queued', 'running');
+
+-- claim 掃描：可跑的 queued + lease 過期的 running
+create index if not exists grading_jobs_claim_idx
+  on public.grading_jobs (status, run_after)
+  where status in ('queued', 'running');
+
+create index if not exists grading_jobs_batch_idx on public.grading_jobs (batch_id);
+create index if not exists grading_jobs_owner_assignment_idx on public.grading_jobs (owner_id, assignment_id, created_at desc);
+
+alter table public.grading_jobs enable row level security;
+
+-- ── 原子搶工作 ─────────────────────────────────────────────
+-- FOR UPDATE SKIP LOCKED：多個 tick 同時跑也不會搶到同一筆。
+-- lease 過期的 running = 上一個 worker 死掉；attempts 已用完者直接轉 dead、不再派發，
+--   並且跟搶到的工作一起回傳（status='dead'），由 worker 跑死信收尾（卷標 grading_failed）。
+create or replace function public.claim_grading_jobs(
+  p_worker_id     text,
+  p_limit         integer,
+  p_lease_seconds integer,
+  p_owner_limit   integer
+) returns setof public.grading_jobs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_job     public.grading_jobs;
+  v_running integer;
+  v_taken   integer := 0;
+  v_owner_counts jsonb := '{}'::jsonb;
+begin
+  -- 先把「lease 過期且 attempts 用完」的 running 收成 dead（worker 死在最後一次嘗試），回傳給呼叫端收尾
+  for v_job in
+    update public.grading_jobs
+       set status = 'dead',
+           lease_until = null,
+           leased_by = null,
+           last_error = coalesce(last_error, 'lease expired on final attempt'),
+           finished_at = now(),
+           updated_at = now()
+     where status = 'running'
+       and lease_until < now()
+       and attempts >= max_attempts
+    returning *
+  loop
+    return next v_job;
+  end loop;
+
+  for v_job in
+    select *
+      from public.grading_jobs
+     where (status = 'queued' and run_after <= now())
+        or (status = 'running' and lease_until < now())
+     order by priority desc, run_after asc, created_at asc
+     limit greatest(p_limit, 1) * 10
+     for update skip locked
+  loop
+    exit when v_taken >= p_limit;
+
+    if not (v_owner_counts ? v_job.owner_id::text) then
+      select count(*) into v_running
+        from public.grading_jobs
+       where owner_id = v_job.owner_id
+         and status = 'running'
+         and lease_until >= now();
+      v_owner_counts := v_owner_counts || jsonb_build_object(v_job.owner_id::text, v_running);
+    end if;
+    continue when (v_owner_counts ->> v_job.owner_id::text)::integer >= p_owner_limit;
+
+    update public.grading_jobs
+       set status = 'running',
+           attempts = attempts + 1,
+           lease_until = now() + make_interval(secs => p_lease_seconds),
+           leased_by = p_worker_id,
+           heartbeat_at = now(),
+           updated_at = now()
+     where id = v_job.id
+    returning * into v_job;
+
+    v_owner_counts := jsonb_set(
+      v_owner_counts,
+      array[v_job.owner_id::text],
+      to_jsonb((v_owner_counts ->> v_job.owner_id::text)::integer + 1)
+    );
+    v_taken := v_taken + 1;
+    return next v_job;
+  end loop;
+  return;
+end;
+$$;
+
+revoke all on function public.claim_grading_jobs(text, integer, integer, integer) from public, anon, authenticated;
@@ -0,0 +1,40 @@
+-- 批改進度事件（2026-10-19）
+-- 背景：staged-grading 的 logStageStart / logStageEnd 只印 Vercel log，前端要等整個 proxy call
+--       回來才知道結果；老師盯著 35 張卷的 spinner 好幾分鐘、不知道是不是卡住。
+--       本表＝每張卷的階段轉換 / 重試 / quality gate fail / 失敗事件，給 data action
+--       grading-progress（SSE 或 long-poll）依 pipeline_run_id / request_id / submission 讀。
+--       看進度跟跑批改的 request 通常不在同一台 instance → 事件只能經 DB。
+--
+-- 寫入：server/ai/grading-progress.js（buffer 合併 insert、fail-open）
+--   ・event_type：stage_start | stage_end | retry | quality_gate | failure | phase_end | run_end
+--   ・stage_group：UI 五階段（classify / read / arbiter / accessor / explain / other，同 stage_latencies.by_stage）
+--   ・id 遞增＝讀取游標（SSE 的 Last-Event-ID / long-poll 的 after）
+--
+-- 保存：純即時用途，建議排程刪 7 天前（delete from grading_progress_events where created_at < now() - interval '7 days'）
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（API 經 server）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（程式端 fail-open，表不存在 = 沒有進度事件）
+
+create table if not exists public.grading_progress_events (
+  id              bigint generated always as identity primary key,
+  pipeline_run_id text        not null,
+  request_id      text,                                 -- proxy 的 x-request-id（前端送出前就知道、用它訂閱）
+  owner_id        uuid        not null,                 -- 作業 owner（讀取權限）
+  assignment_id   text,
+  submission_id   text,
+  route           text,                                 -- 'grading.phase_a' / 'grading.phase_b' …
+  event_type      text        not null,
+  stage           text,
+  stage_group     text,
+  status          integer,
+  latency_ms      integer,
+  detail          jsonb,
+  created_at      timestamptz not null default now()
+);
+
+create index if not exists grading_progress_events_run_idx on public.grading_progress_events (pipeline_run_id, id);
+create index if not exists grading_progress_events_request_idx on public.grading_progress_events (request_id, id) where request_id is not null;
+create index if not exists grading_progress_events_owner_submission_idx on public.grading_progress_events (owner_id, submission_id, id);
+create index if not exists grading_progress_events_created_idx on public.grading_progress_events (created_at);
+
+alter table public.grading_progress_events enable row level security;
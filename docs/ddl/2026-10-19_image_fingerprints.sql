@@ -0,0 +1,47 @@
+-- 作答圖 / 答案卷感知雜湊指紋（2026-10-19）
+-- 背景：同一張照片傳給兩位學生、卷子掛錯座號、拍成別份作業的卷子，以前要等批改完才發現。
+--       server/image-fingerprint.js 對每張作答圖算 page hash（每頁）+ region hash（每頁 3 × 4 格），
+--       答案卷原圖（assignments.answer_sheet_image_paths）算一份當版面指紋，讀取時在同作業內兩兩比對。
+--
+-- 寫入：api/data/[action].js runSubmissionFingerprintJob（grading_jobs kind=fingerprint，背景跑）
+--   ・kind=submission：handleSubmission / handleStudentSubmission（upload 模式）/ 整班掃描 createScanSubmission 寫入 submission 圖後
+--     recordSubmissionFingerprint 排工作；每位學生每份作業一列（重傳覆蓋），student_id = 學生 id
+--   ・kind=answer_sheet：該作業第一次有作答圖時順便算答案卷；student_id = ''（空字串，讓 unique 生效）
+--   ・pages：[{ hash: 16 位 hex, regions: [hex|null × 12] }]
+-- 讀取：data action correction-dashboard（imageIntegrityWarnings + 每位學生 imageWarnings）、
+--       assignment-state-summary（imageIntegrityWarnings by assignment）
+--   比對結果快取在 image_integrity_warnings（每份作業一列）：source_updated_at = 算的當下本作業指紋與 owner 最新答案卷版面
+--   的 updated_at 較大者；讀取時對不上才重算寫回（指紋工作跑完也會先算好）。
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（API 經 server）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（程式端 fail-open，表不存在 = 不算指紋、不出警示，上傳照常）
+
+create table if not exists public.image_fingerprints (
+  id             uuid        primary key default gen_random_uuid(),
+  owner_id       uuid        not null,
+  assignment_id  text        not null,
+  kind           text        not null check (kind in ('submission', 'answer_sheet')),
+  student_id     text        not null default '',
+  submission_id  text,
+  source         text,                                   -- student_upload / teacher_scan / teacher_camera（answer_sheet 為 null）
+  pages          jsonb       not null default '[]'::jsonb,
+  created_at     timestamptz not null default now(),
+  updated_at     timestamptz not null default now(),
+  unique (owner_id, assignment_id, kind, student_id)
+);
+
+create index if not exists image_fingerprints_answer_sheet_idx on public.image_fingerprints (owner_id, updated_at desc)
+  where kind = 'answer_sheet';
+
+alter table public.image_fingerprints enable row level security;
+
+create table if not exists public.image_integrity_warnings (
+  owner_id           uuid        not null,
+  assignment_id      text        not null,
+  warnings           jsonb       not null default '[]'::jsonb,   -- findFingerprintConflicts 的結果（含 label）
+  source_updated_at  timestamptz not null,
+  updated_at         timestamptz not null default now(),
+  primary key (owner_id, assignment_id)
+);
+
+alter table public.image_integrity_warnings enable row level security;
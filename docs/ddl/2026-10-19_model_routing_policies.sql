@@ -0,0 +1,40 @@
+-- 批改 model 分流政策表（2026-10-19）
+-- 背景：resolveStageModel 只看全域 STAGE_MODEL + env（MODEL_PRO / MODEL_FLASH / JUDGE_MODEL），
+--       想試新 model 只能全站重新部署（見 model-config.js 3.5→3.6 切換註記）。
+--       本表讓「某校 / 某老師 / 某份作業」單獨換 route 的 model——例：只在一所學校的模擬考
+--       canary 新 model，其他人照跑凍結的判官 model。
+--
+-- 鍵：(scope_type, scope_id, route_key) 唯一
+--   ・scope_type：'assignment' > 'teacher' > 'school'（同 route 多筆命中時的優先序，程式端決定）
+--   ・scope_id  ：assignments.id / profiles.id / schools.id（一律存 text）
+--   ・route_key ：AI_ROUTE_KEYS 的值（如 'grading.read_answer'），或 'judge' = 判官家族
+--                 （判官 call 的 routeKey 跟一般讀值共用，只能用家族鍵指定、一般 routeKey 政策不會換掉判官）
+--   ・model     ：要 pin 的完整 model 版本字串，可帶供應商前綴（'openai:…' / 'local:…'，見 model-providers.js）
+--
+-- 紀錄：實際跑的 model（含 Google 回的 modelVersion）寫進 phase_a_state.modelRouting、
+--       grading_result.modelRouting，再進 grading_run_history.config.modelRouting（同組態判別用）。
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（admin 直接改表）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（程式端 fail-open，表不存在 = 照全域設定跑）
+
+create table if not exists public.model_routing_policies (
+  id          bigint generated always as identity primary key,
+  scope_type  text        not null,
+  scope_id    text        not null,
+  route_key   text        not null,
+  model       text        not null,
+  enabled     boolean     not null default true,
+  note        text,                                 -- 為什麼開（canary 目的 / 拍板紀錄）
+  created_by  uuid,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now(),
+  constraint model_routing_policies_scope_route_uniq unique (scope_type, scope_id, route_key),
+  constraint model_routing_policies_scope_type_chk check (scope_type in ('school', 'teacher', 'assignment'))
+);
+
+-- 每次 pipeline 入口依 scope 查（enabled 才算）
+create index if not exists model_routing_policies_scope_idx
+  on public.model_routing_policies (scope_type, scope_id)
+  where enabled;
+
+alter table public.model_routing_policies enable row level security;
@@ -0,0 +1,45 @@
+-- 整班掃描拆卷紀錄 / 確認佇列（2026-10-19）
+-- 背景：老師／教務處把整疊考卷掃成一個檔，以前 handleSubmission / handleStudentSubmission 只收「一個學生一張合併圖」，
+--       要在前端一份一份切、一份一份選學生。server/scan-split.js 讀每頁表頭（座號／姓名 OCR）對名冊、依答案卷頁數切卷。
+--       本表＝每批掃描裡每份卷子一列：自動建好的（created）與信心不足、等老師確認的（pending）。
+--
+-- 寫入：api/data/[action].js handleScanIngest（data action scan-ingest，op=split）
+--   ・status：pending（待確認；合併圖暫存在 staged_image_path）/ created（已建 submission）/ discarded（老師丟棄）
+--   ・reason：NO_HEADER / LOW_CONFIDENCE / SEAT_NAME_CONFLICT / DUPLICATE_STUDENT / PAGE_COUNT_MISMATCH / ALREADY_GRADED / EXISTING_SUBMISSION
+--   ・parsed：表頭讀到的 {seatNumber, name}；candidates：名冊候選 [{studentId, name, seatNumber, score, by}]
+--   ・page_breaks：合併圖的頁界（同 submissions.page_breaks）
+-- 讀取 / 處理：data action scan-ingest（GET 列表 / 暫存圖，POST op=confirm 指定學生、op=discard）
+-- 暫存檔：homework-images/scan-ingest/<owner_id>/<batch_id>/…（確認後搬到 submissions/<id>.webp）
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（API 經 server）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（程式端 fail-open，表不存在 = 只建高信心的卷、待確認的只回在 response）
+
+create table if not exists public.scan_ingest_items (
+  id                 uuid        primary key default gen_random_uuid(),
+  owner_id           uuid        not null,               -- 作業 owner（老師）
+  assignment_id      text        not null,
+  batch_id           text        not null,
+  paper_index        integer     not null,               -- 批內第幾份（0 起；split 分段時接續前一段的 nextPaperIndex）
+  page_start         integer     not null,               -- 在掃描檔的起始頁（0 起）
+  page_count         integer     not null,
+  status             text        not null default 'pending' check (status in ('pending', 'created', 'discarded')),
+  reason             text,
+  confidence         text,                               -- high / medium / low / none
+  header_text        text,
+  parsed             jsonb,
+  candidates         jsonb       not null default '[]'::jsonb,
+  student_id         text,
+  submission_id      text,
+  staged_image_path  text,
+  staged_thumb_path  text,
+  page_breaks        jsonb,
+  created_at         timestamptz not null default now(),
+  resolved_at        timestamptz,
+  resolved_by        uuid,
+  unique (owner_id, batch_id, paper_index)
+);
+
+create index if not exists scan_ingest_items_pending_idx on public.scan_ingest_items (owner_id, assignment_id)
+  where status = 'pending';
+
+alter table public.scan_ingest_items enable row level security;
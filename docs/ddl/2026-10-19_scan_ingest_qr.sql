@@ -0,0 +1,12 @@
+-- 整班掃描拆卷：QR 貼條歸戶欄位（2026-10-19）
+-- 背景：QR 貼條（server/scan-qr.js、api/report/scan-labels.js 印）讓每一頁自帶 作業 + 學生 + 頁碼，
+--       掃描檔裡的頁可以亂序、缺頁、混到別份作業；一份卷子的頁不再是掃描檔裡連續的一段。
+--   ・page_indexes：本份卷子在掃描檔的頁序（0 起、已依貼條頁碼排好）；page_start / page_count 保留給舊資料
+--   ・routed_by：qr（依貼條歸戶）/ header（表頭 OCR）
+--   ・reason 新增：QR_MISSING_PAGES / QR_DUPLICATE_PAGES / QR_OTHER_ASSIGNMENT / QR_UNKNOWN_STUDENT
+--   ・parsed（QR 歸戶時）：{qr: true, missingPages, duplicatePages}
+--
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（欄位不存在 = 佇列寫入失敗、fail-open：高信心的卷照建，待確認的只回在 response）
+
+alter table public.scan_ingest_items add column if not exists page_indexes jsonb;
+alter table public.scan_ingest_items add column if not exists routed_by text not null default 'header';
@@ -0,0 +1,34 @@
+-- 學生 × 概念長期精熟度（2026-10-19）
+-- 背景：每份作業都把 conceptTags（108 課綱代碼）凍結進 submission，但沒有東西跨作業彙總；
+--       導師要看「這個學生 N-7-3 連續三次考試沒過」，不是單次分數。
+--       本表＝每位學生每個概念一列：BKT 精熟度 + 證據數 + 連續未過次數 + 最近觀測。
+--
+-- 寫入：server/concept-mastery.js recordConceptMastery（每次批改結果寫入後；fail-open）
+--   ・observations：最近 40 份作業的觀測 [{a: assignment_id, t: 批改時間 ms, s: 得分, m: 配分, r: [逐題得分率]}]
+--     估計值每次從 observations 重播——同一份作業重批改會取代該筆、不重複計入（冪等）
+--   ・mastery：最後一次觀測當下的精熟度；讀取端依 last_observed_at 再做時間衰減（半衰期 90 天）
+--   ・consecutive_failures：依時間排序、最後連續幾份作業得分率 < 50%（≥ 3 → struggling）
+-- 讀取：data action student-overview（學生本人）、concept-mastery-heatmap（老師 × 班級）
+--
+-- RLS 開啟但不建 policy = 只有 service_role 可讀寫（API 經 server）
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式（程式端 fail-open，表不存在 = 不追蹤）
+
+create table if not exists public.student_concept_mastery (
+  owner_id             uuid        not null,               -- 作業 owner（老師）
+  student_id           text        not null,               -- students.id 是 text
+  concept_code         text        not null,
+  concept_label        text,
+  mastery              numeric(5,3) not null default 0.3,
+  evidence_count       integer     not null default 0,     -- 累計題數（observations 內）
+  consecutive_failures integer     not null default 0,
+  observations         jsonb       not null default '[]'::jsonb,
+  last_observed_at     timestamptz,
+  updated_at           timestamptz not null default now(),
+  primary key (owner_id, student_id, concept_code)
+);
+
+create index if not exists student_concept_mastery_owner_concept_idx on public.student_concept_mastery (owner_id, concept_code);
+create index if not exists student_concept_mastery_struggling_idx on public.student_concept_mastery (owner_id, student_id)
+  where consecutive_failures >= 3;
+
+alter table public.student_concept_mastery enable row level security;
@@ -0,0 +1,14 @@
+-- submissions.teacher_marked：老師明確標記「這張卷子已經用紅筆改過」（2026-10-19）
+-- 背景：老師紅筆濾除（server/ai/teacher-ink.js）原本對所有 teacher_scan 卷、紅色像素超過 0.05% 就啟動，
+--       學生用紅筆作答、紅色印刷的考卷也會被濾掉答案。改成只看老師上傳時的明確標記。
+--
+-- 寫入：api/data/[action].js
+--   ・handleSubmission（body.teacherMarked）、sync（submissions[].teacherMarked）
+--   ・整班掃描 scan-ingest op=split（body.teacherMarked → scan_ingest_items.teacher_marked → 建卷 / 確認時帶過來）
+-- 讀取：grading_jobs Phase A / B（loadGradingJobContext）→ payload.teacherMarked → staged-grading 紅筆濾除 / 老師評分讀取
+--
+-- ⚠️ 照慣例：先跑本 DDL、再 push server 程式
+
+alter table public.submissions add column if not exists teacher_marked boolean not null default false;
+-- 整班掃描待確認的卷：上傳時的標記先存在佇列，老師確認建卷時帶到 submissions
+alter table public.scan_ingest_items add column if not exists teacher_marked boolean not null default false;
@@ -0,0 +1,167 @@
+// 批改錄製/回放(2026-10-19):把一份卷的 Phase A→B 每個 model call 錄成 fixture,之後零網路重跑。
+//   snapshot-grading / diff-vs-snapshot 只能對「最終分數 vs live DB」,每驗一次 gate 改動都要重打付費 call、
+//   而且 AI 每輪會飄 → 分不出是改動造成還是噪音。fixture 把 AI 回應釘死,diff 只剩 code 改動的影響。
+// 用法:
+//   node local-only/replay-grading.mjs record <submissionId> [標籤]    (live、需 .env.local + Gemini key)
+//   node local-only/replay-grading.mjs replay <fixture 檔名或路徑> [--loose]   (零網路)
+//   --loose:prompt 改版後 exact key 對不到時、改吐同 routeKey 的下一筆回應(只驗 gate/後處理用)
+// 隔離(錄製與回放一致、否則兩邊走的分支不同):
+//   ① 輸入(答案卷/學生圖/答案卷參考圖)錄製時先抓進 fixture,之後 pipeline 的 DB 一律指到死 port
+//      → 冷凍表/語意表/stage log 全部 fail-open、錄製也不會回寫 production 的 phase_a_state
+//   ② OCR 增益與 dewarp 關閉(外部服務、不在 fixture 內)
+// 圖片不進 bundle(server/ai/model-replay.js 的約定):fixture 的 input 只存 {path, mimeType, sha256},
+//   原圖存到 replay-fixtures/images/<sha256>(多份 fixture 共用同一張卷只存一次);回放從這裡讀、不連網。
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const FIXTURE_DIR = path.join(__dirname, 'replay-fixtures')
+const IMAGE_DIR = path.join(FIXTURE_DIR, 'images')
+// {path, mimeType, data(base64)} → {path, mimeType, sha256}(原圖寫進 IMAGE_DIR)
+const stashImage = ({ path: p, mimeType, data }) => {
+  const buf = Buffer.from(data, 'base64')
+  const sha256 = crypto.createHash('sha256').update(buf).digest('hex')
+  const f = path.join(IMAGE_DIR, sha256)
+  if (!fs.existsSync(f)) fs.writeFileSync(f, buf)
+  return { path: p, mimeType, sha256 }
+}
+const loadImage = ({ path: p, mimeType, sha256, data }) => {
+  if (typeof data === 'string') return { mimeType, data } // 舊 fixture(圖片還內嵌在 input)
+  const f = path.join(IMAGE_DIR, String(sha256))
+  if (!fs.existsSync(f)) { console.error(`缺原圖 ${p}(${f});請把錄製機的 replay-fixtures/images/ 一起複製過來`); process.exit(1) }
+  return { mimeType, data: fs.readFileSync(f).toString('base64') }
+}
+const [MODE, TARGET, ...REST] = process.argv.slice(2)
+if (!['record', 'replay'].includes(MODE) || !TARGET) {
+  console.error('用法: node replay-grading.mjs record <submissionId> [標籤] | replay <fixture> [--loose]'); process.exit(1)
+}
+
+let input = null, fixture = null
+if (MODE === 'record') {
+  for (const l of fs.readFileSync(path.join(__dirname, '../.env.local'), 'utf8').split('\n')) { const m = l.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)$/); if (m && !process.env[m[1]]) process.env[m[1]] = m[2].replace(/^["']|["']$/g, '').replace(/\r$/, '').trim() }
+  const { createClient } = await import('@supabase/supabase-js')
+  const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  const { data: sub } = await db.from('submissions').select('id,assignment_id,image_url,source,page_breaks').eq('id', TARGET).maybeSingle()
+  if (!sub) { console.error(`找不到 submission ${TARGET}`); process.exit(1) }
+  const { data: asg } = await db.from('assignments').select('id,title,domain,answer_key,answer_sheet_mode,total_pages,answer_sheet_image_paths,answer_key_template_id').eq('id', sub.assignment_id).maybeSingle()
+  const bucket = db.storage.from('homework-images')
+  const mimeOf = (p) => (p.endsWith('.webp') ? 'image/webp' : p.endsWith('.png') ? 'image/png' : 'image/jpeg')
+  const imageOf = async (p) => {
+    const { data } = await bucket.download(p)
+    return data ? { path: p, mimeType: mimeOf(p), data: Buffer.from(await data.arrayBuffer()).toString('base64') } : null
+  }
+  const imagePath = sub.image_url || `submissions/${sub.id}.webp`
+  const subImg = await imageOf(imagePath)
+  if (!subImg) { console.error('學生圖下載失敗'); process.exit(1) }
+  // 答案卷參考圖:同 proxy fetchAnswerSheetImagesForClassify(page-0..9、模板引用 fallback)
+  let akImgs = []
+  for (let i = 0; i < 10; i++) { const d = await imageOf(`answer-sheets/${asg.id}/page-${i}.webp`); if (!d) break; akImgs.push(d) }
+  if (akImgs.length === 0) for (const p of asg.answer_sheet_image_paths ?? []) { const d = await imageOf(p); if (d) akImgs.push(d) }
+  // 題本圖:answer_only Phase B 用(同 schoolJobFetchBookletImages:assignment 目錄優先、退 template)
+  let bookletImgs = []
+  if (asg.answer_sheet_mode === 'answer_only') {
+    for (const dir of [asg.id, asg.answer_key_template_id].filter(Boolean)) {
+      for (let i = 0; i < 10; i++) { const d = await imageOf(`question-booklets/${dir}/page-${i}.webp`); if (!d) break; bookletImgs.push(d) }
+      if (bookletImgs.length > 0) break
+    }
+  }
+  input = {
+    submissionId: sub.id, assignmentId: asg.id, title: asg.title, domain: asg.domain,
+    answerKey: typeof asg.answer_key === 'string' ? JSON.parse(asg.answer_key) : asg.answer_key,
+    answerSheetMode: asg.answer_sheet_mode === 'answer_only' ? 'answer_only' : 'with_questions',
+    submissionSource: sub.source || 'teacher_scan',
+    pageBreaks: Array.isArray(sub.page_breaks) && sub.page_breaks.length > 0 ? sub.page_breaks : null,
+    assignmentTotalPages: asg.total_pages != null ? Number(asg.total_pages) : null,
+    submissionImage: subImg,
+    answerKeyImages: akImgs,
+    questionBookletImages: bookletImgs,
+  }
+} else {
+  let f = TARGET
+  if (!fs.existsSync(f)) f = path.join(FIXTURE_DIR, TARGET)
+  fixture = JSON.parse(fs.readFileSync(f, 'utf8'))
+  input = {
+    ...fixture.input,
+    submissionImage: loadImage(fixture.input.submissionImage),
+    answerKeyImages: (fixture.input.answerKeyImages ?? []).map(loadImage),
+    questionBookletImages: (fixture.input.questionBookletImages ?? []).map(loadImage),
+  }
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'replay-offline'
+}
+// 隔離:輸入已到手 → pipeline 內所有 DB 存取指到死 port(fail-open)、關外部服務
+process.env.SUPABASE_URL = 'http://127.0.0.1:9'
+process.env.OCR_ASSIST_CLASSIFY_ENABLED = 'false'
+process.env.DEWARP_ENABLED = '0'
+
+const { runStagedGradingPhaseA, runStagedGradingPhaseB } = await import('../server/ai/staged-grading.js')
+const { createModelRecorder, createModelReplayer, runWithModelSession } = await import('../server/ai/model-replay.js')
+const session = MODE === 'record' ? createModelRecorder() : createModelReplayer(fixture, { onMiss: REST.includes('--loose') ? 'route' : 'error' })
+const apiKey = MODE === 'record' ? (process.env.SECRET_API_KEY || process.env.SYSTEM_GEMINI_API_KEY) : 'replay'
+
+// 不帶 submissionId/ownerId:不觸發 persist/stage log(錄製時也不碰 production)
+const inlineOf = ({ mimeType, data }) => ({ mimeType, data })
+const internalContext = {
+  resolvedAnswerKey: input.answerKey, answerKeyImages: input.answerKeyImages.map(inlineOf), answerSheetMode: input.answerSheetMode,
+  questionBookletImages: input.questionBookletImages.map(inlineOf),
+  domainHint: input.domain || undefined, assignmentTotalPages: input.assignmentTotalPages, requestId: `replay-${input.submissionId}`,
+}
+const contents = [{ role: 'user', parts: [{ inlineData: inlineOf(input.submissionImage) }] }]
+const payload = { domain: input.domain, submissionSource: input.submissionSource, ...(input.pageBreaks ? { pageBreaks: input.pageBreaks } : {}) }
+const t0 = Date.now()
+const output = await runWithModelSession(session, async () => {
+  const a = await runStagedGradingPhaseA({ apiKey, model: 'replay', contents, payload, internalContext })
+  if (!a?.phaseAComplete) return { phaseA: a?.pipelineFailure ? { pipelineFailure: a.pipelineFailure } : null, phaseB: null }
+  const phaseAResult = {
+    questionResults: a.questionResults,
+    _phaseContext: { answerKey: a._internal.answerKey, questionIds: a._internal.questionIds, classifyResult: a._internal.classifyResult, pipelineRunId: a._internal.pipelineRunId, stagedLogLevel: a._internal.stagedLogLevel },
+  }
+  // finalAnswers = 老師沒改的情況(arbiter 讀值)、同 Phase B fromCache 的預設
+  const finalAnswers = a.questionResults.filter((qr) => typeof qr.arbiterResult?.finalAnswer === 'string')
+    .map((qr) => ({ questionId: qr.questionId, finalStudentAnswer: qr.arbiterResult.finalAnswer, finalAnswerSource: 'ai_read1' }))
+  const b = await runStagedGradingPhaseB({ apiKey, model: 'replay', contents, payload, internalContext, phaseAResult, finalAnswers })
+  let graded = null
+  try { graded = JSON.parse(b?.data?.candidates?.[0]?.content?.parts?.[0]?.text ?? 'null') } catch { /* ignore */ }
+  return {
+    phaseA: a.questionResults.map((qr) => ({ qid: String(qr.questionId), status: qr.arbiterResult?.arbiterStatus ?? null, ans: qr.arbiterResult?.finalAnswer ?? null, consistency: qr.consistencyStatus ?? null })),
+    phaseB: graded ? { totalScore: graded.totalScore, details: (graded.details ?? []).map((d) => ({ qid: String(d.questionId), ok: d.isCorrect === true, score: d.score, ans: d.studentAnswer ?? null })) } : { status: b?.status ?? null },
+  }
+})
+const sec = Math.round((Date.now() - t0) / 1000)
+
+if (MODE === 'record') {
+  const { submissionImage: _s, answerKeyImages: _k, questionBookletImages: _b, answerKey: _a, ...meta } = input
+  fs.mkdirSync(IMAGE_DIR, { recursive: true })
+  const storedInput = {
+    ...input,
+    submissionImage: stashImage(input.submissionImage),
+    answerKeyImages: input.answerKeyImages.map(stashImage),
+    questionBookletImages: input.questionBookletImages.map(stashImage),
+  }
+  const bundle = session.toBundle({ meta: { ...meta, tag: REST[0] || 'rec' }, input: storedInput, output })
+  const f = path.join(FIXTURE_DIR, `${REST[0] || 'rec'}_${input.submissionId}_${bundle.recordedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`)
+  fs.writeFileSync(f, JSON.stringify(bundle))
+  const errs = bundle.exchanges.filter((x) => x.error || !x.response?.ok).length
+  console.log(`✅ 錄製完成:${input.title}(${input.domain}) ${bundle.exchanges.length} 個 model call(失敗 ${errs})、${sec}s、總分 ${output.phaseB?.totalScore ?? '—'}`)
+  console.log(`   → ${path.relative(path.join(__dirname, '..'), f)}  (${Math.round(fs.statSync(f).size / 1024)} KB)`)
+  process.exit(0)
+}
+
+// ── 回放 diff ──
+const was = fixture.output
+const { stats } = session
+console.log(`回放:${fixture.meta?.title}(${fixture.meta?.domain}) 錄於 ${fixture.recordedAt}、${sec}s`)
+console.log(`model call  exact ${stats.exact}・loose ${stats.loose.length}・miss ${stats.misses.length}・錄了沒用到 ${session.unusedExchanges().length}`)
+for (const m of stats.misses.slice(0, 10)) console.log(`  ✗ miss ${m.routeKey} ${m.promptHash.slice(0, 10)}「${m.promptPreview.slice(0, 40)}」`)
+const readB = new Map((was.phaseA ?? []).map((x) => [x.qid, x]))
+let readDiff = 0
+for (const x of output.phaseA ?? []) { const b = readB.get(x.qid); if (b && (b.ans !== x.ans || b.status !== x.status)) { readDiff++; if (readDiff <= 15) console.log(`  讀值 ${x.qid.padEnd(8)} 「${String(b.ans ?? '').slice(0, 14)}」(${b.status}) → 「${String(x.ans ?? '').slice(0, 14)}」(${x.status})`) } }
+const gradeB = new Map((was.phaseB?.details ?? []).map((d) => [d.qid, d]))
+let flip = 0, scoreDiff = 0
+for (const d of output.phaseB?.details ?? []) {
+  const b = gradeB.get(d.qid); if (!b) continue
+  if (b.ok !== d.ok) { flip++; console.log(`  判定 ${d.qid.padEnd(8)} ${b.ok ? '對→錯' : '錯→對'}  ${b.score}→${d.score}  讀值「${String(d.ans ?? '').slice(0, 14)}」`) }
+  else if (Number(b.score) !== Number(d.score)) { scoreDiff++; console.log(`  分數 ${d.qid.padEnd(8)} ${b.score}→${d.score}`) }
+}
+console.log(`總分 ${was.phaseB?.totalScore ?? '—'} → ${output.phaseB?.totalScore ?? '—'}   讀值變動 ${readDiff}・判定翻盤 ${flip}・同判定分數變動 ${scoreDiff}`)
+process.exit(stats.misses.length > 0 || flip > 0 || scoreDiff > 0 || readDiff > 0 ? 1 : 0)
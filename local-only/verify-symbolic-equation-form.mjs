@@ -0,0 +1,30 @@
+// 方程式 / 聯立「寫法不同」回歸檢查（2026-10-19、server/ai/symbolic-algebra.js sameEquationForm）
+// 跑法：node local-only/verify-symbolic-equation-form.mjs（不碰 DB、不用 .env）
+import assert from 'node:assert/strict'
+import { symbolicCompare } from '../server/ai/symbolic-algebra.js'
+
+const cases = [
+  // [標答, 學生, 預期 verdict]
+  ['y=2x+1', '2x-y+1=0', 'form_differs'],
+  ['x+y=5', 'y=5-x', 'form_differs'],
+  ['x+1=2', '2x+2=4', 'form_differs'],
+  ['(x+1)^2=0', 'x^2+2x+1=0', 'form_differs'],
+  ['x+y=3,x-y=1', '2x=4,y=1', 'form_differs'],
+  ['x+1=2', '2=x+1', 'equal'],
+  ['y=2x+1', 'y=1+2x', 'equal'],
+  ['x+y=3,x-y=1', 'x-y=1,y+x=3', 'equal'],
+  ['x^2=4', 'x^2=4', 'equal'],
+  ['x+1=2', 'x+1=3', 'differ']
+]
+let failed = 0
+for (const [ref, stu, want] of cases) {
+  const got = symbolicCompare(ref, stu)?.verdict ?? null
+  try {
+    assert.equal(got, want)
+    console.log(`✅ ${ref} | ${stu} → ${got}`)
+  } catch {
+    failed++
+    console.log(`❌ ${ref} | ${stu} → ${got}（預期 ${want}）`)
+  }
+}
+if (failed) process.exit(1)
@@ -0,0 +1,56 @@
+// 伺服器端 HTML → PDF（headless Chrome）。2026-10-19 從 api/report/parent-pdf.js 抽出，
+//   讓家長報告與答案卡列印（api/report/answer-key-export.js）共用同一個 browser 與同一套安全規則。
+//   中文字型：serverless chromium 無 CJK 字型 → HTML 內含 Google Fonts Noto Sans TC、開網路抓（waitUntil networkidle）。
+//   安全：請求攔截只放行 data: 與 Google Fonts（阻擋任意外連＝防 SSRF）。
+import chromium from '@sparticuz/chromium'
+import puppeteer from 'puppeteer-core'
+
+let browserPromise = null
+async function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = puppeteer.launch({
+      args: [...chromium.args, '--no-sandbox', '--disable-dev-shm-usage'],
+      defaultViewport: { width: 794, height: 1123, deviceScaleFactor: 1 },
+      executablePath: await chromium.executablePath(),
+      headless: chromium.headless,
+    }).catch((err) => { browserPromise = null; throw err })
+  }
+  return browserPromise
+}
+
+function isAllowedResource(url) {
+  return url.startsWith('data:')
+    || url.startsWith('https://fonts.googleapis.com/')
+    || url.startsWith('https://fonts.gstatic.com/')
+}
+
+/**
+ * HTML（含 @page）→ PDF bytes。版面由 HTML 的 @page 決定（preferCSSPageSize、margin 0）。
+ * @param {string} html
+ * @returns {Promise<Buffer>}
+ */
+export async function renderHtmlToPdf(html) {
+  const browser = await getBrowser()
+  const page = await browser.newPage()
+  try {
+    await page.setViewport({ width: 794, height: 1123, deviceScaleFactor: 1 })
+    // 只放行 data: 與字型 CDN，其餘一律 abort（防 SSRF、且報告本來就只需要這些）
+    await page.setRequestInterception(true)
+    page.on('request', (r) => { isAllowedResource(r.url()) ? r.continue() : r.abort() })
+
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 })
+    try { await page.evaluateHandle('document.fonts.ready') } catch { /* 字型就緒非必要條件 */ }
+
+    // 2026-07-20：不再用高度換算 clamp 頁數。逐題錯題卡片有 break-inside:avoid，卡片跳頁會留白，
+    //   高度計算無法反映真實列印頁數 → 會少算、把「五、老師的話」等結尾內容切掉（user 兩次回報）。
+    //   改為讓 Chrome 自然分頁（絕不切內容）。CSS 用 break-before（非 break-after），不會產生結尾幽靈空白頁。
+    const pdf = await page.pdf({
+      printBackground: true,
+      preferCSSPageSize: true, // 用 HTML 內的 @page（A4、margin:0）
+      margin: { top: 0, right: 0, bottom: 0, left: 0 },
+    })
+    return Buffer.from(pdf)
+  } finally {
+    await page.close().catch(() => {})
+  }
+}
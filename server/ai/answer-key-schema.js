@@ -0,0 +1,582 @@
+/**
+ * Answer Key Schema — 答案卷（assignments.answer_key / answer_key_templates.answer_key）正式 schema
+ *
+ * 背景：answer_key 一直是自由 JSON，形狀散在 normalizeAnswerKeyForRubricScoring / normalizeShortAnswerQuestion /
+ *   validateAnswerKeyQuality / akFingerprint 各自補。最花時間的是「parse 得過、但批改端默默略過」的欄位：
+ *   ・answer 存成數字 → ensureString 變 ''（整題當沒答案）
+ *   ・rubricsDimensions 少 name/criteria → normalizeShortAnswerQuestion 直接濾掉
+ *   ・positions 少 name/desc → map_fill 濾掉；vjRubric.itemScores 長度不對 → 整組忽略
+ *   ・levelRules 引用不存在的要素 key → 那條永遠不成立、級分默默掉一級
+ *   ・positions / vjRubric 放在不吃它的題型上 → 完全沒作用
+ *
+ * 設計：
+ *   1. schemaVersion 寫進 answer_key 頂層；沒有 = v1（2026-10-19 前的所有資料）。
+ *   2. ANSWER_KEY_MIGRATIONS[n] 把 vn 升成 vn+1（純函式、不改輸入）；migrateAnswerKey 一路升到最新。
+ *      讀取端（批改 / 指紋）也先 migrate，舊資料不用回填就吃得到同一個形狀。
+ *   3. validateAnswerKeySchema 只驗「批改端真的會讀」的欄位：
+ *        errors   = 會被默默略過或算錯 → 寫入路徑擋下
+ *        warnings = 放錯題型、分數加總不符等 → 回傳給前端提示、不擋
+ *      classify 回寫的 bbox / crop / alignment metadata 不在驗證範圍（未知欄位一律放行）。
+ *   4. 整包寫入路徑（sync upsert / import-template）統一走 prepareAnswerKeyForWrite；
+ *      kp-save 是局部寫入，只走 validateAnswerKeyAnalysisFields（不 migrate、不驗它沒碰的欄位）。
+ *      ANSWER_KEY_SCHEMA_ENFORCE=false → 只 log 不擋（上線初期的逃生口）。
+ *
+ * ⚠ client 端（redpenai/src/lib/db.ts）的題型清單 / 版本號要同步。
+ * 純函式、無 HTTP、無 DB。
+ */
+
+import { VALID_QUESTION_CATEGORIES } from './quality-gates.js'
+import { VISUAL_JUDGMENT_TYPES } from './visual-judgment-grader.js'
+import { EXAM_FRAMEWORKS, EXAM_DIMENSION_MAX_LEN } from '../exam-frameworks.js'
+import { parseNumericAnswer, PRECISION_RULES } from './numeric-answer.js'
+
+export const ANSWER_KEY_SCHEMA_VERSION = 2
+
+export const UNIT_ERROR_RULES = Object.freeze(['zero', 'half', 'deduct'])
+
+// 題型 → 只有這些題型的批改分支會讀該欄位（放在其他題型上 = 沒作用）
+const FIELD_CATEGORIES = {
+  positions: new Set(['map_fill']),
+  vjRubric: VISUAL_JUDGMENT_TYPES,
+  rows: new Set(['table_check']),
+  checkColumns: new Set(['table_check']),
+  cells: new Set(['table_cell']),
+  tableMeta: new Set(['table_cell']),
+  // 2026-10-19 fill_blank 走 code-first / 程式覆核，calculation / word_problem 走最終答案二元計分
+  numericPolicy: new Set(['fill_blank', 'calculation', 'word_problem'])
+}
+
+// legacy type 1|2|3（resolveQuestionBucket 已拔掉 fallback）→ bucket
+const LEGACY_TYPE_TO_BUCKET = { 1: 'A', 2: 'B', 3: 'C' }
+const VALID_BUCKETS = new Set(['A', 'B', 'C', 'D'])
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v)
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+
+// 數字字串 → 數字（'3' / ' 2.5 '）；其他原樣
+function coerceNumeric(v) {
+  if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v)
+  return v
+}
+
+// 數字 → 字串（answer 類欄位；批改端一律 ensureString、數字會變空字串）
+function coerceText(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? String(v) : v
+}
+
+function parseAnswerKeyValue(value) {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value)
+    } catch {
+      return null
+    }
+  }
+  return value
+}
+
+// ── Migrations ──────────────────────────────────────────────────────────────
+
+function migrateQuestionV1toV2(q) {
+  if (!isPlainObject(q)) return q
+  const out = { ...q }
+  if (!isNonEmptyString(out.id) && (isNonEmptyString(out.questionId) || isFiniteNumber(out.questionId))) {
+    out.id = String(out.questionId).trim()
+  } else if (isFiniteNumber(out.id)) {
+    out.id = String(out.id)
+  }
+  if (typeof out.questionCategory === 'string') out.questionCategory = out.questionCategory.trim()
+  if (!out.questionCategory && !out.bucket && LEGACY_TYPE_TO_BUCKET[out.type]) {
+    out.bucket = LEGACY_TYPE_TO_BUCKET[out.type]
+  }
+  out.maxScore = coerceNumeric(out.maxScore)
+  out.answer = coerceText(out.answer)
+  out.referenceAnswer = coerceText(out.referenceAnswer)
+  if (out.answer === undefined) delete out.answer
+  if (out.referenceAnswer === undefined) delete out.referenceAnswer
+  if (Array.isArray(out.acceptableAnswers)) out.acceptableAnswers = out.acceptableAnswers.map(coerceText)
+  if (Array.isArray(out.parts)) {
+    out.parts = out.parts.map((p) => (isPlainObject(p)
+      ? {
+          ...p,
+          ...(isFiniteNumber(p.subId) ? { subId: String(p.subId) } : {}),
+          ...(p.answer !== undefined ? { answer: coerceText(p.answer) } : {}),
+          ...(p.maxScore !== undefined ? { maxScore: coerceNumeric(p.maxScore) } : {})
+        }
+      : p))
+  }
+  if (Array.isArray(out.rubricsDimensions)) {
+    out.rubricsDimensions = out.rubricsDimensions.map((d) => (isPlainObject(d) ? { ...d, maxScore: coerceNumeric(d.maxScore) } : d))
+  }
+  if (Array.isArray(out.rows)) {
+    out.rows = out.rows.map((r) => (isPlainObject(r) && r.answer !== undefined ? { ...r, answer: coerceText(r.answer) } : r))
+  }
+  if (Array.isArray(out.cells)) {
+    out.cells = out.cells.map((c) => (isPlainObject(c) && c.answer !== undefined ? { ...c, answer: coerceText(c.answer) } : c))
+  }
+  if (isPlainObject(out.levelRubric) && Array.isArray(out.levelRubric.levels)) {
+    out.levelRubric = {
+      ...out.levelRubric,
+      levels: out.levelRubric.levels.map((l) => (isPlainObject(l)
+        ? { ...l, level: coerceNumeric(l.level), ...(l.score !== undefined ? { score: coerceNumeric(l.score) } : {}) }
+        : l))
+    }
+  }
+  if (out.maxScore === undefined) delete out.maxScore
+  return out
+}
+
+/**
+ * v1 → v2：id 補齊（questionId 別名）、數字型 answer 轉字串、數字字串分數轉數字、
+ *   legacy type → bucket、unitErrorRule 正規化。
+ */
+function migrateV1toV2(ak) {
+  const out = { ...ak }
+  out.questions = Array.isArray(ak.questions) ? ak.questions.map(migrateQuestionV1toV2) : []
+  if (ak.totalScore !== undefined) out.totalScore = coerceNumeric(ak.totalScore)
+  if (typeof ak.unitErrorRule === 'string') out.unitErrorRule = ak.unitErrorRule.trim().toLowerCase()
+  if (ak.unitErrorDeduction !== undefined) out.unitErrorDeduction = coerceNumeric(ak.unitErrorDeduction)
+  out.schemaVersion = 2
+  return out
+}
+
+export const ANSWER_KEY_MIGRATIONS = Object.freeze({
+  1: migrateV1toV2
+})
+
+export function getAnswerKeySchemaVersion(ak) {
+  const v = Number(ak?.schemaVersion)
+  return Number.isInteger(v) && v >= 1 ? v : 1
+}
+
+/**
+ * 升到最新版（不改輸入）。字串會先 parse；不是物件 → 原樣回傳、applied 空。
+ * 版本比程式新（新 client 寫的）→ 不降版、原樣回傳。
+ * @returns {{ answerKey: any, fromVersion: number|null, toVersion: number|null, applied: number[] }}
+ */
+export function migrateAnswerKey(value) {
+  const parsed = parseAnswerKeyValue(value)
+  if (!isPlainObject(parsed)) return { answerKey: value, fromVersion: null, toVersion: null, applied: [] }
+  const fromVersion = getAnswerKeySchemaVersion(parsed)
+  let ak = parsed
+  let version = fromVersion
+  const applied = []
+  while (version < ANSWER_KEY_SCHEMA_VERSION) {
+    const step = ANSWER_KEY_MIGRATIONS[version]
+    if (!step) break
+    ak = step(ak)
+    applied.push(version)
+    version += 1
+  }
+  return { answerKey: ak, fromVersion, toVersion: version, applied }
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function validateStringArray(value, path, issues, { required = false } = {}) {
+  if (value === undefined && !required) return
+  if (!Array.isArray(value) || value.some((x) => typeof x !== 'string')) {
+    issues.error(path, 'AK_SCHEMA_STRING_ARRAY', '必須是字串陣列')
+  }
+}
+
+function validateParts(parts, path, issues) {
+  if (!Array.isArray(parts)) {
+    issues.error(path, 'AK_SCHEMA_NOT_ARRAY', 'parts 必須是陣列')
+    return
+  }
+  const seen = new Set()
+  parts.forEach((p, i) => {
+    const pp = `${path}[${i}]`
+    if (!isPlainObject(p)) {
+      issues.error(pp, 'AK_SCHEMA_NOT_OBJECT', '每一空必須是物件')
+      return
+    }
+    if (!isNonEmptyString(p.subId)) issues.error(`${pp}.subId`, 'AK_SCHEMA_PART_SUBID', '缺 subId（批改端依 subId 對空）')
+    else if (seen.has(p.subId.trim())) issues.error(`${pp}.subId`, 'AK_SCHEMA_PART_SUBID_DUP', `subId 重複：${p.subId}`)
+    else seen.add(p.subId.trim())
+    if (p.answer !== undefined && typeof p.answer !== 'string') issues.error(`${pp}.answer`, 'AK_SCHEMA_ANSWER_TYPE', 'answer 必須是字串')
+    if (p.maxScore !== undefined && !(isFiniteNumber(p.maxScore) && p.maxScore >= 0)) {
+      issues.error(`${pp}.maxScore`, 'AK_SCHEMA_SCORE', 'maxScore 必須是 ≥ 0 的數字')
+    }
+  })
+}
+
+function validateRubricsDimensions(dims, q, path, issues) {
+  if (!Array.isArray(dims)) {
+    issues.error(path, 'AK_SCHEMA_NOT_ARRAY', 'rubricsDimensions 必須是陣列')
+    return
+  }
+  let sum = 0
+  dims.forEach((d, i) => {
+    const dp = `${path}[${i}]`
+    if (!isPlainObject(d)) {
+      issues.error(dp, 'AK_SCHEMA_NOT_OBJECT', '每個向度必須是物件')
+      return
+    }
+    if (!isNonEmptyString(d.name)) issues.error(`${dp}.name`, 'AK_SCHEMA_DIM_NAME', '缺向度名稱（會被整條略過）')
+    if (!isNonEmptyString(d.criteria)) issues.error(`${dp}.criteria`, 'AK_SCHEMA_DIM_CRITERIA', '缺評分標準（會被整條略過）')
+    if (!(isFiniteNumber(d.maxScore) && d.maxScore >= 0)) issues.error(`${dp}.maxScore`, 'AK_SCHEMA_SCORE', 'maxScore 必須是 ≥ 0 的數字')
+    else sum += d.maxScore
+  })
+  if (dims.length > 0 && isFiniteNumber(q.maxScore) && Math.abs(sum - q.maxScore) > 0.5) {
+    issues.warn(path, 'AK_SCHEMA_DIM_SUM', `向度配分加總 ${sum} ≠ 題目配分 ${q.maxScore}`)
+  }
+}
+
+function validateVjRubric(vj, path, issues) {
+  if (!isPlainObject(vj)) {
+    issues.error(path, 'AK_SCHEMA_NOT_OBJECT', 'vjRubric 必須是物件')
+    return
+  }
+  const labels = vj.itemLabels
+  if (!Array.isArray(labels) || labels.length === 0 || labels.some((x) => !isNonEmptyString(x))) {
+    issues.error(`${path}.itemLabels`, 'AK_SCHEMA_VJ_LABELS', 'itemLabels 必須是非空字串陣列（空的會整題走 lazy backfill）')
+    return
+  }
+  if (vj.itemScores !== undefined) {
+    const scores = vj.itemScores
+    const ok = Array.isArray(scores) && scores.length === labels.length
+      && scores.every((x) => isFiniteNumber(x) && x >= 0) && scores.some((x) => x > 0)
+    if (!ok) issues.error(`${path}.itemScores`, 'AK_SCHEMA_VJ_SCORES', 'itemScores 長度需與 itemLabels 相同、皆為 ≥ 0 且不全為 0（否則整組忽略）')
+  }
+  for (const k of ['condition', 'gradingDefinition']) {
+    if (vj[k] !== undefined && typeof vj[k] !== 'string') issues.error(`${path}.${k}`, 'AK_SCHEMA_STRING', `${k} 必須是字串`)
+  }
+}
+
+function validateLevelRubric(lr, path, issues) {
+  if (!isPlainObject(lr)) {
+    issues.error(path, 'AK_SCHEMA_NOT_OBJECT', 'levelRubric 必須是物件')
+    return
+  }
+  const elementKeys = new Set()
+  const groupKeys = new Set()
+  const optionKeys = new Set()
+  const keyed = (arr, p, into) => {
+    if (arr === undefined) return []
+    if (!Array.isArray(arr)) {
+      issues.error(p, 'AK_SCHEMA_NOT_ARRAY', '必須是陣列')
+      return []
+    }
+    arr.forEach((e, i) => {
+      if (!isPlainObject(e) || !isNonEmptyString(e.key)) issues.error(`${p}[${i}].key`, 'AK_SCHEMA_LEVEL_KEY', '缺 key')
+      else if (into.has(e.key)) issues.error(`${p}[${i}].key`, 'AK_SCHEMA_LEVEL_KEY_DUP', `key 重複：${e.key}`)
+      else into.add(e.key)
+      if (isPlainObject(e) && !isNonEmptyString(e.desc)) issues.warn(`${p}[${i}].desc`, 'AK_SCHEMA_LEVEL_DESC', '缺敘述（判官看不到要檢查什麼）')
+    })
+    return arr
+  }
+  keyed(lr.requiredElements, `${path}.requiredElements`, elementKeys)
+  const groups = keyed(lr.alternativeGroups, `${path}.alternativeGroups`, groupKeys)
+  groups.forEach((g, i) => {
+    if (isPlainObject(g)) keyed(g.options ?? [], `${path}.alternativeGroups[${i}].options`, optionKeys)
+  })
+  if (lr.toleratedFlaws !== undefined) validateStringArray(lr.toleratedFlaws, `${path}.toleratedFlaws`, issues)
+
+  const rules = lr.levelRules
+  if (!Array.isArray(rules) || rules.length === 0) {
+    issues.error(`${path}.levelRules`, 'AK_SCHEMA_LEVEL_RULES', 'levelRules 必須是非空陣列（空的整題不走級分制）')
+  } else {
+    const presentKeys = new Set([...elementKeys, ...optionKeys])
+    rules.forEach((r, i) => {
+      const rp = `${path}.levelRules[${i}]`
+      if (!isPlainObject(r)) {
+        issues.error(rp, 'AK_SCHEMA_NOT_OBJECT', '每條規則必須是物件')
+        return
+      }
+      if (!Number.isInteger(Number(r.level)) || Number(r.level) < 0) issues.error(`${rp}.level`, 'AK_SCHEMA_LEVEL', 'level 必須是 ≥ 0 的整數')
+      for (const [field, known] of [['requireAll', presentKeys], ['requireAny', presentKeys], ['requireGroups', groupKeys], ['requireAnyGroup', groupKeys]]) {
+        if (r[field] === undefined) continue
+        if (!Array.isArray(r[field])) {
+          issues.error(`${rp}.${field}`, 'AK_SCHEMA_NOT_ARRAY', `${field} 必須是陣列`)
+          continue
+        }
+        const unknown = r[field].map((k) => String(k ?? '')).filter((k) => !known.has(k))
+        if (unknown.length > 0) {
+          issues.error(`${rp}.${field}`, 'AK_SCHEMA_LEVEL_UNKNOWN_KEY', `引用不存在的 key：${unknown.join(',')}（此條永遠不成立）`)
+        }
+      }
+    })
+  }
+  if (lr.levels !== undefined) {
+    if (!Array.isArray(lr.levels)) issues.error(`${path}.levels`, 'AK_SCHEMA_NOT_ARRAY', 'levels 必須是陣列')
+    else {
+      lr.levels.forEach((l, i) => {
+        if (!isPlainObject(l) || !Number.isInteger(l.level)) issues.error(`${path}.levels[${i}].level`, 'AK_SCHEMA_LEVEL', 'level 必須是整數')
+        if (isPlainObject(l) && l.score !== undefined && !isFiniteNumber(l.score)) {
+          issues.error(`${path}.levels[${i}].score`, 'AK_SCHEMA_SCORE', 'score 必須是數字（否則改用比例回推）')
+        }
+      })
+    }
+  }
+}
+
+function validatePositions(positions, path, issues) {
+  if (!Array.isArray(positions)) {
+    issues.error(path, 'AK_SCHEMA_NOT_ARRAY', 'positions 必須是陣列')
+    return
+  }
+  positions.forEach((p, i) => {
+    if (!isPlainObject(p) || !isNonEmptyString(p.name) || !isNonEmptyString(p.desc)) {
+      issues.error(`${path}[${i}]`, 'AK_SCHEMA_POSITION', '每個位置需要 name 與 desc（缺的會被略過、配分跟著少）')
+    }
+  })
+}
+
+function validateTableFields(q, path, issues) {
+  if (q.rows !== undefined) {
+    if (!Array.isArray(q.rows)) issues.error(`${path}.rows`, 'AK_SCHEMA_NOT_ARRAY', 'rows 必須是陣列')
+    else {
+      q.rows.forEach((r, i) => {
+        if (!isPlainObject(r) || typeof r.answer !== 'string') issues.error(`${path}.rows[${i}].answer`, 'AK_SCHEMA_ANSWER_TYPE', '每列需要字串 answer（被勾欄標題）')
+      })
+    }
+  }
+  if (q.checkColumns !== undefined) validateStringArray(q.checkColumns, `${path}.checkColumns`, issues)
+  if (q.cells !== undefined) {
+    if (!Array.isArray(q.cells)) issues.error(`${path}.cells`, 'AK_SCHEMA_NOT_ARRAY', 'cells 必須是陣列')
+    else {
+      q.cells.forEach((c, i) => {
+        if (!isPlainObject(c) || !Number.isInteger(Number(c.row)) || !Number.isInteger(Number(c.col))) {
+          issues.error(`${path}.cells[${i}]`, 'AK_SCHEMA_CELL', '每格需要整數 row / col')
+        }
+      })
+    }
+  }
+}
+
+function validateAnalysis(a, path, issues) {
+  if (!isPlainObject(a)) {
+    issues.error(path, 'AK_SCHEMA_NOT_OBJECT', 'analysis 必須是物件')
+    return
+  }
+  for (const k of ['topic', 'code', 'ability', 'cnaArea', 'note', 'examFramework', 'examDimension']) {
+    if (a[k] !== undefined && typeof a[k] !== 'string') issues.error(`${path}.${k}`, 'AK_SCHEMA_STRING', `${k} 必須是字串`)
+  }
+  if (a.knowledgePoints !== undefined) validateStringArray(a.knowledgePoints, `${path}.knowledgePoints`, issues)
+  // 2026-10-19 考試向度（server/exam-frameworks.js）：框架不認得 / 有向度沒框架 → 聚合時這題會被略過
+  if (typeof a.examFramework === 'string' && !Object.hasOwn(EXAM_FRAMEWORKS, a.examFramework)) {
+    issues.warn(`${path}.examFramework`, 'AK_SCHEMA_EXAM_FRAMEWORK', `examFramework 只能是 ${Object.keys(EXAM_FRAMEWORKS).join('/')}`)
+  }
+  if (typeof a.examDimension === 'string' && a.examDimension.length > EXAM_DIMENSION_MAX_LEN) {
+    issues.error(`${path}.examDimension`, 'AK_SCHEMA_EXAM_DIMENSION', `examDimension 超過 ${EXAM_DIMENSION_MAX_LEN} 字`)
+  }
+  if (isNonEmptyString(a.examDimension) && !isNonEmptyString(a.examFramework)) {
+    issues.warn(`${path}.examDimension`, 'AK_SCHEMA_EXAM_FRAMEWORK', '有 examDimension 但沒有 examFramework')
+  }
+}
+
+// 2026-10-19 數值題規則（server/ai/numeric-answer.js）：不合法的設定批改端會整條忽略 → 當錯誤擋
+function validateNumericPolicy(np, q, path, issues) {
+  if (!isPlainObject(np)) {
+    issues.error(path, 'AK_SCHEMA_NOT_OBJECT', 'numericPolicy 必須是物件')
+    return
+  }
+  const isNonNeg = (v) => isFiniteNumber(v) && v >= 0
+  if (np.tolerance !== undefined) {
+    const t = np.tolerance
+    if (!isPlainObject(t) || (t.abs === undefined && t.rel === undefined)) {
+      issues.error(`${path}.tolerance`, 'AK_SCHEMA_NUMERIC_POLICY', 'tolerance 必須是 { abs?, rel? } 物件（至少一個）')
+    } else {
+      if (t.abs !== undefined && !isNonNeg(t.abs)) issues.error(`${path}.tolerance.abs`, 'AK_SCHEMA_NUMERIC_POLICY', 'abs 必須是 ≥ 0 的數字')
+      if (t.rel !== undefined && !isNonNeg(t.rel)) issues.error(`${path}.tolerance.rel`, 'AK_SCHEMA_NUMERIC_POLICY', 'rel 必須是 ≥ 0 的數字（0.01 = 1%）')
+      else if (isFiniteNumber(t.rel) && t.rel >= 1) issues.warn(`${path}.tolerance.rel`, 'AK_SCHEMA_NUMERIC_POLICY', `rel=${t.rel} 是 ${t.rel * 100}% 的誤差，確定不是把百分比直接填進來？`)
+    }
+  }
+  if (np.sigFigs !== undefined && !(Number.isInteger(np.sigFigs) && np.sigFigs >= 1 && np.sigFigs <= 15)) {
+    issues.error(`${path}.sigFigs`, 'AK_SCHEMA_NUMERIC_POLICY', 'sigFigs 必須是 1–15 的整數')
+  }
+  if (np.decimalPlaces !== undefined && !(Number.isInteger(np.decimalPlaces) && np.decimalPlaces >= 0 && np.decimalPlaces <= 15)) {
+    issues.error(`${path}.decimalPlaces`, 'AK_SCHEMA_NUMERIC_POLICY', 'decimalPlaces 必須是 0–15 的整數')
+  }
+  if (np.precisionRule !== undefined && !PRECISION_RULES.includes(np.precisionRule)) {
+    issues.error(`${path}.precisionRule`, 'AK_SCHEMA_NUMERIC_POLICY', `precisionRule 必須是 ${PRECISION_RULES.join(' / ')}（其他值會被當成 zero）`)
+  }
+  if (np.precisionDeduction !== undefined && !isNonNeg(np.precisionDeduction)) {
+    issues.error(`${path}.precisionDeduction`, 'AK_SCHEMA_SCORE', 'precisionDeduction 必須是 ≥ 0 的數字')
+  }
+  if (np.tolerance === undefined && np.sigFigs === undefined && np.decimalPlaces === undefined) {
+    issues.warn(path, 'AK_SCHEMA_NUMERIC_POLICY', 'numericPolicy 沒有 tolerance / sigFigs / decimalPlaces，等於沒設')
+  }
+  // 填充題標答本身要是單一數值，規則才用得上；位數和規定不一致多半是標答或規定其中一個打錯
+  if (q.questionCategory !== 'fill_blank' || !isNonEmptyString(q.answer)) return
+  const ref = parseNumericAnswer(q.answer)
+  if (!ref) {
+    issues.warn(path, 'AK_SCHEMA_NUMERIC_ANSWER', `標答「${q.answer}」不是單一數值，numericPolicy 不會生效`)
+    return
+  }
+  if (Number.isInteger(np.sigFigs) && ref.sigFigs && (ref.sigFigs.min > np.sigFigs || ref.sigFigs.max < np.sigFigs)) {
+    issues.warn(`${path}.sigFigs`, 'AK_SCHEMA_NUMERIC_ANSWER', `標答「${q.answer}」本身不是 ${np.sigFigs} 位有效數字`)
+  }
+  if (Number.isInteger(np.decimalPlaces) && ref.decimalPlaces !== np.decimalPlaces) {
+    issues.warn(`${path}.decimalPlaces`, 'AK_SCHEMA_NUMERIC_ANSWER', `標答「${q.answer}」本身不是取到小數點後第 ${np.decimalPlaces} 位`)
+  }
+}
+
+// 2026-10-19 劃記卡描述（answer-key-export buildBubbleSheetLayout 產生、bubble-reader 讀）：
+//   座標是四角定位點框內的 0–1 值；壞掉的描述會讓讀卡讀錯格 → 當錯誤擋，不是警告。
+function validateBubbleSheet(sheet, questionIds, issues) {
+  const path = 'bubbleSheet'
+  if (!isPlainObject(sheet)) {
+    issues.error(path, 'AK_SCHEMA_NOT_OBJECT', 'bubbleSheet 必須是物件')
+    return
+  }
+  const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every((n) => isFiniteNumber(n) && n > -0.2 && n < 1.2)
+  if (!Array.isArray(sheet.fiducialsMm) || sheet.fiducialsMm.length !== 4) {
+    issues.error(`${path}.fiducialsMm`, 'AK_SCHEMA_BUBBLE_SHEET', '需要四個定位點（左上、右上、左下、右下）')
+  }
+  if (!Array.isArray(sheet.items) || sheet.items.length === 0) {
+    issues.error(`${path}.items`, 'AK_SCHEMA_BUBBLE_SHEET', 'items 必須是非空陣列')
+    return
+  }
+  sheet.items.forEach((item, i) => {
+    const ip = `${path}.items[${i}]`
+    if (!isPlainObject(item) || !isNonEmptyString(item.questionId)) {
+      issues.error(ip, 'AK_SCHEMA_BUBBLE_SHEET', '每列需要 questionId')
+      return
+    }
+    if (!Array.isArray(item.labels) || !Array.isArray(item.bubbles) || item.labels.length < 2 ||
+      item.labels.length !== item.bubbles.length || !item.bubbles.every(isPoint)) {
+      issues.error(ip, 'AK_SCHEMA_BUBBLE_SHEET', 'labels 與 bubbles 數量需一致（≥2）、座標為 0–1')
+    }
+    if (!questionIds.has(item.questionId.trim())) {
+      issues.warn(`${ip}.questionId`, 'AK_SCHEMA_BUBBLE_ORPHAN', `劃記卡的 ${item.questionId} 不在題目清單（讀到也不會計分）`)
+    }
+  })
+}
+
+function validateQuestion(q, i, issues, seenIds) {
+  const path = `questions[${i}]`
+  if (!isPlainObject(q)) {
+    issues.error(path, 'AK_SCHEMA_NOT_OBJECT', '題目必須是物件')
+    return
+  }
+  if (!isNonEmptyString(q.id)) issues.error(`${path}.id`, 'AK_SCHEMA_QUESTION_ID', '缺題號 id')
+  else if (seenIds.has(q.id.trim())) issues.error(`${path}.id`, 'AK_SCHEMA_QUESTION_ID_DUP', `題號重複：${q.id}`)
+  else seenIds.add(q.id.trim())
+
+  const category = typeof q.questionCategory === 'string' ? q.questionCategory : ''
+  if (category && !VALID_QUESTION_CATEGORIES.has(category)) {
+    issues.error(`${path}.questionCategory`, 'AK_SCHEMA_CATEGORY', `未知題型：${category}`)
+  }
+  if (!category && !q.bucket) issues.warn(`${path}.questionCategory`, 'AK_SCHEMA_NO_CATEGORY', '沒有題型也沒有 bucket（一律當 A 類精確比對）')
+  if (q.bucket !== undefined && !VALID_BUCKETS.has(q.bucket)) issues.error(`${path}.bucket`, 'AK_SCHEMA_BUCKET', 'bucket 必須是 A / B / C / D')
+  if (q.maxScore !== undefined && !(isFiniteNumber(q.maxScore) && q.maxScore >= 0)) {
+    issues.error(`${path}.maxScore`, 'AK_SCHEMA_SCORE', 'maxScore 必須是 ≥ 0 的數字')
+  }
+  for (const k of ['answer', 'referenceAnswer']) {
+    if (q[k] !== undefined && q[k] !== null && typeof q[k] !== 'string') {
+      issues.error(`${path}.${k}`, 'AK_SCHEMA_ANSWER_TYPE', `${k} 必須是字串（其他型別批改端讀成空字串）`)
+    }
+  }
+  if (q.acceptableAnswers !== undefined) validateStringArray(q.acceptableAnswers, `${path}.acceptableAnswers`, issues)
+  if (q.parts !== undefined) validateParts(q.parts, `${path}.parts`, issues)
+  if (q.rubricsDimensions !== undefined) validateRubricsDimensions(q.rubricsDimensions, q, `${path}.rubricsDimensions`, issues)
+  if (q.vjRubric !== undefined && q.vjRubric !== null) validateVjRubric(q.vjRubric, `${path}.vjRubric`, issues)
+  if (q.levelRubric !== undefined && q.levelRubric !== null) validateLevelRubric(q.levelRubric, `${path}.levelRubric`, issues)
+  if (q.positions !== undefined) validatePositions(q.positions, `${path}.positions`, issues)
+  validateTableFields(q, path, issues)
+  if (q.analysis !== undefined && q.analysis !== null) validateAnalysis(q.analysis, `${path}.analysis`, issues)
+  if (q.numericPolicy !== undefined && q.numericPolicy !== null) validateNumericPolicy(q.numericPolicy, q, `${path}.numericPolicy`, issues)
+
+  // 放錯題型：欄位本身合法、但這個題型的批改分支不會讀它
+  if (category) {
+    for (const [field, cats] of Object.entries(FIELD_CATEGORIES)) {
+      if (q[field] !== undefined && q[field] !== null && !cats.has(category)) {
+        issues.warn(`${path}.${field}`, 'AK_SCHEMA_FIELD_IGNORED', `${field} 只對 ${[...cats].join('/')} 有效，${category} 題不會讀`)
+      }
+    }
+  }
+}
+
+/**
+ * 驗證（已 migrate 到最新版的）答案卷
+ * @returns {{ ok: boolean, errors: Array<{path, code, message}>, warnings: Array<{path, code, message}> }}
+ */
+export function validateAnswerKeySchema(ak) {
+  const errors = []
+  const warnings = []
+  const issues = {
+    error: (path, code, message) => errors.push({ path, code, message }),
+    warn: (path, code, message) => warnings.push({ path, code, message })
+  }
+  if (!isPlainObject(ak)) {
+    issues.error('', 'AK_SCHEMA_NOT_OBJECT', '答案卷必須是 JSON 物件')
+    return { ok: false, errors, warnings }
+  }
+  const version = getAnswerKeySchemaVersion(ak)
+  if (version > ANSWER_KEY_SCHEMA_VERSION) {
+    issues.warn('schemaVersion', 'AK_SCHEMA_NEWER', `schemaVersion=${version} 比伺服器新（${ANSWER_KEY_SCHEMA_VERSION}），只做基本檢查`)
+  }
+  if (!Array.isArray(ak.questions)) {
+    issues.error('questions', 'AK_SCHEMA_NOT_ARRAY', 'questions 必須是陣列')
+    return { ok: false, errors, warnings }
+  }
+  if (ak.totalScore !== undefined && ak.totalScore !== null && !isFiniteNumber(ak.totalScore)) {
+    issues.error('totalScore', 'AK_SCHEMA_SCORE', 'totalScore 必須是數字')
+  }
+  if (ak.unitErrorRule !== undefined && !UNIT_ERROR_RULES.includes(ak.unitErrorRule)) {
+    issues.error('unitErrorRule', 'AK_SCHEMA_UNIT_RULE', `unitErrorRule 必須是 ${UNIT_ERROR_RULES.join(' / ')}（其他值會被當成 zero）`)
+  }
+  if (ak.unitErrorDeduction !== undefined && !(isFiniteNumber(ak.unitErrorDeduction) && ak.unitErrorDeduction >= 0)) {
+    issues.error('unitErrorDeduction', 'AK_SCHEMA_SCORE', 'unitErrorDeduction 必須是 ≥ 0 的數字')
+  }
+  if (ak.kpTips !== undefined && !isPlainObject(ak.kpTips)) issues.error('kpTips', 'AK_SCHEMA_NOT_OBJECT', 'kpTips 必須是物件')
+  const seenIds = new Set()
+  ak.questions.forEach((q, i) => validateQuestion(q, i, issues, seenIds))
+  if (ak.bubbleSheet !== undefined && ak.bubbleSheet !== null) validateBubbleSheet(ak.bubbleSheet, seenIds, issues)
+  return { ok: errors.length === 0, errors, warnings }
+}
+
+/**
+ * 局部寫入（kp-save 只動 questions[].analysis 與頂層 kpTips）：只驗這次寫的欄位，
+ *   其他欄位維持原樣、不 migrate（舊版答案卷照樣可以寫歸類）。
+ * @param {object} ak - 已合併的答案卷
+ * @param {Set<string>|string[]} questionIds - 這次寫入 analysis 的題號
+ * @returns {{ ok: boolean, errors: Array<{path, code, message}>, warnings: Array<{path, code, message}> }}
+ */
+export function validateAnswerKeyAnalysisFields(ak, questionIds) {
+  const errors = []
+  const warnings = []
+  const issues = {
+    error: (path, code, message) => errors.push({ path, code, message }),
+    warn: (path, code, message) => warnings.push({ path, code, message })
+  }
+  const ids = new Set(questionIds)
+  const questions = Array.isArray(ak?.questions) ? ak.questions : []
+  questions.forEach((q, i) => {
+    if (!ids.has(String(q?.id ?? '').trim())) return
+    if (q.analysis !== undefined && q.analysis !== null) validateAnalysis(q.analysis, `questions[${i}].analysis`, issues)
+  })
+  if (ak?.kpTips !== undefined && !isPlainObject(ak.kpTips)) issues.error('kpTips', 'AK_SCHEMA_NOT_OBJECT', 'kpTips 必須是物件')
+  return { ok: errors.length === 0 || !isAnswerKeySchemaEnforced(), errors, warnings }
+}
+
+export function isAnswerKeySchemaEnforced() {
+  return process.env.ANSWER_KEY_SCHEMA_ENFORCE !== 'false'
+}
+
+/**
+ * 寫入路徑共用：migrate → validate。
+ *   ok=false 且 enforce 開著 → 呼叫端不可寫入；enforce 關 → 照寫、只 log。
+ * @param {any} value - answer_key（物件或 JSON 字串）
+ * @param {{ logTag?: string, entityId?: string }} [opts]
+ * @returns {{ ok: boolean, answerKey: any, errors: Array, warnings: Array, migratedFrom: number|null }}
+ */
+export function prepareAnswerKeyForWrite(value, { logTag = '[answer-key-schema]', entityId = '' } = {}) {
+  const { answerKey, fromVersion, applied } = migrateAnswerKey(value)
+  const { ok, errors, warnings } = validateAnswerKeySchema(answerKey)
+  if (!ok) {
+    const head = errors.slice(0, 3).map((e) => `${e.path}:${e.code}`).join(', ')
+    console.warn(`${logTag} answer_key schema 錯誤 ${entityId} ×${errors.length}（${head}${errors.length > 3 ? '…' : ''}）${isAnswerKeySchemaEnforced() ? '' : '（enforce 關、照寫）'}`)
+  }
+  return {
+    ok: ok || !isAnswerKeySchemaEnforced(),
+    answerKey,
+    errors,
+    warnings,
+    migratedFrom: applied.length > 0 ? fromVersion : null
+  }
+}
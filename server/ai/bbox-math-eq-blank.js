@@ -99,7 +99,8 @@ w/h 必須 > 0、x/y/w/h 都 0~1。只回 JSON、不要 markdown。`
     apiKey,
     model,
     contents: [{ role: 'user', parts: [{ inline_data: { mime_type: cropInfo.mimeType, data: cropInfo.base64 } }, { text: prompt }] }],
-    payload: { generationConfig: { temperature: 0, responseMimeType: 'application/json' } }
+    payload: { generationConfig: { temperature: 0, responseMimeType: 'application/json' } },
+    routeKey: AI_ROUTE_KEYS.GRADING_CLASSIFY
   })
   // 2026-05-22: 寫 ink_session_usage 1 row（math □ override 是視覺 bbox 偵測、用 classify routeKey 分類）
   if (result?.ok && result?.data?.usageMetadata) {
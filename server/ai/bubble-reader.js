@@ -0,0 +1,228 @@
+// 2026-10-19 劃記卡讀卡（零模型 call）：答案卷帶 bubbleSheet（answer-key-export buildBubbleSheetLayout 產生）時，
+//   Phase A 先走這裡——sharp 轉灰階 → Otsu 二值 → 四角找實心定位方塊 → 單應性（透視）還原 →
+//   逐圈量「圈內中心深色比例」→ 每題判 read / blank / ambiguous。
+//   只有 ambiguous（塗一半、擦不乾淨、單選塗兩個）才交給 read stage；其餘直接當定案答案。
+//   找不到定位點 / 圈線對不上 / 塗黑比例不合理 → ok=false，呼叫端退回原本 classify + read 流程（fail-open）。
+//   座標：回傳的 bbox 是「整張輸入圖」的 normalized 0–1（跟 classify answerBbox 同座標系，crop 端可直接用）。
+import sharp from 'sharp'
+import { otsuThreshold, squareToQuad } from './local-perspective.js'
+
+// 工作解析度：A4 寬 1000px ≈ 4.8px/mm，5mm 圈直徑 ≈ 24px，夠量又不吃 CPU
+const WORK_WIDTH = 1000
+// 定位點搜尋窗：各角 35% × 30%
+const CORNER_WINDOW_W = 0.35
+const CORNER_WINDOW_H = 0.3
+
+// 圈內取樣半徑（相對圈半徑；避開印刷圈線）、深色門檻（相對附近紙色）
+const INNER_RADIUS_RATIO = 0.6
+const DARK_RATIO = 0.68
+// 塗黑比例判定
+export const BUBBLE_FILLED_MIN = 0.5
+export const BUBBLE_EMPTY_MAX = 0.12
+// 圈線對位檢查：圈線環帶的深色比例中位數低於此值 = 座標沒對上（不是這張卡 / 定位點抓錯）
+const RING_ALIGN_MIN = 0.15
+
+export function isBubbleReaderEnabled() {
+  return process.env.BUBBLE_SHEET_READER_ENABLED !== 'false'
+}
+
+// 角落窗內的連通塊（4 連通）→ 挑「實心、近正方、大小合理、最靠角」的那塊當定位點
+function findFiducialInWindow(gray, width, threshold, win, corner, sideRange) {
+  const { x0, y0, x1, y1 } = win
+  const ww = x1 - x0
+  const wh = y1 - y0
+  const seen = new Uint8Array(ww * wh)
+  const stack = []
+  let best = null
+  for (let sy = 0; sy < wh; sy += 1) {
+    for (let sx = 0; sx < ww; sx += 1) {
+      const si = sy * ww + sx
+      if (seen[si] || gray[(y0 + sy) * width + x0 + sx] >= threshold) continue
+      let area = 0
+      let sumX = 0
+      let sumY = 0
+      let minX = sx
+      let maxX = sx
+      let minY = sy
+      let maxY = sy
+      seen[si] = 1
+      stack.push(si)
+      while (stack.length > 0) {
+        const i = stack.pop()
+        const x = i % ww
+        const y = (i - x) / ww
+        area += 1
+        sumX += x
+        sumY += y
+        if (x < minX) minX = x
+        if (x > maxX) maxX = x
+        if (y < minY) minY = y
+        if (y > maxY) maxY = y
+        const neighbours = [x > 0 ? i - 1 : -1, x < ww - 1 ? i + 1 : -1, y > 0 ? i - ww : -1, y < wh - 1 ? i + ww : -1]
+        for (const n of neighbours) {
+          if (n < 0 || seen[n]) continue
+          const nx = n % ww
+          const ny = (n - nx) / ww
+          if (gray[(y0 + ny) * width + x0 + nx] >= threshold) continue
+          seen[n] = 1
+          stack.push(n)
+        }
+      }
+      const bw = maxX - minX + 1
+      const bh = maxY - minY + 1
+      const side = Math.sqrt(area)
+      const aspect = bw / bh
+      const fill = area / (bw * bh)
+      // 實心方塊 fill≈1；塗滿的圓圈 ≈0.785、字與線遠低於此 → 0.85 一刀切開
+      if (side < sideRange[0] || side > sideRange[1] || aspect < 0.6 || aspect > 1.67 || fill < 0.85) continue
+      const cx = x0 + sumX / area
+      const cy = y0 + sumY / area
+      const dist = Math.hypot(cx - corner[0], cy - corner[1])
+      if (!best || dist < best.dist) best = { x: cx, y: cy, side, dist }
+    }
+  }
+  return best
+}
+
+function quadLooksLikeSheet([tl, tr, br, bl], expectedAspect) {
+  if (!(tl[0] < tr[0] && bl[0] < br[0] && tl[1] < bl[1] && tr[1] < br[1])) return false
+  const top = Math.hypot(tr[0] - tl[0], tr[1] - tl[1])
+  const bottom = Math.hypot(br[0] - bl[0], br[1] - bl[1])
+  const left = Math.hypot(bl[0] - tl[0], bl[1] - tl[1])
+  const right = Math.hypot(br[0] - tr[0], br[1] - tr[1])
+  const aspect = ((top + bottom) / 2) / ((left + right) / 2)
+  // 透視拍照會讓對邊不等長；超過 35% 不是歪太多就是抓錯點
+  return Math.abs(aspect / expectedAspect - 1) < 0.35 && top / bottom > 0.65 && top / bottom < 1.54 && left / right > 0.65 && left / right < 1.54
+}
+
+// 圈中心附近取樣：inner 深色比例（塗黑）＋圈線環帶深色比例（對位檢查）
+function sampleBubble(gray, width, height, cx, cy, r) {
+  const box = Math.ceil(r * 1.6)
+  const values = []
+  for (let y = Math.max(0, Math.floor(cy - box)); y <= Math.min(height - 1, Math.ceil(cy + box)); y += 1) {
+    for (let x = Math.max(0, Math.floor(cx - box)); x <= Math.min(width - 1, Math.ceil(cx + box)); x += 1) {
+      values.push(gray[y * width + x])
+    }
+  }
+  if (values.length === 0) return null
+  values.sort((p, q) => p - q)
+  // 紙色 = 附近最亮那一半的中位數（圈線、字母、塗黑都在暗的那一半）
+  const paper = values[Math.floor(values.length * 0.75)]
+  const dark = paper * DARK_RATIO
+  const inner = r * INNER_RADIUS_RATIO
+  let innerN = 0
+  let innerDark = 0
+  let ringN = 0
+  let ringDark = 0
+  for (let y = Math.max(0, Math.floor(cy - r * 1.15)); y <= Math.min(height - 1, Math.ceil(cy + r * 1.15)); y += 1) {
+    for (let x = Math.max(0, Math.floor(cx - r * 1.15)); x <= Math.min(width - 1, Math.ceil(cx + r * 1.15)); x += 1) {
+      const dist = Math.hypot(x - cx, y - cy)
+      const isDark = gray[y * width + x] < dark
+      if (dist <= inner) { innerN += 1; if (isDark) innerDark += 1 } else if (dist >= r * 0.8 && dist <= r * 1.15) { ringN += 1; if (isDark) ringDark += 1 }
+    }
+  }
+  return { fill: innerN ? innerDark / innerN : 0, ring: ringN ? ringDark / ringN : 0 }
+}
+
+function judgeItem(item, fills) {
+  const filled = []
+  let partial = false
+  fills.forEach((f, k) => {
+    if (f >= BUBBLE_FILLED_MIN) filled.push(item.labels[k])
+    else if (f > BUBBLE_EMPTY_MAX) partial = true
+  })
+  if (partial) return { status: 'ambiguous', answer: '', reason: 'partial_mark' }
+  if (filled.length === 0) return { status: 'blank', answer: '' }
+  if (!item.multi && filled.length > 1) return { status: 'ambiguous', answer: '', reason: 'multiple_marks' }
+  return { status: 'read', answer: filled.join(',') }
+}
+
+/**
+ * @param {Buffer} imageBuffer - 學生上傳的整張圖（可能是多頁直向合併）
+ * @param {object} sheet - answerKey.bubbleSheet
+ * @param {{ region?: { top: number, bottom: number } }} [opts] - 只讀這段（normalized y；多頁合併圖的第一頁）
+ * @returns {Promise<{ ok: boolean, reason?: string, items: Array, fiducials?: Array, alignment?: number }>}
+ */
+export async function readBubbleSheet(imageBuffer, sheet, { region = null } = {}) {
+  const meta = await sharp(imageBuffer).metadata()
+  if (!meta.width || !meta.height) return { ok: false, reason: 'no_image', items: [] }
+  const top = region ? Math.max(0, Math.round(region.top * meta.height)) : 0
+  const bottom = region ? Math.min(meta.height, Math.round(region.bottom * meta.height)) : meta.height
+  if (bottom - top < 50) return { ok: false, reason: 'region_too_small', items: [] }
+  const workW = Math.min(WORK_WIDTH, meta.width)
+  const { data: gray, info } = await sharp(imageBuffer)
+    .extract({ left: 0, top, width: meta.width, height: bottom - top })
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize({ width: workW })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  const width = info.width
+  const height = info.height
+  if (info.channels !== 1) return { ok: false, reason: 'unexpected_channels', items: [] }
+
+  const threshold = otsuThreshold(gray)
+  const [pageWmm] = sheet.pageMm || [210, 297]
+  const [[fx0, fy0], [fx1], [, fy2]] = sheet.fiducialsMm
+  const frameWmm = fx1 - fx0
+  const frameHmm = fy2 - fy0
+  // 定位點邊長範圍：頁面佔滿寬時 = size/pageW × 寬；拍照頁面可能只佔一半 → 放寬到 0.4–1.8 倍
+  const expectedSide = (sheet.fiducialSizeMm / pageWmm) * width
+  const sideRange = [expectedSide * 0.4, expectedSide * 1.8]
+  const ww = Math.round(width * CORNER_WINDOW_W)
+  const wh = Math.round(height * CORNER_WINDOW_H)
+  const corners = [
+    { win: { x0: 0, y0: 0, x1: ww, y1: wh }, corner: [0, 0] },
+    { win: { x0: width - ww, y0: 0, x1: width, y1: wh }, corner: [width, 0] },
+    { win: { x0: width - ww, y0: height - wh, x1: width, y1: height }, corner: [width, height] },
+    { win: { x0: 0, y0: height - wh, x1: ww, y1: height }, corner: [0, height] }
+  ]
+  const found = corners.map(({ win, corner }) => findFiducialInWindow(gray, width, threshold, win, corner, sideRange))
+  if (found.some((f) => !f)) return { ok: false, reason: 'fiducials_not_found', items: [], foundCount: found.filter(Boolean).length }
+  const quad = found.map((f) => [f.x, f.y]) // TL, TR, BR, BL
+  if (!quadLooksLikeSheet(quad, frameWmm / frameHmm)) return { ok: false, reason: 'fiducials_implausible', items: [] }
+  const project = squareToQuad(quad)
+  if (!project) return { ok: false, reason: 'degenerate_quad', items: [] }
+
+  const r0 = sheet.bubbleDiameterMm / 2
+  const toNorm = ([x, y]) => ({ x: x / width, y: (top + (y / height) * (bottom - top)) / meta.height })
+  const rings = []
+  const items = sheet.items.map((item) => {
+    const centers = item.bubbles.map(([u, v]) => {
+      const c = project(u, v)
+      // 局部尺度：圈中心往右 / 往下各 1mm 投影後的距離（透視下各處不同）
+      const cx = project(u + 1 / frameWmm, v)
+      const cy = project(u, v + 1 / frameHmm)
+      const pxPerMm = (Math.hypot(cx[0] - c[0], cx[1] - c[1]) + Math.hypot(cy[0] - c[0], cy[1] - c[1])) / 2
+      return { c, r: r0 * pxPerMm }
+    })
+    const samples = centers.map(({ c, r }) => sampleBubble(gray, width, height, c[0], c[1], r))
+    const fills = samples.map((s) => (s ? Math.round(s.fill * 1000) / 1000 : 0))
+    for (const s of samples) if (s) rings.push(s.ring)
+    const first = centers[0]
+    const last = centers[centers.length - 1]
+    // 題號在第一個圈左邊 ~11mm；bbox 含題號，給 read / 老師看時有上下文
+    const pad = first.r * 1.6
+    const left = toNorm([Math.max(0, first.c[0] - first.r * 5), Math.max(0, Math.min(first.c[1], last.c[1]) - pad)])
+    const right = toNorm([Math.min(width, last.c[0] + pad), Math.min(height, Math.max(first.c[1], last.c[1]) + pad)])
+    return {
+      questionId: item.questionId,
+      number: item.number,
+      labels: item.labels,
+      multi: !!item.multi,
+      fills,
+      bbox: { x: left.x, y: left.y, w: right.x - left.x, h: right.y - left.y },
+      ...judgeItem(item, fills)
+    }
+  })
+
+  rings.sort((p, q) => p - q)
+  const alignment = rings.length ? rings[Math.floor(rings.length / 2)] : 0
+  if (alignment < RING_ALIGN_MIN) return { ok: false, reason: 'bubbles_misaligned', alignment, items: [] }
+  // 幾乎每個圈都「塗滿」＝ 整片暗（背光、拍到別張紙）→ 不信
+  const allFills = items.flatMap((it) => it.fills)
+  if (allFills.length > 0 && allFills.filter((f) => f >= BUBBLE_FILLED_MIN).length / allFills.length > 0.6) {
+    return { ok: false, reason: 'implausible_fill', alignment, items: [] }
+  }
+  return { ok: true, items, alignment, fiducials: quad.map(toNorm) }
+}
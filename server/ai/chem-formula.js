@@ -0,0 +1,355 @@
+// ═══ 化學式／化學方程式比對（確定性）— 2026-10-19 ═════════════════════════════
+// 由來：自然科填充題的化學答案（H₂O、2H2 + O2 → 2H2O、Ca²⁺、NaCl(aq)）以前只有兩條路：
+//   normLenient 字串比（「H₂O」vs「H2O」就判不同）或整格交 accessor（同一格兩輪兩種分數）。
+//   化學式的等價是可計算的——原子組成、電荷、係數、守恆——跟數值、代數一樣該由 code 定案。
+//
+// 正規化（寫法不同、意思相同 → 視為相同）：
+//   ・下標／上標／LaTeX（H₂O = H_2O = H_{2}O = \ce{H2O}；Fe³⁺ = Fe^{3+} = Fe^3+ = Fe3+）
+//   ・結晶水分隔點（CuSO4·5H2O = CuSO4.5H2O）、方括號 = 圓括號
+//   ・箭頭（→ = -> = ⟶ = 「=」）；方程式同一邊的物種順序
+// 刻意**不**正規化化學式內的元素順序：C2H5OH 與 CH3OCH3 組成相同、是不同物質；
+//   「OH2」對不對是寫法慣例、老師的尺度 → 組成相同但寫法不同一律回 null 交 accessor。
+//
+// 判定（方程式）：物種不同 →「反應物／生成物不符」；物種相同但原子或電荷不守恆 →「未平衡」
+//   （errorType='unbalanced'，和寫錯物質分開，訂正時才知道要補的是哪一種觀念）；
+//   已平衡但係數不是最簡整數比 → 錯；其他平衡法（分數係數）→ null。
+//   標答本身不平衡 → null（答案卷可能打錯，不據以判學生）。
+// ASCII 電荷的慣例：尾端「數字＋正負號」在單一元素上是電荷（Fe3+、O2-）；多原子時只有一位數
+//   是下標（NH4+、NO3-），兩位以上最後一位是電荷（SO42- = SO₄²⁻）。兩邊用同一套解讀，歧義會互相抵銷。
+// CHEM_FORMULA_ENABLED=false 整個關掉。
+
+export function isChemFormulaEnabled() {
+  return process.env.CHEM_FORMULA_ENABLED !== 'false'
+}
+
+const ELEMENTS = new Set(`H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn Ga Ge As Se Br Kr
+  Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os
+  Ir Pt Au Hg Tl Pb Bi Po At Rn Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr Rf Db Sg Bh Hs Mt Ds Rg Cn Nh Fl Mc
+  Lv Ts Og`.split(/\s+/u))
+
+const SUBSCRIPT = '₀₁₂₃₄₅₆₇₈₉'
+const SUPERSCRIPT = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-' }
+// 這些記號出現 = 作答者明確在寫化學（沒有科目資訊時的判斷依據）
+const STRONG_MARK = /[₀-₉⁺⁻→⟶⇌⇄]|\\ce\{|\((?:s|l|g|aq)\)|\^/u
+
+function preNormalize(raw) {
+  let s = String(raw ?? '').trim()
+  if (!s) return ''
+  s = s
+    .replace(/[０-９Ａ-Ｚａ-ｚ]/gu, (c) => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/（/gu, '(').replace(/）/gu, ')').replace(/＋/gu, '+').replace(/＝/gu, '=')
+    .replace(/^(?:答|[Aa]ns)\s*[:：]\s*/u, '')
+    .replace(/[。．，、;；\s]+$/u, '')
+  if (/[\\$]/u.test(s)) {
+    s = s.replace(/\$/gu, '')
+      .replace(/\\(?:ce|mathrm|text|rm)\s*\{((?:[^{}]|\{[^{}]*\})*)\}/gu, '$1')
+      .replace(/\\(?:longrightarrow|rightarrow|to)(?![a-z])/gu, '→')
+      .replace(/\\(?:rightleftharpoons|leftrightharpoons|rightleftarrows|leftrightarrow)(?![a-z])/gu, '⇌')
+      .replace(/\\(?:cdot|bullet)(?![a-z])/gu, '·')
+      .replace(/\\uparrow(?![a-z])/gu, '↑').replace(/\\downarrow(?![a-z])/gu, '↓')
+      .replace(/\\[,;:! ]/gu, ' ')
+  }
+  s = s
+    .replace(/_\{\s*(\d+)\s*\}/gu, '$1').replace(/_(\d)/gu, '$1')
+    .replace(new RegExp(`[${SUBSCRIPT}]`, 'gu'), (c) => String(SUBSCRIPT.indexOf(c)))
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻]+/gu, (m) => `^{${[...m].map((c) => SUPERSCRIPT[c]).join('')}}`)
+    .replace(/\^\s*\{?\s*(\d*[+-]|[+-]\d*)\s*\}?/gu, '^{$1}')
+    .replace(/<=+>|<-+>|[⇄↔]/gu, '⇌')
+    .replace(/-+>|=+>|[⟶⇒⟹]/gu, '→')
+    .replace(/[−–—]/gu, '-')
+  return s
+}
+
+// 化學式本體（不含係數、電荷、狀態）→ { atoms: Map, written, elementTokens, hasCount, hasTwoLetter }
+function parseBody(str) {
+  const atoms = new Map()
+  let elementTokens = 0
+  let hasCount = false
+  let hasTwoLetter = false
+  let src = ''
+  let i = 0
+  const readCount = () => {
+    const m = src.slice(i).match(/^\d+/u)
+    if (!m) return 1
+    i += m[0].length
+    hasCount = true
+    return Number(m[0])
+  }
+  // 回傳這一段的原子組成與正規化寫法；遇到不認得的字元 → null
+  const group = (close) => {
+    const local = new Map()
+    let written = ''
+    while (i < src.length) {
+      const c = src[i]
+      if (c === ')' || c === ']') {
+        if (c !== close) return null
+        i++
+        return { local, written }
+      }
+      if (c === '(' || c === '[') {
+        i++
+        const inner = group(c === '(' ? ')' : ']')
+        if (!inner || inner.local.size === 0) return null
+        const n = readCount()
+        for (const [el, k] of inner.local) local.set(el, (local.get(el) ?? 0) + k * n)
+        written += `(${inner.written})${n > 1 ? n : ''}`
+        continue
+      }
+      const two = src.slice(i, i + 2)
+      const el = /^[A-Z][a-z]$/u.test(two) && ELEMENTS.has(two) ? two : (ELEMENTS.has(c) ? c : null)
+      if (!el) return null
+      i += el.length
+      elementTokens++
+      if (el.length === 2) hasTwoLetter = true
+      const n = readCount()
+      local.set(el, (local.get(el) ?? 0) + n)
+      written += `${el}${n > 1 ? n : ''}`
+    }
+    return close ? null : { local, written }
+  }
+  const writtenSegs = []
+  for (const [k, seg0] of str.split(/[·•∙*.]/u).entries()) {
+    let seg = seg0
+    let mult = 1
+    if (k > 0) {
+      const m = seg.match(/^(\d+)(?=[A-Z(\[])/u)
+      if (m) { mult = Number(m[1]); seg = seg.slice(m[1].length) }
+    }
+    if (!seg) return null
+    src = seg
+    i = 0
+    const g = group(null)
+    if (!g || g.local.size === 0) return null
+    for (const [el, n] of g.local) atoms.set(el, (atoms.get(el) ?? 0) + n * mult)
+    writtenSegs.push(`${mult > 1 ? mult : ''}${g.written}`)
+  }
+  return { atoms, written: writtenSegs.join('·'), elementTokens, hasCount, hasTwoLetter }
+}
+
+function parseSpecies(tok) {
+  let s = String(tok ?? '').replace(/\s+/gu, '')
+  if (!s) return null
+  s = s.replace(/[↑↓]+$/u, '')
+  let state = null
+  const st = s.match(/\((s|l|g|aq)\)$/iu)
+  if (st) {
+    state = st[1].toLowerCase()
+    s = s.slice(0, -st[0].length).replace(/[↑↓]+$/u, '')
+  }
+  let coef = { n: 1, d: 1 }
+  let hasCoef = false
+  const cm = s.match(/^(\d+)(?:\/(\d+))?(?=[A-Z(\[e])/u)
+  if (cm) {
+    coef = { n: Number(cm[1]), d: Number(cm[2] ?? 1) }
+    if (!coef.n || !coef.d) return null
+    hasCoef = true
+    s = s.slice(cm[0].length)
+  }
+
+  let charge = 0
+  const ex = s.match(/\^\{(\d*)([+-])\}$|\^\{([+-])(\d*)\}$/u)
+  if (ex) {
+    const sign = ex[2] ?? ex[3]
+    const mag = Number(ex[1] || ex[4] || 1)
+    charge = sign === '+' ? mag : -mag
+    s = s.slice(0, -ex[0].length)
+  } else if (s.includes('^')) {
+    return null
+  } else {
+    const tail = s.match(/(\d*)(\+\+?|--?)$/u)
+    if (tail) {
+      const [all, digits, signs] = tail
+      let body = s.slice(0, -all.length)
+      let mag
+      if (signs.length === 2) { mag = 2; body += digits }                      // Ca++
+      else if (/^[A-Z][a-z]?$/u.test(body) || body === 'e') mag = Number(digits || 1)   // Fe3+、O2-
+      else if (digits.length >= 2) { mag = Number(digits.slice(-1)); body += digits.slice(0, -1) }  // SO42-
+      else { mag = 1; body += digits }                                        // NH4+、NO3-
+      charge = signs[0] === '+' ? mag : -mag
+      s = body
+    }
+  }
+  if (s === 'e') {
+    if (charge !== -1) return null
+    return { coef, hasCoef, charge, state, atoms: new Map(), written: 'e', key: 'e|-1', elementTokens: 0, hasCount: false, hasTwoLetter: false }
+  }
+  const body = parseBody(s)
+  if (!body) return null
+  return { coef, hasCoef, charge, state, ...body, key: `${body.written}|${charge}` }
+}
+
+function splitSide(side) {
+  const t = side.trim()
+  if (!t) return null
+  const parts = t.split(/\s+\+\s+/u)
+    .flatMap((p) => p.split(/\+(?=\s*[\dA-Z(\[e])/u))
+    .map((p) => p.trim())
+  if (parts.some((p) => !p)) return null
+  const species = parts.map(parseSpecies)
+  return species.every(Boolean) ? species : null
+}
+
+/**
+ * 解析化學答案。
+ * @returns null | { kind: 'formula', species } | { kind: 'equation', left: species[], right: species[] }
+ */
+export function parseChemAnswer(raw) {
+  const s = preNormalize(raw)
+  if (!s || /[㐀-鿿]/u.test(s)) return null
+  const arrows = s.match(/[→⇌]|(?<![<>=])=(?![<>=])/gu) ?? []
+  if (arrows.length > 1) return null
+  if (arrows.length === 1) {
+    const [l, r] = s.split(/[→⇌]|(?<![<>=])=(?![<>=])/u)
+    const left = splitSide(l)
+    const right = splitSide(r ?? '')
+    return left && right ? { kind: 'equation', left, right } : null
+  }
+  const sp = parseSpecies(s)
+  return sp ? { kind: 'formula', species: sp } : null
+}
+
+/**
+ * 這個標答是不是化學答案？自然科（domainHint 含「自然」）解析得動、且不是單一元素符號就算；
+ * 沒有科目資訊 → 要有明確的化學記號，或多原子且帶下標／二字母元素（H2O、NaCl），
+ * 免得把數學的「BC」（線段）、選項「AC」當成化學式。
+ */
+export function isChemicalAnswer(raw, domainHint) {
+  const parsed = parseChemAnswer(raw)
+  if (!parsed) return false
+  if (STRONG_MARK.test(String(raw ?? ''))) return true
+  const all = parsed.kind === 'equation' ? [...parsed.left, ...parsed.right] : [parsed.species]
+  // 單一個元素符號（「C」「B」）在自然科也常是選項代號 → 不接手
+  if (String(domainHint ?? '').includes('自然')) {
+    return parsed.kind === 'equation' || all.some((sp) => sp.elementTokens >= 2 || sp.hasCount || sp.charge !== 0)
+  }
+  return all.some((sp) => sp.elementTokens >= 2 && (sp.hasCount || sp.hasTwoLetter))
+}
+
+const show = (sp) => {
+  if (sp.written === 'e') return 'e⁻'
+  if (!sp.charge) return sp.written
+  const mag = Math.abs(sp.charge)
+  return `${sp.written}${mag > 1 ? mag : ''}${sp.charge > 0 ? '+' : '-'}`
+}
+const compositionKey = (sp) => `${[...sp.atoms].sort(([a], [b]) => (a < b ? -1 : 1)).map(([el, n]) => `${el}${n}`).join('')}|${sp.charge}`
+const sameComposition = (a, b) => compositionKey(a) === compositionKey(b)
+const coefValue = (sp) => sp.coef.n / sp.coef.d
+const near = (a, b) => Math.abs(a - b) < 1e-9
+
+// 同一邊同物種合併（「H2 + H2」）→ key → { sp, coef }
+function merge(side) {
+  const out = new Map()
+  for (const sp of side) {
+    const cur = out.get(sp.key)
+    if (cur) cur.coef += coefValue(sp)
+    else out.set(sp.key, { sp, coef: coefValue(sp) })
+  }
+  return out
+}
+
+// 守恆檢查 → 不守恆的項目（空陣列 = 已平衡）
+function imbalance(left, right) {
+  const tally = (side) => {
+    const atoms = new Map()
+    let charge = 0
+    for (const { sp, coef } of side.values()) {
+      for (const [el, n] of sp.atoms) atoms.set(el, (atoms.get(el) ?? 0) + n * coef)
+      charge += sp.charge * coef
+    }
+    return { atoms, charge }
+  }
+  const L = tally(left), R = tally(right)
+  const out = []
+  for (const el of new Set([...L.atoms.keys(), ...R.atoms.keys()])) {
+    const a = L.atoms.get(el) ?? 0, b = R.atoms.get(el) ?? 0
+    if (!near(a, b)) out.push(`${el} 左 ${+a.toFixed(3)}、右 ${+b.toFixed(3)}`)
+  }
+  if (!near(L.charge, R.charge)) out.push(`電荷 左 ${+L.charge.toFixed(3)}、右 ${+R.charge.toFixed(3)}`)
+  return out
+}
+
+// 學生的物種 vs 標答的物種：組成相同但寫法不同（OH2 vs H2O）→ 判不動
+function formDiffers(stuSide, refSide) {
+  return [...stuSide.values()].some(({ sp }) => !refSide.has(sp.key) &&
+    [...refSide.values()].some((r) => sameComposition(r.sp, sp)))
+}
+
+// 狀態符號：兩邊都有寫才比；標答有寫、學生整條沒寫 → 'missing'
+function stateCheck(stuAll, refAll) {
+  const refStates = new Map(refAll.filter((sp) => sp.state).map((sp) => [sp.key, sp.state]))
+  if (refStates.size === 0) return null
+  if (!stuAll.some((sp) => sp.state)) return 'missing'
+  const bad = stuAll.filter((sp) => sp.state && refStates.has(sp.key) && refStates.get(sp.key) !== sp.state)
+  return bad.length > 0 ? `狀態符號不符（${bad.map((sp) => `${show(sp)}(${sp.state}) 應為 (${refStates.get(sp.key)})`).join('、')}）` : null
+}
+
+function compareFormula(ref, stu) {
+  if (ref.key === stu.key) {
+    if (!near(coefValue(ref), coefValue(stu))) return { verdict: 'differ', by: `係數不符（學生 ${stu.coef.n}、標準 ${ref.coef.n}）`, errorType: 'concept' }
+    const st = stateCheck([stu], [ref])
+    if (st === 'missing') return null
+    if (st) return { verdict: 'differ', by: st, errorType: 'concept' }
+    return { verdict: 'equal', by: '化學式相同' }
+  }
+  if (sameComposition(ref, stu)) return null
+  const atomsEqual = compositionKey({ ...ref, charge: 0 }) === compositionKey({ ...stu, charge: 0 })
+  if (atomsEqual) return { verdict: 'differ', by: `電荷不符（學生 ${show(stu)}、標準 ${show(ref)}）`, errorType: 'concept' }
+  return { verdict: 'differ', by: `化學式不符（學生 ${show(stu)}、標準 ${show(ref)}）`, errorType: 'concept' }
+}
+
+function compareEquation(ref, stu) {
+  const rl = merge(ref.left), rr = merge(ref.right)
+  const sl = merge(stu.left), sr = merge(stu.right)
+  if (imbalance(rl, rr).length > 0) return null                 // 標答本身不平衡
+  if (formDiffers(sl, rl) || formDiffers(sr, rr) || formDiffers(sl, rr) || formDiffers(sr, rl)) return null
+  const sameKeys = (a, b) => a.size === b.size && [...a.keys()].every((k) => b.has(k))
+  if (!sameKeys(sl, rl) || !sameKeys(sr, rr)) {
+    if (sameKeys(sl, rr) && sameKeys(sr, rl)) return { verdict: 'differ', by: '反應物與生成物寫反', errorType: 'concept' }
+    const diff = (s, r) => ({
+      extra: [...s.values()].filter(({ sp }) => !r.has(sp.key)).map(({ sp }) => show(sp)),
+      missing: [...r.values()].filter(({ sp }) => !s.has(sp.key)).map(({ sp }) => show(sp))
+    })
+    const L = diff(sl, rl), R = diff(sr, rr)
+    const extra = [...L.extra, ...R.extra], missing = [...L.missing, ...R.missing]
+    return {
+      verdict: 'differ',
+      by: `反應物／生成物不符（${[extra.length ? `多了 ${extra.join('、')}` : '', missing.length ? `少了 ${missing.join('、')}` : ''].filter(Boolean).join('；')}）`,
+      errorType: 'concept'
+    }
+  }
+  const issues = imbalance(sl, sr)
+  if (issues.length > 0) return { verdict: 'differ', by: `方程式未平衡（${issues.join('；')}）`, errorType: 'unbalanced' }
+
+  const pairs = [...[...sl].map(([k, v]) => [v.coef, rl.get(k).coef]), ...[...sr].map(([k, v]) => [v.coef, rr.get(k).coef])]
+  if (!pairs.every(([a, b]) => near(a, b))) {
+    const ratio = pairs[0][0] / pairs[0][1]
+    const proportional = pairs.every(([a, b]) => near(a / b, ratio))
+    const allInt = pairs.every(([a, b]) => Number.isInteger(a) && Number.isInteger(b))
+    if (proportional && allInt && ratio > 1) return { verdict: 'differ', by: '已平衡但係數不是最簡整數比', errorType: 'not_simplest' }
+    return null                                                 // 分數係數、另一種平衡法 → 老師的尺度
+  }
+  const st = stateCheck([...stu.left, ...stu.right], [...ref.left, ...ref.right])
+  if (st === 'missing') return null
+  if (st) return { verdict: 'differ', by: st, errorType: 'concept' }
+  return { verdict: 'equal', by: '化學方程式相同（物種、係數皆同）' }
+}
+
+// 只差大小寫（Co2 vs CO2、nacl vs NaCl）：多半是手寫辨識把大小寫讀錯，程式不該據此判成別的元素 → 交回 accessor 看圖
+function caseOnlyDiffers(refRaw, studentRaw) {
+  const a = preNormalize(refRaw), b = preNormalize(studentRaw)
+  return a !== b && a.toLowerCase() === b.toLowerCase()
+}
+
+/**
+ * 化學答案比對。
+ * @returns null（判不動 → 交回既有路徑）| { verdict: 'equal'|'differ', by, errorType?: 'unbalanced'|'not_simplest'|'concept' }
+ *   not_simplest = 已平衡、物種對，只是係數不是最簡整數比（比 concept 輕）
+ */
+export function chemCompare(refRaw, studentRaw) {
+  if (caseOnlyDiffers(refRaw, studentRaw)) return null
+  const ref = parseChemAnswer(refRaw)
+  const stu = parseChemAnswer(studentRaw)
+  if (!ref || !stu) return null
+  if (ref.kind !== stu.kind) return null       // 標答方程式、學生只寫產物（或反之）→ 題意說不準
+  return ref.kind === 'formula' ? compareFormula(ref.species, stu.species) : compareEquation(ref, stu)
+}
@@ -14,6 +14,9 @@
 //     （不設限會鬧笑話：「7元」等於「多多給皮皮 7 元」、平方公尺等於立方公尺。）
 
 import { relationGateVerdict } from './numeric-relation-gate.js'
+import { symbolicCompare, symbolicVerdict, isSolutionSetAnswer, isSymbolicAlgebraEnabled } from './symbolic-algebra.js'
+import { gradeNumericAnswer, precisionScoreFor, precisionRuleLabel, isNumericPolicyEnabled } from './numeric-answer.js'
+import { chemCompare, isChemicalAnswer, isChemFormulaEnabled } from './chem-formula.js'
 
 // 只有這些題型走 code-first；其餘（word_problem/calculation/短答/表格/作圖/複合題）
 // 維持既有路徑。判官型（VJ/字形/級分制/map_fill）在更早的階段就已 bypass。
@@ -207,9 +210,13 @@ function gradeMultiSelect(q, ref, stu, answerKey) {
 
 /**
  * 這一格能不能由 code 直接定案？
- * @returns null（判不動 → 交 accessor）| { verdict: 'equal'|'differ', by }
+ * @param {string} [args.domainHint] - 科目（「自然」→ 化學式不必帶明確化學記號也接手）
+ * @returns null（判不動 → 交 accessor）| { verdict: 'equal'|'differ', by, score?, errorType? }
+ *   errorType='precision'：數值對、有效位數 / 小數位數不符（numericPolicy），score 依 precisionRule
+ *   errorType='unbalanced'：化學方程式物種對、未平衡；'not_simplest'：已平衡但係數不是最簡整數比；
+ *   'concept'：化學物種 / 電荷 / 狀態不符
  */
-export function decideDeterministic({ question, studentAnswer, answerKey, status }) {
+export function decideDeterministic({ question, studentAnswer, answerKey, status, domainHint }) {
   const q = question
   if (!q) return null
   const cat = String(q.questionCategory ?? '')
@@ -242,12 +249,45 @@ export function decideDeterministic({ question, studentAnswer, answerKey, status
   // ⚠ 只用「或」拆，不用斜線：「上午/下午」可能是一個答案（時段），拆開會放水。
   //   斜線仍由下方「多值標答」守衛交回 accessor。
   const alts = ref.split(/或/u).map((x) => x.trim()).filter(Boolean)
+  // 2026-10-19 例外：「x=3或x=-3」是一個解集合（兩個都要寫），不是兩個可接受答案。
+  //   學生只寫其中一個 →「或」到底是哪個意思說不準 → 交 accessor；整組相同才判對。
+  if (alts.length > 1 && isSymbolicAlgebraEnabled() && isSolutionSetAnswer(ref)) {
+    const v = symbolicVerdict(ref, stu)
+    if (v === 'equal') return { verdict: 'equal', by: '解集合相同' }
+    if (v === 'differ' && !alts.some((alt) => normLenient(alt) === S || symbolicVerdict(alt, stu) === 'equal')) {
+      return { verdict: 'differ', by: '解集合不同' }
+    }
+    return null
+  }
   if (alts.length > 1) {
     for (const alt of alts) if (normLenient(alt) === S) return { verdict: 'equal', by: '命中標答列舉的其中一個' }
     if (alts.every((alt) => isFormalAnswer(alt))) return { verdict: 'differ', by: '未命中標答列舉的任一個' }
     return null
   }
 
+  // 2026-10-19 數值題（numeric-answer.js）：答案卷有 numericPolicy（容許誤差／有效位數／小數位數）
+  //   或任一邊是科學記號才接手。⚠ 要在下面的單位拆分之前——「6.02e23」會被拆成數值 6.02、單位 e23。
+  //   值對、位數錯 = 獨立的錯誤類型（precision），計分依該題 precisionRule。
+  if (isNumericPolicyEnabled()) {
+    const n = gradeNumericAnswer(ref, stu, q.numericPolicy)
+    if (n?.precision) {
+      return {
+        verdict: 'differ',
+        by: `${n.by}，本題規則：${precisionRuleLabel(q.numericPolicy)}`,
+        score: precisionScoreFor(q?.maxScore, q.numericPolicy),
+        errorType: 'precision'
+      }
+    }
+    if (n) return { verdict: n.verdict, by: n.by }
+  }
+
+  // 2026-10-19 化學式／化學方程式（chem-formula.js）：下標上標寫法、方程式物種順序正規化後比；
+  //   錯分三種——物種不對（concept）、沒平衡（unbalanced）、係數不是最簡（not_simplest），理由寫進 by；只差大小寫不判。選擇類題型不碰（「C」是選項）。
+  if ((cat === 'fill_blank' || !cat) && isChemFormulaEnabled() && isChemicalAnswer(ref, domainHint)) {
+    const c = chemCompare(ref, stu)
+    if (c) return c
+  }
+
   // 多值答案當集合比（標答「ㄅ、ㄇ、ㄉ」學生「ㄅ、ㄉ、ㄇ」順序不同、內容相同）。
   //   排序題例外——那種題順序本身就是答案。
   if (cat !== 'ordering' && /[、,]/u.test(R) && /[、,]/u.test(S)) {
@@ -328,6 +368,8 @@ export function decideDeterministic({ question, studentAnswer, answerKey, status
   //   代價明示：學生若寫出 code 解析不了的形式（絕對值、多變數、殘缺式）會算錯，
   //   由學生向老師申訴改分——人工才是最標準。
   if (isFormalAnswer(ref)) {
+    // 2026-10-19 代數引擎判定「值相等、寫法不同」（x²-1 vs (x+1)(x-1)）→ 不套「非等價即錯」，交 accessor
+    if (isSymbolicAlgebraEnabled() && symbolicCompare(ref, stu)?.verdict === 'form_differs') return null
     // ⚠ 唯一保留的寬鬆：只有一邊帶 % 而字面數字相同（學生「45」vs 標答「45%」）。
     //   答案卷格子後面通常已經印著「％」，學生不必再寫；嚴格判錯會誤殺（回放 11 格，
     //   現行 AI 全判正確）。要改成嚴格，把這段拿掉即可。
@@ -0,0 +1,251 @@
+/**
+ * grading-progress.js — 2026-10-19 批改進度事件（給老師端即時看每張卷跑到哪一段）
+ *
+ * 背景：
+ *   logStageStart / logStageEnd 早就知道每張卷在 classify / read / arbiter / accessor / explain 哪一段，
+ *   但只印在 Vercel log；前端要等整個 proxy call 回來才知道結果，35 張卷就是盯著 spinner 好幾分鐘。
+ *
+ * 設計：
+ *   1. runAiPipeline 入口掛 AsyncLocalStorage（同 model-routing-policy 手法），帶 requestId / owner /
+ *      assignment / submission；staged-grading 只要給 pipelineRunId，其餘從 ALS 拿，30+ 個 call site 不改 signature。
+ *   2. 事件寫 grading_progress_events（DDL 見 docs/ddl/2026-10-19_grading_progress_events.sql）。
+ *      serverless 下看進度的 request 跟跑批改的 request 多半不在同一台 instance → 只能經 DB，不能靠記憶體 pub/sub。
+ *   3. 批次寫：事件先進 buffer、短延遲合併成一次 insert；phase_end / run_end 會 await flush（function 結束前落地）。
+ *   4. fail-open：表不存在 / insert 失敗只 warn，絕不影響批改。GRADING_PROGRESS_ENABLED=false 整個關掉。
+ *
+ * 事件 type：
+ *   stage_start / stage_end（stage = logStage 的階段名、group = UI 五階段）
+ *   retry        — 階段名帶 retry 的 stage_end（classify-retry / AI3-arbiter-retry / Accessor-p1-retry …）
+ *   quality_gate — quality gate fail（severity / warnings）
+ *   failure      — pipelineFailure（重試用完、或模型 HTTP error）
+ *   phase_end    — Phase A / A3 / B 結束（含 buildStageLatencies 的逐階段耗時）
+ *   run_end      — runAiPipeline 回傳（status）
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { getSupabaseAdmin } from '../_supabase.js'
+import { stageGroupOf } from './stage-log-writer.js'
+
+export const GRADING_PROGRESS_EVENT_TYPES = Object.freeze({
+  STAGE_START: 'stage_start',
+  STAGE_END: 'stage_end',
+  RETRY: 'retry',
+  QUALITY_GATE: 'quality_gate',
+  FAILURE: 'failure',
+  PHASE_END: 'phase_end',
+  RUN_END: 'run_end'
+})
+
+const FLUSH_DELAY_MS = 400
+const MAX_BUFFERED_EVENTS = 200
+const MAX_WARNINGS_PER_EVENT = 8
+
+export const gradingProgressContext = new AsyncLocalStorage()
+
+let buffer = []
+let flushTimer = null
+let flushing = null
+
+function isGradingProgressEnabled() {
+  return process.env.GRADING_PROGRESS_ENABLED !== 'false'
+}
+
+/**
+ * pipeline 入口用：掛進度 context（巢狀呼叫沿用外層）
+ * @param {{ requestId?: string, ownerId?: string, assignmentId?: string, submissionId?: string, route?: string }} meta
+ */
+export function runWithGradingProgress(meta, fn) {
+  if (!isGradingProgressEnabled() || gradingProgressContext.getStore()) return fn()
+  return gradingProgressContext.run({ ...meta, runIds: new Set() }, fn)
+}
+
+function toRow(pipelineRunId, event) {
+  const ctx = gradingProgressContext.getStore()
+  if (!ctx?.ownerId || !pipelineRunId) return null
+  ctx.runIds.add(String(pipelineRunId))
+  const stage = event.stage ? String(event.stage) : null
+  const { type, stage: _stage, status = null, latencyMs = null, ...detail } = event
+  return {
+    pipeline_run_id: String(pipelineRunId),
+    request_id: ctx.requestId || null,
+    owner_id: ctx.ownerId,
+    assignment_id: ctx.assignmentId || null,
+    submission_id: ctx.submissionId || null,
+    route: ctx.route || null,
+    event_type: type,
+    stage,
+    stage_group: stage ? stageGroupOf(stage.toLowerCase()) : null,
+    status: Number.isFinite(status) ? status : null,
+    latency_ms: Number.isFinite(latencyMs) ? Math.round(latencyMs) : null,
+    detail: Object.keys(detail).length > 0 ? detail : null
+  }
+}
+
+/**
+ * 記一筆進度事件（不 await、不 throw）
+ * @param {string} pipelineRunId
+ * @param {{ type: string, stage?: string, status?: number, latencyMs?: number, [k: string]: any }} event
+ */
+export function emitGradingProgress(pipelineRunId, event) {
+  if (!isGradingProgressEnabled()) return
+  try {
+    const row = toRow(pipelineRunId, event)
+    if (!row) return
+    buffer.push(row)
+    if (buffer.length >= MAX_BUFFERED_EVENTS) {
+      flushGradingProgress()
+      return
+    }
+    if (!flushTimer) {
+      flushTimer = setTimeout(() => {
+        flushTimer = null
+        flushGradingProgress()
+      }, FLUSH_DELAY_MS)
+      flushTimer.unref?.()
+    }
+  } catch (err) {
+    console.warn('[grading-progress] emit failed (ignored):', err?.message)
+  }
+}
+
+async function insertBufferedEvents() {
+  if (buffer.length === 0) return
+  const rows = buffer
+  buffer = []
+  try {
+    const { error } = await getSupabaseAdmin().from('grading_progress_events').insert(rows)
+    if (error) console.warn(`[grading-progress] insert error (${rows.length} events dropped):`, error.message)
+  } catch (err) {
+    console.warn('[grading-progress] insert failed (ignored):', err?.message)
+  }
+}
+
+/**
+ * 把 buffer 寫進 DB；呼叫端可 await（phase / run 結束時確保落地）
+ * 併發的 flush 串成一條鏈依序寫（各自取走當下的 buffer），不會有人在別人寫到一半時提早回來；
+ * 只有鏈尾的那一個清掉 flushing（前面的清掉會讓後來的 flush 不等人就開寫）。
+ */
+export async function flushGradingProgress() {
+  if (flushTimer) {
+    clearTimeout(flushTimer)
+    flushTimer = null
+  }
+  const mine = (flushing ?? Promise.resolve()).then(insertBufferedEvents)
+  flushing = mine
+  try {
+    await mine
+  } finally {
+    if (flushing === mine) flushing = null
+  }
+}
+
+// ── staged-grading 用的薄包裝 ──────────────────────────────────────────────
+
+export function noteStageStart(pipelineRunId, stageName) {
+  emitGradingProgress(pipelineRunId, { type: GRADING_PROGRESS_EVENT_TYPES.STAGE_START, stage: stageName })
+}
+
+export function noteStageEnd(pipelineRunId, stageName, stageResponse) {
+  const warnings = Array.isArray(stageResponse?.warnings) ? stageResponse.warnings : []
+  emitGradingProgress(pipelineRunId, {
+    type: /retry/i.test(String(stageName)) ? GRADING_PROGRESS_EVENT_TYPES.RETRY : GRADING_PROGRESS_EVENT_TYPES.STAGE_END,
+    stage: stageName,
+    status: Number(stageResponse?.status) || 0,
+    latencyMs: Number(stageResponse?.modelLatencyMs) || 0,
+    ...(warnings.length > 0 ? { warnings: warnings.slice(0, MAX_WARNINGS_PER_EVENT) } : {})
+  })
+}
+
+/**
+ * quality gate 結果：只記 fail（會觸發重試 / 失敗；warn 量大、前端也不需要）
+ */
+export function noteQualityGate(pipelineRunId, stageName, qg) {
+  if (qg?.severity !== 'fail') return
+  emitGradingProgress(pipelineRunId, {
+    type: GRADING_PROGRESS_EVENT_TYPES.QUALITY_GATE,
+    stage: stageName,
+    severity: qg.severity,
+    warnings: (Array.isArray(qg.warnings) ? qg.warnings : []).slice(0, MAX_WARNINGS_PER_EVENT)
+  })
+}
+
+export function notePipelineFailure(pipelineRunId, failure) {
+  emitGradingProgress(pipelineRunId, {
+    type: GRADING_PROGRESS_EVENT_TYPES.FAILURE,
+    stage: failure?.stage || null,
+    reasonCode: failure?.reasonCode || null,
+    userMessage: failure?.userMessage || null
+  })
+}
+
+export async function notePhaseEnd(pipelineRunId, phase, stageLatencies) {
+  emitGradingProgress(pipelineRunId, {
+    type: GRADING_PROGRESS_EVENT_TYPES.PHASE_END,
+    phase,
+    latencyMs: stageLatencies?.total_ms ?? null,
+    ...(stageLatencies?.by_stage ? { byStage: stageLatencies.by_stage } : {})
+  })
+  await flushGradingProgress()
+}
+
+/**
+ * runAiPipeline 回傳時：本輪碰過的每個 pipelineRunId 各記一筆 run_end，並 await 落地
+ */
+export async function noteRunEnd({ status, ok }) {
+  const ctx = gradingProgressContext.getStore()
+  if (!ctx) return
+  for (const runId of ctx.runIds) {
+    emitGradingProgress(runId, { type: GRADING_PROGRESS_EVENT_TYPES.RUN_END, status, ok: ok !== false })
+  }
+  await flushGradingProgress()
+}
+
+/**
+ * 把事件流收斂成「每張卷現在在哪」（進度面板 / long-poll 回應用）
+ * @param {Array<object>} events - grading_progress_events rows（id 遞增）
+ */
+export function summarizeGradingProgress(events) {
+  const bySubmission = new Map()
+  for (const e of Array.isArray(events) ? events : []) {
+    const key = e.submission_id || e.pipeline_run_id
+    let s = bySubmission.get(key)
+    if (!s) {
+      s = {
+        submissionId: e.submission_id || null,
+        pipelineRunId: e.pipeline_run_id,
+        stage: null,
+        stageGroup: null,
+        retries: 0,
+        qualityGateIssues: 0,
+        failure: null,
+        done: false,
+        lastEventAt: null
+      }
+      bySubmission.set(key, s)
+    }
+    s.pipelineRunId = e.pipeline_run_id
+    s.lastEventAt = e.created_at || s.lastEventAt
+    switch (e.event_type) {
+      case GRADING_PROGRESS_EVENT_TYPES.STAGE_START:
+        s.stage = e.stage
+        s.stageGroup = e.stage_group
+        s.done = false
+        break
+      case GRADING_PROGRESS_EVENT_TYPES.RETRY:
+        s.retries += 1
+        break
+      case GRADING_PROGRESS_EVENT_TYPES.QUALITY_GATE:
+        s.qualityGateIssues += 1
+        break
+      case GRADING_PROGRESS_EVENT_TYPES.FAILURE:
+        s.failure = { stage: e.stage, reasonCode: e.detail?.reasonCode || null, userMessage: e.detail?.userMessage || null }
+        break
+      case GRADING_PROGRESS_EVENT_TYPES.RUN_END:
+        s.done = true
+        break
+      default:
+        break
+    }
+  }
+  return [...bySubmission.values()]
+}
@@ -0,0 +1,405 @@
+// 2026-10-19 本地透視校正 / 拉正 / 分頁偵測（sharp + 純 JS，零外部服務、零模型 call）。
+//   以前照片整平只能靠 DEWARP_URL（Python/UVDoc 微服務）、四角偵測靠 perspective.detect_corners（Gemini）；
+//   任一掛掉，照片就歪著進批改。現在順序是：本地 → 遠端 dewarp（有設才打）→ 原圖。
+//   全部確定性（同圖同輸出）：Phase A 拆成多個 HTTP call 時，每個 call 各自校正也會得到同一張圖，bbox 對得齊。
+//
+//   detectPageQuad     紙張四角（亮區連通塊補洞 + 極值角點）
+//   warpQuadToRect     單應性透視還原成矩形
+//   estimateSkewDeg    投影輪廓找文字行傾角（±5°）
+//   detectPageBreaks   直向合併多頁圖的接縫（相鄰列像素跳變）
+//   flattenPhotoLocally 以上串起來：逐頁找角 → 還原/拉正 → 重新合併 + 新 pageBreaks
+//   mergePagesVertically 多頁直向合併 + pageBreaks（整班掃描拆卷 server/scan-split.js 共用）
+import sharp from 'sharp'
+
+const DETECT_LONG_SIDE = 800
+const MAX_OUTPUT_LONG_SIDE = 2400
+const SKEW_RANGE_DEG = 5
+const SKEW_STEP_DEG = 0.25
+const SKEW_MIN_DEG = 0.4
+// 接縫兩側紙色（灰階）至少差這麼多才算換頁
+const SEAM_MIN_STEP = 10
+
+export function isLocalDewarpEnabled() {
+  return process.env.LOCAL_DEWARP_ENABLED !== 'false'
+}
+
+// Otsu 自動二值門檻（bubble-reader 共用）
+export function otsuThreshold(gray) {
+  const hist = new Array(256).fill(0)
+  for (let i = 0; i < gray.length; i += 1) hist[gray[i]] += 1
+  let sumAll = 0
+  for (let t = 0; t < 256; t += 1) sumAll += t * hist[t]
+  let sumB = 0
+  let wB = 0
+  let best = 0
+  let threshold = 128
+  for (let t = 0; t < 256; t += 1) {
+    wB += hist[t]
+    if (wB === 0) continue
+    const wF = gray.length - wB
+    if (wF === 0) break
+    sumB += t * hist[t]
+    const between = wB * wF * (sumB / wB - (sumAll - sumB) / wF) ** 2
+    if (between > best) { best = between; threshold = t }
+  }
+  return threshold
+}
+
+/**
+ * 單位正方形 (u,v) → 四邊形 [TL, TR, BR, BL] 的投影轉換（Heckbert square-to-quad）；退化回 null（bubble-reader 共用）
+ * @returns {((u: number, v: number) => [number, number]) | null}
+ */
+export function squareToQuad([p0, p1, p2, p3]) {
+  const dx1 = p1[0] - p2[0]
+  const dx2 = p3[0] - p2[0]
+  const dx3 = p0[0] - p1[0] + p2[0] - p3[0]
+  const dy1 = p1[1] - p2[1]
+  const dy2 = p3[1] - p2[1]
+  const dy3 = p0[1] - p1[1] + p2[1] - p3[1]
+  let g = 0
+  let h = 0
+  const den = dx1 * dy2 - dx2 * dy1
+  if (Math.abs(dx3) > 1e-9 || Math.abs(dy3) > 1e-9) {
+    if (Math.abs(den) < 1e-9) return null
+    g = (dx3 * dy2 - dx2 * dy3) / den
+    h = (dx1 * dy3 - dx3 * dy1) / den
+  }
+  const a = p1[0] - p0[0] + g * p1[0]
+  const b = p3[0] - p0[0] + h * p3[0]
+  const d = p1[1] - p0[1] + g * p1[1]
+  const e = p3[1] - p0[1] + h * p3[1]
+  return (u, v) => {
+    const w = g * u + h * v + 1
+    return [(a * u + b * v + p0[0]) / w, (d * u + e * v + p0[1]) / w]
+  }
+}
+
+function polygonArea(points) {
+  let sum = 0
+  for (let i = 0; i < points.length; i += 1) {
+    const [x1, y1] = points[i]
+    const [x2, y2] = points[(i + 1) % points.length]
+    sum += x1 * y2 - x2 * y1
+  }
+  return Math.abs(sum) / 2
+}
+
+function isConvexQuad(points) {
+  let sign = 0
+  for (let i = 0; i < 4; i += 1) {
+    const [ax, ay] = points[i]
+    const [bx, by] = points[(i + 1) % 4]
+    const [cx, cy] = points[(i + 2) % 4]
+    const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx)
+    if (Math.abs(cross) < 1e-6) return false
+    if (sign === 0) sign = Math.sign(cross)
+    else if (Math.sign(cross) !== sign) return false
+  }
+  return true
+}
+
+async function loadGray(buffer, longSide) {
+  const meta = await sharp(buffer).metadata()
+  const scale = Math.min(1, longSide / Math.max(meta.width, meta.height))
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize({ width: Math.max(1, Math.round(meta.width * scale)) })
+    .blur(1)
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  return { gray: data, width: info.width, height: info.height, srcWidth: meta.width, srcHeight: meta.height }
+}
+
+// 把「不屬於 id 區」的像素從畫面邊框往內填；填不到的 = 被 id 區包住的洞（文字、表格框線、格子內部）。
+//   回傳 id 區 + 洞的總面積（= 紙張外輪廓圍出的面積）
+function filledRegionArea(label, width, height, id) {
+  const n = width * height
+  const outside = new Uint8Array(n)
+  const stack = []
+  let count = 0
+  const seed = (i) => {
+    if (outside[i] || label[i] === id) return
+    outside[i] = 1
+    count += 1
+    stack.push(i)
+  }
+  for (let x = 0; x < width; x += 1) { seed(x); seed((height - 1) * width + x) }
+  for (let y = 0; y < height; y += 1) { seed(y * width); seed(y * width + width - 1) }
+  while (stack.length > 0) {
+    const i = stack.pop()
+    const x = i % width
+    if (x > 0) seed(i - 1)
+    if (x < width - 1) seed(i + 1)
+    if (i >= width) seed(i - width)
+    if (i < n - width) seed(i + width)
+  }
+  return n - count
+}
+
+/**
+ * 紙張四角。紙＝比背景亮、極值角點圍出面積最大的連通塊（表格框線會把紙切成外框 + 一格一格，
+ *   外框那塊的像素不一定最多、但圍出的範圍一定最大）；角點取 x+y / x−y 的極值（拍照傾斜 < ~30° 都成立）。
+ * @returns {Promise<{ ok: boolean, reason?: string, fullFrame?: boolean, corners?: Array<{x:number,y:number}>, confidence?: number }>}
+ *   corners：normalized 0–1，順序 TL, TR, BR, BL。fullFrame=紙張佔滿畫面（掃描/貼近拍），不需透視還原。
+ */
+export async function detectPageQuad(buffer) {
+  const { gray, width, height } = await loadGray(buffer, DETECT_LONG_SIDE)
+  const threshold = otsuThreshold(gray)
+  const n = width * height
+  const label = new Int32Array(n).fill(-1)
+  const stack = []
+  let best = null
+  let nextLabel = 0
+  for (let start = 0; start < n; start += 1) {
+    if (label[start] !== -1 || gray[start] <= threshold) continue
+    const id = nextLabel++
+    let area = 0
+    let touches = 0
+    const extremes = { sMin: Infinity, sMax: -Infinity, dMin: Infinity, dMax: -Infinity, tl: null, br: null, tr: null, bl: null }
+    label[start] = id
+    stack.push(start)
+    while (stack.length > 0) {
+      const i = stack.pop()
+      const x = i % width
+      const y = (i - x) / width
+      area += 1
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touches += 1
+      const s = x + y
+      const d = x - y
+      if (s < extremes.sMin) { extremes.sMin = s; extremes.tl = [x, y] }
+      if (s > extremes.sMax) { extremes.sMax = s; extremes.br = [x, y] }
+      if (d > extremes.dMax) { extremes.dMax = d; extremes.tr = [x, y] }
+      if (d < extremes.dMin) { extremes.dMin = d; extremes.bl = [x, y] }
+      if (x > 0 && label[i - 1] === -1 && gray[i - 1] > threshold) { label[i - 1] = id; stack.push(i - 1) }
+      if (x < width - 1 && label[i + 1] === -1 && gray[i + 1] > threshold) { label[i + 1] = id; stack.push(i + 1) }
+      if (y > 0 && label[i - width] === -1 && gray[i - width] > threshold) { label[i - width] = id; stack.push(i - width) }
+      if (y < height - 1 && label[i + width] === -1 && gray[i + width] > threshold) { label[i + width] = id; stack.push(i + width) }
+    }
+    const span = polygonArea([extremes.tl, extremes.tr, extremes.br, extremes.bl])
+    if (!best || span > best.span) best = { id, area, span, touches, ...extremes }
+  }
+  if (!best) return { ok: false, reason: 'no_page_region' }
+  // 文字 / 表格在亮區挖的洞算回紙裡，不然框線多的答案卷亮區只剩一半、四角一定對不上
+  const paperArea = filledRegionArea(label, width, height, best.id)
+  if (paperArea < n * 0.2) return { ok: false, reason: 'no_page_region' }
+  // 紙碰到畫面邊框的像素超過周長 60% → 紙佔滿畫面（掃描、貼近拍），角點沒有意義
+  if (best.touches > 2 * (width + height) * 0.6) return { ok: true, fullFrame: true, confidence: 1 }
+  const quad = [best.tl, best.tr, best.br, best.bl]
+  if (!isConvexQuad(quad)) return { ok: false, reason: 'not_convex' }
+  const fit = polygonArea(quad) / paperArea
+  // 極值角點連成的四邊形應該幾乎蓋滿紙（含洞）：差太多 = 亮區不是一張紙（桌面反光、兩張紙黏在一起）
+  if (fit < 0.85 || fit > 1.15) return { ok: false, reason: 'poor_quad_fit', fit }
+  return {
+    ok: true,
+    fullFrame: false,
+    corners: quad.map(([x, y]) => ({ x: x / (width - 1), y: y / (height - 1) })),
+    confidence: Math.round((1 - Math.abs(1 - fit) / 0.15) * 100) / 100
+  }
+}
+
+/**
+ * 四角（normalized TL, TR, BR, BL）→ 矩形。輸出尺寸取對邊長度平均（原圖像素、長邊上限 2400）。
+ * @returns {Promise<{ data: Buffer, width: number, height: number }>} raw RGB
+ */
+export async function warpQuadToRect(buffer, corners) {
+  const { data: src, info } = await sharp(buffer).flatten({ background: '#ffffff' }).removeAlpha().raw().toBuffer({ resolveWithObject: true })
+  const sw = info.width
+  const sh = info.height
+  const ch = info.channels
+  const pts = corners.map((c) => [c.x * (sw - 1), c.y * (sh - 1)])
+  const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1])
+  let outW = (dist(pts[0], pts[1]) + dist(pts[3], pts[2])) / 2
+  let outH = (dist(pts[0], pts[3]) + dist(pts[1], pts[2])) / 2
+  const scale = Math.min(1, MAX_OUTPUT_LONG_SIDE / Math.max(outW, outH))
+  outW = Math.max(1, Math.round(outW * scale))
+  outH = Math.max(1, Math.round(outH * scale))
+  const project = squareToQuad(pts)
+  if (!project) throw new Error('degenerate quad')
+  const out = Buffer.alloc(outW * outH * ch, 255)
+  for (let y = 0; y < outH; y += 1) {
+    const v = outH > 1 ? y / (outH - 1) : 0
+    for (let x = 0; x < outW; x += 1) {
+      const [fx, fy] = project(outW > 1 ? x / (outW - 1) : 0, v)
+      if (fx < 0 || fy < 0 || fx > sw - 1 || fy > sh - 1) continue
+      const x0 = Math.floor(fx)
+      const y0 = Math.floor(fy)
+      const x1 = Math.min(sw - 1, x0 + 1)
+      const y1 = Math.min(sh - 1, y0 + 1)
+      const ax = fx - x0
+      const ay = fy - y0
+      const o = (y * outW + x) * ch
+      for (let c = 0; c < ch; c += 1) {
+        const top = src[(y0 * sw + x0) * ch + c] * (1 - ax) + src[(y0 * sw + x1) * ch + c] * ax
+        const bottom = src[(y1 * sw + x0) * ch + c] * (1 - ax) + src[(y1 * sw + x1) * ch + c] * ax
+        out[o + c] = Math.round(top * (1 - ay) + bottom * ay)
+      }
+    }
+  }
+  return { data: out, width: outW, height: outH, channels: ch }
+}
+
+/**
+ * 文字行傾角（度；正＝行往右下斜）。投影輪廓：把墨水點依候選角度投到 y 軸，行對齊時直方圖最尖。
+ * 找不到明顯較好的角度回 0。
+ */
+export async function estimateSkewDeg(buffer) {
+  const { gray, width, height } = await loadGray(buffer, DETECT_LONG_SIDE)
+  const threshold = Math.min(otsuThreshold(gray), 160)
+  const ink = []
+  const stride = Math.max(1, Math.floor((width * height) / 400_000))
+  for (let i = 0; i < gray.length; i += stride) {
+    if (gray[i] < threshold) ink.push(i)
+  }
+  if (ink.length < 200) return 0
+  const score = (deg) => {
+    const t = Math.tan((deg * Math.PI) / 180)
+    const bins = new Float64Array(height * 2)
+    for (const i of ink) {
+      const x = i % width
+      const y = (i - x) / width
+      const b = Math.round(y - x * t + height / 2)
+      if (b >= 0 && b < bins.length) bins[b] += 1
+    }
+    let s = 0
+    for (let b = 1; b < bins.length; b += 1) s += (bins[b] - bins[b - 1]) ** 2
+    return s
+  }
+  const base = score(0)
+  let bestDeg = 0
+  let bestScore = base
+  for (let deg = -SKEW_RANGE_DEG; deg <= SKEW_RANGE_DEG + 1e-9; deg += SKEW_STEP_DEG) {
+    const s = score(deg)
+    if (s > bestScore) { bestScore = s; bestDeg = Math.round(deg * 100) / 100 }
+  }
+  // 改善不到 5% 視為本來就正（避免雜訊把正的圖轉歪）
+  return bestScore > base * 1.05 ? bestDeg : 0
+}
+
+/**
+ * 直向合併多頁圖的接縫 y（normalized）。各頁是不同照片 → 紙色（曝光、白平衡）在接縫處「一刀」跳階；
+ * 同一張照片內紙色是緩慢漸變。每列取 90 百分位當紙色（文字只佔一行的少數像素、不影響），
+ * 接縫＝兩側紙色中位數差夠大、且差距集中在相鄰兩列（不是漸層）的位置。
+ * @param {{ expectedPages?: number }} [opts] - 有給就只收剛好 expectedPages−1 個接縫（否則回 []）
+ * @returns {Promise<number[]>}
+ */
+export async function detectPageBreaks(buffer, { expectedPages = 0 } = {}) {
+  const meta = await sharp(buffer).metadata()
+  if (!meta.width || !meta.height || meta.height < meta.width * 1.2) return []
+  const { data: gray, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize({ width: Math.min(400, meta.width) })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  const { width, height } = info
+  const paper = new Float64Array(height)
+  const row = new Uint8Array(width)
+  for (let y = 0; y < height; y += 1) {
+    row.set(gray.subarray(y * width, (y + 1) * width))
+    row.sort()
+    paper[y] = row[Math.floor(width * 0.9)]
+  }
+  const median = (from, to) => {
+    const arr = Array.from(paper.subarray(Math.max(0, from), Math.min(height, to))).sort((p, q) => p - q)
+    return arr[Math.floor(arr.length / 2)] ?? 0
+  }
+  const k = Math.max(4, Math.round(height * 0.02))
+  const minGap = Math.round(height * 0.15)
+  const candidates = []
+  for (let y = minGap; y < height - minGap; y += 1) {
+    const step = Math.abs(median(y - k, y) - median(y, y + k))
+    const sharpStep = Math.abs(paper[y] - paper[y - 1])
+    if (step >= SEAM_MIN_STEP && sharpStep >= step * 0.5) candidates.push({ y, score: step })
+  }
+  candidates.sort((p, q) => q.score - p.score || p.y - q.y)
+  const picked = []
+  for (const c of candidates) {
+    if (picked.every((p) => Math.abs(p.y - c.y) >= minGap)) picked.push(c)
+  }
+  const breaks = picked.map((p) => Math.round((p.y / height) * 10000) / 10000).sort((p, q) => p - q)
+  if (expectedPages > 0) return breaks.length === expectedPages - 1 ? breaks : []
+  return breaks
+}
+
+/**
+ * 多頁直向合併成一張圖（縮放到同寬＝最寬那頁，上限 maxWidth）＋ pageBreaks（累積高度比例、不含最後一頁）。
+ * 2026-10-19 從 flattenPhotoLocally 抽出，整班掃描拆卷（server/scan-split.js）共用。
+ * @param {Buffer[]} buffers
+ * @param {{ maxWidth?: number, quality?: number }} [opts]
+ * @returns {Promise<{ buffer: Buffer, pageBreaks: number[], width: number, height: number }>}
+ */
+export async function mergePagesVertically(buffers, { maxWidth = Infinity, quality = 90 } = {}) {
+  const metas = await Promise.all(buffers.map((b) => sharp(b).metadata()))
+  const targetW = Math.min(maxWidth, Math.max(...metas.map((m) => m.width)))
+  const resized = await Promise.all(buffers.map((b) => sharp(b).resize({ width: targetW }).png().toBuffer({ resolveWithObject: true })))
+  const totalH = resized.reduce((s, r) => s + r.info.height, 0)
+  let y = 0
+  const composites = resized.map((r) => {
+    const c = { input: r.data, left: 0, top: y }
+    y += r.info.height
+    return c
+  })
+  const buffer = await sharp({ create: { width: targetW, height: totalH, channels: 3, background: '#ffffff' } })
+    .composite(composites)
+    .webp({ quality })
+    .toBuffer()
+  const pageBreaks = []
+  let acc = 0
+  for (const r of resized.slice(0, -1)) {
+    acc += r.info.height
+    pageBreaks.push(Math.round((acc / totalH) * 10000) / 10000)
+  }
+  return { buffer, pageBreaks, width: targetW, height: totalH }
+}
+
+/**
+ * 照片卷本地整平：逐頁（依 pageBreaks 切）找紙張四角 → 透視還原；紙佔滿畫面的頁改做拉正（deskew）。
+ * @returns {Promise<{ data: string, mimeType: string, pageBreaks: number[], pages: Array, failedPages: number } | null>}
+ *   沒有任何一頁需要改 → null（呼叫端用原圖）；failedPages＞0 = 有頁找不到紙（呼叫端可再試遠端）。
+ */
+export async function flattenPhotoLocally({ data, pageBreaks = [] }) {
+  const buffer = Buffer.from(data, 'base64')
+  const meta = await sharp(buffer).metadata()
+  if (!meta.width || !meta.height) return null
+  const bounds = [0, ...pageBreaks.filter((b) => b > 0 && b < 1), 1]
+  const pages = []
+  let changed = false
+  let failedPages = 0
+  for (let i = 0; i < bounds.length - 1; i += 1) {
+    const top = Math.round(bounds[i] * meta.height)
+    const h = Math.max(1, Math.round(bounds[i + 1] * meta.height) - top)
+    const pageBuf = await sharp(buffer).extract({ left: 0, top, width: meta.width, height: h }).png().toBuffer()
+    const quad = await detectPageQuad(pageBuf)
+    let out = pageBuf
+    const info = { page: i + 1, action: 'none' }
+    if (quad.ok && !quad.fullFrame) {
+      const warped = await warpQuadToRect(pageBuf, quad.corners)
+      out = await sharp(warped.data, { raw: { width: warped.width, height: warped.height, channels: warped.channels } }).png().toBuffer()
+      Object.assign(info, { action: 'warp', confidence: quad.confidence })
+      changed = true
+    } else if (!quad.ok) {
+      failedPages += 1
+      info.action = `skip:${quad.reason}`
+    }
+    // 透視還原後（或本來就滿版）再看文字行有沒有斜
+    const skew = await estimateSkewDeg(out)
+    if (Math.abs(skew) >= SKEW_MIN_DEG) {
+      out = await sharp(out).rotate(-skew, { background: '#ffffff' }).png().toBuffer()
+      info.deskewDeg = skew
+      changed = true
+    }
+    pages.push({ buffer: out, info })
+  }
+  if (!changed) return failedPages > 0 ? { data: null, failedPages, pages: pages.map((p) => p.info) } : null
+
+  // 重新直向合併：各頁縮放到同寬（取最寬、上限原圖寬）
+  const { buffer: merged, pageBreaks: newBreaks } = await mergePagesVertically(pages.map((p) => p.buffer), { maxWidth: meta.width, quality: 90 })
+  return {
+    data: merged.toString('base64'),
+    mimeType: 'image/webp',
+    pageBreaks: newBreaks,
+    pages: pages.map((p) => p.info),
+    failedPages
+  }
+}
@@ -3,6 +3,8 @@ import {
   buildVertexModelUrl,
   getVertexAccessToken
 } from './vertex-auth.js'
+import { getModelReplaySession } from './model-replay.js'
+import { isGeminiModel, parseModelSpec, callChatCompletionsModel } from './model-providers.js'
 
 function parseResponseBody(rawText) {
   if (typeof rawText !== 'string') return {}
@@ -225,7 +227,31 @@ function stripThinkingConfig(payload) {
 // If the primary model returns 503, tries each model in fallbackModels in order.
 // thinkingConfig is stripped from the payload for fallback models, as they may
 // use different thinking APIs or not support it at all.
+// 2026-10-19: model 帶供應商前綴（'openai:…' / 'local:…'）→ 走 model-providers 的 chat/completions 翻譯層，
+//   回應已包回 Gemini 形狀；重試規則各供應商自管。沒前綴 = 原 Gemini / Vertex 路徑（名稱沿用、呼叫端不必改）。
+//
+// routeKey 只給 model-replay 當 fixture key 用（錄製/回放 session 外不影響任何行為）。
 export async function callGeminiGenerateContent({
+  apiKey,
+  model,
+  contents,
+  payload = {},
+  timeoutMs,
+  fallbackModels = [],
+  routeKey = null
+}) {
+  // 2026-10-19: 錄製/回放 session（local-only/replay-grading.mjs）——key 以呼叫端原始 payload 計算，
+  //   不含下方 strip 後的版本（strip 規則本身改了也要能 replay）。
+  const replaySession = getModelReplaySession()
+  if (replaySession) {
+    return replaySession.intercept({ routeKey, model, contents, payload }, () =>
+      callGeminiGenerateContentLive({ apiKey, model, contents, payload, timeoutMs, fallbackModels })
+    )
+  }
+  return callGeminiGenerateContentLive({ apiKey, model, contents, payload, timeoutMs, fallbackModels })
+}
+
+async function callGeminiGenerateContentLive({
   apiKey,
   model,
   contents,
@@ -233,7 +259,9 @@ export async function callGeminiGenerateContent({
   timeoutMs,
   fallbackModels = []
 }) {
-  const allModels = [model, ...fallbackModels]
+  // fallbackModels 是呼叫端為 Gemini 排的降級鏈：只接同供應商的，openai:/local: 主模型 503 不會跑去打 Gemini
+  const provider = parseModelSpec(model).provider
+  const allModels = [model, ...fallbackModels.filter((m) => parseModelSpec(m).provider === provider)]
   let lastResult = null
 
   // 2026-07-17: 3.5-flash 解除 strip（exp-read-thinking-2026-07-17 判決）：read 開 MINIMAL 品質同或略好
@@ -248,6 +276,15 @@ export async function callGeminiGenerateContent({
 
   for (let i = 0; i < allModels.length; i++) {
     const currentModel = allModels[i]
+    if (!isGeminiModel(currentModel)) {
+      if (i > 0) {
+        console.warn(`[ai-model-adapter] 503-fallback switching to model=${currentModel} fallbackIndex=${i}`)
+      }
+      const result = await callChatCompletionsModel({ model: currentModel, contents, payload, timeoutMs })
+      lastResult = result
+      if (Number(result.status) === 503 && i < allModels.length - 1) continue
+      return result
+    }
     const shouldStrip = i > 0 || !supportsThinkingLevel(currentModel)
     let effectivePayload = shouldStrip ? stripThinkingConfig(payload) : payload
     // mediaResolution 只有 Gemini 3.x 吃;fallback 或非 3.x 一律拔掉
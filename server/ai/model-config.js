@@ -18,6 +18,7 @@
  */
 
 import { AI_ROUTE_KEYS } from './routes.js'
+import { getRoutingPolicyModel } from './model-routing-policy.js'
 
 // 2026-07-22 全套 3.5→3.6（user 拍板）：四路由沙盒＝read 100%(3.5=94%)+輸出側帳單-42%、
 //   classify 在偷懶案例框貼手寫(3.5 框壓印刷字、眼球裁決)、extract 單題 2/5 題型翻動(微退可接受)、
@@ -107,11 +108,37 @@ export const STAGE_MODEL = Object.freeze({
   [AI_ROUTE_KEYS.UNKNOWN]: MODEL_FLASH                     // 未知路由用便宜的
 })
 
+// 2026-10-19 單一 stage 換供應商 A/B（model-providers.js）：不動 tier、只把指定 routeKey 指走。
+//   例：STAGE_MODEL_OVERRIDES='{"grading.read_answer":"openai:gpt-4.1","grading.re_read_answer":"local:qwen2.5-vl"}'
+//   JSON 壞掉 → 整包忽略（warn 一次）、照 STAGE_MODEL 跑；拿掉 env 即回退。
+let cachedStageOverridesRaw = null
+let cachedStageOverrides = {}
+function getStageModelOverrides() {
+  const raw = process.env.STAGE_MODEL_OVERRIDES || ''
+  if (raw === cachedStageOverridesRaw) return cachedStageOverrides
+  cachedStageOverridesRaw = raw
+  cachedStageOverrides = {}
+  if (!raw.trim()) return cachedStageOverrides
+  try {
+    const parsed = JSON.parse(raw)
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      for (const [routeKey, model] of Object.entries(parsed)) {
+        if (typeof model === 'string' && model.trim()) cachedStageOverrides[routeKey] = model.trim()
+      }
+    }
+  } catch {
+    console.warn('[model-config] STAGE_MODEL_OVERRIDES is not valid JSON — ignored')
+  }
+  return cachedStageOverrides
+}
+
 /**
  * 依 routeKey 取得對應 model
  * 找不到就回 MODEL_FLASH（最便宜的 default）
+ * model 字串可帶供應商前綴（'openai:…' / 'local:…'），由 model-adapter 分派
+ * 2026-10-19：本輪有 per 學校/老師/作業分流政策（model-routing-policy.js）時以政策為準
  */
 export function resolveStageModel(routeKey) {
   if (!routeKey) return MODEL_FLASH
-  return STAGE_MODEL[routeKey] || MODEL_FLASH
+  return getRoutingPolicyModel(routeKey) || getStageModelOverrides()[routeKey] || STAGE_MODEL[routeKey] || MODEL_FLASH
 }
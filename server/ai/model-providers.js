@@ -0,0 +1,298 @@
+/**
+ * model-providers.js — 2026-10-19 非 Gemini 模型供應商（OpenAI 相容 / 自架模型伺服器）
+ *
+ * 背景：學校問資料落地（data residency）、也想在 read / judge stage A/B 其他廠商，
+ *   但整條 pipeline（parser / quality gate / recordTokenUsage）都吃 Gemini generateContent 格式。
+ *
+ * 設計原則：
+ *   1. model 字串帶前綴決定供應商：'openai:gpt-4.1-mini'、'local:qwen2.5-vl-72b'；
+ *      沒前綴 = Gemini（含 Vertex，由 AI_PROVIDER 決定，行為完全不變）。
+ *      → STAGE_MODEL / env MODEL_PRO 等直接填前綴字串即可把某個 stage 指過去，不必 fork pipeline。
+ *   2. 翻譯只在邊界做一次：Gemini contents/payload → chat/completions messages；
+ *      回應包回 Gemini 形狀（candidates[].content.parts[].text + usageMetadata），下游一行不改。
+ *   3. 每個供應商各自的重試規則（見 PROVIDERS[].retry）——自架伺服器沒有 429 配額語意，
+ *      雲端 API 的 5xx 也不一定代表 overload，不能套 Gemini 那套。
+ *
+ * env：
+ *   OPENAI_COMPAT_BASE_URL / OPENAI_COMPAT_API_KEY   （預設 https://api.openai.com/v1）
+ *   LOCAL_MODEL_BASE_URL / LOCAL_MODEL_API_KEY       （vLLM / Ollama / TGI 等 OpenAI 相容 server；key 可空）
+ *   {OPENAI_COMPAT|LOCAL_MODEL}_RETRY_COUNT / _RETRY_BACKOFF_MS   覆寫重試次數與基準退避
+ */
+
+import { getEnvValue } from '../_env.js'
+
+export const MODEL_PROVIDERS = Object.freeze({
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  LOCAL: 'local'
+})
+
+const PROVIDERS = Object.freeze({
+  [MODEL_PROVIDERS.OPENAI]: {
+    label: 'openai-compat',
+    envPrefix: 'OPENAI_COMPAT',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresApiKey: true,
+    retry: {
+      // 雲端 API：429 依 Retry-After 等、5xx 視為暫時性
+      retryStatuses: new Set([429, 500, 502, 503, 504]),
+      retryCount: 3,
+      baseBackoffMs: 1000,
+      maxBackoffMs: 20000
+    }
+  },
+  [MODEL_PROVIDERS.LOCAL]: {
+    label: 'local-model',
+    envPrefix: 'LOCAL_MODEL',
+    defaultBaseUrl: '',
+    requiresApiKey: false,
+    retry: {
+      // 自架 server：只有 503(佇列滿/模型載入中)與網路斷線值得重試；500 多半是 request 本身爆（OOM/超長）、重試只會再爆
+      retryStatuses: new Set([502, 503, 504]),
+      retryCount: 2,
+      baseBackoffMs: 500,
+      maxBackoffMs: 5000
+    }
+  }
+})
+
+/**
+ * 'openai:gpt-4.1-mini' → { provider: 'openai', modelName: 'gpt-4.1-mini' }
+ * 沒前綴或前綴不認得 → Gemini（'models/' 前綴照舊由 model-adapter 處理）
+ */
+export function parseModelSpec(model) {
+  const raw = String(model || '').trim()
+  const m = raw.match(/^([a-z][a-z0-9_-]*):(.+)$/i)
+  if (m && PROVIDERS[m[1].toLowerCase()]) {
+    return { provider: m[1].toLowerCase(), modelName: m[2].trim() }
+  }
+  return { provider: MODEL_PROVIDERS.GEMINI, modelName: raw }
+}
+
+export function isGeminiModel(model) {
+  return parseModelSpec(model).provider === MODEL_PROVIDERS.GEMINI
+}
+
+function envNumber(key) {
+  const raw = getEnvValue(key)
+  if (!raw) return null
+  const n = Number(raw)
+  return Number.isFinite(n) ? n : null
+}
+
+function getProviderConfig(provider) {
+  const def = PROVIDERS[provider]
+  const retryCount = envNumber(`${def.envPrefix}_RETRY_COUNT`)
+  const baseBackoffMs = envNumber(`${def.envPrefix}_RETRY_BACKOFF_MS`)
+  return {
+    ...def,
+    baseUrl: String(getEnvValue(`${def.envPrefix}_BASE_URL`) || def.defaultBaseUrl).replace(/\/+$/, ''),
+    apiKey: getEnvValue(`${def.envPrefix}_API_KEY`) || '',
+    retry: {
+      ...def.retry,
+      retryCount: retryCount != null ? Math.max(0, Math.round(retryCount)) : def.retry.retryCount,
+      baseBackoffMs: baseBackoffMs != null ? Math.max(100, Math.round(baseBackoffMs)) : def.retry.baseBackoffMs
+    }
+  }
+}
+
+// ── 請求翻譯：Gemini → chat/completions ─────────────────────────────────────
+
+function partToChatContent(part) {
+  if (typeof part?.text === 'string') return { type: 'text', text: part.text }
+  // staged-grading 兩種寫法都有（inlineData / inline_data）
+  const inline = part?.inlineData || part?.inline_data
+  if (inline?.data) {
+    const mimeType = inline.mimeType || inline.mime_type || 'image/webp'
+    return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${inline.data}` } }
+  }
+  return null
+}
+
+function systemInstructionText(payload) {
+  const si = payload?.systemInstruction || payload?.system_instruction
+  if (!si) return ''
+  if (typeof si === 'string') return si
+  const parts = Array.isArray(si.parts) ? si.parts : []
+  return parts.map((p) => (typeof p?.text === 'string' ? p.text : '')).filter(Boolean).join('\n')
+}
+
+export function translateContentsToChatMessages(contents, payload = {}) {
+  const messages = []
+  const system = systemInstructionText(payload)
+  if (system) messages.push({ role: 'system', content: system })
+  for (const content of Array.isArray(contents) ? contents : []) {
+    const parts = (Array.isArray(content?.parts) ? content.parts : []).map(partToChatContent).filter(Boolean)
+    if (parts.length === 0) continue
+    const role = content?.role === 'model' ? 'assistant' : 'user'
+    // assistant 訊息只能是字串（多數相容 server 不收 assistant 圖片陣列）
+    if (role === 'assistant') {
+      messages.push({ role, content: parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n') })
+    } else {
+      messages.push({ role, content: parts })
+    }
+  }
+  return messages
+}
+
+// generationConfig 只翻有對應的欄位；thinkingConfig / mediaResolution 是 Gemini 專屬、直接丟
+export function translateGenerationConfig(payload = {}) {
+  const gc = payload?.generationConfig || payload?.generation_config || {}
+  const out = {}
+  if (Number.isFinite(Number(gc.temperature))) out.temperature = Number(gc.temperature)
+  if (Number.isFinite(Number(gc.topP))) out.top_p = Number(gc.topP)
+  if (Number.isFinite(Number(gc.maxOutputTokens))) out.max_tokens = Number(gc.maxOutputTokens)
+  if (Number.isFinite(Number(gc.seed))) out.seed = Number(gc.seed)
+  if (Array.isArray(gc.stopSequences) && gc.stopSequences.length > 0) out.stop = gc.stopSequences
+  const mime = gc.responseMimeType || gc.response_mime_type
+  if (mime === 'application/json') out.response_format = { type: 'json_object' }
+  return out
+}
+
+// ── 回應翻譯：chat/completions → Gemini 形狀 ────────────────────────────────
+
+const FINISH_REASON_MAP = { stop: 'STOP', length: 'MAX_TOKENS', content_filter: 'SAFETY', tool_calls: 'STOP' }
+
+/**
+ * OpenAI usage → Gemini usageMetadata（recordTokenUsage / computeInkPointsFromTokens 只認這組欄位）
+ */
+export function normalizeChatUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null
+  const promptTokenCount = Number(usage.prompt_tokens) || 0
+  const candidatesTokenCount = Number(usage.completion_tokens) || 0
+  const thoughtsTokenCount = Number(usage.completion_tokens_details?.reasoning_tokens) || 0
+  return {
+    promptTokenCount,
+    candidatesTokenCount,
+    totalTokenCount: Number(usage.total_tokens) || promptTokenCount + candidatesTokenCount,
+    ...(thoughtsTokenCount > 0 ? { thoughtsTokenCount } : {}),
+    ...(Number(usage.prompt_tokens_details?.cached_tokens) > 0
+      ? { cachedContentTokenCount: Number(usage.prompt_tokens_details.cached_tokens) }
+      : {})
+  }
+}
+
+export function translateChatResponse(data, modelSpec) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.choices)) return data
+  const candidates = data.choices.map((choice, index) => {
+    const raw = choice?.message?.content
+    const text = Array.isArray(raw)
+      ? raw.map((c) => (typeof c?.text === 'string' ? c.text : '')).join('')
+      : String(raw ?? '')
+    return {
+      index,
+      content: { role: 'model', parts: [{ text }] },
+      finishReason: FINISH_REASON_MAP[choice?.finish_reason] || 'OTHER'
+    }
+  })
+  const usageMetadata = normalizeChatUsage(data.usage)
+  return {
+    candidates,
+    ...(usageMetadata ? { usageMetadata } : {}),
+    modelVersion: `${modelSpec.provider}:${data.model || modelSpec.modelName}`,
+    responseId: data.id || null
+  }
+}
+
+// 非 2xx 的 error body 也包成 Gemini 的 { error: { code, message } }，呼叫端 log 格式一致
+function translateChatError(status, data) {
+  const message = data?.error?.message || data?.message || data?.raw || `HTTP ${status}`
+  return { error: { code: status, message: String(message).slice(0, 500), status: data?.error?.type || null } }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+function parseRetryAfterMs(response) {
+  try {
+    const h = response?.headers?.get?.('retry-after')
+    if (!h) return null
+    const secs = Number(h)
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000)
+    const dateMs = Date.parse(h)
+    if (Number.isFinite(dateMs)) return Math.max(0, dateMs - Date.now())
+  } catch { /* ignore */ }
+  return null
+}
+
+/**
+ * 呼叫 OpenAI 相容 chat/completions。回傳形狀同 model-adapter callSingleModel：
+ *   { ok, status, data(Gemini 形狀), modelPath, url }
+ * timeout（pipeline 預算耗盡）同 Gemini 路徑：立刻丟 status=504、不重試。
+ */
+export async function callChatCompletionsModel({ model, contents, payload = {}, timeoutMs }) {
+  const spec = parseModelSpec(model)
+  const config = getProviderConfig(spec.provider)
+  const tag = `[ai-model-provider][${config.label}]`
+  if (!config.baseUrl) throw new Error(`${tag} ${config.envPrefix}_BASE_URL missing`)
+  if (config.requiresApiKey && !config.apiKey) throw new Error(`${tag} ${config.envPrefix}_API_KEY missing`)
+
+  const url = `${config.baseUrl}/chat/completions`
+  const body = JSON.stringify({
+    model: spec.modelName,
+    messages: translateContentsToChatMessages(contents, payload),
+    ...translateGenerationConfig(payload)
+  })
+  const headers = { 'Content-Type': 'application/json' }
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`
+  const { retryStatuses, retryCount, baseBackoffMs, maxBackoffMs } = config.retry
+  const hasTimeout = Number.isFinite(Number(timeoutMs)) && Number(timeoutMs) > 0
+  const modelPath = `${spec.provider}:${spec.modelName}`
+
+  for (let attempt = 0; attempt <= retryCount; attempt += 1) {
+    const controller = hasTimeout ? new AbortController() : null
+    const timeoutHandle = hasTimeout ? setTimeout(() => controller.abort(), Math.max(1000, Number(timeoutMs))) : null
+    let response
+    try {
+      response = await fetch(url, { method: 'POST', headers, body, ...(controller ? { signal: controller.signal } : {}) })
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        console.warn(`${tag} timeout status=504 model=${modelPath} budgetExhausted=true`)
+        const timeoutError = new Error('Model request timeout')
+        timeoutError.status = 504
+        throw timeoutError
+      }
+      if (attempt < retryCount) {
+        const backoffMs = Math.min(baseBackoffMs * 2 ** attempt, maxBackoffMs)
+        console.warn(`${tag} fetch failed model=${modelPath} retry=${attempt + 1}/${retryCount} waitMs=${backoffMs} err=${error?.message || error}`)
+        await sleep(backoffMs)
+        continue
+      }
+      throw error
+    } finally {
+      if (timeoutHandle) clearTimeout(timeoutHandle)
+    }
+
+    const rawText = await response.text()
+    let data
+    try {
+      data = JSON.parse(rawText)
+    } catch {
+      data = { raw: rawText }
+    }
+    const status = Number(response.status)
+
+    if (retryStatuses.has(status) && attempt < retryCount) {
+      const retryAfterMs = status === 429 ? parseRetryAfterMs(response) : null
+      const backoffMs = retryAfterMs != null
+        ? Math.min(retryAfterMs + Math.round(Math.random() * 1000), 60000)
+        : Math.min(Math.round(baseBackoffMs * 2 ** attempt * (0.5 + Math.random())), maxBackoffMs)
+      console.warn(`${tag} response status=${status} model=${modelPath} retry=${attempt + 1}/${retryCount} waitMs=${backoffMs}`)
+      await sleep(backoffMs)
+      continue
+    }
+
+    return {
+      ok: response.ok,
+      status,
+      data: response.ok ? translateChatResponse(data, spec) : translateChatError(status, data),
+      modelPath,
+      url
+    }
+  }
+
+  const timeoutError = new Error('Model request timeout')
+  timeoutError.status = 504
+  throw timeoutError
+}
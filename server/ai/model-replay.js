@@ -0,0 +1,206 @@
+/**
+ * model-replay.js — 2026-10-19 批改 model call 錄製 / 回放
+ *
+ * 目的：
+ *   snapshot-grading / diff-vs-snapshot 只能拿「最終分數」對 live DB，每改一次 prompt 或 gate
+ *   都要重打付費、且不可重現的 live call 才能驗。這支把 callGeminiGenerateContent 的每一組
+ *   request/response 錄成 fixture bundle，之後整條 Phase A/B 可以在筆電上零網路重跑。
+ *
+ * 設計：
+ *   1. 用 AsyncLocalStorage 掛 session（同 ink-usage-tracker 的 trackingContext）——
+ *      executeStage 有 30+ 個 caller，不改 signature；session 外的 call 完全不受影響。
+ *   2. key = routeKey + promptHash（contents + payload 的穩定 JSON sha256，不含 model：
+ *      換 model 不該讓 fixture 失效，model 只記在 entry 供比對）。
+ *   3. 同 key 多次出現（read1/read2 同 prompt、重試）依錄製順序逐筆吐出。
+ *   4. 回放 miss：預設 'error'（回 599、stage 走既有失敗路徑、summary 會列出）；
+ *      'route' = 改吐同 routeKey 下一筆沒用過的回應（prompt 改版後驗 gate 用，結果標 loose）。
+ */
+
+import crypto from 'node:crypto'
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+export const MODEL_REPLAY_BUNDLE_FORMAT = 'redpen-model-replay'
+export const MODEL_REPLAY_BUNDLE_VERSION = 1
+
+export const modelReplayContext = new AsyncLocalStorage()
+
+// key 排序後序列化：payload 物件欄位順序不同（spread 組裝）不該讓 hash 變
+function stableStringify(value) {
+  if (value === undefined) return 'null'
+  if (value === null || typeof value !== 'object') return JSON.stringify(value)
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort()
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`
+}
+
+export function computePromptHash({ contents, payload }) {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ contents: contents ?? null, payload: payload ?? null }))
+    .digest('hex')
+    .slice(0, 32)
+}
+
+export function buildReplayKey(routeKey, promptHash) {
+  return `${routeKey || 'unknown'}#${promptHash}`
+}
+
+// fixture 只留 prompt 文字開頭給人看（圖片 base64 不進 bundle、檔案才不會爆）
+function previewPromptText(contents) {
+  if (!Array.isArray(contents)) return ''
+  for (const content of contents) {
+    for (const part of Array.isArray(content?.parts) ? content.parts : []) {
+      if (typeof part?.text === 'string' && part.text.trim()) return part.text.trim().slice(0, 160)
+    }
+  }
+  return ''
+}
+
+function serializeError(error) {
+  return {
+    message: error?.message || String(error),
+    status: Number(error?.status) || null,
+    name: error?.name || 'Error'
+  }
+}
+
+function reviveError(stored) {
+  const error = new Error(stored?.message || 'replayed model error')
+  if (stored?.status) error.status = stored.status
+  if (stored?.name) error.name = stored.name
+  return error
+}
+
+/**
+ * 錄製 session：照常打 live model，每組 request/response 依完成順序記一筆。
+ */
+export function createModelRecorder() {
+  const exchanges = []
+  let seq = 0
+
+  return {
+    mode: 'record',
+    exchanges,
+    async intercept({ routeKey, model, contents, payload }, invokeLive) {
+      const promptHash = computePromptHash({ contents, payload })
+      const entry = {
+        seq: seq++,
+        routeKey: routeKey || 'unknown',
+        promptHash,
+        model: model || null,
+        promptPreview: previewPromptText(contents)
+      }
+      const startedAt = Date.now()
+      try {
+        const result = await invokeLive()
+        entry.latencyMs = Date.now() - startedAt
+        entry.response = {
+          ok: Boolean(result?.ok),
+          status: Number(result?.status) || 0,
+          data: result?.data ?? null,
+          modelPath: result?.modelPath || null
+        }
+        exchanges.push(entry)
+        return result
+      } catch (error) {
+        entry.latencyMs = Date.now() - startedAt
+        entry.error = serializeError(error)
+        exchanges.push(entry)
+        throw error
+      }
+    },
+    // input 原樣寫進 bundle：呼叫端要先把圖片換成參照（local-only/replay-grading.mjs 存 storage path + sha256）
+    toBundle({ meta = {}, input = null, output = null } = {}) {
+      return {
+        format: MODEL_REPLAY_BUNDLE_FORMAT,
+        version: MODEL_REPLAY_BUNDLE_VERSION,
+        recordedAt: new Date().toISOString(),
+        meta,
+        input,
+        exchanges: [...exchanges].sort((a, b) => a.seq - b.seq),
+        output
+      }
+    }
+  }
+}
+
+/**
+ * 回放 session：不打網路，依 routeKey + promptHash 從 bundle 取回應。
+ *
+ * @param {object} bundle - createModelRecorder().toBundle() 的產物
+ * @param {object} [options]
+ * @param {'error'|'route'} [options.onMiss='error'] - 找不到 exact key 時的行為
+ */
+export function createModelReplayer(bundle, { onMiss = 'error' } = {}) {
+  if (bundle?.format !== MODEL_REPLAY_BUNDLE_FORMAT) {
+    throw new Error(`[model-replay] not a replay bundle (format=${bundle?.format})`)
+  }
+  if (Number(bundle.version) !== MODEL_REPLAY_BUNDLE_VERSION) {
+    throw new Error(`[model-replay] unsupported bundle version=${bundle.version}`)
+  }
+  const exchanges = Array.isArray(bundle.exchanges) ? bundle.exchanges : []
+  const byKey = new Map()
+  for (const entry of exchanges) {
+    const key = buildReplayKey(entry.routeKey, entry.promptHash)
+    if (!byKey.has(key)) byKey.set(key, [])
+    byKey.get(key).push(entry)
+  }
+  const used = new Set()
+  const stats = { exact: 0, loose: [], misses: [] }
+
+  const takeNext = (candidates) => candidates.find((entry) => !used.has(entry.seq))
+  const takeByRoute = (routeKey) =>
+    exchanges.find((entry) => entry.routeKey === routeKey && !used.has(entry.seq))
+
+  const respond = (entry, model) => {
+    used.add(entry.seq)
+    if (entry.error) throw reviveError(entry.error)
+    return {
+      ok: entry.response?.ok === true,
+      status: entry.response?.status || 500,
+      data: entry.response?.data ?? null,
+      modelPath: entry.response?.modelPath || `models/${entry.model || model}`,
+      url: `replay://${entry.routeKey}/${entry.seq}`
+    }
+  }
+
+  return {
+    mode: 'replay',
+    stats,
+    async intercept({ routeKey, model, contents, payload }) {
+      const route = routeKey || 'unknown'
+      const promptHash = computePromptHash({ contents, payload })
+      const exact = takeNext(byKey.get(buildReplayKey(route, promptHash)) || [])
+      if (exact) {
+        stats.exact += 1
+        return respond(exact, model)
+      }
+      const fallback = onMiss === 'route' ? takeByRoute(route) : null
+      if (fallback) {
+        stats.loose.push({ routeKey: route, promptHash, recordedHash: fallback.promptHash, seq: fallback.seq })
+        return respond(fallback, model)
+      }
+      stats.misses.push({ routeKey: route, promptHash, promptPreview: previewPromptText(contents) })
+      console.warn(`[model-replay] miss routeKey=${route} promptHash=${promptHash}`)
+      // 599 = 非 Google 會回的 status；走呼叫端既有的 !ok 失敗路徑（不 throw、不讓整條 pipeline 崩）
+      return {
+        ok: false,
+        status: 599,
+        data: { error: { code: 599, message: `replay miss ${route}#${promptHash}` } },
+        modelPath: `models/${model}`,
+        url: `replay://miss/${route}`
+      }
+    },
+    unusedExchanges() {
+      return exchanges.filter((entry) => !used.has(entry.seq))
+    }
+  }
+}
+
+export function getModelReplaySession() {
+  return modelReplayContext.getStore() || null
+}
+
+export function runWithModelSession(session, fn) {
+  return modelReplayContext.run(session, fn)
+}
@@ -0,0 +1,200 @@
+/**
+ * model-routing-policy.js — 2026-10-19 per 學校 / 老師 / 作業的 model 分流政策
+ *
+ * 目的：
+ *   STAGE_MODEL + env 是全域的，試新 model 只能全站重新部署。model_routing_policies 表讓
+ *   單一 scope 換掉指定 route 的 model（例：某校模擬考 canary 新 model、其他人照跑凍結的判官）。
+ *   DDL 見 docs/ddl/2026-10-19_model_routing_policies.sql。
+ *
+ * 設計：
+ *   1. runAiPipeline 入口查一次政策、掛 AsyncLocalStorage session（同 trackingContext 手法，
+ *      executeStage 30+ 個 caller 不改 signature）。
+ *   2. 優先序：assignment > teacher > school；政策 > 程式內 modelOverride > STAGE_MODEL_OVERRIDES > STAGE_MODEL。
+ *   3. 判官家族（modelOverride=JUDGE_MODEL 那組）跟一般讀值共用 routeKey → 只認家族鍵 'judge'，
+ *      一般 routeKey 政策不會誤換判官（判官是在特定 model 的票行為上校準的）。
+ *   4. session 同時記「這輪實際跑的 model + Google 回的 modelVersion」→ 寫進批改結果，
+ *      grading_run_history 才分得出跨輪翻盤是 model 換了還是噪音。
+ *   5. fail-open：表不存在 / 查詢失敗 / 沒有 DB → 無政策、照全域設定跑。
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+export const MODEL_ROUTING_JUDGE_FAMILY = 'judge'
+export const MODEL_ROUTING_SNAPSHOT_VERSION = 1
+
+const SCOPE_PRIORITY = { assignment: 3, teacher: 2, school: 1 }
+const POLICY_CACHE_TTL_MS = 60 * 1000
+const MAX_RECORDED_VERSIONS = 4
+
+export const modelRoutingContext = new AsyncLocalStorage()
+
+// scope → { at, policies }：同一份作業 Phase A/B/重批連打、不必每次查三張表
+const policyCache = new Map()
+
+function isRoutingPolicyEnabled() {
+  return process.env.MODEL_ROUTING_POLICY_ENABLED !== 'false'
+}
+
+/**
+ * 從 assignment / 老師 / 學校解出要查的 scope
+ * teacherId 以作業 owner 為準（學生上傳時 actor 是學生、但政策是掛在老師身上）
+ */
+export async function resolveModelRoutingScope(supabaseAdmin, { assignmentId, teacherId, schoolId } = {}) {
+  let ownerId = null
+  const schoolIds = new Set(schoolId ? [String(schoolId)] : [])
+  if (assignmentId) {
+    const { data: asg, error } = await supabaseAdmin
+      .from('assignments')
+      .select('owner_id')
+      .eq('id', assignmentId)
+      .maybeSingle()
+    if (error) throw error
+    ownerId = asg?.owner_id ?? null
+  }
+  const effectiveTeacherId = ownerId || teacherId || null
+  if (effectiveTeacherId) {
+    const { data: rows, error } = await supabaseAdmin
+      .from('school_teachers')
+      .select('school_id')
+      .eq('teacher_user_id', effectiveTeacherId)
+      .eq('status', 'active')
+    if (error) throw error
+    for (const r of rows ?? []) if (r?.school_id) schoolIds.add(String(r.school_id))
+  }
+  return {
+    assignmentId: assignmentId ? String(assignmentId) : null,
+    teacherId: effectiveTeacherId ? String(effectiveTeacherId) : null,
+    schoolIds: [...schoolIds].sort()
+  }
+}
+
+/**
+ * 查 scope 命中的 enabled 政策，每個 route_key 只留優先序最高的一筆
+ * @returns {Array<{id, scopeType, scopeId, routeKey, model}>}
+ */
+export async function loadModelRoutingPolicies(supabaseAdmin, scope) {
+  const clauses = []
+  if (scope?.assignmentId) clauses.push(`and(scope_type.eq.assignment,scope_id.eq.${scope.assignmentId})`)
+  if (scope?.teacherId) clauses.push(`and(scope_type.eq.teacher,scope_id.eq.${scope.teacherId})`)
+  if (scope?.schoolIds?.length) clauses.push(`and(scope_type.eq.school,scope_id.in.(${scope.schoolIds.join(',')}))`)
+  if (clauses.length === 0) return []
+
+  const cacheKey = `${scope.assignmentId || ''}|${scope.teacherId || ''}|${(scope.schoolIds || []).join(',')}`
+  const cached = policyCache.get(cacheKey)
+  if (cached && Date.now() - cached.at < POLICY_CACHE_TTL_MS) return cached.policies
+
+  const { data, error } = await supabaseAdmin
+    .from('model_routing_policies')
+    .select('id, scope_type, scope_id, route_key, model, updated_at')
+    .eq('enabled', true)
+    .or(clauses.join(','))
+  if (error) throw error
+
+  const byRoute = new Map()
+  for (const row of data ?? []) {
+    const model = typeof row?.model === 'string' ? row.model.trim() : ''
+    const routeKey = typeof row?.route_key === 'string' ? row.route_key.trim() : ''
+    if (!model || !routeKey || !SCOPE_PRIORITY[row.scope_type]) continue
+    const prev = byRoute.get(routeKey)
+    const better =
+      !prev ||
+      SCOPE_PRIORITY[row.scope_type] > SCOPE_PRIORITY[prev.scopeType] ||
+      (SCOPE_PRIORITY[row.scope_type] === SCOPE_PRIORITY[prev.scopeType] &&
+        String(row.updated_at || '') > String(prev.updatedAt || ''))
+    if (better) {
+      byRoute.set(routeKey, {
+        id: row.id,
+        scopeType: row.scope_type,
+        scopeId: String(row.scope_id),
+        routeKey,
+        model,
+        updatedAt: row.updated_at || null
+      })
+    }
+  }
+  const policies = [...byRoute.values()].map(({ updatedAt: _u, ...p }) => p)
+  policyCache.set(cacheKey, { at: Date.now(), policies })
+  return policies
+}
+
+export function createModelRoutingSession({ scope = null, policies = [] } = {}) {
+  return {
+    scope,
+    policies,
+    overrides: new Map(policies.map((p) => [p.routeKey, p])),
+    pinned: new Map()
+  }
+}
+
+/**
+ * pipeline 入口用：查 scope + 政策 → session。任何失敗都回「無政策」session（仍會記實際 model）
+ */
+export async function prepareModelRoutingSession({ supabaseAdmin, assignmentId, teacherId, schoolId, logPrefix = '[model-routing]' } = {}) {
+  if (!supabaseAdmin || !isRoutingPolicyEnabled()) return createModelRoutingSession()
+  try {
+    const scope = await resolveModelRoutingScope(supabaseAdmin, { assignmentId, teacherId, schoolId })
+    const policies = await loadModelRoutingPolicies(supabaseAdmin, scope)
+    if (policies.length > 0) {
+      console.log(`${logPrefix} 分流政策 ${policies.map((p) => `${p.routeKey}→${p.model}(${p.scopeType})`).join(', ')}`)
+    }
+    return createModelRoutingSession({ scope, policies })
+  } catch (error) {
+    console.warn(`${logPrefix} 分流政策查詢失敗(忽略、照全域設定):`, error?.message || error)
+    return createModelRoutingSession()
+  }
+}
+
+export function getModelRoutingSession() {
+  return modelRoutingContext.getStore() || null
+}
+
+export function runWithModelRouting(session, fn) {
+  return modelRoutingContext.run(session, fn)
+}
+
+/**
+ * 目前 session 對這個 route 的政策 model；沒有就回 null（呼叫端照原本邏輯）
+ * @param {string} routeKey
+ * @param {object} [options]
+ * @param {string} [options.family] - 'judge' = 判官家族 call（只認家族鍵）
+ */
+export function getRoutingPolicyModel(routeKey, { family = null } = {}) {
+  const session = getModelRoutingSession()
+  if (!session || session.overrides.size === 0) return null
+  const policy = session.overrides.get(family || routeKey)
+  return policy ? policy.model : null
+}
+
+/**
+ * 記一筆實際跑的 model（executeStage / executeSinglePipelineCall 拿到回應後呼叫）
+ */
+export function notePinnedModel({ routeKey, family = null, model, modelVersion = null }) {
+  const session = getModelRoutingSession()
+  if (!session || !model) return
+  const key = family || routeKey || 'unknown'
+  const policy = session.overrides.get(key) || null
+  let entry = session.pinned.get(key)
+  if (!entry) {
+    entry = { model, versions: [], calls: 0, ...(policy ? { policyId: policy.id, scopeType: policy.scopeType } : {}) }
+    if (family) entry.routeKeys = []
+    session.pinned.set(key, entry)
+  }
+  entry.calls += 1
+  if (family && routeKey && !entry.routeKeys.includes(routeKey)) entry.routeKeys.push(routeKey)
+  if (modelVersion && !entry.versions.includes(modelVersion) && entry.versions.length < MAX_RECORDED_VERSIONS) {
+    entry.versions.push(modelVersion)
+  }
+}
+
+/**
+ * 本輪分流快照（寫進 phase_a_state / grading_result）；沒有 session 或一個 call 都沒記 → null
+ */
+export function getModelRoutingSnapshot() {
+  const session = getModelRoutingSession()
+  if (!session || (session.pinned.size === 0 && session.policies.length === 0)) return null
+  return {
+    version: MODEL_ROUTING_SNAPSHOT_VERSION,
+    policies: session.policies.map((p) => ({ id: p.id, scopeType: p.scopeType, scopeId: p.scopeId, routeKey: p.routeKey, model: p.model })),
+    pinned: Object.fromEntries(session.pinned)
+  }
+}
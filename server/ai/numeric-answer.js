@@ -0,0 +1,234 @@
+// ═══ 數值答案：科學記號／有效位數／容許誤差（確定性）— 2026-10-19 ═════════════════
+// 由來：自然科（nature_phy / nature_chem）數值題，既有比對兩頭落空——
+//   ・「3.0×10^8 m/s」「6.02e23」：isNumericEqual 的 stripUnit 把 ×、^、e 一律刪掉 →「3.0108」「6.0223」，
+//     正確的寫法判錯，反而學生寫「6.0223」會被判相等。
+//   ・「取到小數點後第二位」「兩位有效數字」：既有比對只看值（加上四捨五入放行），
+//     3.14159 與 3.14 一樣給分——位數本身就是題目在考的東西。
+//
+// 答案卷欄位（每題）numericPolicy：
+//   { tolerance?: { abs?: number, rel?: number },   容許誤差：|學生−標答| ≤ max(abs, rel×|標答|)
+//     sigFigs?: number,                              要求有效位數
+//     decimalPlaces?: number,                        要求小數位數（取到小數點後第幾位）
+//     precisionRule?: 'zero'|'half'|'deduct',        值對、位數錯時的計分（同 unitErrorRule；預設 zero）
+//     precisionDeduction?: number }
+//   沒設 numericPolicy 的題：只在任一邊是科學記號時接手，規則比照 numeric-relation-gate
+//   （精確相等 → 對；帶小數的一邊在四捨五入範圍內 → 對；其餘 → 錯）。
+//
+// 原則（同 numeric-relation-gate）：解析不確定一律回 null、交回既有路徑；
+//   兩邊單位寫法不同 / 只有一邊有單位 → null（不做單位換算，單位政策屬於 answerKey.unitErrorRule）。
+// NUMERIC_POLICY_ENABLED=false 整個關掉（回到舊比對）。
+
+export function isNumericPolicyEnabled() {
+  return process.env.NUMERIC_POLICY_ENABLED !== 'false'
+}
+
+const SUPERSCRIPT = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' }
+const MAX_PRECISION_DIGITS = 15
+// 同 answer-key-schema 的 UNIT_ERROR_RULES（schema 會 import 本檔，這裡不反向 import）
+export const PRECISION_RULES = Object.freeze(['zero', 'half', 'deduct'])
+
+// 「1.5 × 10^8」「6.02e23」「3×10⁸」；「10^-3」單獨的 10 次方另外處理
+const SCI_RE = /^([+-]?)(\d[\d,]*(?:\.\d*)?|\.\d+)(?:\s*(?:[eE]\s*([+-]?\d+)|[×xX*·⋅∙]\s*10\s*\^\s*\(?\s*([+-]?\d+)\s*\)?))?\s*(.*)$/u
+const POW10_RE = /^([+-]?)10\s*\^\s*\(?\s*([+-]?\d+)\s*\)?\s*(.*)$/u
+// 單位：字母 / 中文 / 常見單位符號開頭；含運算、關係符號的是算式不是單位
+const UNIT_RE = /^[A-Za-zµμΩÅ°℃℉%㎀-㏿㐀-鿿][^=<>+×÷]*$/u
+
+function preNormalize(raw) {
+  let s = String(raw ?? '').trim()
+  if (!s) return ''
+  s = s
+    .replace(/[０-９]/gu, (c) => String.fromCharCode(c.charCodeAt(0) - 0xFF10))
+    .replace(/[−–—－]/gu, '-').replace(/＋/gu, '+').replace(/＝/gu, '=')
+  // LaTeX：$3.0 \times 10^{8}\,\mathrm{m/s}$
+  if (/[\\$]/u.test(s)) {
+    s = s.replace(/\$/gu, '')
+      .replace(/\\(?:text|mathrm|rm|mbox|operatorname)\s*\{([^{}]*)\}/gu, ' $1')
+      .replace(/\\(?:times|cdot)(?![a-z])/gu, '×')
+      .replace(/\\(?:left|right)(?![a-z])/gu, '')
+      .replace(/\\[,;:! ]/gu, ' ')
+  }
+  s = s.replace(/\^\s*\{\s*([^{}]*?)\s*\}/gu, '^$1')
+  // 上標只認緊跟在 10 後面的（「m/s²」的 ² 是單位的一部分）
+  s = s.replace(/10\s*([⁻⁺]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+)/gu, (_, e) => `10^${[...e].map((c) => SUPERSCRIPT[c]).join('')}`)
+  s = s
+    .replace(/^(?:答|[Aa]ns)\s*[:：]\s*/u, '')
+    // 物理量前綴「v = 」「Δt=」——變數本身不參與比較（同 relation gate 的單一變數）
+    .replace(/^[A-Za-zΔα-ω][A-Za-z0-9_]{0,3}\s*=\s*/u, '')
+    .replace(/^(?:大約為|約為|大約|約|≈)\s*/u, '')
+    .replace(/[。.、,，;；!！?？\s]+$/u, '')
+  return s.trim()
+}
+
+// 同 normNumericSeparators：千分位去掉、單一逗號當小數點；其餘含逗號（列舉）→ 不碰
+function mantissaDigits(m) {
+  if (!m.includes(',')) return m
+  if (/^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/u.test(m)) return m.replace(/,/gu, '')
+  if (/^\d+,\d+$/u.test(m)) return m.replace(',', '.')
+  return null
+}
+
+function countSigFigs(mantissa) {
+  const hasPoint = mantissa.includes('.')
+  const digits = mantissa.replace('.', '').replace(/^0+/u, '')
+  if (!digits) return null                     // 0、0.00 → 有效位數無從判
+  if (hasPoint) return { min: digits.length, max: digits.length }
+  // 「1200」尾端的 0 算不算有效位數說不準 → 給範圍
+  return { min: digits.replace(/0+$/u, '').length, max: digits.length }
+}
+
+/**
+ * 解析單一數值答案。無法確定的形式一律回 null。
+ * @returns null | { value, unit, scientific, pointed, sigFigs: {min,max}|null, decimalPlaces, ulpExp }
+ *   pointed = 寫了小數點（位數是明示的）；ulpExp = 末位有效數字的 10 次方（3.0×10^8 → 7）
+ */
+export function parseNumericAnswer(raw) {
+  const s = preNormalize(raw)
+  if (!s) return null
+  let sign, mantissa, exp, unit, scientific
+  const p = s.match(POW10_RE)
+  if (p) {
+    [sign, mantissa, exp, unit, scientific] = [p[1], '1', Number(p[2]), p[3], true]
+  } else {
+    const m = s.match(SCI_RE)
+    if (!m) return null
+    mantissa = mantissaDigits(m[2])
+    if (mantissa === null) return null
+    sign = m[1]
+    scientific = m[3] !== undefined || m[4] !== undefined
+    exp = scientific ? Number(m[3] ?? m[4]) : 0
+    unit = m[5]
+  }
+  unit = unit.replace(/\s+/gu, '')
+  if (unit && !UNIT_RE.test(unit)) return null
+  const value = Number(`${sign}${mantissa}e${exp}`)
+  if (!Number.isFinite(value)) return null
+  const places = mantissa.includes('.') ? mantissa.split('.')[1].length : 0
+  return {
+    value,
+    unit,
+    scientific,
+    pointed: mantissa.includes('.'),
+    sigFigs: countSigFigs(mantissa),
+    decimalPlaces: places - exp,
+    ulpExp: exp - places
+  }
+}
+
+export function isScientificNotation(raw) {
+  return !!parseNumericAnswer(raw)?.scientific
+}
+
+const isNonNegInt = (v) => Number.isInteger(v) && v >= 0 && v <= MAX_PRECISION_DIGITS
+const isNonNeg = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0
+
+/** 答案卷的 numericPolicy → 乾淨物件；沒有任何有效設定 → null */
+export function normalizeNumericPolicy(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
+  const out = {}
+  const tol = raw.tolerance
+  if (tol && typeof tol === 'object') {
+    const t = {}
+    if (isNonNeg(tol.abs)) t.abs = tol.abs
+    if (isNonNeg(tol.rel)) t.rel = tol.rel
+    if (t.abs !== undefined || t.rel !== undefined) out.tolerance = t
+  }
+  if (isNonNegInt(raw.sigFigs) && raw.sigFigs >= 1) out.sigFigs = raw.sigFigs
+  if (isNonNegInt(raw.decimalPlaces)) out.decimalPlaces = raw.decimalPlaces
+  if (Object.keys(out).length === 0) return null
+  out.precisionRule = PRECISION_RULES.includes(raw.precisionRule) ? raw.precisionRule : 'zero'
+  if (isNonNeg(raw.precisionDeduction)) out.precisionDeduction = raw.precisionDeduction
+  return out
+}
+
+// 值比對。回 'equal' | 'equal_approx' | 'differ'
+function compareValues(ref, stu, policy) {
+  const diff = Math.abs(stu.value - ref.value)
+  const scale = Math.max(Math.abs(ref.value), Math.abs(stu.value))
+  if (diff <= scale * 1e-12) return 'equal'
+  const within = (limit) => diff <= limit * (1 + 1e-9)
+  if (policy?.tolerance) {
+    const { abs = 0, rel = 0 } = policy.tolerance
+    return within(Math.max(abs, rel * Math.abs(ref.value))) ? 'equal_approx' : 'differ'
+  }
+  // 有指定位數：標答的精度以規定為準（標答「6」、要求 1 位有效，學生「6.02」值仍算對、錯在位數）
+  if (policy?.sigFigs !== undefined || policy?.decimalPlaces !== undefined) {
+    const refUlp = policy.decimalPlaces !== undefined
+      ? -policy.decimalPlaces
+      : (ref.value === 0 ? ref.ulpExp : Math.floor(Math.log10(Math.abs(ref.value))) - policy.sigFigs + 1)
+    return within(0.5 * 10 ** Math.max(refUlp, stu.ulpExp)) ? 'equal_approx' : 'differ'
+  }
+  // 沒設規則：同 relationGateVerdict——只有寫了小數點的一邊能提供四捨五入範圍，取較粗的那邊
+  const ulps = [ref, stu].filter((x) => x.pointed).map((x) => x.ulpExp)
+  if (ulps.length === 0) return 'differ'
+  return within(0.5 * 10 ** Math.max(...ulps)) ? 'equal_approx' : 'differ'
+}
+
+function precisionIssue(stu, policy) {
+  if (policy.sigFigs !== undefined && stu.sigFigs && (stu.sigFigs.min > policy.sigFigs || stu.sigFigs.max < policy.sigFigs)) {
+    const n = stu.sigFigs.min === stu.sigFigs.max ? `${stu.sigFigs.min}` : `${stu.sigFigs.min}–${stu.sigFigs.max}`
+    return `有效位數不符（要求 ${policy.sigFigs} 位、學生 ${n} 位）`
+  }
+  if (policy.decimalPlaces !== undefined && stu.decimalPlaces !== policy.decimalPlaces) {
+    return `小數位數不符（要求取到小數點後第 ${policy.decimalPlaces} 位、學生 ${Math.max(0, stu.decimalPlaces)} 位）`
+  }
+  return null
+}
+
+/**
+ * 數值題判定（code-first / 程式覆核共用）。
+ * @param {string} refRaw - 標準答案
+ * @param {string} studentRaw - 學生答案
+ * @param {object} [policyRaw] - question.numericPolicy
+ * @returns null（判不動）| { verdict: 'equal'|'differ', by, approx?: true, precision?: true }
+ *   precision=true：值對、有效位數 / 小數位數不符（計分見 precisionScoreFor）
+ */
+export function gradeNumericAnswer(refRaw, studentRaw, policyRaw) {
+  const policy = normalizeNumericPolicy(policyRaw)
+  const ref = parseNumericAnswer(refRaw)
+  const stu = parseNumericAnswer(studentRaw)
+  if (!ref || !stu) return null
+  if (!policy && !ref.scientific && !stu.scientific) return null
+  if (ref.unit !== stu.unit) return null
+  const v = compareValues(ref, stu, policy)
+  if (v === 'differ') {
+    const tol = policy?.tolerance
+    return {
+      verdict: 'differ',
+      by: tol
+        ? `超出容許誤差（${[tol.abs !== undefined ? `±${tol.abs}` : '', tol.rel !== undefined ? `±${Math.round(tol.rel * 10000) / 100}%` : ''].filter(Boolean).join('、')}）`
+        : '數值不符'
+    }
+  }
+  const issue = policy ? precisionIssue(stu, policy) : null
+  if (issue) return { verdict: 'differ', by: issue, precision: true }
+  const by = policy?.tolerance && v === 'equal_approx'
+    ? '容許誤差內'
+    : (ref.scientific || stu.scientific) ? '科學記號數值等價' : '數值與位數相符'
+  return v === 'equal_approx' ? { verdict: 'equal', by, approx: true } : { verdict: 'equal', by }
+}
+
+/** 給 numeric-relation-gate：沒有題目規則時的科學記號比對，回傳 relation gate 的詞彙 */
+export function scientificVerdict(refRaw, studentRaw) {
+  const r = gradeNumericAnswer(refRaw, studentRaw, null)
+  if (!r) return null
+  if (r.verdict === 'differ') return 'differ'
+  return r.approx ? 'equal_approx' : 'equal'
+}
+
+// 值對、位數錯的得分（zero=0 分(預設)/half=一半/deduct=扣 precisionDeduction 分（未設 = 1）、下限 0）
+export function precisionScoreFor(maxScore, policyRaw) {
+  const policy = normalizeNumericPolicy(policyRaw)
+  const max = Math.max(0, Number(maxScore) || 0)
+  if (policy?.precisionRule === 'half') return Math.round((max / 2) * 10) / 10
+  if (policy?.precisionRule === 'deduct') {
+    return Math.max(0, Math.round((max - (policy.precisionDeduction > 0 ? policy.precisionDeduction : 1)) * 10) / 10)
+  }
+  return 0
+}
+
+export function precisionRuleLabel(policyRaw) {
+  const policy = normalizeNumericPolicy(policyRaw)
+  if (policy?.precisionRule === 'half') return '給一半分數'
+  if (policy?.precisionRule === 'deduct') return `扣 ${policy.precisionDeduction > 0 ? policy.precisionDeduction : 1} 分`
+  return '整題 0 分'
+}
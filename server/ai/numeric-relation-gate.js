@@ -15,6 +15,8 @@
 // 保守條件：兩邊都要解析成精確有理數；關係符號要嘛都有、要嘛都沒有（只有一邊有 → skip）。
 
 import { linearVerdict } from './linear-expression.js'
+import { symbolicVerdict, isSymbolicAlgebraEnabled } from './symbolic-algebra.js'
+import { scientificVerdict, isScientificNotation, isNumericPolicyEnabled } from './numeric-answer.js'
 
 const FULLWIDTH_DIGIT = /[０-９]/g
 
@@ -87,14 +89,21 @@ const value = (p) => rawValue(p) / (p.percent ? 100 : 1)  // 實際數值
  *   標答 87.92 學生 87.9 算不算對是老師的尺度，不該由程式提出異議。
  */
 export function relationGateVerdict(refRaw, studentRaw) {
+  // 2026-10-19 科學記號（6.02e23、3.0×10^8）：e / × / ^ 會被下面當成變數或算式 → 一律交 numeric-answer
+  if (isNumericPolicyEnabled() && (isScientificNotation(refRaw) || isScientificNotation(studentRaw))) {
+    return scientificVerdict(refRaw, studentRaw)
+  }
   // 含變數 → 走一元一次式等價（係數比對）。2026-08-15：AI 判代數等價會漏項——
   //   培英 1-1-5 學生少了成本項 -x，AI 仍以「代入驗證同解」判對。
+  //   2026-10-19：一元一次判不動（多項式、多變數、聯立、根號、π）→ 交給精確代數引擎；
+  //   寫法不同（展開 vs 因式分解、未化簡根號）引擎回 null，照樣交回 AI。
   if (/[A-Za-z]/u.test(String(refRaw ?? '')) || /[A-Za-z]/u.test(String(studentRaw ?? ''))) {
-    return linearVerdict(refRaw, studentRaw)
+    return linearVerdict(refRaw, studentRaw) ?? (isSymbolicAlgebraEnabled() ? symbolicVerdict(refRaw, studentRaw) : null)
   }
   const ref = parseRelationValue(refRaw)
   const stu = parseRelationValue(studentRaw)
-  if (!ref || !stu) return null
+  // 純數但含根號、π、次方、括號運算（2√3、3π、2^10）→ 同上交給代數引擎
+  if (!ref || !stu) return isSymbolicAlgebraEnabled() ? symbolicVerdict(refRaw, studentRaw) : null
   // 關係符號只有一邊有 → 學生可能把「x≥」寫在框外、或標答寫得寬鬆 → 不判
   if ((ref.rel === '') !== (stu.rel === '')) return null
   // 只有一邊帶 % 且**字面數字相同**（「45」vs「45%」）→ 不判：多半是格子後面本來就印著％、
@@ -2,7 +2,15 @@ import { getPipeline } from './pipelines.js'
 import { callGeminiGenerateContent } from './model-adapter.js'
 import { AI_ROUTE_KEYS, normalizeRouteKey, resolveRouteKey } from './routes.js'
 import { resolveStageModel, FALLBACK_CHAIN } from './model-config.js'
-import { recordTokenUsage, extractModelNameFromResult } from '../ink-usage-tracker.js'
+import { recordTokenUsage, extractModelNameFromResult, trackingContext } from '../ink-usage-tracker.js'
+import {
+  getModelRoutingSession,
+  prepareModelRoutingSession,
+  runWithModelRouting,
+  notePinnedModel,
+  getModelRoutingSnapshot
+} from './model-routing-policy.js'
+import { runWithGradingProgress, noteRunEnd } from './grading-progress.js'
 import {
   runStagedGradingEvaluate,
   runStagedGradingPhaseA,
@@ -42,7 +50,8 @@ async function executeSinglePipelineCall({
     contents: preparedRequest.contents,
     payload: preparedRequest.payload,
     timeoutMs,
-    fallbackModels: FALLBACK_CHAIN
+    fallbackModels: FALLBACK_CHAIN,
+    routeKey
   })
   const modelLatencyMs = Date.now() - modelStartedAt
 
@@ -54,6 +63,9 @@ async function executeSinglePipelineCall({
       modelName: extractModelNameFromResult(modelResponse, preparedRequest.model)
     })
   }
+  if (modelResponse?.ok) {
+    notePinnedModel({ routeKey, model: preparedRequest.model, modelVersion: modelResponse.data?.modelVersion || null })
+  }
 
   let validation = { warnings: [], metrics: {} }
   if (modelResponse.ok && modelResponse.data && typeof modelResponse.data === 'object') {
@@ -79,7 +91,43 @@ async function executeSinglePipelineCall({
   }
 }
 
-export async function runAiPipeline({
+// 2026-10-19 分流政策（model-routing-policy.js）：入口查一次 scope 政策、整條 pipeline 共用同一個 session。
+//   已在 session 內（巢狀呼叫）就沿用；scope 來源＝internalContext + trackingContext（學校計費的 schoolId）。
+export async function runAiPipeline(args) {
+  if (getModelRoutingSession()) return runAiPipelineInSession(args)
+  const internalContext = args?.internalContext || {}
+  const tracking = trackingContext.getStore() || {}
+  const session = await prepareModelRoutingSession({
+    supabaseAdmin: tracking.supabaseAdmin,
+    assignmentId: internalContext.assignmentId || args?.payload?.assignmentId || tracking.assignmentId,
+    teacherId: tracking.billingUserId || internalContext.ownerId,
+    schoolId: tracking.schoolId,
+    logPrefix: `[ai-pipeline][${internalContext.requestId || 'model-routing'}]`
+  })
+  // 2026-10-19 進度事件（grading-progress.js）：requestId = 前端帶的 x-request-id，老師端用它訂閱這一輪。
+  //   owner 取作業 owner（分流 scope 已查過；學生上傳時 actor 是學生、看進度的是老師）
+  const progressMeta = {
+    requestId: internalContext.requestId || null,
+    ownerId: session.scope?.teacherId || internalContext.ownerId || tracking.billingUserId || null,
+    assignmentId: internalContext.assignmentId || args?.payload?.assignmentId || tracking.assignmentId || null,
+    submissionId: internalContext.submissionId || args?.payload?.submissionId || tracking.submissionId || null,
+    route: args?.requestedRouteKey || null
+  }
+  return runWithModelRouting(session, () =>
+    runWithGradingProgress(progressMeta, async () => {
+      let result = null
+      try {
+        result = await runAiPipelineInSession(args)
+        return result
+      } finally {
+        const status = Number(result?.status) || 500
+        await noteRunEnd({ status, ok: status >= 200 && status < 300 })
+      }
+    })
+  )
+}
+
+async function runAiPipelineInSession({
   apiKey,
   model,
   contents,
@@ -414,7 +462,8 @@ export async function runAiPipeline({
       try { parsed = JSON.parse((rawText || '').replace(/```json|```/g, '').trim()) } catch { /* ignore */ }
       if (parsed && Array.isArray(parsed.tags)) {
         const tagged = parsed.tags.filter(t => t?.concept_code).length
-        console.log(`${logPrefix} [answer_key.tag_concepts] result: ${parsed.tags.length} tags, ${tagged} with concept_code`)
+        const withDim = parsed.tags.filter(t => t?.exam_dimension).length
+        console.log(`${logPrefix} [answer_key.tag_concepts] result: ${parsed.tags.length} tags, ${tagged} with concept_code, ${withDim} with exam_dimension`)
       }
     }
 
@@ -441,7 +490,9 @@ export async function runAiPipeline({
     metrics:
       pipelineResult.pipelineMeta?.metrics && typeof pipelineResult.pipelineMeta.metrics === 'object'
         ? pipelineResult.pipelineMeta.metrics
-        : pipelineResult.metrics || {}
+        : pipelineResult.metrics || {},
+    // 2026-10-19: 本輪實際跑的 model（含分流政策命中、Google 回的 modelVersion）
+    modelRouting: getModelRoutingSnapshot()
   }
   console.log(
     `${logPrefix} 完成 路由=${resolvedRouteKey} pipeline=${pipelineMeta.pipeline} status=${responseStatus} 準備=${pipelineMeta.prepareLatencyMs}ms 模型=${pipelineMeta.modelLatencyMs}ms 警告=${pipelineMeta.warnings.length}`
@@ -1045,7 +1045,8 @@ function validateAnswerKeyResponse(data) {
 }
 
 // ── ANSWER KEY EXTRACT: deep validation ─────────────────────────────────────
-const VALID_QUESTION_CATEGORIES = new Set([
+// 2026-10-19 export 給 answer-key-schema.js（寫入路徑的 schema 驗證）共用、不再另抄一份
+export const VALID_QUESTION_CATEGORIES = new Set([
   // Bucket A
   'single_choice', 'multi_choice', 'circle_select_one', 'circle_select_many',
   'single_check', 'multi_check', 'true_false', 'fill_blank', 'multi_fill',
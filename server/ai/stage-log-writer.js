@@ -10,7 +10,7 @@ import { getSupabaseAdmin } from '../_supabase.js'
 // 2026-06-20: routeKey → UI 五階段，用於 stage_latencies.by_stage（逐階段耗時）。
 //   classify=版面掃描；read/re_read/detail_read/vj_blank=讀取答案；arbiter/consistency=仔細校對；
 //   accessor=批改評分；explain=生成引導。其餘歸 other。
-function stageGroupOf(routeKey) {
+export function stageGroupOf(routeKey) {
   const rk = String(routeKey || '')
   if (rk.includes('classify')) return 'classify'
   if (rk.includes('read') || rk.includes('vj_blank')) return 'read'
@@ -22,7 +22,7 @@ function stageGroupOf(routeKey) {
 
 // 由 stageResponses 聚合 { total_ms, by_stage: { classify, read, arbiter, accessor, explain, other } }。
 //   total_ms 與舊版一致（向後相容）；by_stage 為逐階段 modelLatencyMs 加總（四捨五入到整數 ms）。
-function buildStageLatencies(stageResponses) {
+export function buildStageLatencies(stageResponses) {
   const responses = Array.isArray(stageResponses) ? stageResponses : []
   const by_stage = {}
   let total = 0
@@ -2,6 +2,7 @@ import { getPipeline } from './pipelines.js'
 import { callGeminiGenerateContent } from './model-adapter.js'
 import { AI_ROUTE_KEYS } from './routes.js'
 import { STAGE_MODEL, MODEL_PRO, MODEL_FLASH, JUDGE_MODEL, FALLBACK_CHAIN, resolveStageModel } from './model-config.js'
+import { MODEL_ROUTING_JUDGE_FAMILY, getRoutingPolicyModel, notePinnedModel, getModelRoutingSnapshot } from './model-routing-policy.js'
 import { recordTokenUsage, extractModelNameFromResult } from '../ink-usage-tracker.js'
 import {
   QG_SEVERITY,
@@ -14,7 +15,8 @@ import {
   validateReadAccessorConsistency,
   buildPipelineFailure
 } from './quality-gates.js'
-import { extractPhaseALogData, extractPhaseBLogData, saveGradingStageLog, persistPhaseAState, persistFinalAnswers, loadPhaseAState, clearPhaseAState } from './stage-log-writer.js'
+import { extractPhaseALogData, extractPhaseBLogData, saveGradingStageLog, persistPhaseAState, persistFinalAnswers, loadPhaseAState, clearPhaseAState, buildStageLatencies } from './stage-log-writer.js'
+import { noteStageStart, noteStageEnd, noteQualityGate, notePipelineFailure, notePhaseEnd } from './grading-progress.js'
 import { isOcrAssistEnabled, prepareOcrHintsForClassify, isOcrRowAnchorEnabled } from './ocr-client.js'
 import { buildOcrHintsSection } from './bbox-anchor-match.js'
 // 2026-05-20: applyOcrBboxOverride (width_floor + x_shift) 已移除
@@ -49,7 +51,21 @@ import {
 import { getSupabaseAdmin } from '../_supabase.js'
 import { normSemanticValue, resolveSemanticScopeKey, loadSemanticTable, judgeAndFreezeValue, composeCellFromEntry } from './semantic-score-table.js'
 import { relationGateVerdict } from './numeric-relation-gate.js'
+import { symbolicCompare, isSymbolicAlgebraEnabled } from './symbolic-algebra.js'
 import { decideDeterministic, normNumericSeparators } from './deterministic-compare.js'
+import { gradeNumericAnswer, scientificVerdict, isScientificNotation, precisionScoreFor, precisionRuleLabel, isNumericPolicyEnabled } from './numeric-answer.js'
+import { chemCompare, isChemicalAnswer, isChemFormulaEnabled } from './chem-formula.js'
+import { isBubbleReaderEnabled, readBubbleSheet } from './bubble-reader.js'
+import { isLocalDewarpEnabled, flattenPhotoLocally, detectPageBreaks } from './local-perspective.js'
+import {
+  isTeacherInkSeparationEnabled,
+  isTeacherMarkExtractEnabled,
+  separateTeacherInk,
+  extractTeacherMarks,
+  assignMarksToQuestions,
+  reconcileTeacherMarks
+} from './teacher-ink.js'
+import { migrateAnswerKey } from './answer-key-schema.js'
 import { buildVjCacheKey, loadVjVerdict, saveVjVerdict, VJ_PROMPT_VERSION } from './vj-verdict-cache.js'
 
 const STAGED_PIPELINE_NAME = 'grading-evaluate-5stage-pipeline'
@@ -169,9 +185,12 @@ function shortRunId(pipelineRunId) {
 
 function logStageStart(pipelineRunId, stageName) {
   console.log(`[階段][${shortRunId(pipelineRunId)}] ${stageName} 開始`)
+  noteStageStart(pipelineRunId, stageName)
 }
 
 function logStageEnd(pipelineRunId, stageName, stageResponse) {
+  // 2026-10-19 同步寫進度事件（grading-progress.js）：老師端 SSE / long-poll 看每張卷跑到哪
+  noteStageEnd(pipelineRunId, stageName, stageResponse)
   const status = Number(stageResponse?.status) || 0
   const prepareLatencyMs = Number(stageResponse?.prepareLatencyMs) || 0
   const modelLatencyMs = Number(stageResponse?.modelLatencyMs) || 0
@@ -356,7 +375,9 @@ function normalizeTableCheckQuestion(question) {
   }
 }
 
-function normalizeAnswerKeyForRubricScoring(answerKey, domainHint) {
+function normalizeAnswerKeyForRubricScoring(rawAnswerKey, domainHint) {
+  // 2026-10-19 先升到最新 schemaVersion（舊資料不回填也吃到同一形狀：questionId→id、數字答案轉字串…）
+  const { answerKey } = migrateAnswerKey(rawAnswerKey)
   if (!answerKey || typeof answerKey !== 'object') {
     return { answerKey, convertedShortAnswerIds: [] }
   }
@@ -1645,6 +1666,11 @@ function foldEnumSeparators(s) {
 
 function isNumericEqual(a, b) {
   if (!a || !b) return false
+  // 2026-10-19 科學記號（6.02e23、3.0×10^8）：下面的 stripUnit 會把 e / × / ^ 刪掉（6.02e23 → 6.0223）
+  //   → 交 numeric-answer 比值（只認精確相等，同本函式）
+  if (isNumericPolicyEnabled() && (isScientificNotation(a) || isScientificNotation(b))) {
+    return scientificVerdict(a, b) === 'equal'
+  }
   // 去除尾部單位文字（保留數字、分數、小數、百分比、負號）
   const stripUnit = (s) => s.replace(/[a-zA-Z²³°]+$/u, '').replace(/[^\d./%\-]/g, '')
   const sa = stripUnit(a)
@@ -8032,6 +8058,7 @@ async function executeStage({
   apiKey,
   model: _legacyModel,  // 2026-05-21: 不再用，由 STAGE_MODEL[routeKey] 統一決定。保留參數簽名相容
   modelOverride,  // 2026-06-02: 有給就用這個 model（例：國語卷 read 改 PRO），否則照 routeKey 決定
+  modelFamily = null,  // 2026-10-19: 'judge' = 判官家族（分流政策只認家族鍵、不吃一般 routeKey 政策）
   payload,
   timeoutMs,
   routeHint,
@@ -8041,7 +8068,8 @@ async function executeStage({
   // 2026-05-21: model 分流——每個 routeKey 查 STAGE_MODEL 取 PRO/FLASH
   // 視覺類 (classify / read / locate / perspective) → MODEL_PRO
   // 純文字類 (arbiter / accessor / explain / report) → MODEL_FLASH
-  const model = modelOverride || resolveStageModel(routeKey)
+  // 2026-10-19: per 學校/老師/作業分流政策優先於程式內 modelOverride（canary 要連 PRO 讀值一起換）
+  const model = getRoutingPolicyModel(routeKey, { family: modelFamily }) || modelOverride || resolveStageModel(routeKey)
   const pipeline = getPipeline(routeKey)
 
   const prepareStartedAt = Date.now()
@@ -8062,7 +8090,8 @@ async function executeStage({
       contents: preparedRequest.contents,
       payload: filterPayloadForGemini(preparedRequest.payload),
       timeoutMs,
-      fallbackModels: FALLBACK_CHAIN
+      fallbackModels: FALLBACK_CHAIN,
+      routeKey
     })
   } catch (err) {
     const modelLatencyMs = Date.now() - modelStartedAt
@@ -8090,6 +8119,9 @@ async function executeStage({
       modelName: extractModelNameFromResult(modelResponse, preparedRequest.model)
     })
   }
+  if (modelResponse?.ok) {
+    notePinnedModel({ routeKey, family: modelFamily, model: preparedRequest.model, modelVersion: modelResponse.data?.modelVersion || null })
+  }
 
   let validation = { warnings: [], metrics: {} }
   if (modelResponse.ok && modelResponse.data && typeof modelResponse.data === 'object') {
@@ -8306,7 +8338,8 @@ function buildFinalGradingResult({
   explainResult,
   stageWarnings,
   stageMeta,
-  consistencyById
+  consistencyById,
+  domainHint
 }) {
   const keyQuestions = Array.isArray(answerKey?.questions) ? answerKey.questions : []
   const answerById = mapByQuestionId(readAnswerResult.answers, (item) => item?.questionId)
@@ -8412,7 +8445,65 @@ function buildFinalGradingResult({
     // 避免程式化覆核拿整段計算文字跟簡單答案比對導致誤判
     const studentHasCalcSteps = qCategory === 'fill_blank' && refAnswer && studentAns &&
       (studentAns.length > refAnswer.length * 3 || studentAns.includes('\n') || /[=÷×+\-]/.test(studentAns))
+    // ── 數值題：numericPolicy（容許誤差／有效位數／小數位數）與科學記號（2026-10-19）──
+    //   與 code-first 同一套判定（numeric-answer.js）。下面的通用覆核只看值：位數錯的會被翻回滿分、
+    //   容許誤差內的會被翻成 0，所以判得動的格由本段定案、通用覆核與數值關係閘門都跳過；
+    //   判不動（單位寫法不同、解析不了）→ 照舊。
+    const numericDecision = qCategory === 'fill_blank' && !row.levelResult && !skipProgrammaticForEnglish &&
+      isNumericPolicyEnabled() && refAnswer && studentAns && studentAns !== '未作答' && studentAns !== '無法辨識'
+      ? gradeNumericAnswer(refAnswer, studentAns, question?.numericPolicy)
+      : null
+    if (numericDecision) {
+      const qMax = toFiniteNumber(question?.maxScore) ?? row.maxScore
+      const numericMatch = numericDecision.verdict === 'equal'
+      const nextScore = numericDecision.precision
+        ? precisionScoreFor(qMax, question?.numericPolicy)
+        : (numericMatch ? qMax : 0)
+      if (row.isCorrect !== numericMatch || row.score !== nextScore) {
+        const prevScore = row.score
+        row.isCorrect = numericMatch
+        row.score = nextScore
+        if (numericDecision.precision) {
+          row.errorType = 'precision'
+          row.needExplain = true
+          row.reason = `數值正確但${numericDecision.by}（本題規則：${precisionRuleLabel(question?.numericPolicy)}）：學生 "${studentAns}"、標準 "${refAnswer}"`
+        } else {
+          row.reason = numericMatch
+            ? `答案正確（程式比對覆核：${numericDecision.by}）`
+            : `答案錯誤（程式比對覆核：${numericDecision.by}；學生 "${studentAns}"、標準 "${refAnswer}"）`
+        }
+        row.confidence = 100
+        console.log(`[programmatic-override] ${questionId} numeric ${numericDecision.by} ref="${refAnswer}" student="${studentAns}" ${prevScore}→${nextScore}`)
+      }
+    }
+    // ── 化學式／化學方程式（2026-10-19，chem-formula.js）：同 code-first 判定。通用覆核的 norm() 把
+    //   「H₂O」「H2O」當成不同字串、把「O2 + 2H2 → 2H2O」的 + → 當成計算過程 → 判得動的格由本段定案。
+    const chemDecision = !numericDecision && qCategory === 'fill_blank' && !row.levelResult && !skipProgrammaticForEnglish &&
+      isChemFormulaEnabled() && refAnswer && studentAns && studentAns !== '未作答' && studentAns !== '無法辨識' &&
+      isChemicalAnswer(refAnswer, domainHint)
+      ? chemCompare(refAnswer, studentAns)
+      : null
+    if (chemDecision) {
+      const chemMatch = chemDecision.verdict === 'equal'
+      const nextScore = chemMatch ? (toFiniteNumber(question?.maxScore) ?? row.maxScore) : 0
+      if (row.isCorrect !== chemMatch || row.score !== nextScore) {
+        const prevScore = row.score
+        row.isCorrect = chemMatch
+        row.score = nextScore
+        if (!chemMatch) {
+          row.errorType = chemDecision.errorType
+          row.needExplain = true
+        }
+        row.reason = chemMatch
+          ? `答案正確（程式比對覆核：${chemDecision.by}）`
+          : `${chemDecision.errorType === 'unbalanced' ? '反應物與生成物正確但方程式未平衡' : chemDecision.errorType === 'not_simplest' ? '方程式已平衡但係數不是最簡整數比' : '答案錯誤'}（程式比對覆核：${chemDecision.by}；學生 "${studentAns}"、標準 "${refAnswer}"）`
+        row.confidence = 100
+        console.log(`[programmatic-override] ${questionId} chem ${chemDecision.by} ref="${refAnswer}" student="${studentAns}" ${prevScore}→${nextScore}`)
+      }
+    }
     if (
+      !numericDecision &&
+      !chemDecision &&
       !skipProgrammaticForEnglish &&
       !studentHasCalcSteps &&
       (qCategory === 'fill_blank' || qCategory === 'true_false' || qCategory === 'single_choice') &&
@@ -8509,6 +8600,8 @@ function buildFinalGradingResult({
     // 降分依據是「讀值」，而讀值可能出錯（回放中「65」vs「6.5」疑似掉小數點）→ 一律送複核。
     if (
       !row.levelResult &&
+      !numericDecision &&
+      !chemDecision &&
       !skipProgrammaticForEnglish &&
       (qCategory === 'fill_blank' || qCategory === 'short_answer' || qCategory === 'single_choice') &&
       refAnswer && studentAns && studentAns !== '未作答' && studentAns !== '無法辨識' &&
@@ -8560,9 +8653,26 @@ function buildFinalGradingResult({
         .trim()
       const hasSteps = stepsText.length >= 3
 
-      if (refFinal && stuFinal) {
+      // 2026-10-19 代數最終答案（多項式、因式分解、根號、π、解集合）走精確代數引擎：
+      //   等價 → 視同最終答案相同；值相等但寫法不同（展開 vs 分解、√12 vs 2√3、方程式沒解完）
+      //   → 本段不覆寫、維持 accessor 判定（題目可能就是在考化簡，那是老師的尺度）
+      // 2026-10-19 數值題（numericPolicy／科學記號）：最終答案交 numeric-answer 判——容許誤差內算對、
+      //   值對但有效位數 / 小數位數不符 → 下面的 precision 分支（計分依該題 precisionRule）
+      const numeric = refFinal && stuFinal && isNumericPolicyEnabled()
+        ? gradeNumericAnswer(refFinal, stuFinal, question?.numericPolicy)
+        : null
+      const stringMatch = numeric
+        ? numeric.verdict === 'equal'
+        : !!(refFinal && stuFinal) && (refFinal === stuFinal || isNumericEqual(refFinal, stuFinal))
+      const symbolic = refFinal && stuFinal && !stringMatch && !numeric && isSymbolicAlgebraEnabled()
+        ? symbolicCompare(refFinal, stuFinal)
+        : null
+      if (symbolic?.verdict === 'form_differs') {
+        console.log(`[programmatic-override] ${questionId} symbolic form differs (${stuFinal} vs ${refFinal}) → keep accessor verdict`)
+      }
+      if (refFinal && stuFinal && symbolic?.verdict !== 'form_differs') {
         // 分數必須最簡（整數除外，如 2/2=1 可接受）— 僅當 fractionRule=require_simplified；分數⇔小數等值仍接受
-        const finalMatch = (refFinal === stuFinal || isNumericEqual(refFinal, stuFinal)) && (!requireSimplifiedFraction || !isUnsimplifiedFraction(stuFinal))
+        const finalMatch = (stringMatch || symbolic?.verdict === 'equal') && (!requireSimplifiedFraction || !isUnsimplifiedFraction(stuFinal))
 
         if (finalMatch && hasSteps) {
           // 最終答案對 + 有步驟 → 滿分（強制 override 任何 accessor partial）
@@ -8587,7 +8697,15 @@ function buildFinalGradingResult({
           // 2026-07-15 unitErrorRule（作業設定）：數值＋單位等價後全同 → 視同答對；
           //   數值對、只錯/缺單位且設定 half → 給一半（不論步驟）。其餘照 binary 歸零。
           const um = unitOnlyMismatch(stuFinal, refFinal)
-          if (um === 'equal' && hasSteps) {
+          if (numeric?.precision) {
+            row.isCorrect = false
+            row.score = precisionScoreFor(qMaxScore, question?.numericPolicy)
+            row.needExplain = true
+            row.errorType = 'precision'
+            row.reason = `數值正確但${numeric.by}（本題規則：${precisionRuleLabel(question?.numericPolicy)}）：學生 "${stuFinal}"、標準 "${refFinal}"`
+            row.confidence = 100
+            console.log(`[programmatic-override] ${questionId} precision(${row.score}) (${stuFinal} vs ${refFinal})`)
+          } else if (um === 'equal' && hasSteps) {
             row.isCorrect = true
             row.score = qMaxScore
             row.needExplain = false
@@ -8830,21 +8948,50 @@ function buildFinalGradingResult({
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Dewarp（學生照片卷整平）：呼叫獨立 Python/UVDoc 微服務，把彎曲/傾斜照片拉平，
-// 讓 classify 的矩形 bbox 跟得上文字行。
+// Dewarp（學生照片卷整平）：把傾斜/透視變形的照片拉平，讓 classify 的矩形 bbox 跟得上文字行。
+// 2026-10-19 改成本地優先：local-perspective.js（sharp：找紙張四角 → 透視還原 → 拉正）先跑；
+//   有頁找不到紙（背景太亮、紙被手擋住）或本地出錯才打遠端 Python/UVDoc 微服務（DEWARP_URL，沒設就跳過）。
+//   遠端也失敗 → 本地部分結果（有的話）或原圖。
 // ⚠️ 只對「照片」（submissionSource ≠ teacher_scan）；PDF(teacher_scan) 一律不碰。
-// ⚠️ 預設「開」：設好 DEWARP_URL 即生效；kill switch＝明確設 DEWARP_ENABLED=0/false 才關。
-// ⚠️ 全程 graceful：關閉 / 無 URL / 服務失敗 / 逾時 → 回 null（呼叫端用原圖、絕不擋批改）。
-// ⚠️ UVDoc 確定性（同圖同輸出）→ 拆成兩個 HTTP call 時兩邊各自整平結果一致、bbox 與 crop 對得齊。
+// ⚠️ kill switch：DEWARP_ENABLED=0/false 全關；LOCAL_DEWARP_ENABLED=false 只關本地（回到純遠端）。
+// ⚠️ 全程 graceful：關閉 / 服務失敗 / 逾時 → 回 null（呼叫端用原圖、絕不擋批改）。
+// ⚠️ 本地與 UVDoc 都確定性（同圖同輸出）→ 拆成兩個 HTTP call 時兩邊各自整平結果一致、bbox 與 crop 對得齊。
 // 回傳 { data, mimeType, pageBreaks }（整平後）或 null。
 async function dewarpPhotoSubmission({ inlineData, pageBreaks, submissionSource, answerSheetMode, pipelineRunId, stagedLogLevel }) {
   // 預設開；只有明確 DEWARP_ENABLED=0/false 才關（kill switch）
   const enabled = process.env.DEWARP_ENABLED !== '0' && process.env.DEWARP_ENABLED !== 'false'
-  const url = process.env.DEWARP_URL
-  if (!enabled || !url) return null  // 仍需 DEWARP_URL；沒設 → graceful 跳過
+  if (!enabled) return null
   // 只照片：PDF(teacher_scan) 與來源不明（null）一律跳過（安全預設＝不整平）
   if (!submissionSource || submissionSource === 'teacher_scan') return null
   if (!inlineData?.data) return null
+
+  let localPartial = null
+  if (isLocalDewarpEnabled()) {
+    try {
+      const t0 = Date.now()
+      const local = await flattenPhotoLocally({ data: inlineData.data, pageBreaks: Array.isArray(pageBreaks) ? pageBreaks : [] })
+      if (!local) {
+        logStaged(pipelineRunId, stagedLogLevel, '[dewarp] 本地：已是平整滿版、不需整平', { ms: Date.now() - t0 })
+        return null
+      }
+      if (local.failedPages === 0) {
+        logStaged(pipelineRunId, 'basic', '[dewarp] 本地整平完成', { ms: Date.now() - t0, pages: local.pages, newPageBreaks: local.pageBreaks })
+        return { data: local.data, mimeType: local.mimeType, pageBreaks: local.pageBreaks }
+      }
+      logStaged(pipelineRunId, 'basic', '[dewarp] 本地有頁找不到紙張四角、改試遠端', { pages: local.pages })
+      if (local.data) localPartial = { data: local.data, mimeType: local.mimeType, pageBreaks: local.pageBreaks }
+    } catch (e) {
+      logStaged(pipelineRunId, 'basic', '[dewarp] 本地整平失敗、改試遠端', { error: e?.message })
+    }
+  }
+  const remote = await dewarpViaRemoteService({ inlineData, pageBreaks, submissionSource, answerSheetMode, pipelineRunId })
+  return remote || localPartial
+}
+
+// 遠端 UVDoc 微服務（DEWARP_URL 沒設 → null）
+async function dewarpViaRemoteService({ inlineData, pageBreaks, submissionSource, answerSheetMode, pipelineRunId }) {
+  const url = process.env.DEWARP_URL
+  if (!url) return null
   const timeoutMs = Number(process.env.DEWARP_TIMEOUT_MS) > 0 ? Number(process.env.DEWARP_TIMEOUT_MS) : 30000
   const controller = new AbortController()
   const handle = setTimeout(() => controller.abort(), timeoutMs)
@@ -8882,6 +9029,186 @@ async function dewarpPhotoSubmission({ inlineData, pageBreaks, submissionSource,
   }
 }
 
+// ── 劃記卡讀卡（2026-10-19、bubble-reader.js）───────────────────────────────
+// 答案卷帶 bubbleSheet（我們印的劃記卡）且是 answer_only → 先用 sharp 讀卡：
+//   乾淨的題（塗滿一格 / 完全沒塗）直接定案、零模型 call；只有塗不乾淨的題各送 1 次 focused read（PRO）。
+//   讀卡失敗（找不到定位點、圈線對不上…）或答案卷有不在卡上的題 → 回 null、照原本 classify + read 流程（fail-open）。
+//   kill switch：BUBBLE_SHEET_READER_ENABLED=false。
+async function runBubbleSheetPhaseA({
+  apiKey, model, payload, routeHint, internalContext, answerKey, questionIds, inlineData, pageBreaks,
+  pipelineRunId, stagedLogLevel, getRemainingBudget
+}) {
+  const sheet = answerKey?.bubbleSheet
+  if (!sheet || !Array.isArray(sheet.items) || !isBubbleReaderEnabled()) return null
+  const sheetIds = new Set(sheet.items.map((it) => ensureString(it?.questionId, '').trim()))
+  const uncovered = questionIds.filter((id) => !sheetIds.has(id))
+  if (uncovered.length > 0) {
+    logStaged(pipelineRunId, 'basic', `[bubble] 答案卷有 ${uncovered.length} 題不在劃記卡上 → 走原流程`, { uncovered: uncovered.slice(0, 10) })
+    return null
+  }
+  let bubble
+  try {
+    bubble = await readBubbleSheet(Buffer.from(inlineData.data, 'base64'), sheet, {
+      region: pageBreaks.length > 0 ? { top: 0, bottom: pageBreaks[0] } : null
+    })
+  } catch (e) {
+    logStaged(pipelineRunId, 'basic', '[bubble] 讀卡失敗 → 走原流程（graceful）', { error: e?.message })
+    return null
+  }
+  if (!bubble.ok) {
+    logStaged(pipelineRunId, 'basic', `[bubble] 讀卡不採用（${bubble.reason}）→ 走原流程`, { alignment: bubble.alignment, foundCount: bubble.foundCount })
+    return null
+  }
+  const itemById = new Map(bubble.items.map((it) => [it.questionId, it]))
+  const akById = mapByQuestionId(answerKey.questions, (q) => q?.id)
+  const stageResponses = []
+
+  // 塗不乾淨的題：裁整列（含題號）給 focused read，回傳的位置序號對回 labels
+  const ambiguous = questionIds.map((id) => itemById.get(id)).filter((it) => it?.status === 'ambiguous')
+  const focusedById = new Map()
+  const readFocused = async (it) => {
+    const crop = await cropInlineImageByBbox(inlineData.data, inlineData.mimeType, it.bbox, true, { padX: 0.01, padY: 0.006 })
+    if (!crop) return
+    const prompt = `${buildFocusedCheckboxReadPrompt(it.questionId, it.multi ? 'multi_choice' : 'single_check')}
+
+This crop is one row of a printed bubble answer sheet: a printed question number on the left, then ${it.labels.length} circles (options ${it.labels.join(' ')} left-to-right, letters printed in light gray). A circle counts as marked only if the student filled it in; count circles only (ignore the printed number).`
+    const response = await executeStage({
+      apiKey,
+      model: MODEL_PRO,
+      modelOverride: MODEL_PRO,
+      payload: { ...payload, ...READ_ANSWER_GENERATION_CONFIG },
+      timeoutMs: getRemainingBudget(),
+      routeHint,
+      routeKey: AI_ROUTE_KEYS.GRADING_READ_ANSWER,
+      stageContents: [{ role: 'user', parts: [{ text: prompt }, { inlineData: crop }] }]
+    })
+    stageResponses.push(response)
+    const parsed = response.ok ? parseCandidateJson(response.data) : null
+    const answer = Array.isArray(parsed?.answers) ? parsed.answers[0] : null
+    let mapped = null
+    if (answer?.status === 'blank') mapped = { status: 'blank', studentAnswer: '' }
+    else if (answer?.status === 'read') {
+      const positions = ensureString(answer.studentAnswerRaw, '').split(/[,，\s]+/).filter(Boolean).map(Number)
+      const labels = positions.map((n) => it.labels[n - 1])
+      if (labels.length > 0 && labels.every(Boolean) && (it.multi || labels.length === 1)) {
+        mapped = { status: 'read', studentAnswer: [...new Set(labels)].join(',') }
+      }
+    }
+    focusedById.set(it.questionId, { crop, mapped })
+  }
+  // 併行上限 6(同 type-split LIM;整張卡塗得亂時幾十題同時發會撞 rate-limit)
+  const LIM = 6
+  let fi = 0
+  await Promise.all(Array.from({ length: Math.min(LIM, ambiguous.length) }, async () => {
+    while (fi < ambiguous.length) await readFocused(ambiguous[fi++])
+  }))
+
+  const describeFills = (it) => it.labels.map((l, k) => `${l}:${Math.round(it.fills[k] * 100)}%`).join(' ')
+  const questionResults = questionIds.map((questionId) => {
+    const it = itemById.get(questionId)
+    const questionType = resolveExpectedQuestionType(akById.get(questionId))
+    const base = {
+      questionId,
+      containmentPreferredRaw: null,
+      questionType,
+      answerBbox: it.bbox,
+      bboxCorrected: false,
+      calculationAnswerMismatch: false,
+      bubbleRead: { status: it.status, fills: it.fills, labels: it.labels, ...(it.reason ? { reason: it.reason } : {}) }
+    }
+    if (it.status !== 'ambiguous') {
+      const read = { status: it.status, studentAnswer: it.answer }
+      return {
+        ...base,
+        consistencyStatus: 'stable',
+        readAnswer1: read,
+        readAnswer2: read,
+        arbiterResult: { arbiterStatus: 'arbitrated_agree', finalAnswer: it.answer, bubbleSheet: true },
+        hasCropImage: false
+      }
+    }
+    const focused = focusedById.get(questionId)
+    const bubbleView = { status: 'unreadable', studentAnswer: `劃記不清（${describeFills(it)}）` }
+    if (focused?.mapped) {
+      return {
+        ...base,
+        consistencyStatus: 'stable',
+        consistencyReason: `劃記不清、由 AI 判讀（${it.reason}）`,
+        readAnswer1: bubbleView,
+        readAnswer2: focused.mapped,
+        arbiterResult: { arbiterStatus: 'arbitrated_agree', finalAnswer: focused.mapped.studentAnswer, bubbleSheet: true },
+        hasCropImage: true
+      }
+    }
+    return {
+      ...base,
+      consistencyStatus: 'unstable',
+      consistencyReason: `劃記不清、請老師確認（${describeFills(it)}）`,
+      readAnswer1: bubbleView,
+      readAnswer2: bubbleView,
+      arbiterResult: { arbiterStatus: 'needs_review' },
+      answerCropImageUrl: focused?.crop ? `data:${focused.crop.mimeType};base64,${focused.crop.data}` : undefined,
+      hasCropImage: !!focused?.crop
+    }
+  })
+  const unstableCount = questionResults.filter((q) => q.arbiterResult.arbiterStatus === 'needs_review').length
+  const stableCount = questionResults.length - unstableCount
+  logStaged(pipelineRunId, 'basic',
+    `[bubble] 劃記卡讀卡完成 題數=${questionResults.length} 不清=${ambiguous.length}（AI 判讀 ${stageResponses.length} 次） 待確認=${unstableCount} 對位=${bubble.alignment.toFixed(2)}`)
+  await notePhaseEnd(pipelineRunId, 'phase_a', buildStageLatencies(stageResponses))
+
+  const classifyResult = {
+    coverage: 'bubble_sheet',
+    alignedQuestions: questionResults.map((qr) => ({
+      questionId: qr.questionId, questionType: qr.questionType, visible: true, answerBbox: qr.answerBbox, bboxCorrected: false
+    }))
+  }
+  const toMini = (pick) => questionResults.map((qr) => ({ questionId: qr.questionId, status: pick(qr).status, answer: pick(qr).studentAnswer || '' }))
+  const submissionIdForPersist = internalContext?.submissionId || payload?.submissionId
+  if (submissionIdForPersist) {
+    const modelRouting = getModelRoutingSnapshot()
+    await persistPhaseAState(submissionIdForPersist, {
+      version: 1,
+      pipelineRunId,
+      stagedLogLevel,
+      model,
+      readMode: 'bubble-sheet',
+      answerKey,
+      questionIds,
+      classifyResult,
+      readAnswer1: toMini((qr) => qr.readAnswer1),
+      readAnswer2: toMini((qr) => qr.readAnswer2),
+      arbiterDecisions: questionResults.map((qr) => ({
+        questionId: qr.questionId,
+        arbiterStatus: qr.arbiterResult.arbiterStatus,
+        finalAnswer: qr.arbiterResult.finalAnswer
+      })),
+      bubbleSheet: { alignment: bubble.alignment, fiducials: bubble.fiducials, fills: Object.fromEntries(bubble.items.map((it) => [it.questionId, it.fills])) },
+      ...(modelRouting ? { modelRouting } : {}),
+      savedAt: new Date().toISOString()
+    })
+  }
+  return {
+    phaseAComplete: true,
+    questionResults,
+    stableCount,
+    diffCount: 0,
+    unstableCount,
+    needsReviewCount: unstableCount,
+    _internal: {
+      answerKey,
+      questionIds,
+      classifyResult,
+      readAnswerResult: { answers: questionResults.map((qr) => ({ questionId: qr.questionId, status: qr.readAnswer2.status, studentAnswerRaw: qr.readAnswer2.studentAnswer })) },
+      stageResponses,
+      stageWarnings: [],
+      pipelineRunId,
+      stagedLogLevel,
+      cropByQuestionId: new Map()
+    }
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Phase A: 一致性預處理 (A1 Classify → A2 Crop → A3/A4 ReadAnswer×2 → A5 Consistency)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -9000,6 +9327,7 @@ export async function runStagedGradingPhaseA({
   const buildFailureReturn = async (stage, qgResults, extra) => {
     const failure = buildPipelineFailure(stage, qgResults)
     logStaged(pipelineRunId, 'basic', `PhaseA FAIL at ${stage} (retry exhausted)`, failure)
+    notePipelineFailure(pipelineRunId, failure)
     // 失敗時也寫 stage_log、保留 classify bboxes 供事後 debug / 視覺化
     // 2026-05-17: 改 await — fire-and-forget 在 Vercel function 提早 return 時、
     // process 被 terminate、insert promise 來不及落地（學生 3/5 失敗無 row）。
@@ -9086,6 +9414,7 @@ export async function runStagedGradingPhaseA({
       technical: { httpStatus: status, model: stageModel, dataPreview }
     }
     logStaged(pipelineRunId, 'basic', `PhaseA HTTP ERROR at ${stage}`, failure)
+    notePipelineFailure(pipelineRunId, failure)
     if (internalContext?.ownerId) {
       try {
         await saveGradingStageLog({
@@ -9139,8 +9468,23 @@ export async function runStagedGradingPhaseA({
     // 但 sync 把 pageBreaks 從 Dexie 洗掉、client 傳 empty、舊 fallback 用 equal split [0.5]
     // → page 1 sub-image 切到 y=0.5 但實際 page 1 占到 y=0.665 → 1-2-2 被切到 page 2 sub-image → invisible
     let smartPageBreaks = []
+    // 2026-10-19 先看圖：多頁直向合併圖的接縫（相鄰列像素跳變、local-perspective.js）。
+    //   預期頁數取 assignment.total_pages、沒有就用 ID 頁碼前綴；偵測到的接縫數對不上就不用（退回下面的估算）。
+    const idPageCount = Math.max(0, ...questionIds.map((id) => Number(String(id).match(/^(\d+)-/)?.[1] || 0)))
+    const expectedPages = assignmentTotalPages > 1 ? assignmentTotalPages : idPageCount
+    if (expectedPages >= 2 && isLocalDewarpEnabled() && inlineImages[0]?.inlineData?.data) {
+      try {
+        const detected = await detectPageBreaks(Buffer.from(inlineImages[0].inlineData.data, 'base64'), { expectedPages })
+        if (detected.length > 0) {
+          smartPageBreaks = detected
+          logStaged(pipelineRunId, 'basic', `[pageBreaks] detected from image seams → ${JSON.stringify(detected)}`, { expectedPages })
+        }
+      } catch (err) {
+        console.warn(`[PhaseA][${pipelineRunId}] pageBreaks seam detection failed:`, err?.message)
+      }
+    }
     const assignmentIdForLookup = internalContext?.assignmentId || payload?.assignmentId
-    if (assignmentIdForLookup) {
+    if (smartPageBreaks.length === 0 && assignmentIdForLookup) {
       try {
         const supabase = getSupabaseAdmin()
         const { data: assignmentRow } = await supabase
@@ -9198,7 +9542,7 @@ export async function runStagedGradingPhaseA({
   }
   // ── Dewarp 整平（只照片、env-gated、graceful）──────────────────────────────
   // 放在 pageBreaks 解析後、classify / precomputed 分支前 → call1(classify) 與 call2(crop+read)
-  // 都會跑到、且 UVDoc 確定性 → 兩 call 得到一致整平圖、classify bbox 與後續 crop 對得齊。
+  // 都會跑到、且本地/UVDoc 都確定性 → 兩 call 得到一致整平圖、classify bbox 與後續 crop 對得齊。
   // 成功則「替換」inlineImages[0] 為整平圖、pageBreaks 改用整平後的新邊界；失敗回 null 用原圖。
   // PDF(teacher_scan) 在 helper 內被擋掉、完全不影響 PDF 流程。
   {
@@ -9215,6 +9559,32 @@ export async function runStagedGradingPhaseA({
       pageBreaks = _dw.pageBreaks
     }
   }
+  // ── 2026-10-19 老師紅筆濾除（teacher-ink.js；只在老師明確標記已改過、確定性、graceful）──────────
+  // 老師先改過再掃的卷子：紅勾 / 紅叉 / 分數會被 read 讀成學生答案。濾掉後 classify / read 都吃乾淨圖；
+  // 幾何不變、同圖同輸出 → 拆成多個 HTTP call 時每個 call 各自濾一次也一致。
+  // 只看 teacherMarked（上傳時老師勾選、存在 submissions.teacher_marked）：不從來源 + 紅色比例猜，
+  //   學生用紅筆作答、紅色印刷的考卷都不會被誤濾。
+  const teacherMarked = payload?.teacherMarked === true || internalContext?.teacherMarked === true
+  if (teacherMarked && isTeacherInkSeparationEnabled()) {
+    try {
+      const ink = await separateTeacherInk(inlineImages[0].inlineData)
+      if (ink) {
+        inlineImages[0].inlineData = { data: ink.data, mimeType: ink.mimeType }
+        logStaged(pipelineRunId, 'basic', '[teacher-ink] 已濾除老師紅筆', { redRatio: ink.redRatio })
+      }
+    } catch (e) {
+      logStaged(pipelineRunId, 'basic', '[teacher-ink] 紅筆濾除失敗、用原圖', { error: e?.message })
+    }
+  }
+
+  // ── 劃記卡：讀卡成功就整段 Phase A 結束（classify call 也直接回 phaseAComplete）──
+  if (!precomputedClassifyContext && !isPartialRerun && answerSheetMode === 'answer_only' && answerKey.bubbleSheet) {
+    const bubbleReturn = await runBubbleSheetPhaseA({
+      apiKey, model, payload, routeHint, internalContext, answerKey, questionIds,
+      inlineData: inlineImages[0].inlineData, pageBreaks, pipelineRunId, stagedLogLevel, getRemainingBudget
+    })
+    if (bubbleReturn) return bubbleReturn
+  }
 
   const classifyCorrections = Array.isArray(payload?.classifyCorrections) ? payload.classifyCorrections : []
   if (classifyCorrections.length > 0) {
@@ -9811,6 +10181,7 @@ export async function runStagedGradingPhaseA({
     answerSheetMode
   })
   const classifyQG = validateClassifyQuality(classifyResult, questionIds, classifyRefBboxByQid, { answerSheetMode })
+  noteQualityGate(pipelineRunId, 'classify', classifyQG)
   logStaged(pipelineRunId, 'basic', 'classify quality-gate', {
     severity: classifyQG.severity, warnings: classifyQG.warnings, metrics: classifyQG.metrics
   })
@@ -9866,6 +10237,7 @@ export async function runStagedGradingPhaseA({
           classifyResult = applyClassifyQuestionSpecs(normalizeClassifyResult(retryParsed, ids), classifyQuestionSpecs)
           decorateClassifyWithDiagnostics(classifyResult, akByIdForLog)
           classifyRetryQG = validateClassifyQuality(classifyResult, questionIds, classifyRefBboxByQid, { answerSheetMode })
+          noteQualityGate(pipelineRunId, 'classify', classifyRetryQG)
           logStaged(pipelineRunId, 'basic', 'classify retry quality-gate', {
             severity: classifyRetryQG.severity, warnings: classifyRetryQG.warnings
           })
@@ -9916,6 +10288,7 @@ export async function runStagedGradingPhaseA({
             pixelBboxRejected: normalizedResults.flatMap((n) => n.pixelBboxRejected ?? [])
           }, classifyQuestionSpecs)
           classifyRetryQG = validateClassifyQuality(classifyResult, questionIds, classifyRefBboxByQid, { answerSheetMode })
+          noteQualityGate(pipelineRunId, 'classify', classifyRetryQG)
           logStaged(pipelineRunId, 'basic', 'classify retry quality-gate', {
             severity: classifyRetryQG.severity, warnings: classifyRetryQG.warnings
           })
@@ -11578,6 +11951,7 @@ ${qs.map((q) => { const ps = tsPartsMeta(q) || []; return `- questionId="${q.que
   const visibleQuestionIds = classifyAligned.filter((q) => q.visible).map((q) => q.questionId)
   // 2026-05-20: readQG / classifyReadQG 改 let、retry 會重新賦值
   let readQG = validateReadAnswerQuality(readAnswerResult, reReadAnswerResult, visibleQuestionIds, classifyAligned)
+  noteQualityGate(pipelineRunId, 'read', readQG)
   logStaged(pipelineRunId, 'basic', 'read-answer quality-gate', {
     severity: readQG.severity, warnings: readQG.warnings, metrics: readQG.metrics
   })
@@ -11671,6 +12045,7 @@ ${qs.map((q) => { const ps = tsPartsMeta(q) || []; return `- questionId="${q.que
       // 注意：retry 不重套 bracket/checkbox/multi_fill overrides——這些是 edge case 補強、
       // 對「整個 stage 失敗」的 transient 案例影響很小、為了簡單先省略
       readQG = validateReadAnswerQuality(readAnswerResult, reReadAnswerResult, visibleQuestionIds, classifyAligned)
+      noteQualityGate(pipelineRunId, 'read', readQG)
       classifyReadQG = validateClassifyReadConsistency(classifyResult, readAnswerResult)
       logStaged(pipelineRunId, 'basic',
         `[A2-retry] read QG=${readQG.severity} crossQG=${classifyReadQG.severity}`,
@@ -12267,6 +12642,7 @@ Return JSON:
   if (ai3ResultCount > 0 && arbiterItemsForAI3.length > 0) {
     const arbiterExpectedIds = arbiterItemsForAI3.map((item) => item.questionId)
     let arbiterQG = validateArbiterQuality(Array.from(arbiterByQuestionId.values()), arbiterExpectedIds)
+    noteQualityGate(pipelineRunId, 'arbiter', arbiterQG)
     logStaged(pipelineRunId, 'basic', 'arbiter quality-gate', {
       severity: arbiterQG.severity, warnings: arbiterQG.warnings, metrics: arbiterQG.metrics
     })
@@ -12303,6 +12679,7 @@ Return JSON:
             })
           }
           arbiterQG = validateArbiterQuality(Array.from(arbiterByQuestionId.values()), arbiterExpectedIds)
+          noteQualityGate(pipelineRunId, 'arbiter', arbiterQG)
           logStaged(pipelineRunId, 'basic', 'arbiter retry quality-gate', {
             severity: arbiterQG.severity, warnings: arbiterQG.warnings
           })
@@ -12524,6 +12901,7 @@ Return JSON:
       ocrDetections: p.stats?.ocrDetections
     }))
   })
+  await notePhaseEnd(pipelineRunId, 'phase_a', buildStageLatencies(stageResponses))
   if (internalContext?.ownerId) {
     const phaseALogData = extractPhaseALogData({
       pipelineRunId,
@@ -12578,6 +12956,7 @@ Return JSON:
         framingReason: q.framingReason || undefined
       }))
     }
+    const modelRouting = getModelRoutingSnapshot()
     const phaseAStateToPersist = {
       version: 1,
       pipelineRunId,
@@ -12603,6 +12982,8 @@ Return JSON:
       // 2026-07-11 層級鏈 audit：完整輸入輸出（r1/r2/r1'/r2'/key/adopted 全文）＋逐 call 時間，
       // 供事後直接檢視（不用從結果反推）；費用另在 ink_session_usage（routeKey=grading.re_read_answer）
       ...(escalationChainAudit ? { escalationChain: escalationChainAudit } : {}),
+      // 2026-10-19 分流政策：寫入這次 request 實際跑的 model/版本（split 流程只含本段 call）
+      ...(modelRouting ? { modelRouting } : {}),
       savedAt: new Date().toISOString()
     }
     await persistPhaseAState(submissionIdForPersist, phaseAStateToPersist)
@@ -12763,6 +13144,7 @@ export async function runStagedGradingPhaseAArbiter({
   if (ai3ResultCount > 0 && arbiterItems.length > 0) {
     const arbiterExpectedIds = arbiterItems.map((item) => item.questionId)
     let arbiterQG = validateArbiterQuality(Array.from(arbiterByQuestionId.values()), arbiterExpectedIds)
+    noteQualityGate(pipelineRunId, 'arbiter', arbiterQG)
     logStaged(pipelineRunId, 'basic', `[A3] 品質檢查 嚴重度=${arbiterQG.severity}`, { warnings: arbiterQG.warnings, metrics: arbiterQG.metrics })
 
     if (arbiterQG.severity === QG_SEVERITY.FAIL) {
@@ -12796,6 +13178,7 @@ export async function runStagedGradingPhaseAArbiter({
             })
           }
           arbiterQG = validateArbiterQuality(Array.from(arbiterByQuestionId.values()), arbiterExpectedIds)
+          noteQualityGate(pipelineRunId, 'arbiter', arbiterQG)
           logStaged(pipelineRunId, 'basic', `[A3] retry QG 嚴重度=${arbiterQG.severity}`)
         }
       } catch (retryErr) {
@@ -12994,6 +13377,15 @@ export async function runStagedGradingPhaseAArbiter({
   const unstableCount = questionResults.filter((q) => q.arbiterResult?.arbiterStatus === 'needs_review').length
   logStaged(pipelineRunId, 'basic', `[A3] 最終統計 stable=${stableCount} needs_review=${unstableCount}`)
 
+  // A3 的 stageResponses 只有 arbiter 段；前段耗時在 stageLatencyMsSoFar（split path 帶過來的）
+  {
+    const a3Latencies = buildStageLatencies(stageResponses)
+    await notePhaseEnd(pipelineRunId, 'phase_a_arbiter', {
+      ...a3Latencies,
+      total_ms: (Number(stageLatencyMsSoFar) || 0) + a3Latencies.total_ms
+    })
+  }
+
   // ── stage_log 寫入（完整 phase_a row、合併 pre-arbiter 跟 arbiter 的 metrics） ──
   if (internalContext?.ownerId) {
     const ownStageLatency = stageResponses.reduce((s, r) => s + (Number(r.modelLatencyMs) || 0), 0)
@@ -13044,6 +13436,7 @@ export async function runStagedGradingPhaseAArbiter({
   // 不用 client round-trip 整份 _phaseContext
   const submissionIdForPersist = internalContext?.submissionId || payload?.submissionId
   if (submissionIdForPersist) {
+    const modelRouting = getModelRoutingSnapshot()
     const phaseAStateToPersist = {
       version: 1,
       pipelineRunId,
@@ -13071,6 +13464,8 @@ export async function runStagedGradingPhaseAArbiter({
       // 2026-07-11 層級鏈 audit：完整輸入輸出（r1/r2/r1'/r2'/key/adopted 全文）＋逐 call 時間，
       // 供事後直接檢視（不用從結果反推）；費用另在 ink_session_usage（routeKey=grading.re_read_answer）
       ...(escalationChainAudit ? { escalationChain: escalationChainAudit } : {}),
+      // 2026-10-19 分流政策：寫入這次 request 實際跑的 model/版本（split 流程只含本段 call）
+      ...(modelRouting ? { modelRouting } : {}),
       savedAt: new Date().toISOString()
     }
     await persistPhaseAState(submissionIdForPersist, phaseAStateToPersist)
@@ -13307,6 +13702,22 @@ export async function runStagedGradingPhaseB({
   logStaged(pipelineRunId, stagedLogLevel, `PhaseB begin gradeBand=${gradeBand} (multi_choice 公式: ${gradeBand === 'high' ? '大考中心 -2/錯' : 'K-9 比例'})`)
 
   const inlineImages = extractInlineImages(contents)
+  // 2026-10-19 老師紅筆濾除：跟 Phase A 同一支（確定性）→ VJ / accessor 的 crop 跟 Phase A 讀到的是同一張乾淨圖。
+  //   原圖的紅色圖層留著（teacherInk），最後組結果時讀老師的批改記號、跟 AI 分數比對（teacherMarks）。
+  //   只在老師明確標記已改過（teacherMarked）才濾，同 Phase A。
+  const phaseBTeacherMarked = payload?.teacherMarked === true || internalContext?.teacherMarked === true
+  let teacherInk = null
+  if (phaseBTeacherMarked && isTeacherInkSeparationEnabled() && inlineImages.length > 0) {
+    try {
+      teacherInk = await separateTeacherInk(inlineImages[0].inlineData)
+      if (teacherInk) {
+        inlineImages[0].inlineData = { data: teacherInk.data, mimeType: teacherInk.mimeType }
+        logStaged(pipelineRunId, 'basic', '[teacher-ink] Phase B 已濾除老師紅筆', { redRatio: teacherInk.redRatio })
+      }
+    } catch (e) {
+      logStaged(pipelineRunId, 'basic', '[teacher-ink] Phase B 紅筆濾除失敗、用原圖', { error: e?.message })
+    }
+  }
   const submissionImageParts = inlineImages.length > 0 ? [inlineImages[0]] : []
 
   // 答案卷模式 + 題本圖（answer_only 模式下 Explain 用題本圖而非學生答案卷）
@@ -13879,7 +14290,7 @@ export async function runStagedGradingPhaseB({
               const cropMime = q.cropImagePath.endsWith('.jpg') ? 'image/jpeg' : 'image/webp'
               const refB64 = Buffer.from(await blob.arrayBuffer()).toString('base64')
               const resp = await executeStage({
-                apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
+                apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, modelFamily: MODEL_ROUTING_JUDGE_FAMILY, payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
                 timeoutMs: getRemainingBudget(), routeHint, routeKey: AI_ROUTE_KEYS.GRADING_VJ_RUBRIC,
                 // ⚠️ 2026-08-14 與 client 端 A0 的差異：client（建答案卷時）會額外把題本圖一起餵，
                 //   讓判準能引用題幹的原始要求（例：「先以直線 L 為對稱軸、再以 M」）。
@@ -13923,7 +14334,7 @@ export async function runStagedGradingPhaseB({
             const crop = await cropInlineImageByBbox(studentImg.data, studentImg.mimeType, inflateBboxForType(classifyRow.answerBbox, classifyRow.questionType || q.questionCategory), true, 0.01)
             if (crop) {
               const resp = await executeStage({
-                apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
+                apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, modelFamily: MODEL_ROUTING_JUDGE_FAMILY, payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
                 timeoutMs: getRemainingBudget(), routeHint, routeKey: AI_ROUTE_KEYS.GRADING_VJ_BLANK,
                 stageContents: [{ role: 'user', parts: [{ text: buildVjBlankPrompt(itemLabels) }, { inlineData: crop }] }]
               })
@@ -14169,7 +14580,7 @@ export async function runStagedGradingPhaseB({
         ]
         const answers = await Promise.all(elements.map(async (el) => {
           const resp = await executeStage({
-            apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL,
+            apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, modelFamily: MODEL_ROUTING_JUDGE_FAMILY,
             payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
             timeoutMs: Math.min(getRemainingBudget(), 25_000), routeHint,
             routeKey: AI_ROUTE_KEYS.GRADING_LEVEL_JUDGE,
@@ -14413,7 +14824,7 @@ export async function runStagedGradingPhaseB({
           const callJudge = async (txt) => {
             const parts = [{ text: txt }, { inlineData: stuCrop }]
             const resp = await executeStage({
-              apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL,
+              apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, modelFamily: MODEL_ROUTING_JUDGE_FAMILY,
               payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
               // 2026-07-12 事故修：單 call 上限 20s——3.5 慢尾（240s+ 前科）不可吃掉 Phase B 共用預算
               //  （07-11 國語卷實測：串行 14 call 無上限 → 一個慢尾 → accessor 零預算 → 503×8）
@@ -14453,7 +14864,7 @@ export async function runStagedGradingPhaseB({
               const callJudgeRef = async (txt) => {
                 const parts = [{ text: txt }, { text: '【標準答案圖】' }, { inlineData: zyRefCrop }, { text: '【學生作答圖】' }, { inlineData: stuCrop }]
                 const resp = await executeStage({
-                  apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL,
+                  apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, modelFamily: MODEL_ROUTING_JUDGE_FAMILY,
                   payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
                   timeoutMs: Math.min(getRemainingBudget(), 20_000), routeHint,
                   routeKey: AI_ROUTE_KEYS.GRADING_RE_READ_ANSWER,
@@ -14509,7 +14920,7 @@ export async function runStagedGradingPhaseB({
               ]
               const callToneReview = async () => {
                 const resp = await executeStage({
-                  apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL,
+                  apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, modelFamily: MODEL_ROUTING_JUDGE_FAMILY,
                   payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
                   timeoutMs: Math.min(getRemainingBudget(), 20_000), routeHint,
                   routeKey: AI_ROUTE_KEYS.GRADING_RE_READ_ANSWER,
@@ -14697,7 +15108,7 @@ export async function runStagedGradingPhaseB({
 只輸出 JSON：{"choice":"選項代號或blank","seen":"看到的筆畫（15字內）"}`
           const callSc = async () => {
             const resp = await executeStage({
-              apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL,
+              apiKey, model: phaseBModel, modelOverride: JUDGE_MODEL, modelFamily: MODEL_ROUTING_JUDGE_FAMILY,
               payload: { ...payload, ...JUDGE_HIGHRES_GENERATION_CONFIG },
               timeoutMs: Math.min(getRemainingBudget(), 20_000), routeHint,
               routeKey: AI_ROUTE_KEYS.GRADING_RE_READ_ANSWER,
@@ -14771,7 +15182,8 @@ export async function runStagedGradingPhaseB({
     const refFinal = extractFinalAnswerFromCalc(ensureString(q?.referenceAnswer || q?.answer, ''))
     const stuFinal = extractFinalAnswerFromCalc(ensureString(ans.studentAnswerRaw, ''))
     if (refFinal && stuFinal) {
-      const matched = refFinal === stuFinal || isNumericEqual(refFinal, stuFinal)
+      const numeric = isNumericPolicyEnabled() ? gradeNumericAnswer(refFinal, stuFinal, q?.numericPolicy) : null
+      const matched = numeric ? numeric.verdict === 'equal' : (refFinal === stuFinal || isNumericEqual(refFinal, stuFinal))
       if (matched) calcFinalMatchedIds.add(ans.questionId)
       else calcFinalWrongIds.add(ans.questionId)
     } else {
@@ -14963,11 +15375,20 @@ export async function runStagedGradingPhaseB({
       const q = akQById.get(qid)
       if (!q) continue
       const decision = decideDeterministic({
-        question: q, studentAnswer: ans.studentAnswerRaw, answerKey, status: ans.status
+        question: q, studentAnswer: ans.studentAnswerRaw, answerKey, status: ans.status, domainHint: internalContext?.domainHint
       })
       if (!decision) continue
       const cfMax = Math.max(0, toFiniteNumber(q?.maxScore) ?? 0)
       const isEq = decision.verdict === 'equal'
+      // 2026-10-19 值對、位數錯（numericPolicy）與方程式物種對、未平衡（chem-formula）是獨立錯誤類型，理由不寫成「答案錯誤」
+      const cfPair = `學生「${ensureString(ans.studentAnswerRaw, '')}」、標準「${ensureString(q.answer, '')}」`
+      const cfWrongReason = decision.errorType === 'precision'
+        ? `數值正確但位數不符（程式比對：${decision.by}；${cfPair}）`
+        : decision.errorType === 'unbalanced'
+          ? `反應物與生成物正確但方程式未平衡（程式比對：${decision.by}；${cfPair}）`
+          : decision.errorType === 'not_simplest'
+            ? `方程式已平衡但係數不是最簡整數比（程式比對：${decision.by}；${cfPair}）`
+            : `答案錯誤（程式比對：${decision.by}；${cfPair}）`
       // 多選部分給分等情形會直接帶 score（依答案卷 multiCheckRule）；其餘 equal→滿分／differ→0
       const cfScore = Number.isFinite(decision.score)
         ? Math.max(0, Math.min(cfMax, decision.score))
@@ -14977,13 +15398,9 @@ export async function runStagedGradingPhaseB({
         isCorrect: isEq,
         score: cfScore,
         maxScore: cfMax,
-        errorType: isEq ? 'none' : 'concept',
-        reason: isEq
-          ? `答案正確（程式比對：${decision.by}）`
-          : `答案錯誤（程式比對：${decision.by}；學生「${ensureString(ans.studentAnswerRaw, '')}」、標準「${ensureString(q.answer, '')}」）`,
-        scoringReason: isEq
-          ? `答案正確（程式比對：${decision.by}）`
-          : `答案錯誤（程式比對：${decision.by}；學生「${ensureString(ans.studentAnswerRaw, '')}」、標準「${ensureString(q.answer, '')}」）`,
+        errorType: isEq ? 'none' : (decision.errorType ?? 'concept'),
+        reason: isEq ? `答案正確（程式比對：${decision.by}）` : cfWrongReason,
+        scoringReason: isEq ? `答案正確（程式比對：${decision.by}）` : cfWrongReason,
         scoreConfidence: 100,
         studentFinalAnswer: ensureString(ans.studentAnswerRaw, ''),
         needExplain: !isEq,
@@ -15238,6 +15655,7 @@ export async function runStagedGradingPhaseB({
     ? finalReadAnswerResult.answers.filter((a) => a.status === 'read').map((a) => a.questionId)
     : questionIds
   const accessorQG = validateAccessorQuality(accessorResult, accessorExpectedIds)
+  noteQualityGate(pipelineRunId, 'accessor', accessorQG)
   logStaged(pipelineRunId, 'basic', 'accessor quality-gate', {
     severity: accessorQG.severity, warnings: accessorQG.warnings, metrics: accessorQG.metrics
   })
@@ -15272,6 +15690,7 @@ export async function runStagedGradingPhaseB({
           retryResult = { ...retryResult, scores: [...kept, ...toAdd] }
         }
         const retryQG = validateAccessorQuality(retryResult, accessorExpectedIds)
+        noteQualityGate(pipelineRunId, 'accessor', retryQG)
         logStaged(pipelineRunId, 'basic', 'accessor retry quality-gate', {
           severity: retryQG.severity, warnings: retryQG.warnings
         })
@@ -15576,6 +15995,7 @@ which = 每個錯字寫成「X 應為 Y」，多個用「、」分隔；沒有
     }
     // ── Explain Quality Gate + Retry ──────────────────────────────────────
     const explainQG = validateExplainQuality(explainResult, explainQuestionIds)
+    noteQualityGate(pipelineRunId, 'explain', explainQG)
     logStaged(pipelineRunId, 'basic', 'explain quality-gate', {
       severity: explainQG.severity, warnings: explainQG.warnings, metrics: explainQG.metrics
     })
@@ -15594,6 +16014,7 @@ which = 每個錯字寫成「X 應為 Y」，多個用「、」分隔；沒有
         if (retryParsed && typeof retryParsed === 'object') {
           const retryResult = normalizeExplainResult(retryParsed, explainQuestionIds)
           const retryQG = validateExplainQuality(retryResult, explainQuestionIds)
+          noteQualityGate(pipelineRunId, 'explain', retryQG)
           logStaged(pipelineRunId, 'basic', 'explain retry quality-gate', {
             severity: retryQG.severity, warnings: retryQG.warnings
           })
@@ -15634,7 +16055,8 @@ which = 每個錯字寫成「X 應為 Y」，多個用「、」分隔；沒有
       classify: classifyResult,
       locate: locateResult
     },
-    consistencyById
+    consistencyById,
+    domainHint: internalContext?.domainHint
   })
 
   // 2026-05-28: Phase B 完成 = 老師已在 ConsistencyReviewPanel 處理過漏題 / 無法辨識
@@ -15642,6 +16064,31 @@ which = 每個錯字寫成「X 應為 Y」，多個用「、」分隔；沒有
   // 那些都是 Phase A 該處理的事、Phase B 完成後不該再吐「需複核」徽章誤導老師
   finalResult.needsReview = false
   finalResult.reviewReasons = []
+  // 2026-10-19 分流政策：本輪 Phase B 實際跑的 model/版本跟著 grading_result 存（run history 同組態判別用）
+  const phaseBModelRouting = getModelRoutingSnapshot()
+  if (phaseBModelRouting) finalResult.modelRouting = phaseBModelRouting
+
+  // 2026-10-19 老師紅筆評分訊號（teacher-ink.js）：紅色圖層讀分數 / ✓ ○ ✗ → 依 classify 框歸題 → 跟本輪 AI 分數比對。
+  //   只附訊號（finalResult.teacherMarks）、不改分數；OCR 沒設定 → 只有形狀記號；失敗 → 不附。
+  if (teacherInk && isTeacherMarkExtractEnabled()) {
+    try {
+      const marks = await extractTeacherMarks(teacherInk, {
+        pageBreaks: Array.isArray(payload?.pageBreaks) ? payload.pageBreaks : []
+      })
+      const reconciled = reconcileTeacherMarks(
+        assignMarksToQuestions(marks, classifyResult?.alignedQuestions),
+        finalResult.details
+      )
+      if (reconciled.markedCount > 0) {
+        finalResult.teacherMarks = reconciled
+        logStaged(pipelineRunId, 'basic', '[teacher-ink] 老師批改記號比對', {
+          marked: reconciled.markedCount, agree: reconciled.agreeCount, disagree: reconciled.disagreeQuestionIds
+        })
+      }
+    } catch (e) {
+      logStaged(pipelineRunId, 'basic', '[teacher-ink] 老師批改記號讀取失敗（略過）', { error: e?.message })
+    }
+  }
 
   // 2026-06-30 [批兩候選]：reviewAfterB provisional 趟（client 帶 withReviewCandidates）對每個待複核(NR)題
   //   算 read1、read2 兩候選分數、附到 detail.reviewCandidates。末端審查老師點哪個就用哪個分數、
@@ -15711,6 +16158,8 @@ which = 每個錯字寫成「X 應為 Y」，多個用「、」分隔；沒有
     needsReview: finalResult.needsReview
   })
 
+  await notePhaseEnd(pipelineRunId, 'phase_b', buildStageLatencies(stageResponses))
+
   // 寫入 Phase B stage log 到 Supabase（含自動一致性比對，await 確保不漏存）
   if (internalContext?.ownerId) {
     const phaseBLogData = extractPhaseBLogData({
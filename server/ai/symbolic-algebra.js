@@ -0,0 +1,640 @@
+// ═══ 精確代數等價引擎（小型 CAS、確定性）— 2026-10-19 ═══════════════════════════
+// 由來：linear-expression 只吃一元一次、numeric-relation-gate 只吃單一有理數＋一個關係符號。
+//   數學卷的答案常是多項式、因式分解、多變數、根號、π、次方、聯立方程式——
+//   這些格全落到 accessor 自由心證，同一格不同批次一對一錯。
+// 做法：精確有理係數（BigInt，不碰浮點）
+//   ① 解析成 AST（保留「寫法」：展開式／因式分解式／分式，給形式檢查用）
+//   ② 化成「多項式 / 多項式」：單項式 = 變數次方 × π 次方 × √(無平方因數整數)
+//      ——√2、√3、√6 在 Q(π, x, …) 上線性獨立，所以正規形是唯一的，比對係數即可
+//   ③ 方程式：左減右通分後的分子成比例 ＝ 同一條方程式；「x=3, y=2」「x=±3」當解集合比；
+//      多條一次方程式（列聯立）比列簡化後的係數矩陣
+// 原則同數值閘門：**判不動一律回 null**（交回 accessor）——
+//   ・值相等但寫法不同（展開 vs 因式分解、√12 vs 2√3、3+5 vs 8）→ 'form_differs'：
+//     題目可能就是在考化簡/分解，算不算對是老師的尺度，不由程式決定
+//   ・根號內含變數、巢狀根號、三次根、非整數次方、單位、文字 → 一律不碰
+// kill switch: SYMBOLIC_ALGEBRA_ENABLED='false'（numeric-relation-gate / staged-grading 端判斷）
+
+const MAX_SRC_LEN = 160
+const MAX_EXPONENT = 12
+const MAX_TERMS = 400
+const MAX_RADICAND = 10n ** 9n
+const fail = Symbol('fail')
+const UNIT_TOKEN = /(?<![a-zA-Z])(?:cm|mm|km|dm|kg|mg|ml|cc|hr|min|ms)(?![a-zA-Z])/u
+
+export function isSymbolicAlgebraEnabled() {
+  return process.env.SYMBOLIC_ALGEBRA_ENABLED !== 'false'
+}
+
+// ── 有理數（BigInt）────────────────────────────────────────────────────────
+const babs = (a) => (a < 0n ? -a : a)
+const bgcd = (a, b) => { a = babs(a); b = babs(b); while (b) [a, b] = [b, a % b]; return a }
+function Q(n, d = 1n) {
+  if (d === 0n) throw fail
+  if (d < 0n) { n = -n; d = -d }
+  const g = bgcd(n, d) || 1n
+  return { n: n / g, d: d / g }
+}
+const qAdd = (x, y) => Q(x.n * y.d + y.n * x.d, x.d * y.d)
+const qMul = (x, y) => Q(x.n * y.n, x.d * y.d)
+const qNeg = (x) => ({ n: -x.n, d: x.d })
+const qInv = (x) => Q(x.d, x.n)
+const qIsZero = (x) => x.n === 0n
+const qEq = (x, y) => x.n === y.n && x.d === y.d
+const Q1 = { n: 1n, d: 1n }
+
+function qFromDecimal(str) {
+  const [w, f = ''] = str.split('.')
+  return Q(BigInt(`${w}${f}` || '0'), 10n ** BigInt(f.length))
+}
+
+// ── 多項式：Map(key → { m: 單項式, c: 係數 })────────────────────────────────
+// 單項式 m = { v: [[變數, 次方]...]（依名稱排序）, pi: π 的次方, r: 根號內無平方因數整數（1n = 無根號）}
+//   變數次方允許負數（x^-1）只出現在單一單項式分母化簡前的過渡；對外一律通分成 分子/分母。
+const monoKey = (m) => `${m.v.map(([x, e]) => `${x}^${e}`).join('*')}|π${m.pi}|√${m.r}`
+const ONE_MONO = { v: [], pi: 0, r: 1n }
+
+function polyFrom(terms) {
+  const p = new Map()
+  for (const { m, c } of terms) polyAddTerm(p, m, c)
+  return p
+}
+function polyAddTerm(p, m, c) {
+  if (qIsZero(c)) return
+  const k = monoKey(m)
+  const cur = p.get(k)
+  if (!cur) { p.set(k, { m, c }); if (p.size > MAX_TERMS) throw fail; return }
+  const s = qAdd(cur.c, c)
+  if (qIsZero(s)) p.delete(k)
+  else p.set(k, { m, c: s })
+}
+const polyConst = (q) => polyFrom([{ m: ONE_MONO, c: q }])
+function polyAdd(a, b, sign = 1) {
+  const p = new Map(a)
+  for (const { m, c } of b.values()) polyAddTerm(p, m, sign < 0 ? qNeg(c) : c)
+  return p
+}
+function monoMul(a, b) {
+  const v = new Map(a.v)
+  for (const [x, e] of b.v) v.set(x, (v.get(x) ?? 0) + e)
+  // 兩個無平方因數整數相乘：r1·r2 = g²·(r1/g)(r2/g)，後者仍無平方因數（r1/g 與 r2/g 互質）
+  const g = bgcd(a.r, b.r)
+  return {
+    m: { v: [...v].filter(([, e]) => e !== 0).sort((x, y) => (x[0] < y[0] ? -1 : 1)), pi: a.pi + b.pi, r: (a.r / g) * (b.r / g) },
+    k: g
+  }
+}
+function polyMul(a, b) {
+  const p = new Map()
+  for (const x of a.values()) {
+    for (const y of b.values()) {
+      const { m, k } = monoMul(x.m, y.m)
+      polyAddTerm(p, m, qMul(qMul(x.c, y.c), Q(k)))
+    }
+  }
+  return p
+}
+function polyEq(a, b) {
+  if (a.size !== b.size) return false
+  for (const [k, t] of a) { const u = b.get(k); if (!u || !qEq(t.c, u.c)) return false }
+  return true
+}
+const polyIsZero = (p) => p.size === 0
+const polyVars = (p) => new Set([...p.values()].flatMap((t) => t.m.v.map(([x]) => x)))
+const polyDegree = (p) => Math.max(0, ...[...p.values()].map((t) => t.m.v.reduce((s, [, e]) => s + e, 0)))
+const polyIsVarFree = (p) => [...p.values()].every((t) => t.m.v.length === 0)
+const polyIsMonomial = (p) => p.size === 1
+
+// 單一單項式的倒數：(c·x^a·π^k·√r)^-1 = (1/(c·r))·x^-a·π^-k·√r（分母根號順便有理化）
+//   多項式分母保留成分式
+function monoInverse(t) {
+  const c = qInv(t.m.r === 1n ? t.c : qMul(t.c, Q(t.m.r)))
+  return polyFrom([{ m: { v: t.m.v.map(([x, e]) => [x, -e]), pi: -t.m.pi, r: t.m.r }, c }])
+}
+
+// ── 分式 { n, d }（兩個多項式）─────────────────────────────────────────────
+const E = (n, d = polyConst(Q1)) => {
+  if (polyIsZero(d)) throw fail
+  if (polyIsMonomial(d)) return { n: polyMul(n, monoInverse([...d.values()][0])), d: polyConst(Q1) }
+  return { n, d }
+}
+const eAdd = (a, b, sign = 1) => polyEq(a.d, b.d)
+  ? E(polyAdd(a.n, b.n, sign), a.d)
+  : E(polyAdd(polyMul(a.n, b.d), polyMul(b.n, a.d), sign), polyMul(a.d, b.d))
+const eMul = (a, b) => E(polyMul(a.n, b.n), polyMul(a.d, b.d))
+const eDiv = (a, b) => { if (polyIsZero(b.n)) throw fail; return E(polyMul(a.n, b.d), polyMul(a.d, b.n)) }
+const eEq = (a, b) => polyEq(polyMul(a.n, b.d), polyMul(b.n, a.d))
+const eIsConst = (a) => polyIsVarFree(a.n) && polyIsVarFree(a.d)
+const eVars = (a) => new Set([...polyVars(a.n), ...polyVars(a.d)])
+// 負次方在通分前可能殘留在單項式裡（x·x^-1）→ 化成真正的分子/分母
+function eNormalize(a) {
+  const fix = (p) => {
+    let lift = new Map()
+    for (const t of p.values()) for (const [x, e] of t.m.v) if (e < 0) lift.set(x, Math.max(lift.get(x) ?? 0, -e))
+    let piLift = Math.max(0, ...[...p.values()].map((t) => -t.m.pi))
+    return { lift, piLift }
+  }
+  const ln = fix(a.n), ld = fix(a.d)
+  const lift = new Map([...ln.lift])
+  for (const [x, e] of ld.lift) lift.set(x, Math.max(lift.get(x) ?? 0, e))
+  const piLift = Math.max(ln.piLift, ld.piLift)
+  if (lift.size === 0 && piLift === 0) return a
+  const m = polyFrom([{ m: { v: [...lift].sort((x, y) => (x[0] < y[0] ? -1 : 1)), pi: piLift, r: 1n }, c: Q1 }])
+  return { n: polyMul(a.n, m), d: polyMul(a.d, m) }
+}
+
+// √(有理數)：√(a/b) = √(ab)/b，ab 拆成 out²·r（r 無平方因數）
+function sqrtRational(q) {
+  if (q.n < 0n) throw fail
+  if (q.n === 0n) return polyConst({ n: 0n, d: 1n })
+  let rest = q.n * q.d
+  if (rest > MAX_RADICAND) throw fail
+  let out = 1n
+  for (let p = 2n; p * p <= rest; p += (p === 2n ? 1n : 2n)) {
+    while (rest % (p * p) === 0n) { rest /= p * p; out *= p }
+  }
+  return polyFrom([{ m: { v: [], pi: 0, r: rest }, c: Q(out, q.d) }])
+}
+
+// ── 正規化 & 切 token ───────────────────────────────────────────────────────
+const SUPERSCRIPT = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-' }
+
+function normalizeMath(raw) {
+  let s = String(raw ?? '').trim()
+  if (!s || s.length > MAX_SRC_LEN) return null
+  s = s
+    .replace(/\\frac\s*\{([^{}]+)\}\s*\{([^{}]+)\}/gu, '($1)/($2)')
+    .replace(/\\sqrt\s*\{([^{}]+)\}/gu, '√($1)')
+    .replace(/\\pi(?![a-z])/gu, 'π').replace(/\\pm(?![a-z])/gu, '±')
+    .replace(/\\(?:times|cdot)(?![a-z])/gu, '*').replace(/\\div(?![a-z])/gu, '/')
+    .replace(/\\(?:left|right)(?![a-z])/gu, '')
+    .replace(/\^\{([^{}]+)\}/gu, '^($1)')
+  if (s.includes('\\')) return null
+  s = s
+    .replace(/[０-９]/gu, (c) => String.fromCharCode(c.charCodeAt(0) - 0xFF10))
+    .replace(/[Ａ-Ｚａ-ｚ]/gu, (c) => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/[－−–—]/gu, '-').replace(/[×✕·⋅∙]/gu, '*').replace(/÷/gu, '/').replace(/＝/gu, '=')
+    .replace(/[＋]/gu, '+').replace(/[（［【{]/gu, '(').replace(/[）］】}]/gu, ')').replace(/\[/gu, '(').replace(/\]/gu, ')')
+    .replace(/[，]/gu, ',').replace(/[；]/gu, ';').replace(/[：]/gu, ':')
+    .replace(/(?:sqrt)/giu, '√').replace(/(?<![a-z])pi(?![a-z])/giu, 'π')
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/gu, (m) => `^(${[...m].map((c) => SUPERSCRIPT[c]).join('')})`)
+    .replace(/^(?:答|[Aa]ns)\s*[:]\s*/u, '')
+    .replace(/[.。、,;!！?？\s]+$/u, '')
+  // 帶分數「7 6/11」刪空白後會黏成 76/11 → 不碰；千分位「1,000」會被當成兩個值 → 不碰
+  if (/\d\s+\d/u.test(s) || /\d,\d{3}(?!\d)/u.test(s)) return null
+  s = s.replace(/\s+/gu, '')
+  if (!s) return null
+  // 中日文字、單位、百分比、角度、不等式 → 不是代數式
+  if (/[㐀-鿿぀-ヿ%°<>≤≥≦≧]/u.test(s)) return null
+  if (/[^0-9.a-zA-Zπ√±+\-*/^()=,;]/u.test(s)) return null
+  // 英文單字（≥3 連續字母）不是代數式；純字母沒有數字也沒有運算 → 選項代號或單字，不碰
+  if (/[a-zA-Z]{3,}/u.test(s)) return null
+  // 單位（12cm vs 0.12m 是換算、不是代數）
+  if (UNIT_TOKEN.test(s)) return null
+  if (!/[\d+\-*/^=√π]/u.test(s)) return null
+  return s
+}
+
+function tokenize(s) {
+  const out = []
+  let i = 0
+  while (i < s.length) {
+    const c = s[i]
+    if (/[0-9.]/u.test(c)) {
+      const m = s.slice(i).match(/^\d+(?:\.\d+)?|^\.\d+/u)
+      if (!m) throw fail
+      out.push({ t: 'num', v: m[0] }); i += m[0].length
+      // x2、3x2：字母後緊接數字是下標或抄錯，不猜
+      continue
+    }
+    if (/[a-zA-Z]/u.test(c)) {
+      if (/[0-9.]/u.test(s[i + 1] ?? '')) throw fail
+      out.push({ t: 'var', v: c.toLowerCase() }); i++; continue
+    }
+    if (c === 'π') { out.push({ t: 'pi' }); i++; continue }
+    if (c === '√') { out.push({ t: 'sqrt' }); i++; continue }
+    if ('+-*/^()'.includes(c)) { out.push({ t: c }); i++; continue }
+    throw fail
+  }
+  return out
+}
+
+// ── 遞迴下降 → AST ─────────────────────────────────────────────────────────
+// expr := ('+'|'-')? term (('+'|'-') term)*
+// term := unary (('*'|'/'|隱含乘法) unary)*
+// unary := ('-'|'+') unary | power        （-x^2 = -(x^2)）
+// power := primary ('^' unary)?            （右結合）
+// primary := num | var | π | √ primary | '(' expr ')'
+function parseAst(src) {
+  const toks = tokenize(src)
+  let i = 0
+  const peek = () => toks[i]?.t
+  const startsPrimary = (t) => t === 'num' || t === 'var' || t === 'pi' || t === 'sqrt' || t === '('
+
+  const primary = () => {
+    const tk = toks[i]
+    if (!tk) throw fail
+    if (tk.t === 'num') { i++; return { k: 'num', q: qFromDecimal(tk.v) } }
+    if (tk.t === 'var') { i++; return { k: 'var', x: tk.v } }
+    if (tk.t === 'pi') { i++; return { k: 'pi' } }
+    if (tk.t === 'sqrt') { i++; return { k: 'sqrt', a: primary() } }
+    if (tk.t === '(') {
+      i++
+      const e = expr()
+      if (peek() !== ')') throw fail
+      i++
+      return { k: 'group', a: e }
+    }
+    throw fail
+  }
+  const power = () => {
+    const base = primary()
+    if (peek() !== '^') return base
+    i++
+    return { k: 'pow', a: base, b: unary() }
+  }
+  const unary = () => {
+    if (peek() === '-') { i++; return { k: 'neg', a: unary() } }
+    if (peek() === '+') { i++; return unary() }
+    return power()
+  }
+  const term = () => {
+    const items = [{ op: '*', a: unary() }]
+    for (;;) {
+      const t = peek()
+      if (t === '*' || t === '/') { i++; items.push({ op: t, a: unary() }); continue }
+      if (startsPrimary(t)) {
+        // 「(x+1)2」數字跟在括號後面——不是慣用寫法，不猜
+        if (t === 'num' && toks[i - 1]?.t === ')') throw fail
+        items.push({ op: '*', a: unary() }); continue
+      }
+      break
+    }
+    return items.length === 1 ? items[0].a : { k: 'mul', items }
+  }
+  const expr = () => {
+    const terms = []
+    let sign = 1
+    if (peek() === '-' || peek() === '+') { sign = peek() === '-' ? -1 : 1; i++ }
+    terms.push({ sign, a: term() })
+    while (peek() === '+' || peek() === '-') {
+      const s = peek() === '-' ? -1 : 1
+      i++
+      terms.push({ sign: s, a: term() })
+    }
+    return terms.length === 1 && terms[0].sign === 1 ? terms[0].a : { k: 'add', terms }
+  }
+  const ast = expr()
+  if (i !== toks.length) throw fail
+  return ast
+}
+
+// ── AST → 分式 ─────────────────────────────────────────────────────────────
+function evalAst(n) {
+  switch (n.k) {
+    case 'num': return E(polyConst(n.q))
+    case 'var': return E(polyFrom([{ m: { v: [[n.x, 1]], pi: 0, r: 1n }, c: Q1 }]))
+    case 'pi': return E(polyFrom([{ m: { v: [], pi: 1, r: 1n }, c: Q1 }]))
+    case 'group': return evalAst(n.a)
+    case 'neg': { const a = evalAst(n.a); return E(polyAdd(new Map(), a.n, -1), a.d) }
+    case 'sqrt': return sqrtOf(evalAst(n.a))
+    case 'add': {
+      let acc = E(new Map())
+      for (const t of n.terms) acc = eAdd(acc, evalAst(t.a), t.sign)
+      return eNormalize(acc)
+    }
+    case 'mul': {
+      let acc = E(polyConst(Q1))
+      for (const it of n.items) acc = it.op === '*' ? eMul(acc, evalAst(it.a)) : eDiv(acc, evalAst(it.a))
+      return eNormalize(acc)
+    }
+    case 'pow': {
+      const base = evalAst(n.a)
+      const ex = evalAst(n.b)
+      if (!eIsConst(ex) || !polyIsVarFree(ex.d) || ex.n.size > 1) throw fail
+      const t = [...ex.n.values()][0]
+      const q = t ? t.c : { n: 0n, d: 1n }
+      if (t && (t.m.pi !== 0 || t.m.r !== 1n)) throw fail
+      if (q.d === 2n && q.n === 1n) return sqrtOf(base)            // 4^(1/2)
+      if (q.d !== 1n || babs(q.n) > BigInt(MAX_EXPONENT)) throw fail
+      const k = Number(q.n)
+      let acc = E(polyConst(Q1))
+      for (let j = 0; j < Math.abs(k); j++) acc = eMul(acc, base)
+      return eNormalize(k < 0 ? eDiv(E(polyConst(Q1)), acc) : acc)
+    }
+    default: throw fail
+  }
+}
+
+// 只開「有理數」的根號：根號內含變數、π、根號（巢狀）一律不碰
+function sqrtOf(a) {
+  if (!eIsConst(a) || a.n.size > 1 || a.d.size > 1) throw fail
+  const tn = [...a.n.values()][0], td = [...a.d.values()][0]
+  if (!tn) return E(new Map())
+  if (tn.m.pi !== 0 || tn.m.r !== 1n || td.m.pi !== 0 || td.m.r !== 1n) throw fail
+  return E(sqrtRational(qMul(tn.c, qInv(td.c))))
+}
+
+// ── 寫法（形式）簽章 ────────────────────────────────────────────────────────
+//   family：expanded（和 / 單項）| factored（含括號和的乘積、和的次方）| rational（分母含變數）
+//   normalized：展開式的頂層項數 = 正規形項數（沒有同類項待合併、沒有未算完的數字運算）
+//   radicalsSimplified：根號內沒有平方因數、分母沒有根號
+const unwrap = (n) => (n.k === 'group' ? unwrap(n.a) : n)
+function containsVar(n) {
+  switch (n.k) {
+    case 'var': return true
+    case 'num': case 'pi': return false
+    case 'group': case 'neg': case 'sqrt': return containsVar(n.a)
+    case 'pow': return containsVar(n.a) || containsVar(n.b)
+    case 'add': return n.terms.some((t) => containsVar(t.a))
+    case 'mul': return n.items.some((it) => containsVar(it.a))
+    default: return false
+  }
+}
+function radicalsSimplified(n, inDen = false) {
+  switch (n.k) {
+    case 'sqrt': {
+      if (inDen) return false
+      const a = unwrap(n.a)
+      if (a.k !== 'num' || a.q.d !== 1n) return false
+      for (let p = 2n; p * p <= a.q.n; p++) if (a.q.n % (p * p) === 0n) return false
+      return true
+    }
+    case 'group': case 'neg': return radicalsSimplified(n.a, inDen)
+    case 'pow': return radicalsSimplified(n.a, inDen) && radicalsSimplified(n.b, inDen)
+    case 'add': return n.terms.every((t) => radicalsSimplified(t.a, inDen))
+    case 'mul': return n.items.every((it) => radicalsSimplified(it.a, inDen || it.op === '/'))
+    default: return true
+  }
+}
+// 還沒算完的數字運算：3+5、2·3、3^4、6/8（題目多半就是要算出來）
+function hasPendingArithmetic(n) {
+  const isNum = (x) => unwrap(x).k === 'num'
+  switch (n.k) {
+    case 'group': case 'neg': case 'sqrt': return hasPendingArithmetic(n.a)
+    case 'pow': return isNum(n.a) || hasPendingArithmetic(n.a) || hasPendingArithmetic(n.b)
+    case 'add': return n.terms.filter((t) => isNum(t.a)).length >= 2 || n.terms.some((t) => hasPendingArithmetic(t.a))
+    case 'mul': {
+      const nums = n.items.filter((it) => isNum(it.a))
+      if (nums.filter((it) => it.op === '*').length >= 2) return true
+      // 數字/數字 但沒約分（6/8）
+      if (n.items.length === 2 && nums.length === 2 && n.items[1].op === '/') {
+        const a = unwrap(n.items[0].a).q, b = unwrap(n.items[1].a).q
+        if (a.d === 1n && b.d === 1n && bgcd(a.n, b.n) > 1n) return true
+      }
+      return n.items.some((it) => hasPendingArithmetic(it.a))
+    }
+    default: return false
+  }
+}
+function formSignature(ast, value) {
+  const top = unwrap(ast.k === 'neg' ? ast.a : ast)
+  const factorsOf = (n) => (n.k === 'mul' ? n.items : [{ op: '*', a: n }])
+  let family = 'expanded'
+  let factorCount = 0
+  if (top.k === 'mul' || top.k === 'pow') {
+    for (const it of factorsOf(top)) {
+      const f = unwrap(it.a)
+      if (it.op === '/' && containsVar(f)) family = 'rational'
+      const base = f.k === 'pow' ? unwrap(f.a) : f
+      const times = f.k === 'pow' && unwrap(f.b).k === 'num' ? Number(unwrap(f.b).q.n) : 1
+      if (base.k === 'add' && containsVar(base)) factorCount += Math.max(1, times)
+    }
+    if (family !== 'rational' && factorCount > 0) family = 'factored'
+  }
+  const topTerms = top.k === 'add' ? top.terms.length : 1
+  const normalized = !hasPendingArithmetic(ast) &&
+    (family !== 'expanded' || (polyIsVarFree(value.d) && topTerms === Math.max(1, value.n.size)))
+  return { family, factorCount, normalized, radicalsSimplified: radicalsSimplified(ast) }
+}
+const sameForm = (a, b) => a.family === b.family && a.factorCount === b.factorCount &&
+  a.normalized === b.normalized && a.radicalsSimplified === b.radicalsSimplified
+// 方程式寫法相同：兩邊的式子各自相等且同寫法（允許左右對調）。只比結構特徵不夠——
+//   y=2x+1 vs 2x-y+1=0、x+y=5 vs y=5-x 兩邊都是展開式，但移項過就是不同寫法；整條乘上常數（2x+2=4 vs x+1=2）也是
+const sameSide = (a, b) => eEq(a.value, b.value) && sameForm(a.sig, b.sig)
+const sameEquationForm = (A, B) =>
+  (sameSide(A.sides[0], B.sides[0]) && sameSide(A.sides[1], B.sides[1])) ||
+  (sameSide(A.sides[0], B.sides[1]) && sameSide(A.sides[1], B.sides[0]))
+
+// ── 答案結構：算式 / 方程式 / 解集合 / 聯立 ───────────────────────────────────
+function parseExpr(src) {
+  const ast = parseAst(src)
+  const value = evalAst(ast)
+  return { ast, value }
+}
+
+// 方程式 → 左減右通分後的分子（分母不為 0 的前提下同解）
+function parseEquation(src) {
+  const sides = src.split('=')
+  if (sides.length !== 2 || !sides[0] || !sides[1]) throw fail
+  const L = parseExpr(sides[0]), R = parseExpr(sides[1])
+  const P = polyAdd(polyMul(L.value.n, R.value.d), polyMul(R.value.n, L.value.d), -1)
+  const lhs = unwrap(L.ast)
+  const assign = lhs.k === 'var' && eIsConst(R.value) ? { x: lhs.x, value: R.value } : null
+  const sideForms = [L, R].map((x) => ({ value: x.value, sig: formSignature(x.ast, x.value) }))
+  return { P, assign, sides: sideForms, vars: polyVars(P) }
+}
+
+// 「±」展開：x=±3 → 3、-3；1±√2 → 1+√2、1-√2（只允許一個 ±）
+function expandPm(v) {
+  const parts = v.split('±')
+  if (parts.length === 1) return [v]
+  if (parts.length !== 2) throw fail
+  return [`${parts[0]}+${parts[1]}`, `${parts[0]}-${parts[1]}`].map((x) => x.replace(/^\+/u, ''))
+}
+
+// 頂層分段（括號內的逗號不切）
+function splitTopLevel(s) {
+  const out = []
+  let depth = 0, cur = ''
+  for (const c of s) {
+    if (c === '(') depth++
+    if (c === ')') depth--
+    if (depth === 0 && (c === ',' || c === ';')) { out.push(cur); cur = ''; continue }
+    cur += c
+  }
+  out.push(cur)
+  return out
+}
+
+function parseAnswer(raw) {
+  const s = normalizeMath(String(raw ?? '').replace(/或是|或|以及|及|且|和|與|\bor\b|\band\b/giu, ','))
+  if (!s) return null
+  try {
+    const pieces = splitTopLevel(s).filter(Boolean)
+    if (pieces.length === 1 && !pieces[0].includes('±')) {
+      const p = pieces[0]
+      if (!p.includes('=')) {
+        const { ast, value } = parseExpr(p)
+        return { kind: 'expr', value, sig: formSignature(ast, value), vars: eVars(value) }
+      }
+      return { kind: 'eq', ...parseEquation(p) }
+    }
+    // 多段：全是「變數 = 常數」（或接在前一個變數後的裸值）→ 解集合；全是方程式 → 聯立
+    const assigns = []
+    let lastVar = null
+    let allAssign = true
+    for (const p of pieces) {
+      if (p.includes('=')) {
+        const [lhs, rhs, extra] = p.split('=')
+        if (extra !== undefined || !/^[a-zA-Z]$/u.test(lhs ?? '')) { allAssign = false; break }
+        lastVar = lhs.toLowerCase()
+        for (const v of expandPm(rhs)) assigns.push({ x: lastVar, value: parseExpr(v).value })
+      } else {
+        if (!lastVar) { allAssign = false; break }
+        for (const v of expandPm(p)) assigns.push({ x: lastVar, value: parseExpr(v).value })
+      }
+    }
+    if (allAssign && assigns.every((a) => eIsConst(a.value))) {
+      const vars = [...new Set(assigns.map((a) => a.x))]
+      if (vars.length === 1) return { kind: 'solutions', vars, sets: [assigns.map((a) => a.value)] }
+      // 多變數只接受「每個變數剛好一個值」（唯一解）；x=1,y=2,x=3,y=4 怎麼配對不猜
+      if (assigns.length !== vars.length) return null
+      return { kind: 'solutions', vars: vars.sort(), sets: vars.sort().map((x) => [assigns.find((a) => a.x === x).value]) }
+    }
+    if (pieces.some((p) => !p.includes('=') || p.includes('±'))) return null
+    return { kind: 'system', eqs: pieces.map((p) => parseEquation(p)) }
+  } catch (e) {
+    if (e === fail) return null
+    throw e
+  }
+}
+
+// 兩條方程式成比例（比例常數可以是任何非零常數，含根號、π）
+function proportional(P1, P2) {
+  if (polyIsZero(P1) || polyIsZero(P2)) return false
+  // 取 P1 任一個「變數部分」，兩邊該部分的常數係數（多項式）交叉相乘
+  const varPart = (m) => m.v.map(([x, e]) => `${x}^${e}`).join('*')
+  const pick = varPart([...P1.values()][0].m)
+  const coefOf = (P) => polyFrom([...P.values()].filter((t) => varPart(t.m) === pick)
+    .map((t) => ({ m: { v: [], pi: t.m.pi, r: t.m.r }, c: t.c })))
+  const C1 = coefOf(P1), C2 = coefOf(P2)
+  if (polyIsZero(C2)) return false
+  return polyEq(polyMul(P1, C2), polyMul(P2, C1))
+}
+
+// 一次聯立：增廣矩陣列簡化後比對（同解的聯立寫法不同也算相同）
+function linearRref(eqs, vars) {
+  const rows = []
+  for (const { P } of eqs) {
+    if (polyDegree(P) > 1) return null
+    const row = vars.map(() => ({ n: 0n, d: 1n }))
+    row.push({ n: 0n, d: 1n })
+    for (const t of P.values()) {
+      if (t.m.pi !== 0 || t.m.r !== 1n) return null
+      const idx = t.m.v.length === 0 ? vars.length : vars.indexOf(t.m.v[0][0])
+      row[idx] = t.c
+    }
+    rows.push(row)
+  }
+  let lead = 0
+  for (let r = 0; r < rows.length && lead <= vars.length; r++, lead++) {
+    let i = r
+    while (lead <= vars.length && qIsZero(rows[i][lead])) {
+      i++
+      if (i === rows.length) { i = r; lead++ }
+    }
+    if (lead > vars.length) break
+    ;[rows[i], rows[r]] = [rows[r], rows[i]]
+    const inv = qInv(rows[r][lead])
+    rows[r] = rows[r].map((x) => qMul(x, inv))
+    for (let j = 0; j < rows.length; j++) {
+      if (j === r || qIsZero(rows[j][lead])) continue
+      const f = rows[j][lead]
+      rows[j] = rows[j].map((x, k) => qAdd(x, qNeg(qMul(f, rows[r][k]))))
+    }
+  }
+  return rows.filter((row) => row.some((x) => !qIsZero(x))).map((row) => row.map((x) => `${x.n}/${x.d}`).join(',')).sort()
+}
+
+function sameValueSet(A, B) {
+  const dedupe = (xs) => xs.filter((x, i) => xs.findIndex((y) => eEq(x, y)) === i)
+  const a = dedupe(A), b = dedupe(B)
+  return a.length === b.length && a.every((x) => b.some((y) => eEq(x, y)))
+}
+
+// 一邊有 π／根號、一邊沒有（3π vs 9.42、√2 vs 1.414）：多半是題目指定取近似值，不判「不同」
+const hasIrrational = (e) => [...e.n.values(), ...e.d.values()].some((t) => t.m.pi !== 0 || t.m.r !== 1n)
+const irrationalMismatch = (xs, ys) => xs.some(hasIrrational) !== ys.some(hasIrrational)
+
+function compareParsed(A, B) {
+  // 單一指派（x=3）視同一個值的解集合
+  const asSolutions = (X) => (X.kind === 'eq' && X.assign ? { kind: 'solutions', vars: [X.assign.x], sets: [[X.assign.value]] } : X)
+  if ((A.kind === 'solutions' || B.kind === 'solutions') && A.kind !== B.kind) {
+    A = asSolutions(A); B = asSolutions(B)
+  }
+  if (A.kind !== B.kind) return null
+
+  if (A.kind === 'expr') {
+    const va = A.vars, vb = B.vars
+    // 一邊有變數、一邊是純常數：多半是單位字母（5m vs 5）或列式 vs 答案，不判
+    if ((va.size === 0) !== (vb.size === 0)) return null
+    if (!eEq(A.value, B.value)) return irrationalMismatch([A.value], [B.value]) ? null : { verdict: 'differ' }
+    return { verdict: sameForm(A.sig, B.sig) ? 'equal' : 'form_differs' }
+  }
+
+  if (A.kind === 'eq') {
+    if (A.assign && B.assign) {
+      if (A.assign.x !== B.assign.x) return { verdict: 'differ' }
+      if (eEq(A.assign.value, B.assign.value)) return { verdict: 'equal' }
+      return irrationalMismatch([A.assign.value], [B.assign.value]) ? null : { verdict: 'differ' }
+    }
+    // 一邊解出來（x=3）、一邊還是方程式（2x=6）：題目可能在考「解」→ 不判
+    if (!!A.assign !== !!B.assign) {
+      return proportional(A.P, B.P) ? { verdict: 'form_differs' } : null
+    }
+    if (proportional(A.P, B.P)) return { verdict: sameEquationForm(A, B) ? 'equal' : 'form_differs' }
+    // 兩條一次方程式不成比例 → 解集合必然不同；高次方程式不成比例仍可能同解（重根）→ 不判
+    if (polyDegree(A.P) === 1 && polyDegree(B.P) === 1) return { verdict: 'differ' }
+    return null
+  }
+
+  if (A.kind === 'solutions') {
+    if (A.vars.join(',') !== B.vars.join(',')) return { verdict: 'differ' }
+    if (A.sets.every((s, i) => sameValueSet(s, B.sets[i]))) return { verdict: 'equal' }
+    return irrationalMismatch(A.sets.flat(), B.sets.flat()) ? null : { verdict: 'differ' }
+  }
+
+  if (A.kind === 'system') {
+    const vars = [...new Set([...A.eqs, ...B.eqs].flatMap((e) => [...e.vars]))].sort()
+    // 同解時逐條寫法也相同才算 equal，否則 form_differs（同單一方程式）
+    const formVerdict = () => (A.eqs.length === B.eqs.length &&
+      A.eqs.every((e) => B.eqs.some((f) => proportional(e.P, f.P) && sameEquationForm(e, f))) ? 'equal' : 'form_differs')
+    const ra = linearRref(A.eqs, vars), rb = linearRref(B.eqs, vars)
+    if (ra && rb) return { verdict: ra.join('|') === rb.join('|') ? formVerdict() : 'differ' }
+    // 非線性聯立：逐條成比例才算相同；否則不判（可能是同解的不同寫法）
+    if (A.eqs.length === B.eqs.length && A.eqs.every((e) => B.eqs.some((f) => proportional(e.P, f.P)))) {
+      return { verdict: formVerdict() }
+    }
+    return null
+  }
+  return null
+}
+
+/**
+ * 兩個數學答案是否等價（精確）。
+ * @returns null（判不動）| { verdict: 'equal'|'differ'|'form_differs' }
+ *   form_differs = 值相等但寫法不同（展開 vs 因式分解、未化簡根號、未算完的數字運算、方程式未解或整條乘上常數）
+ */
+export function symbolicCompare(refRaw, stuRaw) {
+  const A = parseAnswer(refRaw)
+  const B = parseAnswer(stuRaw)
+  if (!A || !B) return null
+  try {
+    return compareParsed(A, B)
+  } catch (e) {
+    if (e === fail) return null
+    throw e
+  }
+}
+
+/** 同 linearVerdict 的介面：'equal' | 'differ' | null（寫法不同 = null，交回 accessor） */
+export function symbolicVerdict(refRaw, stuRaw) {
+  const r = symbolicCompare(refRaw, stuRaw)
+  return r?.verdict === 'equal' || r?.verdict === 'differ' ? r.verdict : null
+}
+
+/** 標答是不是「一個變數的多個解」（x=3或x=-3、x=±3）——這種「或」是解集合、不是多個可接受答案 */
+export function isSolutionSetAnswer(raw) {
+  const A = parseAnswer(raw)
+  return A?.kind === 'solutions' && A.vars.length === 1 && A.sets[0].length >= 2
+}
@@ -0,0 +1,305 @@
+// 2026-10-19 老師紅筆分離：老師先改過再掃描的卷子，紅色的勾、叉、圈、分數疊在學生答案上，
+//   read 會把「✓」「-2」讀成學生答案、VJ 空白判斷把紅圈當成有作答。
+//   只處理老師上傳時明確標記「已用紅筆改過」的卷（submissions.teacher_marked → payload.teacherMarked），
+//   不從來源 / 紅色比例推斷（學生紅筆作答、紅色印刷的考卷不該被濾）。
+//   separateTeacherInk：HSV 找紅色筆跡（色相 ±20°、飽和度 ≥ 0.35），把紅色像素換成自己的 R 通道灰階
+//   （掃描器「紅色濾除」同理：純紅墨水 → 白；紅筆壓在鉛筆上 → 保留鉛筆的灰），其餘像素（黑 / 藍筆）原封不動。
+//   幾何不變、同圖同輸出 → Phase A 各 call 與 Phase B 的 crop 對得齊。
+//   另外可從紅色圖層讀出老師的批改記號當「老師評分」訊號（extractTeacherMarks）：
+//     數字（OCR）→ 分數 / 扣分；沒有字的筆劃依形狀分 ✓ / ○（對）與 ✗（錯）
+//   依 classify 的 answerBbox 歸到各題（assignMarksToQuestions），再跟 AI 批改比對（reconcileTeacherMarks），
+//   用來匯入舊的手改考卷、或抓 AI 與老師不一致的題。只提供訊號，不改分數。
+//   TEACHER_INK_SEPARATION_ENABLED=false 關紅筆濾除；TEACHER_MARK_EXTRACT_ENABLED=false 只關老師評分讀取。
+import sharp from 'sharp'
+import { runOcrOnImage } from './ocr-client.js'
+
+// 紅色判定（0-255）
+const RED_MIN_R = 90
+const RED_MIN_CHROMA = 50
+const RED_MIN_SAT = 0.35
+const RED_EDGE_CHROMA = 20
+// 紅色像素佔比低於此 = 沒改過，不動原圖
+const MIN_RED_RATIO = 0.0005
+// 記號大小（相對頁寬）
+const MARK_MIN_SIZE = 0.008
+const MARK_MAX_SIZE = 0.12
+// 記號中心離題目框多遠（相對頁寬）還算同一題
+const MARK_ASSIGN_MAX_DIST = 0.2
+const MARK_OCR_TIMEOUT_MS = 30000
+
+export function isTeacherInkSeparationEnabled() {
+  return process.env.TEACHER_INK_SEPARATION_ENABLED !== 'false'
+}
+
+export function isTeacherMarkExtractEnabled() {
+  return process.env.TEACHER_MARK_EXTRACT_ENABLED !== 'false'
+}
+
+function isRedPixel(r, g, b) {
+  const gbMax = g > b ? g : b
+  const gbMin = g < b ? g : b
+  if (r < RED_MIN_R || r - gbMax < RED_MIN_CHROMA) return false
+  if ((r - gbMin) / r < RED_MIN_SAT) return false
+  // 色相 ±20°：|g - b| 不超過色度的 1/3
+  return Math.abs(g - b) * 3 <= r - gbMin
+}
+
+/**
+ * 紅筆濾除。
+ * @param {{ data: string, mimeType?: string }} inlineData - base64 圖
+ * @returns {Promise<null | { data: string, mimeType: string, redRatio: number, width: number, height: number, mask: Uint8Array }>}
+ *   沒有紅筆（佔比 < MIN_RED_RATIO）→ null；mask = 每像素 1/0（紅色圖層，給 extractTeacherMarks 用）
+ */
+export async function separateTeacherInk(inlineData) {
+  if (!inlineData?.data) return null
+  const { data, info } = await sharp(Buffer.from(inlineData.data, 'base64'))
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  const { width, height } = info
+  const n = width * height
+  const mask = new Uint8Array(n)
+  let count = 0
+  for (let i = 0, p = 0; i < n; i += 1, p += 3) {
+    if (isRedPixel(data[p], data[p + 1], data[p + 2])) { mask[i] = 1; count += 1 }
+  }
+  if (count / n < MIN_RED_RATIO) return null
+  // 筆劃邊緣反鋸齒的淡粉紅：鄰近紅筆、且偏紅一點的像素也算
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x
+      if (mask[i]) continue
+      const p = i * 3
+      if (data[p] - Math.max(data[p + 1], data[p + 2]) < RED_EDGE_CHROMA) continue
+      if (mask[i - 1] === 1 || mask[i + 1] === 1 || mask[i - width] === 1 || mask[i + width] === 1) {
+        mask[i] = 2
+        count += 1
+      }
+    }
+  }
+  for (let i = 0, p = 0; i < n; i += 1, p += 3) {
+    if (!mask[i]) continue
+    mask[i] = 1
+    data[p + 1] = data[p]
+    data[p + 2] = data[p]
+  }
+  const cleaned = await sharp(data, { raw: { width, height, channels: 3 } }).webp({ quality: 92 }).toBuffer()
+  return {
+    data: cleaned.toString('base64'),
+    mimeType: 'image/webp',
+    redRatio: Math.round((count / n) * 10000) / 10000,
+    width,
+    height,
+    mask
+  }
+}
+
+// 紅色圖層連通塊（8 鄰接）→ [{ x0, y0, x1, y1, pixels }]（像素座標）
+function findMarkComponents(mask, width, y0, y1) {
+  const seen = new Uint8Array(width * (y1 - y0))
+  const comps = []
+  const stack = []
+  for (let y = y0; y < y1; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const li = (y - y0) * width + x
+      if (!mask[y * width + x] || seen[li]) continue
+      const c = { x0: x, y0: y, x1: x, y1: y, pixels: 0 }
+      seen[li] = 1
+      stack.push(x, y)
+      while (stack.length) {
+        const cy = stack.pop()
+        const cx = stack.pop()
+        c.pixels += 1
+        if (cx < c.x0) c.x0 = cx
+        if (cx > c.x1) c.x1 = cx
+        if (cy < c.y0) c.y0 = cy
+        if (cy > c.y1) c.y1 = cy
+        for (let dy = -1; dy <= 1; dy += 1) {
+          const ny = cy + dy
+          if (ny < y0 || ny >= y1) continue
+          for (let dx = -1; dx <= 1; dx += 1) {
+            const nx = cx + dx
+            if (nx < 0 || nx >= width) continue
+            const nli = (ny - y0) * width + nx
+            if (seen[nli] || !mask[ny * width + nx]) continue
+            seen[nli] = 1
+            stack.push(nx, ny)
+          }
+        }
+      }
+      comps.push(c)
+    }
+  }
+  return comps
+}
+
+/**
+ * 單一筆劃的形狀 → 'circle' | 'cross' | 'check' | null
+ *   ○：中心空、外圈有；✗：左右鏡像對稱且中心有筆劃；✓：最低點在左半邊（短筆在左、長筆往右上）
+ */
+export function classifyMarkShape(mask, width, c) {
+  const w = c.x1 - c.x0 + 1
+  const h = c.y1 - c.y0 + 1
+  const aspect = w / h
+  if (aspect < 0.4 || aspect > 2.5) return null
+  const at = (x, y) => mask[(c.y0 + y) * width + c.x0 + x] === 1
+  let inner = 0
+  let centre = 0
+  let mirrorHit = 0
+  let lowestX = 0
+  for (let y = 0; y < h; y += 1) {
+    for (let x = 0; x < w; x += 1) {
+      if (!at(x, y)) continue
+      if (x > w * 0.3 && x < w * 0.7 && y > h * 0.3 && y < h * 0.7) inner += 1
+      if (x > w * 0.4 && x < w * 0.6 && y > h * 0.4 && y < h * 0.6) centre += 1
+      // 鏡像位置 ±1 px 容差（手寫筆劃不會完全對稱）
+      const mx = w - 1 - x
+      if (at(mx, y) || (mx > 0 && at(mx - 1, y)) || (mx < w - 1 && at(mx + 1, y))) mirrorHit += 1
+      if (y >= h - Math.max(2, Math.round(h * 0.08))) lowestX += x < w / 2 ? -1 : 1
+    }
+  }
+  const fill = c.pixels / (w * h)
+  if (inner === 0 && aspect > 0.6 && aspect < 1.6 && fill < 0.4) return 'circle'
+  if (centre > 0 && mirrorHit / c.pixels >= 0.6) return 'cross'
+  if (lowestX < 0) return 'check'
+  return null
+}
+
+function parseScoreText(text) {
+  const t = String(text ?? '').replace(/\s+/g, '').replace(/[−–—]/g, '-')
+  let m = t.match(/^-(\d{1,2}(?:\.\d)?)分?$/)
+  if (m) return { kind: 'deduction', value: Number(m[1]) }
+  m = t.match(/^(\d{1,2}(?:\.\d)?)\/(\d{1,3})$/)
+  if (m) return { kind: 'score', value: Number(m[1]), max: Number(m[2]) }
+  m = t.match(/^\+?(\d{1,3}(?:\.\d)?)分?$/)
+  if (m) return { kind: 'score', value: Number(m[1]) }
+  return null
+}
+
+/**
+ * 紅色圖層 → 老師批改記號（座標 = 整張合併圖的 0-1 比例，跟 classify answerBbox 同一套）。
+ * @param {{ mask: Uint8Array, width: number, height: number }} ink - separateTeacherInk 的結果
+ * @param {{ pageBreaks?: number[], ocr?: Function }} opts - ocr 預設 runOcrOnImage（沒設定 OCR server → 只有形狀記號）
+ * @returns {Promise<Array<{ kind: 'score'|'deduction'|'check'|'circle'|'cross', value?: number, max?: number, text?: string,
+ *   bbox: { x: number, y: number, w: number, h: number } }>>}
+ */
+export async function extractTeacherMarks(ink, { pageBreaks = [], ocr = runOcrOnImage } = {}) {
+  const { mask, width, height } = ink
+  const bounds = [0, ...(Array.isArray(pageBreaks) ? pageBreaks : []), 1]
+  const marks = []
+  for (let p = 0; p < bounds.length - 1; p += 1) {
+    const top = Math.round(bounds[p] * height)
+    const bottom = Math.round(bounds[p + 1] * height)
+    const pageH = bottom - top
+    if (pageH <= 0) continue
+    // 紅色圖層（紅 = 黑字、其餘白底）送 OCR 讀數字
+    const layer = Buffer.alloc(width * pageH, 255)
+    for (let y = 0; y < pageH; y += 1) {
+      const row = (top + y) * width
+      for (let x = 0; x < width; x += 1) if (mask[row + x]) layer[y * width + x] = 0
+    }
+    const png = await sharp(layer, { raw: { width, height: pageH, channels: 1 } }).png().toBuffer()
+    let detections = []
+    try {
+      const res = await ocr(png, 'image/png', { timeoutMs: MARK_OCR_TIMEOUT_MS, filename: `teacher-ink-p${p}.png` })
+      detections = Array.isArray(res?.detections) ? res.detections : []
+    } catch {
+      detections = []
+    }
+    const textBoxes = []
+    for (const det of detections) {
+      const parsed = parseScoreText(det?.text)
+      if (!parsed || !Array.isArray(det.bbox)) continue
+      const [x1, y1, x2, y2] = det.bbox.map(Number)
+      textBoxes.push({ x1, y1, x2, y2 })
+      marks.push({
+        ...parsed,
+        text: String(det.text),
+        bbox: { x: x1 / width, y: (top + y1) / height, w: (x2 - x1) / width, h: (y2 - y1) / height }
+      })
+    }
+    for (const c of findMarkComponents(mask, width, top, bottom)) {
+      const size = Math.max(c.x1 - c.x0 + 1, c.y1 - c.y0 + 1) / width
+      if (size < MARK_MIN_SIZE || size > MARK_MAX_SIZE) continue
+      const cx = (c.x0 + c.x1) / 2
+      const cy = (c.y0 + c.y1) / 2 - top
+      if (textBoxes.some((b) => cx >= b.x1 && cx <= b.x2 && cy >= b.y1 && cy <= b.y2)) continue
+      const kind = classifyMarkShape(mask, width, c)
+      if (!kind) continue
+      marks.push({
+        kind,
+        bbox: { x: c.x0 / width, y: c.y0 / height, w: (c.x1 - c.x0 + 1) / width, h: (c.y1 - c.y0 + 1) / height }
+      })
+    }
+  }
+  return marks
+}
+
+/**
+ * 記號 → 題目：中心落在題目 answerBbox 內優先；否則取同一列（垂直重疊）水平最近的題（距離 ≤ MARK_ASSIGN_MAX_DIST）。
+ * @returns {Map<string, Array<object>>} questionId → marks
+ */
+export function assignMarksToQuestions(marks, alignedQuestions) {
+  const boxes = (Array.isArray(alignedQuestions) ? alignedQuestions : [])
+    .filter((q) => q?.visible !== false && q?.answerBbox && Number.isFinite(q.answerBbox.x))
+  const out = new Map()
+  for (const m of marks) {
+    const cx = m.bbox.x + m.bbox.w / 2
+    const cy = m.bbox.y + m.bbox.h / 2
+    let best = null
+    for (const q of boxes) {
+      const b = q.answerBbox
+      const inside = cx >= b.x && cx <= b.x + b.w && cy >= b.y && cy <= b.y + b.h
+      const rowOverlap = cy >= b.y - b.h * 0.5 && cy <= b.y + b.h * 1.5
+      if (!inside && !rowOverlap) continue
+      const dx = inside ? 0 : Math.max(b.x - cx, cx - (b.x + b.w), 0)
+      const dy = inside ? 0 : Math.abs(cy - (b.y + b.h / 2)) * 0.5
+      const dist = dx + dy
+      if (dist <= MARK_ASSIGN_MAX_DIST && (!best || dist < best.dist)) best = { dist, questionId: q.questionId }
+    }
+    if (!best) continue
+    const list = out.get(best.questionId) ?? []
+    list.push(m)
+    out.set(best.questionId, list)
+  }
+  return out
+}
+
+/**
+ * 老師記號 vs AI 批改。
+ *   老師分數：有分數字（含 a/b）→ 該分；只有扣分 → 滿分 - 扣分；只有 ✓ / ○ → 滿分；只有 ✗ → 0
+ * @param {Map<string, Array<object>>} marksByQuestion
+ * @param {Array<{ questionId: string, score?: number, maxScore?: number, isCorrect?: boolean }>} details - finalResult.details
+ * @returns {{ questions: Array<{ questionId, marks: string[], teacherScore: number|null, aiScore: number|null,
+ *   maxScore: number|null, agree: boolean }>, markedCount: number, agreeCount: number, disagreeQuestionIds: string[] }}
+ */
+export function reconcileTeacherMarks(marksByQuestion, details) {
+  const detailById = new Map((Array.isArray(details) ? details : []).map((d) => [String(d?.questionId ?? ''), d]))
+  const questions = []
+  for (const [questionId, marks] of marksByQuestion) {
+    const d = detailById.get(questionId)
+    const maxScore = Number.isFinite(Number(d?.maxScore)) ? Number(d.maxScore) : null
+    const aiScore = Number.isFinite(Number(d?.score)) ? Number(d.score) : null
+    const score = marks.find((m) => m.kind === 'score')
+    const deduction = marks.filter((m) => m.kind === 'deduction').reduce((s, m) => s + m.value, 0)
+    const right = marks.some((m) => m.kind === 'check' || m.kind === 'circle')
+    const wrong = marks.some((m) => m.kind === 'cross')
+    let teacherScore = null
+    if (score && (maxScore === null || score.value <= maxScore)) teacherScore = score.value
+    else if (deduction > 0 && maxScore !== null) teacherScore = Math.max(0, maxScore - deduction)
+    else if (right && !wrong && maxScore !== null) teacherScore = maxScore
+    else if (wrong && !right) teacherScore = 0
+    if (teacherScore === null && !right && !wrong) continue
+    const agree = teacherScore !== null && aiScore !== null
+      ? Math.abs(teacherScore - aiScore) < 0.01
+      : (right && d?.isCorrect === true) || (wrong && d?.isCorrect === false)
+    questions.push({ questionId, marks: marks.map((m) => m.text ?? m.kind), teacherScore, aiScore, maxScore, agree })
+  }
+  return {
+    questions,
+    markedCount: questions.length,
+    agreeCount: questions.filter((q) => q.agree).length,
+    disagreeQuestionIds: questions.filter((q) => !q.agree).map((q) => q.questionId)
+  }
+}
@@ -0,0 +1,255 @@
+// 2026-10-19 上傳時的照片品質關卡：學生照片以前照單全收，糊的、反光的、拍太遠的要等到 classify / read 才失敗，
+//   只拿到一句「答題位置抓得不太穩」（FRIENDLY_FAIL.LOCATE），還白跑一輪批改。
+//   handleStudentSubmission 收圖當下用 sharp 檢查（純本地、零模型 call），有擋下的問題就回具體的重拍指示：
+//     模糊    有字的區塊 Laplacian 變異數（中位數）太低
+//     反光    紙張底色不是全白時（拍照），整塊過曝的面積比例
+//     拍太遠  紙張四角（local-perspective detectPageQuad）圍出的面積佔畫面比例
+//     被切到  紙張角點落在畫面邊框上（≥ 2 個）
+//     太斜    紙張上緣與水平的夾角（找不到紙就用文字行傾角 estimateSkewDeg）
+//     解析度  紙張寬度換算成 DPI（A4 寬 8.27in），對照答案卷每頁題數要求的 DPI
+//   訂正模式（每題重拍的小圖）只查模糊 / 反光 / 解析度下限。
+//   UPLOAD_QUALITY_GATE_ENABLED=false 整個關掉；分析本身出錯 → 放行（fail-open）。
+import sharp from 'sharp'
+import { detectPageQuad, estimateSkewDeg, otsuThreshold } from './local-perspective.js'
+
+const ANALYZE_LONG_SIDE = 1000
+const TILE = 40
+// 模糊：有字區塊的 Laplacian 變異數中位數（ANALYZE_LONG_SIDE 下量）；< BLOCK 擋、< WARN 提醒
+const BLUR_BLOCK = 120
+const BLUR_WARN = 500
+const MIN_INK_TILES = 6
+// 反光：紙張底色（亮處 75 百分位）低於這個值才查（掃描 / 白底已到 255，分不出反光）
+const GLARE_PAPER_MAX = 240
+const GLARE_BLOCK = 0.05
+const GLARE_WARN = 0.02
+const PAGE_FILL_BLOCK = 0.35
+const PAGE_FILL_WARN = 0.5
+const EDGE_EPS = 0.01
+const SKEW_BLOCK_DEG = 20
+const SKEW_WARN_DEG = 8
+const A4_WIDTH_IN = 8.27
+// 答案卷每頁格數 → 要求的 DPI（格子越密、字越小）
+const DPI_BY_DENSITY = [[15, 100], [30, 120], [50, 140], [Infinity, 160]]
+const DPI_BLOCK_RATIO = 0.75
+const CROP_MIN_SHORT_SIDE = 120
+
+export const UPLOAD_QUALITY_MESSAGES = {
+  BLURRY: (p) => `${p}照片模糊，請拿穩手機、對焦在字上再拍一次。`,
+  GLARE: (p) => `${p}有反光或過曝的區域，請避開燈光直射、關掉閃光燈再拍一次。`,
+  PAGE_TOO_SMALL: (p) => `${p}考卷在照片裡太小，請靠近一點，讓考卷佔滿畫面。`,
+  PAGE_CROPPED: (p) => `${p}考卷有一部分被切掉了，請把整張考卷（四個角）都拍進去。`,
+  SKEWED: (p) => `${p}拍得太斜，請把手機放正、和考卷平行再拍一次。`,
+  LOW_RESOLUTION: (p) => `${p}解析度不夠、字太小看不清楚，請靠近一點或改用較高畫質拍攝。`
+}
+
+export function isUploadQualityGateEnabled() {
+  return process.env.UPLOAD_QUALITY_GATE_ENABLED !== 'false'
+}
+
+/**
+ * 答案卷 → 每頁最多幾格（有 parts 的題每個小題算一格）。多頁卷的題號帶頁碼前綴（「2-3」），沒有前綴就平均分。
+ */
+export function answerKeyCellsPerPage(answerKey, pageCount = 1) {
+  const questions = Array.isArray(answerKey?.questions) ? answerKey.questions : []
+  const pages = Math.max(1, pageCount)
+  const byPage = new Map()
+  let unprefixed = 0
+  for (const q of questions) {
+    const cells = Array.isArray(q?.parts) && q.parts.length > 0 ? q.parts.length : 1
+    const m = pages > 1 ? String(q?.id ?? '').match(/^(\d+)-/) : null
+    if (m) byPage.set(m[1], (byPage.get(m[1]) ?? 0) + cells)
+    else unprefixed += cells
+  }
+  const spread = unprefixed / pages
+  return Math.ceil(Math.max(spread, ...[...byPage.values()].map((v) => v + spread)))
+}
+
+export function requiredDpiFor(cellsPerPage) {
+  return DPI_BY_DENSITY.find(([max]) => cellsPerPage <= max)[1]
+}
+
+async function loadAnalysisGray(buffer) {
+  const meta = await sharp(buffer).metadata()
+  const scale = Math.min(1, ANALYZE_LONG_SIDE / Math.max(meta.width, meta.height))
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize({ width: Math.max(1, Math.round(meta.width * scale)) })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  return { gray: data, width: info.width, height: info.height }
+}
+
+function percentile(values, p) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+}
+
+/**
+ * 模糊與反光（同一次走訪）。
+ * @returns {{ blurScore: number|null, inkTiles: number, paperLevel: number, brightRatio: number, glareRatio: number|null }}
+ *   blurScore = 有字區塊 Laplacian 變異數中位數（null = 幾乎沒字，不判）；brightRatio = 紙色（Otsu 亮側）佔畫面比例；
+ *   glareRatio null = 白底分不出反光
+ */
+export function measureSharpnessAndGlare(gray, width, height) {
+  // 紙色 = Otsu 亮側的 75 百分位（背景是桌面時整張圖的百分位會被拉暗）
+  const t = otsuThreshold(gray)
+  const hist = new Array(256).fill(0)
+  let bright = 0
+  for (let i = 0; i < gray.length; i += 1) {
+    hist[gray[i]] += 1
+    if (gray[i] > t) bright += 1
+  }
+  let acc = 0
+  let paperLevel = 255
+  for (let v = t + 1; v < 256; v += 1) {
+    acc += hist[v]
+    if (acc >= bright * 0.75) { paperLevel = v; break }
+  }
+  const tileVars = []
+  let glareTiles = 0
+  let tiles = 0
+  for (let ty = 0; ty + TILE <= height; ty += TILE) {
+    for (let tx = 0; tx + TILE <= width; tx += TILE) {
+      tiles += 1
+      let min = 255
+      let max = 0
+      let sum = 0
+      let sumSq = 0
+      let lapSum = 0
+      let lapSq = 0
+      let n = 0
+      for (let y = ty + 1; y < ty + TILE - 1; y += 1) {
+        const row = y * width
+        for (let x = tx + 1; x < tx + TILE - 1; x += 1) {
+          const c = gray[row + x]
+          if (c < min) min = c
+          if (c > max) max = c
+          sum += c
+          sumSq += c * c
+          const lap = 4 * c - gray[row + x - 1] - gray[row + x + 1] - gray[row + x - width] - gray[row + x + width]
+          lapSum += lap
+          lapSq += lap * lap
+          n += 1
+        }
+      }
+      const mean = sum / n
+      // 有字：區塊裡同時有紙色與明顯比紙色深的筆畫（整塊暗的是桌面背景，不算）
+      if (min < paperLevel - 60 && max >= paperLevel - 30) tileVars.push(lapSq / n - (lapSum / n) ** 2)
+      // 過曝：整塊幾乎純白、沒有任何紋理
+      if (mean >= 250 && sumSq / n - mean * mean < 4) glareTiles += 1
+    }
+  }
+  return {
+    blurScore: tileVars.length >= MIN_INK_TILES ? Math.round(percentile(tileVars, 0.5)) : null,
+    inkTiles: tileVars.length,
+    paperLevel,
+    brightRatio: Math.round((bright / gray.length) * 1000) / 1000,
+    glareRatio: paperLevel < GLARE_PAPER_MAX && tiles > 0 ? Math.round((glareTiles / tiles) * 1000) / 1000 : null
+  }
+}
+
+function polygonAreaNormalized(corners) {
+  let sum = 0
+  for (let i = 0; i < corners.length; i += 1) {
+    const a = corners[i]
+    const b = corners[(i + 1) % corners.length]
+    sum += a.x * b.y - b.x * a.y
+  }
+  return Math.abs(sum) / 2
+}
+
+function issue(code, page, severity, metric, label = null) {
+  const where = label ?? (page ? `第 ${page} 頁` : '')
+  return { code, page, severity, message: UPLOAD_QUALITY_MESSAGES[code](where), metric }
+}
+
+/**
+ * 單頁分析。
+ * @param {Buffer} buffer
+ * @param {{ page?: number, label?: string, requiredDpi?: number, crop?: boolean }} opts
+ *   crop=true：每題重拍的小圖（不查紙張 / 傾斜）；label 取代訊息開頭的「第 N 頁」（訂正圖用「第 3 題」）
+ * @returns {Promise<{ metrics: object, issues: Array<{ code, page, severity: 'block'|'warn', message, metric }> }>}
+ */
+export async function analyzePageQuality(buffer, { page = 0, label = null, requiredDpi = 100, crop = false } = {}) {
+  const meta = await sharp(buffer).metadata()
+  const { gray, width, height } = await loadAnalysisGray(buffer)
+  const sg = measureSharpnessAndGlare(gray, width, height)
+  const metrics = { width: meta.width, height: meta.height, ...sg }
+  const issues = []
+  if (sg.blurScore !== null) {
+    if (sg.blurScore < BLUR_BLOCK) issues.push(issue('BLURRY', page, 'block', sg.blurScore, label))
+    else if (sg.blurScore < BLUR_WARN) issues.push(issue('BLURRY', page, 'warn', sg.blurScore, label))
+  }
+  if (sg.glareRatio !== null) {
+    if (sg.glareRatio >= GLARE_BLOCK) issues.push(issue('GLARE', page, 'block', sg.glareRatio, label))
+    else if (sg.glareRatio >= GLARE_WARN) issues.push(issue('GLARE', page, 'warn', sg.glareRatio, label))
+  }
+  if (crop) {
+    const shortSide = Math.min(meta.width, meta.height)
+    if (shortSide < CROP_MIN_SHORT_SIDE) issues.push(issue('LOW_RESOLUTION', page, 'block', shortSide, label))
+    return { metrics, issues }
+  }
+
+  const quad = await detectPageQuad(buffer)
+  let pageWidthPx = meta.width
+  if (quad.ok && !quad.fullFrame) {
+    const [tl, tr, br, bl] = quad.corners
+    metrics.pageFill = Math.round(polygonAreaNormalized(quad.corners) * 1000) / 1000
+    const onEdge = quad.corners.filter((c) => c.x <= EDGE_EPS || c.y <= EDGE_EPS || c.x >= 1 - EDGE_EPS || c.y >= 1 - EDGE_EPS).length
+    metrics.cornersOnEdge = onEdge
+    // 上緣角度要換回像素座標算（normalized 的 x、y 比例不同）
+    metrics.skewDeg = Math.round((Math.atan2((tr.y - tl.y) * meta.height, (tr.x - tl.x) * meta.width) * 180) / Math.PI * 10) / 10
+    pageWidthPx = ((Math.hypot((tr.x - tl.x) * meta.width, (tr.y - tl.y) * meta.height) +
+      Math.hypot((br.x - bl.x) * meta.width, (br.y - bl.y) * meta.height)) / 2)
+    if (onEdge >= 2) issues.push(issue('PAGE_CROPPED', page, 'block', onEdge, label))
+    if (metrics.pageFill < PAGE_FILL_BLOCK) issues.push(issue('PAGE_TOO_SMALL', page, 'block', metrics.pageFill, label))
+    else if (metrics.pageFill < PAGE_FILL_WARN) issues.push(issue('PAGE_TOO_SMALL', page, 'warn', metrics.pageFill, label))
+  } else {
+    // 紙佔不到兩成 detectPageQuad 直接放棄（no_page_region）→ 改用亮區比例估
+    metrics.pageFill = quad.ok ? 1 : quad.reason === 'no_page_region' ? sg.brightRatio : null
+    if (metrics.pageFill !== null && metrics.pageFill < PAGE_FILL_BLOCK) {
+      issues.push(issue('PAGE_TOO_SMALL', page, 'block', metrics.pageFill, label))
+      pageWidthPx = meta.width * Math.sqrt(metrics.pageFill)
+    }
+    // 找不到紙（或紙佔滿畫面）→ 用文字行傾角（範圍 ±5°，只會到提醒等級）
+    metrics.skewDeg = await estimateSkewDeg(buffer)
+  }
+  const absSkew = Math.abs(metrics.skewDeg)
+  if (absSkew >= SKEW_BLOCK_DEG) issues.push(issue('SKEWED', page, 'block', metrics.skewDeg, label))
+  else if (absSkew >= SKEW_WARN_DEG) issues.push(issue('SKEWED', page, 'warn', metrics.skewDeg, label))
+
+  metrics.effectiveDpi = Math.round(pageWidthPx / A4_WIDTH_IN)
+  metrics.requiredDpi = requiredDpi
+  if (metrics.effectiveDpi < requiredDpi * DPI_BLOCK_RATIO) issues.push(issue('LOW_RESOLUTION', page, 'block', metrics.effectiveDpi, label))
+  else if (metrics.effectiveDpi < requiredDpi) issues.push(issue('LOW_RESOLUTION', page, 'warn', metrics.effectiveDpi, label))
+  return { metrics, issues }
+}
+
+/**
+ * 學生上傳的合併圖（client mergePageBlobs）→ 逐頁分析。沒有 pageBreaks 就依頁數平均切。
+ * @param {Buffer} buffer
+ * @param {{ pageBreaks?: number[]|null, pageCount?: number, answerKey?: object }} opts
+ * @returns {Promise<{ blocking: Array, warnings: Array, pages: Array<object> }>}
+ */
+export async function analyzeUploadQuality(buffer, { pageBreaks = null, pageCount = 1, answerKey = null } = {}) {
+  const meta = await sharp(buffer).metadata()
+  if (!meta.width || !meta.height) return { blocking: [], warnings: [], pages: [] }
+  const breaks = Array.isArray(pageBreaks) && pageBreaks.length
+    ? pageBreaks
+    : Array.from({ length: Math.max(1, pageCount) - 1 }, (_, i) => (i + 1) / Math.max(1, pageCount))
+  const bounds = [0, ...breaks, 1]
+  const requiredDpi = requiredDpiFor(answerKeyCellsPerPage(answerKey, bounds.length - 1))
+  const pages = []
+  const all = []
+  for (let i = 0; i < bounds.length - 1; i += 1) {
+    const top = Math.round(bounds[i] * meta.height)
+    const h = Math.max(1, Math.round(bounds[i + 1] * meta.height) - top)
+    const pageBuf = await sharp(buffer).extract({ left: 0, top, width: meta.width, height: h }).png().toBuffer()
+    const { metrics, issues } = await analyzePageQuality(pageBuf, { page: bounds.length > 2 ? i + 1 : 0, requiredDpi })
+    pages.push({ page: i + 1, ...metrics })
+    all.push(...issues)
+  }
+  return { blocking: all.filter((x) => x.severity === 'block'), warnings: all.filter((x) => x.severity === 'warn'), pages }
+}
@@ -0,0 +1,147 @@
+// 2026-10-19 答案卷錯誤偵測（統計式）：答案卷某題標錯 → 全班同一題都被判錯，以前要等家長來問才發現。
+//   Phase B 存檔後（save-grading / grading_jobs 整班跑完）對「本班 + 同版本血緣家族」的作答做三種檢查：
+//     TOP_GROUP_WRONG        高分組在這題答對率 < 50%，而且比低分組還低（鑑別度為負）
+//     DOMINANT_WRONG_ANSWER  同一個「非標答」答案佔全體 ≥ 35%，而且比答對的人還多
+//     SEMANTIC_TABLE_REJECTS 查表制（semantic_score_tables）把多數人收斂的同一個答案凍結成低分
+//   兩個訊號以上，或「多數錯答 + 高分組過半也這樣答」→ 開一筆 answer_key_alerts（blocking）。
+//   高低分組 / 鑑別度沿用 server/item-analysis.js，答案歸群：選擇題 = 選項集合、查表題 = normSemanticValue、其餘 = normLenient。
+//   純函式、無 DB；資料收集、警示寫入與「一鍵改答案 → reconcile-phase-b-regrade」在 api/data/[action].js。
+//   ANSWER_KEY_AUDIT_ENABLED=false 整個關掉。老師按「不是答案卷的問題」= dismissed，之後不再重開（老師裁決最高優先）。
+
+import { computeItemAnalysis, parseChoiceSelection, DISTRACTOR_CATEGORIES, ITEM_ANALYSIS_GROUP_RATIO } from './item-analysis.js'
+import { normLenient } from './ai/deterministic-compare.js'
+import { normSemanticValue } from './ai/semantic-score-table.js'
+
+// 少於這個人數不判（十幾個人的班級一兩個人就能把比例推過門檻）
+export const ANSWER_KEY_AUDIT_MIN_N = 12
+const UPPER_WRONG_P = 0.5
+const DOMINANT_SHARE = 0.35
+const UPPER_MAJORITY = 0.5
+const SEMANTIC_SHARE = 0.25
+const SEMANTIC_LOW_RATE = 0.5
+const OPTION_LETTERS = 'ABCDEFGHIJ'
+const BLANK_VALUES = new Set(['', '未作答', '無法辨識'])
+
+export function isAnswerKeyAuditEnabled() {
+  return process.env.ANSWER_KEY_AUDIT_ENABLED !== 'false'
+}
+
+const round = (v, digits = 3) => (Number.isFinite(v) ? Math.round(v * 10 ** digits) / 10 ** digits : null)
+const pct = (v) => `${Math.round(v * 100)}%`
+
+function answerGroupKey(category, raw, useSemantic) {
+  const s = String(raw ?? '').trim()
+  if (BLANK_VALUES.has(s)) return null
+  if (DISTRACTOR_CATEGORIES.has(category)) {
+    const sel = parseChoiceSelection(s)
+    return sel?.length ? [...sel].sort((a, b) => a - b).map((i) => OPTION_LETTERS[i]).join('') : null
+  }
+  const key = useSemantic ? normSemanticValue(s) : normLenient(s)
+  return key || null
+}
+
+/**
+ * @param {{
+ *   questions: Array<{ id: string, category?: string, maxScore?: number, answer?: string, optionCount?: number }>,
+ *   responses: Array<Map<string, { score: number, max?: number|null, answer?: string }>>,
+ *   semanticTable?: Map<string, Map<string, { score: number, max_score: number, source?: string, verdict?: string, low_conf?: boolean }>>
+ * }} input - 同 computeItemAnalysis；semanticTable = loadSemanticTable 的結果（題號 → 值 → 凍結列）
+ * @returns {{ n: number, suspects: Array<{ questionId: string, currentAnswer: string, suspectedAnswer: string,
+ *   suspectedKey: string, confidence: 'high'|'medium', stats: object, signals: Array<{ code: string, message: string }> }> }}
+ *   suspectedKey = 歸群後的值（呼叫端用它找出「答這個被判錯」的學生）
+ */
+export function detectAnswerKeySuspects({ questions, responses, semanticTable = new Map() }) {
+  const n = responses.length
+  if (n < ANSWER_KEY_AUDIT_MIN_N) return { n, suspects: [] }
+  const analysis = computeItemAnalysis({ questions, responses })
+  const itemById = new Map(analysis.items.map((it) => [it.questionId, it]))
+
+  // 高分組（同 item-analysis：依總分取前 27%）
+  const totals = responses.map((r) => [...r.values()].reduce((s, a) => s + (Number(a?.score) || 0), 0))
+  const order = totals.map((t, i) => [t, i]).sort((a, b) => b[0] - a[0]).map(([, i]) => i)
+  const upper = new Set(order.slice(0, Math.max(1, Math.round(n * ITEM_ANALYSIS_GROUP_RATIO))))
+
+  const suspects = []
+  for (const q of questions) {
+    const item = itemById.get(q.id)
+    if (!item) continue
+    const table = semanticTable.get(q.id)
+    const useSemantic = !!table?.size
+    const signals = []
+
+    if (item.upperP !== null && item.discrimination !== null && item.upperP < UPPER_WRONG_P && item.discrimination < 0) {
+      signals.push({
+        code: 'TOP_GROUP_WRONG',
+        message: `高分組只有 ${pct(item.upperP)} 答對，比低分組（${pct(item.lowerP)}）還低`
+      })
+    }
+
+    // 錯答歸群（只看沒拿滿分的人）
+    const max = item.maxScore
+    let full = 0
+    const groups = new Map()
+    responses.forEach((r, i) => {
+      const a = r.get(q.id)
+      if (!a) return
+      if ((Number(a.score) || 0) >= max) { full++; return }
+      const key = answerGroupKey(q.category, a.answer, useSemantic)
+      if (!key) return
+      const g = groups.get(key) ?? { key, count: 0, upper: 0, raws: new Map() }
+      g.count++
+      if (upper.has(i)) g.upper++
+      const raw = String(a.answer ?? '').trim()
+      g.raws.set(raw, (g.raws.get(raw) ?? 0) + 1)
+      groups.set(key, g)
+    })
+    // 沒有集中的錯答 = 提不出「可能的正解」，單靠鑑別度為負不開警示（試題分析會標）
+    const dominant = [...groups.values()].sort((a, b) => b.count - a.count)[0]
+    if (!dominant) continue
+    const upperShare = dominant.upper / upper.size
+    const display = DISTRACTOR_CATEGORIES.has(q.category)
+      ? dominant.key
+      : [...dominant.raws.entries()].sort((a, b) => b[1] - a[1])[0][0]
+
+    if (dominant.count / n >= DOMINANT_SHARE && dominant.count > full) {
+      signals.push({
+        code: 'DOMINANT_WRONG_ANSWER',
+        message: `${pct(dominant.count / n)} 的學生都答「${display}」（答對的只有 ${pct(full / n)}），高分組有 ${pct(upperShare)} 這樣答`
+      })
+    }
+
+    const frozen = useSemantic ? table.get(dominant.key) : null
+    if (frozen && frozen.source !== 'teacher' && Number(frozen.max_score) > 0 &&
+        Number(frozen.score) / Number(frozen.max_score) <= SEMANTIC_LOW_RATE && dominant.count / n >= SEMANTIC_SHARE) {
+      signals.push({
+        code: 'SEMANTIC_TABLE_REJECTS',
+        message: `查表制把「${display}」凍結為 ${frozen.score}/${frozen.max_score} 分，但 ${pct(dominant.count / n)} 的學生都這樣答` +
+          (frozen.low_conf || frozen.verdict === 'split_max' ? '（該值評分投票本身就不一致）' : '')
+      })
+    }
+
+    const strongDominant = signals.some((s) => s.code === 'DOMINANT_WRONG_ANSWER') && upperShare >= UPPER_MAJORITY
+    if (signals.length < 2 && !strongDominant) continue
+    suspects.push({
+      questionId: q.id,
+      currentAnswer: String(q.answer ?? ''),
+      suspectedAnswer: display,
+      suspectedKey: dominant.key,
+      confidence: signals.length >= 3 || (strongDominant && signals.some((s) => s.code === 'TOP_GROUP_WRONG')) ? 'high' : 'medium',
+      stats: {
+        n,
+        pValue: item.pValue,
+        upperP: item.upperP,
+        lowerP: item.lowerP,
+        discrimination: item.discrimination,
+        suspectedShare: round(dominant.count / n),
+        suspectedUpperShare: round(upperShare)
+      },
+      signals
+    })
+  }
+  return { n, suspects }
+}
+
+/** 學生作答是否落在可疑答案那一群（給呼叫端算 affected 學生） */
+export function matchesSuspectedAnswer(category, raw, suspectedKey, useSemantic) {
+  return !!suspectedKey && answerGroupKey(category, raw, useSemantic) === suspectedKey
+}
@@ -0,0 +1,562 @@
+// 2026-10-19 答案卷匯出（answer-key-import.js 的反方向）：CSV / IMS QTI 2.1 套件 / 可列印答案卡 HTML。
+// 以前 answer_key_templates 只能以 raw JSON 拿出去；出版社、教務處、其他平台要的是標準格式。
+//
+// 答案卡：我們自己印的卡 = answer_only 定位最穩的輸入。版面刻意對齊 OCR matcher 的假設：
+//   ・大題標題「一、選擇題」單獨一行 → bbox-cell-anchor-match findSectionHeaders（^[一二三四五六]、）
+//   ・每格頂端置中印「N.」 → cell-anchor B 路徑（leading-digit prefix、多 row）；同時符合 row-anchor 的 Pattern A「^N.」
+//   ・同一列的格子等寬、標籤置中 → 相鄰標籤中點＝格線（deriveCellBboxes 用中點切左右）
+//   ・每列至少 2 格（單格列 typicalW 只剩 100px）、每大題 ≤ 50 格（B 路徑 ord 上限）、最多六大題
+//   ・格內不印任何裸數字（A 路徑會把孤立數字當題號）；多空題用 ①②③ 提示
+//   ・anchorHint =「位於『一、選擇題』表格第 N 格」（parseCellAnchorHint 格式），匯出時一併回給呼叫端寫回答案卷
+// answer_only 整張卷只有一張圖 → 版面超過一頁直接回報（fitsOnePage=false），不默默印兩頁。
+// 純函式、無 DB、無 browser（PDF 由 api/report/answer-key-export.js 經 server/_pdf.js 渲染）。
+
+import { ANSWER_KEY_CSV_HEADER } from './answer-key-import.js'
+import { migrateAnswerKey } from './ai/answer-key-schema.js'
+
+// ── 共用 ────────────────────────────────────────────────────────────────────
+
+const CHOICE_CATEGORIES = new Set(['single_choice', 'multi_choice', 'single_check', 'multi_check', 'circle_select_one', 'circle_select_many', 'true_false'])
+const FILL_CATEGORIES = new Set(['fill_blank', 'fill_variants', 'multi_fill', 'calculation', 'word_problem', 'matching', 'ordering', 'mark_in_text'])
+const MULTI_SELECT_CATEGORIES = new Set(['multi_choice', 'multi_check', 'circle_select_many'])
+const CIRCLED = '①②③④⑤⑥⑦⑧⑨⑩'
+const OPTION_LETTERS = 'ABCDEFGHIJ'
+
+const str = (v) => (typeof v === 'string' ? v : v == null ? '' : String(v))
+
+function questionsOf(answerKey) {
+  const { answerKey: ak } = migrateAnswerKey(answerKey)
+  return Array.isArray(ak?.questions) ? ak.questions.filter((q) => q && typeof q === 'object') : []
+}
+
+// 選擇題正解 → 選項序 index（0 起）；"A,C" / "AC" / "①③" / "1,3" 皆可，解不出回 null（item-analysis 共用）
+export function choiceIndexes(answer) {
+  const s = str(answer).trim()
+  if (!s) return null
+  const letters = s.toUpperCase().replace(/[\s,，、;；]+/g, '')
+  if (/^[A-J]+$/.test(letters)) return [...new Set([...letters].map((c) => OPTION_LETTERS.indexOf(c)))].sort((a, b) => a - b)
+  const circled = [...s].map((c) => CIRCLED.indexOf(c)).filter((i) => i >= 0)
+  if (circled.length > 0) return [...new Set(circled)].sort((a, b) => a - b)
+  if (/^[\d\s,，、]+$/.test(s)) {
+    const nums = s.split(/[\s,，、]+/).filter(Boolean).map(Number).filter((n) => n >= 1 && n <= OPTION_LETTERS.length)
+    return nums.length > 0 ? [...new Set(nums.map((n) => n - 1))].sort((a, b) => a - b) : null
+  }
+  return null
+}
+
+function tfAnswer(answer) {
+  const t = str(answer).trim()
+  if (/^[○◯oO✓✔vV對是T]$/u.test(t)) return 'O'
+  if (/^[Xx×✗✘╳錯否F]$/u.test(t)) return 'X'
+  return null
+}
+
+// ── CSV（docs/答案卷檔案匯入格式.md 的欄位；匯出後可原樣再匯入）──────────────
+
+const CSV_REIMPORTABLE = new Set(['single_choice', 'multi_check', 'true_false', 'fill_blank', 'fill_variants', 'short_answer'])
+
+function csvCell(v) {
+  const s = str(v)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * @returns {{ csv: string, notReimportable: string[] }} 照原題型輸出、但 CSV 匯入端不收的題號（答案卡/交換用仍完整）；
+ *   CSV 沒有 numericPolicy 欄，帶 numericPolicy 的題再匯入會掉規則 → 也列進 notReimportable
+ */
+export function buildAnswerKeyCsv(answerKey) {
+  const lines = [ANSWER_KEY_CSV_HEADER.join(',')]
+  const notReimportable = []
+  for (const q of questionsOf(answerKey)) {
+    const id = str(q.id)
+    const category = str(q.questionCategory)
+    const stem = str(q.questionText)
+    if (Array.isArray(q.parts) && q.parts.length > 0) {
+      for (const p of q.parts) {
+        lines.push([id, category, p.maxScore ?? '', str(p.answer), '', '', str(p.subId), stem].map(csvCell).join(','))
+      }
+      if (category !== 'fill_blank') notReimportable.push(id)
+      continue
+    }
+    const isRubric = category === 'short_answer'
+    const answer = isRubric ? str(q.referenceAnswer || q.answer) : str(q.answer || q.referenceAnswer)
+    const acceptable = Array.isArray(q.acceptableAnswers) ? q.acceptableAnswers.map(str).filter(Boolean).join('|') : ''
+    const rubric = Array.isArray(q.rubricsDimensions)
+      ? q.rubricsDimensions.map((d) => `${str(d?.name)}:${d?.maxScore ?? ''}:${str(d?.criteria).replace(/[|｜\n]/g, ' ')}`).join('|')
+      : ''
+    lines.push([id, category, q.maxScore ?? '', answer, acceptable, rubric, '', stem].map(csvCell).join(','))
+    if (!CSV_REIMPORTABLE.has(category) || (q.numericPolicy && typeof q.numericPolicy === 'object')) notReimportable.push(id)
+  }
+  // BOM：Excel 開 UTF-8 CSV 才不會亂碼
+  return { csv: `﻿${lines.join('\r\n')}\r\n`, notReimportable }
+}
+
+// ── QTI 2.1（IMS content package：imsmanifest.xml + 每題一個 item XML，store-only zip）──
+
+const xmlEscape = (s) => str(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+const qtiIdent = (s, i) => `Q${i + 1}_${str(s).replace(/[^A-Za-z0-9_.-]/g, '_').slice(0, 40)}`
+
+const QTI_NS = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"'
+const RP_MATCH = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct'
+const RP_MAP = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response'
+
+function qtiScoreOutcomes(maxScore) {
+  return `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${maxScore}"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${maxScore}</value></defaultValue></outcomeDeclaration>`
+}
+
+function qtiItemXml(q, ident) {
+  const title = xmlEscape(`${q.id}`)
+  const maxScore = Number.isFinite(Number(q.maxScore)) ? Number(q.maxScore) : 1
+  const prompt = q.questionText ? `    <p>${xmlEscape(q.questionText)}</p>\n` : ''
+  const head = `<?xml version="1.0" encoding="UTF-8"?>\n<assessmentItem ${QTI_NS} identifier="${ident}" title="${title}" adaptive="false" timeDependent="false">`
+  const category = str(q.questionCategory)
+
+  if (category === 'true_false' && tfAnswer(q.answer)) {
+    return `${head}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier"><correctResponse><value>${tfAnswer(q.answer)}</value></correctResponse></responseDeclaration>
+${qtiScoreOutcomes(maxScore)}
+  <itemBody>
+${prompt}    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1"><simpleChoice identifier="O">○</simpleChoice><simpleChoice identifier="X">╳</simpleChoice></choiceInteraction>
+  </itemBody>
+  <responseProcessing template="${RP_MATCH}"/>
+</assessmentItem>\n`
+  }
+
+  const picked = CHOICE_CATEGORIES.has(category) ? choiceIndexes(q.answer) : null
+  if (picked) {
+    const options = Array.isArray(q.options) && q.options.length > 0
+      ? q.options.map((o) => str(o?.text ?? o))
+      : null
+    const count = Math.max(options?.length ?? 0, Math.max(...picked) + 1, 4)
+    const multiple = MULTI_SELECT_CATEGORIES.has(category) || picked.length > 1
+    const choices = Array.from({ length: Math.min(count, OPTION_LETTERS.length) }, (_, i) =>
+      `<simpleChoice identifier="${OPTION_LETTERS[i]}">${xmlEscape(options?.[i] || OPTION_LETTERS[i])}</simpleChoice>`).join('')
+    return `${head}
+  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier"><correctResponse>${picked.map((i) => `<value>${OPTION_LETTERS[i]}</value>`).join('')}</correctResponse></responseDeclaration>
+${qtiScoreOutcomes(maxScore)}
+  <itemBody>
+${prompt}    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">${choices}</choiceInteraction>
+  </itemBody>
+  <responseProcessing template="${RP_MATCH}"/>
+</assessmentItem>\n`
+  }
+
+  const parts = Array.isArray(q.parts) && q.parts.length > 0 ? q.parts : null
+  if (FILL_CATEGORIES.has(category) || CHOICE_CATEGORIES.has(category)) {
+    const blanks = parts
+      ? parts.map((p, i) => ({ id: `RESPONSE_${i + 1}`, answer: str(p.answer), accept: [] }))
+      : [{ id: 'RESPONSE', answer: str(q.answer || q.referenceAnswer), accept: (q.acceptableAnswers || []).map(str).filter(Boolean) }]
+    if (blanks.every((b) => b.answer)) {
+      const decls = blanks.map((b) => {
+        const keys = [...new Set([b.answer, ...b.accept])]
+        const mapping = keys.length > 1
+          ? `<mapping defaultValue="0">${keys.map((k) => `<mapEntry mapKey="${xmlEscape(k)}" mappedValue="${maxScore / blanks.length}"/>`).join('')}</mapping>`
+          : ''
+        return `  <responseDeclaration identifier="${b.id}" cardinality="single" baseType="string"><correctResponse><value>${xmlEscape(b.answer)}</value></correctResponse>${mapping}</responseDeclaration>`
+      }).join('\n')
+      const usesMapping = blanks.length > 1 || blanks.some((b) => b.accept.length > 0)
+      return `${head}
+${decls}
+${qtiScoreOutcomes(maxScore)}
+  <itemBody>
+${prompt}    <p>${blanks.map((b) => `<textEntryInteraction responseIdentifier="${b.id}" expectedLength="${Math.max(4, b.answer.length)}"/>`).join(' ')}</p>
+  </itemBody>
+  <responseProcessing template="${usesMapping ? RP_MAP : RP_MATCH}"/>
+</assessmentItem>\n`
+    }
+  }
+
+  // 其餘（問答、作圖、表格、複合題…）→ extendedText + scorer rubric（參考答案 / 評分向度），人工或外部系統評分
+  const reference = str(q.referenceAnswer || q.answer)
+  const dims = Array.isArray(q.rubricsDimensions) ? q.rubricsDimensions : []
+  const rubric = [
+    reference ? `<p>${xmlEscape(reference)}</p>` : '',
+    dims.length > 0 ? `<ul>${dims.map((d) => `<li>${xmlEscape(`${str(d?.name)}（${d?.maxScore ?? ''}）：${str(d?.criteria)}`)}</li>`).join('')}</ul>` : ''
+  ].join('')
+  return `${head}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">${reference ? `<correctResponse><value>${xmlEscape(reference)}</value></correctResponse>` : ''}</responseDeclaration>
+${qtiScoreOutcomes(maxScore)}
+  <itemBody>
+${rubric ? `    <rubricBlock view="scorer">${rubric}</rubricBlock>\n` : ''}${prompt}    <extendedTextInteraction responseIdentifier="RESPONSE"/>
+  </itemBody>
+</assessmentItem>\n`
+}
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256)
+  for (let n = 0; n < 256; n += 1) {
+    let c = n
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    t[n] = c >>> 0
+  }
+  return t
+})()
+
+function crc32(buf) {
+  let c = 0xffffffff
+  for (let i = 0; i < buf.length; i += 1) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+// 最小 zip（store、不壓縮；QTI 套件幾十 KB，不值得為此加依賴）
+function buildZip(entries) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+  for (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, 'utf8')
+    const crc = crc32(data)
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(0x0800, 6) // UTF-8 檔名
+    local.writeUInt16LE(0, 8)
+    local.writeUInt32LE(0, 10)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(nameBuf.length, 26)
+    local.writeUInt16LE(0, 28)
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(0, 10)
+    central.writeUInt32LE(0, 12)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(data.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(nameBuf.length, 28)
+    central.writeUInt32LE(offset, 42)
+    locals.push(local, nameBuf, data)
+    centrals.push(central, nameBuf)
+    offset += local.length + nameBuf.length + data.length
+  }
+  const centralBuf = Buffer.concat(centrals)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(entries.length, 8)
+  end.writeUInt16LE(entries.length, 10)
+  end.writeUInt32LE(centralBuf.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...locals, centralBuf, end])
+}
+
+/**
+ * @param {object} answerKey
+ * @param {{ title?: string }} [opts]
+ * @returns {{ zip: Buffer, itemCount: number }}
+ */
+export function buildQtiPackage(answerKey, { title = '' } = {}) {
+  const questions = questionsOf(answerKey)
+  const items = questions.map((q, i) => {
+    const ident = qtiIdent(q.id, i)
+    return { ident, href: `items/${ident}.xml`, xml: qtiItemXml(q, ident) }
+  })
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" identifier="MANIFEST_${Date.now()}">
+  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion>${title ? `<imsmd:lom><imsmd:general><imsmd:title><imsmd:string>${xmlEscape(title)}</imsmd:string></imsmd:title></imsmd:general></imsmd:lom>` : ''}</metadata>
+  <organizations/>
+  <resources>
+${items.map((it) => `    <resource identifier="${it.ident}" type="imsqti_item_xmlv2p1" href="${it.href}"><file href="${it.href}"/></resource>`).join('\n')}
+  </resources>
+</manifest>\n`
+  const zip = buildZip([
+    { name: 'imsmanifest.xml', data: Buffer.from(manifest, 'utf8') },
+    ...items.map((it) => ({ name: it.href, data: Buffer.from(it.xml, 'utf8') }))
+  ])
+  return { zip, itemCount: items.length }
+}
+
+// ── 答案卡版面 ──────────────────────────────────────────────────────────────
+
+const SECTION_CHARS = '一二三四五六'
+const MAX_CELLS_PER_SECTION = 50
+const PAGE_HEIGHT_MM = 297
+const PAGE_MARGIN_MM = 12
+const HEADER_HEIGHT_MM = 30
+const SECTION_TITLE_MM = 9
+const SECTION_GAP_MM = 4
+
+// 題型族 → 大題（名稱、每列格數、格高 mm）
+const SHEET_FAMILIES = [
+  { key: 'choice', name: '選擇題', columns: 5, rowHeightMm: 14, match: (c) => CHOICE_CATEGORIES.has(c) },
+  { key: 'fill', name: '填充題', columns: 3, rowHeightMm: 18, match: (c) => FILL_CATEGORIES.has(c) },
+  { key: 'open', name: '非選題', columns: 2, rowHeightMm: 32, match: () => true }
+]
+
+// n 格分成每列 ≤ columns、且各列格數盡量平均（避免最後一列只剩 1 格）
+function splitRows(cells, columns) {
+  const rowCount = Math.ceil(cells.length / columns)
+  const rows = []
+  let start = 0
+  for (let r = 0; r < rowCount; r += 1) {
+    const size = Math.ceil((cells.length - start) / (rowCount - r))
+    rows.push(cells.slice(start, start + size))
+    start += size
+  }
+  return rows
+}
+
+/**
+ * 答案卷 → 答案卡版面（純資料；HTML 見 buildAnswerSheetHtml）
+ * @returns {{ sections: Array, anchorHints: Record<string,string>, estimatedHeightMm: number, fitsOnePage: boolean, error: string|null }}
+ */
+export function buildAnswerSheetLayout(answerKey) {
+  const questions = questionsOf(answerKey)
+  const sections = []
+  for (const family of SHEET_FAMILIES) {
+    const members = questions.filter((q) => {
+      const c = str(q.questionCategory)
+      return SHEET_FAMILIES.find((f) => f.match(c)) === family
+    })
+    if (members.length === 0) continue
+    const allTf = members.every((q) => q.questionCategory === 'true_false')
+    for (let i = 0; i < members.length; i += MAX_CELLS_PER_SECTION) {
+      const chunk = members.slice(i, i + MAX_CELLS_PER_SECTION)
+      sections.push({
+        family: family.key,
+        name: `${allTf ? '是非題' : family.name}${i > 0 ? '（續）' : ''}`,
+        columns: family.columns,
+        rowHeightMm: family.rowHeightMm,
+        cells: chunk.map((q, k) => ({
+          ordinal: k + 1,
+          questionId: str(q.id),
+          partCount: Array.isArray(q.parts) ? q.parts.length : 0
+        }))
+      })
+    }
+  }
+  if (sections.length > SECTION_CHARS.length) {
+    return { sections: [], anchorHints: {}, estimatedHeightMm: 0, fitsOnePage: false, error: `大題數 ${sections.length} 超過 ${SECTION_CHARS.length}（一～六）` }
+  }
+  const anchorHints = {}
+  let height = HEADER_HEIGHT_MM
+  for (const [i, sec] of sections.entries()) {
+    sec.title = `${SECTION_CHARS[i]}、${sec.name}`
+    sec.rows = splitRows(sec.cells, sec.columns)
+    for (const cell of sec.cells) anchorHints[cell.questionId] = `位於『${sec.title}』表格第 ${cell.ordinal} 格`
+    height += SECTION_TITLE_MM + sec.rows.length * sec.rowHeightMm + SECTION_GAP_MM
+  }
+  const usable = PAGE_HEIGHT_MM - PAGE_MARGIN_MM * 2
+  return {
+    sections,
+    anchorHints,
+    estimatedHeightMm: Math.round(height),
+    fitsOnePage: height <= usable,
+    error: sections.length === 0 ? '答案卷沒有題目' : null
+  }
+}
+
+const htmlEscape = (s) => str(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+/**
+ * 答案卡 HTML（A4 單頁、@page margin 0；字型同家長報告走 Google Fonts Noto Sans TC）
+ * @param {ReturnType<typeof buildAnswerSheetLayout>} layout
+ * @param {{ title?: string, subtitle?: string }} [opts]
+ */
+export function buildAnswerSheetHtml(layout, { title = '', subtitle = '' } = {}) {
+  const sectionHtml = layout.sections.map((sec) => {
+    const rows = sec.rows.map((row) => {
+      const cells = row.map((cell) => {
+        const guide = cell.partCount > 1
+          ? `<div class="guide">${Array.from({ length: Math.min(cell.partCount, CIRCLED.length) }, (_, i) => `<span>${CIRCLED[i]}</span>`).join('')}</div>`
+          : ''
+        return `<div class="cell" style="height:${sec.rowHeightMm}mm"><div class="label">${cell.ordinal}.</div>${guide}</div>`
+      }).join('')
+      return `<div class="row" style="grid-template-columns:repeat(${row.length},1fr)">${cells}</div>`
+    }).join('')
+    return `<section><h2>${htmlEscape(sec.title)}</h2>${rows}</section>`
+  }).join('')
+
+  return `<!doctype html>
+<html lang="zh-Hant"><head><meta charset="utf-8">
+<link href="https://fonts.googleapis.com/css2?family=Noto+Sans+TC:wght@400;700&display=swap" rel="stylesheet">
+<style>
+  @page { size: A4; margin: 0; }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: ${PAGE_MARGIN_MM}mm; font-family: 'Noto Sans TC', sans-serif; color: #000; }
+  header { height: ${HEADER_HEIGHT_MM}mm; }
+  header h1 { margin: 0 0 2mm; font-size: 16pt; text-align: center; }
+  header .sub { text-align: center; font-size: 10pt; color: #333; margin-bottom: 3mm; }
+  /* 班級/座號/姓名：純文字底線、不放數字（避免 OCR 當成題號） */
+  header .who { display: flex; justify-content: center; gap: 12mm; font-size: 12pt; }
+  header .who span { border-bottom: 0.3mm solid #000; padding: 0 14mm 0 0; }
+  section { margin-bottom: ${SECTION_GAP_MM}mm; break-inside: avoid; }
+  h2 { height: ${SECTION_TITLE_MM}mm; margin: 0; font-size: 13pt; line-height: ${SECTION_TITLE_MM}mm; }
+  .row { display: grid; border-left: 0.4mm solid #000; }
+  .row + .row { border-top: 0; }
+  .row:first-of-type .cell { border-top: 0.4mm solid #000; }
+  .cell { position: relative; border-right: 0.4mm solid #000; border-bottom: 0.4mm solid #000; }
+  /* 題號置中在格子頂端：同列相鄰題號的中點＝格線 */
+  .label { height: 6mm; line-height: 6mm; text-align: center; font-size: 11pt; font-weight: 700; border-bottom: 0.2mm solid #999; }
+  .guide { display: flex; justify-content: space-around; padding-top: 1mm; font-size: 9pt; color: #777; }
+</style></head>
+<body>
+<header>
+  <h1>${htmlEscape(title || '答案卡')}</h1>
+  ${subtitle ? `<div class="sub">${htmlEscape(subtitle)}</div>` : ''}
+  <div class="who"><span>班級</span><span>座號</span><span>姓名</span></div>
+</header>
+${sectionHtml}
+</body></html>`
+}
+
+/**
+ * 把答案卡的 anchorHint 寫回答案卷（不改其他欄位）
+ */
+export function applyAnswerSheetAnchors(answerKey, anchorHints) {
+  const { answerKey: ak } = migrateAnswerKey(answerKey)
+  if (!ak || !Array.isArray(ak.questions)) return ak
+  return {
+    ...ak,
+    questions: ak.questions.map((q) => (anchorHints[str(q?.id)] ? { ...q, anchorHint: anchorHints[str(q.id)] } : q))
+  }
+}
+
+// ── 劃記卡（fiducial + bubble grid）──────────────────────────────────────────
+// 2026-10-19 大型段考的選擇/是非題：四角實心定位方塊 + 圓圈劃記格，由 server/ai/bubble-reader.js
+//   用 sharp 找定位點、做透視還原、量每個圈的塗黑比例 → 不叫模型就讀出答案；只有塗得不乾淨的題才送 read。
+// 版面幾何（mm、A4）寫進答案卷 bubbleSheet（以四個定位點中心為 0–1 座標框），讀卡端只信描述、不信常數：
+//   之後改版面不會讓已印出去的卡讀不到。
+
+export const BUBBLE_SHEET_VERSION = 1
+const BUBBLE_PAGE_MM = [210, 297]
+const BUBBLE_FIDUCIAL_SIZE_MM = 10
+const BUBBLE_FIDUCIALS_MM = [[14, 14], [196, 14], [14, 283], [196, 283]] // TL, TR, BL, BR 中心
+const BUBBLE_DIAMETER_MM = 5
+const BUBBLE_OPTION_PITCH_MM = 7.5
+const BUBBLE_ROW_PITCH_MM = 7.5
+const BUBBLE_LABEL_W_MM = 11
+const BUBBLE_COL_GAP_MM = 5
+const BUBBLE_GRID_MM = { left: 24, top: 54, right: 186, bottom: 272 }
+const BUBBLE_MAX_OPTIONS = 8
+const BUBBLE_CATEGORIES = new Set(['single_choice', 'multi_choice', 'single_check', 'multi_check', 'circle_select_one', 'circle_select_many', 'true_false'])
+
+const round4 = (n) => Math.round(n * 10000) / 10000
+
+function bubbleLabelsFor(q) {
+  if (q.questionCategory === 'true_false') return tfAnswer(q.answer) ? ['O', 'X'] : null
+  const picked = choiceIndexes(q.answer)
+  if (!picked) return null
+  const optionCount = Array.isArray(q.options) ? q.options.length : 0
+  const count = Math.max(optionCount, Math.max(...picked) + 1, 4)
+  return count > BUBBLE_MAX_OPTIONS ? null : [...OPTION_LETTERS.slice(0, count)]
+}
+
+/**
+ * 答案卷 → 劃記卡描述（bubbleSheet）。只排選項代號題；其他題（填充、計算、選項超過 8 個…）列在 excluded、不上卡，
+ *   題號仍照答案卷順序印（跳過的號碼空著），跟試卷上的題號對得起來。
+ * @returns {{ sheet: object|null, error: string|null, capacity: number, excluded: string[] }}
+ */
+export function buildBubbleSheetLayout(answerKey) {
+  const questions = questionsOf(answerKey)
+  if (questions.length === 0) return { sheet: null, error: '答案卷沒有題目', capacity: 0, excluded: [] }
+  const entries = []
+  const excluded = []
+  for (const [i, q] of questions.entries()) {
+    const labels = BUBBLE_CATEGORIES.has(str(q.questionCategory)) ? bubbleLabelsFor(q) : null
+    if (labels) entries.push({ q, labels, number: i + 1 })
+    else excluded.push(str(q.id))
+  }
+  if (entries.length === 0) return { sheet: null, error: '答案卷沒有選項代號的選擇/是非題，不能印劃記卡', capacity: 0, excluded }
+  const optionSlots = Math.max(...entries.map((e) => e.labels.length))
+  const colWidth = BUBBLE_LABEL_W_MM + optionSlots * BUBBLE_OPTION_PITCH_MM + BUBBLE_COL_GAP_MM
+  const gridW = BUBBLE_GRID_MM.right - BUBBLE_GRID_MM.left
+  const columns = Math.max(1, Math.floor((gridW + BUBBLE_COL_GAP_MM) / colWidth))
+  const rowsPerColumn = Math.floor((BUBBLE_GRID_MM.bottom - BUBBLE_GRID_MM.top) / BUBBLE_ROW_PITCH_MM)
+  const capacity = columns * rowsPerColumn
+  if (entries.length > capacity) return { sheet: null, error: `題數 ${entries.length} 超過劃記卡容量 ${capacity}`, capacity, excluded }
+
+  const [[fx0, fy0], [fx1], [, fy2]] = BUBBLE_FIDUCIALS_MM
+  const toFrame = (x, y) => [round4((x - fx0) / (fx1 - fx0)), round4((y - fy0) / (fy2 - fy0))]
+  // 欄優先（先排滿第一欄再換欄）：跟紙本作答卡一樣由上往下讀
+  const rowsUsed = Math.ceil(entries.length / columns)
+  const items = entries.map(({ q, labels, number }, i) => {
+    const col = Math.floor(i / rowsUsed)
+    const row = i % rowsUsed
+    const x0 = BUBBLE_GRID_MM.left + col * colWidth + BUBBLE_LABEL_W_MM
+    const cy = BUBBLE_GRID_MM.top + row * BUBBLE_ROW_PITCH_MM + BUBBLE_ROW_PITCH_MM / 2
+    return {
+      questionId: str(q.id),
+      number,
+      multi: MULTI_SELECT_CATEGORIES.has(str(q.questionCategory)),
+      labels,
+      bubbles: labels.map((_, k) => toFrame(x0 + k * BUBBLE_OPTION_PITCH_MM + BUBBLE_OPTION_PITCH_MM / 2, cy))
+    }
+  })
+  return {
+    sheet: {
+      version: BUBBLE_SHEET_VERSION,
+      pageMm: [...BUBBLE_PAGE_MM],
+      fiducialsMm: BUBBLE_FIDUCIALS_MM.map((p) => [...p]),
+      fiducialSizeMm: BUBBLE_FIDUCIAL_SIZE_MM,
+      bubbleDiameterMm: BUBBLE_DIAMETER_MM,
+      items
+    },
+    error: null,
+    capacity,
+    excluded
+  }
+}
+
+/**
+ * 劃記卡 HTML（絕對定位、mm；座標全由 sheet 描述反推，印出來的＝讀卡端以為的）
+ */
+export function buildBubbleSheetHtml(sheet, { title = '', subtitle = '' } = {}) {
+  const [[fx0, fy0], [fx1], [, fy2]] = sheet.fiducialsMm
+  const fromFrame = ([u, v]) => [fx0 + u * (fx1 - fx0), fy0 + v * (fy2 - fy0)]
+  const half = sheet.fiducialSizeMm / 2
+  const d = sheet.bubbleDiameterMm
+  const fiducials = sheet.fiducialsMm
+    .map(([x, y]) => `<div class="fid" style="left:${x - half}mm;top:${y - half}mm"></div>`).join('')
+  const rows = sheet.items.map((item) => {
+    const [bx, by] = fromFrame(item.bubbles[0])
+    const label = `<div class="num" style="left:${bx - d / 2 - BUBBLE_LABEL_W_MM}mm;top:${by - 2.5}mm">${item.number}</div>`
+    const bubbles = item.bubbles.map((p, k) => {
+      const [x, y] = fromFrame(p)
+      return `<div class="bub" style="left:${x - d / 2}mm;top:${y - d / 2}mm">${htmlEscape(item.labels[k])}</div>`
+    }).join('')
+    return label + bubbles
+  }).join('')
+
+  return `<!doctype html>
+<html lang="zh-Hant"><head><meta charset="utf-8">
+<link href="https://fonts.googleapis.com/css2?family=Noto+Sans+TC:wght@400;700&display=swap" rel="stylesheet">
+<style>
+  @page { size: A4; margin: 0; }
+  * { box-sizing: border-box; }
+  body { margin: 0; width: ${sheet.pageMm[0]}mm; height: ${sheet.pageMm[1]}mm; position: relative; font-family: 'Noto Sans TC', sans-serif; color: #000; }
+  .fid { position: absolute; width: ${sheet.fiducialSizeMm}mm; height: ${sheet.fiducialSizeMm}mm; background: #000; }
+  header { position: absolute; left: 26mm; right: 26mm; top: 22mm; text-align: center; }
+  header h1 { margin: 0 0 2mm; font-size: 15pt; }
+  header .sub { font-size: 10pt; color: #333; margin-bottom: 2mm; }
+  header .who { display: flex; justify-content: center; gap: 10mm; font-size: 11pt; }
+  header .who span { border-bottom: 0.3mm solid #000; padding-right: 14mm; }
+  header .tip { margin-top: 2mm; font-size: 9pt; color: #555; }
+  .num { position: absolute; width: ${BUBBLE_LABEL_W_MM - 2}mm; height: 5mm; line-height: 5mm; text-align: right; font-size: 10pt; font-weight: 700; }
+  /* 圈內字母用淺灰：塗黑前不會被當成劃記（讀卡端只看圈內中心的深色比例） */
+  .bub { position: absolute; width: ${d}mm; height: ${d}mm; border: 0.3mm solid #444; border-radius: 50%; text-align: center; line-height: ${d - 0.6}mm; font-size: 7pt; color: #b0b0b0; }
+</style></head>
+<body>
+${fiducials}
+<header>
+  <h1>${htmlEscape(title || '劃記卡')}</h1>
+  ${subtitle ? `<div class="sub">${htmlEscape(subtitle)}</div>` : ''}
+  <div class="who"><span>班級</span><span>座號</span><span>姓名</span></div>
+  <div class="tip">請用深色筆將圓圈塗滿；修改請擦乾淨。四角黑色方塊請勿塗改、折到或遮住。</div>
+</header>
+${rows}
+</body></html>`
+}
+
+/**
+ * 把劃記卡描述寫回答案卷（頂層 bubbleSheet；之後 Phase A 見到就先走讀卡）
+ */
+export function applyBubbleSheet(answerKey, sheet) {
+  const { answerKey: ak } = migrateAnswerKey(answerKey)
+  if (!ak || typeof ak !== 'object') return ak
+  return { ...ak, bubbleSheet: sheet }
+}
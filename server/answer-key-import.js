@@ -0,0 +1,557 @@
+// 2026-10-19 結構化考卷檔 → 答案卷（IMS QTI 2.x / Moodle XML / CSV）。
+// 出版社、教務處手上的題庫本來就是數位檔，卻只能拍答案卷走 answer_key.extract（PRO、會讀錯題型/漏題）
+// 或拿別人的分享碼。本檔把三種格式直接轉成我們的 answer_key（最新 schemaVersion、驗證交呼叫端 prepareAnswerKeyForWrite）。
+//
+// 題型對應（只收這幾種、其餘互動型跳過並回 warning，不猜）：
+//   單選 → single_choice（answer = 選項序字母 A/B/C…）
+//   複選 → multi_check（answer = "A,C"，同 gradeCheckSelectDeterministic 的字母集合格式）
+//   是非 → true_false（answer = O / X，同 deterministic-compare 的 tfValue）
+//   填充 → fill_blank；多個可接受答案 → fill_variants（acceptableAnswers）；一題多空 → fill_blank 合題（parts）
+//   問答 → short_answer（rubricsDimensions；檔案沒給評分向度就一個「內容」向度、criteria = 參考答案）
+// CSV 欄位格式見 docs/答案卷檔案匯入格式.md。
+// 純函式、無 DB；XML 用本檔的小 parser（只需元素/屬性/文字/CDATA，不值得為此加依賴）。
+// QTI content package（zip）由前端解壓後把 item XML 逐檔送進 files[]。
+
+import { ANSWER_KEY_SCHEMA_VERSION } from './ai/answer-key-schema.js'
+
+export const ANSWER_KEY_IMPORT_FORMATS = Object.freeze({
+  QTI: 'qti',
+  MOODLE: 'moodle',
+  CSV: 'csv'
+})
+
+const MAX_IMPORT_QUESTIONS = 300
+const OPTION_LETTERS = 'ABCDEFGHIJ'
+
+// ── XML（極簡：元素 / 屬性 / 文字 / CDATA；註解、PI、DOCTYPE 略過）─────────────
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+function decodeXmlEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m
+    }
+    return XML_ENTITIES[ent.toLowerCase()] ?? m
+  })
+}
+
+// 元素名去掉 namespace prefix（qti:choiceInteraction → choiceInteraction）
+const localName = (name) => name.slice(name.indexOf(':') + 1)
+
+function parseXml(text) {
+  const root = { name: '#document', attrs: {}, children: [] }
+  const stack = [root]
+  const src = String(text)
+  let i = 0
+  const pushText = (t) => { if (t) stack[stack.length - 1].children.push(t) }
+  while (i < src.length) {
+    const lt = src.indexOf('<', i)
+    if (lt < 0) { pushText(decodeXmlEntities(src.slice(i))); break }
+    if (lt > i) pushText(decodeXmlEntities(src.slice(i, lt)))
+    if (src.startsWith('<!--', lt)) {
+      const end = src.indexOf('-->', lt + 4)
+      i = end < 0 ? src.length : end + 3
+    } else if (src.startsWith('<![CDATA[', lt)) {
+      const end = src.indexOf(']]>', lt + 9)
+      pushText(src.slice(lt + 9, end < 0 ? src.length : end))
+      i = end < 0 ? src.length : end + 3
+    } else if (src[lt + 1] === '?' || src[lt + 1] === '!') {
+      const end = src.indexOf('>', lt)
+      i = end < 0 ? src.length : end + 1
+    } else if (src[lt + 1] === '/') {
+      const end = src.indexOf('>', lt)
+      const name = localName(src.slice(lt + 2, end).trim())
+      // 容錯：關到最近的同名元素（沒有就忽略這個結束標籤）
+      for (let k = stack.length - 1; k > 0; k -= 1) {
+        if (stack[k].name === name) { stack.length = k; break }
+      }
+      i = end < 0 ? src.length : end + 1
+    } else {
+      const tagRe = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y
+      tagRe.lastIndex = lt
+      const m = tagRe.exec(src)
+      if (!m) { pushText('<'); i = lt + 1; continue }
+      const attrs = {}
+      for (const a of m[2].matchAll(/([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[localName(a[1])] = decodeXmlEntities(a[2] ?? a[3] ?? '')
+      }
+      const node = { name: localName(m[1]), attrs, children: [] }
+      stack[stack.length - 1].children.push(node)
+      if (!m[3]) stack.push(node)
+      i = tagRe.lastIndex
+    }
+  }
+  return root
+}
+
+const elementsOf = (node) => (node?.children || []).filter((c) => typeof c === 'object')
+const childrenNamed = (node, name) => elementsOf(node).filter((c) => c.name === name)
+const childNamed = (node, name) => elementsOf(node).find((c) => c.name === name) || null
+
+function descendantsNamed(node, name, out = []) {
+  for (const c of elementsOf(node)) {
+    if (c.name === name) out.push(c)
+    descendantsNamed(c, name, out)
+  }
+  return out
+}
+
+function textContent(node, skip = null) {
+  if (!node) return ''
+  if (typeof node === 'string') return node
+  if (skip && skip(node)) return ' '
+  return node.children.map((c) => textContent(c, skip)).join('')
+}
+
+const isInteraction = (node) => /Interaction$/.test(node.name)
+
+// 已解析的元素文字（parseXml 已解過一次實體；QTI 的 XHTML itemBody 本身就是元素樹）→ 只整理空白，不再解實體
+function tidyText(s) {
+  return String(s ?? '')
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim()
+}
+
+// HTML 字串（Moodle 的 <text> 內容是一段 HTML）→ 純文字：去標籤、解一次 HTML 實體
+function htmlToText(s) {
+  return tidyText(decodeXmlEntities(String(s ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')))
+}
+
+const cleanText = (s) => tidyText(s).replace(/\s+/g, ' ').trim()
+
+function toScore(v, fallback) {
+  if (v === null || v === undefined || String(v).trim() === '') return fallback
+  const n = Number(v)
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : fallback
+}
+
+function shortAnswerDimensions(maxScore, referenceAnswer, criteria) {
+  return [{ name: '內容', maxScore, criteria: criteria || referenceAnswer || '依參考答案給分' }]
+}
+
+// ── IMS QTI 2.x ─────────────────────────────────────────────────────────────
+
+function qtiCorrectValues(decl) {
+  return childrenNamed(childNamed(decl, 'correctResponse'), 'value').map((v) => cleanText(textContent(v))).filter(Boolean)
+}
+
+// mapping 裡 mappedValue > 0 的 mapKey（textEntry 的其他可接受寫法）
+function qtiMappedKeys(decl) {
+  return childrenNamed(childNamed(decl, 'mapping'), 'mapEntry')
+    .filter((e) => Number(e.attrs.mappedValue) > 0)
+    .map((e) => String(e.attrs.mapKey ?? '').trim())
+    .filter(Boolean)
+}
+
+function qtiMaxScore(item) {
+  const outcomes = childrenNamed(item, 'outcomeDeclaration')
+  const score = outcomes.find((o) => o.attrs.identifier === 'MAXSCORE')
+  if (score) {
+    const v = cleanText(textContent(childNamed(childNamed(score, 'defaultValue'), 'value')))
+    if (toScore(v, null) !== null) return toScore(v, null)
+  }
+  const main = outcomes.find((o) => o.attrs.identifier === 'SCORE')
+  return toScore(main?.attrs?.normalMaximum, null)
+}
+
+function convertQtiItem(item, seq, warnings) {
+  const itemLabel = item.attrs.identifier || item.attrs.title || `#${seq}`
+  const decls = new Map(childrenNamed(item, 'responseDeclaration').map((d) => [d.attrs.identifier, d]))
+  const body = childNamed(item, 'itemBody')
+  const maxScore = qtiMaxScore(item) ?? 1
+  const stem = cleanText(textContent(body, (n) => isInteraction(n) || n.name === 'rubricBlock')).slice(0, 300)
+  const base = { id: String(seq), maxScore, ...(stem ? { questionText: stem } : {}) }
+
+  const choice = descendantsNamed(body, 'choiceInteraction')
+  const text = descendantsNamed(body, 'textEntryInteraction')
+  const inline = descendantsNamed(body, 'inlineChoiceInteraction')
+  const extended = descendantsNamed(body, 'extendedTextInteraction')
+
+  if (choice.length === 1 && text.length + inline.length + extended.length === 0) {
+    const it = choice[0]
+    const decl = decls.get(it.attrs.responseIdentifier)
+    const choices = childrenNamed(it, 'simpleChoice')
+    const correct = new Set(qtiCorrectValues(decl))
+    const letters = choices.map((c, i) => (correct.has(c.attrs.identifier) ? OPTION_LETTERS[i] : null)).filter(Boolean)
+    if (letters.length === 0 || choices.length > OPTION_LETTERS.length) {
+      warnings.push(`QTI ${itemLabel}：選擇題找不到正解（correctResponse），已跳過`)
+      return null
+    }
+    // 我們自己匯出的是非題＝兩個選項 identifier O / X（answer-key-export.js）→ 還原成 true_false
+    const ids = choices.map((c) => c.attrs.identifier)
+    if (ids.length === 2 && ids.includes('O') && ids.includes('X') && correct.size === 1) {
+      return { ...base, questionCategory: 'true_false', answer: [...correct][0] }
+    }
+    const multiple = decl?.attrs?.cardinality === 'multiple' || letters.length > 1
+    return {
+      ...base,
+      questionCategory: multiple ? 'multi_check' : 'single_choice',
+      answer: letters.join(','),
+      options: choices.map((c, i) => ({ label: OPTION_LETTERS[i], text: cleanText(textContent(c)).slice(0, 120) }))
+    }
+  }
+
+  if (extended.length === 1 && choice.length + text.length + inline.length === 0) {
+    const decl = decls.get(extended[0].attrs.responseIdentifier)
+    const referenceAnswer = qtiCorrectValues(decl).join('\n')
+    const rubric = descendantsNamed(item, 'rubricBlock')
+      .filter((r) => !r.attrs.view || /scorer|tutor/.test(r.attrs.view))
+      .map((r) => tidyText(textContent(r)))
+      .filter(Boolean)
+      .join('\n')
+    if (!referenceAnswer && !rubric) warnings.push(`QTI ${itemLabel}：問答題沒有參考答案或評分說明，請匯入後補上`)
+    return {
+      ...base,
+      questionCategory: 'short_answer',
+      referenceAnswer: referenceAnswer || rubric,
+      rubricsDimensions: shortAnswerDimensions(maxScore, referenceAnswer, rubric)
+    }
+  }
+
+  const blanks = [...text, ...inline]
+  if (blanks.length > 0 && choice.length + extended.length === 0) {
+    const parts = []
+    const acceptable = []
+    for (const [k, it] of blanks.entries()) {
+      const decl = decls.get(it.attrs.responseIdentifier)
+      let values = qtiCorrectValues(decl)
+      if (it.name === 'inlineChoiceInteraction') {
+        const byId = new Map(childrenNamed(it, 'inlineChoice').map((c) => [c.attrs.identifier, cleanText(textContent(c))]))
+        values = values.map((v) => byId.get(v) ?? v)
+      } else {
+        acceptable.push(...qtiMappedKeys(decl).filter((v) => !values.includes(v)))
+      }
+      if (values.length === 0) {
+        warnings.push(`QTI ${itemLabel}：第 ${k + 1} 空沒有正解，已跳過整題`)
+        return null
+      }
+      parts.push({ subId: String(k + 1), answer: values[0] })
+      acceptable.push(...values.slice(1))
+    }
+    if (parts.length === 1) {
+      return acceptable.length > 0
+        ? { ...base, questionCategory: 'fill_variants', answer: parts[0].answer, referenceAnswer: parts[0].answer, acceptableAnswers: [...new Set(acceptable)] }
+        : { ...base, questionCategory: 'fill_blank', answer: parts[0].answer }
+    }
+    if (acceptable.length > 0) warnings.push(`QTI ${itemLabel}：多空題的其他可接受答案未匯入（合題只存每空一個正解）`)
+    const per = toScore(maxScore / parts.length, 0)
+    return {
+      ...base,
+      questionCategory: 'fill_blank',
+      answer: parts.map((p) => p.answer).join(', '),
+      parts: parts.map((p) => ({ ...p, maxScore: per }))
+    }
+  }
+
+  const kinds = []
+  const collect = (node) => elementsOf(node).forEach((c) => { if (isInteraction(c)) kinds.push(c.name); collect(c) })
+  collect(body)
+  warnings.push(`QTI ${itemLabel}：不支援的題型（${[...new Set(kinds)].join('/') || '無互動元件'}），已跳過`)
+  return null
+}
+
+function importQti(sources, warnings) {
+  const questions = []
+  for (const { name, content } of sources) {
+    const doc = parseXml(content)
+    const items = descendantsNamed(doc, 'assessmentItem')
+    if (items.length === 0) {
+      if (descendantsNamed(doc, 'assessmentTest').length > 0 || descendantsNamed(doc, 'manifest').length > 0) {
+        warnings.push(`${name || 'QTI'}：這是測驗/套件描述檔、不含題目，請一併上傳各題的 item XML`)
+      } else {
+        warnings.push(`${name || 'QTI'}：找不到 assessmentItem`)
+      }
+      continue
+    }
+    for (const item of items) {
+      const q = convertQtiItem(item, questions.length + 1, warnings)
+      if (q) questions.push(q)
+    }
+  }
+  return questions
+}
+
+// ── Moodle XML ──────────────────────────────────────────────────────────────
+
+function moodleText(node) {
+  return htmlToText(textContent(childNamed(node, 'text') ?? node))
+}
+
+function convertMoodleQuestion(qn, seq, warnings) {
+  const type = qn.attrs.type
+  const label = cleanText(moodleText(childNamed(qn, 'name'))) || `#${seq}`
+  const maxScore = toScore(cleanText(textContent(childNamed(qn, 'defaultgrade'))), 1)
+  const stem = cleanText(moodleText(childNamed(qn, 'questiontext'))).slice(0, 300)
+  const base = { id: String(seq), maxScore, ...(stem ? { questionText: stem } : {}) }
+  const answers = childrenNamed(qn, 'answer').map((a) => ({
+    fraction: Number(a.attrs.fraction) || 0,
+    text: cleanText(moodleText(a)),
+    tolerance: cleanText(textContent(childNamed(a, 'tolerance')))
+  }))
+
+  if (type === 'multichoice') {
+    const single = cleanText(textContent(childNamed(qn, 'single'))).toLowerCase() !== 'false'
+    const correct = answers.map((a, i) => (a.fraction > 0 ? OPTION_LETTERS[i] : null)).filter(Boolean)
+    if (correct.length === 0 || answers.length > OPTION_LETTERS.length) {
+      warnings.push(`Moodle「${label}」：選擇題沒有正解（fraction > 0），已跳過`)
+      return null
+    }
+    if (single && answers.some((a) => a.fraction > 0 && a.fraction < 100)) {
+      warnings.push(`Moodle「${label}」：單選題的部分給分選項一律視為正解`)
+    }
+    return {
+      ...base,
+      questionCategory: single ? 'single_choice' : 'multi_check',
+      answer: correct.join(','),
+      options: answers.map((a, i) => ({ label: OPTION_LETTERS[i], text: a.text.slice(0, 120) }))
+    }
+  }
+  if (type === 'truefalse') {
+    const right = answers.find((a) => a.fraction >= 100)
+    const v = String(right?.text ?? '').toLowerCase()
+    if (v !== 'true' && v !== 'false') {
+      warnings.push(`Moodle「${label}」：是非題正解不是 true/false，已跳過`)
+      return null
+    }
+    return { ...base, questionCategory: 'true_false', answer: v === 'true' ? 'O' : 'X' }
+  }
+  if (type === 'shortanswer' || type === 'numerical') {
+    const full = answers.filter((a) => a.fraction >= 100 && a.text && a.text !== '*')
+    if (full.length === 0) {
+      warnings.push(`Moodle「${label}」：填充題沒有滿分答案，已跳過`)
+      return null
+    }
+    if (answers.some((a) => a.fraction > 0 && a.fraction < 100)) {
+      warnings.push(`Moodle「${label}」：部分給分答案未匯入（只收滿分答案）`)
+    }
+    // 2026-10-19 單一正解的數值容差 → numericPolicy.tolerance.abs（server/ai/numeric-answer.js）；
+    //   多個正解各自容差對不上 fill_variants 的形狀 → 照舊只提示
+    const tolerance = type === 'numerical' && full.length === 1 ? Number(full[0].tolerance) : 0
+    if (type === 'numerical' && full.length > 1 && full.some((a) => Number(a.tolerance) > 0)) {
+      warnings.push(`Moodle「${label}」：多個正解的數值容差未匯入，請在答案卷確認可接受範圍`)
+    }
+    const [first, ...rest] = full.map((a) => a.text)
+    return rest.length > 0
+      ? { ...base, questionCategory: 'fill_variants', answer: first, referenceAnswer: first, acceptableAnswers: [...new Set(rest)] }
+      : {
+          ...base,
+          questionCategory: 'fill_blank',
+          answer: first,
+          ...(Number.isFinite(tolerance) && tolerance > 0 ? { numericPolicy: { tolerance: { abs: tolerance } } } : {})
+        }
+  }
+  if (type === 'essay') {
+    const info = htmlToText(textContent(childNamed(childNamed(qn, 'graderinfo'), 'text')))
+    if (!info) warnings.push(`Moodle「${label}」：問答題沒有評分說明（graderinfo），請匯入後補上參考答案`)
+    return {
+      ...base,
+      questionCategory: 'short_answer',
+      referenceAnswer: info,
+      rubricsDimensions: shortAnswerDimensions(maxScore, info, '')
+    }
+  }
+  warnings.push(`Moodle「${label}」：不支援的題型 ${type}，已跳過`)
+  return null
+}
+
+function importMoodle(sources, warnings) {
+  const questions = []
+  for (const { name, content } of sources) {
+    const quiz = descendantsNamed(parseXml(content), 'quiz')[0]
+    if (!quiz) { warnings.push(`${name || 'Moodle XML'}：找不到 <quiz>`); continue }
+    for (const qn of childrenNamed(quiz, 'question')) {
+      // category = 題庫分類標記、description = 說明文字，都不是題目
+      if (qn.attrs.type === 'category' || qn.attrs.type === 'description') continue
+      const q = convertMoodleQuestion(qn, questions.length + 1, warnings)
+      if (q) questions.push(q)
+    }
+  }
+  return questions
+}
+
+// ── CSV ─────────────────────────────────────────────────────────────────────
+
+function parseCsvRows(text) {
+  const src = String(text).replace(/^﻿/, '')
+  const firstLine = src.slice(0, src.indexOf('\n') < 0 ? src.length : src.indexOf('\n'))
+  const delimiter = (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ','
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i]
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 1 } else if (ch === '"') quoted = false
+      else field += ch
+    } else if (ch === '"' && field === '') quoted = true
+    else if (ch === delimiter) { row.push(field); field = '' } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1
+      row.push(field); field = ''
+      if (row.some((c) => c.trim())) rows.push(row)
+      row = []
+    } else field += ch
+  }
+  row.push(field)
+  if (row.some((c) => c.trim())) rows.push(row)
+  return rows
+}
+
+// 匯出用的標準表頭（answer-key-export.js；欄序即文件範例）
+export const ANSWER_KEY_CSV_HEADER = Object.freeze(['題號', '題型', '配分', '答案', '可接受答案', '評分向度', '小題', '題目'])
+
+// 表頭別名（中英皆可、不分大小寫）
+const CSV_COLUMNS = {
+  id: ['id', '題號'],
+  subId: ['subid', '小題', '空格'],
+  category: ['category', 'questioncategory', '題型'],
+  maxScore: ['maxscore', 'score', '配分'],
+  answer: ['answer', '答案', '正解', '參考答案'],
+  acceptable: ['acceptableanswers', 'acceptable', '可接受答案'],
+  rubric: ['rubric', 'rubricsdimensions', '評分向度'],
+  questionText: ['questiontext', 'stem', '題目']
+}
+
+const CSV_CATEGORY_ALIASES = {
+  單選: 'single_choice',
+  選擇: 'single_choice',
+  複選: 'multi_check',
+  多選: 'multi_check',
+  是非: 'true_false',
+  填充: 'fill_blank',
+  問答: 'short_answer',
+  簡答: 'short_answer'
+}
+const CSV_CATEGORIES = new Set(['single_choice', 'multi_check', 'true_false', 'fill_blank', 'fill_variants', 'short_answer'])
+
+// 評分向度欄：「名稱:配分:標準|名稱:配分:標準」（全形冒號/豎線也可）
+function parseCsvRubric(cell) {
+  return String(cell ?? '').split(/[|｜]/).map((seg) => seg.trim()).filter(Boolean).map((seg) => {
+    const [name, score, ...rest] = seg.split(/[:：]/)
+    return { name: (name || '').trim(), maxScore: toScore(score, NaN), criteria: rest.join(':').trim() }
+  })
+}
+
+function normalizeCsvChoice(answer) {
+  const letters = String(answer).toUpperCase().replace(/[\s,，、;；]+/g, '')
+  return /^[A-J]+$/.test(letters) ? [...new Set(letters)].sort().join(',') : String(answer).trim()
+}
+
+function importCsv(sources, warnings) {
+  const questions = []
+  const byId = new Map()
+  for (const { name, content } of sources) {
+    const rows = parseCsvRows(content)
+    if (rows.length < 2) { warnings.push(`${name || 'CSV'}：至少要有表頭列加一列題目`); continue }
+    const header = rows[0].map((h) => h.trim().toLowerCase().replace(/\s+/g, ''))
+    const col = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([k, aliases]) => [k, header.findIndex((h) => aliases.includes(h))]))
+    if (col.id < 0 || col.category < 0 || col.answer < 0) {
+      warnings.push(`${name || 'CSV'}：表頭缺「題號 / 題型 / 答案」其中之一`)
+      continue
+    }
+    const cell = (row, key) => (col[key] >= 0 ? String(row[col[key]] ?? '').trim() : '')
+    for (const [r, row] of rows.slice(1).entries()) {
+      const line = r + 2
+      const id = cell(row, 'id')
+      const rawCategory = cell(row, 'category')
+      const category = CSV_CATEGORY_ALIASES[rawCategory] || rawCategory.toLowerCase()
+      const answer = cell(row, 'answer')
+      if (!id) { warnings.push(`CSV 第 ${line} 列：沒有題號，已跳過`); continue }
+      if (!CSV_CATEGORIES.has(category)) { warnings.push(`CSV 第 ${line} 列：題型「${rawCategory}」不支援，已跳過`); continue }
+      const maxScore = toScore(cell(row, 'maxScore'), 1)
+      const subId = cell(row, 'subId')
+
+      // 同題號 + 小題欄 → fill_blank 合題（parts）
+      if (subId) {
+        if (category !== 'fill_blank') { warnings.push(`CSV 第 ${line} 列：只有填充題可以分小題，已跳過`); continue }
+        let q = byId.get(id)
+        if (!q) {
+          q = { id, questionCategory: 'fill_blank', maxScore: 0, answer: '', parts: [] }
+          byId.set(id, q)
+          questions.push(q)
+        } else if (!Array.isArray(q.parts)) { warnings.push(`CSV 第 ${line} 列：題號 ${id} 重複，已跳過`); continue }
+        q.parts.push({ subId, answer, maxScore })
+        q.maxScore = toScore(q.maxScore + maxScore, 0)
+        q.answer = q.parts.map((p) => p.answer).join(', ')
+        continue
+      }
+      if (byId.has(id)) { warnings.push(`CSV 第 ${line} 列：題號 ${id} 重複，已跳過`); continue }
+
+      const q = { id, questionCategory: category, maxScore }
+      const stem = cell(row, 'questionText')
+      if (stem) q.questionText = stem
+      const acceptable = cell(row, 'acceptable').split(/[|｜]/).map((s) => s.trim()).filter(Boolean)
+      if (category === 'single_choice' || category === 'multi_check') q.answer = normalizeCsvChoice(answer)
+      else if (category === 'true_false') {
+        const v = answer.toUpperCase()
+        q.answer = /^(O|T|TRUE|對|是|○)$/.test(v) ? 'O' : /^(X|F|FALSE|錯|否|×)$/.test(v) ? 'X' : answer
+      } else if (category === 'short_answer') {
+        q.referenceAnswer = answer
+        const dims = parseCsvRubric(cell(row, 'rubric'))
+        q.rubricsDimensions = dims.length > 0 ? dims : shortAnswerDimensions(maxScore, answer, '')
+      } else if (category === 'fill_variants' || acceptable.length > 0) {
+        Object.assign(q, { questionCategory: 'fill_variants', answer, referenceAnswer: answer, acceptableAnswers: acceptable })
+      } else q.answer = answer
+      byId.set(id, q)
+      questions.push(q)
+    }
+  }
+  return questions
+}
+
+// ── 入口 ────────────────────────────────────────────────────────────────────
+
+export function detectAnswerKeyImportFormat(content, filename = '') {
+  const ext = String(filename).toLowerCase().split('.').pop()
+  if (ext === 'csv' || ext === 'tsv') return ANSWER_KEY_IMPORT_FORMATS.CSV
+  const head = String(content ?? '').replace(/^﻿/, '').trimStart().slice(0, 4000)
+  if (!head.startsWith('<')) return ANSWER_KEY_IMPORT_FORMATS.CSV
+  if (/<quiz[\s>]/.test(head)) return ANSWER_KEY_IMPORT_FORMATS.MOODLE
+  if (/imsqti|assessmentItem|assessmentTest|imscp|<manifest[\s>]/i.test(head)) return ANSWER_KEY_IMPORT_FORMATS.QTI
+  return null
+}
+
+/**
+ * 結構化考卷檔 → answer_key（未驗證；寫入前請走 prepareAnswerKeyForWrite）
+ * @param {{ format?: string, files: Array<{ name?: string, content: string }> }} input
+ * @returns {{ format: string|null, answerKey: object|null, warnings: string[] }}
+ */
+export function importAnswerKeyFromFiles({ format, files }) {
+  const warnings = []
+  const sources = (Array.isArray(files) ? files : []).filter((f) => typeof f?.content === 'string' && f.content.trim())
+  if (sources.length === 0) return { format: null, answerKey: null, warnings: ['沒有可讀的檔案內容'] }
+  const resolved = Object.values(ANSWER_KEY_IMPORT_FORMATS).includes(format)
+    ? format
+    : detectAnswerKeyImportFormat(sources[0].content, sources[0].name)
+  if (!resolved) return { format: null, answerKey: null, warnings: ['無法判斷檔案格式（支援 QTI 2.x / Moodle XML / CSV）'] }
+
+  const importer = {
+    [ANSWER_KEY_IMPORT_FORMATS.QTI]: importQti,
+    [ANSWER_KEY_IMPORT_FORMATS.MOODLE]: importMoodle,
+    [ANSWER_KEY_IMPORT_FORMATS.CSV]: importCsv
+  }[resolved]
+  let questions = importer(sources, warnings)
+  if (questions.length > MAX_IMPORT_QUESTIONS) {
+    warnings.push(`題數 ${questions.length} 超過上限 ${MAX_IMPORT_QUESTIONS}，只匯入前 ${MAX_IMPORT_QUESTIONS} 題`)
+    questions = questions.slice(0, MAX_IMPORT_QUESTIONS)
+  }
+  if (questions.length === 0) return { format: resolved, answerKey: null, warnings }
+
+  const totalScore = toScore(questions.reduce((sum, q) => sum + (Number(q.maxScore) || 0), 0), 0)
+  return {
+    format: resolved,
+    answerKey: {
+      schemaVersion: ANSWER_KEY_SCHEMA_VERSION,
+      questions,
+      totalScore,
+      importSource: { format: resolved, files: sources.map((f) => f.name || '').filter(Boolean).slice(0, 20) }
+    },
+    warnings
+  }
+}
@@ -0,0 +1,123 @@
+// 2026-10-19 家長報告：會考能力等級用語（精熟 A / 基礎 B / 待加強 C）。
+//   docs/升學考試評量架構對齊_2026-08.md 第二節——各科等級描述直接沿用會考成績單的句式（深入/大致/僅能…），
+//   家長現在讀到的，和三年後會考成績單上是同一套語言。對應是決定性的（答對率 → 等級），不經 AI。
+//   ⚠ 一律附 CAP_PROFICIENCY_DISCLAIMER：這是「以會考描述為參照」的校內作業表現，不是官方檢測結果。
+//   描述文字 / 門檻有改 → CAP_PROFICIENCY_VERSION +1（api/report/parent-cache.js 的 answer_key_fp 含版本，舊報告會標 stale）。
+
+import { examDimensionAxis } from './exam-frameworks.js'
+
+export const CAP_PROFICIENCY_VERSION = 1
+export const CAP_PROFICIENCY_DISCLAIMER = '以國中教育會考能力等級描述為參照，僅反映本次作業表現，非官方檢測結果。'
+
+// 會考各科切點逐年公告（依答對題數 / 加權分數），這裡用近年切點換算的答對率約略值、各科共用
+const LEVEL_CUTS = [
+  { level: 'A', label: '精熟', min: 0.85 },
+  { level: 'B', label: '基礎', min: 0.45 },
+  { level: 'C', label: '待加強', min: 0 }
+]
+// 向度題數太少不給等級（一題錯就掉兩級沒有意義）
+const MIN_DIMENSION_QUESTIONS = 2
+
+// 會考各科能力等級描述（心測中心公告原文摘要；英語取閱讀——聽力目前只分兩級）
+const CAP_DESCRIPTORS = {
+  國語: {
+    A: '能具備與教材相關的語文知識，能深入的理解、評鑑各類文本',
+    B: '大致能具備與教材相關的語文知識，大致能理解、評鑑各類文本',
+    C: '僅能具備部分與教材相關的語文知識，僅能有限的理解各類文本'
+  },
+  英語: {
+    A: '能理解所學字詞的常見語意、常見句型結構，能指出文本主旨',
+    B: '能理解所學字詞的基本語意、基本句型結構，能提取文本中明確的訊息',
+    C: '僅能理解少數所學字詞的基本語意'
+  },
+  數學: {
+    A: '能分析複雜、不明顯的數學訊息，並發展解題策略',
+    B: '能理解基本的數學概念，能操作算則或程序',
+    C: '僅認識部分基本的數學概念，僅能操作部分算則或程序'
+  },
+  社會: {
+    A: '能廣泛認識學習內容，並運用多元知識探究社會現象',
+    B: '能大致認識學習內容，並運用基礎知識探究社會現象',
+    C: '能約略認識學習內容，並能覺察相關訊息'
+  },
+  自然: {
+    A: '能融會貫通學習內容，並運用探究能力解決多層次思考的問題',
+    B: '能知道及理解學習內容，並運用探究能力解決基本問題',
+    C: '能部分知道及理解學習內容'
+  }
+}
+
+function levelOf(rate) {
+  if (!Number.isFinite(rate)) return null
+  return LEVEL_CUTS.find((c) => rate >= c.min - 1e-9) ?? null
+}
+
+function levelEntry(subject, cut) {
+  return cut ? { level: cut.level, label: cut.label, descriptor: CAP_DESCRIPTORS[subject][cut.level] } : null
+}
+
+/**
+ * 一位學生一份作業 → 家長報告的會考等級段落。
+ * @param {{
+ *   subject: string|null, framework?: string|null,
+ *   dimensionByQid?: Map<string, string>,
+ *   details: Array<{ questionId?: string, score?: number, maxScore?: number }>
+ * }} input - dimensionByQid：題號 → 已 normalizeExamDimension 的向度代碼（沒有就只給整體等級）
+ * @returns {object|null} 科目對不到會考五科、或沒有可計分的題目 → null
+ */
+export function computeCapProficiency({ subject, framework = null, dimensionByQid = new Map(), details }) {
+  if (!CAP_DESCRIPTORS[subject]) return null
+  let score = 0
+  let max = 0
+  const byAxis = new Map()
+  for (const d of Array.isArray(details) ? details : []) {
+    const m = Number(d?.maxScore)
+    if (!Number.isFinite(m) || m <= 0) continue
+    const s = Math.min(m, Math.max(0, Number(d?.score) || 0))
+    score += s
+    max += m
+    const axis = framework ? examDimensionAxis(framework, subject, dimensionByQid.get(String(d?.questionId ?? ''))) : null
+    if (!axis) continue
+    const e = byAxis.get(axis.code) ?? { code: axis.code, label: axis.label, score: 0, max: 0, questionCount: 0 }
+    e.score += s
+    e.max += m
+    e.questionCount++
+    byAxis.set(axis.code, e)
+  }
+  if (max <= 0) return null
+
+  const rate = score / max
+  const overallCut = levelOf(rate)
+  const nextCut = LEVEL_CUTS[LEVEL_CUTS.indexOf(overallCut) - 1] ?? null
+  const dimensions = [...byAxis.values()].map((e) => {
+    const r = e.score / e.max
+    const cut = e.questionCount >= MIN_DIMENSION_QUESTIONS ? levelOf(r) : null
+    return {
+      code: e.code,
+      label: e.label,
+      rate: Math.round(r * 1000) / 1000,
+      questionCount: e.questionCount,
+      level: cut?.level ?? null,
+      levelLabel: cut?.label ?? null
+    }
+  })
+  const stronger = dimensions.filter((d) => d.level === 'A').map((d) => d.label)
+  const weaker = dimensions.filter((d) => d.level === 'C').map((d) => d.label)
+  const subjectName = subject === '國語' ? '國文' : subject
+
+  let summary = `本次${subjectName}作業的表現接近會考「${overallCut.label}」等級：${CAP_DESCRIPTORS[subject][overallCut.level]}。`
+  if (nextCut) summary += `要達到「${nextCut.label}」等級，還需要${CAP_DESCRIPTORS[subject][nextCut.level]}。`
+  if (stronger.length) summary += `其中「${stronger.join('、')}」已達精熟。`
+  if (weaker.length) summary += `「${weaker.join('、')}」還在待加強。`
+
+  return {
+    version: CAP_PROFICIENCY_VERSION,
+    subject,
+    rate: Math.round(rate * 1000) / 1000,
+    overall: levelEntry(subject, overallCut),
+    nextLevel: levelEntry(subject, nextCut),
+    dimensions,
+    summary,
+    disclaimer: CAP_PROFICIENCY_DISCLAIMER
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * concept-mastery.js — 2026-10-19 學生 × 108 課綱概念的長期精熟度（跨作業）
+ *
+ * 背景：
+ *   每份作業都把 conceptTags 凍結進 submission，但只有單次作業的統計；導師要看的是
+ *   「這個學生 N-7-3 已經連續三次考試沒過」，不是一次性的分數。
+ *
+ * 模型：貝氏知識追蹤（BKT）+ 時間衰減
+ *   1. 一份作業 = 一筆觀測（該概念的逐題得分率）；每題做一次 BKT 更新，部分給分以得分率當軟證據
+ *      （後驗 = r·P(L|對) + (1−r)·P(L|錯)）。
+ *   2. 兩次觀測之間精熟度往先驗衰減（半衰期 MASTERY_HALF_LIFE_DAYS）——半年前會、不代表現在還會。
+ *   3. 每列存「最近 MAX_OBSERVATIONS 份作業的觀測」，估計值每次從頭重播：
+ *      同一份作業重批改 / 申訴改分 = 取代那筆觀測，不會重複計入證據（冪等）。
+ *   4. consecutive_failures = 依時間排序、最後連續幾份作業該概念得分率 < FAIL_RATE；≥ STRUGGLING_STREAK 標 struggling。
+ *
+ * 寫入：api/data/[action].js applySubmissionStateTransitions（Phase B / save-grading / sync / 學生自助批改都會經過）
+ *   與 dispute-resolve、reconcile-phase-b-regrade（改分不走狀態轉換）。
+ *   表：student_concept_mastery（DDL 見 docs/ddl/2026-10-19_student_concept_mastery.sql）。
+ *   fail-open：表不存在 / 寫入失敗只 warn，絕不影響批改。CONCEPT_MASTERY_ENABLED=false 整個關掉。
+ *   同一生同一概念兩份作業同時寫入是 read-modify-write（後寫覆蓋）；下次任一份重批就會補回，可接受。
+ *
+ * 概念來源（同 exam-compare）：detail.conceptCode（凍結）> assignment.concept_tags > answer_key analysis.code。
+ */
+
+const P_INIT = 0.3
+const P_LEARN = 0.1
+const P_GUESS = 0.2
+const P_SLIP = 0.1
+export const MASTERY_HALF_LIFE_DAYS = 90
+export const MAX_OBSERVATIONS = 40
+export const FAIL_RATE = 0.5
+export const STRUGGLING_STREAK = 3
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export function isConceptMasteryEnabled() {
+  return process.env.CONCEPT_MASTERY_ENABLED !== 'false'
+}
+
+const round = (v, digits = 3) => Math.round(v * 10 ** digits) / 10 ** digits
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value
+  try { return JSON.parse(value) } catch { return null }
+}
+
+/** 衰減到 now：往先驗拉回，半衰期 MASTERY_HALF_LIFE_DAYS */
+export function decayMastery(mastery, fromMs, toMs) {
+  const days = Math.max(0, (Number(toMs) - Number(fromMs)) / DAY_MS)
+  if (!Number.isFinite(days) || days === 0) return mastery
+  return P_INIT + (mastery - P_INIT) * 2 ** (-days / MASTERY_HALF_LIFE_DAYS)
+}
+
+function bktStep(pL, rate) {
+  const r = Math.min(1, Math.max(0, rate))
+  const right = (pL * (1 - P_SLIP)) / (pL * (1 - P_SLIP) + (1 - pL) * P_GUESS)
+  const wrong = (pL * P_SLIP) / (pL * P_SLIP + (1 - pL) * (1 - P_GUESS))
+  const posterior = r * right + (1 - r) * wrong
+  return posterior + (1 - posterior) * P_LEARN
+}
+
+/**
+ * 觀測重播 → 估計值。
+ * @param {Array<{ a: string, t: number, s: number, m: number, r: number[] }>} observations - a=作業 / t=批改時間 ms / s,m=得分,配分 / r=逐題得分率
+ */
+export function replayConceptMastery(observations) {
+  const obs = [...observations].sort((x, y) => x.t - y.t)
+  let pL = P_INIT
+  let lastT = null
+  let evidenceCount = 0
+  for (const o of obs) {
+    if (lastT !== null) pL = decayMastery(pL, lastT, o.t)
+    for (const r of o.r) pL = bktStep(pL, r)
+    evidenceCount += o.r.length
+    lastT = o.t
+  }
+  let consecutiveFailures = 0
+  for (let i = obs.length - 1; i >= 0; i -= 1) {
+    if (obs[i].m > 0 && obs[i].s / obs[i].m < FAIL_RATE) consecutiveFailures++
+    else break
+  }
+  return {
+    mastery: round(pL),
+    evidenceCount,
+    assignmentCount: obs.length,
+    consecutiveFailures,
+    lastObservedAt: lastT
+  }
+}
+
+/**
+ * 一份批改結果 → 概念 → 觀測（逐題得分率）。
+ * @returns {Map<string, { label: string, score: number, max: number, rates: number[] }>}
+ */
+export function conceptObservationsFromGrading({ gradingResult, conceptTags, answerKey }) {
+  const qMap = new Map()
+  const tags = parseJson(conceptTags)
+  if (tags && typeof tags === 'object') {
+    for (const [qid, t] of Object.entries(tags)) {
+      if (t?.code) qMap.set(String(qid), { code: String(t.code), label: t.label || t.code })
+    }
+  }
+  const ak = parseJson(answerKey)
+  for (const q of Array.isArray(ak?.questions) ? ak.questions : []) {
+    const qid = String(q?.id ?? '')
+    const code = q?.analysis?.code
+    if (qid && code && !qMap.has(qid)) qMap.set(qid, { code: String(code), label: q?.analysis?.topic || code })
+  }
+
+  const out = new Map()
+  const gr = parseJson(gradingResult)
+  for (const d of Array.isArray(gr?.details) ? gr.details : []) {
+    const qid = String(d?.questionId ?? '')
+    const max = Number(d?.maxScore)
+    if (!qid || !Number.isFinite(max) || max <= 0) continue
+    const concept = d?.conceptCode
+      ? { code: String(d.conceptCode), label: d.conceptLabel || d.conceptCode }
+      : qMap.get(qid)
+    if (!concept) continue
+    const score = Math.min(max, Math.max(0, Number(d?.score) || 0))
+    const e = out.get(concept.code) ?? { label: concept.label, score: 0, max: 0, rates: [] }
+    e.score += score
+    e.max += max
+    e.rates.push(round(score / max, 2))
+    out.set(concept.code, e)
+  }
+  return out
+}
+
+/** DB 列 → 對外格式（精熟度衰減到 now） */
+export function toConceptMasteryView(row, now = Date.now()) {
+  const last = row.last_observed_at ? Date.parse(row.last_observed_at) : null
+  const obs = Array.isArray(row.observations) ? [...row.observations].sort((x, y) => x.t - y.t) : []
+  const failures = Number(row.consecutive_failures) || 0
+  return {
+    code: row.concept_code,
+    label: row.concept_label || row.concept_code,
+    mastery: last ? round(decayMastery(Number(row.mastery), last, now)) : Number(row.mastery),
+    evidenceCount: Number(row.evidence_count) || 0,
+    assignmentCount: obs.length,
+    consecutiveFailures: failures,
+    struggling: failures >= STRUGGLING_STREAK,
+    lastObservedAt: last,
+    // 最近 5 份作業的得分率（舊 → 新），給前端畫小趨勢
+    recent: obs.slice(-5).map((o) => ({ assignmentId: o.a, rate: o.m > 0 ? round(o.s / o.m) : null, at: o.t }))
+  }
+}
+
+/**
+ * 批改結果寫入後更新精熟度。rows 同 applySubmissionStateTransitions 的 submission rows
+ * （assignment_id / student_id / grading_result / graded_at / source / status）。
+ * 只收正式作業卷：訂正卷（student_correction）與作廢卷不算一次「考試」。
+ */
+export async function recordConceptMastery(supabaseDb, ownerId, rows) {
+  if (!isConceptMasteryEnabled() || !ownerId || !Array.isArray(rows)) return
+  try {
+    const usable = rows.filter((r) =>
+      r?.assignment_id && r?.student_id && r.grading_result &&
+      String(r.source || '') !== 'student_correction' &&
+      String(r.status || '').toLowerCase() !== 'superseded'
+    )
+    if (usable.length === 0) return
+
+    const assignmentIds = [...new Set(usable.map((r) => r.assignment_id))]
+    const { data: asgRows, error: asgErr } = await supabaseDb
+      .from('assignments').select('id, concept_tags, answer_key')
+      .eq('owner_id', ownerId).in('id', assignmentIds)
+    if (asgErr) throw new Error(asgErr.message)
+    const asgById = new Map((asgRows ?? []).map((a) => [a.id, a]))
+
+    // 學生 → 概念 → 這份作業的觀測（同一批同一生同一作業多張卷：批改時間晚的勝出）
+    const pending = new Map()
+    for (const r of usable) {
+      const asg = asgById.get(r.assignment_id)
+      if (!asg) continue
+      // 沒帶批改時間（申訴 / 重批對帳改分）→ 沿用該作業原本的觀測時間，不把它挪到最新
+      const t = Number(r.graded_at) || null
+      const byConcept = conceptObservationsFromGrading({
+        gradingResult: r.grading_result, conceptTags: asg.concept_tags, answerKey: asg.answer_key
+      })
+      const stu = pending.get(r.student_id) ?? new Map()
+      pending.set(r.student_id, stu)
+      for (const [code, o] of byConcept) {
+        const prev = stu.get(`${code}\u0000${r.assignment_id}`)
+        if (prev && (prev.obs.t ?? 0) > (t ?? 0)) continue
+        stu.set(`${code}\u0000${r.assignment_id}`, {
+          code, label: o.label, obs: { a: r.assignment_id, t, s: round(o.score, 2), m: round(o.max, 2), r: o.rates }
+        })
+      }
+    }
+    if (pending.size === 0) return
+
+    const now = new Date().toISOString()
+    for (const [studentId, entries] of pending) {
+      const codes = [...new Set([...entries.values()].map((e) => e.code))]
+      const { data: existing, error: exErr } = await supabaseDb
+        .from('student_concept_mastery').select('concept_code, concept_label, observations')
+        .eq('owner_id', ownerId).eq('student_id', studentId).in('concept_code', codes)
+      if (exErr) throw new Error(exErr.message)
+      const obsByCode = new Map((existing ?? []).map((row) => [row.concept_code, {
+        label: row.concept_label, list: Array.isArray(row.observations) ? row.observations : []
+      }]))
+      for (const e of entries.values()) {
+        const cur = obsByCode.get(e.code) ?? { label: e.label, list: [] }
+        const old = cur.list.find((o) => o.a === e.obs.a)
+        if (old && e.obs.t !== null && old.t > e.obs.t) continue
+        const obs = { ...e.obs, t: e.obs.t ?? old?.t ?? Date.now() }
+        cur.list = [...cur.list.filter((o) => o.a !== e.obs.a), obs]
+        cur.label = e.label || cur.label
+        obsByCode.set(e.code, cur)
+      }
+      const upserts = codes.map((code) => {
+        const cur = obsByCode.get(code)
+        const list = [...cur.list].sort((x, y) => x.t - y.t).slice(-MAX_OBSERVATIONS)
+        const est = replayConceptMastery(list)
+        return {
+          owner_id: ownerId,
+          student_id: studentId,
+          concept_code: code,
+          concept_label: cur.label || code,
+          mastery: est.mastery,
+          evidence_count: est.evidenceCount,
+          consecutive_failures: est.consecutiveFailures,
+          observations: list,
+          last_observed_at: est.lastObservedAt ? new Date(est.lastObservedAt).toISOString() : null,
+          updated_at: now
+        }
+      })
+      const { error: upErr } = await supabaseDb
+        .from('student_concept_mastery')
+        .upsert(upserts, { onConflict: 'owner_id,student_id,concept_code' })
+      if (upErr) throw new Error(upErr.message)
+    }
+  } catch (err) {
+    console.warn('[concept-mastery] update failed (fail-open):', err?.message)
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * concept-prerequisites.js — 2026-10-19 概念先備關係圖 + 補救路徑
+ *
+ * 背景：
+ *   concept_map 只是「每年級每科一串代碼」，沒有先後關係；學生 N-5-3 不會，真正的病根常在 N-4-x。
+ *   老師看到的建議卻停在「症狀題」（複習第 12 題）。
+ *
+ * 資料：concept_prerequisites（先備 from_code → 概念 to_code，可跨年級；DDL 見 docs/ddl/2026-10-19_concept_prerequisites.sql）
+ *   匯入格式（CSV / JSON）見 docs/概念先備關係匯入格式.md；data action concept-prerequisites（admin 匯入、GET 列出）。
+ *   匯入一律檢查環——有環的圖走不出「最早的」先備，整批拒收。
+ *
+ * 補救路徑（buildRemediationPath）：
+ *   從未過的概念沿先備邊往回走，只穿過「也弱」的先備；走到先備都不弱（或沒有先備）的弱概念 = 病根。
+ *   沒有證據的先備不往回走，列在 unverified（建議先做小診斷）。
+ *   回傳依先備順序排好的路徑：病根 → 中間概念 → 未過的概念；同層依年級、代碼排。
+ *   弱不弱由呼叫端決定（學生 / 班級用 student_concept_mastery，見 loadConceptWeakness）。
+ */
+
+import { STRUGGLING_STREAK, toConceptMasteryView } from './concept-mastery.js'
+
+export const PREREQ_MAX_DEPTH = 6
+export const WEAK_MASTERY = 0.5
+// 班級：有證據的學生中 ≥ 此比例連續未過，也算全班弱
+const CLASS_STRUGGLING_SHARE = 1 / 3
+const MAX_IMPORT_EDGES = 5000
+const MAX_CODE_LEN = 40
+
+const HEADER_ALIASES = {
+  from: ['先備', '先備概念', 'prerequisite', 'prerequisites', 'from'],
+  to: ['概念', '目標概念', 'concept', 'to'],
+  note: ['說明', '備註', 'note']
+}
+
+function splitCsvLine(line, sep) {
+  const out = []
+  let cur = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i]
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i += 1 } else if (ch === '"') quoted = false
+      else cur += ch
+    } else if (ch === '"') quoted = true
+    else if (ch === sep) { out.push(cur); cur = '' } else cur += ch
+  }
+  out.push(cur)
+  return out.map((s) => s.trim())
+}
+
+const normCode = (v) => String(v ?? '').normalize('NFKC').replace(/\s+/g, '').trim()
+
+/**
+ * 匯入內容 → 邊。
+ * @param {string} content - CSV（先備,概念,說明；先備欄可用 | 列多個）或 JSON（[{ prerequisite, concept, note }] 或 { edges: [...] }）
+ * @param {{ format?: 'csv'|'json' }} [opts] - 省略 = 依內容判斷
+ * @returns {{ edges: Array<{ from: string, to: string, note: string|null }>, warnings: string[] }}
+ */
+export function parsePrerequisiteImport(content, { format } = {}) {
+  const text = String(content ?? '').replace(/^﻿/, '')
+  const warnings = []
+  const raw = []
+  const fmt = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv')
+  if (fmt === 'json') {
+    let parsed
+    try { parsed = JSON.parse(text) } catch (err) { return { edges: [], warnings: [`JSON 解析失敗：${err.message}`] } }
+    const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.edges) ? parsed.edges : []
+    list.forEach((e, i) => {
+      const froms = [].concat(e?.prerequisite ?? e?.prerequisites ?? e?.from ?? [])
+      for (const f of froms) raw.push({ from: f, to: e?.concept ?? e?.to, note: e?.note, where: `第 ${i + 1} 筆` })
+    })
+  } else {
+    const lines = text.split(/\r?\n/).filter((l) => l.trim())
+    if (lines.length === 0) return { edges: [], warnings: ['檔案是空的'] }
+    const sep = lines[0].includes('\t') ? '\t' : ','
+    const header = splitCsvLine(lines[0], sep).map((h) => h.toLowerCase())
+    const col = (key) => header.findIndex((h) => HEADER_ALIASES[key].includes(h))
+    const [iFrom, iTo, iNote] = [col('from'), col('to'), col('note')]
+    if (iFrom < 0 || iTo < 0) return { edges: [], warnings: ['表頭需要「先備」與「概念」兩欄（或 prerequisite / concept）'] }
+    lines.slice(1).forEach((line, i) => {
+      const cells = splitCsvLine(line, sep)
+      for (const f of String(cells[iFrom] ?? '').split('|')) {
+        raw.push({ from: f, to: cells[iTo], note: iNote >= 0 ? cells[iNote] : null, where: `第 ${i + 2} 列` })
+      }
+    })
+  }
+
+  const seen = new Set()
+  const edges = []
+  for (const r of raw) {
+    const from = normCode(r.from)
+    const to = normCode(r.to)
+    if (!from || !to) { warnings.push(`${r.where}：缺先備或概念代碼，略過`); continue }
+    if (from.length > MAX_CODE_LEN || to.length > MAX_CODE_LEN) { warnings.push(`${r.where}：代碼過長，略過`); continue }
+    if (from === to) { warnings.push(`${r.where}：${from} 不能是自己的先備，略過`); continue }
+    const key = `${from}\u0000${to}`
+    if (seen.has(key)) continue
+    seen.add(key)
+    edges.push({ from, to, note: typeof r.note === 'string' && r.note.trim() ? r.note.trim().slice(0, 200) : null })
+  }
+  if (edges.length > MAX_IMPORT_EDGES) {
+    warnings.push(`單次最多 ${MAX_IMPORT_EDGES} 條，其餘略過`)
+    edges.length = MAX_IMPORT_EDGES
+  }
+  return { edges, warnings }
+}
+
+/** 有環 → 回環上的代碼序列（首尾相同）；無環回 null */
+export function findPrerequisiteCycle(edges) {
+  const next = new Map()
+  for (const e of edges) {
+    if (!next.has(e.from)) next.set(e.from, [])
+    next.get(e.from).push(e.to)
+  }
+  const state = new Map() // 1 = 走訪中、2 = 完成
+  const stack = []
+  const visit = (node) => {
+    state.set(node, 1)
+    stack.push(node)
+    for (const n of next.get(node) ?? []) {
+      if (state.get(n) === 1) return [...stack.slice(stack.indexOf(n)), n]
+      if (!state.has(n)) {
+        const found = visit(n)
+        if (found) return found
+      }
+    }
+    stack.pop()
+    state.set(node, 2)
+    return null
+  }
+  for (const node of next.keys()) {
+    if (state.has(node)) continue
+    const found = visit(node)
+    if (found) return found
+  }
+  return null
+}
+
+// 代碼裡的年級段（N-4-12 → 4、A-7-1 → 7）；排序用，認不出排最後
+function gradeOf(code) {
+  const m = String(code).match(/-(\d{1,2})-/)
+  return m ? Number(m[1]) : 99
+}
+
+/**
+ * @param {{
+ *   targets: string[],
+ *   edges: Array<{ from: string, to: string }>,
+ *   weakness: (code: string) => ({ weak: boolean, mastery?: number|null, evidenceCount?: number } | null),
+ *   labels?: Map<string, string>,
+ *   maxDepth?: number
+ * }} input - weakness 回 null = 沒有證據
+ * @returns {{ path: Array<object>, rootCauses: string[], unverified: Array<object> }}
+ */
+export function buildRemediationPath({ targets, edges, weakness, labels = new Map(), maxDepth = PREREQ_MAX_DEPTH }) {
+  const prereqsOf = new Map()
+  for (const e of edges) {
+    if (!prereqsOf.has(e.to)) prereqsOf.set(e.to, [])
+    prereqsOf.get(e.to).push(e.from)
+  }
+  const nodes = new Map() // code → { feeds: Set<target>, depth }
+  const unverified = new Map()
+  const targetSet = new Set(targets.map(normCode).filter(Boolean))
+
+  for (const target of targetSet) {
+    const queue = [[target, 0]]
+    const seen = new Set([target])
+    while (queue.length) {
+      const [code, depth] = queue.shift()
+      const n = nodes.get(code) ?? { feeds: new Set(), depth: 0 }
+      n.feeds.add(target)
+      n.depth = Math.max(n.depth, depth)
+      nodes.set(code, n)
+      if (depth >= maxDepth) continue
+      for (const p of prereqsOf.get(code) ?? []) {
+        if (seen.has(p)) continue
+        seen.add(p)
+        const w = weakness(p)
+        if (w === null) {
+          const u = unverified.get(p) ?? new Set()
+          u.add(target)
+          unverified.set(p, u)
+        } else if (w.weak) {
+          queue.push([p, depth + 1])
+        }
+      }
+    }
+  }
+
+  // 病根：路徑上的弱概念，且它的先備沒有一個在路徑上
+  const inPath = (c) => nodes.has(c)
+  const roleOf = (code) => {
+    if (targetSet.has(code) && !(prereqsOf.get(code) ?? []).some(inPath)) return 'root_cause'
+    if (targetSet.has(code)) return 'target'
+    return (prereqsOf.get(code) ?? []).some(inPath) ? 'intermediate' : 'root_cause'
+  }
+
+  // 依先備順序（Kahn），同層依年級、代碼
+  const indeg = new Map([...nodes.keys()].map((c) => [c, (prereqsOf.get(c) ?? []).filter(inPath).length]))
+  const order = []
+  const byOrder = (a, b) => gradeOf(a) - gradeOf(b) || a.localeCompare(b)
+  let ready = [...indeg.entries()].filter(([, d]) => d === 0).map(([c]) => c).sort(byOrder)
+  while (ready.length) {
+    const code = ready.shift()
+    order.push(code)
+    for (const e of edges) {
+      if (e.from !== code || !indeg.has(e.to)) continue
+      indeg.set(e.to, indeg.get(e.to) - 1)
+      if (indeg.get(e.to) === 0) ready = [...ready, e.to].sort(byOrder)
+    }
+  }
+
+  const path = order.map((code) => {
+    const w = weakness(code)
+    return {
+      code,
+      label: labels.get(code) ?? null,
+      role: roleOf(code),
+      mastery: w?.mastery ?? null,
+      evidenceCount: w?.evidenceCount ?? 0,
+      feeds: [...nodes.get(code).feeds].filter((t) => t !== code)
+    }
+  })
+  return {
+    path,
+    rootCauses: path.filter((p) => p.role === 'root_cause').map((p) => p.code),
+    unverified: [...unverified.entries()]
+      .filter(([code]) => !nodes.has(code))
+      .map(([code, feeds]) => ({ code, label: labels.get(code) ?? null, feeds: [...feeds] }))
+  }
+}
+
+/**
+ * 從 targets 往回抓先備邊（逐層查、最多 PREREQ_MAX_DEPTH 層）。
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseDb
+ */
+export async function loadPrerequisiteEdges(supabaseDb, targets, maxDepth = PREREQ_MAX_DEPTH) {
+  const edges = []
+  const seen = new Set()
+  let frontier = [...new Set(targets.map(normCode).filter(Boolean))]
+  frontier.forEach((c) => seen.add(c))
+  for (let depth = 0; depth < maxDepth && frontier.length; depth += 1) {
+    const { data, error } = await supabaseDb
+      .from('concept_prerequisites').select('from_code, to_code').in('to_code', frontier)
+    if (error) throw new Error(error.message)
+    const nextFrontier = []
+    for (const row of data ?? []) {
+      edges.push({ from: row.from_code, to: row.to_code })
+      if (!seen.has(row.from_code)) { seen.add(row.from_code); nextFrontier.push(row.from_code) }
+    }
+    frontier = nextFrontier
+  }
+  return edges
+}
+
+/** 代碼 → concept_map 標籤（查不到的不列） */
+export async function loadConceptLabels(supabaseDb, codes) {
+  const list = [...new Set(codes)].filter(Boolean)
+  if (list.length === 0) return new Map()
+  const { data } = await supabaseDb.from('concept_map').select('code, label').in('code', list)
+  return new Map((data ?? []).map((r) => [r.code, r.label]))
+}
+
+/**
+ * 學生（一位）或班級（多位）的概念弱項：student_concept_mastery → Map(code → { weak, mastery, evidenceCount, struggling })。
+ *   一位：衰減後精熟度 < WEAK_MASTERY 或連續未過 ≥ STRUGGLING_STREAK。
+ *   多位：有證據學生的平均精熟度 < WEAK_MASTERY，或 ≥ 1/3 連續未過。
+ */
+export async function loadConceptWeakness(supabaseDb, ownerId, studentIds) {
+  const out = new Map()
+  if (!studentIds.length) return out
+  const { data, error } = await supabaseDb
+    .from('student_concept_mastery')
+    .select('student_id, concept_code, concept_label, mastery, evidence_count, consecutive_failures, observations, last_observed_at')
+    .eq('owner_id', ownerId)
+    .in('student_id', studentIds)
+  if (error) throw new Error(error.message)
+  const acc = new Map()
+  const now = Date.now()
+  for (const row of data ?? []) {
+    const v = toConceptMasteryView(row, now)
+    const a = acc.get(v.code) ?? { label: v.label, n: 0, sum: 0, struggling: 0, evidence: 0 }
+    a.n++
+    a.sum += v.mastery
+    a.evidence += v.evidenceCount
+    if (v.consecutiveFailures >= STRUGGLING_STREAK) a.struggling++
+    acc.set(v.code, a)
+  }
+  for (const [code, a] of acc) {
+    const mastery = Math.round((a.sum / a.n) * 1000) / 1000
+    const strugglingShare = a.struggling / a.n
+    out.set(code, {
+      label: a.label,
+      mastery,
+      evidenceCount: a.evidence,
+      struggling: a.struggling,
+      weak: mastery < WEAK_MASTERY || (studentIds.length > 1 ? strugglingShare >= CLASS_STRUGGLING_SHARE : a.struggling > 0)
+    })
+  }
+  return out
+}
@@ -0,0 +1,251 @@
+// 2026-10-19 命題藍圖對照（docs/升學考試評量架構對齊_2026-08.md 第四節「三個立即可做的產品升級」之 3）：
+//   批改前就能跑——拿答案卷的題型 / 配分 / 考試向度標籤，對照該學段升學考試公告的試卷結構，
+//   回「本卷非選僅占 8%（學測社會 20–30%）」這種命題回饋給教學組長 / 領域召集人。
+// 純函式、無 DB；資料收集在 api/data/[action].js handleExamBlueprintCheck。
+// 結構數字逐字出自 local-only/exam-frameworks/（學測考試說明）與上述 doc 的會考題數；
+// 縣市學力檢測的「試題分布」是圖表、原文沒擷取到 → saa 只做向度覆蓋、不比比例。
+
+import { EXAM_FRAMEWORKS, examDimensionAxis, examDimensionsFor } from './exam-frameworks.js'
+
+// 選擇題型：學生只做「挑選」的題型；其餘（填充、計算、簡答、含說明的複合題…）都算非選
+const CHOICE_CATEGORIES = new Set([
+  'single_choice', 'multi_choice', 'circle_select_one', 'circle_select_many',
+  'single_check', 'multi_check', 'true_false'
+])
+// 學測數學的「選填」屬第壹部分（與單選 / 多選同列）
+const MATH_FILL_IN = ['fill_blank', 'multi_fill']
+
+const LOW_TAG_COVERAGE = 0.6
+const BALANCE_TOLERANCE = 0.1
+
+const GSAT_MANDARIN_CODES = examDimensionsFor('gsat', '國語').map((d) => d.code)
+const GSAT_SOCIAL_CODES = examDimensionsFor('gsat', '社會').map((d) => d.code)
+const GSAT_SCIENCE_CODES = examDimensionsFor('gsat', '自然').map((d) => d.code)
+// 學測社會四大項（H/G/C 各自分屬前三項、S 為第四項）
+const GSAT_SOCIAL_TIERS = {
+  1: ['H1', 'H2', 'G1', 'G2', 'G3', 'C1', 'C2'],
+  2: ['H3', 'H4', 'H5', 'H6', 'G4', 'G5', 'G6', 'C3', 'C4', 'C5'],
+  3: ['H7', 'H8', 'H9', 'G7', 'G8', 'G9', 'C6', 'C7']
+}
+
+/**
+ * 各學段 × 科目的試卷結構。
+ *   typeMix：非選擇題占比區間（basis 'score' 以配分、'count' 以題數；choiceLike 追加算選擇的題型；required = 至少要有一題非選）
+ *   groups：應該都要出現的向度群（零覆蓋 → warn；groupSeverity 'info' = 內容軸、段考只考部分單元屬正常）
+ *   balance：群間應大致均衡（各群占比偏離平均超過 BALANCE_TOLERANCE → warn）
+ */
+export const EXAM_BLUEPRINTS = Object.freeze({
+  gsat: {
+    國語: {
+      typeMix: { min: 0.2, max: 0.28, basis: 'score', source: '國綜混合題型中的非選擇題占全卷 100 分中 20–28 分（國寫另考、不在此比）' },
+      groups: [
+        { id: 'A', label: '國語文知識的認知與應用', codes: GSAT_MANDARIN_CODES.filter((c) => c.startsWith('A')) },
+        { id: 'B', label: '文本的理解與探究', codes: GSAT_MANDARIN_CODES.filter((c) => c.startsWith('B')) }
+      ]
+    },
+    數學: {
+      typeMix: { min: 0.15, max: 0.2, basis: 'score', choiceLike: MATH_FILL_IN, source: '第壹部分（單選、多選、選填）約 80–85%，第貳部分混合題型約 15–20%；混合題內的選擇小題本卷算在選擇側，實際占比可能略低' }
+    },
+    英語: {
+      typeMix: { min: null, max: null, required: true, basis: 'score', source: '整卷分選擇、混合、非選擇三部分，非選擇題型為中譯英與英文作文' }
+    },
+    社會: {
+      typeMix: { min: 0.2, max: 0.3, basis: 'score', source: '全卷非選擇題型占分比例以 20–30% 為原則' },
+      groups: [
+        { id: '1', label: '覺察說明', codes: GSAT_SOCIAL_TIERS[1] },
+        { id: '2', label: '分析詮釋', codes: GSAT_SOCIAL_TIERS[2] },
+        { id: '3', label: '判斷、反思與評鑑', codes: GSAT_SOCIAL_TIERS[3] },
+        { id: '4', label: '整合探究（跨科）', codes: GSAT_SOCIAL_CODES.filter((c) => c.startsWith('S')) }
+      ],
+      balance: {
+        label: '歷史、地理、公民與社會三科均衡',
+        groups: [
+          { id: 'H', label: '歷史', codes: GSAT_SOCIAL_CODES.filter((c) => c.startsWith('H')) },
+          { id: 'G', label: '地理', codes: GSAT_SOCIAL_CODES.filter((c) => c.startsWith('G')) },
+          { id: 'C', label: '公民與社會', codes: GSAT_SOCIAL_CODES.filter((c) => c.startsWith('C')) }
+        ]
+      }
+    },
+    自然: {
+      typeMix: { min: 0.2, max: 0.3, basis: 'score', source: '整卷中選擇題占分約 70–80%，非選擇題占分約 20–30%' },
+      groups: [
+        { id: '1', label: '基本知識與概念', codes: GSAT_SCIENCE_CODES.filter((c) => c.startsWith('1')) },
+        { id: '2', label: '資料和圖表的理解', codes: GSAT_SCIENCE_CODES.filter((c) => c.startsWith('2')) },
+        { id: '3', label: '知識的應用', codes: GSAT_SCIENCE_CODES.filter((c) => c.startsWith('3')) },
+        { id: '4', label: '分析與歸納', codes: GSAT_SCIENCE_CODES.filter((c) => c.startsWith('4')) },
+        { id: '5', label: '整合與表達', codes: GSAT_SCIENCE_CODES.filter((c) => c.startsWith('5')) }
+      ]
+    }
+  },
+  // 會考：題數區間（115 年）；國文、社會、自然、英語閱讀全為選擇題（寫作測驗另考）
+  cap: {
+    國語: {
+      typeMix: { min: 0, max: 0, basis: 'count', severity: 'info', source: '國文 38–46 題全為選擇題（寫作測驗另考）' },
+      groups: [
+        { id: '4', label: '識字與寫字', codes: ['4'] },
+        { id: '5', label: '閱讀', codes: ['5'] }
+      ],
+      groupSeverity: 'info'
+    },
+    數學: {
+      typeMix: { min: 2 / 31, max: 3 / 25, basis: 'count', source: '23–28 題選擇題 + 2–3 題非選擇題' },
+      groups: examDimensionsFor('cap', '數學').map((d) => ({ id: d.code, label: d.label, codes: [d.code] })),
+      groupSeverity: 'info'
+    },
+    英語: { typeMix: { min: 0, max: 0, basis: 'count', severity: 'info', source: '閱讀 40–45 題、聽力 20–30 題全為選擇題' } },
+    社會: { typeMix: { min: 0, max: 0, basis: 'count', severity: 'info', source: '社會 50–60 題全為選擇題' } },
+    自然: { typeMix: { min: 0, max: 0, basis: 'count', severity: 'info', source: '自然 45–55 題全為選擇題' } }
+  },
+  saa: {}
+})
+
+const pct = (v) => `${Math.round(v * 100)}%`
+const round3 = (v) => (Number.isFinite(v) ? Math.round(v * 1000) / 1000 : null)
+
+/**
+ * @param {{
+ *   framework: string, subject: string,
+ *   questions: Array<{ id: string, category?: string|null, maxScore?: number|null, dimension?: string|null }>
+ * }} input - dimension 已經過 normalizeExamDimension（本檔不再收斂）
+ * @returns {{ framework: string, frameworkName: string, subject: string, basis: 'score'|'count',
+ *   totals: object, typeMix: object, dimensions: object[], groups: object[], balance: object|null,
+ *   findings: Array<{ code: string, severity: 'warn'|'info', message: string }> }}
+ */
+export function checkExamBlueprint({ framework, subject, questions }) {
+  const blueprint = EXAM_BLUEPRINTS[framework]?.[subject] ?? {}
+  const findings = []
+  const qs = questions.filter((q) => q?.id)
+  const hasScores = qs.length > 0 && qs.every((q) => Number(q.maxScore) > 0)
+  if (qs.length > 0 && !hasScores) {
+    findings.push({ code: 'NO_SCORES', severity: 'info', message: '部分題目沒有配分，比例一律以題數計' })
+  }
+  const weightOf = (q) => (hasScores ? Number(q.maxScore) : 1)
+  const total = qs.reduce((s, q) => s + weightOf(q), 0)
+  const share = (w) => (total > 0 ? w / total : 0)
+
+  // ── 題型比例 ──
+  const rule = blueprint.typeMix
+  const choiceLike = new Set([...CHOICE_CATEGORIES, ...(rule?.choiceLike ?? [])])
+  const mix = { choice: { questionCount: 0, weight: 0 }, nonChoice: { questionCount: 0, weight: 0 }, uncategorized: 0 }
+  for (const q of qs) {
+    if (!q.category) mix.uncategorized++
+    const side = q.category && choiceLike.has(q.category) ? mix.choice : mix.nonChoice
+    side.questionCount++
+    side.weight += weightOf(q)
+  }
+  const basis = rule?.basis === 'count' || !hasScores ? 'count' : 'score'
+  const nonChoiceShare = basis === 'count'
+    ? (qs.length ? mix.nonChoice.questionCount / qs.length : 0)
+    : share(mix.nonChoice.weight)
+  if (mix.uncategorized > 0) {
+    findings.push({ code: 'UNCATEGORIZED', severity: 'info', message: `${mix.uncategorized} 題沒有題型，暫以非選計` })
+  }
+  if (rule && qs.length > 0) {
+    const severity = rule.severity ?? 'warn'
+    const what = basis === 'count' ? '題數' : '配分'
+    if (rule.required && mix.nonChoice.questionCount === 0) {
+      findings.push({ code: 'NON_CHOICE_SHARE_LOW', severity, message: `本卷沒有非選擇題；${EXAM_FRAMEWORKS[framework]}${subject}${rule.source}` })
+    } else if (rule.min !== null && nonChoiceShare < rule.min - 1e-9) {
+      findings.push({
+        code: 'NON_CHOICE_SHARE_LOW', severity,
+        message: `本卷非選${what}僅占 ${pct(nonChoiceShare)}，低於${EXAM_FRAMEWORKS[framework]}的 ${pct(rule.min)}（${rule.source}）`
+      })
+    } else if (rule.max !== null && nonChoiceShare > rule.max + 1e-9) {
+      findings.push({
+        code: 'NON_CHOICE_SHARE_HIGH', severity,
+        message: rule.max === 0
+          ? `本卷非選${what}占 ${pct(nonChoiceShare)}；${EXAM_FRAMEWORKS[framework]}${rule.source}，練會考時可另看選擇題部分的表現`
+          : `本卷非選${what}占 ${pct(nonChoiceShare)}，高於${EXAM_FRAMEWORKS[framework]}的 ${pct(rule.max)}（${rule.source}）`
+      })
+    }
+  }
+
+  // ── 向度覆蓋 ──
+  const byAxis = new Map()
+  let taggedWeight = 0
+  let taggedCount = 0
+  for (const q of qs) {
+    const axis = examDimensionAxis(framework, subject, q.dimension)
+    if (!axis) continue
+    taggedWeight += weightOf(q)
+    taggedCount++
+    const e = byAxis.get(axis.code) ?? { questionCount: 0, weight: 0 }
+    e.questionCount++
+    e.weight += weightOf(q)
+    byAxis.set(axis.code, e)
+  }
+  const axes = examDimensionsFor(framework, subject)
+  const dimensions = axes.map((d) => {
+    const e = byAxis.get(d.code)
+    return { code: d.code, label: d.label, questionCount: e?.questionCount ?? 0, share: round3(share(e?.weight ?? 0)) }
+  })
+  const tagShare = share(taggedWeight)
+  const tagsReliable = taggedCount > 0 && tagShare >= LOW_TAG_COVERAGE
+  if (axes.length > 0 && !tagsReliable) {
+    findings.push({
+      code: 'LOW_TAG_COVERAGE', severity: 'info',
+      message: taggedCount === 0
+        ? '題目還沒有考試向度標籤（答案卷標記概念後再檢查），向度覆蓋略過'
+        : `只有 ${pct(tagShare)} 的${basis === 'count' ? '題目' : '配分'}有考試向度標籤，向度覆蓋僅供參考`
+    })
+  }
+  const sumGroup = (codes) => codes.reduce((acc, c) => {
+    const e = byAxis.get(c)
+    return e ? { questionCount: acc.questionCount + e.questionCount, weight: acc.weight + e.weight } : acc
+  }, { questionCount: 0, weight: 0 })
+
+  const groups = (blueprint.groups ?? []).map((g) => {
+    const e = sumGroup(g.codes)
+    return { id: g.id, label: g.label, questionCount: e.questionCount, share: round3(share(e.weight)) }
+  })
+  if (taggedCount > 0) {
+    for (const g of groups) {
+      if (g.questionCount === 0) {
+        findings.push({ code: 'GROUP_UNCOVERED', severity: tagsReliable ? (blueprint.groupSeverity ?? 'warn') : 'info', message: `本卷沒有「${g.label}」的題目` })
+      }
+    }
+    if (!blueprint.groups?.length) {
+      const missing = dimensions.filter((d) => d.questionCount === 0)
+      if (missing.length > 0 && missing.length < dimensions.length) {
+        findings.push({ code: 'DIMENSION_UNCOVERED', severity: 'info', message: `未涵蓋的向度：${missing.map((d) => d.label).join('、')}` })
+      }
+    }
+  }
+
+  let balance = null
+  if (blueprint.balance && taggedCount > 0) {
+    const parts = blueprint.balance.groups.map((g) => ({ id: g.id, label: g.label, weight: sumGroup(g.codes).weight }))
+    const inBalance = parts.reduce((s, p) => s + p.weight, 0)
+    if (inBalance > 0) {
+      const even = 1 / parts.length
+      balance = {
+        label: blueprint.balance.label,
+        parts: parts.map((p) => ({ id: p.id, label: p.label, share: round3(p.weight / inBalance) }))
+      }
+      const off = balance.parts.filter((p) => Math.abs(p.share - even) > BALANCE_TOLERANCE)
+      if (off.length > 0) {
+        findings.push({
+          code: 'BALANCE_MISMATCH', severity: tagsReliable ? 'warn' : 'info',
+          message: `${blueprint.balance.label}為原則；本卷${balance.parts.map((p) => `${p.label} ${pct(p.share)}`).join('、')}`
+        })
+      }
+    }
+  }
+
+  return {
+    framework,
+    frameworkName: EXAM_FRAMEWORKS[framework] ?? framework,
+    subject,
+    basis,
+    totals: { questionCount: qs.length, weight: total, taggedQuestions: taggedCount, taggedShare: round3(tagShare) },
+    typeMix: {
+      choice: { questionCount: mix.choice.questionCount, share: round3(basis === 'count' ? (qs.length ? mix.choice.questionCount / qs.length : 0) : share(mix.choice.weight)) },
+      nonChoice: { questionCount: mix.nonChoice.questionCount, share: round3(nonChoiceShare) },
+      expected: rule ? { min: rule.min, max: rule.max, required: Boolean(rule.required), basis: rule.basis, source: rule.source } : null
+    },
+    dimensions,
+    groups,
+    balance,
+    findings
+  }
+}
@@ -0,0 +1,278 @@
+// 2026-10-19 考試向度（題目第二標籤軸）：analysis.examFramework + analysis.examDimension。
+//   內容軸（108 課綱 code → topic → knowledgePoints）回答「考什麼單元」；這一軸回答「考什麼能力」，
+//   用的是升學考試官方的語言——國小：縣市學生學習能力檢測評量向度（saa）、國中：會考（cap，以 108 課綱學習表現代碼命題）、
+//   高中：學測測驗目標代碼（gsat）。設計與原文出處見 docs/升學考試評量架構對齊_2026-08.md、local-only/exam-frameworks/。
+//
+//   學段由班級年級決定（1–6 saa、7–9 cap、10–12 gsat；學力檢測的七、八年級卷不另用——國中一律對標會考）；科目用 assignment.domain（國語/數學/英語/社會/自然）。
+//   向度清單在 tag_concepts / kp_tagging 時由 api/proxy.js 附進 prompt，寫入一律經 normalizeExamDimension 收斂到本檔代碼，
+//   聚合（action=exam-dimension-summary）只認本檔代碼——AI 自創的向度不會變成雷達圖上的一軸。
+
+export const EXAM_FRAMEWORKS = Object.freeze({
+  saa: '縣市學生學習能力檢測',
+  cap: '國中教育會考',
+  gsat: '學科能力測驗'
+})
+
+// 代碼長度上限（比照 analysis.code）
+export const EXAM_DIMENSION_MAX_LEN = 20
+
+const dims = (rows) => Object.freeze(rows.map(([code, label, description = '']) => Object.freeze({ code, label, description })))
+
+// ── 國小：縣市學生學習能力檢測 115 年度評量向度（臺中教大；官方以向度名稱為代碼）──────────
+const SAA_MANDARIN = dims([
+  ['形音知識', '形音知識', '辨認字形（含形近字、同音字）、字音（含形近字音、多音字音）'],
+  ['字詞知識', '字詞知識', '直接辨認詞語（含四字詞、成語）涵義'],
+  ['語法知識', '語法知識', '辨認語法（標點、詞類、詞彙結構、句型、病句等）'],
+  ['修辭知識', '修辭知識', '辨認修辭'],
+  ['章法知識', '章法知識', '辨認文章組織方式'],
+  ['文體知識', '文體知識', '辨認文本體裁'],
+  ['字詞理解', '字詞理解', '運用上下文理解字詞涵義、推論指代詞'],
+  ['句子理解', '句子理解', '理解、推論語句涵義'],
+  ['段落理解', '段落理解', '推論段落內容、掌握主旨'],
+  ['篇章理解', '篇章理解', '理解篇章訊息、推論篇章內容、詮釋整合主旨或寫作手法']
+])
+const SAA_MATH_ELEMENTARY = dims([
+  ['數與計算', '數與計算', '分數、小數、位值、公因數公倍數、多步驟應用問題'],
+  ['量與實測', '量與實測', '長度、面積、體積、時間等量的計算與換算'],
+  ['空間與形狀', '空間與形狀', '平面圖形與立體形體的性質、面積、體積'],
+  ['關係', '關係', '四則計算規律、數量模式與推理、併式、以符號表示公式'],
+  ['資料與不確定性', '資料與不確定性', '統計圖表的製作與報讀']
+])
+const SAA_ENGLISH = dims([
+  ['聽-語音聽辨', '聽力：語音聽辨', '聽辨子音與母音及其組合'],
+  ['聽-辭彙聽辨', '聽力：辭彙聽辨', '聽懂及辨識英語字詞及其書寫文字'],
+  ['聽-教室生活辭句', '聽力：教室生活辭句理解與回應', '聽懂教室用語、日常生活用語、句子與對話並回應'],
+  ['聽-文化節慶', '聽力：文化節慶理解', '了解國內外主要節慶習俗'],
+  ['讀-字詞辨識', '閱讀：字詞辨識', '辨識字詞'],
+  ['讀-句子理解', '閱讀：句子理解', '看懂教室用語與句子'],
+  ['讀-短文與對話', '閱讀：短文與對話理解', '看懂對話、短文，藉圖畫、標題作簡易猜測'],
+  ['讀-文化節慶', '閱讀：文化節慶理解', '了解國內外主要節慶習俗']
+])
+
+// ── 國中：會考以 108 課綱「學習表現」命題、無自有代碼 → 存學習表現代碼（如 n-IV-3），聚合到類別 ─────
+//   key = 學習表現代碼第一段（類別）；國中學習階段為 IV
+const CAP_CATEGORIES = {
+  國語: dims([['1', '聆聽'], ['2', '口語表達'], ['3', '標音符號與運用'], ['4', '識字與寫字'], ['5', '閱讀'], ['6', '寫作']]),
+  數學: dims([['n', '數與量'], ['s', '空間與形狀'], ['g', '坐標幾何'], ['a', '代數'], ['f', '函數'], ['d', '資料與不確定性']]),
+  英語: dims([
+    ['1', '聽'], ['2', '說'], ['3', '讀'], ['4', '寫'], ['5', '聽說讀寫綜合應用'],
+    ['6', '學習興趣與態度'], ['7', '學習方法與策略'], ['8', '文化理解'], ['9', '邏輯思考判斷與創造力']
+  ]),
+  社會: dims([
+    ['1a', '覺察說明'], ['1b', '分析詮釋'], ['1c', '判斷創新'],
+    ['2a', '敏覺關懷'], ['2b', '同理尊重'], ['2c', '自省珍視'],
+    ['3a', '問題發現'], ['3b', '資料蒐整與應用'], ['3c', '溝通合作'], ['3d', '規劃執行']
+  ]),
+  自然: dims([
+    ['ti', '想像創造'], ['tr', '推理論證'], ['tc', '批判思辨'], ['tm', '建立模型'],
+    ['po', '觀察與定題'], ['pe', '計劃與執行'], ['pa', '分析與發現'], ['pc', '討論與傳達'],
+    ['ai', '科學探究興趣'], ['ah', '科學思考習慣'], ['an', '認識科學本質']
+  ])
+}
+const CAP_CODE_RE = /^([0-9a-z]{1,2})-IV-(\d{1,2})$/
+
+// ── 高中：學測測驗目標（大考中心 111 學年度起適用考試說明；國文/社會/自然有官方代碼）─────────────
+const GSAT_MANDARIN = dims([
+  ['A1', '字形、字音、字義', '字形、字音、字義的辨識與應用'],
+  ['A2', '語詞、成語', '語詞、成語意義的辨識與應用'],
+  ['A3', '語法', '語法的辨識與應用'],
+  ['A4', '表現手法、表述方式', '表現手法、表述方式的辨識與應用'],
+  ['A5', '文學作家作品體類流派', '具備重要文學作家、作品、體類、流派的知識'],
+  ['A6', '學術思想與文化', '具備重要學術思想、文化的知識'],
+  ['B1', '訊息檢索擷取', '訊息的檢索與擷取'],
+  ['B2', '文意理解分析統整', '文意的理解、比較、分析、統整'],
+  ['B3', '內容延伸反思', '內容的延伸與反思'],
+  ['B4', '形式推究分析', '形式的推究與分析'],
+  ['B5', '詮釋與鑑賞', '結合文學、文化知識的詮釋與鑑賞']
+])
+const GSAT_SOCIAL = dims([
+  ['H1', '歷史：變遷與延續', '辨識不同時期的變遷與延續'],
+  ['H2', '歷史：時空關聯', '說明特定時空背景中人物、事件、現象間的關聯性'],
+  ['H3', '歷史：脈絡分析詮釋', '研讀或考察資料，提出合乎歷史脈絡的分析與詮釋'],
+  ['H4', '歷史：解釋歷史現象', '運用歷史資料與相關知識，解釋歷史現象'],
+  ['H5', '歷史：當代與過去', '釐清並詮釋當代事件與過去歷史的關係'],
+  ['H6', '歷史：資料事實解釋', '分辨歷史資料、歷史事實與歷史解釋的多樣關係'],
+  ['H7', '歷史：史料證據', '分析並比較歷史資料的形式、生成背景與其內容，檢視其作為證據的適切性'],
+  ['H8', '歷史：解釋觀點', '檢視特定歷史解釋所反映的觀點，判斷歷史解釋之所以不同的原因'],
+  ['H9', '歷史：反思評論', '應用歷史資料審視歷史事件或公共議題，提出歷史性的反思或評論'],
+  ['G1', '地理：分辨概念', '分辨地理基本概念、原理原則與理論的意義'],
+  ['G2', '地理：釐清內涵', '釐清地理基本概念、原理原則與理論的內涵'],
+  ['G3', '地理：解釋地表現象', '運用地理基本概念、原理原則，解釋相關的地表現象'],
+  ['G4', '地理：分析地表現象', '連結地理系統、地理視野與地理技能，分析地表現象的內涵'],
+  ['G5', '地理：解析地表特性', '連結地理系統、地理視野與地理技能，解析地表現象的特性'],
+  ['G6', '地理：判讀圖資', '判讀各式地圖、航照、衛星影像及文獻、實察等資料'],
+  ['G7', '地理：議題探討', '以地理系統、地理視野的觀點進行議題探討'],
+  ['G8', '地理：整合評價', '思辨各種社會及環境議題，並能進行整合評價'],
+  ['G9', '地理：解決策略', '整合相關知能，反思社會及環境議題，並提出看法或解決策略'],
+  ['C1', '公民：現象與成因', '說明社會生活的現象及其成因'],
+  ['C2', '公民：核心概念', '釐清公民知識的核心概念'],
+  ['C3', '公民：解釋社會現象', '運用公民知識解釋相關社會現象'],
+  ['C4', '公民：多種觀點', '區辨社會現象的多種解釋觀點'],
+  ['C5', '公民：界定問題', '界定當代社會生活的相關問題'],
+  ['C6', '公民：反思評論', '反思並評論相關公民知識'],
+  ['C7', '公民：論證主張', '整合公民知識，論述自己的主張，並能提出合理的論證'],
+  ['S1', '跨科：整合詮釋', '整合社會領域學科基礎知識與技能詮釋歷史、環境與社會問題'],
+  ['S2', '跨科：跨學科反思', '從跨學科的視野反思或評論社會相關議題'],
+  ['S3', '跨科：議題背景', '從社會領域的觀點，分析議題的形成背景與內涵'],
+  ['S4', '跨科：資料整理評估', '使用社會領域的知能，根據主題進行資料整理與評估'],
+  ['S5', '跨科：探究與策略', '從社會領域的觀點，針對問題進行探究並提出可能策略']
+])
+const GSAT_SCIENCE = dims([
+  ['1a', '科學名詞和定義', '認識、理解重要的科學名詞和定義'],
+  ['1b', '現象規則學說定律', '認識、理解基本的科學現象、規則、學說、定律'],
+  ['1c', '科學的進展', '認識、理解各階段科學的進展'],
+  ['1d', '學科間共通原理', '認識、理解學科間共通的原理'],
+  ['2a', '理解資料意義', '理解文本、數據、式子或圖表等資料的意義'],
+  ['2b', '資料特性規則關係', '找出文本、數據、式子或圖表等資料的特性、規則或關係'],
+  ['2c', '資料解釋推論歸納', '根據資料作解釋、比較、推論、延伸或歸納'],
+  ['3a', '選用資料解題', '選用適當的資料解決問題'],
+  ['3b', '以定律模型解釋現象', '根據科學定律、模型，解釋日常生活現象或科學探究情境'],
+  ['3c', '提出假設設計實驗', '根據觀察現象或前導實驗結果提出假設，設計實驗以驗證假設'],
+  ['3d', '評論探究過程', '應用科學定律、模型，評論探究過程或實驗架構'],
+  ['4a', '說明驗證科學原理', '根據資料說明、驗證或詮釋重要科學原理'],
+  ['4b', '發現因果關係', '針對日常生活現象或科學探究情境，發現問題的因果關係'],
+  ['4c', '整理觀點異同', '根據事實或資料，整理辨別各種觀點的異同'],
+  ['4d', '科學性分析', '根據資料或科學探究情境，進行科學性分析'],
+  ['5a', '表達與說明', '根據事實或資料，進行表達與說明'],
+  ['5b', '評析思辨', '根據事實或資料，綜合科學知識，提出評析或思辨'],
+  ['5c', '評價科學影響', '根據事實或資料，評價科學對自然環境或人類文明的影響']
+])
+// 數學、英文官方只列目標、沒有代碼 → 以簡稱為代碼
+const GSAT_MATH = dims([
+  ['概念性知識', '概念性知識', '辨認概念、確認概念中的基本數學原理'],
+  ['程序性知識', '程序性知識', '判讀圖表、運用適當的公式與步驟解題'],
+  ['閱讀與表達', '閱讀與表達', '讀懂題目，並以數學語言表達題意及解題過程'],
+  ['連結能力', '連結能力', '融會貫通不同單元，或連結其他學科知識、生活經驗'],
+  ['推理能力', '推理能力', '應用數學模型與邏輯思考進行正確的推理'],
+  ['解決問題', '解決問題', '選擇有效策略解決問題，並檢驗結果的合理性']
+])
+const GSAT_ENGLISH = dims([
+  ['實詞詞彙', '實詞詞彙', '常用實詞的構詞、語意、字詞搭配'],
+  ['上下文詞彙語法', '上下文詞彙與語法', '參酌上下文掌握各類詞彙及語法應用'],
+  ['篇章實詞運用', '篇章實詞運用', '依篇章段落文意發展掌握實詞運用'],
+  ['篇章組織', '篇章組織與文意脈絡', '掌握篇章的組織架構與文意脈絡'],
+  ['綜合閱讀理解', '綜合閱讀理解', '理解文意、擷取重要訊息並分析、比較、推理'],
+  ['中譯英', '中譯英', '將中文句子譯成正確、通順、達意英文'],
+  ['英文寫作', '英文寫作', '依提示寫出切合主題、一致連貫的短文']
+])
+
+const SUBJECT_ALIASES = [
+  ['國語', /國語|國文|語文/],
+  ['數學', /數學/],
+  ['英語', /英語|英文/],
+  ['社會', /社會|歷史|地理|公民/],
+  ['自然', /自然|理化|物理|化學|生物|地科|地球科學/]
+]
+
+/** assignment.domain → 五科標準名；認不出回 null */
+export function normalizeExamSubject(domain) {
+  const s = String(domain ?? '').trim()
+  if (!s) return null
+  for (const [name, re] of SUBJECT_ALIASES) if (re.test(s)) return name
+  return null
+}
+
+/** 班級年級 → 學段考試框架；沒年級回 null */
+export function examFrameworkForGrade(grade) {
+  const g = Number(grade)
+  if (!Number.isInteger(g) || g < 1 || g > 12) return null
+  if (g <= 6) return 'saa'
+  if (g <= 9) return 'cap'
+  return 'gsat'
+}
+
+/**
+ * 該框架 × 科目 × 年級的向度清單；沒有對應（例如國小社會、學力檢測沒考）回 []。
+ * cap 回的是學習表現「類別」清單（實際存的是完整學習表現代碼）。
+ */
+export function examDimensionsFor(framework, subject) {
+  if (framework === 'saa') {
+    if (subject === '國語') return SAA_MANDARIN
+    if (subject === '數學') return SAA_MATH_ELEMENTARY
+    if (subject === '英語') return SAA_ENGLISH
+    return []
+  }
+  if (framework === 'cap') return CAP_CATEGORIES[subject] ?? []
+  if (framework === 'gsat') {
+    return { 國語: GSAT_MANDARIN, 數學: GSAT_MATH, 英語: GSAT_ENGLISH, 社會: GSAT_SOCIAL, 自然: GSAT_SCIENCE }[subject] ?? []
+  }
+  return []
+}
+
+/**
+ * AI / 前端給的向度 → 本檔代碼；對不上回 null（不寫入、不聚合）。
+ *   saa / gsat：代碼或標籤（去空白、全形）皆可；gsat 接受「A1.字形…」這種帶說明的寫法。
+ *   cap：學習表現代碼（n-IV-3、1a-IV-1、tr-IV-1；「數 n-IV-3」「社 1a-IV-1」前綴會被剝掉）、類別須在該科清單內。
+ */
+export function normalizeExamDimension(framework, subject, value) {
+  const raw = String(value ?? '').normalize('NFKC').replace(/\s+/g, '').trim()
+  if (!raw) return null
+  if (framework === 'cap') {
+    const m = raw.replace(/^[^\da-zA-Z]+/, '').match(CAP_CODE_RE)
+    if (!m) return null
+    const known = CAP_CATEGORIES[subject]
+    if (known && !known.some((d) => d.code === m[1])) return null
+    return `${m[1]}-IV-${m[2]}`
+  }
+  const list = examDimensionsFor(framework, subject)
+  const head = raw.match(/^([A-Z]\d|\d[a-d])(?![0-9a-z])/i)
+  const codeGuess = head ? (/^\d/.test(head[1]) ? head[1].toLowerCase() : head[1].toUpperCase()) : raw
+  const squash = (s) => s.replace(/[\s：:、，,（）()]/g, '')
+  const hit = list.find((d) => d.code === codeGuess) || list.find((d) => squash(d.label) === squash(raw) || squash(d.code) === squash(raw))
+  return hit ? hit.code : null
+}
+
+/** 代碼 → 聚合軸（cap 聚到學習表現類別；其他就是代碼本身）+ 顯示標籤 */
+export function examDimensionAxis(framework, subject, code) {
+  if (!code) return null
+  if (framework === 'cap') {
+    const cat = String(code).split('-')[0]
+    const hit = (CAP_CATEGORIES[subject] ?? []).find((d) => d.code === cat)
+    return hit ? { code: hit.code, label: hit.label } : null
+  }
+  const hit = examDimensionsFor(framework, subject).find((d) => d.code === code)
+  return hit ? { code: hit.code, label: hit.label } : null
+}
+
+/**
+ * tag_concepts / kp_tagging prompt 附加段：列出候選向度、要求每題多輸出一個欄位。
+ * @param {{ framework: string, subject: string, fieldName: string }} ctx
+ * @returns {string} 沒有清單回 ''
+ */
+export function buildExamDimensionPromptSection({ framework, subject, fieldName }) {
+  const list = examDimensionsFor(framework, subject)
+  if (!list.length) return ''
+  const name = EXAM_FRAMEWORKS[framework]
+  if (framework === 'cap') {
+    return `
+== 考試向度（第二標籤軸：考什麼能力）==
+本卷對標「${name}」（${subject}）。會考以 108 課綱「學習表現」命題：每題輸出物件多加欄位 "${fieldName}"，
+填該題最主要的一條國中（第 IV 學習階段）學習表現代碼，格式「類別-IV-流水號」（例：${list[0].code}-IV-1）。
+類別只能是：${list.map((d) => `${d.code}=${d.label}`).join('、')}。判斷不出來填 null，不要自創代碼。`
+  }
+  return `
+== 考試向度（第二標籤軸：考什麼能力）==
+本卷對標「${name}」（${subject}）。每題輸出物件多加欄位 "${fieldName}"，從下列代碼挑一個最主要的（只填代碼；都不適用填 null，不要自創）：
+${list.map((d) => `${d.code}${d.label !== d.code ? `｜${d.label}` : ''}${d.description ? `：${d.description}` : ''}`).join('\n')}`
+}
+
+/**
+ * 作業 → { framework, subject, grade }（assignment.domain + classroom.grade）；任一缺就回 null。
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseDb
+ */
+export async function resolveAssignmentExamContext(supabaseDb, assignmentId) {
+  if (!assignmentId) return null
+  try {
+    const { data: asg } = await supabaseDb
+      .from('assignments').select('domain, classroom_id').eq('id', assignmentId).maybeSingle()
+    const subject = normalizeExamSubject(asg?.domain)
+    if (!subject || !asg?.classroom_id) return null
+    const { data: cls } = await supabaseDb
+      .from('classrooms').select('grade').eq('id', asg.classroom_id).maybeSingle()
+    const grade = Number(cls?.grade)
+    const framework = examFrameworkForGrade(grade)
+    return framework ? { framework, subject, grade } : null
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,359 @@
+// 2026-10-19 通用批改工作佇列(grading_jobs、DDL 見 docs/ddl/2026-10-19_grading_jobs.sql)。
+// 取代「整班批改塞在 proxy request 裡」:一卷一個工作單位,tick 搶 lease 執行、heartbeat 續命,
+// 失敗指數退避重試、用完進死信(dead),同 owner 併發有上限。
+// 本檔只管佇列本身(排入/搶/續命/結案/進度);各 kind 實際怎麼批由呼叫端傳 handlers 進 runGradingJobWorker。
+
+export const GRADING_JOB_KINDS = Object.freeze({
+  PHASE_A: 'phase_a',
+  PHASE_B: 'phase_b',
+  RECHECK: 'recheck',
+  REPORT: 'report',
+  // 學校代批(school_grading_jobs 母紀錄;一卷 Phase A+B、扣學校點數)
+  SCHOOL_GRADE: 'school_grade',
+  // 作答圖指紋(上傳後背景算;不扣點、失敗不動卷的狀態)
+  FINGERPRINT: 'fingerprint'
+})
+
+export const GRADING_JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  DEAD: 'dead',
+  CANCELLED: 'cancelled'
+})
+
+const ACTIVE_STATUSES = [GRADING_JOB_STATUS.QUEUED, GRADING_JOB_STATUS.RUNNING]
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name])
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback
+}
+
+// lease 要比單一工作最長耗時(Phase A 大卷 ~250s)長;heartbeat 每 30s 續一次
+export const GRADING_JOB_LEASE_MS = 290_000
+const HEARTBEAT_INTERVAL_MS = 30_000
+const RETRY_BASE_MS = 30_000
+const RETRY_MAX_MS = 15 * 60_000
+
+export function getGradingQueueConfig() {
+  return {
+    ownerConcurrency: envInt('GRADING_QUEUE_OWNER_CONCURRENCY', 2),
+    tickConcurrency: envInt('GRADING_QUEUE_TICK_CONCURRENCY', 3),
+    // 一次 tick 可用的總時間(function maxDuration 300s 扣掉收尾);
+    // 「已用時間 + 單一工作最壞耗時」超過就不再搶新的一批,免得工作跑到一半被砍、白燒一次 attempt
+    tickBudgetMs: envInt('GRADING_QUEUE_TICK_BUDGET_MS', 280_000),
+    jobWorstCaseMs: envInt('GRADING_QUEUE_JOB_WORST_CASE_MS', 250_000),
+    maxAttempts: envInt('GRADING_QUEUE_MAX_ATTEMPTS', 4)
+  }
+}
+
+export function newGradingJobId() {
+  return 'gj_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+}
+
+export function newGradingBatchId() {
+  return 'gjb_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+}
+
+// 第 n 次失敗後等多久:30s、60s、120s…封頂 15 分;±20% 抖動避免整班同時重打
+export function computeRetryDelayMs(attempts) {
+  const n = Math.max(1, Number(attempts) || 1)
+  const base = Math.min(RETRY_BASE_MS * 2 ** (n - 1), RETRY_MAX_MS)
+  return Math.round(base * (0.8 + Math.random() * 0.4))
+}
+
+// 錯誤帶 retryable=false(或 code 列在這裡)= 重試也不會好 → 直接死信、不燒 AI call
+const NON_RETRYABLE_CODES = new Set(['NO_RECHECK_IMAGES', 'NO_ANSWER_KEY', 'NOT_FOUND', 'FORBIDDEN'])
+export function isRetryableJobError(error) {
+  if (error?.retryable === false) return false
+  if (error?.code && NON_RETRYABLE_CODES.has(error.code)) return false
+  return true
+}
+
+export function buildGradingJobDedupeKey({ kind, submissionId, assignmentId, ownerId }) {
+  if (submissionId) return `${kind}:${submissionId}`
+  if (assignmentId) return `${kind}:${ownerId || ''}:${assignmentId}`
+  return null
+}
+
+/**
+ * 排入工作。已有同 dedupe_key 的 queued/running 者略過(回 skipped)。
+ * @param {Array<{kind, ownerId, actorId?, assignmentId?, submissionId?, payload?, priority?, maxAttempts?, runAfter?}>} specs
+ * @returns {Promise<{ batchId, jobs: object[], skipped: string[] }>}
+ */
+export async function enqueueGradingJobs(supabaseAdmin, specs, { batchId = newGradingBatchId() } = {}) {
+  const { maxAttempts } = getGradingQueueConfig()
+  const rows = (specs || []).map((s) => ({
+    id: newGradingJobId(),
+    kind: s.kind,
+    owner_id: s.ownerId,
+    actor_id: s.actorId ?? s.ownerId,
+    assignment_id: s.assignmentId ?? null,
+    submission_id: s.submissionId ?? null,
+    batch_id: batchId,
+    payload: s.payload ?? {},
+    status: GRADING_JOB_STATUS.QUEUED,
+    priority: Number(s.priority) || 0,
+    max_attempts: Number(s.maxAttempts) || maxAttempts,
+    run_after: s.runAfter ?? new Date().toISOString(),
+    dedupe_key: buildGradingJobDedupeKey(s)
+  }))
+  if (rows.length === 0) return { batchId, jobs: [], skipped: [] }
+
+  const keys = rows.map((r) => r.dedupe_key).filter(Boolean)
+  const activeKeys = new Set()
+  if (keys.length > 0) {
+    const { data: active, error } = await supabaseAdmin
+      .from('grading_jobs')
+      .select('dedupe_key')
+      .in('dedupe_key', keys)
+      .in('status', ACTIVE_STATUSES)
+    if (error) throw error
+    for (const r of active ?? []) activeKeys.add(r.dedupe_key)
+  }
+  const fresh = rows.filter((r) => !r.dedupe_key || !activeKeys.has(r.dedupe_key))
+  const skipped = rows.filter((r) => r.dedupe_key && activeKeys.has(r.dedupe_key)).map((r) => r.dedupe_key)
+  if (fresh.length === 0) return { batchId, jobs: [], skipped }
+
+  const { data: inserted, error: insErr } = await supabaseAdmin.from('grading_jobs').insert(fresh).select('*')
+  if (!insErr) return { batchId, jobs: inserted ?? [], skipped }
+  // 23505 = 兩個請求同時排同一張卷:整批 insert 失敗 → 逐筆補、撞到的算 skipped
+  if (insErr.code !== '23505') throw insErr
+  const jobs = []
+  for (const row of fresh) {
+    const { data, error } = await supabaseAdmin.from('grading_jobs').insert(row).select('*').maybeSingle()
+    if (error?.code === '23505') { skipped.push(row.dedupe_key); continue }
+    if (error) throw error
+    if (data) jobs.push(data)
+  }
+  return { batchId, jobs, skipped }
+}
+
+/**
+ * 搶工作。RPC 同時回「最後一次嘗試 lease 過期、剛被轉成 dead」的列(status=dead),由呼叫端跑死信收尾。
+ * @returns {Promise<{ jobs: object[], expired: object[] }>}
+ */
+export async function claimGradingJobs(supabaseAdmin, { workerId, limit, leaseMs = GRADING_JOB_LEASE_MS, ownerLimit }) {
+  const { data, error } = await supabaseAdmin.rpc('claim_grading_jobs', {
+    p_worker_id: workerId,
+    p_limit: limit,
+    p_lease_seconds: Math.ceil(leaseMs / 1000),
+    p_owner_limit: ownerLimit
+  })
+  if (error) throw error
+  const rows = Array.isArray(data) ? data : []
+  return {
+    jobs: rows.filter((r) => r.status === GRADING_JOB_STATUS.RUNNING),
+    expired: rows.filter((r) => r.status === GRADING_JOB_STATUS.DEAD)
+  }
+}
+
+// 只有 lease 還在自己手上才續(被別的 worker 收走 = 自己已經過期,結果也不該再寫)
+export async function heartbeatGradingJob(supabaseAdmin, job, workerId, leaseMs = GRADING_JOB_LEASE_MS) {
+  const now = Date.now()
+  const { data, error } = await supabaseAdmin
+    .from('grading_jobs')
+    .update({
+      lease_until: new Date(now + leaseMs).toISOString(),
+      heartbeat_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString()
+    })
+    .eq('id', job.id)
+    .eq('status', GRADING_JOB_STATUS.RUNNING)
+    .eq('leased_by', workerId)
+    .select('id')
+  if (error) {
+    console.warn(`[grading-queue] heartbeat failed job=${job.id}:`, error.message)
+    return true  // 暫時性錯誤不當成失去 lease
+  }
+  return Boolean(data?.length)
+}
+
+export async function completeGradingJob(supabaseAdmin, job, workerId, result = null) {
+  const nowIso = new Date().toISOString()
+  const { error } = await supabaseAdmin
+    .from('grading_jobs')
+    .update({
+      status: GRADING_JOB_STATUS.SUCCEEDED,
+      result,
+      last_error: null,
+      lease_until: null,
+      leased_by: null,
+      finished_at: nowIso,
+      updated_at: nowIso
+    })
+    .eq('id', job.id)
+    .eq('leased_by', workerId)
+  if (error) console.warn(`[grading-queue] complete failed job=${job.id}:`, error.message)
+}
+
+/**
+ * 失敗結案:還有次數且可重試 → 回 queued 退避;否則 dead。
+ * @returns {Promise<'queued'|'dead'>}
+ */
+export async function failGradingJob(supabaseAdmin, job, workerId, error) {
+  const message = String(error?.message || error || 'unknown error').slice(0, 500)
+  const attempts = Number(job.attempts) || 1
+  const retry = isRetryableJobError(error) && attempts < (Number(job.max_attempts) || 1)
+  const nowIso = new Date().toISOString()
+  const patch = retry
+    ? {
+        status: GRADING_JOB_STATUS.QUEUED,
+        run_after: new Date(Date.now() + computeRetryDelayMs(attempts)).toISOString(),
+        last_error: message,
+        lease_until: null,
+        leased_by: null,
+        updated_at: nowIso
+      }
+    : {
+        status: GRADING_JOB_STATUS.DEAD,
+        last_error: message,
+        lease_until: null,
+        leased_by: null,
+        finished_at: nowIso,
+        updated_at: nowIso
+      }
+  const { error: upErr } = await supabaseAdmin
+    .from('grading_jobs')
+    .update(patch)
+    .eq('id', job.id)
+    .eq('leased_by', workerId)
+  if (upErr) console.warn(`[grading-queue] fail-update failed job=${job.id}:`, upErr.message)
+  return patch.status
+}
+
+// 死信 / 取消的工作重新排入(attempts 歸零);回重新排入的筆數
+//   同一張卷可能已經另有一筆 queued/running(老師重送過)→ 撞 grading_jobs_dedupe_active_uniq(23505),
+//   那筆就算「已在排」:整批失敗時改逐筆更新、撞到的略過
+export async function requeueGradingJobs(supabaseAdmin, { ids = null, batchId = null, ownerId = null } = {}) {
+  const patch = () => ({
+    status: GRADING_JOB_STATUS.QUEUED,
+    attempts: 0,
+    run_after: new Date().toISOString(),
+    last_error: null,
+    finished_at: null,
+    updated_at: new Date().toISOString()
+  })
+  const requeueable = [GRADING_JOB_STATUS.DEAD, GRADING_JOB_STATUS.CANCELLED]
+  let query = supabaseAdmin.from('grading_jobs').update(patch()).in('status', requeueable)
+  if (ids?.length) query = query.in('id', ids)
+  if (batchId) query = query.eq('batch_id', batchId)
+  if (ownerId) query = query.eq('owner_id', ownerId)
+  const { data, error } = await query.select('id')
+  if (!error) return data?.length ?? 0
+  if (error.code !== '23505') throw error
+
+  let listQuery = supabaseAdmin.from('grading_jobs').select('id').in('status', requeueable)
+  if (ids?.length) listQuery = listQuery.in('id', ids)
+  if (batchId) listQuery = listQuery.eq('batch_id', batchId)
+  if (ownerId) listQuery = listQuery.eq('owner_id', ownerId)
+  const { data: rows, error: listErr } = await listQuery
+  if (listErr) throw listErr
+  let count = 0
+  for (const row of rows ?? []) {
+    const { data: one, error: oneErr } = await supabaseAdmin
+      .from('grading_jobs')
+      .update(patch())
+      .eq('id', row.id)
+      .in('status', requeueable)
+      .select('id')
+    if (oneErr?.code === '23505') continue
+    if (oneErr) throw oneErr
+    count += one?.length ?? 0
+  }
+  return count
+}
+
+// 只取消還沒開始的;running 的讓它跑完(中途砍掉會留下半套 phase_a_state)
+export async function cancelGradingJobs(supabaseAdmin, { ids = null, batchId = null, ownerId = null } = {}) {
+  let query = supabaseAdmin
+    .from('grading_jobs')
+    .update({ status: GRADING_JOB_STATUS.CANCELLED, finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('status', GRADING_JOB_STATUS.QUEUED)
+  if (ids?.length) query = query.in('id', ids)
+  if (batchId) query = query.eq('batch_id', batchId)
+  if (ownerId) query = query.eq('owner_id', ownerId)
+  const { data, error } = await query.select('id')
+  if (error) throw error
+  return data?.length ?? 0
+}
+
+export function summarizeGradingJobs(jobs) {
+  const counts = { queued: 0, running: 0, succeeded: 0, dead: 0, cancelled: 0 }
+  for (const j of jobs ?? []) if (counts[j.status] !== undefined) counts[j.status] += 1
+  const total = (jobs ?? []).length
+  return { total, ...counts, finished: total > 0 && counts.queued === 0 && counts.running === 0 }
+}
+
+/**
+ * 一次 tick:反覆搶工作、每批最多 tickConcurrency 個並行,直到沒工作或剩下的時間不夠再跑完一批。
+ *   lease 被別的 worker 收走 → ctx.signal abort;handler 在寫入前要檢查(見 assertLeaseHeld),
+ *   worker 這邊也不再等它、結果不寫。
+ * @param {object} args
+ * @param {object} args.supabaseAdmin
+ * @param {Record<string, (job: object, ctx: { signal: AbortSignal, isLeaseLost: () => boolean }) => Promise<object|null>>} args.handlers - kind → 執行函式
+ * @param {(job: object, error: Error) => Promise<void>} [args.onDead] - 進死信時的收尾(例:卷標 grading_failed)
+ * @param {string} [args.workerId]
+ * @returns {Promise<{ workerId, claimed, succeeded, retried, dead, lostLease }>}
+ */
+export async function runGradingJobWorker({ supabaseAdmin, handlers, onDead = null, workerId = null }) {
+  const cfg = getGradingQueueConfig()
+  const id = workerId || `w_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+  const startedAt = Date.now()
+  const stats = { workerId: id, claimed: 0, succeeded: 0, retried: 0, dead: 0, lostLease: 0 }
+
+  const runDead = async (job, error) => {
+    stats.dead += 1
+    try {
+      await onDead?.(job, error)
+    } catch (e) {
+      console.warn(`[grading-queue] onDead failed job=${job.id}:`, e?.message)
+    }
+  }
+
+  const runOne = async (job) => {
+    const controller = new AbortController()
+    const leaseLost = new Promise((resolve) => controller.signal.addEventListener('abort', resolve, { once: true }))
+    const timer = setInterval(() => {
+      heartbeatGradingJob(supabaseAdmin, job, id).then((held) => { if (!held) controller.abort() })
+    }, HEARTBEAT_INTERVAL_MS)
+    try {
+      const handler = handlers[job.kind]
+      if (!handler) throw Object.assign(new Error(`no handler for kind=${job.kind}`), { retryable: false })
+      const run = handler(job, { signal: controller.signal, isLeaseLost: () => controller.signal.aborted })
+      // lease 沒了就不等 handler(它在下一個寫入點會自己停)
+      run.catch(() => {})
+      const result = await Promise.race([run, leaseLost])
+      if (controller.signal.aborted) { stats.lostLease += 1; return }
+      await completeGradingJob(supabaseAdmin, job, id, result ?? null)
+      stats.succeeded += 1
+    } catch (error) {
+      console.warn(`[grading-queue] job=${job.id} kind=${job.kind} attempt=${job.attempts} failed:`, error?.message)
+      if (controller.signal.aborted) { stats.lostLease += 1; return }
+      const next = await failGradingJob(supabaseAdmin, job, id, error)
+      if (next === GRADING_JOB_STATUS.DEAD) await runDead(job, error)
+      else stats.retried += 1
+    } finally {
+      clearInterval(timer)
+    }
+  }
+
+  while (Date.now() - startedAt + cfg.jobWorstCaseMs <= cfg.tickBudgetMs) {
+    const { jobs, expired } = await claimGradingJobs(supabaseAdmin, {
+      workerId: id,
+      limit: cfg.tickConcurrency,
+      ownerLimit: cfg.ownerConcurrency
+    })
+    // 死在最後一次嘗試的(function 被砍、lease 過期):SQL 已轉 dead,這裡補死信收尾
+    for (const job of expired) await runDead(job, new Error(job.last_error || 'lease expired on final attempt'))
+    if (jobs.length === 0) break
+    stats.claimed += jobs.length
+    await Promise.all(jobs.map(runOne))
+  }
+  return stats
+}
+
+// handler 在寫入(存檔、排下一段、扣點)前呼叫:lease 已被收走就丟錯停手,結果交給接手的 worker
+export function assertLeaseHeld(signal) {
+  if (signal?.aborted) throw Object.assign(new Error('grading job lease lost'), { code: 'LEASE_LOST' })
+}
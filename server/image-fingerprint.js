@@ -0,0 +1,235 @@
+// 2026-10-19 作答圖指紋：同一張照片被傳給兩位學生、卷子掛錯座號、拍成別份作業的卷子，以前都要等批改完（花了點數）
+//   老師看成績才發現。每張 submission 圖在寫入時算感知雜湊（pHash，DCT 低頻 64 bit）：
+//     ・每頁一個 page hash（看整頁樣子）
+//     ・每頁切 3 × 4 格，每格一個 region hash（空白格 = null）
+//   答案卷原圖（assignments.answer_sheet_image_paths）同樣算一份當「版面」指紋。
+//   findFingerprintConflicts 在同一份作業內兩兩比：
+//     DUPLICATE_IMAGE    整頁幾乎一樣，且「全班各不相同的格子」（= 有手寫的格）也幾乎都一樣 → 同一張照片
+//     SHARED_HANDWRITING 整頁不算重複，但有 ≥ 2 格手寫格一模一樣 → 同一份手寫被裁進兩位學生的圖
+//     WRONG_ASSIGNMENT_LAYOUT 某頁離自己作業的答案卷版面很遠、卻很接近老師另一份作業的答案卷
+//     SIMILAR_PAGE       整頁幾乎一樣，但沒有手寫格可比（全班不到 4 份、或沒有全班各不相同的格子）→ 只是提示
+//   印刷內容全班相同，所以格子要「全班彼此差很多」才算手寫格；沒有手寫格時光看整頁分不出「同一張照片」
+//   和「兩張都還沒寫的同一份考卷」，不報 DUPLICATE_IMAGE，只在整頁距離極小時報 SIMILAR_PAGE（severity=notice）。
+//   純函式、不碰 DB；寫入 / 讀取在 api/data/[action].js（image_fingerprints 表）。IMAGE_FINGERPRINT_ENABLED=false 關閉。
+import sharp from 'sharp'
+
+// 先整張解一次成小灰階圖（寬 WORK_WIDTH），各頁 / 各格都從這張裁，不重複解碼原圖
+const WORK_WIDTH = 512
+const DCT_SIZE = 32
+const HASH_SIZE = 8
+export const REGION_GRID = { cols: 3, rows: 4 }
+// 格子灰階標準差低於此 = 空白格（不算 hash）
+const BLANK_REGION_STDEV = 6
+// 64 bit 漢明距離門檻
+const PAGE_DUPLICATE_MAX = 6
+const PAGE_DUPLICATE_STRICT_MAX = 2
+const REGION_MATCH_MAX = 4
+const REGION_DISTINCT_MEDIAN = 14
+const DUPLICATE_REGION_SHARE = 0.8
+const SHARED_REGIONS_MIN = 2
+const MIN_CLASS_FOR_REGION_STATS = 4
+const LAYOUT_OTHER_MAX = 14
+const LAYOUT_MARGIN = 10
+
+export const IMAGE_CONFLICT_LABELS = {
+  DUPLICATE_IMAGE: '兩位學生的作答圖幾乎相同（疑似同一張照片）',
+  SHARED_HANDWRITING: '兩位學生的作答圖有相同的手寫區塊',
+  WRONG_ASSIGNMENT_LAYOUT: '作答圖的版面比較像另一份作業的考卷',
+  SIMILAR_PAGE: '兩位學生的作答圖整頁很像（無手寫區可比對，請自行確認）'
+}
+const NOTICE_CODES = new Set(['SIMILAR_PAGE'])
+
+export function isImageFingerprintEnabled() {
+  return process.env.IMAGE_FINGERPRINT_ENABLED !== 'false'
+}
+
+const COS_TABLE = (() => {
+  const t = new Float64Array(HASH_SIZE * DCT_SIZE)
+  for (let u = 0; u < HASH_SIZE; u += 1) {
+    for (let x = 0; x < DCT_SIZE; x += 1) t[u * DCT_SIZE + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE))
+  }
+  return t
+})()
+
+// 32×32 灰階 → 8×8 低頻 DCT（跳過 DC）對中位數二值化 → 16 位 hex
+function phashFromGray(gray) {
+  const coeffs = []
+  for (let u = 0; u < HASH_SIZE; u += 1) {
+    for (let v = 0; v < HASH_SIZE; v += 1) {
+      let sum = 0
+      for (let y = 0; y < DCT_SIZE; y += 1) {
+        const cy = COS_TABLE[v * DCT_SIZE + y]
+        for (let x = 0; x < DCT_SIZE; x += 1) sum += gray[y * DCT_SIZE + x] * COS_TABLE[u * DCT_SIZE + x] * cy
+      }
+      coeffs.push(sum)
+    }
+  }
+  const ac = coeffs.slice(1)
+  const median = [...ac].sort((a, b) => a - b)[Math.floor(ac.length / 2)]
+  let hex = ''
+  for (let i = 0; i < coeffs.length; i += 4) {
+    let nibble = 0
+    for (let b = 0; b < 4; b += 1) nibble = (nibble << 1) | (i + b > 0 && coeffs[i + b] > median ? 1 : 0)
+    hex += nibble.toString(16)
+  }
+  return hex
+}
+
+async function grayPixels(raw, region) {
+  const { data } = await sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: 1 } })
+    .extract(region)
+    .resize(DCT_SIZE, DCT_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  return data
+}
+
+function stdev(values) {
+  let sum = 0
+  let sumSq = 0
+  for (const v of values) { sum += v; sumSq += v * v }
+  const mean = sum / values.length
+  return Math.sqrt(Math.max(0, sumSq / values.length - mean * mean))
+}
+
+/** 兩個 hex hash 的漢明距離（任一為 null → null） */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return null
+  let d = 0
+  for (let i = 0; i < a.length; i += 1) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16)
+    while (x) { d += x & 1; x >>= 1 }
+  }
+  return d
+}
+
+/**
+ * 一張圖（可能是多頁直向合併圖）→ 每頁 page hash + region hashes。沒有 pageBreaks 就依頁數平均切。
+ * @param {Buffer} buffer
+ * @param {{ pageBreaks?: number[]|null, pageCount?: number }} opts
+ * @returns {Promise<{ pages: Array<{ hash: string, regions: Array<string|null> }> }>}
+ */
+export async function computeImageFingerprint(buffer, { pageBreaks = null, pageCount = 1 } = {}) {
+  const meta = await sharp(buffer).metadata()
+  if (!meta.width || !meta.height) return { pages: [] }
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize({ width: Math.min(WORK_WIDTH, meta.width) })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  const raw = { data, width: info.width, height: info.height }
+  const count = Math.max(1, pageCount)
+  const breaks = Array.isArray(pageBreaks) && pageBreaks.length
+    ? pageBreaks
+    : Array.from({ length: count - 1 }, (_, i) => (i + 1) / count)
+  const bounds = [0, ...breaks, 1]
+  const pages = []
+  for (let i = 0; i < bounds.length - 1; i += 1) {
+    const top = Math.round(bounds[i] * raw.height)
+    const height = Math.max(1, Math.round(bounds[i + 1] * raw.height) - top)
+    const hash = phashFromGray(await grayPixels(raw, { left: 0, top, width: raw.width, height }))
+    const regions = []
+    const cw = Math.floor(raw.width / REGION_GRID.cols)
+    const ch = Math.floor(height / REGION_GRID.rows)
+    for (let r = 0; r < REGION_GRID.rows; r += 1) {
+      for (let c = 0; c < REGION_GRID.cols; c += 1) {
+        if (cw < HASH_SIZE || ch < HASH_SIZE) { regions.push(null); continue }
+        const gray = await grayPixels(raw, { left: c * cw, top: top + r * ch, width: cw, height: ch })
+        regions.push(stdev(gray) < BLANK_REGION_STDEV ? null : phashFromGray(gray))
+      }
+    }
+    pages.push({ hash, regions })
+  }
+  return { pages }
+}
+
+function medianOf(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+/**
+ * 同一份作業內的指紋比對。
+ * @param {Array<{ studentId: string, submissionId?: string|null, pages: Array<{ hash, regions }> }>} entries - 每位學生最新一份
+ * @param {{ ownLayout?: Array<{ hash }>|null, otherLayouts?: Array<{ assignmentId: string, title?: string, pages: Array<{ hash }> }> }} layouts
+ * @returns {Array<{ code: string, label: string, severity: 'warning'|'notice', studentIds: string[], page: number, distance?: number,
+ *   regionCount?: number, matchedAssignmentId?: string, matchedAssignmentTitle?: string }>} page 從 1 起
+ */
+export function findFingerprintConflicts(entries, { ownLayout = null, otherLayouts = [] } = {}) {
+  const list = entries.filter((e) => Array.isArray(e?.pages) && e.pages.length > 0)
+  const warnings = []
+  const pageCount = Math.max(0, ...list.map((e) => e.pages.length))
+  for (let p = 0; p < pageCount; p += 1) {
+    const onPage = list.filter((e) => e.pages[p]?.hash)
+    const classStats = onPage.length >= MIN_CLASS_FOR_REGION_STATS
+    // 每格全班兩兩距離的中位數：夠大 = 各人不同 = 手寫格
+    const distinct = []
+    const regionCount = REGION_GRID.cols * REGION_GRID.rows
+    for (let r = 0; r < regionCount && classStats; r += 1) {
+      const dists = []
+      for (let i = 0; i < onPage.length; i += 1) {
+        for (let j = i + 1; j < onPage.length; j += 1) {
+          const d = hammingDistance(onPage[i].pages[p].regions?.[r], onPage[j].pages[p].regions?.[r])
+          if (d !== null) dists.push(d)
+        }
+      }
+      if ((medianOf(dists) ?? 0) >= REGION_DISTINCT_MEDIAN) distinct.push(r)
+    }
+    for (let i = 0; i < onPage.length; i += 1) {
+      for (let j = i + 1; j < onPage.length; j += 1) {
+        const a = onPage[i].pages[p]
+        const b = onPage[j].pages[p]
+        const pageDist = hammingDistance(a.hash, b.hash)
+        let matched = 0
+        let compared = 0
+        for (const r of distinct) {
+          const d = hammingDistance(a.regions?.[r], b.regions?.[r])
+          if (d === null) continue
+          compared += 1
+          if (d <= REGION_MATCH_MAX) matched += 1
+        }
+        const studentIds = [onPage[i].studentId, onPage[j].studentId]
+        const regionEvidence = classStats && compared > 0
+        if (regionEvidence && pageDist <= PAGE_DUPLICATE_MAX && matched / compared >= DUPLICATE_REGION_SHARE) {
+          warnings.push({ code: 'DUPLICATE_IMAGE', studentIds, page: p + 1, distance: pageDist })
+        } else if (!regionEvidence && pageDist !== null && pageDist <= PAGE_DUPLICATE_STRICT_MAX) {
+          warnings.push({ code: 'SIMILAR_PAGE', studentIds, page: p + 1, distance: pageDist })
+        } else if (matched >= SHARED_REGIONS_MIN) {
+          warnings.push({ code: 'SHARED_HANDWRITING', studentIds, page: p + 1, regionCount: matched })
+        }
+      }
+    }
+    const ownHash = ownLayout?.[p]?.hash
+    if (!ownHash) continue
+    for (const e of onPage) {
+      const ownDist = hammingDistance(e.pages[p].hash, ownHash)
+      let best = null
+      for (const other of otherLayouts) {
+        const d = hammingDistance(e.pages[p].hash, other.pages?.[p]?.hash)
+        if (d !== null && (!best || d < best.distance)) best = { distance: d, other }
+      }
+      if (best && best.distance <= LAYOUT_OTHER_MAX && ownDist - best.distance >= LAYOUT_MARGIN) {
+        warnings.push({
+          code: 'WRONG_ASSIGNMENT_LAYOUT',
+          studentIds: [e.studentId],
+          page: p + 1,
+          distance: best.distance,
+          matchedAssignmentId: best.other.assignmentId,
+          matchedAssignmentTitle: best.other.title ?? undefined
+        })
+      }
+    }
+  }
+  // 同一對學生多頁都撞 → 只留一筆（頁碼最小的）
+  const seen = new Set()
+  return warnings
+    .filter((w) => {
+      const key = `${w.code}|${w.studentIds.join('|')}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .map((w) => ({ ...w, label: IMAGE_CONFLICT_LABELS[w.code], severity: NOTICE_CODES.has(w.code) ? 'notice' : 'warning' }))
+}
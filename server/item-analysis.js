@@ -0,0 +1,212 @@
+// 2026-10-19 古典測驗理論試題分析（段考後教務處要的那張表；以前是匯出 Excel 手算）。
+//   逐題：難度 p（平均得分率）、鑑別度 D（高低分組各 27%：P_H − P_L）、點二系列相關 r_pb（修正版：題目 vs 扣掉本題的總分）
+//   整卷：KR-20（全部是對/錯二元計分才算）、Cronbach's α（部分給分也適用）
+//   選擇題：選項誘答力表（各選項全體 / 高分組 / 低分組選答率）
+// 純函式、無 DB。資料收集與血緣家族 / 版本閘在 api/data/[action].js handleItemAnalysis（與 exam-compare 共用）。
+// 標記門檻採一般教務慣例（Ebel）：D < 0.2 待修、< 0 反向；p < 0.2 / > 0.9 過難 / 過易；誘答選項 < 5% 無誘答力。
+
+import { choiceIndexes } from './answer-key-export.js'
+
+export const ITEM_ANALYSIS_GROUP_RATIO = 0.27
+const MIN_GROUP_SAMPLE = 10
+const SMALL_SAMPLE = 30
+const OPTION_LETTERS = 'ABCDEFGHIJ'
+const BLANK_VALUES = new Set(['', '未作答', '無法辨識'])
+// multi_check：答案卷匯入（QTI / Moodle 複選）的複選題型，選項代號作答、跟 multi_choice 一樣出誘答力表
+export const DISTRACTOR_CATEGORIES = new Set(['single_choice', 'multi_choice', 'multi_check'])
+const MULTI_SELECT_CATEGORIES = new Set(['multi_choice', 'multi_check'])
+
+const round = (v, digits = 3) => (Number.isFinite(v) ? Math.round(v * 10 ** digits) / 10 ** digits : null)
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0
+}
+
+// 母體變異數（KR-20 / α 的教科書公式用母體版；分子分母一致即可）
+function variance(values) {
+  if (values.length === 0) return 0
+  const m = mean(values)
+  return values.reduce((s, v) => s + (v - m) ** 2, 0) / values.length
+}
+
+function pearson(xs, ys) {
+  const mx = mean(xs)
+  const my = mean(ys)
+  let sxy = 0
+  let sxx = 0
+  let syy = 0
+  for (let i = 0; i < xs.length; i += 1) {
+    sxy += (xs[i] - mx) * (ys[i] - my)
+    sxx += (xs[i] - mx) ** 2
+    syy += (ys[i] - my) ** 2
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null
+}
+
+/** 學生作答 → 選項序 index（0 起）；"(A)" / "A." / "AC" / "①③" 皆可。空白回 []、解不出回 null */
+export function parseChoiceSelection(raw) {
+  const s = String(raw ?? '').trim()
+  if (BLANK_VALUES.has(s)) return []
+  return choiceIndexes(s.replace(/[()（）[\]【】.．。]/g, ''))
+}
+
+/**
+ * @param {{
+ *   questions: Array<{ id: string, category?: string, maxScore?: number, answer?: string, optionCount?: number }>,
+ *   responses: Array<Map<string, { score: number, max?: number|null, answer?: string }>>
+ * }} input - responses：每位學生一個 Map（題號 → 該題得分 / 配分 / 最終作答）；缺題以 0 分、空白計
+ * @returns {{ n: number, questionCount: number, maxTotal: number, meanTotal: number|null, sdTotal: number|null,
+ *   groupSize: number, reliability: { kr20: number|null, alpha: number|null, dichotomous: boolean },
+ *   items: Array<object>, warnings: string[] }}
+ */
+export function computeItemAnalysis({ questions, responses }) {
+  const qs = questions.filter((q) => q?.id)
+  const n = responses.length
+  const warnings = []
+  const maxOf = (q) => {
+    const fromKey = Number(q.maxScore)
+    if (Number.isFinite(fromKey) && fromKey > 0) return fromKey
+    // 答案卷沒配分（舊卷）→ 用各卷 detail 的 maxScore 最大值
+    const seen = responses.map((r) => Number(r.get(q.id)?.max)).filter((v) => Number.isFinite(v) && v > 0)
+    return seen.length ? Math.max(...seen) : 1
+  }
+  const maxes = qs.map(maxOf)
+  const scores = responses.map((r) => qs.map((q, j) => Math.min(maxes[j], Math.max(0, Number(r.get(q.id)?.score) || 0))))
+  const totals = scores.map((row) => row.reduce((s, v) => s + v, 0))
+  const maxTotal = maxes.reduce((s, v) => s + v, 0)
+  let incomplete = 0
+  for (const r of responses) if (qs.some((q) => !r.has(q.id))) incomplete += 1
+  if (incomplete > 0) warnings.push(`${incomplete} 份作答缺題（缺的題以 0 分計）`)
+  if (n < SMALL_SAMPLE) warnings.push(`樣本只有 ${n} 人（< ${SMALL_SAMPLE}），指標僅供參考`)
+
+  // 高低分組：依總分排序取前後 27%（組界上同分者依原順序硬切、組大小固定）
+  const order = totals.map((t, i) => [t, i]).sort((a, b) => b[0] - a[0]).map(([, i]) => i)
+  const groupSize = n >= MIN_GROUP_SAMPLE ? Math.max(1, Math.round(n * ITEM_ANALYSIS_GROUP_RATIO)) : 0
+  if (groupSize === 0 && n > 0) warnings.push(`樣本少於 ${MIN_GROUP_SAMPLE} 人，不分高低分組（無鑑別度 / 誘答分析）`)
+  const upper = order.slice(0, groupSize)
+  const lower = groupSize ? order.slice(-groupSize) : []
+
+  const dichotomous = n > 0 && qs.every((_, j) => scores.every((row) => row[j] === 0 || row[j] === maxes[j]))
+  const items = qs.map((q, j) => {
+    const col = scores.map((row) => row[j])
+    const max = maxes[j]
+    const rate = (idx) => (idx.length ? mean(idx.map((i) => col[i])) / max : null)
+    const pValue = n ? mean(col) / max : null
+    const upperP = rate(upper)
+    const lowerP = rate(lower)
+    const discrimination = upperP !== null && lowerP !== null ? upperP - lowerP : null
+    const rest = totals.map((t, i) => t - col[i])
+    const pointBiserial = n >= 3 ? pearson(col, rest) : null
+    // 空白 = 沒有作答文字且沒得分（有分數卻沒文字 = 舊卷 / 老師手改沒存作答，不算空白）
+    const blanks = responses.filter((r) => {
+      const a = r.get(q.id)
+      return !a || (BLANK_VALUES.has(String(a.answer ?? '').trim()) && !(Number(a.score) > 0))
+    }).length
+
+    const flags = []
+    if (pValue !== null && pValue < 0.2) flags.push('too_hard')
+    if (pValue !== null && pValue > 0.9) flags.push('too_easy')
+    if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination')
+    else if (discrimination !== null && discrimination < 0.2) flags.push('low_discrimination')
+
+    const item = {
+      questionId: q.id,
+      category: q.category || null,
+      maxScore: max,
+      n,
+      pValue: round(pValue),
+      upperP: round(upperP),
+      lowerP: round(lowerP),
+      discrimination: round(discrimination),
+      pointBiserial: round(pointBiserial),
+      blankRate: n ? round(blanks / n) : null,
+      flags
+    }
+    if (DISTRACTOR_CATEGORIES.has(q.category)) {
+      item.distractors = buildDistractorTable(q, responses, { upper, lower }, flags)
+    }
+    return item
+  })
+
+  // 信度：k 題、Σ題目變異數 vs 總分變異數
+  const k = qs.length
+  const totalVar = variance(totals)
+  let alpha = null
+  let kr20 = null
+  if (k >= 2 && n >= 2 && totalVar > 0) {
+    const itemVarSum = qs.reduce((s, _, j) => s + variance(scores.map((row) => row[j])), 0)
+    alpha = (k / (k - 1)) * (1 - itemVarSum / totalVar)
+    if (dichotomous) {
+      // 二元計分：Σp(1−p)（p 以答對比例、總分以答對題數）——配分不等時與 α 不同，兩者都回
+      const correct = scores.map((row) => row.map((v, j) => (v === maxes[j] ? 1 : 0)))
+      const countTotals = correct.map((row) => row.reduce((s, v) => s + v, 0))
+      const countVar = variance(countTotals)
+      const pq = qs.reduce((s, _, j) => {
+        const p = mean(correct.map((row) => row[j]))
+        return s + p * (1 - p)
+      }, 0)
+      kr20 = countVar > 0 ? (k / (k - 1)) * (1 - pq / countVar) : null
+    }
+  }
+
+  return {
+    n,
+    questionCount: k,
+    maxTotal,
+    meanTotal: n ? round(mean(totals), 2) : null,
+    sdTotal: n ? round(Math.sqrt(totalVar), 2) : null,
+    groupSize,
+    reliability: { kr20: round(kr20), alpha: round(alpha), dichotomous },
+    items,
+    warnings
+  }
+}
+
+// 選項誘答力：單選看「選了哪個」、複選看「每個選項有沒有被勾」
+function buildDistractorTable(q, responses, { upper, lower }, flags) {
+  const key = choiceIndexes(q.answer) || []
+  const selections = responses.map((r) => parseChoiceSelection(r.get(q.id)?.answer ?? ''))
+  const observedMax = Math.max(-1, ...key, ...selections.flatMap((s) => s || []))
+  const optionCount = Math.min(OPTION_LETTERS.length, Math.max(Number(q.optionCount) || 0, observedMax + 1, 4))
+  const share = (idx, opt) => {
+    if (!idx.length) return null
+    return idx.filter((i) => selections[i]?.includes(opt)).length / idx.length
+  }
+  const all = responses.map((_, i) => i)
+  const options = Array.from({ length: optionCount }, (_, opt) => {
+    const isKey = key.includes(opt)
+    const row = {
+      option: OPTION_LETTERS[opt],
+      isKey,
+      count: selections.filter((s) => s?.includes(opt)).length,
+      rate: round(share(all, opt)),
+      upperRate: round(share(upper, opt)),
+      lowerRate: round(share(lower, opt))
+    }
+    // 誘答選項：高分組選得比低分組多 = 題目或答案可能有問題；幾乎沒人選 = 無誘答力
+    if (!isKey && row.upperRate !== null && row.lowerRate !== null && row.upperRate > row.lowerRate) row.flag = 'attracts_upper'
+    else if (!isKey && row.rate !== null && row.rate < 0.05) row.flag = 'non_functional'
+    return row
+  })
+  if (options.some((o) => o.flag === 'attracts_upper')) flags.push('distractor_attracts_upper')
+  const table = {
+    key: key.map((i) => OPTION_LETTERS[i]),
+    options,
+    blank: selections.filter((s) => Array.isArray(s) && s.length === 0).length,
+    unparsed: selections.filter((s) => s === null).length
+  }
+  if (MULTI_SELECT_CATEGORIES.has(q.category)) {
+    // 複選另附「整組作答」前 10 名（常見錯誤組合，例如漏勾 / 多勾哪一個）
+    const patterns = new Map()
+    for (const s of selections) {
+      if (!s || s.length === 0) continue
+      const p = s.map((i) => OPTION_LETTERS[i]).join('')
+      patterns.set(p, (patterns.get(p) ?? 0) + 1)
+    }
+    table.patterns = [...patterns.entries()]
+      .map(([pattern, count]) => ({ pattern, count, isKey: pattern === table.key.join('') }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10)
+  }
+  return table
+}
@@ -0,0 +1,182 @@
+// 2026-10-19 學生 QR 貼條：表頭 OCR（scan-split.js）讀手寫座號／姓名，總有讀不準的卷；
+//   教務處一次 2,400 人（docs/學校方案設計_2400人_2026-08.md）沒辦法一份份人工配對。
+//   考前替每位學生每一頁印一張 QR 貼紙（或裁切條），內容 = 作業 id + 學生 id + 第幾頁／共幾頁；
+//   掃描拆卷時先在 server 端解 QR（jsqr，純 JS、不連網），有 QR 的頁直接歸戶、依頁碼重排，
+//   缺頁 / 重複頁 / 別份作業的頁一律進確認佇列；沒有 QR 的頁才走表頭 OCR。
+//   貼條 PDF 走既有 puppeteer 路徑（server/_pdf.js；QR 以內嵌 SVG 印，不需外連）。
+//   SCAN_QR_ENABLED=false → 拆卷不解 QR（貼條照樣可印）。
+import sharp from 'sharp'
+import QRCode from 'qrcode'
+import jsQR from 'jsqr'
+
+const PAYLOAD_PREFIX = 'RPQ1'
+// 解碼：整頁先縮到這個長邊試一次；失敗再把四個角（貼紙常貼的位置）用原解析度裁出來試
+const DECODE_LONG_SIDE = 1600
+const CORNER_RATIO = 0.4
+
+export const SCAN_LABEL_LAYOUTS = {
+  // A4 貼紙 3 × 8（70 × 37.1mm，市售 24 格標籤紙）
+  labels: { cols: 3, rows: 8, cellMm: [70, 37.125], pageMarginMm: [0, 0], qrMm: 26 },
+  // A4 裁切條 1 × 6：每條一頁，裁下來釘在該頁頂端
+  strips: { cols: 1, rows: 6, cellMm: [190, 45], pageMarginMm: [10, 13.5], qrMm: 34 }
+}
+
+export function isScanQrEnabled() {
+  return process.env.SCAN_QR_ENABLED !== 'false'
+}
+
+/**
+ * 貼條內容：RPQ1|<assignmentId>|<studentId>|<page>|<pageCount>（id 以 encodeURIComponent 編碼，避免內含 |）
+ */
+export function encodeScanQrPayload({ assignmentId, studentId, page, pageCount }) {
+  return [PAYLOAD_PREFIX, encodeURIComponent(assignmentId), encodeURIComponent(studentId), page, pageCount].join('|')
+}
+
+/** @returns {{ assignmentId: string, studentId: string, page: number, pageCount: number } | null} 不是我們的貼條 → null */
+export function parseScanQrPayload(text) {
+  const parts = String(text ?? '').trim().split('|')
+  if (parts.length !== 5 || parts[0] !== PAYLOAD_PREFIX) return null
+  try {
+    const assignmentId = decodeURIComponent(parts[1])
+    const studentId = decodeURIComponent(parts[2])
+    const page = Number(parts[3])
+    const pageCount = Number(parts[4])
+    if (!assignmentId || !studentId || !Number.isInteger(page) || !Number.isInteger(pageCount) || page < 1 || page > pageCount) return null
+    return { assignmentId, studentId, page, pageCount }
+  } catch {
+    return null
+  }
+}
+
+const htmlEscape = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]))
+
+/**
+ * 貼條 HTML（A4、@page margin 0；PDF 由呼叫端經 server/_pdf.js 渲染）。
+ * 每位學生 × 每一頁一格，依座號排；同一位學生的各頁排在一起，方便撕下來分發。
+ * @param {{ assignmentId: string, title?: string, pageCount: number,
+ *   students: Array<{ id: string, name: string, seatNumber: number|null }>, layout?: 'labels'|'strips' }} input
+ * @returns {Promise<{ html: string, labelCount: number, sheetCount: number }>}
+ */
+export async function buildScanLabelsHtml({ assignmentId, title = '', pageCount, students, layout = 'labels' }) {
+  const spec = SCAN_LABEL_LAYOUTS[layout] ?? SCAN_LABEL_LAYOUTS.labels
+  const perSheet = spec.cols * spec.rows
+  const total = Math.max(1, Math.floor(pageCount) || 1)
+  const sorted = [...students].sort((a, b) => (Number(a.seatNumber) || 0) - (Number(b.seatNumber) || 0))
+  const cells = []
+  for (const st of sorted) {
+    for (let page = 1; page <= total; page += 1) {
+      // 高容錯（H）：貼紙被折到、釘書針打到一角也讀得出來
+      const svg = await QRCode.toString(encodeScanQrPayload({ assignmentId, studentId: st.id, page, pageCount: total }), {
+        type: 'svg', errorCorrectionLevel: 'H', margin: 1
+      })
+      cells.push(`<div class="cell"><div class="qr">${svg}</div><div class="meta">
+  <div class="who">${st.seatNumber ? `${htmlEscape(st.seatNumber)} 號　` : ''}${htmlEscape(st.name)}</div>
+  <div class="page">第 ${page} 頁／共 ${total} 頁</div>
+  ${title ? `<div class="title">${htmlEscape(title)}</div>` : ''}
+</div></div>`)
+    }
+  }
+  const sheets = []
+  for (let i = 0; i < cells.length; i += perSheet) sheets.push(`<section class="sheet">${cells.slice(i, i + perSheet).join('')}</section>`)
+  const [cw, ch] = spec.cellMm
+  const [mx, my] = spec.pageMarginMm
+  const html = `<!doctype html>
+<html lang="zh-Hant"><head><meta charset="utf-8">
+<link href="https://fonts.googleapis.com/css2?family=Noto+Sans+TC:wght@400;700&display=swap" rel="stylesheet">
+<style>
+  @page { size: A4; margin: 0; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: 'Noto Sans TC', sans-serif; color: #000; }
+  .sheet { width: 210mm; height: 297mm; padding: ${my}mm ${mx}mm; display: grid;
+    grid-template-columns: repeat(${spec.cols}, ${cw}mm); grid-auto-rows: ${ch}mm; break-after: page; }
+  .sheet:last-child { break-after: auto; }
+  .cell { display: flex; align-items: center; gap: 3mm; padding: 0 4mm; overflow: hidden;${layout === 'strips' ? ' border-bottom: 0.2mm dashed #999;' : ''} }
+  .qr { width: ${spec.qrMm}mm; height: ${spec.qrMm}mm; flex: none; }
+  .qr svg { width: 100%; height: 100%; display: block; }
+  .meta { min-width: 0; }
+  .who { font-size: 12pt; font-weight: 700; white-space: nowrap; }
+  .page { font-size: 10pt; margin-top: 1mm; }
+  .title { font-size: 8pt; color: #444; margin-top: 1mm; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+</style></head>
+<body>
+${sheets.join('\n')}
+</body></html>`
+  return { html, labelCount: cells.length, sheetCount: sheets.length }
+}
+
+function decodeRegion(data, width, height) {
+  const hit = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width, height, { inversionAttempts: 'dontInvert' })
+  return hit ? parseScanQrPayload(hit.data) : null
+}
+
+/**
+ * 單頁解 QR（in-process）。找不到或不是我們的貼條 → null。
+ * @param {Buffer} buffer
+ * @returns {Promise<{ assignmentId: string, studentId: string, page: number, pageCount: number } | null>}
+ */
+export async function decodeScanQr(buffer) {
+  const meta = await sharp(buffer).metadata()
+  if (!meta.width || !meta.height) return null
+  const whole = await sharp(buffer)
+    .resize({ width: DECODE_LONG_SIDE, height: DECODE_LONG_SIDE, fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+  const found = decodeRegion(whole.data, whole.info.width, whole.info.height)
+  if (found) return found
+  const cw = Math.round(meta.width * CORNER_RATIO)
+  const chh = Math.round(meta.height * CORNER_RATIO)
+  for (const [left, top] of [[meta.width - cw, 0], [0, 0], [meta.width - cw, meta.height - chh], [0, meta.height - chh]]) {
+    const corner = await sharp(buffer).extract({ left, top, width: cw, height: chh }).ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+    const hit = decodeRegion(corner.data, corner.info.width, corner.info.height)
+    if (hit) return hit
+  }
+  return null
+}
+
+/**
+ * 有 QR 的頁 → 每位學生一份卷子（依頁碼重排）。
+ * @param {Array<object|null>} decoded - 每頁 decodeScanQr 的結果（沒有 QR = null）
+ * @param {{ assignmentId: string, pagesPerPaper: number, rosterIds: Set<string> }} ctx
+ * @returns {{ papers: Array<{ studentId: string, pages: number[], status: 'auto'|'confirm', reason: string|null,
+ *   missingPages: number[], duplicatePages: number[] }>, unrouted: number[] }}
+ *   pages = 掃描檔頁序（0 起）已依貼條頁碼排好；unrouted = 沒有 QR、交給表頭 OCR 的頁
+ *   reason：QR_OTHER_ASSIGNMENT / QR_UNKNOWN_STUDENT / QR_DUPLICATE_PAGES / QR_MISSING_PAGES
+ */
+export function routeScanPagesByQr(decoded, { assignmentId, pagesPerPaper, rosterIds }) {
+  const groups = new Map()
+  const unrouted = []
+  decoded.forEach((qr, i) => {
+    if (!qr) { unrouted.push(i); return }
+    const key = `${qr.assignmentId}\u0000${qr.studentId}`
+    const g = groups.get(key) ?? { assignmentId: qr.assignmentId, studentId: qr.studentId, byPage: new Map(), pageCount: qr.pageCount }
+    const list = g.byPage.get(qr.page) ?? []
+    list.push(i)
+    g.byPage.set(qr.page, list)
+    groups.set(key, g)
+  })
+  const papers = []
+  for (const g of groups.values()) {
+    const expected = Math.max(pagesPerPaper, g.pageCount)
+    const pageNumbers = [...g.byPage.keys()].sort((a, b) => a - b)
+    const pages = pageNumbers.flatMap((p) => g.byPage.get(p))
+    const duplicatePages = pageNumbers.filter((p) => g.byPage.get(p).length > 1)
+    const missingPages = []
+    for (let p = 1; p <= expected; p += 1) if (!g.byPage.has(p)) missingPages.push(p)
+    let reason = null
+    if (g.assignmentId !== assignmentId) reason = 'QR_OTHER_ASSIGNMENT'
+    else if (!rosterIds.has(g.studentId)) reason = 'QR_UNKNOWN_STUDENT'
+    else if (duplicatePages.length) reason = 'QR_DUPLICATE_PAGES'
+    else if (missingPages.length) reason = 'QR_MISSING_PAGES'
+    papers.push({
+      // 缺頁 / 重複頁仍知道是誰 → 留著當確認佇列的建議學生
+      studentId: reason === 'QR_OTHER_ASSIGNMENT' || reason === 'QR_UNKNOWN_STUDENT' ? null : g.studentId,
+      pages,
+      status: reason ? 'confirm' : 'auto',
+      reason,
+      missingPages,
+      duplicatePages
+    })
+  }
+  // 依掃描順序排（第一頁出現的位置），確認佇列看起來跟紙堆順序一致
+  papers.sort((a, b) => Math.min(...a.pages) - Math.min(...b.pages))
+  return { papers, unrouted }
+}
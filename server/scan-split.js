@@ -0,0 +1,273 @@
+// 2026-10-19 整班掃描拆卷：教務處／老師把整疊考卷掃成一個檔，以前要在前端一張張切、一份份選學生，
+//   handleSubmission / handleStudentSubmission 只收「一個學生一張合併圖」。
+//   流程：頁面（PDF 由前端 pdf.js 逐頁轉圖後分批上傳；多頁 TIFF 由 server 直接拆）
+//     → 每頁頂部表頭 OCR（ocr-client.js）→ 讀座號／姓名，對本班名冊（students.seat_number / name）
+//     → 依答案卷頁數（assignments.total_pages）切卷；卷中某頁表頭高信心讀到「另一個學生」→ 提前切（缺頁）
+//     → 每份合併成一張圖 + pageBreaks（同 client mergePageBlobs 的格式）
+//   高信心（座號＋姓名一致、或姓名在班上唯一且座號沒有矛盾）→ 呼叫端直接建 submission；
+//   其餘（只讀到座號、名字對不上、兩份搶同一人、頁數不符、讀不到表頭）→ 進確認佇列（scan_ingest_items），不猜。
+//   純函式 + sharp；DB / storage 在 api/data/[action].js handleScanIngest。SCAN_SPLIT_ENABLED=false 整個關掉。
+import sharp from 'sharp'
+import { runOcrOnImage } from './ai/ocr-client.js'
+import { mergePagesVertically } from './ai/local-perspective.js'
+
+// 表頭區 = 每頁頂部這個比例（班級／座號／姓名欄幾乎都在上緣）
+export const SCAN_HEADER_RATIO = 0.2
+export const MAX_SCAN_PAGES = 200
+const PAGE_LONG_SIDE = 3000
+const THUMB_WIDTH = 360
+// webp 單邊上限 16383px；合併圖留一點餘裕
+const MERGED_MAX_HEIGHT = 16000
+const HEADER_OCR_TIMEOUT_MS = 20000
+const OCR_CONCURRENCY = 3
+
+// 計分：姓名完全命中 0.7、姓名差一字 0.45、座號命中 0.4；≥ AUTO_SCORE 且領先第二名 AUTO_MARGIN 才自動配對
+const NAME_EXACT_SCORE = 0.7
+const NAME_SIMILAR_SCORE = 0.45
+const SEAT_SCORE = 0.4
+const AUTO_SCORE = 0.7
+const AUTO_MARGIN = 0.3
+
+export const SCAN_CONFIRM_REASONS = {
+  NO_HEADER: '讀不到座號或姓名',
+  LOW_CONFIDENCE: '座號／姓名對不到唯一的學生',
+  SEAT_NAME_CONFLICT: '座號與姓名指向不同學生',
+  DUPLICATE_STUDENT: '同一位學生出現在多份卷子',
+  PAGE_COUNT_MISMATCH: '頁數與答案卷不符',
+  ALREADY_GRADED: '這位學生已有批改過的作業',
+  EXISTING_SUBMISSION: '這位學生已經有上傳的作業（尚未批改）',
+  // QR 貼條（server/scan-qr.js）
+  QR_MISSING_PAGES: 'QR 貼條顯示缺頁',
+  QR_DUPLICATE_PAGES: 'QR 貼條同一頁出現兩次',
+  QR_OTHER_ASSIGNMENT: 'QR 貼條屬於另一份作業',
+  QR_UNKNOWN_STUDENT: 'QR 貼條的學生不在本班名冊'
+}
+
+export function isScanSplitEnabled() {
+  return process.env.SCAN_SPLIT_ENABLED !== 'false'
+}
+
+/**
+ * 單頁正規化：依 EXIF 轉正、長邊上限 PAGE_LONG_SIDE、轉 webp（暫存與合併都用這個格式）。
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+export async function normalizeScanPage(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: PAGE_LONG_SIDE, height: PAGE_LONG_SIDE, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .webp({ quality: 88 })
+    .toBuffer()
+}
+
+/**
+ * 多頁 TIFF（掃描器常見輸出）→ 逐頁正規化。單頁圖檔也走這裡（回傳一頁）。
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer[]>}
+ */
+export async function splitMultiPageImage(buffer) {
+  const meta = await sharp(buffer).metadata()
+  const n = Math.min(MAX_SCAN_PAGES, Math.max(1, meta.pages || 1))
+  const out = []
+  for (let i = 0; i < n; i += 1) {
+    const page = await sharp(buffer, { page: i }).png().toBuffer()
+    out.push(await normalizeScanPage(page))
+  }
+  return out
+}
+
+function normalizeDigits(text) {
+  return String(text ?? '').replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+}
+
+/**
+ * 讀單頁表頭：裁頂部 SCAN_HEADER_RATIO → OCR → 依列（y）再依欄（x）串成一行文字。
+ * @returns {Promise<string|null>} OCR 失敗 / 未設定 → null
+ */
+export async function readPageHeaderText(buffer, opts = {}) {
+  const meta = await sharp(buffer).metadata()
+  if (!meta.width || !meta.height) return null
+  const height = Math.max(1, Math.round(meta.height * SCAN_HEADER_RATIO))
+  const crop = await sharp(buffer).extract({ left: 0, top: 0, width: meta.width, height }).png().toBuffer()
+  const ocr = await runOcrOnImage(crop, 'image/png', { timeoutMs: HEADER_OCR_TIMEOUT_MS, filename: opts.filename || 'scan-header.png' })
+  if (!ocr) return null
+  const dets = (ocr.detections || []).filter((d) => typeof d?.text === 'string' && Array.isArray(d.bbox))
+  // 同一列：中心 y 相差不到半個字高
+  const rows = []
+  for (const d of [...dets].sort((a, b) => a.bbox[1] - b.bbox[1])) {
+    const cy = (d.bbox[1] + d.bbox[3]) / 2
+    const h = Math.max(1, d.bbox[3] - d.bbox[1])
+    const row = rows.find((r) => Math.abs(r.cy - cy) < h / 2)
+    if (row) row.items.push(d)
+    else rows.push({ cy, items: [d] })
+  }
+  return rows.map((r) => r.items.sort((a, b) => a.bbox[0] - b.bbox[0]).map((d) => d.text.trim()).join(' ')).join('\n')
+}
+
+/**
+ * 表頭文字 → 座號／姓名。
+ *   座號：「座號：12」「座號 12」「12號」「No.12」；「五年2班」的 2 不算（後面不是「號」）
+ *   姓名：「姓名：王小明」（2–5 個中文字，可含間隔號）
+ */
+export function parseHeaderIdentity(text) {
+  const s = normalizeDigits(text)
+  const seatMatch = s.match(/座\s*號\s*[:：]?\s*(\d{1,3})/u) ||
+    s.match(/(?:^|[^\d])(\d{1,2})\s*號(?!碼)/u) ||
+    s.match(/\bNo\.?\s*(\d{1,3})\b/i)
+  const nameMatch = s.match(/姓\s*名\s*[:：]?\s*([一-鿿·‧]{2,5})/u)
+  const seatNumber = seatMatch ? Number(seatMatch[1]) : null
+  return {
+    seatNumber: Number.isInteger(seatNumber) && seatNumber > 0 ? seatNumber : null,
+    name: nameMatch ? nameMatch[1] : null
+  }
+}
+
+// 同長度、只差一個字（OCR 手寫名字最常見的錯）
+function isNameSimilar(a, b) {
+  if (!a || !b || a.length !== b.length || a.length < 2) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i += 1) if (a[i] !== b[i]) diff += 1
+  return diff === 1
+}
+
+/**
+ * 表頭 → 名冊上的學生。
+ * @param {{ text: string|null }} header
+ * @param {Array<{ id: string, name: string, seatNumber: number|null }>} roster
+ * @returns {{ studentId: string|null, confidence: 'high'|'medium'|'low'|'none', reason: string|null,
+ *   seatNumber: number|null, name: string|null, candidates: Array<{ studentId, name, seatNumber, score, by: string[] }> }}
+ *   studentId 只在 confidence='high' 時給；其餘 reason = SCAN_CONFIRM_REASONS 的 key
+ */
+export function matchHeaderToStudent(header, roster) {
+  const text = String(header?.text ?? '')
+  const { seatNumber, name } = parseHeaderIdentity(text)
+  const compact = text.replace(/\s+/g, '')
+  const scored = []
+  for (const st of roster) {
+    const stName = String(st.name ?? '').replace(/\s+/g, '')
+    const by = []
+    let score = 0
+    // 表頭沒有「姓名：」標籤時，整段表頭含全名也算（標籤與名字常被 OCR 拆成兩個框）；
+    //   有讀到「姓名：王明華」就只比這個名字——否則名冊上的「王明」會被整段命中
+    if (stName.length >= 2 && (name ? name === stName : compact.includes(stName))) {
+      score += NAME_EXACT_SCORE
+      by.push('name')
+    } else if (isNameSimilar(name, stName)) {
+      score += NAME_SIMILAR_SCORE
+      by.push('name_similar')
+    }
+    if (seatNumber !== null && Number(st.seatNumber) === seatNumber) {
+      score += SEAT_SCORE
+      by.push('seat')
+    }
+    if (score > 0) scored.push({ studentId: st.id, name: st.name, seatNumber: st.seatNumber ?? null, score: Math.round(score * 100) / 100, by })
+  }
+  // 「王明」是「王明華」的一部分：表頭含「王明華」時兩人都會整段命中 → 丟掉被包含的短名
+  const nameHits = scored.filter((c) => c.by.includes('name'))
+  const kept = scored.filter((c) => !c.by.includes('name') ||
+    !nameHits.some((o) => o !== c && String(o.name).length > String(c.name).length && String(o.name).includes(String(c.name))))
+  kept.sort((a, b) => b.score - a.score)
+  const candidates = kept.slice(0, 5)
+  const base = { seatNumber, name, candidates }
+  if (!compact || (!seatNumber && !name && !candidates.length)) return { ...base, studentId: null, confidence: 'none', reason: 'NO_HEADER' }
+  const [best, second] = candidates
+  if (!best) return { ...base, studentId: null, confidence: 'low', reason: 'LOW_CONFIDENCE' }
+  // 名字命中 A、座號命中 B → 不猜
+  const seatOwner = seatNumber !== null ? roster.find((st) => Number(st.seatNumber) === seatNumber) : null
+  if (best.by.includes('name') && seatOwner && seatOwner.id !== best.studentId) {
+    return { ...base, studentId: null, confidence: 'medium', reason: 'SEAT_NAME_CONFLICT' }
+  }
+  if (best.score >= AUTO_SCORE && (!second || best.score - second.score >= AUTO_MARGIN)) {
+    return { ...base, studentId: best.studentId, confidence: 'high', reason: null }
+  }
+  return { ...base, studentId: null, confidence: best.score >= SEAT_SCORE ? 'medium' : 'low', reason: 'LOW_CONFIDENCE' }
+}
+
+/**
+ * 依答案卷頁數切卷。每頁的 match 來自 matchHeaderToStudent（讀不到 = null）。
+ *   預設每 pagesPerPaper 頁一份；卷中第 j 頁（非首頁）高信心讀到「與本卷不同的學生」→ 從 j 提前切（這份缺頁）。
+ * @param {{ matches: Array<object|null>, pagesPerPaper: number, pageIndexes?: number[] }} input
+ *   pageIndexes = matches 各自在掃描檔的頁序（QR 已歸戶的頁抽掉後、剩下的頁不連續；預設 0..n-1）
+ * @returns {Array<{ pages: number[], match: object|null }>}
+ *   pages = 掃描檔頁序；match = 本卷第一個高信心頁的結果，沒有就取首頁的
+ */
+export function segmentScanPages({ matches, pagesPerPaper, pageIndexes = matches.map((_, i) => i) }) {
+  const per = Math.max(1, Math.floor(pagesPerPaper) || 1)
+  const papers = []
+  let start = 0
+  while (start < matches.length) {
+    let end = Math.min(matches.length, start + per)
+    let owner = matches[start]?.confidence === 'high' ? matches[start] : null
+    for (let j = start + 1; j < end; j += 1) {
+      const m = matches[j]
+      if (m?.confidence !== 'high') continue
+      if (owner && m.studentId !== owner.studentId) { end = j; break }
+      // 首頁讀不到、第二頁以後才讀到：有讀到的那頁就是這份的主人
+      if (!owner) owner = m
+    }
+    papers.push({ pages: pageIndexes.slice(start, end), match: owner ?? matches[start] ?? null })
+    start = end
+  }
+  return papers
+}
+
+/**
+ * 每份卷子決定「直接建 submission」或「進確認佇列」。
+ * @returns {Array<{ ...paper, studentId: string|null, status: 'auto'|'confirm', reason: string|null }>}
+ */
+export function resolveScanPapers(papers, pagesPerPaper) {
+  return markDuplicateStudents(papers.map((p) => {
+    const m = p.match
+    if (p.pages.length !== pagesPerPaper) return { ...p, studentId: null, status: 'confirm', reason: 'PAGE_COUNT_MISMATCH' }
+    if (m?.confidence === 'high' && m.studentId) return { ...p, studentId: m.studentId, status: 'auto', reason: null }
+    return { ...p, studentId: null, status: 'confirm', reason: m?.reason ?? 'NO_HEADER' }
+  }))
+}
+
+/**
+ * 兩份卷子都（高信心 / QR）指向同一人 → 全部改成待確認（不知道哪份才是）。QR 與表頭兩條路的結果合併後要再跑一次。
+ */
+export function markDuplicateStudents(papers) {
+  const counts = new Map()
+  for (const p of papers) if (p.status === 'auto') counts.set(p.studentId, (counts.get(p.studentId) ?? 0) + 1)
+  return papers.map((p) => (p.status === 'auto' && counts.get(p.studentId) > 1
+    ? { ...p, status: 'confirm', reason: 'DUPLICATE_STUDENT' }
+    : p))
+}
+
+/**
+ * 一份卷子的頁 → 合併主圖 + 縮圖 + pageBreaks（handleStudentSubmission 驗證的格式：0<x<1、遞增、長度 = 頁數-1）。
+ * @param {Buffer[]} pageBuffers
+ * @returns {Promise<{ image: Buffer, thumb: Buffer, pageBreaks: number[] }>}
+ */
+export async function buildPaperImage(pageBuffers) {
+  const metas = await Promise.all(pageBuffers.map((b) => sharp(b).metadata()))
+  const aspectSum = metas.reduce((s, m) => s + (m.height || 1) / (m.width || 1), 0)
+  const maxWidth = Math.max(200, Math.floor(MERGED_MAX_HEIGHT / aspectSum))
+  const { buffer, pageBreaks } = await mergePagesVertically(pageBuffers, { maxWidth, quality: 85 })
+  const thumb = await sharp(buffer).resize({ width: THUMB_WIDTH }).webp({ quality: 70 }).toBuffer()
+  return { image: buffer, thumb, pageBreaks }
+}
+
+/**
+ * 逐頁讀表頭並對名冊（限制並行度，OCR 服務是單台 tunnel）。
+ * @param {Buffer[]} pageBuffers
+ * @param {Array<{ id: string, name: string, seatNumber: number|null }>} roster
+ * @returns {Promise<Array<object>>} 每頁一個 matchHeaderToStudent 結果（另帶 headerText）
+ */
+export async function identifyScanPages(pageBuffers, roster) {
+  const out = new Array(pageBuffers.length).fill(null)
+  for (let i = 0; i < pageBuffers.length; i += OCR_CONCURRENCY) {
+    const batch = pageBuffers.slice(i, i + OCR_CONCURRENCY)
+    const texts = await Promise.all(batch.map((b, k) =>
+      readPageHeaderText(b, { filename: `scan-page${i + k + 1}.png` }).catch((err) => {
+        console.warn('[scan-split] header OCR failed:', err instanceof Error ? err.message : err)
+        return null
+      })))
+    texts.forEach((text, k) => {
+      out[i + k] = { ...matchHeaderToStudent({ text }, roster), headerText: text }
+    })
+  }
+  return out
+}